@@ -6,6 +6,8 @@ CREATE EXTENSION IF NOT EXISTS timescaledb;
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "pg_trgm";
 CREATE EXTENSION IF NOT EXISTS "btree_gin";
+-- Query statistics for the dashboard (needs shared_preload_libraries, set in docker-compose)
+CREATE EXTENSION IF NOT EXISTS pg_stat_statements;
 
 -- ============================================================================
 -- SIMPLY KASPA DATABASE INITIALIZATION
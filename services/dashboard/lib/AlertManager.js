@@ -1,13 +1,30 @@
+const fs = require('fs');
 const EventEmitter = require('events');
+const AlertRuleEngine = require('./AlertRuleEngine');
 
 /**
  * Alert Manager for generating and broadcasting system alerts
- * Handles service failures, resource thresholds, and sync status changes
+ * Handles service failures, resource thresholds, and sync status changes,
+ * user-defined rules, silences and maintenance windows. Rules, active alerts
+ * and history are persisted under DATA_DIR.
  */
 class AlertManager extends EventEmitter {
-    constructor(wsManager) {
+    constructor(wsManager, notificationManager = null, options = {}) {
         super();
         this.wsManager = wsManager;
+        this.notificationManager = notificationManager;
+        
+        // Persistence
+        const dataDir = options.dataDir || process.env.DATA_DIR || './data';
+        this.dataDir = dataDir;
+        this.rulesFile = `${dataDir}/alert-rules.json`;
+        this.stateFile = `${dataDir}/alert-state.json`;
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 5000;
+        this.saveTimer = null;
+        this.stateDirty = false;
+        
+        // User-defined rules, silences and maintenance windows
+        this.ruleEngine = new AlertRuleEngine();
         
         // Alert configuration
         this.alertThresholds = {
@@ -43,6 +60,96 @@ class AlertManager extends EventEmitter {
         console.log('Alert Manager initialized');
     }
 
+    /**
+     * Load persisted rules, active alerts and history
+     */
+    async initialize() {
+        try {
+            await fs.promises.mkdir(this.dataDir, { recursive: true });
+        } catch (error) {
+            console.warn('Failed to create data directory:', error.message);
+        }
+
+        const config = await this.readJsonFile(this.rulesFile);
+        if (config) {
+            this.ruleEngine.importConfig(config);
+            if (this.ruleEngine.pruneExpired()) {
+                await this.saveRules();
+            }
+        }
+
+        const state = await this.readJsonFile(this.stateFile);
+        if (state) {
+            this.activeAlerts = new Map(state.activeAlerts || []);
+            this.alertHistory = (state.alertHistory || []).slice(0, this.maxHistorySize);
+            this.ruleEngine.importSeries(state.ruleSeries || []);
+        }
+
+        console.log(`Alert rules loaded (${this.ruleEngine.rules.size} rules, ${this.activeAlerts.size} active alerts)`);
+    }
+
+    /**
+     * Read a JSON file, returning null when it is missing or unreadable
+     */
+    async readJsonFile(file) {
+        try {
+            const data = await fs.promises.readFile(file, 'utf-8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Failed to load ${file}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Write rules, silences and maintenance windows to disk
+     */
+    async saveRules() {
+        await fs.promises.writeFile(this.rulesFile, JSON.stringify(this.ruleEngine.exportConfig(), null, 2));
+    }
+
+    /**
+     * Serialize active alerts, history and rule evaluation state
+     */
+    getStateSnapshot() {
+        return JSON.stringify({
+            activeAlerts: Array.from(this.activeAlerts.entries()),
+            alertHistory: this.alertHistory,
+            ruleSeries: this.ruleEngine.getSeries(),
+            savedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Write alert state to disk
+     */
+    async saveState() {
+        this.stateDirty = false;
+        await fs.promises.writeFile(this.stateFile, this.getStateSnapshot());
+    }
+
+    /**
+     * Batch state writes, alerts can arrive in bursts
+     */
+    scheduleSave() {
+        this.stateDirty = true;
+        if (this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveState().catch(error => {
+                console.warn('Failed to save alert state:', error.message);
+            });
+        }, this.saveDelay);
+        if (this.saveTimer.unref) {
+            this.saveTimer.unref();
+        }
+    }
+
     /**
      * Process service status updates and generate alerts
      */
@@ -66,6 +173,15 @@ class AlertManager extends EventEmitter {
                 this.handleServiceRecovery(service, lastState);
             }
             
+            // Failure restored from disk, no in-memory state to compare against yet
+            const restoredFailure = this.activeAlerts.get(`service_failure_${service.name}`);
+            if (service.status === 'healthy' && !lastState && restoredFailure) {
+                this.handleServiceRecovery(service, {
+                    status: restoredFailure.data.status,
+                    timestamp: new Date(restoredFailure.timestamp)
+                });
+            }
+            
             this.lastServiceStates.set(service.name, {
                 status: service.status,
                 state: service.state,
@@ -73,6 +189,11 @@ class AlertManager extends EventEmitter {
                 timestamp: new Date()
             });
         });
+        
+        this.evaluateRules(services.flatMap(service => [
+            { metric: 'service.status', labels: { service: service.name }, value: service.status },
+            { metric: 'service.healthy', labels: { service: service.name }, value: service.status === 'healthy' ? 1 : 0 }
+        ]));
     }
 
     /**
@@ -123,6 +244,13 @@ class AlertManager extends EventEmitter {
             ...resources,
             timestamp: new Date()
         };
+        
+        this.evaluateRules([
+            { metric: 'system.cpu', labels: {}, value: resources.cpu },
+            { metric: 'system.memory', labels: {}, value: resources.memory },
+            { metric: 'system.disk', labels: {}, value: resources.disk },
+            { metric: 'system.load', labels: {}, value: resources.loadAverage ? resources.loadAverage[0] : null }
+        ]);
     }
 
     /**
@@ -181,6 +309,214 @@ class AlertManager extends EventEmitter {
             ...syncStatus,
             timestamp: new Date()
         };
+        
+        const lag = syncStatus.networkHeight && syncStatus.currentHeight
+            ? Math.max(syncStatus.networkHeight - syncStatus.currentHeight, 0)
+            : null;
+        this.evaluateRules([
+            { metric: 'sync.synced', labels: {}, value: syncStatus.isSynced ? 1 : 0 },
+            { metric: 'sync.lag', labels: {}, value: lag },
+            { metric: 'sync.progress', labels: {}, value: syncStatus.progress }
+        ]);
+    }
+
+    /**
+     * Alert on a payment to or from a watch-only address (WalletManager 'transaction' events
+     * flagged for alerting)
+     */
+    processWalletTransaction(transaction) {
+        const incoming = transaction.direction === 'incoming';
+        const name = transaction.label || transaction.address;
+        const amount = `${transaction.amount.toLocaleString(undefined, { maximumFractionDigits: 8 })} KAS`;
+        
+        const alert = {
+            id: this.generateAlertId(),
+            type: incoming ? 'wallet_incoming' : 'wallet_outgoing',
+            severity: incoming ? this.SEVERITIES.INFO : this.SEVERITIES.WARNING,
+            priority: incoming ? this.PRIORITIES.MEDIUM : this.PRIORITIES.HIGH,
+            title: incoming ? `Payment Received: ${name}` : `Funds Sent: ${name}`,
+            message: incoming
+                ? `${amount} arrived at ${transaction.address}`
+                : `${amount} left ${transaction.address}`,
+            source: 'wallet',
+            labels: { address: transaction.address },
+            data: {
+                address: transaction.address,
+                label: transaction.label,
+                direction: transaction.direction,
+                amount: transaction.amount,
+                amountSompi: transaction.amountSompi,
+                transactionId: transaction.transactionId,
+                blockDaaScore: transaction.blockDaaScore
+            },
+            timestamp: new Date().toISOString(),
+            acknowledged: false
+        };
+        
+        this.processAlert(alert);
+    }
+
+    /**
+     * Alert on a failed or missed scheduled backup (BackupScheduler runs); the
+     * schedule's next completed run resolves it
+     */
+    processBackupRun(run) {
+        const alertKey = `backup_schedule_${run.scheduleId}`;
+
+        if (run.status === 'completed') {
+            const active = this.activeAlerts.get(alertKey);
+            if (!active) {
+                return;
+            }
+            this.activeAlerts.delete(alertKey);
+
+            this.processAlert({
+                id: this.generateAlertId(),
+                type: 'backup_recovered',
+                severity: this.SEVERITIES.INFO,
+                priority: this.PRIORITIES.MEDIUM,
+                title: `Backup Recovered: ${run.scheduleName}`,
+                message: `${run.scheduleName} completed backup ${run.backupId}`,
+                source: 'backups',
+                labels: { schedule: run.scheduleId },
+                data: {
+                    scheduleId: run.scheduleId,
+                    runId: run.id,
+                    backupId: run.backupId,
+                    resolvedAlertId: active.id
+                },
+                timestamp: new Date().toISOString(),
+                acknowledged: false
+            });
+            return;
+        }
+
+        if (run.status !== 'failed' && run.status !== 'missed') {
+            return;
+        }
+
+        const failed = run.status === 'failed';
+        const missedCount = run.missedRuns > 1 ? ` (${run.missedRuns} runs missed)` : '';
+        const alert = {
+            id: this.generateAlertId(),
+            type: failed ? 'backup_failed' : 'backup_missed',
+            severity: failed ? this.SEVERITIES.CRITICAL : this.SEVERITIES.WARNING,
+            priority: failed ? this.PRIORITIES.CRITICAL : this.PRIORITIES.HIGH,
+            title: `Backup ${failed ? 'Failed' : 'Missed'}: ${run.scheduleName}`,
+            message: failed
+                ? `${run.scheduleName} failed: ${run.error}`
+                : `${run.scheduleName} did not run at ${run.scheduledFor}${missedCount}: ${run.reason}`,
+            source: 'backups',
+            labels: { schedule: run.scheduleId },
+            data: {
+                scheduleId: run.scheduleId,
+                runId: run.id,
+                type: run.type,
+                trigger: run.trigger,
+                scheduledFor: run.scheduledFor,
+                missedRuns: run.missedRuns,
+                error: run.error
+            },
+            timestamp: new Date().toISOString(),
+            acknowledged: false
+        };
+
+        this.processAlert(alert);
+        this.activeAlerts.set(alertKey, alert);
+    }
+
+    /**
+     * Feed metrics collected elsewhere (peer count, per-container usage, indexer lag)
+     * @param {Array<{metric: string, labels: Object, value: *}>} samples
+     */
+    recordMetrics(samples) {
+        this.evaluateRules(samples);
+    }
+
+    /**
+     * Evaluate user-defined rules and raise or resolve their alerts
+     */
+    evaluateRules(samples, now = Date.now()) {
+        const { firing, resolved } = this.ruleEngine.evaluate(samples, now);
+        
+        firing.forEach(series => {
+            const alert = this.createRuleAlert(series);
+            this.processAlert(alert);
+            this.activeAlerts.set(`rule_${series.key}`, alert);
+        });
+        
+        resolved.forEach(series => {
+            this.resolveRuleAlert(series, `${series.rule.name} is no longer active (current value: ${series.value})`);
+        });
+        
+        if (firing.length === 0 && resolved.length === 0 && this.ruleEngine.series.size > 0) {
+            // Keep pending durations across restarts
+            this.scheduleSave();
+        }
+    }
+
+    /**
+     * Create alert for a firing rule series
+     */
+    createRuleAlert(series) {
+        const { rule } = series;
+        const seriesLabels = Object.entries(series.labels).map(([key, value]) => `${key}=${value}`).join(', ');
+        
+        return {
+            id: this.generateAlertId(),
+            type: 'rule',
+            severity: rule.severity,
+            priority: rule.severity === 'critical' ? this.PRIORITIES.CRITICAL :
+                rule.severity === 'warning' ? this.PRIORITIES.HIGH : this.PRIORITIES.MEDIUM,
+            title: rule.name,
+            message: rule.description ||
+                `${rule.metric}${seriesLabels ? ` {${seriesLabels}}` : ''} is ${series.value}, condition ${rule.operator} ${rule.threshold}` +
+                (rule.forMinutes > 0 ? ` held for ${rule.forMinutes} minutes` : ''),
+            source: series.labels.service || series.labels.container || series.labels.indexer || 'rules',
+            labels: { ...rule.labels, ...series.labels },
+            data: {
+                ruleId: rule.id,
+                metric: rule.metric,
+                operator: rule.operator,
+                threshold: rule.threshold,
+                forMinutes: rule.forMinutes,
+                currentValue: series.value,
+                activeSince: new Date(series.activeSince).toISOString()
+            },
+            timestamp: new Date().toISOString(),
+            acknowledged: false
+        };
+    }
+
+    /**
+     * Clear a rule alert and announce its resolution
+     */
+    resolveRuleAlert(series, message) {
+        const alertKey = `rule_${series.key}`;
+        const active = this.activeAlerts.get(alertKey);
+        if (!active) {
+            return;
+        }
+        this.activeAlerts.delete(alertKey);
+        
+        this.processAlert({
+            id: this.generateAlertId(),
+            type: 'rule_resolved',
+            severity: this.SEVERITIES.INFO,
+            priority: this.PRIORITIES.MEDIUM,
+            title: `Resolved: ${active.title}`,
+            message,
+            source: active.source,
+            labels: active.labels,
+            data: {
+                ruleId: active.data.ruleId,
+                resolvedAlertId: active.id,
+                currentValue: series.value,
+                duration: Date.now() - new Date(active.timestamp).getTime()
+            },
+            timestamp: new Date().toISOString(),
+            acknowledged: false
+        });
     }
 
     /**
@@ -362,6 +698,13 @@ class AlertManager extends EventEmitter {
      * Process and broadcast alert
      */
     processAlert(alert) {
+        // Silences and maintenance windows keep the alert in history but stop delivery
+        const suppression = this.ruleEngine.getSuppression(this.getAlertLabels(alert));
+        if (suppression) {
+            alert.suppressed = true;
+            alert.suppressedBy = suppression;
+        }
+        
         // Add to history
         this.alertHistory.unshift(alert);
         
@@ -369,12 +712,26 @@ class AlertManager extends EventEmitter {
         if (this.alertHistory.length > this.maxHistorySize) {
             this.alertHistory = this.alertHistory.slice(0, this.maxHistorySize);
         }
+        this.scheduleSave();
+        
+        if (suppression) {
+            this.emit('alert-suppressed', alert);
+            console.log(`Alert suppressed by ${suppression.type} ${suppression.id}: ${alert.title}`);
+            return;
+        }
         
         // Broadcast alert
         if (this.wsManager) {
             this.wsManager.broadcastAlert(alert);
         }
         
+        // Deliver to external notification channels
+        if (this.notificationManager) {
+            this.notificationManager.notify(alert).catch(error => {
+                console.warn(`Failed to deliver alert notifications: ${error.message}`);
+            });
+        }
+        
         // Emit event for other components
         this.emit('alert', alert);
         
@@ -389,6 +746,7 @@ class AlertManager extends EventEmitter {
         if (alert) {
             alert.acknowledged = true;
             alert.acknowledgedAt = new Date().toISOString();
+            this.scheduleSave();
             
             // Broadcast acknowledgment
             if (this.wsManager) {
@@ -404,6 +762,26 @@ class AlertManager extends EventEmitter {
         return false;
     }
 
+    /**
+     * Labels used to match silences and maintenance windows
+     */
+    getAlertLabels(alert) {
+        const labels = {
+            alertname: alert.type,
+            severity: alert.severity,
+            source: alert.source
+        };
+        
+        if (alert.data && alert.data.serviceName) {
+            labels.service = alert.data.serviceName;
+        }
+        if (alert.data && alert.data.resource) {
+            labels.resource = alert.data.resource;
+        }
+        
+        return { ...labels, ...(alert.labels || {}) };
+    }
+
     /**
      * Clear alerts of specific type
      */
@@ -562,12 +940,111 @@ class AlertManager extends EventEmitter {
         console.log('Alert thresholds updated:', this.alertThresholds);
     }
 
+    /**
+     * Get currently active alerts, newest first
+     */
+    getActiveAlerts() {
+        return Array.from(this.activeAlerts.values())
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    /**
+     * Add a user-defined rule
+     */
+    async addRule(definition) {
+        const rule = this.ruleEngine.addRule(definition);
+        await this.saveRules();
+        return rule;
+    }
+
+    /**
+     * Update a rule, resolving alerts it was firing
+     * @returns {Object|null} Updated rule, null when not found
+     */
+    async updateRule(ruleId, updates) {
+        const result = this.ruleEngine.updateRule(ruleId, updates);
+        if (!result) {
+            return null;
+        }
+        result.cleared.forEach(series => this.resolveRuleAlert(series, `Rule "${result.rule.name}" was changed`));
+        await this.saveRules();
+        return result.rule;
+    }
+
+    /**
+     * Remove a rule, resolving alerts it was firing
+     */
+    async removeRule(ruleId) {
+        const rule = this.ruleEngine.getRule(ruleId);
+        const cleared = this.ruleEngine.removeRule(ruleId);
+        if (!cleared) {
+            return false;
+        }
+        cleared.forEach(series => this.resolveRuleAlert(series, `Rule "${rule.name}" was removed`));
+        await this.saveRules();
+        return true;
+    }
+
+    /**
+     * Add a silence
+     */
+    async addSilence(definition) {
+        const silence = this.ruleEngine.addSilence(definition);
+        await this.saveRules();
+        return silence;
+    }
+
+    /**
+     * Remove a silence
+     */
+    async removeSilence(silenceId) {
+        if (!this.ruleEngine.removeSilence(silenceId)) {
+            return false;
+        }
+        await this.saveRules();
+        return true;
+    }
+
+    /**
+     * Add a maintenance window
+     */
+    async addMaintenanceWindow(definition) {
+        const window = this.ruleEngine.addMaintenanceWindow(definition);
+        await this.saveRules();
+        return window;
+    }
+
+    /**
+     * Remove a maintenance window
+     */
+    async removeMaintenanceWindow(windowId) {
+        if (!this.ruleEngine.removeMaintenanceWindow(windowId)) {
+            return false;
+        }
+        await this.saveRules();
+        return true;
+    }
+
     /**
      * Cleanup and shutdown
      */
     shutdown() {
         console.log('Shutting down Alert Manager...');
         
+        // Flush pending state so it survives the restart
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (this.stateDirty) {
+            try {
+                fs.writeFileSync(this.stateFile, this.getStateSnapshot());
+                this.stateDirty = false;
+            } catch (error) {
+                console.warn('Failed to save alert state:', error.message);
+            }
+        }
+        
         // Clear active alerts
         this.activeAlerts.clear();
         
@@ -0,0 +1,508 @@
+/**
+ * Alert Rule Engine
+ * Evaluates user-defined rules against metric samples collected by the dashboard.
+ * A rule fires once its condition has held for `forMinutes`, and resolves when the
+ * condition clears. Also tracks silences (one-off) and maintenance windows
+ * (one-off or weekly recurring) used to suppress matching alerts.
+ *
+ * Samples are plain objects: { metric: 'system.cpu', labels: { ... }, value: 93.1 }
+ */
+class AlertRuleEngine {
+    constructor() {
+        // Metrics the dashboard feeds into the engine
+        this.METRICS = {
+            'service.status': { description: 'Service status (healthy, unhealthy, stopped)', labels: ['service'], type: 'string' },
+            'service.healthy': { description: 'Service health (1 = healthy, 0 = not healthy)', labels: ['service'], type: 'number' },
+            'system.cpu': { description: 'Host CPU usage (%)', labels: [], type: 'number' },
+            'system.memory': { description: 'Host memory usage (%)', labels: [], type: 'number' },
+            'system.disk': { description: 'Host disk usage (%)', labels: [], type: 'number' },
+            'system.load': { description: 'Host 1 minute load average', labels: [], type: 'number' },
+            'sync.synced': { description: 'Node sync state (1 = synced, 0 = syncing)', labels: [], type: 'number' },
+            'sync.lag': { description: 'Blocks behind the network', labels: [], type: 'number' },
+            'sync.progress': { description: 'Node sync progress (%)', labels: [], type: 'number' },
+            'node.peers': { description: 'Connected peer count', labels: [], type: 'number' },
+            'node.mempool_size': { description: 'Transactions in the node mempool', labels: [], type: 'number' },
+            'mempool.orphans': { description: 'Orphan transactions in the node mempool', labels: [], type: 'number' },
+            'mempool.mass': { description: 'Total mass of mempool transactions (grams)', labels: [], type: 'number' },
+            'mempool.feerate_median': { description: 'Median mempool fee rate (sompi/gram)', labels: [], type: 'number' },
+            'mempool.fee_priority': { description: 'Estimated fee rate for next-block inclusion (sompi/gram)', labels: [], type: 'number' },
+            'container.cpu': { description: 'Per-container CPU usage (%)', labels: ['container'], type: 'number' },
+            'container.memory': { description: 'Per-container memory usage (% of limit)', labels: ['container'], type: 'number' },
+            'indexer.lag': { description: 'Indexer blocks behind the node', labels: ['indexer'], type: 'number' },
+            'wallet.balance': { description: 'Watch-only address balance (KAS)', labels: ['address'], type: 'number' }
+        };
+
+        this.OPERATORS = {
+            '>': (value, threshold) => value > threshold,
+            '>=': (value, threshold) => value >= threshold,
+            '<': (value, threshold) => value < threshold,
+            '<=': (value, threshold) => value <= threshold,
+            '==': (value, threshold) => String(value) === String(threshold),
+            '!=': (value, threshold) => String(value) !== String(threshold)
+        };
+
+        this.SEVERITIES = ['info', 'warning', 'critical'];
+        this.DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+        this.rules = new Map();
+        this.series = new Map(); // `${ruleId}|${labelKey}` -> { ruleId, labels, state, activeSince, firedAt, value }
+        this.silences = new Map();
+        this.maintenanceWindows = new Map();
+    }
+
+    /**
+     * Validate a rule definition
+     * @returns {string[]} Validation errors (empty when valid)
+     */
+    validateRule(rule) {
+        const errors = [];
+
+        if (!rule || typeof rule !== 'object') {
+            return ['Rule definition must be an object'];
+        }
+
+        if (!rule.name || typeof rule.name !== 'string') {
+            errors.push('name is required');
+        }
+
+        const metric = this.METRICS[rule.metric];
+        if (!metric) {
+            errors.push(`metric must be one of: ${Object.keys(this.METRICS).join(', ')}`);
+        }
+
+        if (!this.OPERATORS[rule.operator]) {
+            errors.push(`operator must be one of: ${Object.keys(this.OPERATORS).join(', ')}`);
+        } else if (metric && metric.type === 'string' && !['==', '!='].includes(rule.operator)) {
+            errors.push(`${rule.metric} only supports == and != comparisons`);
+        }
+
+        if (rule.threshold === undefined || rule.threshold === null || rule.threshold === '') {
+            errors.push('threshold is required');
+        } else if (metric && metric.type === 'number' && !Number.isFinite(Number(rule.threshold))) {
+            errors.push('threshold must be a number');
+        }
+
+        if (rule.forMinutes !== undefined && (!Number.isFinite(Number(rule.forMinutes)) || Number(rule.forMinutes) < 0)) {
+            errors.push('forMinutes must be a non-negative number');
+        }
+
+        if (rule.severity !== undefined && !this.SEVERITIES.includes(rule.severity)) {
+            errors.push(`severity must be one of: ${this.SEVERITIES.join(', ')}`);
+        }
+
+        errors.push(...this.validateLabelSet(rule.matchers, 'matchers'));
+        errors.push(...this.validateLabelSet(rule.labels, 'labels'));
+
+        return errors;
+    }
+
+    /**
+     * Validate a flat string label map
+     */
+    validateLabelSet(labels, field) {
+        if (labels === undefined) {
+            return [];
+        }
+        if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+            return [`${field} must be an object of label values`];
+        }
+        return Object.entries(labels)
+            .filter(([, value]) => typeof value !== 'string')
+            .map(([key]) => `${field}.${key} must be a string`);
+    }
+
+    /**
+     * Add a rule
+     */
+    addRule(definition) {
+        const errors = this.validateRule(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid alert rule: ${errors.join('; ')}`);
+        }
+
+        const rule = this.normalizeRule({
+            ...definition,
+            id: this.generateId('rule'),
+            createdAt: new Date().toISOString()
+        });
+
+        this.rules.set(rule.id, rule);
+        return rule;
+    }
+
+    /**
+     * Update a rule. Pending/firing state is reset since the condition may have changed.
+     * @returns {{rule: Object, cleared: Object[]}|null} null when the rule does not exist
+     */
+    updateRule(ruleId, updates) {
+        const existing = this.rules.get(ruleId);
+        if (!existing) {
+            return null;
+        }
+
+        const merged = { ...existing, ...updates, id: existing.id, createdAt: existing.createdAt };
+        const errors = this.validateRule(merged);
+        if (errors.length > 0) {
+            throw new Error(`Invalid alert rule: ${errors.join('; ')}`);
+        }
+
+        const rule = this.normalizeRule(merged);
+        this.rules.set(ruleId, rule);
+        return { rule, cleared: this.clearRuleSeries(ruleId) };
+    }
+
+    /**
+     * Remove a rule
+     * @returns {Object[]|null} Series that were firing for the rule, null when the rule does not exist
+     */
+    removeRule(ruleId) {
+        if (!this.rules.delete(ruleId)) {
+            return null;
+        }
+        return this.clearRuleSeries(ruleId);
+    }
+
+    /**
+     * Fill in rule defaults
+     */
+    normalizeRule(rule) {
+        return {
+            id: rule.id,
+            name: rule.name,
+            description: rule.description || '',
+            metric: rule.metric,
+            matchers: { ...(rule.matchers || {}) },
+            operator: rule.operator,
+            threshold: this.METRICS[rule.metric].type === 'number' ? Number(rule.threshold) : String(rule.threshold),
+            forMinutes: Number(rule.forMinutes || 0),
+            severity: rule.severity || 'warning',
+            labels: { ...(rule.labels || {}) },
+            enabled: rule.enabled !== false,
+            createdAt: rule.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Drop all series of a rule, returning the ones that were firing
+     */
+    clearRuleSeries(ruleId) {
+        const firing = [];
+        this.series.forEach((series, key) => {
+            if (series.ruleId === ruleId) {
+                if (series.state === 'firing') {
+                    firing.push({ key, ...series });
+                }
+                this.series.delete(key);
+            }
+        });
+        return firing;
+    }
+
+    getRules() {
+        return Array.from(this.rules.values());
+    }
+
+    getRule(ruleId) {
+        return this.rules.get(ruleId) || null;
+    }
+
+    /**
+     * Evaluate rules against a batch of samples.
+     * Only rules whose metric appears in the batch are evaluated, so services,
+     * resources and sync status can be reported independently.
+     * @returns {{firing: Object[], resolved: Object[]}} Series that changed state
+     */
+    evaluate(samples, now = Date.now()) {
+        const firing = [];
+        const resolved = [];
+        const reported = new Set(samples.map(sample => sample.metric));
+
+        this.rules.forEach(rule => {
+            if (!rule.enabled || !reported.has(rule.metric)) {
+                return;
+            }
+
+            samples
+                .filter(sample => sample.metric === rule.metric && this.matchLabels(rule.matchers, sample.labels || {}))
+                .forEach(sample => {
+                    const key = `${rule.id}|${this.getLabelKey(sample.labels || {})}`;
+                    const existing = this.series.get(key);
+                    const active = sample.value !== null && sample.value !== undefined &&
+                        this.OPERATORS[rule.operator](sample.value, rule.threshold);
+
+                    if (!active) {
+                        if (existing && existing.state === 'firing') {
+                            resolved.push({ key, rule, ...existing, value: sample.value });
+                        }
+                        this.series.delete(key);
+                        return;
+                    }
+
+                    const series = existing || {
+                        ruleId: rule.id,
+                        labels: { ...(sample.labels || {}) },
+                        state: 'pending',
+                        activeSince: now,
+                        firedAt: null
+                    };
+                    series.value = sample.value;
+
+                    if (series.state === 'pending' && now - series.activeSince >= rule.forMinutes * 60 * 1000) {
+                        series.state = 'firing';
+                        series.firedAt = now;
+                        firing.push({ key, rule, ...series });
+                    }
+
+                    this.series.set(key, series);
+                });
+        });
+
+        return { firing, resolved };
+    }
+
+    /**
+     * Get pending and firing series
+     */
+    getSeries() {
+        return Array.from(this.series.entries()).map(([key, series]) => ({ key, ...series }));
+    }
+
+    /**
+     * Add a silence
+     */
+    addSilence(definition) {
+        const errors = this.validateSuppression(definition, 'silence');
+        if (errors.length > 0) {
+            throw new Error(`Invalid silence: ${errors.join('; ')}`);
+        }
+
+        const silence = {
+            id: this.generateId('silence'),
+            matchers: { ...definition.matchers },
+            startsAt: new Date(definition.startsAt || Date.now()).toISOString(),
+            endsAt: new Date(definition.endsAt).toISOString(),
+            comment: definition.comment || '',
+            createdBy: definition.createdBy || null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.silences.set(silence.id, silence);
+        return silence;
+    }
+
+    removeSilence(silenceId) {
+        return this.silences.delete(silenceId);
+    }
+
+    /**
+     * Get silences, expired ones only when requested
+     */
+    getSilences(options = {}) {
+        const now = options.now || Date.now();
+        return Array.from(this.silences.values())
+            .filter(silence => options.includeExpired || new Date(silence.endsAt).getTime() > now);
+    }
+
+    /**
+     * Add a maintenance window, either one-off (startsAt/endsAt) or weekly
+     * recurring (schedule: { days: ['mon', ...], start: 'HH:MM', end: 'HH:MM' }, UTC)
+     */
+    addMaintenanceWindow(definition) {
+        const errors = this.validateSuppression(definition, 'maintenance');
+        if (errors.length > 0) {
+            throw new Error(`Invalid maintenance window: ${errors.join('; ')}`);
+        }
+
+        const window = {
+            id: this.generateId('maint'),
+            name: definition.name,
+            matchers: { ...(definition.matchers || {}) },
+            startsAt: definition.schedule ? null : new Date(definition.startsAt).toISOString(),
+            endsAt: definition.schedule ? null : new Date(definition.endsAt).toISOString(),
+            schedule: definition.schedule ? {
+                days: definition.schedule.days.map(day => day.toLowerCase()),
+                start: definition.schedule.start,
+                end: definition.schedule.end
+            } : null,
+            comment: definition.comment || '',
+            createdAt: new Date().toISOString()
+        };
+
+        this.maintenanceWindows.set(window.id, window);
+        return window;
+    }
+
+    removeMaintenanceWindow(windowId) {
+        return this.maintenanceWindows.delete(windowId);
+    }
+
+    getMaintenanceWindows() {
+        return Array.from(this.maintenanceWindows.values());
+    }
+
+    /**
+     * Validate a silence or maintenance window definition
+     */
+    validateSuppression(definition, kind) {
+        const errors = [];
+
+        if (!definition || typeof definition !== 'object') {
+            return ['Definition must be an object'];
+        }
+
+        if (kind === 'silence') {
+            if (!definition.matchers || Object.keys(definition.matchers).length === 0) {
+                errors.push('matchers must contain at least one label');
+            }
+        } else if (!definition.name || typeof definition.name !== 'string') {
+            errors.push('name is required');
+        }
+        errors.push(...this.validateLabelSet(definition.matchers, 'matchers'));
+
+        if (kind === 'maintenance' && definition.schedule) {
+            const { days, start, end } = definition.schedule;
+            if (!Array.isArray(days) || days.length === 0 || days.some(day => !this.DAYS.includes(String(day).toLowerCase()))) {
+                errors.push(`schedule.days must list days from: ${this.DAYS.join(', ')}`);
+            }
+            if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(start || '') || !/^([01]\d|2[0-3]):[0-5]\d$/.test(end || '')) {
+                errors.push('schedule.start and schedule.end must be HH:MM (UTC)');
+            }
+            return errors;
+        }
+
+        const startsAt = definition.startsAt ? new Date(definition.startsAt).getTime() : Date.now();
+        const endsAt = new Date(definition.endsAt).getTime();
+        if (Number.isNaN(startsAt)) {
+            errors.push('startsAt must be a valid date');
+        }
+        if (!definition.endsAt || Number.isNaN(endsAt)) {
+            errors.push('endsAt must be a valid date');
+        } else if (endsAt <= startsAt) {
+            errors.push('endsAt must be after startsAt');
+        }
+        if (kind === 'maintenance' && !definition.startsAt) {
+            errors.push('startsAt or schedule is required');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check whether a maintenance window is in effect
+     */
+    isWindowActive(window, now = Date.now()) {
+        if (!window.schedule) {
+            return now >= new Date(window.startsAt).getTime() && now < new Date(window.endsAt).getTime();
+        }
+
+        const date = new Date(now);
+        const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+        const toMinutes = time => {
+            const [hours, mins] = time.split(':').map(Number);
+            return hours * 60 + mins;
+        };
+        const start = toMinutes(window.schedule.start);
+        const end = toMinutes(window.schedule.end);
+        const today = this.DAYS[date.getUTCDay()];
+        const yesterday = this.DAYS[(date.getUTCDay() + 6) % 7];
+
+        if (start <= end) {
+            return window.schedule.days.includes(today) && minutes >= start && minutes < end;
+        }
+
+        // Window wraps past midnight, it belongs to the day it started on
+        return (window.schedule.days.includes(today) && minutes >= start) ||
+            (window.schedule.days.includes(yesterday) && minutes < end);
+    }
+
+    /**
+     * Find the silence or maintenance window suppressing an alert
+     * @returns {{type: string, id: string}|null}
+     */
+    getSuppression(labels, now = Date.now()) {
+        const silence = this.getSilences({ now }).find(s =>
+            new Date(s.startsAt).getTime() <= now && this.matchLabels(s.matchers, labels)
+        );
+        if (silence) {
+            return { type: 'silence', id: silence.id };
+        }
+
+        const window = this.getMaintenanceWindows().find(w =>
+            this.isWindowActive(w, now) && this.matchLabels(w.matchers, labels)
+        );
+        if (window) {
+            return { type: 'maintenance', id: window.id, name: window.name };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check that every matcher equals the corresponding label
+     */
+    matchLabels(matchers, labels) {
+        return Object.entries(matchers || {}).every(([key, value]) => labels[key] === value);
+    }
+
+    /**
+     * Stable key for a label set
+     */
+    getLabelKey(labels) {
+        return Object.keys(labels).sort().map(key => `${key}=${labels[key]}`).join(',');
+    }
+
+    /**
+     * Drop silences and one-off windows that have ended
+     * @returns {boolean} Whether anything was removed
+     */
+    pruneExpired(now = Date.now()) {
+        let removed = false;
+        this.silences.forEach((silence, id) => {
+            if (new Date(silence.endsAt).getTime() <= now) {
+                removed = this.silences.delete(id) || removed;
+            }
+        });
+        this.maintenanceWindows.forEach((window, id) => {
+            if (!window.schedule && new Date(window.endsAt).getTime() <= now) {
+                removed = this.maintenanceWindows.delete(id) || removed;
+            }
+        });
+        return removed;
+    }
+
+    /**
+     * Serialize configuration (rules, silences, maintenance windows)
+     */
+    exportConfig() {
+        return {
+            rules: this.getRules(),
+            silences: Array.from(this.silences.values()),
+            maintenanceWindows: this.getMaintenanceWindows()
+        };
+    }
+
+    /**
+     * Restore configuration from exportConfig() output
+     */
+    importConfig(config = {}) {
+        this.rules = new Map((config.rules || []).map(rule => [rule.id, rule]));
+        this.silences = new Map((config.silences || []).map(silence => [silence.id, silence]));
+        this.maintenanceWindows = new Map((config.maintenanceWindows || []).map(window => [window.id, window]));
+    }
+
+    /**
+     * Restore pending/firing series, dropping any whose rule no longer exists
+     */
+    importSeries(series = []) {
+        this.series = new Map(series
+            .filter(entry => this.rules.has(entry.ruleId))
+            .map(({ key, ...entry }) => [key, entry]));
+    }
+
+    generateId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
+
+module.exports = AlertRuleEngine;
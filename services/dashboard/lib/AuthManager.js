@@ -0,0 +1,616 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { promisify } = require('util');
+const { ApiTokenStore, getBearerToken } = require('../../shared/lib/api-tokens');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Role an API token stands in for on requireRole routes, by the scope the
+// route needed; only scopes that administer the installation reach admin
+const TOKEN_SCOPE_ROLES = {
+    'status:read': 'viewer',
+    'logs:read': 'viewer',
+    'services:control': 'operator',
+    'alerts:manage': 'operator',
+    'config:write': 'admin',
+    'backups:manage': 'admin',
+    'updates:apply': 'admin'
+};
+
+// Scope an API token needs per route (first match wins). Paths are matched
+// lowercased, as Express routes them. Routes that match nothing, including
+// account and token management and the audit log, cannot be used with tokens.
+const API_TOKEN_ROUTE_SCOPES = [
+    { methods: ['GET'], path: /^\/services\/[^/]+\/logs$/, scope: 'logs:read' },
+    { methods: ['GET'], path: /^\/(status|profiles|dependencies|installation\/state|updates\/available|performance\/stats|websocket\/stats|cache\/stats)$/, scope: 'status:read' },
+    { methods: ['GET'], path: /^\/system\/(resources|container-count|docker-limits)$/, scope: 'status:read' },
+    // Snapshots hold the node's whole data directory: not for monitoring tokens
+    { methods: ['GET'], path: /^\/kaspa\/node\/snapshots\/[^/]+\/download$/, scope: 'backups:manage' },
+    { methods: ['GET'], path: /^\/kaspa(\/[^/]+)+$/, scope: 'status:read' },
+    { methods: ['GET'], path: /^\/alerts(\/(active|stats|rules|silences|maintenance-windows))?$/, scope: 'status:read' },
+    { methods: ['GET'], path: /^\/metrics\/(query|series)$/, scope: 'status:read' },
+    { methods: ['GET'], path: /^\/notifications\/(channels|deliveries)$/, scope: 'status:read' },
+    { methods: ['GET'], path: /^\/config(\/(history|sync\/status))?$/, scope: 'status:read' },
+    { methods: ['GET'], path: /^\/database\/(performance|policy-changes|dumps|backup-runs\/[^/]+|[^/]+\/(insights|hypertables(\/[^/]+(\/preview)?)?|compression-runs\/[^/]+|restore\/preview))$/, scope: 'status:read' },
+    { methods: ['GET'], path: /^\/backups\/destinations\/[^/]+\/remote$/, scope: 'backups:manage' },
+    { methods: ['GET'], path: /^\/backups(\/(destinations|schedules|schedules\/calendar|schedules\/runs|schedules\/[^/]+\/retention|restores\/[^/]+|[^/]+\/restore-preview))?$/, scope: 'status:read' },
+    { methods: ['GET'], path: /^\/wizard\/(config|status(\/[^/]+)?|suggestions|monitoring\/status)$/, scope: 'status:read' },
+    { methods: ['POST'], path: /^\/services\/[^/]+\/(start|stop|restart)$/, scope: 'services:control' },
+    { methods: ['POST'], path: /^\/alerts\/[^/]+\/acknowledge$/, scope: 'alerts:manage' },
+    { methods: ['POST'], path: /^\/alerts\/metrics$/, scope: 'alerts:manage' },
+    { methods: ['POST', 'DELETE'], path: /^\/alerts\/(silences|maintenance-windows)(\/[^/]+)?$/, scope: 'alerts:manage' },
+    { methods: ['POST'], path: /^\/config(\/rollback\/[^/]+|\/sync\/(start|stop))?$/, scope: 'config:write' },
+    { methods: ['POST', 'PUT', 'DELETE'], path: /^\/backups(\/.+)?$/, scope: 'backups:manage' },
+    { methods: ['POST', 'DELETE'], path: /^\/database\/([^/]+\/(dumps|restore)|dumps\/[^/]+)$/, scope: 'backups:manage' },
+    { methods: ['POST', 'DELETE'], path: /^\/kaspa\/node\/snapshots(\/[^/]+)?$/, scope: 'backups:manage' },
+    { methods: ['POST'], path: /^\/(installation\/refresh|updates\/check)$/, scope: 'status:read' }
+];
+
+/**
+ * Scope an API token needs for a request, null when tokens may not use it
+ * @param {string} method - HTTP method
+ * @param {string} requestPath - Lowercased path below /api
+ */
+function getApiTokenScope(method, requestPath) {
+    const rule = API_TOKEN_ROUTE_SCOPES.find(entry => entry.methods.includes(method) && entry.path.test(requestPath));
+    return rule ? rule.scope : null;
+}
+
+/**
+ * Auth Manager
+ * Local dashboard accounts with scrypt-hashed passwords, cookie sessions,
+ * viewer/operator/admin roles and login throttling.
+ *
+ * Accounts are stored in DATA_DIR/users.json. Sessions live in memory only,
+ * so a dashboard restart signs everyone out. Scripts authenticate with scoped
+ * API tokens from the shared ApiTokenStore instead of sessions.
+ */
+class AuthManager {
+    constructor(options = {}) {
+        const dataDir = options.dataDir || process.env.DATA_DIR || './data';
+        this.dataDir = dataDir;
+        this.usersFile = `${dataDir}/users.json`;
+        this.tokenStore = options.tokenStore || null;
+
+        // Configuration
+        this.ROLES = ['viewer', 'operator', 'admin'];
+        this.COOKIE_NAME = 'kaspa_dashboard_session';
+        this.SESSION_TIMEOUT = options.sessionTimeout || parseInt(process.env.SESSION_TIMEOUT) || 60 * 60 * 1000; // 1 hour idle
+        this.MIN_PASSWORD_LENGTH = 8;
+        this.SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+        this.THROTTLE = {
+            windowMs: options.throttleWindowMs || 15 * 60 * 1000,
+            lockoutMs: options.lockoutMs || 15 * 60 * 1000,
+            maxPerUser: 5,
+            maxPerIp: 20 // catches password spraying across usernames
+        };
+
+        this.users = new Map(); // lower-cased username -> user record
+        this.sessions = new Map(); // sha256(token) -> session
+        this.failedLogins = new Map(); // 'user:<name>' | 'ip:<addr>' -> { count, firstAt, lockedUntil }
+        this.loaded = false;
+        this.setupPending = false;
+        this.cleanupTimer = null;
+    }
+
+    /**
+     * Load accounts and start pruning expired sessions
+     */
+    async initialize() {
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+        } catch (error) {
+            console.warn('Failed to create data directory:', error.message);
+        }
+
+        await this.loadUsers();
+
+        this.cleanupTimer = setInterval(() => this.pruneExpired(), 60 * 1000);
+        this.cleanupTimer.unref();
+
+        if (this.needsSetup()) {
+            console.log('Auth Manager initialized: no accounts yet, first-run admin setup required');
+        } else {
+            console.log(`Auth Manager initialized (${this.users.size} accounts)`);
+        }
+    }
+
+    async loadUsers() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.usersFile, 'utf-8'));
+            this.users.clear();
+            (Array.isArray(data.users) ? data.users : []).forEach(user => {
+                this.users.set(user.username.toLowerCase(), user);
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Failed to load dashboard accounts:', error.message);
+            }
+        }
+        this.loaded = true;
+    }
+
+    /**
+     * Write accounts to disk (file holds password hashes, keep it owner-only)
+     */
+    async saveUsers() {
+        const data = { users: Array.from(this.users.values()) };
+        await fs.writeFile(this.usersFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+    }
+
+    /**
+     * True until the first admin account has been created
+     */
+    needsSetup() {
+        return this.users.size === 0;
+    }
+
+    async hashPassword(password) {
+        const { N, r, p } = this.SCRYPT_PARAMS;
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(password, salt, 64, { N, r, p });
+        return `scrypt$${N}$${r}$${p}$${salt.toString('hex')}$${hash.toString('hex')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return false;
+        }
+
+        const expected = Buffer.from(hash, 'hex');
+        const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length, {
+            N: Number(N), r: Number(r), p: Number(p)
+        });
+        return crypto.timingSafeEqual(actual, expected);
+    }
+
+    hasRole(role, required) {
+        return this.ROLES.indexOf(role) >= this.ROLES.indexOf(required) && this.ROLES.includes(required);
+    }
+
+    /**
+     * Validate account fields
+     * @param {boolean} partial - Only validate the fields that are present (updates)
+     * @returns {string[]} Validation errors (empty when valid)
+     */
+    validateUser(user, partial = false) {
+        const errors = [];
+
+        if (!partial || user.username !== undefined) {
+            if (typeof user.username !== 'string' || !/^[a-zA-Z0-9_.-]{3,32}$/.test(user.username)) {
+                errors.push('username must be 3-32 characters of letters, digits, _ . or -');
+            }
+        }
+
+        if (!partial || user.password !== undefined) {
+            if (typeof user.password !== 'string' || user.password.length < this.MIN_PASSWORD_LENGTH) {
+                errors.push(`password must be at least ${this.MIN_PASSWORD_LENGTH} characters`);
+            }
+        }
+
+        if (!partial || user.role !== undefined) {
+            if (!this.ROLES.includes(user.role)) {
+                errors.push(`role must be one of: ${this.ROLES.join(', ')}`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Create an account
+     * @throws {Error} "Invalid user: ..." on validation errors or duplicates
+     */
+    async createUser({ username, password, role = 'viewer' } = {}) {
+        const errors = this.validateUser({ username, password, role });
+        if (errors.length === 0 && this.users.has(username.toLowerCase())) {
+            errors.push(`user ${username} already exists`);
+        }
+        if (errors.length > 0) {
+            throw new Error(`Invalid user: ${errors.join(', ')}`);
+        }
+
+        const now = new Date().toISOString();
+        const user = {
+            username,
+            role,
+            passwordHash: await this.hashPassword(password),
+            createdAt: now,
+            updatedAt: now,
+            lastLoginAt: null
+        };
+
+        this.users.set(username.toLowerCase(), user);
+        await this.saveUsers();
+        return this.toPublicUser(user);
+    }
+
+    /**
+     * Create the first admin account. Only allowed while no accounts exist.
+     */
+    async setupAdmin({ username, password } = {}) {
+        // Never let a setup request race the initial load and overwrite existing accounts
+        if (!this.loaded) {
+            await this.loadUsers();
+        }
+        if (!this.needsSetup() || this.setupPending) {
+            const error = new Error('Initial setup has already been completed');
+            error.code = 'SETUP_COMPLETE';
+            throw error;
+        }
+
+        this.setupPending = true;
+        try {
+            return await this.createUser({ username, password, role: 'admin' });
+        } finally {
+            this.setupPending = false;
+        }
+    }
+
+    /**
+     * Change an account's role and/or password
+     * @returns {Object|null} Updated account, or null when not found
+     * @throws {Error} "Invalid user: ..." on validation errors
+     */
+    async updateUser(username, updates = {}) {
+        const user = this.getUserRecord(username);
+        if (!user) {
+            return null;
+        }
+
+        const errors = this.validateUser({ role: updates.role, password: updates.password }, true);
+        if (errors.length === 0 && updates.role && updates.role !== 'admin' && this.isLastAdmin(user)) {
+            errors.push('at least one admin account is required');
+        }
+        if (errors.length > 0) {
+            throw new Error(`Invalid user: ${errors.join(', ')}`);
+        }
+
+        if (updates.role) {
+            user.role = updates.role;
+        }
+        if (updates.password) {
+            user.passwordHash = await this.hashPassword(updates.password);
+            this.revokeSessions(user.username, updates.keepSession);
+        }
+        user.updatedAt = new Date().toISOString();
+
+        await this.saveUsers();
+        return this.toPublicUser(user);
+    }
+
+    /**
+     * Change the signed-in user's own password
+     * @returns {boolean} False when the current password is wrong
+     */
+    async changePassword(username, currentPassword, newPassword, keepSession = null) {
+        const user = this.getUserRecord(username);
+        if (!user || !(await this.verifyPassword(currentPassword, user.passwordHash))) {
+            return false;
+        }
+
+        await this.updateUser(username, { password: newPassword, keepSession });
+        return true;
+    }
+
+    /**
+     * Delete an account and end its sessions
+     * @returns {boolean} False when not found
+     * @throws {Error} "Invalid user: ..." when removing the last admin
+     */
+    async removeUser(username) {
+        const user = this.getUserRecord(username);
+        if (!user) {
+            return false;
+        }
+        if (this.isLastAdmin(user)) {
+            throw new Error('Invalid user: at least one admin account is required');
+        }
+
+        this.users.delete(user.username.toLowerCase());
+        this.revokeSessions(user.username);
+        await this.saveUsers();
+        return true;
+    }
+
+    listUsers() {
+        return Array.from(this.users.values()).map(user => this.toPublicUser(user));
+    }
+
+    getUserRecord(username) {
+        return typeof username === 'string' ? this.users.get(username.toLowerCase()) || null : null;
+    }
+
+    isLastAdmin(user) {
+        return user.role === 'admin' &&
+            Array.from(this.users.values()).filter(u => u.role === 'admin').length === 1;
+    }
+
+    toPublicUser(user) {
+        return {
+            username: user.username,
+            role: user.role,
+            createdAt: user.createdAt,
+            updatedAt: user.updatedAt,
+            lastLoginAt: user.lastLoginAt
+        };
+    }
+
+    /**
+     * Check credentials and open a session
+     * @returns {{token: string, user: Object, expiresAt: string}|null} Null on bad credentials
+     * @throws {Error} code LOGIN_THROTTLED (with retryAfter seconds) while locked out
+     */
+    async login(username, password, ip = 'unknown', now = Date.now()) {
+        const keys = [`user:${String(username).toLowerCase()}`, `ip:${ip}`];
+        const lockedUntil = Math.max(...keys.map(key => this.failedLogins.get(key)?.lockedUntil || 0));
+        if (lockedUntil > now) {
+            const error = new Error('Too many failed login attempts, try again later');
+            error.code = 'LOGIN_THROTTLED';
+            error.retryAfter = Math.ceil((lockedUntil - now) / 1000);
+            throw error;
+        }
+
+        const user = this.getUserRecord(username);
+        // Hash even for unknown users so response time does not reveal which names exist
+        const valid = user
+            ? await this.verifyPassword(password, user.passwordHash)
+            : (await this.hashPassword(String(password)), false);
+
+        if (!valid) {
+            this.recordFailure(keys[0], this.THROTTLE.maxPerUser, now);
+            this.recordFailure(keys[1], this.THROTTLE.maxPerIp, now);
+            console.warn(`Failed dashboard login for "${username}" from ${ip}`);
+            return null;
+        }
+
+        this.failedLogins.delete(keys[0]);
+
+        user.lastLoginAt = new Date(now).toISOString();
+        await this.saveUsers();
+
+        const { token, session } = this.createSession(user.username, now);
+        return {
+            token,
+            user: this.toPublicUser(user),
+            expiresAt: new Date(session.expiresAt).toISOString()
+        };
+    }
+
+    recordFailure(key, max, now) {
+        let entry = this.failedLogins.get(key);
+        if (!entry || now - entry.firstAt > this.THROTTLE.windowMs) {
+            entry = { count: 0, firstAt: now, lockedUntil: 0 };
+            this.failedLogins.set(key, entry);
+        }
+
+        entry.count++;
+        if (entry.count >= max) {
+            entry.lockedUntil = now + this.THROTTLE.lockoutMs;
+        }
+    }
+
+    createSession(username, now = Date.now()) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const session = {
+            username,
+            createdAt: now,
+            expiresAt: now + this.SESSION_TIMEOUT
+        };
+        this.sessions.set(this.hashToken(token), session);
+        return { token, session };
+    }
+
+    /**
+     * Resolve a session token to its account
+     * @param {boolean} touch - Extend the idle timeout (false for background re-checks)
+     * @returns {{username: string, role: string}|null}
+     */
+    getSession(token, { touch = true, now = Date.now() } = {}) {
+        if (!token) {
+            return null;
+        }
+
+        const key = this.hashToken(token);
+        const session = this.sessions.get(key);
+        if (!session) {
+            return null;
+        }
+
+        // Role is read from the account so role changes apply immediately
+        const user = this.getUserRecord(session.username);
+        if (!user || session.expiresAt <= now) {
+            this.sessions.delete(key);
+            return null;
+        }
+
+        if (touch) {
+            session.expiresAt = now + this.SESSION_TIMEOUT;
+        }
+        return { username: user.username, role: user.role };
+    }
+
+    logout(token) {
+        return token ? this.sessions.delete(this.hashToken(token)) : false;
+    }
+
+    /**
+     * End all sessions of an account, optionally keeping the caller's own
+     */
+    revokeSessions(username, exceptToken = null) {
+        const keep = exceptToken ? this.hashToken(exceptToken) : null;
+        this.sessions.forEach((session, key) => {
+            if (session.username === username && key !== keep) {
+                this.sessions.delete(key);
+            }
+        });
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    pruneExpired(now = Date.now()) {
+        this.sessions.forEach((session, key) => {
+            if (session.expiresAt <= now) {
+                this.sessions.delete(key);
+            }
+        });
+        this.failedLogins.forEach((entry, key) => {
+            if (entry.lockedUntil <= now && now - entry.firstAt > this.THROTTLE.windowMs) {
+                this.failedLogins.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Read the session token from the request's Cookie header
+     */
+    getTokenFromRequest(req) {
+        const header = req.headers?.cookie;
+        if (!header) {
+            return null;
+        }
+
+        for (const part of header.split(';')) {
+            const index = part.indexOf('=');
+            if (index > 0 && part.slice(0, index).trim() === this.COOKIE_NAME) {
+                try {
+                    return decodeURIComponent(part.slice(index + 1).trim());
+                } catch (error) {
+                    return null;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve the account behind an HTTP request or WebSocket handshake
+     */
+    authenticateRequest(req, options = {}) {
+        return this.getSession(this.getTokenFromRequest(req), options);
+    }
+
+    setSessionCookie(req, res, token) {
+        res.cookie(this.COOKIE_NAME, token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: Boolean(req.secure),
+            path: '/',
+            maxAge: this.SESSION_TIMEOUT
+        });
+    }
+
+    clearSessionCookie(res) {
+        res.clearCookie(this.COOKIE_NAME, { path: '/' });
+    }
+
+    /**
+     * Express middleware: require a session on every route except publicPaths.
+     * Read-only methods need the viewer role, anything that changes state
+     * needs operator; admin-only routes add requireRole('admin'). sessionPaths
+     * (logout, own password) only need a session.
+     *
+     * API tokens are accepted as `Authorization: Bearer kaio_...`; tokenScope
+     * (method, lowercased path) => scope|null names the scope a route needs,
+     * and routes without a scope are closed to tokens. On requireRole routes
+     * a token acts with the role its matched scope ranks as.
+     */
+    authenticate({ publicPaths = [], sessionPaths = [], tokenScope = () => null } = {}) {
+        return (req, res, next) => {
+            if (publicPaths.includes(req.path)) {
+                return next();
+            }
+
+            const bearer = getBearerToken(req.headers);
+            if (this.tokenStore && ApiTokenStore.isApiToken(bearer)) {
+                // Express routes match case-insensitively, so the scope table must too
+                return this.authenticateApiToken(req, res, next, bearer, tokenScope(req.method, req.path.toLowerCase()));
+            }
+
+            const user = this.authenticateRequest(req);
+            if (!user) {
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: 'Sign in to use the dashboard',
+                    setupRequired: this.needsSetup()
+                });
+            }
+
+            req.user = user;
+            if (sessionPaths.includes(req.path)) {
+                return next();
+            }
+
+            const readOnly = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+            return this.checkRole(req, res, next, readOnly ? 'viewer' : 'operator');
+        };
+    }
+
+    async authenticateApiToken(req, res, next, token, scope) {
+        let record;
+        try {
+            record = await this.tokenStore.authenticate(token, { ip: req.ip });
+        } catch (error) {
+            console.error('Failed to check API token:', error.message);
+            return res.status(500).json({ error: 'Failed to check API token' });
+        }
+
+        if (!record) {
+            return res.status(401).json({ error: 'Unauthorized', message: 'Invalid, expired or revoked API token' });
+        }
+        if (!scope || !ApiTokenStore.hasScope(record, scope)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: scope ? `This API token lacks the ${scope} scope` : 'This route cannot be used with API tokens'
+            });
+        }
+
+        req.user = { username: `token:${record.name}`, role: null, tokenId: record.id, scopes: record.scopes, scope };
+        return next();
+    }
+
+    /**
+     * Express middleware: require at least the given role
+     */
+    requireRole(role) {
+        return (req, res, next) => this.checkRole(req, res, next, role);
+    }
+
+    checkRole(req, res, next, role) {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Unauthorized', message: 'Sign in to use the dashboard' });
+        }
+        // API tokens were checked against the route's scope, which decides the role they act with
+        if (req.user.tokenId) {
+            if (!this.hasRole(TOKEN_SCOPE_ROLES[req.user.scope], role)) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: `This action requires the ${role} role, which the ${req.user.scope} scope does not grant`
+                });
+            }
+            return next();
+        }
+        if (!this.hasRole(req.user.role, role)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `This action requires the ${role} role`
+            });
+        }
+        return next();
+    }
+
+    shutdown() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+        console.log('Auth Manager shutdown complete');
+    }
+}
+
+module.exports = AuthManager;
+module.exports.API_TOKEN_ROUTE_SCOPES = API_TOKEN_ROUTE_SCOPES;
+module.exports.getApiTokenScope = getApiTokenScope;
@@ -3,16 +3,107 @@ const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const dotenv = require('dotenv');
+const { createResolver } = require('../../shared/lib/path-resolver');
+const { BackupDestinationStore, uploadVerified, downloadVerified } = require('../../shared/lib/backup-destinations');
+const { encryptFile, decryptFile, readEncryptionHeader } = require('../../shared/lib/backup-encryption');
+const ServiceController = require('./ServiceController');
 
 const execAsync = promisify(exec);
 
+// Files a backup captures and a restore writes back, relative to the project root
+const RESTORABLE_FILES = [
+    { type: 'config', path: '.env', dest: 'config/.env' },
+    { type: 'config', path: 'docker-compose.yml', dest: 'config/docker-compose.yml' },
+    { type: 'config', path: 'docker-compose.override.yml', dest: 'config/docker-compose.override.yml' },
+    { type: 'state', path: '.kaspa-aio/installation-state.json', dest: 'state/.kaspa-aio/installation-state.json' },
+    { type: 'state', path: 'services/wizard/backend/data/installation-state.json', dest: 'state/installation-state.json' },
+    { type: 'state', path: 'services/wizard/backend/data/configuration.json', dest: 'state/configuration.json' }
+];
+
+// Archive names at off-site destinations; wizard exports start with "wizard-"
+const REMOTE_ARCHIVE_PATTERN = /^([\w.-]+)\.tar\.gz\.enc$/;
+
+const SENSITIVE_KEYS = ['PASSWORD', 'SECRET', 'KEY', 'TOKEN', 'PRIVATE'];
+
+function isSensitiveKey(key) {
+    const keyUpper = key.toUpperCase();
+    return SENSITIVE_KEYS.some(sensitive => keyUpper.includes(sensitive));
+}
+
+/**
+ * Split a compose file into its services without a YAML parser: every key
+ * at the first indentation under "services:" starts a service block.
+ * @returns {Map<string, {container: string, text: string}>}
+ */
+function parseComposeServices(content) {
+    const services = new Map();
+    if (!content) return services;
+
+    let inServices = false;
+    let indent = null;
+    let current = null;
+    for (const line of content.split('\n')) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+        if (/^\S/.test(line)) {
+            inServices = /^services:\s*$/.test(line);
+            current = null;
+            continue;
+        }
+        if (!inServices) continue;
+
+        const key = line.match(/^(\s+)([\w.-]+):\s*$/);
+        if (key && (indent === null || key[1] === indent)) {
+            indent = key[1];
+            current = { container: key[2], lines: [] };
+            services.set(key[2], current);
+            continue;
+        }
+        if (current) {
+            current.lines.push(line);
+            const containerName = line.match(/^\s+container_name:\s*["']?([\w.-]+)/);
+            if (containerName) current.container = containerName[1];
+        }
+    }
+
+    for (const [name, service] of services) {
+        services.set(name, { container: service.container, text: service.lines.join('\n') });
+    }
+    return services;
+}
+
+// Lines added and removed between two versions of a file, ignoring order
+function countLineChanges(before, after) {
+    const remaining = new Map();
+    (before || '').split('\n').forEach(line => remaining.set(line, (remaining.get(line) || 0) + 1));
+    let linesAdded = 0;
+    (after || '').split('\n').forEach(line => {
+        if (remaining.get(line) > 0) {
+            remaining.set(line, remaining.get(line) - 1);
+        } else {
+            linesAdded++;
+        }
+    });
+    const linesRemoved = Array.from(remaining.values()).reduce((sum, count) => sum + count, 0);
+    return { linesAdded, linesRemoved };
+}
+
 class BackupManager {
-    constructor() {
-        const dataDir = process.env.DATA_DIR || './data';
+    constructor(options = {}) {
+        const dataDir = options.dataDir || process.env.DATA_DIR || './data';
         this.backupDir = `${dataDir}/backups`;
         this.diagnosticDir = `${dataDir}/diagnostics`;
         this.maxBackupAge = 30 * 24 * 60 * 60 * 1000; // 30 days
         this.maxBackupCount = 10; // Keep max 10 backups
+        this.projectRoot = options.projectRoot || createResolver(__dirname).getPaths().root;
+        this.serviceController = options.serviceController || new ServiceController();
+        this.serviceMonitor = this.serviceController.serviceMonitor;
+        this.healthCheckTimeout = 60000; // per restarted service
+        this.restores = new Map(); // restore id -> restore run
+        this.composeCommand = null;
+        // Encryption settings and off-site destinations, shared with the wizard
+        this.destinationStore = options.destinationStore
+            || new BackupDestinationStore(path.join(this.projectRoot, '.kaspa-aio', 'backup-destinations.json'));
         
         this.ensureDirectories();
     }
@@ -31,7 +122,9 @@ class BackupManager {
             const {
                 includeData = false,
                 includeLogs = false,
-                description = 'Manual backup'
+                description = 'Manual backup',
+                restoringFrom = null,
+                scheduleId = null
             } = options;
 
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -47,7 +140,11 @@ class BackupManager {
                 version: await this.getSystemVersion(),
                 includeData,
                 includeLogs,
+                restoringFrom,
+                scheduleId,
                 files: [],
+                absentFiles: [], // restorable files that did not exist, removed again on restore
+                failedFiles: [], // restorable files that existed but could not be copied
                 checksums: {},
                 size: 0
             };
@@ -81,11 +178,36 @@ class BackupManager {
             const manifestPath = path.join(backupPath, 'manifest.json');
             await fs.writeFile(manifestPath, JSON.stringify(backupManifest, null, 2));
 
-            // Create compressed archive
-            const archivePath = await this.createArchive(backupPath, backupId);
+            // Create compressed archive, encrypted when backup encryption is set up
+            let archivePath;
+            let encryption = null;
+            try {
+                archivePath = await this.createArchive(backupPath, backupId);
+                const settings = await this.destinationStore.getEncryption();
+                if (settings) {
+                    ({ archivePath, encryption } = await this.encryptArchive(archivePath, settings));
+                }
+            } finally {
+                // Clean up temporary directory
+                await this.removeDirectory(backupPath);
+            }
 
-            // Clean up temporary directory
-            await this.removeDirectory(backupPath);
+            await this.writeBackupInfo(backupId, {
+                id: backupId,
+                timestamp: backupManifest.timestamp,
+                description,
+                version: backupManifest.version,
+                includeData,
+                includeLogs,
+                restoringFrom,
+                scheduleId,
+                fileCount: backupManifest.files.length,
+                encryption,
+                uploads: []
+            });
+
+            // Pre-restore backups stay local so uploads do not hold up the restore
+            const uploads = restoringFrom ? [] : await this.autoUpload(backupId);
 
             // Clean up old backups
             await this.cleanupOldBackups();
@@ -95,6 +217,8 @@ class BackupManager {
                 backupId,
                 archivePath,
                 size: backupManifest.size,
+                encryption,
+                uploads,
                 manifest: backupManifest,
                 timestamp: new Date().toISOString()
             };
@@ -104,16 +228,44 @@ class BackupManager {
         }
     }
 
+    /**
+     * Replace a plain archive with its encrypted copy (<archive>.enc). The
+     * plain archive is removed even when encryption fails.
+     */
+    async encryptArchive(archivePath, settings) {
+        try {
+            const header = await encryptFile(archivePath, `${archivePath}.enc`, settings);
+            return { archivePath: `${archivePath}.enc`, encryption: { mode: header.mode, fingerprint: header.fingerprint } };
+        } finally {
+            await fs.unlink(archivePath).catch(() => {});
+        }
+    }
+
+    // Backup summary kept beside the archive, readable without decrypting it
+    infoPath(backupId) {
+        return path.join(this.backupDir, `${backupId}.json`);
+    }
+
+    async readBackupInfo(backupId) {
+        try {
+            const content = await this.readOptionalFile(this.infoPath(backupId));
+            return content ? JSON.parse(content) : null;
+        } catch (error) {
+            console.warn(`Could not read backup info for ${backupId}:`, error.message);
+            return null;
+        }
+    }
+
+    async writeBackupInfo(backupId, info) {
+        await fs.writeFile(this.infoPath(backupId), JSON.stringify(info, null, 2));
+    }
+
     async backupConfigurationFiles(backupPath, manifest) {
-        const configFiles = [
-            { source: '/app/.env', dest: 'config/.env' },
-            { source: '/app/docker-compose.yml', dest: 'config/docker-compose.yml' },
-            { source: '/app/docker-compose.override.yml', dest: 'config/docker-compose.override.yml' }
-        ];
+        const configFiles = RESTORABLE_FILES.filter(file => file.type === 'config');
 
         for (const file of configFiles) {
             try {
-                const sourcePath = file.source;
+                const sourcePath = path.join(this.projectRoot, file.path);
                 const destPath = path.join(backupPath, file.dest);
                 
                 // Ensure destination directory exists
@@ -127,14 +279,20 @@ class BackupManager {
                 
                 manifest.files.push({
                     type: 'config',
-                    source: file.source,
+                    source: sourcePath,
                     dest: file.dest,
                     size: (await fs.stat(destPath)).size
                 });
 
             } catch (error) {
-                // File doesn't exist or can't be copied - log but continue
-                console.warn(`Could not backup ${file.source}:`, error.message);
+                // A file that doesn't exist is recorded as absent; one that can't
+                // be copied is logged and recorded so a restore leaves it alone
+                if (error.code === 'ENOENT') {
+                    manifest.absentFiles.push(file.dest);
+                } else {
+                    console.warn(`Could not backup ${file.path}:`, error.message);
+                    manifest.failedFiles.push({ dest: file.dest, error: error.message });
+                }
             }
         }
     }
@@ -145,8 +303,8 @@ class BackupManager {
             await fs.mkdir(dockerDir, { recursive: true });
 
             // Export Docker Compose configuration
-            const { stdout: composeConfig } = await execAsync('docker-compose config', {
-                cwd: '/app',
+            const { stdout: composeConfig } = await execAsync(`${await this.getComposeCommand()} config`, {
+                cwd: this.projectRoot,
                 timeout: 30000
             });
 
@@ -194,23 +352,21 @@ class BackupManager {
             const stateDir = path.join(backupPath, 'state');
             await fs.mkdir(stateDir, { recursive: true });
 
-            // Backup wizard state if it exists
-            const wizardStateFiles = [
-                '/app/services/wizard/backend/data/installation-state.json',
-                '/app/services/wizard/backend/data/configuration.json'
-            ];
+            // Backup installation and wizard state if it exists
+            const stateFiles = RESTORABLE_FILES.filter(file => file.type === 'state');
 
-            for (const stateFile of wizardStateFiles) {
+            for (const stateFile of stateFiles) {
                 try {
-                    await fs.access(stateFile);
-                    const filename = path.basename(stateFile);
-                    const destPath = path.join(stateDir, filename);
-                    await fs.copyFile(stateFile, destPath);
+                    const sourcePath = path.join(this.projectRoot, stateFile.path);
+                    await fs.access(sourcePath);
+                    const destPath = path.join(backupPath, stateFile.dest);
+                    await fs.mkdir(path.dirname(destPath), { recursive: true });
+                    await fs.copyFile(sourcePath, destPath);
 
                     manifest.files.push({
                         type: 'state',
-                        source: stateFile,
-                        dest: `state/${filename}`,
+                        source: sourcePath,
+                        dest: stateFile.dest,
                         size: (await fs.stat(destPath)).size
                     });
                 } catch (error) {
@@ -393,18 +549,20 @@ class BackupManager {
             const backups = [];
 
             for (const file of files) {
-                if (file.endsWith('.tar.gz')) {
+                const archive = file.match(/^(.+)\.tar\.gz(\.enc)?$/);
+                if (archive) {
                     const filePath = path.join(this.backupDir, file);
                     const stats = await fs.stat(filePath);
+                    const encrypted = Boolean(archive[2]);
+                    const info = await this.readBackupInfo(archive[1]);
                     
-                    // Try to extract manifest from archive to get metadata
+                    // Use the info file, or for older backups extract the manifest from the archive
                     try {
-                        const { stdout: manifestContent } = await execAsync(
+                        const manifest = info || JSON.parse((await execAsync(
                             `tar -xzOf "${filePath}" */manifest.json`,
                             { timeout: 30000 }
-                        );
+                        )).stdout);
                         
-                        const manifest = JSON.parse(manifestContent);
                         backups.push({
                             id: manifest.id,
                             filename: file,
@@ -414,12 +572,17 @@ class BackupManager {
                             version: manifest.version,
                             includeData: manifest.includeData,
                             includeLogs: manifest.includeLogs,
-                            fileCount: manifest.files.length
+                            restoringFrom: manifest.restoringFrom || null,
+                            scheduleId: manifest.scheduleId || null,
+                            fileCount: info ? info.fileCount : manifest.files.length,
+                            encrypted,
+                            encryption: info ? info.encryption : null,
+                            uploads: info ? info.uploads || [] : []
                         });
                     } catch (error) {
                         // If we can't read manifest, create basic entry
                         backups.push({
-                            id: file.replace('.tar.gz', ''),
+                            id: archive[1],
                             filename: file,
                             size: stats.size,
                             created: stats.mtime.toISOString(),
@@ -427,7 +590,11 @@ class BackupManager {
                             version: 'Unknown',
                             includeData: false,
                             includeLogs: false,
-                            fileCount: 0
+                            scheduleId: null,
+                            fileCount: 0,
+                            encrypted,
+                            encryption: null,
+                            uploads: []
                         });
                     }
                 }
@@ -443,6 +610,543 @@ class BackupManager {
         }
     }
 
+    /**
+     * Locate a backup's archive, plain (.tar.gz) or encrypted (.tar.gz.enc)
+     * @returns {Promise<{archivePath: string, encrypted: boolean}>}
+     */
+    async findArchive(backupId) {
+        if (typeof backupId !== 'string' || !/^[\w.-]+$/.test(backupId)) {
+            throw new Error(`Invalid backup id: ${backupId}`);
+        }
+        for (const encrypted of [false, true]) {
+            const archivePath = path.join(this.backupDir, `${backupId}.tar.gz${encrypted ? '.enc' : ''}`);
+            try {
+                await fs.access(archivePath);
+                return { archivePath, encrypted };
+            } catch (error) {
+                // Try the other form
+            }
+        }
+        throw new Error(`Not found: backup ${backupId}`);
+    }
+
+    // Credentials given with the request, else the stored passphrase. Backups
+    // encrypted to a public key always need the private key from the user.
+    async getDecryptionCredentials(credentials = {}) {
+        if (credentials.passphrase || credentials.privateKey) {
+            return credentials;
+        }
+        const settings = await this.destinationStore.getEncryption();
+        return settings && settings.mode === 'passphrase' ? { passphrase: settings.passphrase } : {};
+    }
+
+    /**
+     * Unpack a backup archive into a scratch directory and verify its checksums
+     * @param {string} backupId
+     * @param {Object} [credentials] - { passphrase } or { privateKey, privateKeyPassphrase } for encrypted backups
+     * @returns {Promise<{root: string, backupPath: string, manifest: Object}>}
+     */
+    async extractBackup(backupId, credentials = {}) {
+        const { archivePath, encrypted } = await this.findArchive(backupId);
+
+        const root = path.join(this.backupDir, `.restore_${backupId}_${Date.now()}`);
+        await fs.mkdir(root, { recursive: true });
+        try {
+            let tarball = archivePath;
+            if (encrypted) {
+                tarball = path.join(root, `${backupId}.tar.gz`);
+                await decryptFile(archivePath, tarball, await this.getDecryptionCredentials(credentials));
+            }
+            await execAsync(`tar -xzf "${tarball}" -C "${root}"`, { timeout: 300000 });
+            const backupPath = path.join(root, backupId);
+            const manifest = JSON.parse(await fs.readFile(path.join(backupPath, 'manifest.json'), 'utf-8'));
+            const validation = await this.validateBackup(backupPath);
+            if (!validation.valid) {
+                throw new Error(`Invalid backup ${backupId}: ${validation.errors.join('; ')}`);
+            }
+            return { root, backupPath, manifest };
+        } catch (error) {
+            await this.removeDirectory(root);
+            throw error.message.startsWith('Invalid') ? error : new Error(`Invalid backup ${backupId}: ${error.message}`);
+        }
+    }
+
+    async readOptionalFile(filePath) {
+        try {
+            return await fs.readFile(filePath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * What restoring an extracted backup would change: each restorable file
+     * against its current version, and the services to stop and restart
+     */
+    async planRestore(backupId, backup) {
+        const { backupPath, manifest } = backup;
+        // A file missing from the backup is only removed when the backup
+        // recorded it as absent (older backups don't say, so nothing is removed),
+        // and .env is never removed: without it no service starts
+        const absent = new Set(manifest.absentFiles || []);
+        const files = [];
+
+        for (const target of RESTORABLE_FILES) {
+            const inBackup = manifest.files.some(file => file.dest === target.dest);
+            if (!inBackup && (!absent.has(target.dest) || target.path === '.env')) continue;
+
+            const current = await this.readOptionalFile(path.join(this.projectRoot, target.path));
+            const restored = inBackup ? await fs.readFile(path.join(backupPath, target.dest), 'utf-8') : null;
+            if (current === null && restored === null) continue;
+
+            let status = 'unchanged';
+            if (restored === null) {
+                status = 'removed';
+            } else if (current === null) {
+                status = 'added';
+            } else if (current !== restored) {
+                status = 'changed';
+            }
+            files.push({ path: target.path, type: target.type, dest: target.dest, status, diff: this.diffFile(target.path, current, restored), current, restored });
+        }
+
+        const services = await this.planServiceChanges(files);
+        const stopping = services.filter(service => service.action !== 'none').map(service => service.name);
+
+        return {
+            backupId,
+            created: manifest.timestamp,
+            description: manifest.description,
+            changes: files.filter(file => file.status !== 'unchanged').length,
+            files: files.map(({ current, restored, ...file }) => file),
+            services,
+            stopOrder: this.serviceMonitor.validateStartupOrder(stopping).reverse(),
+            startOrder: this.serviceMonitor.validateStartupOrder(services.filter(service => service.action === 'restart').map(service => service.name)),
+            skipped: [
+                ...manifest.files
+                    .filter(file => file.type === 'data')
+                    .map(file => ({ dest: file.dest, reason: 'Data volume archives are not restored' })),
+                ...(manifest.failedFiles || [])
+                    .map(file => ({ dest: file.dest, reason: `Could not be backed up (${file.error}), the current file is kept` }))
+            ]
+        };
+    }
+
+    diffFile(filePath, current, restored) {
+        if (current === restored) return null;
+        const diff = countLineChanges(current, restored);
+
+        if (filePath === '.env') {
+            const before = dotenv.parse(current || '');
+            const after = dotenv.parse(restored || '');
+            const shown = (key, value) => {
+                if (value === undefined) return null;
+                return isSensitiveKey(key) ? '***REDACTED***' : value;
+            };
+            diff.variables = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+                .filter(key => before[key] !== after[key])
+                .map(key => ({ key, from: shown(key, before[key]), to: shown(key, after[key]) }));
+        }
+        return diff;
+    }
+
+    /**
+     * Containers a restore has to touch: compose services whose definition
+     * changes or that use a changed .env variable, and the running services
+     * that depend on them. Only running containers are stopped and restarted;
+     * stopped ones pick the restored configuration up when next started.
+     */
+    async planServiceChanges(files) {
+        const reasons = new Map(); // compose service -> reasons
+        const addReason = (name, reason) => {
+            if (!reasons.has(name)) reasons.set(name, new Set());
+            reasons.get(name).add(reason);
+        };
+        const containers = new Map(); // compose service -> container name
+        const restoredServices = new Set();
+        const definitions = [];
+
+        for (const file of files.filter(entry => entry.path.startsWith('docker-compose'))) {
+            const before = parseComposeServices(file.current);
+            const after = parseComposeServices(file.restored);
+            after.forEach((service, name) => restoredServices.add(name));
+            for (const name of new Set([...before.keys(), ...after.keys()])) {
+                for (const service of [before.get(name), after.get(name)].filter(Boolean)) {
+                    definitions.push({ name, text: service.text });
+                    if (!containers.has(name) || service.container !== name) {
+                        containers.set(name, service.container);
+                    }
+                }
+                if (before.get(name)?.text !== after.get(name)?.text) {
+                    addReason(name, `${file.path} changes`);
+                }
+            }
+        }
+
+        const env = files.find(file => file.path === '.env' && file.status !== 'unchanged');
+        if (env) {
+            const keys = env.diff.variables.map(variable => variable.key);
+            for (const { name, text } of definitions) {
+                if (/^\s*env_file:/m.test(text) && /(^|[\s'"/-])\.env\b/m.test(text)) {
+                    addReason(name, '.env changes');
+                    continue;
+                }
+                const used = keys.filter(key => new RegExp(`\\$\\{?${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text));
+                if (used.length > 0) {
+                    addReason(name, `.env: ${used.join(', ')}`);
+                }
+            }
+        }
+
+        const docker = await this.serviceMonitor.getDockerServices();
+        const configChanged = files.some(file => file.type === 'config' && file.status !== 'unchanged');
+        if (configChanged && definitions.length === 0) {
+            // No compose file to go by: any configuration change may affect every service
+            this.serviceMonitor.serviceDefinitions.forEach(service => addReason(service.name, 'configuration changes'));
+        }
+
+        const services = Array.from(reasons.entries()).map(([name, why]) => {
+            const container = containers.get(name) || name;
+            const running = docker.get(container)?.isRunning || false;
+            const removed = definitions.length > 0 && !restoredServices.has(name);
+            return {
+                name: container,
+                composeService: containers.has(name) ? name : null,
+                reasons: Array.from(why),
+                running,
+                action: running ? (removed ? 'stop' : 'restart') : 'none'
+            };
+        });
+
+        // Stopping a service takes down whatever depends on it
+        const queue = services.filter(service => service.action !== 'none').map(service => service.name);
+        while (queue.length > 0) {
+            const dependency = queue.shift();
+            for (const dependent of this.serviceMonitor.getDependents(dependency)) {
+                if (services.some(service => service.name === dependent) || !docker.get(dependent)?.isRunning) continue;
+                const composeService = Array.from(containers.entries()).find(([, container]) => container === dependent);
+                services.push({
+                    name: dependent,
+                    composeService: composeService ? composeService[0] : null,
+                    reasons: [`depends on ${dependency}`],
+                    running: true,
+                    action: 'restart'
+                });
+                queue.push(dependent);
+            }
+        }
+
+        return services;
+    }
+
+    async previewRestore(backupId, credentials = {}) {
+        const backup = await this.extractBackup(backupId, credentials);
+        try {
+            return await this.planRestore(backupId, backup);
+        } finally {
+            await this.removeDirectory(backup.root);
+        }
+    }
+
+    /**
+     * Restore a backup in the background: take a pre-restore backup (restore
+     * that one to undo), stop the affected services in reverse dependency
+     * order, write the files back, start the services again in dependency
+     * order and wait for them to report healthy. Follow it with getRestore.
+     * Encrypted backups take options.credentials as for extractBackup.
+     */
+    async restoreBackup(backupId, options = {}) {
+        if (this.activeRestore) {
+            throw new Error(`Restore in progress: ${this.activeRestore}`);
+        }
+        this.activeRestore = backupId;
+
+        let backup;
+        let plan;
+        try {
+            backup = await this.extractBackup(backupId, options.credentials);
+            plan = await this.planRestore(backupId, backup);
+        } catch (error) {
+            this.activeRestore = null;
+            if (backup) await this.removeDirectory(backup.root);
+            throw error;
+        }
+
+        const run = {
+            id: `restore_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            backupId,
+            actor: options.actor || null,
+            status: 'running',
+            step: null,
+            plan,
+            preRestoreBackupId: null,
+            steps: [],
+            health: [],
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            error: null
+        };
+        this.restores.set(run.id, run);
+        // Keep the last few restores for status polling
+        if (this.restores.size > 20) {
+            this.restores.delete(this.restores.keys().next().value);
+        }
+
+        run.promise = this.executeRestore(run, backup).finally(async () => {
+            this.activeRestore = null;
+            await this.removeDirectory(backup.root);
+        });
+        return run;
+    }
+
+    async executeRestore(run, backup) {
+        const { plan } = run;
+        const record = (step, status, detail) => {
+            run.steps.push({ step, status, detail, timestamp: new Date().toISOString() });
+        };
+        const stopped = [];
+
+        if (plan.changes === 0) {
+            record('files', 'skipped', 'Nothing differs from the backup');
+            run.status = 'completed';
+            run.finishedAt = new Date().toISOString();
+            return;
+        }
+
+        try {
+            run.step = 'backup';
+            const preRestore = await this.createBackup({
+                description: `Pre-restore backup before restoring ${run.backupId}`,
+                restoringFrom: run.backupId
+            });
+            run.preRestoreBackupId = preRestore.backupId;
+            record('backup', 'completed', preRestore.backupId);
+
+            run.step = 'stop';
+            for (const name of plan.stopOrder) {
+                await this.serviceController.gracefulStop(name);
+                stopped.push(name);
+                record('stop', 'completed', name);
+            }
+
+            run.step = 'files';
+            for (const file of plan.files.filter(entry => entry.status !== 'unchanged')) {
+                const target = path.join(this.projectRoot, file.path);
+                if (file.status === 'removed') {
+                    await fs.unlink(target);
+                } else {
+                    await fs.mkdir(path.dirname(target), { recursive: true });
+                    await fs.copyFile(path.join(backup.backupPath, file.dest), target);
+                }
+                record('files', 'completed', `${file.path} ${file.status}`);
+            }
+        } catch (error) {
+            run.error = error.message;
+            record(run.step, 'failed', error.message);
+        }
+
+        // Whatever was stopped comes back even when the restore failed part
+        // way; only a completed restore recreates containers from the new config
+        run.step = 'start';
+        const starting = run.error ? this.serviceMonitor.validateStartupOrder([...stopped].reverse()) : plan.startOrder;
+        const started = [];
+        for (const name of starting) {
+            const service = plan.services.find(entry => entry.name === name);
+            try {
+                if (!run.error && service.composeService) {
+                    await execAsync(`${await this.getComposeCommand()} up -d --no-deps ${service.composeService}`, {
+                        cwd: this.projectRoot,
+                        timeout: this.serviceController.operationTimeout
+                    });
+                } else {
+                    await this.serviceController.executeDockerCommand('start', name);
+                }
+                started.push(name);
+                record('start', 'completed', name);
+            } catch (error) {
+                record('start', 'failed', `${name}: ${error.message}`);
+            }
+        }
+
+        run.step = 'health';
+        const monitored = new Set(this.serviceMonitor.serviceDefinitions.map(service => service.name));
+        for (const name of started) {
+            const healthy = monitored.has(name)
+                ? await this.serviceController.waitForServiceHealthy(name, this.healthCheckTimeout)
+                : null;
+            run.health.push({ service: name, healthy });
+        }
+
+        const problems = run.steps.some(step => step.status === 'failed') || run.health.some(check => check.healthy === false);
+        run.status = run.error ? 'failed' : (problems ? 'completed_with_errors' : 'completed');
+        run.step = null;
+        run.finishedAt = new Date().toISOString();
+        console.log(`Restore of ${run.backupId} ${run.status}${run.preRestoreBackupId ? ` (undo with ${run.preRestoreBackupId})` : ''}`);
+    }
+
+    getRestore(restoreId) {
+        const run = this.restores.get(restoreId);
+        if (!run) {
+            throw new Error(`Not found: restore ${restoreId}`);
+        }
+        const { promise, ...status } = run;
+        return status;
+    }
+
+    /**
+     * Copy a backup to an off-site destination and verify the copy's checksum.
+     * Only encrypted archives leave this machine: plain ones are encrypted
+     * for the upload.
+     * @returns {Promise<Object>} { destination, name, sha256, size, verifiedAt }
+     */
+    async uploadBackup(backupId, destinationId) {
+        const { archivePath, encrypted } = await this.findArchive(backupId);
+        const definition = await this.destinationStore.get(destinationId);
+        let uploadPath = archivePath;
+
+        try {
+            if (!encrypted) {
+                const settings = await this.destinationStore.getEncryption();
+                if (!settings) {
+                    throw new Error('Invalid request: set up backup encryption before uploading backups');
+                }
+                uploadPath = path.join(this.backupDir, `.upload_${backupId}_${Date.now()}.tar.gz.enc`);
+                await encryptFile(archivePath, uploadPath, settings);
+            }
+
+            const destination = await this.destinationStore.open(destinationId);
+            const upload = await uploadVerified(destination, uploadPath, `${backupId}.tar.gz.enc`)
+                .catch(error => { throw new Error(`Destination ${definition.name} failed: ${error.message}`); });
+
+            const info = (await this.readBackupInfo(backupId)) || { id: backupId, uploads: [] };
+            info.uploads = (info.uploads || []).filter(entry => entry.destination !== destinationId).concat(upload);
+            await this.writeBackupInfo(backupId, info);
+            console.log(`Uploaded backup ${backupId} to ${definition.name} (sha256 ${upload.sha256})`);
+            return upload;
+        } finally {
+            if (uploadPath !== archivePath) {
+                await fs.unlink(uploadPath).catch(() => {});
+            }
+        }
+    }
+
+    // Upload a new backup to every destination marked for automatic uploads;
+    // failures are reported, not thrown, so the local backup still counts
+    async autoUpload(backupId) {
+        const results = [];
+        const destinations = (await this.destinationStore.list()).filter(destination => destination.autoUpload);
+        for (const destination of destinations) {
+            try {
+                results.push({ ...(await this.uploadBackup(backupId, destination.id)), success: true });
+            } catch (error) {
+                console.warn(`Could not upload backup ${backupId} to ${destination.name}:`, error.message);
+                results.push({ destination: destination.id, success: false, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Backups stored at a destination, newest first
+     */
+    async listRemoteBackups(destinationId) {
+        const definition = await this.destinationStore.get(destinationId);
+        const destination = await this.destinationStore.open(destinationId);
+        const files = await destination.list()
+            .catch(error => { throw new Error(`Destination ${definition.name} failed: ${error.message}`); });
+        const local = new Set((await this.getBackupHistory()).map(backup => backup.id));
+
+        return files
+            .filter(file => REMOTE_ARCHIVE_PATTERN.test(file.name))
+            .map(file => {
+                const backupId = file.name.match(REMOTE_ARCHIVE_PATTERN)[1];
+                return {
+                    ...file,
+                    backupId,
+                    source: backupId.startsWith('wizard-') ? 'wizard' : 'dashboard',
+                    local: local.has(backupId)
+                };
+            })
+            .sort((a, b) => new Date(b.modified) - new Date(a.modified));
+    }
+
+    /**
+     * Download a backup from a destination, verified against the checksum
+     * recorded at upload. It then appears in the history and is previewed
+     * and restored like a local backup.
+     */
+    async fetchRemoteBackup(destinationId, name) {
+        const match = typeof name === 'string' && name.match(REMOTE_ARCHIVE_PATTERN);
+        if (!match) {
+            throw new Error(`Invalid backup name: ${name}`);
+        }
+        const backupId = match[1];
+        if (backupId.startsWith('wizard-')) {
+            throw new Error('Invalid request: wizard backups are imported from the Installation Wizard');
+        }
+        const exists = await this.findArchive(backupId).then(() => true, () => false);
+        if (exists) {
+            throw new Error(`Invalid request: backup ${backupId} is already on this machine`);
+        }
+
+        const definition = await this.destinationStore.get(destinationId);
+        const destination = await this.destinationStore.open(destinationId);
+        const archivePath = path.join(this.backupDir, name);
+        const download = await downloadVerified(destination, name, archivePath).catch(error => {
+            throw error.message.startsWith('Invalid') ? error : new Error(`Destination ${definition.name} failed: ${error.message}`);
+        });
+
+        const header = await readEncryptionHeader(archivePath);
+        if (!header) {
+            await fs.unlink(archivePath).catch(() => {});
+            throw new Error(`Invalid remote backup: ${name} is not an encrypted backup`);
+        }
+
+        const fetchedAt = new Date().toISOString();
+        await this.writeBackupInfo(backupId, {
+            id: backupId,
+            timestamp: fetchedAt,
+            description: `Fetched from ${definition.name}`,
+            version: 'Unknown',
+            includeData: false,
+            includeLogs: false,
+            restoringFrom: null,
+            fileCount: null,
+            encryption: { mode: header.mode, fingerprint: header.fingerprint || null },
+            uploads: [{ destination: destinationId, name, sha256: download.sha256, verifiedAt: fetchedAt }]
+        });
+        console.log(`Fetched backup ${backupId} from ${definition.name}`);
+        return { backupId, ...download };
+    }
+
+    /**
+     * Check a destination can be written to
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async testDestination(destinationId) {
+        const destination = await this.destinationStore.open(destinationId);
+        try {
+            await destination.test();
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // "docker compose" (v2) when available, else the standalone docker-compose
+    async getComposeCommand() {
+        if (!this.composeCommand) {
+            try {
+                await execAsync('docker compose version', { timeout: 10000 });
+                this.composeCommand = 'docker compose';
+            } catch (error) {
+                this.composeCommand = 'docker-compose';
+            }
+        }
+        return this.composeCommand;
+    }
+
     async createDiagnosticExport(options = {}) {
         try {
             const {
@@ -611,7 +1315,7 @@ class BackupManager {
 
             // Read and sanitize .env file
             try {
-                const envContent = await fs.readFile('/app/.env', 'utf-8');
+                const envContent = await fs.readFile(path.join(this.projectRoot, '.env'), 'utf-8');
                 const sanitizedEnv = this.sanitizeEnvFile(envContent);
                 await fs.writeFile(path.join(configDir, '.env'), sanitizedEnv);
 
@@ -626,7 +1330,7 @@ class BackupManager {
 
             // Copy docker-compose.yml (no sensitive data expected)
             try {
-                await fs.copyFile('/app/docker-compose.yml', path.join(configDir, 'docker-compose.yml'));
+                await fs.copyFile(path.join(this.projectRoot, 'docker-compose.yml'), path.join(configDir, 'docker-compose.yml'));
                 const stats = await fs.stat(path.join(configDir, 'docker-compose.yml'));
                 
                 manifest.files.push({
@@ -645,7 +1349,6 @@ class BackupManager {
 
     sanitizeEnvFile(content) {
         const lines = content.split('\n');
-        const sensitiveKeys = ['PASSWORD', 'SECRET', 'KEY', 'TOKEN', 'PRIVATE'];
         
         return lines.map(line => {
             if (line.trim().startsWith('#') || !line.includes('=')) {
@@ -653,9 +1356,8 @@ class BackupManager {
             }
 
             const [key, ...valueParts] = line.split('=');
-            const keyUpper = key.toUpperCase();
             
-            if (sensitiveKeys.some(sensitive => keyUpper.includes(sensitive))) {
+            if (isSensitiveKey(key)) {
                 return `${key}=***REDACTED***`;
             }
             
@@ -693,7 +1395,7 @@ class BackupManager {
     async getSystemVersion() {
         try {
             // Try to get version from package.json or git
-            const packagePath = '/app/package.json';
+            const packagePath = path.join(this.projectRoot, 'package.json');
             try {
                 const packageContent = await fs.readFile(packagePath, 'utf-8');
                 const packageJson = JSON.parse(packageContent);
@@ -701,7 +1403,7 @@ class BackupManager {
             } catch (error) {
                 // Try git
                 try {
-                    const { stdout } = await execAsync('git describe --tags --always', { cwd: '/app' });
+                    const { stdout } = await execAsync('git describe --tags --always', { cwd: this.projectRoot });
                     return stdout.trim();
                 } catch (gitError) {
                     return 'unknown';
@@ -729,20 +1431,35 @@ class BackupManager {
         }
     }
 
+    /**
+     * Delete a backup archive and its info file
+     */
+    async deleteBackup(backupId) {
+        const { archivePath } = await this.findArchive(backupId);
+        await fs.unlink(archivePath);
+        await fs.unlink(this.infoPath(backupId)).catch(() => {});
+        return { deleted: backupId };
+    }
+
+    /**
+     * Keep the newest maxBackupCount backups younger than maxBackupAge.
+     * Scheduled backups follow their schedule's retention (BackupScheduler).
+     */
     async cleanupOldBackups() {
         try {
-            const backups = await this.getBackupHistory();
+            const backups = (await this.getBackupHistory()).filter(backup => !backup.scheduleId);
             
-            // Remove backups older than maxBackupAge
+            // Remove backups older than maxBackupAge, and beyond maxBackupCount
             const cutoff = Date.now() - this.maxBackupAge;
             let deletedCount = 0;
 
-            for (const backup of backups) {
+            for (const [index, backup] of backups.entries()) {
                 const backupTime = new Date(backup.created).getTime();
-                if (backupTime < cutoff || deletedCount >= this.maxBackupCount) {
+                if (backupTime < cutoff || index >= this.maxBackupCount) {
                     const backupPath = path.join(this.backupDir, backup.filename);
                     try {
                         await fs.unlink(backupPath);
+                        await fs.unlink(this.infoPath(backup.id)).catch(() => {});
                         deletedCount++;
                     } catch (error) {
                         console.warn(`Failed to delete old backup ${backup.filename}:`, error.message);
@@ -0,0 +1,734 @@
+const fs = require('fs').promises;
+const EventEmitter = require('events');
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Cron fields in order: minute hour day-of-month month day-of-week (0 and 7 are Sunday)
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 }
+];
+
+const CRON_MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// How far ahead nextCronTime looks; enough for "29 Feb" schedules
+const CRON_SEARCH_YEARS = 8;
+
+// Backup types a schedule can run. config and full are BackupManager
+// archives; other types need a runner registered with registerRunner().
+const SCHEDULE_TYPES = {
+    config: 'Configuration',
+    database: 'Indexer databases',
+    full: 'Full (configuration and data volumes)'
+};
+
+// Grandfather-father-son: newest backup of the last 7 days, 4 weeks and 12 months
+const DEFAULT_RETENTION = { daily: 7, weekly: 4, monthly: 12 };
+
+function parseCronField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = part.toLowerCase().match(/^(\*|([a-z0-9]+)(-([a-z0-9]+))?)(\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid schedule: bad ${field.name} "${part}"`);
+        }
+        const toNumber = (value) => {
+            const named = field.names ? field.names.indexOf(value) : -1;
+            const number = named >= 0 ? named + field.offset : /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+            if (!(number >= field.min && number <= field.max)) {
+                throw new Error(`Invalid schedule: ${field.name} "${value}" is outside ${field.min}-${field.max}`);
+            }
+            return number;
+        };
+
+        const start = match[1] === '*' ? field.min : toNumber(match[2]);
+        const end = match[1] === '*' ? field.max : match[4] !== undefined ? toNumber(match[4]) : match[6] ? field.max : start;
+        const step = match[6] ? parseInt(match[6], 10) : 1;
+        if (end < start || step < 1) {
+            throw new Error(`Invalid schedule: bad ${field.name} range "${part}"`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parse a five-field cron expression (or @daily, @weekly, ...). As in cron,
+ * when both day of month and day of week are restricted either one matches.
+ */
+function parseCron(expression) {
+    const text = typeof expression === 'string' ? expression.trim() : '';
+    const fields = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        throw new Error('Invalid schedule: cron expression needs 5 fields (minute hour day-of-month month day-of-week)');
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+    if (weekdays.delete(7)) {
+        weekdays.add(0);
+    }
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        dayRestricted: !fields[2].startsWith('*'),
+        weekdayRestricted: !fields[4].startsWith('*')
+    };
+}
+
+function cronDayMatches(cron, date) {
+    const day = cron.days.has(date.getDate());
+    const weekday = cron.weekdays.has(date.getDay());
+    if (cron.dayRestricted && cron.weekdayRestricted) return day || weekday;
+    if (cron.dayRestricted) return day;
+    if (cron.weekdayRestricted) return weekday;
+    return true;
+}
+
+/**
+ * First minute strictly after `after` that matches the expression, in local
+ * time, or null when it never matches (such as 31 February)
+ */
+function nextCronTime(cron, after) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = new Date(date.getTime());
+    limit.setFullYear(limit.getFullYear() + CRON_SEARCH_YEARS);
+
+    while (date < limit) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cronDayMatches(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+// Local calendar keys for retention buckets and the calendar view
+function dayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function weekKey(date) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+    return dayKey(monday);
+}
+
+function monthKey(date) {
+    return dayKey(date).slice(0, 7);
+}
+
+/**
+ * Backup Scheduler
+ * Runs backups on cron schedules, one backup at a time, and applies each
+ * schedule's grandfather-father-son retention to the backups it created:
+ * the newest backup of each of the last N days, weeks and months is kept
+ * and the rest are deleted. Manual backups keep BackupManager's own
+ * retention.
+ *
+ * A run that could not start on time (the dashboard was down, or the
+ * previous run of the schedule was still going) is recorded as missed and
+ * followed by one catch-up run. Failed and missed runs are raised through
+ * AlertManager; the next successful run resolves the alert.
+ *
+ * Schedules and run history are kept in DATA_DIR/backup-schedules.json.
+ * Emits 'run' with each run when it changes state.
+ */
+class BackupScheduler extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.backupManager - BackupManager that creates and deletes archives
+     * @param {Object} [options.alertManager] - AlertManager for failed and missed runs
+     * @param {string} [options.dataDir] - Directory for schedules and runs (default DATA_DIR or ./data)
+     * @param {number} [options.checkInterval] - How often due schedules are checked (ms)
+     * @param {number} [options.missedGrace] - How late a run may start before it counts as missed (ms)
+     * @param {number} [options.maxRuns] - Run history entries kept
+     */
+    constructor(options = {}) {
+        super();
+
+        const dataDir = options.dataDir || process.env.DATA_DIR || './data';
+        this.dataDir = dataDir;
+        this.schedulesFile = `${dataDir}/backup-schedules.json`;
+        this.backupManager = options.backupManager;
+        this.alertManager = options.alertManager || null;
+
+        this.CHECK_INTERVAL = options.checkInterval || 60000;
+        this.MISSED_GRACE = options.missedGrace || 15 * 60 * 1000;
+        this.MAX_RUNS = options.maxRuns || 1000;
+
+        this.schedules = [];
+        this.runs = []; // newest first
+        this.queue = []; // runs waiting for the active one
+        this.activeRun = null;
+        this.checkTimer = null;
+
+        this.runners = {
+            config: this.createArchiveRunner(false),
+            full: this.createArchiveRunner(true)
+        };
+    }
+
+    /**
+     * Load schedules and history, then catch up on runs missed while the
+     * dashboard was down
+     */
+    async initialize() {
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+        } catch (error) {
+            console.warn('Failed to create data directory:', error.message);
+        }
+
+        await this.load();
+
+        // Runs in flight when the dashboard stopped did not finish
+        let interrupted = false;
+        this.runs.filter(run => run.status === 'queued' || run.status === 'running').forEach(run => {
+            run.status = 'failed';
+            run.error = 'Interrupted by a dashboard restart';
+            run.finishedAt = run.finishedAt || new Date().toISOString();
+            interrupted = true;
+        });
+        if (interrupted) {
+            await this.save();
+        }
+
+        this.checkTimer = setInterval(() => {
+            this.tick().catch(error => {
+                console.warn('Backup schedule check failed:', error.message);
+            });
+        }, this.CHECK_INTERVAL);
+        if (this.checkTimer.unref) {
+            this.checkTimer.unref();
+        }
+        await this.tick();
+
+        console.log(`Backup Scheduler initialized (${this.schedules.length} schedules)`);
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.schedulesFile, 'utf8'));
+            this.schedules = Array.isArray(data.schedules) ? data.schedules : [];
+            this.runs = Array.isArray(data.runs) ? data.runs.slice(0, this.MAX_RUNS) : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading backup schedules:', error.message);
+            }
+        }
+    }
+
+    async save() {
+        await fs.writeFile(this.schedulesFile, JSON.stringify({
+            schedules: this.schedules,
+            runs: this.runs,
+            savedAt: new Date().toISOString()
+        }), 'utf8');
+    }
+
+    /**
+     * Runner for BackupManager archives; full backups include the data volumes
+     */
+    createArchiveRunner(includeData) {
+        return {
+            run: async (schedule) => {
+                const backup = await this.backupManager.createBackup({
+                    description: `Scheduled: ${schedule.name}`,
+                    includeData,
+                    scheduleId: schedule.id
+                });
+                return { backupId: backup.backupId, size: backup.size };
+            },
+            list: async (scheduleId) => (await this.backupManager.getBackupHistory())
+                .filter(backup => backup.scheduleId === scheduleId)
+                .map(backup => ({ id: backup.id, created: backup.created })),
+            remove: (backupId) => this.backupManager.deleteBackup(backupId)
+        };
+    }
+
+    /**
+     * Make a backup type schedulable
+     * @param {string} type - One of SCHEDULE_TYPES
+     * @param {Object} runner - { run(schedule) -> {backupId, size}, list(scheduleId) -> [{id, created, group?}], remove(backupId) }
+     */
+    registerRunner(type, runner) {
+        if (!SCHEDULE_TYPES[type]) {
+            throw new Error(`Unknown backup type: ${type}`);
+        }
+        this.runners[type] = runner;
+    }
+
+    getTypes() {
+        return Object.entries(SCHEDULE_TYPES).map(([type, label]) => ({
+            type,
+            label,
+            available: Boolean(this.runners[type])
+        }));
+    }
+
+    /**
+     * Validate a schedule definition, filling defaults from `current` when updating
+     * @returns {Object} Normalized { name, type, cron, enabled, catchUp, retention }
+     */
+    validateSchedule(input, current = {}) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Invalid schedule: expected an object');
+        }
+        const definition = { ...current, ...input };
+        const errors = [];
+
+        const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+        if (!name || name.length > 100) {
+            errors.push('name is required (up to 100 characters)');
+        }
+        if (!SCHEDULE_TYPES[definition.type]) {
+            errors.push(`type must be one of ${Object.keys(SCHEDULE_TYPES).join(', ')}`);
+        } else if (!this.runners[definition.type]) {
+            errors.push(`${SCHEDULE_TYPES[definition.type]} backups are not available on this installation`);
+        }
+
+        let cron = null;
+        try {
+            cron = parseCron(definition.cron);
+            if (!nextCronTime(cron, new Date())) {
+                errors.push('cron expression never matches a date');
+            }
+        } catch (error) {
+            errors.push(error.message.replace(/^Invalid schedule: /, ''));
+        }
+
+        const retention = { ...DEFAULT_RETENTION, ...(definition.retention || {}) };
+        const periods = Object.keys(DEFAULT_RETENTION);
+        if (periods.some(period => !Number.isInteger(retention[period]) || retention[period] < 0 || retention[period] > 1000)) {
+            errors.push(`retention ${periods.join(', ')} must be whole numbers from 0 to 1000`);
+        } else if (periods.every(period => retention[period] === 0)) {
+            errors.push('retention must keep at least one backup');
+        }
+
+        ['enabled', 'catchUp'].forEach(field => {
+            if (definition[field] !== undefined && typeof definition[field] !== 'boolean') {
+                errors.push(`${field} must be true or false`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid schedule: ${errors.join(', ')}`);
+        }
+
+        return {
+            name,
+            type: definition.type,
+            cron: definition.cron.trim(),
+            enabled: definition.enabled !== false,
+            catchUp: definition.catchUp !== false,
+            retention: {
+                daily: retention.daily,
+                weekly: retention.weekly,
+                monthly: retention.monthly
+            }
+        };
+    }
+
+    findSchedule(scheduleId) {
+        const schedule = this.schedules.find(s => s.id === scheduleId);
+        if (!schedule) {
+            throw new Error(`Not found: backup schedule ${scheduleId}`);
+        }
+        return schedule;
+    }
+
+    describeSchedule(schedule) {
+        const lastRun = this.runs.find(run => run.scheduleId === schedule.id && run.status !== 'queued' && run.status !== 'running');
+        return {
+            ...schedule,
+            typeLabel: SCHEDULE_TYPES[schedule.type],
+            running: this.isBusy(schedule.id),
+            lastRun: lastRun || null
+        };
+    }
+
+    listSchedules() {
+        return this.schedules.map(schedule => this.describeSchedule(schedule));
+    }
+
+    getSchedule(scheduleId) {
+        return this.describeSchedule(this.findSchedule(scheduleId));
+    }
+
+    async addSchedule(input) {
+        const definition = this.validateSchedule(input);
+        const now = new Date();
+        const schedule = {
+            id: `sched_${now.getTime().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            ...definition,
+            createdAt: now.toISOString(),
+            nextRunAt: definition.enabled ? nextCronTime(parseCron(definition.cron), now).toISOString() : null
+        };
+        this.schedules.push(schedule);
+        await this.save();
+        return this.describeSchedule(schedule);
+    }
+
+    async updateSchedule(scheduleId, updates) {
+        const schedule = this.findSchedule(scheduleId);
+        const { id, createdAt, nextRunAt, ...current } = schedule;
+        const definition = this.validateSchedule(updates, current);
+
+        const timingChanged = definition.cron !== schedule.cron || definition.enabled !== schedule.enabled;
+        Object.assign(schedule, definition, { updatedAt: new Date().toISOString() });
+        if (timingChanged) {
+            schedule.nextRunAt = definition.enabled ? nextCronTime(parseCron(definition.cron), new Date()).toISOString() : null;
+        }
+        await this.save();
+        return this.describeSchedule(schedule);
+    }
+
+    /**
+     * Remove a schedule. Its backups and run history are kept.
+     */
+    async removeSchedule(scheduleId) {
+        const schedule = this.findSchedule(scheduleId);
+        this.schedules = this.schedules.filter(s => s !== schedule);
+        this.queue = this.queue.filter(run => {
+            if (run.scheduleId !== scheduleId) return true;
+            this.finishRun(run, 'cancelled', { error: 'Schedule removed before the run started' });
+            return false;
+        });
+        await this.save();
+        return { removed: scheduleId };
+    }
+
+    isBusy(scheduleId) {
+        return (this.activeRun && this.activeRun.scheduleId === scheduleId)
+            || this.queue.some(run => run.scheduleId === scheduleId);
+    }
+
+    /**
+     * Start a schedule's backup now, outside its timetable
+     */
+    async runNow(scheduleId) {
+        const schedule = this.findSchedule(scheduleId);
+        if (this.isBusy(scheduleId)) {
+            throw new Error(`Invalid request: ${schedule.name} is already running`);
+        }
+        const run = this.enqueue(schedule, { trigger: 'manual', scheduledFor: new Date().toISOString() });
+        await this.save();
+        return run;
+    }
+
+    /**
+     * Start due schedules and record the ones that were missed
+     */
+    async tick(now = new Date()) {
+        let changed = false;
+
+        for (const schedule of this.schedules) {
+            if (!schedule.enabled) continue;
+            const cron = parseCron(schedule.cron);
+            if (!schedule.nextRunAt) {
+                schedule.nextRunAt = nextCronTime(cron, now).toISOString();
+                changed = true;
+                continue;
+            }
+
+            const due = new Date(schedule.nextRunAt);
+            if (due > now) continue;
+
+            const busy = this.isBusy(schedule.id);
+            if (busy || now - due > this.MISSED_GRACE) {
+                const missed = this.recordMissedRun(schedule, cron, due, now, busy
+                    ? 'the previous run was still in progress'
+                    : 'the dashboard was not running');
+                if (!busy && schedule.catchUp) {
+                    this.enqueue(schedule, { trigger: 'catch-up', scheduledFor: now.toISOString(), catchUpFor: missed.id });
+                }
+            } else {
+                this.enqueue(schedule, { trigger: 'schedule', scheduledFor: schedule.nextRunAt });
+            }
+
+            schedule.nextRunAt = nextCronTime(cron, now).toISOString();
+            changed = true;
+        }
+
+        if (changed) {
+            await this.save();
+        }
+    }
+
+    recordMissedRun(schedule, cron, due, now, reason) {
+        let missedRuns = 0;
+        for (let at = due; at && at <= now && missedRuns < 1000; at = nextCronTime(cron, at)) {
+            missedRuns++;
+        }
+
+        const run = this.createRun(schedule, { trigger: 'schedule', scheduledFor: due.toISOString() });
+        run.missedRuns = missedRuns;
+        run.reason = reason;
+        this.finishRun(run, 'missed');
+        return run;
+    }
+
+    createRun(schedule, { trigger, scheduledFor, catchUpFor = null }) {
+        const run = {
+            id: `run_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            scheduleId: schedule.id,
+            scheduleName: schedule.name,
+            type: schedule.type,
+            trigger,
+            catchUpFor,
+            status: 'queued',
+            scheduledFor,
+            startedAt: null,
+            finishedAt: null,
+            durationMs: null,
+            backupId: null,
+            size: null,
+            pruned: [],
+            error: null
+        };
+        this.runs.unshift(run);
+        if (this.runs.length > this.MAX_RUNS) {
+            this.runs = this.runs.slice(0, this.MAX_RUNS);
+        }
+        return run;
+    }
+
+    enqueue(schedule, options) {
+        const run = this.createRun(schedule, options);
+        this.queue.push(run);
+        this.emit('run', run);
+        this.processQueue();
+        return run;
+    }
+
+    processQueue() {
+        if (this.activeRun || this.queue.length === 0) {
+            return;
+        }
+        this.activeRun = this.queue.shift();
+        this.executeRun(this.activeRun)
+            .catch(error => {
+                console.warn('Scheduled backup run failed:', error.message);
+            })
+            .finally(() => {
+                this.activeRun = null;
+                this.processQueue();
+            });
+    }
+
+    async executeRun(run) {
+        const schedule = this.schedules.find(s => s.id === run.scheduleId);
+        if (!schedule) {
+            this.finishRun(run, 'cancelled', { error: 'Schedule removed before the run started' });
+            return this.save();
+        }
+
+        run.status = 'running';
+        run.startedAt = new Date().toISOString();
+        this.emit('run', run);
+
+        try {
+            const runner = this.runners[schedule.type];
+            if (!runner) {
+                throw new Error(`${SCHEDULE_TYPES[schedule.type]} backups are not available on this installation`);
+            }
+            const result = await runner.run(schedule);
+            run.backupId = result.backupId;
+            run.size = result.size === undefined ? null : result.size;
+
+            try {
+                run.pruned = await this.applyRetention(schedule);
+            } catch (error) {
+                run.retentionError = error.message;
+                console.warn(`Retention for backup schedule ${schedule.name} failed:`, error.message);
+            }
+            this.finishRun(run, 'completed');
+        } catch (error) {
+            this.finishRun(run, 'failed', { error: error.message });
+        }
+
+        await this.save();
+    }
+
+    finishRun(run, status, details = {}) {
+        Object.assign(run, details, { status, finishedAt: new Date().toISOString() });
+        if (run.startedAt) {
+            run.durationMs = new Date(run.finishedAt) - new Date(run.startedAt);
+        }
+        if (this.alertManager) {
+            this.alertManager.processBackupRun(run);
+        }
+        this.emit('run', run);
+    }
+
+    /**
+     * Delete the schedule's backups that its retention no longer keeps
+     * @returns {Promise<string[]>} Deleted backup ids
+     */
+    async applyRetention(schedule) {
+        const runner = this.runners[schedule.type];
+        const backups = await runner.list(schedule.id);
+        const { prune } = BackupScheduler.selectRetention(backups, schedule.retention);
+
+        const pruned = [];
+        for (const backupId of prune) {
+            try {
+                await runner.remove(backupId);
+                pruned.push(backupId);
+            } catch (error) {
+                console.warn(`Failed to delete backup ${backupId}:`, error.message);
+            }
+        }
+        return pruned;
+    }
+
+    /**
+     * Grandfather-father-son selection: for each of the most recent `daily`
+     * days (and `weekly` weeks, `monthly` months) that have backups, keep the
+     * newest backup of that day (week, month). Backups with a `group` (one
+     * database of a database schedule) are counted per group.
+     * @param {Array<{id: string, created: string, group?: string}>} backups
+     * @param {{daily: number, weekly: number, monthly: number}} policy
+     * @returns {{keep: Array<{id: string, created: string, reasons: string[]}>, prune: string[]}}
+     */
+    static selectRetention(backups, policy = DEFAULT_RETENTION) {
+        const sorted = [...backups].sort((a, b) => new Date(b.created) - new Date(a.created));
+        const reasons = new Map(sorted.map(backup => [backup.id, []]));
+        const groups = new Set(sorted.map(backup => backup.group));
+
+        [['daily', dayKey], ['weekly', weekKey], ['monthly', monthKey]].forEach(([period, keyOf]) => {
+            for (const group of groups) {
+                const seen = new Set();
+                for (const backup of sorted.filter(entry => entry.group === group)) {
+                    if (seen.size >= (policy[period] || 0)) break;
+                    const key = keyOf(new Date(backup.created));
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        reasons.get(backup.id).push(period);
+                    }
+                }
+            }
+        });
+
+        return {
+            keep: sorted.filter(backup => reasons.get(backup.id).length > 0)
+                .map(backup => ({ id: backup.id, created: backup.created, reasons: reasons.get(backup.id) })),
+            prune: sorted.filter(backup => reasons.get(backup.id).length === 0).map(backup => backup.id)
+        };
+    }
+
+    /**
+     * What the schedule's retention would keep and delete right now
+     */
+    async previewRetention(scheduleId) {
+        const schedule = this.findSchedule(scheduleId);
+        const runner = this.runners[schedule.type];
+        if (!runner) {
+            return { keep: [], prune: [] };
+        }
+        return BackupScheduler.selectRetention(await runner.list(schedule.id), schedule.retention);
+    }
+
+    getRuns(options = {}) {
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || 100, 1), this.MAX_RUNS);
+        return this.runs
+            .filter(run => !options.scheduleId || run.scheduleId === options.scheduleId)
+            .slice(0, limit);
+    }
+
+    /**
+     * Past runs and upcoming runs of one month, by local day
+     * @param {string} [month] - "YYYY-MM" (default the current month)
+     * @returns {{month: string, days: Array<{date: string, runs: Object[], upcoming: Object[]}>}}
+     */
+    getCalendar(month, now = new Date()) {
+        const match = /^(\d{4})-(\d{2})$/.exec(month || monthKey(now));
+        if (!match || match[2] < '01' || match[2] > '12') {
+            throw new Error(`Invalid month: ${month} (expected YYYY-MM)`);
+        }
+        const start = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, 1);
+        const end = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+
+        const days = new Map();
+        for (const date = new Date(start); date < end; date.setDate(date.getDate() + 1)) {
+            days.set(dayKey(date), { date: dayKey(date), runs: [], upcoming: [] });
+        }
+
+        this.runs.forEach(run => {
+            const day = days.get(dayKey(new Date(run.startedAt || run.scheduledFor)));
+            if (day) {
+                day.runs.unshift({
+                    id: run.id,
+                    scheduleId: run.scheduleId,
+                    scheduleName: run.scheduleName,
+                    type: run.type,
+                    trigger: run.trigger,
+                    status: run.status,
+                    scheduledFor: run.scheduledFor,
+                    startedAt: run.startedAt,
+                    finishedAt: run.finishedAt,
+                    backupId: run.backupId,
+                    missedRuns: run.missedRuns,
+                    error: run.error || run.reason || null
+                });
+            }
+        });
+
+        // Upcoming runs per schedule and day, counted so hourly schedules stay readable
+        this.schedules.filter(schedule => schedule.enabled).forEach(schedule => {
+            const cron = parseCron(schedule.cron);
+            const perDay = new Map();
+            let at = nextCronTime(cron, new Date(Math.max(now.getTime(), start.getTime() - 60000)));
+            for (let count = 0; at && at < end && count < 5000; count++, at = nextCronTime(cron, at)) {
+                const key = dayKey(at);
+                if (!perDay.has(key)) {
+                    perDay.set(key, { scheduleId: schedule.id, scheduleName: schedule.name, type: schedule.type, first: at.toISOString(), count: 0 });
+                }
+                perDay.get(key).count++;
+            }
+            perDay.forEach((entry, key) => days.get(key).upcoming.push(entry));
+        });
+
+        return { month: monthKey(start), days: Array.from(days.values()) };
+    }
+
+    shutdown() {
+        if (this.checkTimer) {
+            clearInterval(this.checkTimer);
+            this.checkTimer = null;
+        }
+        this.removeAllListeners();
+    }
+}
+
+BackupScheduler.parseCron = parseCron;
+BackupScheduler.nextCronTime = nextCronTime;
+BackupScheduler.SCHEDULE_TYPES = SCHEDULE_TYPES;
+BackupScheduler.DEFAULT_RETENTION = DEFAULT_RETENTION;
+
+module.exports = BackupScheduler;
@@ -0,0 +1,263 @@
+const EventEmitter = require('events');
+
+/**
+ * BlockDAG Tracker
+ * Window of the most recent blocks received by the node, for the DAG
+ * visualizer: parents, selected parent, blue/red coloring and the
+ * selected-parent chain.
+ *
+ * Fed by the node client's 'blockAdded' and 'virtualChainChanged' events.
+ * A block's color is only known once a later block merges it: the merging
+ * chain block's view wins over the view of a block that is not (yet) on the
+ * chain. When the window is empty it is backfilled with getBlock from the
+ * DAG tips back through their parents.
+ *
+ * Changes are batched and emitted as 'update' { blocks, changes, evicted,
+ * sinkHash } at most once per flushInterval, so browsers receive a handful of
+ * messages per second at mainnet block rates rather than one per block.
+ */
+class BlockDagTracker extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Function} [options.getBlock] - async (hash) => RPC block, for backfilling
+     * @param {Function} [options.getTipHashes] - async () => current DAG tip hashes
+     * @param {number} [options.maxBlocks] - Blocks kept in the window
+     * @param {number} [options.flushInterval] - Minimum time between 'update' events (ms)
+     */
+    constructor(options = {}) {
+        super();
+
+        this.getBlock = options.getBlock || null;
+        this.getTipHashes = options.getTipHashes || null;
+        this.MAX_BLOCKS = options.maxBlocks || 300;
+        this.FLUSH_INTERVAL = options.flushInterval || 1000;
+
+        this.blocks = new Map(); // hash -> block, oldest first
+        this.sinkHash = null;
+        this.backfilling = null;
+
+        this.pending = { blocks: new Set(), changes: new Set(), evicted: [] };
+        this.flushTimer = null;
+    }
+
+    /**
+     * Add a block from a BlockAdded notification or getBlock
+     * @returns {boolean} false for blocks without a header or already known
+     */
+    addBlock(rpcBlock) {
+        const header = rpcBlock?.header;
+        const verbose = rpcBlock?.verboseData || {};
+        if (!header || !verbose.hash || this.blocks.has(verbose.hash)) {
+            return false;
+        }
+
+        const block = {
+            hash: verbose.hash,
+            parents: header.parents?.[0]?.parentHashes || [],
+            selectedParent: verbose.selectedParentHash || null,
+            blueScore: Number(header.blueScore),
+            daaScore: Number(header.daaScore),
+            timestamp: Number(header.timestamp),
+            transactionCount: verbose.transactionIds?.length ?? rpcBlock.transactions?.length ?? 0,
+            mergeSetBlues: verbose.mergeSetBluesHashes || [],
+            mergeSetReds: verbose.mergeSetRedsHashes || [],
+            isChain: Boolean(verbose.isChainBlock),
+            color: null,
+            coloredByChain: false
+        };
+        this.blocks.set(block.hash, block);
+        this.pending.blocks.add(block.hash);
+
+        // Blocks arrive after their past, so only this block's merge set is new
+        this.applyMergeSet(block);
+        if (block.isChain) {
+            this.markChain(block, true);
+        }
+
+        this.evict();
+        this.scheduleFlush();
+        return true;
+    }
+
+    /**
+     * Apply a VirtualChainChanged notification
+     */
+    applyChainChange({ addedChainBlockHashes = [], removedChainBlockHashes = [] }) {
+        removedChainBlockHashes.forEach(hash => {
+            const block = this.blocks.get(hash);
+            if (block) {
+                this.markChain(block, false);
+            }
+        });
+        addedChainBlockHashes.forEach(hash => {
+            const block = this.blocks.get(hash);
+            if (block) {
+                this.markChain(block, true);
+            }
+        });
+        if (addedChainBlockHashes.length > 0) {
+            this.sinkHash = addedChainBlockHashes[addedChainBlockHashes.length - 1];
+        }
+        this.scheduleFlush();
+    }
+
+    markChain(block, isChain) {
+        if (block.isChain !== isChain) {
+            block.isChain = isChain;
+            this.pending.changes.add(block.hash);
+        }
+        if (isChain) {
+            // A chain block's selected parent is blue and its merge set is final
+            this.setColor(block.selectedParent, 'blue', true);
+            this.applyMergeSet(block);
+        }
+    }
+
+    /**
+     * Color the blocks a block merges, as seen by that block
+     */
+    applyMergeSet(block) {
+        block.mergeSetBlues.forEach(hash => this.setColor(hash, 'blue', block.isChain));
+        block.mergeSetReds.forEach(hash => this.setColor(hash, 'red', block.isChain));
+    }
+
+    setColor(hash, color, byChain) {
+        const block = hash ? this.blocks.get(hash) : null;
+        if (!block || (block.coloredByChain && !byChain)) {
+            return;
+        }
+        block.coloredByChain = block.coloredByChain || byChain;
+        if (block.color !== color) {
+            block.color = color;
+            this.pending.changes.add(hash);
+        }
+    }
+
+    evict() {
+        while (this.blocks.size > this.MAX_BLOCKS) {
+            const oldest = this.blocks.keys().next().value;
+            this.blocks.delete(oldest);
+            this.pending.blocks.delete(oldest);
+            this.pending.changes.delete(oldest);
+            this.pending.evicted.push(oldest);
+        }
+    }
+
+    /**
+     * Fill an empty window from the DAG tips back through their parents
+     * @param {number} [limit] - Maximum number of blocks to fetch
+     */
+    backfill(limit = 100) {
+        if (!this.getBlock || !this.getTipHashes || this.blocks.size > 0) {
+            return Promise.resolve(0);
+        }
+        if (!this.backfilling) {
+            this.backfilling = this.walkBack(limit).finally(() => {
+                this.backfilling = null;
+            });
+        }
+        return this.backfilling;
+    }
+
+    async walkBack(limit) {
+        const fetched = [];
+        const seen = new Set();
+        let frontier = await this.getTipHashes();
+
+        while (frontier.length > 0 && fetched.length < limit) {
+            const batch = [...new Set(frontier.filter(hash => !seen.has(hash)))].slice(0, Math.min(10, limit - fetched.length));
+            if (batch.length === 0) {
+                break;
+            }
+            batch.forEach(hash => seen.add(hash));
+            const blocks = await Promise.all(batch.map(hash => this.getBlock(hash).catch(() => null)));
+
+            const next = [];
+            blocks.filter(Boolean).forEach(block => {
+                fetched.push(block);
+                next.push(...(block.header?.parents?.[0]?.parentHashes || []));
+            });
+            frontier = [...frontier.filter(hash => !seen.has(hash)), ...next];
+        }
+
+        // Oldest first, like notifications arrive
+        fetched
+            .sort((a, b) => Number(a.header.blueScore) - Number(b.header.blueScore))
+            .forEach(block => this.addBlock(block));
+        return fetched.length;
+    }
+
+    /**
+     * Whole window, for clients that just connected
+     */
+    getSnapshot() {
+        return {
+            blocks: Array.from(this.blocks.values()).map(block => this.toView(block)),
+            sinkHash: this.sinkHash,
+            maxBlocks: this.MAX_BLOCKS
+        };
+    }
+
+    toView(block) {
+        return {
+            hash: block.hash,
+            parents: block.parents,
+            selectedParent: block.selectedParent,
+            blueScore: block.blueScore,
+            daaScore: block.daaScore,
+            timestamp: block.timestamp,
+            transactionCount: block.transactionCount,
+            color: block.color,
+            isChain: block.isChain
+        };
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) {
+            return;
+        }
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.FLUSH_INTERVAL);
+        this.flushTimer.unref?.();
+    }
+
+    /**
+     * Emit the batched changes since the last update
+     */
+    flush() {
+        const { blocks, changes, evicted } = this.pending;
+        if (blocks.size === 0 && changes.size === 0 && evicted.length === 0) {
+            return null;
+        }
+        this.pending = { blocks: new Set(), changes: new Set(), evicted: [] };
+
+        const update = {
+            blocks: Array.from(blocks).map(hash => this.toView(this.blocks.get(hash))),
+            // Color and chain changes of blocks sent earlier
+            changes: Array.from(changes)
+                .filter(hash => !blocks.has(hash) && this.blocks.has(hash))
+                .map(hash => {
+                    const block = this.blocks.get(hash);
+                    return { hash, color: block.color, isChain: block.isChain };
+                }),
+            evicted,
+            sinkHash: this.sinkHash
+        };
+        this.emit('update', update);
+        return update;
+    }
+
+    shutdown() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.removeAllListeners();
+
+        console.log('BlockDAG Tracker shutdown complete');
+    }
+}
+
+module.exports = BlockDagTracker;
@@ -7,6 +7,9 @@ const { createResolver } = require('../../shared/lib/path-resolver');
 
 const execAsync = promisify(exec);
 
+// Audit log actions (wizard and dashboard) that write configuration files
+const CONFIG_AUDIT_ACTIONS = ['config.', 'profiles.', 'install.', 'reconfigure', 'rollback.', 'backups.restore', 'updates.'];
+
 /**
  * ConfigurationSynchronizer handles configuration change detection,
  * automatic dashboard refresh, and configuration history tracking.
@@ -38,6 +41,10 @@ class ConfigurationSynchronizer {
         this.onConfigurationChanged = options.onConfigurationChanged || null;
         this.onDashboardRefreshNeeded = options.onDashboardRefreshNeeded || null;
         
+        // Shared audit log, used to attribute changes to the request that made them
+        this.auditLog = options.auditLog || null;
+        this.auditAttributionWindow = options.auditAttributionWindow || 2 * 60 * 1000;
+        
         // Monitoring state
         this.isMonitoring = false;
         this.monitoringInterval = null;
@@ -349,6 +356,18 @@ class ConfigurationSynchronizer {
      */
     async determineChangeAttribution() {
         try {
+            // A recent audited request is the most precise answer
+            const auditEntry = await this.findAuditedChange();
+            if (auditEntry) {
+                const actorName = auditEntry.actor && auditEntry.actor.name ? auditEntry.actor.name : 'unknown user';
+                return {
+                    source: auditEntry.source,
+                    description: `${auditEntry.source === 'wizard' ? 'Installation Wizard' : 'Management Dashboard'}: ${auditEntry.action} by ${actorName}`,
+                    actor: auditEntry.actor,
+                    auditId: auditEntry.id
+                };
+            }
+            
             // Check if wizard is running (might have made the change)
             const wizardRunning = await this.isWizardRunning();
             if (wizardRunning) {
@@ -383,6 +402,22 @@ class ConfigurationSynchronizer {
         }
     }
 
+    /**
+     * Most recent successful configuration-changing request in the audit log
+     */
+    async findAuditedChange() {
+        if (!this.auditLog) {
+            return null;
+        }
+        
+        try {
+            return await this.auditLog.findRecent(CONFIG_AUDIT_ACTIONS, this.auditAttributionWindow);
+        } catch (error) {
+            console.warn('Failed to read audit log for change attribution:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Check if wizard is currently running
      */
@@ -0,0 +1,828 @@
+const { spawn } = require('child_process');
+const { createReadStream, createWriteStream } = require('fs');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const ServiceController = require('./ServiceController');
+
+// Indexer databases by the keys DatabasePerformanceMonitor uses. Each runs in
+// one of two containers depending on the profile; the writers are the
+// indexers that must be stopped while their database is replaced.
+const DATABASE_TARGETS = {
+    'indexer-db': {
+        label: 'Simply Kaspa indexer',
+        containers: ['timescaledb-explorer', 'simply-kaspa-db'],
+        writers: ['simply-kaspa-indexer']
+    },
+    'k-social-db': {
+        label: 'K-Social indexer',
+        containers: ['timescaledb-kindexer', 'k-social-db'],
+        writers: ['k-indexer']
+    }
+};
+
+// Database and user names as the wizard accepts them
+const IDENTIFIER_PATTERN = /^[a-zA-Z0-9_]+$/;
+const DUMP_ID_PATTERN = /^pgdump_\d+_[a-z0-9]+$/;
+
+// Schemas TimescaleDB manages itself; their tables are not checked after a restore
+const INTERNAL_SCHEMA_PATTERN = /^(_timescaledb|timescaledb_)/;
+
+// Characters of pg_dump/pg_restore stderr kept for error messages
+const STDERR_TAIL = 2000;
+
+/**
+ * Database Backup Manager
+ * Logical backups of the indexer databases with pg_dump and pg_restore,
+ * run inside the database containers so no PostgreSQL client is needed on
+ * the host. Dumps stream to DATA_DIR/db-backups/<id>.dump (custom format)
+ * with a manifest beside it, and are checked with pg_restore --list before
+ * they count as taken.
+ *
+ * A restore goes into a scratch database first, following the TimescaleDB
+ * pre/post restore procedure, and only replaces the live database (by
+ * renaming) once every table of the dump is there. The indexers writing to
+ * the database are stopped for the restore and started again afterwards.
+ */
+class DatabaseBackupManager {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dataDir] - Directory for dumps (default DATA_DIR or ./data)
+     * @param {Object} [options.serviceController] - ServiceController used to stop and start services
+     * @param {Object} [options.targets] - Database key -> { label, containers, writers }
+     */
+    constructor(options = {}) {
+        const dataDir = options.dataDir || process.env.DATA_DIR || './data';
+        this.dumpDir = `${dataDir}/db-backups`;
+        this.targets = options.targets || DATABASE_TARGETS;
+        this.serviceController = options.serviceController || new ServiceController();
+        this.serviceMonitor = this.serviceController.serviceMonitor;
+        this.healthCheckTimeout = 120000; // per restarted indexer
+        this.swapAttempts = 3;
+        this.swapRetryDelay = 2000;
+
+        this.runs = new Map(); // run id -> dump/restore run
+        this.active = new Map(); // database key -> kind of run in progress
+    }
+
+    async initialize() {
+        await fs.mkdir(this.dumpDir, { recursive: true });
+
+        // Partial files are what an interrupted dump leaves behind
+        const files = await fs.readdir(this.dumpDir);
+        for (const file of files.filter(name => name.endsWith('.partial'))) {
+            await fs.unlink(`${this.dumpDir}/${file}`).catch(() => {});
+        }
+
+        console.log(`Database Backup Manager initialized (${files.filter(name => name.endsWith('.json')).length} dumps)`);
+    }
+
+    /**
+     * Run docker with the given arguments and wait for it to exit
+     * @param {string[]} args
+     * @param {Object} [options]
+     * @param {string} [options.stdin] - Text written to the process
+     * @param {Object} [options.input] - Readable stream piped to the process
+     * @param {Object[]} [options.output] - Streams stdout is piped through instead of being collected
+     * @param {Function} [options.onStderr] - Called with each stderr chunk as text
+     * @returns {Promise<string>} Collected stdout
+     */
+    async docker(args, options = {}) {
+        const child = spawn('docker', args);
+        const stdout = [];
+        let stderr = '';
+
+        child.stderr.on('data', chunk => {
+            stderr = (stderr + chunk).slice(-STDERR_TAIL);
+            if (options.onStderr) {
+                options.onStderr(chunk.toString());
+            }
+        });
+        const exited = new Promise((resolve, reject) => {
+            child.on('error', reject);
+            child.on('close', resolve);
+        });
+
+        let output;
+        if (options.output) {
+            output = pipeline(child.stdout, ...options.output).catch(error => {
+                child.kill();
+                throw error;
+            });
+        } else {
+            child.stdout.on('data', chunk => stdout.push(chunk));
+            output = Promise.resolve();
+        }
+
+        let input;
+        if (options.input) {
+            // A process that fails early stops reading; its exit code tells why
+            input = pipeline(options.input, child.stdin).catch(error => {
+                if (error.code !== 'EPIPE' && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                    child.kill();
+                    throw error;
+                }
+            });
+        } else {
+            child.stdin.end(options.stdin || '');
+            input = Promise.resolve();
+        }
+
+        const [code] = await Promise.all([exited, output, input]);
+        if (code !== 0) {
+            // --verbose progress lines are not part of the error
+            const message = stderr.trim().split('\n')
+                .filter(line => !/^pg_(dump|restore): (?!error|warning)/.test(line))
+                .slice(-3).join(' ');
+            throw new Error(message || `docker ${args[0]} exited with code ${code}`);
+        }
+        return Buffer.concat(stdout).toString();
+    }
+
+    /**
+     * Run SQL with psql in the database container
+     * @returns {Promise<string[][]>} Result rows, columns split on |
+     */
+    async psql(target, sql, database = target.dbName) {
+        const output = await this.docker(
+            ['exec', '-i', target.container, 'psql', '-XAtq', '-v', 'ON_ERROR_STOP=1', '-U', target.user, '-d', database],
+            { stdin: sql }
+        );
+        return output.split('\n').filter(line => line !== '').map(line => line.split('|'));
+    }
+
+    /**
+     * Databases that can be backed up, with the container they run in
+     */
+    async listTargets() {
+        const docker = await this.serviceMonitor.getDockerServices();
+        return Object.entries(this.targets).map(([key, definition]) => {
+            const container = definition.containers.find(name => docker.get(name)?.isRunning) || null;
+            return {
+                key,
+                label: definition.label,
+                container,
+                available: Boolean(container),
+                busy: this.active.get(key) || null
+            };
+        });
+    }
+
+    /**
+     * The running container of a database, with the database and user it was
+     * created with (POSTGRES_DB / POSTGRES_USER of the container)
+     */
+    async resolveTarget(key) {
+        const definition = this.targets[key];
+        if (!definition) {
+            throw new Error(`Unknown database: ${key}`);
+        }
+
+        const docker = await this.serviceMonitor.getDockerServices();
+        const container = definition.containers.find(name => docker.get(name)?.isRunning);
+        if (!container) {
+            throw new Error(`Database unavailable: ${key} (${definition.containers.join(' or ')} is not running)`);
+        }
+
+        let env;
+        try {
+            env = JSON.parse(await this.docker(['inspect', '--format', '{{json .Config.Env}}', container]));
+        } catch (error) {
+            throw new Error(`Database unavailable: ${key}: ${error.message}`);
+        }
+        const variables = Object.fromEntries((env || []).map(entry => {
+            const separator = entry.indexOf('=');
+            return [entry.slice(0, separator), entry.slice(separator + 1)];
+        }));
+        const user = variables.POSTGRES_USER || 'postgres';
+        const dbName = variables.POSTGRES_DB || user;
+        if (!IDENTIFIER_PATTERN.test(user) || !IDENTIFIER_PATTERN.test(dbName)) {
+            throw new Error(`Invalid database configuration: ${container} uses database "${dbName}" and user "${user}"`);
+        }
+
+        return { key, label: definition.label, container, dbName, user, writers: definition.writers, docker };
+    }
+
+    /**
+     * Mark a database busy; dumps and restores of one database do not overlap
+     */
+    claim(key, kind) {
+        if (this.active.has(key)) {
+            throw new Error(`Invalid request: a ${this.active.get(key)} of ${key} is already running`);
+        }
+        this.active.set(key, kind);
+    }
+
+    createRun(kind, key, fields) {
+        const run = {
+            id: `dbrun_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            kind,
+            database: key,
+            status: 'running',
+            step: null,
+            progress: { tablesDone: 0, tablesTotal: null, bytes: 0, bytesTotal: null, currentTable: null },
+            ...fields,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            error: null
+        };
+        this.runs.set(run.id, run);
+        // Keep the last few runs for status polling
+        if (this.runs.size > 20) {
+            this.runs.delete(this.runs.keys().next().value);
+        }
+        return run;
+    }
+
+    getRun(runId) {
+        const run = this.runs.get(runId);
+        if (!run) {
+            throw new Error(`Not found: database backup run ${runId}`);
+        }
+        const { promise, ...status } = run;
+        return status;
+    }
+
+    dumpPath(dumpId) {
+        return `${this.dumpDir}/${dumpId}.dump`;
+    }
+
+    manifestPath(dumpId) {
+        return `${this.dumpDir}/${dumpId}.json`;
+    }
+
+    /**
+     * Dump a database in the background; follow it with getRun
+     * @param {string} key - Database key (see DATABASE_TARGETS)
+     * @param {Object} [options] - { scheduleId, actor }
+     */
+    async startDump(key, options = {}) {
+        this.claim(key, 'dump');
+        let target;
+        try {
+            target = await this.resolveTarget(key);
+        } catch (error) {
+            this.active.delete(key);
+            throw error;
+        }
+
+        const run = this.createRun('dump', key, {
+            dumpId: `pgdump_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            actor: options.actor || null
+        });
+        run.promise = this.executeDump(run, target, options).finally(() => this.active.delete(key));
+        return run;
+    }
+
+    async executeDump(run, target, options) {
+        const file = this.dumpPath(run.dumpId);
+        const partial = `${file}.partial`;
+
+        try {
+            await fs.mkdir(this.dumpDir, { recursive: true });
+
+            run.step = 'inspect';
+            const [[postgresVersion, timescaleVersion, databaseSize, tablesTotal]] = await this.psql(target, `
+                SELECT current_setting('server_version'),
+                       COALESCE((SELECT extversion FROM pg_extension WHERE extname = 'timescaledb'), ''),
+                       pg_database_size(current_database()),
+                       (SELECT count(*) FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+                         WHERE c.relkind IN ('r', 'p') AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+                           AND n.nspname NOT LIKE 'pg_toast%');
+            `);
+            run.progress.tablesTotal = Number(tablesTotal);
+
+            // pg_dump works from one snapshot taken when it starts, so that is
+            // the point in time the dump represents
+            run.step = 'dump';
+            const createdAt = new Date().toISOString();
+            const hash = crypto.createHash('sha256');
+            const counter = new Transform({
+                transform(chunk, encoding, callback) {
+                    hash.update(chunk);
+                    run.progress.bytes += chunk.length;
+                    callback(null, chunk);
+                }
+            });
+            await this.docker(
+                ['exec', target.container, 'pg_dump', '-U', target.user, '-d', target.dbName, '--format=custom', '--verbose'],
+                {
+                    output: [counter, createWriteStream(partial, { mode: 0o600 })],
+                    onStderr: text => this.trackTables(run, text, /dumping contents of table "([^"]+)"/g)
+                }
+            );
+
+            run.step = 'verify';
+            const toc = await this.readToc(partial, target);
+            await fs.rename(partial, file);
+
+            const manifest = {
+                id: run.dumpId,
+                database: target.key,
+                label: target.label,
+                dbName: target.dbName,
+                container: target.container,
+                createdAt,
+                finishedAt: new Date().toISOString(),
+                size: run.progress.bytes,
+                sha256: hash.digest('hex'),
+                databaseSize: Number(databaseSize),
+                postgresVersion,
+                timescaleVersion: timescaleVersion || null,
+                tables: toc.tables,
+                tableData: toc.data,
+                scheduleId: options.scheduleId || null,
+                actor: run.actor
+            };
+            await fs.writeFile(this.manifestPath(run.dumpId), JSON.stringify(manifest, null, 2), { mode: 0o600 });
+
+            run.size = manifest.size;
+            run.status = 'completed';
+        } catch (error) {
+            await fs.unlink(partial).catch(() => {});
+            run.status = 'failed';
+            run.error = error.message;
+            console.warn(`Dump of ${target.key} failed:`, error.message);
+        }
+        run.step = null;
+        run.progress.currentTable = null;
+        run.finishedAt = new Date().toISOString();
+    }
+
+    trackTables(run, text, pattern) {
+        for (const match of text.matchAll(pattern)) {
+            run.progress.tablesDone += 1;
+            run.progress.currentTable = match[1];
+        }
+    }
+
+    /**
+     * Table of contents of a dump as pg_restore reads it; a dump it cannot
+     * read is not a backup
+     * @returns {Promise<{tables: string[], data: number}>} Tables outside the
+     *   TimescaleDB schemas, and the number of table data entries
+     */
+    async readToc(file, target) {
+        let list;
+        try {
+            list = await this.docker(['exec', '-i', target.container, 'pg_restore', '--list'], { input: createReadStream(file) });
+        } catch (error) {
+            throw new Error(`Dump verification failed: ${error.message}`);
+        }
+
+        const tables = [];
+        let data = 0;
+        for (const line of list.split('\n')) {
+            const entry = line.match(/^\d+; \d+ \d+ TABLE (DATA )?(\S+) (\S+) /);
+            if (!entry) continue;
+            if (entry[1]) {
+                data += 1;
+            } else if (!INTERNAL_SCHEMA_PATTERN.test(entry[2])) {
+                tables.push(`${entry[2]}.${entry[3]}`);
+            }
+        }
+        return { tables, data };
+    }
+
+    async readManifest(dumpId) {
+        if (!DUMP_ID_PATTERN.test(String(dumpId))) {
+            throw new Error(`Invalid dump id: ${dumpId}`);
+        }
+        try {
+            return JSON.parse(await fs.readFile(this.manifestPath(dumpId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Not found: database dump ${dumpId}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Dumps, newest first
+     * @param {string} [key] - Only dumps of this database
+     */
+    async listDumps(key) {
+        let files;
+        try {
+            files = await fs.readdir(this.dumpDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const dumps = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            try {
+                const manifest = await this.readManifest(file.slice(0, -'.json'.length));
+                if (!key || manifest.database === key) {
+                    dumps.push(manifest);
+                }
+            } catch (error) {
+                console.warn(`Skipping unreadable dump manifest ${file}:`, error.message);
+            }
+        }
+        return dumps.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Pick a dump of a database: by id, as of a point in time (the newest dump
+     * taken at or before it), or the newest one
+     * @param {Object} [selection] - { dumpId } or { at }
+     */
+    async findDump(key, selection = {}) {
+        if (!this.targets[key]) {
+            throw new Error(`Unknown database: ${key}`);
+        }
+
+        if (selection.dumpId) {
+            const manifest = await this.readManifest(selection.dumpId);
+            if (manifest.database !== key) {
+                throw new Error(`Invalid request: dump ${selection.dumpId} is of ${manifest.database}, not ${key}`);
+            }
+            return manifest;
+        }
+
+        const dumps = await this.listDumps(key);
+        if (selection.at) {
+            const at = new Date(selection.at);
+            if (isNaN(at.getTime())) {
+                throw new Error(`Invalid point in time: ${selection.at}`);
+            }
+            const dump = dumps.find(entry => new Date(entry.createdAt) <= at);
+            if (!dump) {
+                throw new Error(`Not found: no dump of ${key} taken at or before ${at.toISOString()}`);
+            }
+            return dump;
+        }
+
+        if (dumps.length === 0) {
+            throw new Error(`Not found: no dumps of ${key}`);
+        }
+        return dumps[0];
+    }
+
+    async deleteDump(dumpId) {
+        const manifest = await this.readManifest(dumpId);
+        if (this.active.get(manifest.database) === 'restore') {
+            throw new Error(`Invalid request: ${dumpId} cannot be deleted while ${manifest.database} is being restored`);
+        }
+        await fs.unlink(this.dumpPath(dumpId)).catch(() => {});
+        await fs.unlink(this.manifestPath(dumpId));
+        return { deleted: dumpId };
+    }
+
+    /**
+     * What restoring a dump involves: the services stopped for it and whether
+     * this container can take it. Anything in `problems` blocks the restore.
+     * @param {Object} [selection] - { dumpId } or { at }, see findDump
+     */
+    async planRestore(key, selection = {}, target = null) {
+        target = target || await this.resolveTarget(key);
+        const dump = await this.findDump(key, selection);
+        const problems = [];
+        const warnings = [];
+
+        // The writers and whatever depends on them or on the database
+        const running = name => target.docker.get(name)?.isRunning || false;
+        const services = new Set();
+        const queue = [target.container, ...target.writers];
+        while (queue.length > 0) {
+            const name = queue.shift();
+            if (name !== target.container && running(name) && !services.has(name)) {
+                services.add(name);
+            }
+            for (const dependent of this.serviceMonitor.getDependents(name)) {
+                if (!services.has(dependent) && running(dependent)) {
+                    queue.push(dependent);
+                }
+            }
+        }
+
+        const [[postgresVersion, timescaleVersions, installed]] = await this.psql(target, `
+            SELECT current_setting('server_version'),
+                   COALESCE((SELECT string_agg(version, ',') FROM pg_available_extension_versions WHERE name = 'timescaledb'), ''),
+                   COALESCE((SELECT extversion FROM pg_extension WHERE extname = 'timescaledb'), '');
+        `);
+        const major = version => parseInt(String(version), 10);
+        if (major(dump.postgresVersion) > major(postgresVersion)) {
+            problems.push(`the dump is from PostgreSQL ${dump.postgresVersion}, ${target.container} runs ${postgresVersion}`);
+        }
+        if (dump.timescaleVersion && !timescaleVersions.split(',').includes(dump.timescaleVersion)) {
+            problems.push(`the dump needs TimescaleDB ${dump.timescaleVersion}, ${target.container} has ${timescaleVersions || 'none'}`);
+        } else if (dump.timescaleVersion && installed && installed !== dump.timescaleVersion) {
+            warnings.push(`the restored database keeps TimescaleDB ${dump.timescaleVersion}; the live one has ${installed}`);
+        }
+
+        // The restore is built beside the live database
+        const df = await this.docker(['exec', target.container, 'df', '-Pk', '/var/lib/postgresql/data']);
+        const freeBytes = (parseInt((df.trim().split('\n').pop() || '').split(/\s+/)[3], 10) || 0) * 1024;
+        if (dump.databaseSize && freeBytes < dump.databaseSize) {
+            problems.push(`about ${formatBytes(dump.databaseSize)} of free space is needed in ${target.container}, ${formatBytes(freeBytes)} is available`);
+        }
+
+        const stopping = Array.from(services);
+        return {
+            database: key,
+            label: target.label,
+            container: target.container,
+            dbName: target.dbName,
+            dump,
+            services: stopping,
+            stopOrder: this.serviceMonitor.validateStartupOrder(stopping).reverse(),
+            startOrder: this.serviceMonitor.validateStartupOrder(stopping),
+            checks: { postgresVersion, timescaleVersions: timescaleVersions ? timescaleVersions.split(',') : [], freeBytes },
+            problems,
+            warnings
+        };
+    }
+
+    /**
+     * Restore a dump in the background: restore it into a scratch database,
+     * check it, then stop the writers, swap it in for the live database and
+     * start them again. The replaced database is kept until the writers
+     * report healthy. Follow it with getRun.
+     * @param {Object} [options] - { dumpId } or { at } (see findDump), and actor
+     */
+    async restoreDump(key, options = {}) {
+        this.claim(key, 'restore');
+        let target;
+        let plan;
+        try {
+            target = await this.resolveTarget(key);
+            plan = await this.planRestore(key, options, target);
+            if (plan.problems.length > 0) {
+                throw new Error(`Invalid restore: ${plan.problems.join('; ')}`);
+            }
+        } catch (error) {
+            this.active.delete(key);
+            throw error;
+        }
+
+        const run = this.createRun('restore', key, {
+            dumpId: plan.dump.id,
+            actor: options.actor || null,
+            plan,
+            steps: [],
+            health: [],
+            preRestoreDatabase: null
+        });
+        run.progress.bytesTotal = plan.dump.size;
+        run.progress.tablesTotal = plan.dump.tableData === undefined ? null : plan.dump.tableData;
+        run.promise = this.executeRestore(run, target).finally(() => this.active.delete(key));
+        return run;
+    }
+
+    async executeRestore(run, target) {
+        const { plan } = run;
+        const { dump } = plan;
+        const record = (step, status, detail) => {
+            run.steps.push({ step, status, detail, timestamp: new Date().toISOString() });
+        };
+        const scratch = `${target.dbName}_restore`;
+        const previous = `${target.dbName}_pre_restore_${Date.now()}`;
+        const stopped = [];
+        let swapped = false;
+
+        try {
+            run.step = 'verify';
+            await this.verifyChecksum(dump);
+            record('verify', 'completed', `sha256 ${dump.sha256.slice(0, 12)}…`);
+
+            run.step = 'prepare';
+            await this.psql(target, `DROP DATABASE IF EXISTS ${quoteIdent(scratch)};`, 'postgres');
+            await this.psql(target, `CREATE DATABASE ${quoteIdent(scratch)};`, 'postgres');
+            if (dump.timescaleVersion) {
+                await this.psql(target, `
+                    CREATE EXTENSION IF NOT EXISTS timescaledb VERSION ${quoteLiteral(dump.timescaleVersion)};
+                    SELECT timescaledb_pre_restore();
+                `, scratch);
+            }
+            record('prepare', 'completed', scratch);
+
+            run.step = 'restore';
+            const counter = new Transform({
+                transform(chunk, encoding, callback) {
+                    run.progress.bytes += chunk.length;
+                    callback(null, chunk);
+                }
+            });
+            await this.docker(
+                ['exec', '-i', target.container, 'pg_restore', '-U', target.user, '-d', scratch, '--no-owner', '--exit-on-error', '--verbose'],
+                {
+                    input: createReadStream(this.dumpPath(dump.id)).pipe(counter),
+                    onStderr: text => this.trackTables(run, text, /processing data for table "([^"]+)"/g)
+                }
+            );
+            if (dump.timescaleVersion) {
+                await this.psql(target, 'SELECT timescaledb_post_restore();', scratch);
+            }
+            record('restore', 'completed', `${run.progress.tablesDone} tables`);
+
+            run.step = 'check';
+            const present = new Set((await this.psql(target, `
+                SELECT schemaname || '.' || tablename FROM pg_tables;
+            `, scratch)).map(([name]) => name));
+            const missing = dump.tables.filter(table => !present.has(table));
+            if (missing.length > 0) {
+                throw new Error(`Restored database is missing tables: ${missing.join(', ')}`);
+            }
+            record('check', 'completed', `${dump.tables.length} tables present`);
+
+            run.step = 'stop';
+            for (const name of plan.stopOrder) {
+                await this.serviceController.gracefulStop(name);
+                stopped.push(name);
+                record('stop', 'completed', name);
+            }
+
+            run.step = 'swap';
+            await this.swapDatabases(target, scratch, previous);
+            swapped = true;
+            run.preRestoreDatabase = previous;
+            record('swap', 'completed', `${target.dbName} replaced, previous data in ${previous}`);
+
+            run.step = 'analyze';
+            try {
+                await this.psql(target, 'ANALYZE;');
+                record('analyze', 'completed', target.dbName);
+            } catch (error) {
+                record('analyze', 'failed', error.message);
+            }
+        } catch (error) {
+            run.error = error.message;
+            record(run.step, 'failed', error.message);
+            if (!swapped) {
+                // The live database was never touched
+                await this.psql(target, `DROP DATABASE IF EXISTS ${quoteIdent(scratch)};`, 'postgres').catch(dropError => {
+                    record('cleanup', 'failed', `${scratch}: ${dropError.message}`);
+                });
+            }
+        }
+
+        // Whatever was stopped comes back, also after a failure
+        run.step = 'start';
+        const started = [];
+        for (const name of this.serviceMonitor.validateStartupOrder(stopped)) {
+            try {
+                await this.serviceController.executeDockerCommand('start', name);
+                started.push(name);
+                record('start', 'completed', name);
+            } catch (error) {
+                record('start', 'failed', `${name}: ${error.message}`);
+            }
+        }
+
+        run.step = 'health';
+        const monitored = new Set(this.serviceMonitor.serviceDefinitions.map(service => service.name));
+        for (const name of started) {
+            const healthy = monitored.has(name)
+                ? await this.serviceController.waitForServiceHealthy(name, this.healthCheckTimeout)
+                : null;
+            run.health.push({ service: name, healthy });
+        }
+
+        // The replaced database is the way back until the indexers run on the new one
+        if (swapped) {
+            run.step = 'cleanup';
+            const healthy = run.steps.every(step => step.status !== 'failed') && run.health.every(check => check.healthy !== false);
+            if (healthy) {
+                try {
+                    await this.psql(target, `DROP DATABASE ${quoteIdent(previous)};`, 'postgres');
+                    run.preRestoreDatabase = null;
+                    record('cleanup', 'completed', `dropped ${previous}`);
+                } catch (error) {
+                    record('cleanup', 'failed', `${previous}: ${error.message}`);
+                }
+            } else {
+                record('cleanup', 'skipped', `kept ${previous}; rename it back to ${target.dbName} to undo the restore`);
+            }
+        }
+
+        const problems = run.steps.some(step => step.status === 'failed') || run.health.some(check => check.healthy === false);
+        run.status = run.error ? 'failed' : (problems ? 'completed_with_errors' : 'completed');
+        run.step = null;
+        run.progress.currentTable = null;
+        run.finishedAt = new Date().toISOString();
+        console.log(`Restore of ${run.database} from ${dump.id} ${run.status}`);
+    }
+
+    async verifyChecksum(dump) {
+        const hash = crypto.createHash('sha256');
+        await pipeline(createReadStream(this.dumpPath(dump.id)), hash);
+        if (hash.digest('hex') !== dump.sha256) {
+            throw new Error(`Dump verification failed: checksum mismatch for ${dump.id}`);
+        }
+    }
+
+    /**
+     * Rename the restored database into place. New connections are refused
+     * and open ones ended first; a rename that fails half way is rolled back.
+     */
+    async swapDatabases(target, scratch, previous) {
+        const live = quoteIdent(target.dbName);
+        const allow = (name, allowed) => this.psql(target, `ALTER DATABASE ${quoteIdent(name)} WITH ALLOW_CONNECTIONS ${allowed};`, 'postgres');
+
+        await allow(target.dbName, false);
+        let renamed = false;
+        for (let attempt = 1; !renamed; attempt++) {
+            try {
+                await this.psql(target, `
+                    SELECT pg_terminate_backend(pid) FROM pg_stat_activity
+                     WHERE datname = ${quoteLiteral(target.dbName)} AND pid <> pg_backend_pid();
+                `, 'postgres');
+                await this.psql(target, `ALTER DATABASE ${live} RENAME TO ${quoteIdent(previous)};`, 'postgres');
+                renamed = true;
+            } catch (error) {
+                if (attempt >= this.swapAttempts) {
+                    await allow(target.dbName, true).catch(() => {});
+                    throw new Error(`Could not take ${target.dbName} offline: ${error.message}`);
+                }
+                await this.sleep(this.swapRetryDelay);
+            }
+        }
+
+        try {
+            await this.psql(target, `ALTER DATABASE ${quoteIdent(scratch)} RENAME TO ${live};`, 'postgres');
+        } catch (error) {
+            await this.psql(target, `ALTER DATABASE ${quoteIdent(previous)} RENAME TO ${live};`, 'postgres').catch(() => {});
+            await allow(target.dbName, true).catch(() => {});
+            throw new Error(`Could not rename ${scratch} to ${target.dbName}: ${error.message}`);
+        }
+        await allow(target.dbName, true);
+        await allow(previous, true);
+    }
+
+    /**
+     * Runner for BackupScheduler 'database' schedules: dumps every running
+     * indexer database. Retention applies per database.
+     */
+    createScheduleRunner() {
+        return {
+            run: async (schedule) => {
+                const keys = (await this.listTargets()).filter(target => target.available).map(target => target.key);
+                if (keys.length === 0) {
+                    throw new Error('No indexer database is running');
+                }
+
+                const dumps = [];
+                const errors = [];
+                for (const key of keys) {
+                    try {
+                        const run = await this.startDump(key, { scheduleId: schedule.id, actor: 'scheduler' });
+                        await run.promise;
+                        if (run.status === 'completed') {
+                            dumps.push(run);
+                        } else {
+                            errors.push(`${key}: ${run.error}`);
+                        }
+                    } catch (error) {
+                        errors.push(`${key}: ${error.message}`);
+                    }
+                }
+                if (errors.length > 0) {
+                    throw new Error(`Database dump failed: ${errors.join('; ')}`);
+                }
+                return { backupId: dumps.map(run => run.dumpId).join(','), size: dumps.reduce((sum, run) => sum + run.size, 0) };
+            },
+            list: async (scheduleId) => (await this.listDumps())
+                .filter(dump => dump.scheduleId === scheduleId)
+                .map(dump => ({ id: dump.id, created: dump.createdAt, group: dump.database })),
+            remove: (dumpId) => this.deleteDump(dumpId)
+        };
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    shutdown() {
+        // A restore only touches the live database in the swap, which is a
+        // few renames; an interrupted one leaves a scratch database behind
+        const running = Array.from(this.runs.values()).filter(run => run.status === 'running');
+        if (running.length > 0) {
+            console.warn(`Stopping with ${running.length} database dump/restore run(s) in progress`);
+        }
+        console.log('Database Backup Manager shutdown complete');
+    }
+}
+
+function quoteIdent(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function quoteLiteral(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(1))} ${units[i]}`;
+}
+
+DatabaseBackupManager.DATABASE_TARGETS = DATABASE_TARGETS;
+
+module.exports = DatabaseBackupManager;
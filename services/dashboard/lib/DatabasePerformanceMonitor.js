@@ -1,11 +1,53 @@
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs').promises;
+const { Pool } = require('pg');
 
 const execAsync = promisify(exec);
 
+const SLOW_QUERY_ORDER = {
+    total: 'total_exec_time',
+    mean: 'mean_exec_time',
+    calls: 'calls'
+};
+
+/**
+ * Connection settings for the indexer databases, from the same variables the
+ * wizard writes to .env. A full connection string (INDEXER_DB_URL,
+ * K_SOCIAL_DB_URL) takes precedence.
+ */
+function defaultDatabases(env = process.env) {
+    // The indexer-services profile uses its own users and database names
+    const simplyKaspaDb = Boolean(env.SIMPLY_KASPA_DB_PASSWORD && !env.POSTGRES_USER_EXPLORER);
+    const kSocialDb = Boolean(env.K_SOCIAL_DB_PASSWORD && !env.POSTGRES_USER_KINDEXER);
+
+    return {
+        // simply-kaspa-indexer (timescaledb-explorer / simply-kaspa-db)
+        'indexer-db': env.INDEXER_DB_URL ? { connectionString: env.INDEXER_DB_URL } : {
+            host: env.INDEXER_DB_HOST || 'localhost',
+            port: parseInt(env.TIMESCALEDB_EXPLORER_PORT || env.SIMPLY_KASPA_DB_PORT, 10) || 5434,
+            database: env.POSTGRES_DB_EXPLORER || 'simply_kaspa',
+            user: env.POSTGRES_USER_EXPLORER || (simplyKaspaDb ? 'simply_kaspa_user' : 'kaspa_explorer'),
+            password: env.POSTGRES_PASSWORD_EXPLORER || env.SIMPLY_KASPA_DB_PASSWORD
+        },
+        // k-indexer (timescaledb-kindexer / k-social-db)
+        'k-social-db': env.K_SOCIAL_DB_URL ? { connectionString: env.K_SOCIAL_DB_URL } : {
+            host: env.K_SOCIAL_DB_HOST || 'localhost',
+            port: parseInt(env.TIMESCALEDB_KINDEXER_PORT || env.K_SOCIAL_DB_PORT, 10) || 5433,
+            database: env.POSTGRES_DB_KINDEXER || (kSocialDb ? 'ksocial' : 'k_indexer'),
+            user: env.POSTGRES_USER_KINDEXER || (kSocialDb ? 'k_social_user' : 'k_indexer'),
+            password: env.POSTGRES_PASSWORD_KINDEXER || env.K_SOCIAL_DB_PASSWORD
+        }
+    };
+}
+
 class DatabasePerformanceMonitor {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.databases] - name -> pg connection config
+     * @param {Function} [options.createPool] - (config) => pg.Pool, for tests
+     */
+    constructor(options = {}) {
         this.performanceCache = new Map();
         this.cacheTimeout = 60000; // 1 minute
         this.optimizationScripts = {
@@ -15,20 +57,36 @@ class DatabasePerformanceMonitor {
         };
         
         // Database connection configurations
-        this.databases = {
-            'indexer-db': {
-                host: 'indexer-db',
-                port: 5432,
-                database: 'kaspa_indexer',
-                user: 'postgres'
-            },
-            'archive-db': {
-                host: 'archive-db',
-                port: 5432,
-                database: 'kaspa_archive',
-                user: 'postgres'
-            }
-        };
+        this.databases = options.databases || defaultDatabases();
+        this.createPool = options.createPool || (config => new Pool(config));
+        this.pools = new Map();
+    }
+
+    /**
+     * Pooled connection to a database, created on first use. Pools are small:
+     * the dashboard runs a handful of catalog queries, not application load.
+     */
+    getPool(dbName) {
+        if (!this.databases[dbName]) {
+            throw new Error(`Unknown database: ${dbName}`);
+        }
+
+        if (!this.pools.has(dbName)) {
+            const pool = this.createPool({
+                ...this.databases[dbName],
+                max: 3,
+                idleTimeoutMillis: 30000,
+                connectionTimeoutMillis: 5000,
+                statement_timeout: 15000,
+                application_name: 'kaspa-dashboard'
+            });
+            // Idle clients dropped by a database restart must not crash the dashboard
+            pool.on('error', (error) => {
+                console.warn(`Database pool error (${dbName}): ${error.message}`);
+            });
+            this.pools.set(dbName, pool);
+        }
+        return this.pools.get(dbName);
     }
 
     async getPerformanceMetrics() {
@@ -112,12 +170,13 @@ class DatabasePerformanceMonitor {
 
     async getDatabaseMetrics(dbName, config) {
         try {
-            // Check if database container is running
-            const isRunning = await this.isDatabaseRunning(dbName);
-            if (!isRunning) {
+            // A failed connection means the database is stopped or unreachable
+            try {
+                await this.executeQuery(dbName, 'SELECT 1');
+            } catch (error) {
                 return {
                     available: false,
-                    error: 'Database container not running'
+                    error: error.message
                 };
             }
 
@@ -166,15 +225,6 @@ class DatabasePerformanceMonitor {
         }
     }
 
-    async isDatabaseRunning(dbName) {
-        try {
-            const { stdout } = await execAsync(`docker ps --filter "name=${dbName}" --format "{{.Names}}"`);
-            return stdout.trim().includes(dbName);
-        } catch (error) {
-            return false;
-        }
-    }
-
     async getConnectionStats(dbName) {
         try {
             const query = `
@@ -243,7 +293,7 @@ class DatabasePerformanceMonitor {
             const query = `
                 SELECT 
                     schemaname,
-                    tablename,
+                    relname as tablename,
                     n_tup_ins as inserts,
                     n_tup_upd as updates,
                     n_tup_del as deletes,
@@ -282,8 +332,8 @@ class DatabasePerformanceMonitor {
             const query = `
                 SELECT 
                     schemaname,
-                    tablename,
-                    indexname,
+                    relname as tablename,
+                    indexrelname as indexname,
                     idx_tup_read,
                     idx_tup_fetch,
                     idx_scan
@@ -326,33 +376,490 @@ class DatabasePerformanceMonitor {
         }
     }
 
-    async executeQuery(dbName, query) {
+    /**
+     * Everything needed to see why an indexer database falls behind: slowest
+     * statements, bloat, blocked sessions, long transactions, replication and
+     * checkpoints. Sections that fail (e.g. missing privileges) carry an error
+     * instead of failing the whole report.
+     * @param {string} dbName
+     * @param {Object} [options] - { orderBy: 'total'|'mean'|'calls', limit, longTransactionSeconds }
+     */
+    async getDatabaseInsights(dbName, options = {}) {
+        if (!this.databases[dbName]) {
+            throw new Error(`Unknown database: ${dbName}`);
+        }
+
         try {
-            const escapedQuery = query.replace(/"/g, '\\"').replace(/\n/g, ' ');
-            const { stdout } = await execAsync(
-                `docker exec ${dbName} psql -U postgres -d kaspa_indexer -t -A -F',' -c "${escapedQuery}"`,
-                { timeout: 30000 }
-            );
-
-            // Parse CSV output
-            const lines = stdout.trim().split('\n').filter(line => line);
-            const headers = ['column1', 'column2', 'column3', 'column4', 'column5', 'column6', 'column7', 'column8', 'column9', 'column10'];
-            
-            return lines.map(line => {
-                const values = line.split(',');
-                const row = {};
-                values.forEach((value, index) => {
-                    if (headers[index]) {
-                        row[headers[index]] = value;
-                    }
+            await this.executeQuery(dbName, 'SELECT 1');
+        } catch (error) {
+            throw new Error(`Database unavailable: ${dbName}: ${error.message}`);
+        }
+
+        const sections = {
+            slowQueries: () => this.getSlowQueries(dbName, options),
+            bloat: () => this.getBloatEstimates(dbName),
+            locks: () => this.getLockStats(dbName),
+            longTransactions: () => this.getLongRunningTransactions(dbName, options.longTransactionSeconds),
+            replication: () => this.getReplicationStats(dbName),
+            checkpoints: () => this.getCheckpointStats(dbName)
+        };
+
+        const results = await Promise.allSettled(Object.values(sections).map(section => section()));
+        const insights = { database: dbName };
+        Object.keys(sections).forEach((name, index) => {
+            const result = results[index];
+            insights[name] = result.status === 'fulfilled' ? result.value : { error: result.reason.message };
+        });
+        insights.findings = this.summarizeInsights(insights);
+        insights.timestamp = new Date().toISOString();
+
+        return insights;
+    }
+
+    /**
+     * Whether pg_stat_statements is preloaded and installed in this database
+     */
+    async getStatementStatsStatus(dbName) {
+        const [row] = await this.executeQuery(dbName, `
+            SELECT
+                EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_stat_statements') AS installed,
+                current_setting('shared_preload_libraries') LIKE '%pg_stat_statements%' AS loaded;
+        `);
+
+        if (!row.loaded) {
+            return {
+                available: false,
+                reason: 'pg_stat_statements is not loaded',
+                hint: 'Start PostgreSQL with shared_preload_libraries=timescaledb,pg_stat_statements'
+            };
+        }
+        if (!row.installed) {
+            return {
+                available: false,
+                reason: 'pg_stat_statements is not installed in this database',
+                hint: 'Run CREATE EXTENSION pg_stat_statements; as the database owner'
+            };
+        }
+        return { available: true };
+    }
+
+    /**
+     * Top statements from pg_stat_statements
+     * @param {Object} [options] - { orderBy: 'total'|'mean'|'calls', limit }
+     */
+    async getSlowQueries(dbName, options = {}) {
+        const orderBy = SLOW_QUERY_ORDER[options.orderBy] ? options.orderBy : 'total';
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), 50);
+
+        const status = await this.getStatementStatsStatus(dbName);
+        if (!status.available) {
+            return { ...status, orderBy, queries: [] };
+        }
+
+        const rows = await this.executeQuery(dbName, `
+            SELECT
+                queryid::text AS query_id,
+                left(query, 1000) AS query,
+                calls,
+                total_exec_time,
+                mean_exec_time,
+                max_exec_time,
+                rows,
+                shared_blks_hit,
+                shared_blks_read,
+                temp_blks_written,
+                100 * total_exec_time / nullif(sum(total_exec_time) OVER (), 0) AS percent_of_total
+            FROM pg_stat_statements
+            WHERE dbid = (SELECT oid FROM pg_database WHERE datname = current_database())
+            ORDER BY ${SLOW_QUERY_ORDER[orderBy]} DESC
+            LIMIT $1;
+        `, [limit]);
+
+        return {
+            available: true,
+            orderBy,
+            queries: rows.map(row => {
+                const hit = Number(row.shared_blks_hit) || 0;
+                const read = Number(row.shared_blks_read) || 0;
+                return {
+                    queryId: row.query_id,
+                    query: row.query,
+                    calls: Number(row.calls) || 0,
+                    totalTimeMs: Math.round(Number(row.total_exec_time) || 0),
+                    meanTimeMs: Math.round((Number(row.mean_exec_time) || 0) * 100) / 100,
+                    maxTimeMs: Math.round((Number(row.max_exec_time) || 0) * 100) / 100,
+                    rows: Number(row.rows) || 0,
+                    cacheHitRatio: hit + read > 0 ? Math.round((hit / (hit + read)) * 10000) / 100 : null,
+                    tempBlocksWritten: Number(row.temp_blks_written) || 0,
+                    percentOfTotal: Math.round((Number(row.percent_of_total) || 0) * 100) / 100
+                };
+            })
+        };
+    }
+
+    /**
+     * Table and B-tree index bloat estimated from planner statistics (pg_stats
+     * column widths against actual page counts). Estimates only: tables that
+     * were never analyzed are missing and small relations are skipped.
+     */
+    async getBloatEstimates(dbName) {
+        const [tables, indexes] = await Promise.all([
+            this.executeQuery(dbName, `
+                WITH widths AS (
+                    SELECT schemaname, tablename, sum((1 - null_frac) * avg_width) AS row_width
+                    FROM pg_stats
+                    WHERE schemaname NOT IN ('pg_catalog', 'information_schema')
+                    GROUP BY schemaname, tablename
+                ),
+                sizes AS (
+                    SELECT
+                        n.nspname AS schema_name,
+                        c.relname AS table_name,
+                        c.relpages::bigint * current_setting('block_size')::bigint AS size_bytes,
+                        -- 24 byte tuple header + 4 byte line pointer per row, 24 byte page header
+                        ceil(c.reltuples * (w.row_width + 28) / (current_setting('block_size')::int - 24))::bigint
+                            * current_setting('block_size')::bigint AS expected_bytes
+                    FROM pg_class c
+                    JOIN pg_namespace n ON n.oid = c.relnamespace
+                    JOIN widths w ON w.schemaname = n.nspname AND w.tablename = c.relname
+                    WHERE c.relkind = 'r' AND c.relpages > 128
+                )
+                SELECT *, greatest(size_bytes - expected_bytes, 0) AS bloat_bytes
+                FROM sizes
+                ORDER BY bloat_bytes DESC
+                LIMIT 10;
+            `),
+            this.executeQuery(dbName, `
+                WITH sizes AS (
+                    SELECT
+                        n.nspname AS schema_name,
+                        t.relname AS table_name,
+                        i.relname AS index_name,
+                        i.relpages::bigint * current_setting('block_size')::bigint AS size_bytes,
+                        -- 8 byte index tuple header + 4 byte line pointer, default 90% fillfactor
+                        ceil(i.reltuples * (sum(s.avg_width) + 12) / ((current_setting('block_size')::int - 24) * 0.9))::bigint
+                            * current_setting('block_size')::bigint AS expected_bytes
+                    FROM pg_index x
+                    JOIN pg_class i ON i.oid = x.indexrelid
+                    JOIN pg_class t ON t.oid = x.indrelid
+                    JOIN pg_namespace n ON n.oid = t.relnamespace
+                    JOIN pg_am am ON am.oid = i.relam AND am.amname = 'btree'
+                    JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = ANY (x.indkey)
+                    JOIN pg_stats s ON s.schemaname = n.nspname AND s.tablename = t.relname AND s.attname = a.attname
+                    WHERE i.relpages > 128 AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+                    GROUP BY n.nspname, t.relname, i.relname, i.relpages, i.reltuples
+                )
+                SELECT *, greatest(size_bytes - expected_bytes, 0) AS bloat_bytes
+                FROM sizes
+                ORDER BY bloat_bytes DESC
+                LIMIT 10;
+            `)
+        ]);
+
+        const toEstimate = row => {
+            const sizeBytes = Number(row.size_bytes) || 0;
+            const bloatBytes = Number(row.bloat_bytes) || 0;
+            return {
+                schema: row.schema_name,
+                table: row.table_name,
+                ...(row.index_name ? { index: row.index_name } : {}),
+                sizeBytes,
+                expectedBytes: Number(row.expected_bytes) || 0,
+                bloatBytes,
+                bloatRatio: sizeBytes > 0 ? Math.round((bloatBytes / sizeBytes) * 100) / 100 : 0
+            };
+        };
+
+        return {
+            tables: tables.map(toEstimate),
+            indexes: indexes.map(toEstimate)
+        };
+    }
+
+    /**
+     * Sessions waiting on locks held by others, and lock counts by mode
+     */
+    async getLockStats(dbName) {
+        const [blocked, modes] = await Promise.all([
+            this.executeQuery(dbName, `
+                SELECT
+                    pid,
+                    usename,
+                    application_name,
+                    wait_event_type,
+                    wait_event,
+                    extract(epoch FROM now() - query_start) AS waiting_seconds,
+                    pg_blocking_pids(pid) AS blocked_by,
+                    left(query, 500) AS query
+                FROM pg_stat_activity
+                WHERE datname = current_database()
+                  AND cardinality(pg_blocking_pids(pid)) > 0
+                ORDER BY query_start;
+            `),
+            this.executeQuery(dbName, `
+                SELECT mode, granted, count(*) AS count
+                FROM pg_locks
+                WHERE database = (SELECT oid FROM pg_database WHERE datname = current_database())
+                GROUP BY mode, granted
+                ORDER BY mode;
+            `)
+        ]);
+
+        return {
+            blocked: blocked.map(row => ({
+                pid: row.pid,
+                user: row.usename,
+                application: row.application_name,
+                waitEvent: row.wait_event_type ? `${row.wait_event_type}:${row.wait_event}` : null,
+                waitingSeconds: Math.round(Number(row.waiting_seconds) || 0),
+                blockedBy: row.blocked_by || [],
+                query: row.query
+            })),
+            modes: modes.map(row => ({ mode: row.mode, granted: row.granted, count: Number(row.count) || 0 }))
+        };
+    }
+
+    /**
+     * Transactions open longer than a threshold. Long transactions hold back
+     * vacuum (dead tuples pile up) and often hold the locks others wait on.
+     * @param {number} [thresholdSeconds]
+     */
+    async getLongRunningTransactions(dbName, thresholdSeconds = 300) {
+        const threshold = Math.max(parseInt(thresholdSeconds, 10) || 300, 1);
+        const rows = await this.executeQuery(dbName, `
+            SELECT
+                pid,
+                usename,
+                application_name,
+                client_addr::text AS client,
+                state,
+                extract(epoch FROM now() - xact_start) AS transaction_seconds,
+                extract(epoch FROM now() - query_start) AS query_seconds,
+                backend_xmin IS NOT NULL AS holds_xmin,
+                left(query, 500) AS query
+            FROM pg_stat_activity
+            WHERE datname = current_database()
+              AND pid <> pg_backend_pid()
+              AND xact_start IS NOT NULL
+              AND now() - xact_start > make_interval(secs => $1)
+            ORDER BY xact_start;
+        `, [threshold]);
+
+        return {
+            thresholdSeconds: threshold,
+            transactions: rows.map(row => ({
+                pid: row.pid,
+                user: row.usename,
+                application: row.application_name,
+                client: row.client,
+                state: row.state,
+                transactionSeconds: Math.round(Number(row.transaction_seconds) || 0),
+                querySeconds: Math.round(Number(row.query_seconds) || 0),
+                holdsXmin: row.holds_xmin,
+                query: row.query
+            }))
+        };
+    }
+
+    /**
+     * Streaming replicas and replication slots (primary) or replay delay (standby)
+     */
+    async getReplicationStats(dbName) {
+        const [{ in_recovery: inRecovery }] = await this.executeQuery(dbName, 'SELECT pg_is_in_recovery() AS in_recovery;');
+
+        if (inRecovery) {
+            const [row] = await this.executeQuery(dbName, `
+                SELECT extract(epoch FROM now() - pg_last_xact_replay_timestamp()) AS replay_delay_seconds;
+            `);
+            const delay = row.replay_delay_seconds;
+            return {
+                role: 'standby',
+                replayDelaySeconds: delay === null ? null : Math.round(Number(delay)),
+                replicas: [],
+                slots: []
+            };
+        }
+
+        const [replicas, slots] = await Promise.all([
+            this.executeQuery(dbName, `
+                SELECT
+                    application_name,
+                    client_addr::text AS client,
+                    state,
+                    sync_state,
+                    pg_wal_lsn_diff(pg_current_wal_lsn(), replay_lsn) AS replay_lag_bytes,
+                    extract(epoch FROM replay_lag) AS replay_lag_seconds
+                FROM pg_stat_replication;
+            `),
+            this.executeQuery(dbName, `
+                SELECT
+                    slot_name,
+                    slot_type,
+                    active,
+                    pg_wal_lsn_diff(pg_current_wal_lsn(), restart_lsn) AS retained_wal_bytes
+                FROM pg_replication_slots;
+            `)
+        ]);
+
+        return {
+            role: 'primary',
+            replayDelaySeconds: null,
+            replicas: replicas.map(row => ({
+                application: row.application_name,
+                client: row.client,
+                state: row.state,
+                syncState: row.sync_state,
+                replayLagBytes: row.replay_lag_bytes === null ? null : Number(row.replay_lag_bytes),
+                replayLagSeconds: row.replay_lag_seconds === null ? null : Math.round(Number(row.replay_lag_seconds))
+            })),
+            slots: slots.map(row => ({
+                name: row.slot_name,
+                type: row.slot_type,
+                active: row.active,
+                retainedWalBytes: row.retained_wal_bytes === null ? null : Number(row.retained_wal_bytes)
+            }))
+        };
+    }
+
+    /**
+     * Checkpoint counts and timing. Many requested (rather than timed)
+     * checkpoints mean max_wal_size is too small for the write load.
+     */
+    async getCheckpointStats(dbName) {
+        const [{ version }] = await this.executeQuery(dbName, "SELECT current_setting('server_version_num')::int AS version;");
+
+        // PostgreSQL 17 moved checkpoint counters to pg_stat_checkpointer
+        const statsQuery = version >= 170000 ? `
+            SELECT num_timed AS timed, num_requested AS requested, write_time, sync_time,
+                   buffers_written, stats_reset
+            FROM pg_stat_checkpointer;
+        ` : `
+            SELECT checkpoints_timed AS timed, checkpoints_req AS requested,
+                   checkpoint_write_time AS write_time, checkpoint_sync_time AS sync_time,
+                   buffers_checkpoint AS buffers_written, stats_reset
+            FROM pg_stat_bgwriter;
+        `;
+
+        const [[stats], [settings]] = await Promise.all([
+            this.executeQuery(dbName, statsQuery),
+            this.executeQuery(dbName, `
+                SELECT current_setting('checkpoint_timeout') AS checkpoint_timeout,
+                       current_setting('max_wal_size') AS max_wal_size;
+            `)
+        ]);
+
+        const timed = Number(stats.timed) || 0;
+        const requested = Number(stats.requested) || 0;
+        return {
+            timed,
+            requested,
+            requestedRatio: timed + requested > 0 ? Math.round((requested / (timed + requested)) * 100) / 100 : 0,
+            writeTimeMs: Math.round(Number(stats.write_time) || 0),
+            syncTimeMs: Math.round(Number(stats.sync_time) || 0),
+            buffersWritten: Number(stats.buffers_written) || 0,
+            statsReset: stats.stats_reset,
+            checkpointTimeout: settings.checkpoint_timeout,
+            maxWalSize: settings.max_wal_size
+        };
+    }
+
+    /**
+     * Short list of what in the insights needs attention
+     */
+    summarizeInsights(insights) {
+        const findings = [];
+        const { slowQueries, bloat, locks, longTransactions, replication, checkpoints } = insights;
+
+        if (slowQueries && slowQueries.available === false) {
+            findings.push({ severity: 'info', area: 'queries', message: `${slowQueries.reason}. ${slowQueries.hint}` });
+        }
+
+        (longTransactions?.transactions || []).filter(tx => tx.holdsXmin).forEach(tx => {
+            findings.push({
+                severity: 'warning',
+                area: 'transactions',
+                message: `Transaction ${tx.pid} (${tx.application || tx.user}) has been open ${this.formatDuration(tx.transactionSeconds)} and holds back vacuum`
+            });
+        });
+
+        if (locks?.blocked?.length > 0) {
+            findings.push({
+                severity: 'warning',
+                area: 'locks',
+                message: `${locks.blocked.length} session(s) waiting on locks, longest ${this.formatDuration(Math.max(...locks.blocked.map(b => b.waitingSeconds)))}`
+            });
+        }
+
+        [...(bloat?.tables || []), ...(bloat?.indexes || [])]
+            .filter(entry => entry.bloatRatio >= 0.3 && entry.bloatBytes >= 100 * 1024 * 1024)
+            .forEach(entry => {
+                findings.push({
+                    severity: 'info',
+                    area: 'bloat',
+                    message: `${entry.index || entry.table} is about ${Math.round(entry.bloatRatio * 100)}% bloat (${this.formatBytes(entry.bloatBytes)})`
                 });
-                return row;
             });
+
+        if (checkpoints && checkpoints.requested >= 10 && checkpoints.requestedRatio >= 0.2) {
+            findings.push({
+                severity: 'warning',
+                area: 'checkpoints',
+                message: `${Math.round(checkpoints.requestedRatio * 100)}% of checkpoints are forced by WAL volume; consider raising max_wal_size (${checkpoints.maxWalSize})`
+            });
+        }
+
+        (replication?.slots || []).filter(slot => !slot.active && slot.retainedWalBytes >= 1024 * 1024 * 1024).forEach(slot => {
+            findings.push({
+                severity: 'warning',
+                area: 'replication',
+                message: `Inactive replication slot ${slot.name} retains ${this.formatBytes(slot.retainedWalBytes)} of WAL`
+            });
+        });
+        (replication?.replicas || []).filter(replica => replica.replayLagSeconds >= 60).forEach(replica => {
+            findings.push({
+                severity: 'warning',
+                area: 'replication',
+                message: `Replica ${replica.application || replica.client} is ${this.formatDuration(replica.replayLagSeconds)} behind`
+            });
+        });
+
+        return findings;
+    }
+
+    /**
+     * Run a query on a database's pool
+     * @returns {Promise<Array<Object>>} Rows keyed by column name
+     */
+    async executeQuery(dbName, query, params = []) {
+        try {
+            const result = await this.getPool(dbName).query(query, params);
+            return result.rows;
         } catch (error) {
             throw new Error(`Query execution failed: ${error.message}`);
         }
     }
 
+    /**
+     * Run fn with a dedicated client, for transactions and for maintenance
+     * (compressing chunks) that must not be cut off by the statement timeout
+     * @param {Function} fn - async (client) => result
+     * @param {Object} [options] - { statementTimeout: ms, 0 for none }
+     */
+    async withClient(dbName, fn, options = {}) {
+        const client = await this.getPool(dbName).connect();
+        try {
+            if (options.statementTimeout !== undefined) {
+                await client.query(`SET statement_timeout = ${parseInt(options.statementTimeout, 10) || 0}`);
+            }
+            return await fn(client);
+        } finally {
+            if (options.statementTimeout !== undefined) {
+                await client.query('RESET statement_timeout').catch(() => {});
+            }
+            client.release();
+        }
+    }
+
     async getOptimizationStatus() {
         try {
             const status = {
@@ -447,11 +954,14 @@ class DatabasePerformanceMonitor {
     async checkPostgreSQLTuning() {
         try {
             // Check if custom PostgreSQL configuration is in place
-            const { stdout } = await execAsync(
-                'docker exec indexer-db cat /var/lib/postgresql/data/postgresql.conf | grep -E "(shared_buffers|effective_cache_size|work_mem)" | grep -v "^#"'
-            );
-
-            const hasCustomConfig = stdout.trim().length > 0;
+            const tuned = await this.executeQuery('indexer-db', `
+                SELECT name
+                FROM pg_settings
+                WHERE name IN ('shared_buffers', 'effective_cache_size', 'work_mem')
+                  AND source NOT IN ('default', 'override');
+            `);
+
+            const hasCustomConfig = tuned.length > 0;
             
             return {
                 applied: hasCustomConfig,
@@ -477,7 +987,7 @@ class DatabasePerformanceMonitor {
             `;
 
             const result = await this.executeQuery('indexer-db', query);
-            const available = result[0]?.timescaledb_available === 't';
+            const available = result[0]?.timescaledb_available === true;
 
             if (!available) {
                 return { available: false, applied: false };
@@ -738,6 +1248,13 @@ class DatabasePerformanceMonitor {
         this.performanceCache.clear();
     }
 
+    // Format seconds for findings
+    formatDuration(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+        return `${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}m`;
+    }
+
     // Format bytes for display
     formatBytes(bytes) {
         if (bytes === 0) return '0 B';
@@ -748,6 +1265,18 @@ class DatabasePerformanceMonitor {
         
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
+
+    /**
+     * Close all database pools
+     */
+    async shutdown() {
+        const pools = Array.from(this.pools.values());
+        this.pools.clear();
+        await Promise.all(pools.map(pool => pool.end().catch(() => {})));
+
+        console.log('Database Performance Monitor shutdown complete');
+    }
 }
 
-module.exports = DatabasePerformanceMonitor;
\ No newline at end of file
+module.exports = DatabasePerformanceMonitor;
+module.exports.defaultDatabases = defaultDatabases;
\ No newline at end of file
@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const WORDLIST = require('./wordlists/bip39-english.json');
+
+/**
+ * Kaspa Key Derivation
+ * BIP39 mnemonics (English wordlist), BIP32 key derivation and Kaspa address
+ * encoding, following the derivation the Kaspa wallet SDK (and the wizard's
+ * WASM-based wallet-service.js) uses for receive and change addresses:
+ *
+ *   m/44'/111111'/<account>'/<0 receive | 1 change>/<index>
+ *
+ * Addresses are Schnorr P2PK addresses: the x-only public key encoded with
+ * Kaspa's bech32 variant under the network prefix (kaspa, kaspatest, ...).
+ *
+ * Everything here runs on Node's crypto (PBKDF2, HMAC-SHA512, secp256k1).
+ * Callers must treat mnemonics and seeds as secrets: do not log or persist them.
+ */
+
+const COIN_TYPE = 111111;
+const PURPOSE = 44;
+const HARDENED = 0x80000000;
+const SECP256K1_N = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+const NETWORK_PREFIXES = {
+    mainnet: 'kaspa',
+    testnet: 'kaspatest',
+    'testnet-10': 'kaspatest',
+    'testnet-11': 'kaspatest',
+    simnet: 'kaspasim',
+    devnet: 'kaspadev'
+};
+
+// Entropy bits per supported word count
+const WORD_COUNTS = { 12: 128, 15: 160, 18: 192, 21: 224, 24: 256 };
+
+const WORD_INDEX = new Map(WORDLIST.map((word, index) => [word, index]));
+
+function normalizeMnemonic(phrase) {
+    return String(phrase || '').normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest();
+}
+
+function bytesToBits(buffer) {
+    return Array.from(buffer, byte => byte.toString(2).padStart(8, '0')).join('');
+}
+
+/**
+ * Mnemonic for the given entropy (16-32 bytes, multiple of 4)
+ * @param {Buffer|string} entropy - Buffer or hex string
+ * @returns {string} Space separated words
+ */
+function entropyToMnemonic(entropy) {
+    const bytes = Buffer.isBuffer(entropy) ? entropy : Buffer.from(entropy, 'hex');
+    if (bytes.length < 16 || bytes.length > 32 || bytes.length % 4 !== 0) {
+        throw new Error('Invalid entropy: must be 16, 20, 24, 28 or 32 bytes');
+    }
+
+    const checksumBits = bytesToBits(sha256(bytes)).slice(0, bytes.length / 4);
+    const bits = bytesToBits(bytes) + checksumBits;
+
+    const words = [];
+    for (let i = 0; i < bits.length; i += 11) {
+        words.push(WORDLIST[parseInt(bits.slice(i, i + 11), 2)]);
+    }
+    return words.join(' ');
+}
+
+/**
+ * Entropy encoded by a mnemonic
+ * @returns {Buffer}
+ * @throws {Error} "Invalid mnemonic: ..." for unknown words, wrong length or checksum
+ */
+function mnemonicToEntropy(phrase) {
+    const words = normalizeMnemonic(phrase).split(' ');
+    if (!WORD_COUNTS[words.length]) {
+        throw new Error('Invalid mnemonic: must be 12, 15, 18, 21 or 24 words');
+    }
+
+    const unknown = words.filter(word => !WORD_INDEX.has(word));
+    if (unknown.length > 0) {
+        throw new Error(`Invalid mnemonic: ${unknown.length} word(s) not in the BIP39 English wordlist`);
+    }
+
+    const bits = words.map(word => WORD_INDEX.get(word).toString(2).padStart(11, '0')).join('');
+    const entropyBits = WORD_COUNTS[words.length];
+    const entropy = Buffer.from(bits.slice(0, entropyBits).match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+    if (bytesToBits(sha256(entropy)).slice(0, entropyBits / 32) !== bits.slice(entropyBits)) {
+        throw new Error('Invalid mnemonic: checksum mismatch');
+    }
+    return entropy;
+}
+
+/**
+ * Generate a mnemonic from secure random entropy
+ * @param {number} [wordCount=24] - 12, 15, 18, 21 or 24
+ */
+function generateMnemonic(wordCount = 24) {
+    const bits = WORD_COUNTS[wordCount];
+    if (!bits) {
+        throw new Error('Invalid word count: must be 12, 15, 18, 21 or 24');
+    }
+    return entropyToMnemonic(crypto.randomBytes(bits / 8));
+}
+
+/**
+ * Validate a mnemonic (word count, wordlist and checksum)
+ * @returns {{valid: boolean, wordCount?: number, error?: string}}
+ */
+function validateMnemonic(phrase) {
+    try {
+        mnemonicToEntropy(phrase);
+        return { valid: true, wordCount: normalizeMnemonic(phrase).split(' ').length };
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+}
+
+/**
+ * BIP39 seed (PBKDF2-HMAC-SHA512, 2048 rounds)
+ * @param {string} phrase - Mnemonic (validated)
+ * @param {string} [passphrase=''] - Optional BIP39 passphrase
+ * @returns {Buffer} 64-byte seed
+ */
+function mnemonicToSeed(phrase, passphrase = '') {
+    mnemonicToEntropy(phrase);
+    const salt = `mnemonic${String(passphrase).normalize('NFKD')}`;
+    return crypto.pbkdf2Sync(normalizeMnemonic(phrase), salt, 2048, 64, 'sha512');
+}
+
+/**
+ * Compressed secp256k1 public key for a private key
+ */
+function publicKeyFromPrivate(privateKey) {
+    const ecdh = crypto.createECDH('secp256k1');
+    ecdh.setPrivateKey(privateKey);
+    return ecdh.getPublicKey(null, 'compressed');
+}
+
+/**
+ * BIP32 master key from a seed
+ * @returns {{privateKey: Buffer, chainCode: Buffer}}
+ */
+function masterKeyFromSeed(seed) {
+    const digest = crypto.createHmac('sha512', 'Bitcoin seed').update(seed).digest();
+    return { privateKey: digest.subarray(0, 32), chainCode: digest.subarray(32) };
+}
+
+/**
+ * BIP32 private child derivation
+ * @param {{privateKey: Buffer, chainCode: Buffer}} parent
+ * @param {number} index - Child index (>= 0x80000000 for hardened)
+ */
+function deriveChild(parent, index) {
+    const data = Buffer.alloc(37);
+    if (index >= HARDENED) {
+        parent.privateKey.copy(data, 1);
+    } else {
+        publicKeyFromPrivate(parent.privateKey).copy(data, 0);
+    }
+    data.writeUInt32BE(index, 33);
+
+    const digest = crypto.createHmac('sha512', parent.chainCode).update(data).digest();
+    const tweak = BigInt(`0x${digest.subarray(0, 32).toString('hex')}`);
+    const key = (tweak + BigInt(`0x${parent.privateKey.toString('hex')}`)) % SECP256K1_N;
+
+    // Probability ~2^-127; BIP32 says to skip to the next index
+    if (tweak >= SECP256K1_N || key === 0n) {
+        return deriveChild(parent, index + 1);
+    }
+
+    return {
+        privateKey: Buffer.from(key.toString(16).padStart(64, '0'), 'hex'),
+        chainCode: digest.subarray(32)
+    };
+}
+
+/**
+ * Derive along a path like "m/44'/111111'/0'/0/0"
+ */
+function derivePath(seed, derivationPath) {
+    const segments = derivationPath.split('/');
+    if (segments.shift() !== 'm') {
+        throw new Error('Invalid derivation path: must start with m/');
+    }
+
+    return segments.reduce((node, segment) => {
+        const match = /^(\d+)('|h|H)?$/.exec(segment);
+        if (!match || Number(match[1]) >= HARDENED) {
+            throw new Error(`Invalid derivation path segment: ${segment}`);
+        }
+        return deriveChild(node, Number(match[1]) + (match[2] ? HARDENED : 0));
+    }, masterKeyFromSeed(seed));
+}
+
+function convertBits(data, fromBits, toBits) {
+    let accumulator = 0;
+    let bits = 0;
+    const result = [];
+    const maxValue = (1 << toBits) - 1;
+
+    for (const value of data) {
+        accumulator = (accumulator << fromBits) | value;
+        bits += fromBits;
+        while (bits >= toBits) {
+            bits -= toBits;
+            result.push((accumulator >> bits) & maxValue);
+        }
+    }
+    if (bits > 0) {
+        result.push((accumulator << (toBits - bits)) & maxValue);
+    }
+    return result;
+}
+
+// Kaspa's bech32 variant (40-bit checksum, as in CashAddr)
+function polymod(values) {
+    const generators = [0x98f2bc8e61n, 0x79b76d99e2n, 0xf33e5fb3c4n, 0xae2eabe2a8n, 0x1e4f43e470n];
+    let checksum = 1n;
+
+    for (const value of values) {
+        const top = checksum >> 35n;
+        checksum = ((checksum & 0x07ffffffffn) << 5n) ^ BigInt(value);
+        generators.forEach((generator, bit) => {
+            if ((top >> BigInt(bit)) & 1n) {
+                checksum ^= generator;
+            }
+        });
+    }
+    return checksum ^ 1n;
+}
+
+/**
+ * Encode a Kaspa address
+ * @param {string} prefix - 'kaspa', 'kaspatest', ...
+ * @param {number} version - 0 (Schnorr P2PK), 1 (ECDSA P2PK), 8 (P2SH)
+ * @param {Buffer} payload - x-only public key, compressed ECDSA key or script hash
+ */
+function encodeAddress(prefix, version, payload) {
+    const data = convertBits([version, ...payload], 8, 5);
+    const checksum = polymod([...Array.from(prefix, char => char.charCodeAt(0) & 0x1f), 0, ...data, 0, 0, 0, 0, 0, 0, 0, 0]);
+    const checksumBytes = Buffer.from(checksum.toString(16).padStart(10, '0'), 'hex');
+
+    return `${prefix}:${[...data, ...convertBits(checksumBytes, 8, 5)].map(value => BECH32_CHARSET[value]).join('')}`;
+}
+
+/**
+ * Check a Kaspa address checksum and decode it
+ * @returns {{prefix: string, version: number, payload: Buffer}}
+ * @throws {Error} "Invalid address: ..." when malformed or the checksum fails
+ */
+function decodeAddress(address) {
+    const [prefix, encoded] = String(address || '').toLowerCase().split(':');
+    if (!prefix || !encoded || encoded.length < 9) {
+        throw new Error('Invalid address: expected <prefix>:<payload>');
+    }
+
+    const values = Array.from(encoded, char => BECH32_CHARSET.indexOf(char));
+    if (values.includes(-1)) {
+        throw new Error('Invalid address: contains characters outside the bech32 alphabet');
+    }
+
+    if (polymod([...Array.from(prefix, char => char.charCodeAt(0) & 0x1f), 0, ...values]) !== 0n) {
+        throw new Error('Invalid address: checksum mismatch');
+    }
+
+    const bytes = convertBits(values.slice(0, -8), 5, 8);
+    // Drop the zero padding byte conversion can add
+    const payloadLength = Math.floor((values.length - 8) * 5 / 8) - 1;
+    return { prefix, version: bytes[0], payload: Buffer.from(bytes.slice(1, 1 + payloadLength)) };
+}
+
+/**
+ * Derive receive (or change) addresses from a mnemonic
+ * @param {string} mnemonic
+ * @param {Object} [options]
+ * @param {string} [options.network='mainnet'] - mainnet, testnet-10, testnet-11, simnet, devnet
+ * @param {number} [options.account=0] - BIP44 account
+ * @param {number} [options.start=0] - First address index
+ * @param {number} [options.count=1] - Number of addresses (max 100)
+ * @param {boolean} [options.change=false] - Derive change addresses instead
+ * @param {string} [options.passphrase=''] - BIP39 passphrase
+ * @returns {Array<{address: string, publicKey: string, derivationPath: string, index: number}>}
+ */
+function deriveAddresses(mnemonic, options = {}) {
+    const { network = 'mainnet', account = 0, start = 0, count = 1, change = false, passphrase = '' } = options;
+
+    const prefix = NETWORK_PREFIXES[network];
+    if (!prefix) {
+        throw new Error(`Invalid network: ${network}`);
+    }
+    if (!Number.isInteger(count) || count < 1 || count > 100) {
+        throw new Error('Invalid count: must be between 1 and 100');
+    }
+    if (!Number.isInteger(account) || account < 0 || !Number.isInteger(start) || start < 0) {
+        throw new Error('Invalid account or start index');
+    }
+
+    const chain = change ? 1 : 0;
+    const accountPath = `m/${PURPOSE}'/${COIN_TYPE}'/${account}'/${chain}`;
+    const chainNode = derivePath(mnemonicToSeed(mnemonic, passphrase), accountPath);
+
+    const addresses = [];
+    for (let index = start; index < start + count; index++) {
+        const key = deriveChild(chainNode, index);
+        const xOnlyPublicKey = publicKeyFromPrivate(key.privateKey).subarray(1);
+        addresses.push({
+            address: encodeAddress(prefix, 0, xOnlyPublicKey),
+            publicKey: xOnlyPublicKey.toString('hex'),
+            derivationPath: `${accountPath}/${index}`,
+            index
+        });
+    }
+    return addresses;
+}
+
+module.exports = {
+    COIN_TYPE,
+    NETWORK_PREFIXES,
+    WORDLIST,
+    generateMnemonic,
+    validateMnemonic,
+    entropyToMnemonic,
+    mnemonicToEntropy,
+    mnemonicToSeed,
+    masterKeyFromSeed,
+    derivePath,
+    publicKeyFromPrivate,
+    encodeAddress,
+    decodeAddress,
+    deriveAddresses
+};
@@ -0,0 +1,615 @@
+const EventEmitter = require('events');
+
+/**
+ * Kaspa Log Parser
+ * Turns rusty-kaspa (kaspad) log output into typed node events: IBD phase
+ * changes, peer connects/disconnects, accepted block counts, virtual/reorg
+ * changes and warnings/panics.
+ */
+class KaspaLogParser extends EventEmitter {
+    constructor(logManager = null, options = {}) {
+        super();
+        this.logManager = logManager;
+        this.serviceName = options.serviceName || 'kaspa-node';
+
+        // Configuration
+        this.MAX_EVENTS = options.maxEvents || 2000;
+        this.BACKFILL_LINES = options.backfillLines || 1000;
+        this.RESTART_DELAY = options.restartDelay || 30000; // 30 seconds
+
+        // Event types
+        this.EVENT_TYPES = {
+            IBD_PHASE: 'ibd_phase',
+            PEER_CONNECTED: 'peer_connected',
+            PEER_DISCONNECTED: 'peer_disconnected',
+            BLOCKS_ACCEPTED: 'blocks_accepted',
+            VIRTUAL_CHANGE: 'virtual_change',
+            REORG: 'reorg',
+            WARNING: 'warning',
+            ERROR: 'error',
+            PANIC: 'panic'
+        };
+
+        // IBD phases in the order rusty-kaspa goes through them
+        this.IBD_PHASES = {
+            idle: { order: 0, name: 'Idle' },
+            negotiation: { order: 1, name: 'Negotiating IBD' },
+            proof: { order: 2, name: 'Pruning Point Proof' },
+            headers: { order: 3, name: 'Block Headers' },
+            utxo: { order: 4, name: 'Pruning Point UTXO Set' },
+            blocks: { order: 5, name: 'Block Bodies' },
+            virtual: { order: 6, name: 'Resolving Virtual' },
+            complete: { order: 7, name: 'IBD Complete' }
+        };
+
+        // Event state
+        this.events = [];
+        this.lastLogTimestamp = null; // newest line's timestamp, as docker wrote it
+        this.lastLogTime = null; // the same, normalized for comparisons
+        this.lastLogLines = new Set(); // messages seen at that instant
+        this.restartTimer = null;
+        this.isRunning = false;
+        this.state = this.createInitialState();
+
+        // Bind methods
+        this.handleLog = this.handleLog.bind(this);
+        this.handleStreamClosed = this.handleStreamClosed.bind(this);
+    }
+
+    /**
+     * Create the empty node state summary
+     */
+    createInitialState() {
+        return {
+            ibd: {
+                phase: 'idle',
+                phaseName: this.IBD_PHASES.idle.name,
+                progress: null,
+                peer: null,
+                phaseStartedAt: null,
+                lastUpdate: null
+            },
+            peers: {
+                inbound: null,
+                outbound: null,
+                connects: 0,
+                disconnects: 0
+            },
+            blocks: {
+                accepted: 0,
+                headers: 0,
+                transactions: 0,
+                lastReport: null
+            },
+            counts: {
+                warnings: 0,
+                errors: 0,
+                panics: 0,
+                reorgs: 0
+            },
+            lastWarning: null,
+            lastPanic: null,
+            linesParsed: 0
+        };
+    }
+
+    /**
+     * Start following the node logs through LogManager
+     */
+    async start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        if (!this.logManager) {
+            throw new Error('KaspaLogParser requires a LogManager to start');
+        }
+
+        this.isRunning = true;
+        this.logManager.on('log', this.handleLog);
+        this.logManager.on('streamClosed', this.handleStreamClosed);
+
+        await this.backfill();
+        await this.follow();
+
+        console.log(`Kaspa Log Parser started for ${this.serviceName}`);
+    }
+
+    /**
+     * Parse recent history so the state is populated before streaming starts
+     */
+    async backfill() {
+        try {
+            const result = await this.logManager.getServiceLogs(this.serviceName, {
+                lines: this.BACKFILL_LINES,
+                timestamps: true
+            });
+            this.ingest(result.logs, { emit: false });
+        } catch (error) {
+            console.warn(`Kaspa Log Parser backfill failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Start a live log stream, only asking docker for lines newer than what we have
+     */
+    async follow() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        try {
+            await this.logManager.getServiceLogs(this.serviceName, {
+                lines: null,
+                since: this.lastLogTimestamp || new Date().toISOString(),
+                follow: true,
+                timestamps: true
+            });
+        } catch (error) {
+            console.warn(`Kaspa Log Parser stream failed: ${error.message}`);
+            this.scheduleRestart();
+        }
+    }
+
+    /**
+     * Restart the stream when docker logs exits (e.g. node container restarted)
+     */
+    handleStreamClosed({ service }) {
+        if (service === this.serviceName) {
+            this.scheduleRestart();
+        }
+    }
+
+    /**
+     * Schedule a stream restart
+     */
+    scheduleRestart() {
+        if (!this.isRunning || this.restartTimer) {
+            return;
+        }
+
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            this.follow();
+        }, this.RESTART_DELAY);
+    }
+
+    /**
+     * Handle a streamed log entry from LogManager
+     */
+    handleLog(log) {
+        if (log.service !== this.serviceName) {
+            return;
+        }
+        this.ingest([log]);
+    }
+
+    /**
+     * Parse a batch of log entries (LogManager entries or raw lines) and record events
+     */
+    ingest(logs, options = {}) {
+        const { emit = true } = options;
+        const produced = [];
+
+        logs.forEach(log => {
+            const entry = typeof log === 'string' ? { message: log, timestamp: null } : log;
+
+            // A restarted stream starts again at lastLogTimestamp and replays the
+            // lines logged at that instant; only those are skipped. Older lines
+            // still count: stdout and stderr arrive separately, out of order.
+            const time = entry.timestamp ? this.normalizeTimestamp(entry.timestamp) : null;
+            if (time) {
+                if (time === this.lastLogTime && this.lastLogLines.has(entry.message)) {
+                    return;
+                }
+                if (!this.lastLogTime || time > this.lastLogTime) {
+                    this.lastLogTimestamp = entry.timestamp;
+                    this.lastLogTime = time;
+                    this.lastLogLines.clear();
+                }
+                if (time === this.lastLogTime) {
+                    this.lastLogLines.add(entry.message);
+                }
+            }
+
+            const events = this.parseLine(entry.message, entry.timestamp);
+            events.forEach(event => {
+                this.recordEvent(event);
+                produced.push(event);
+                if (emit) {
+                    this.emit('event', event);
+                }
+            });
+        });
+
+        return produced;
+    }
+
+    /**
+     * Docker timestamp (RFC3339Nano, trailing zeros of the fraction dropped) as
+     * a UTC string with a 9 digit fraction, so times compare as strings
+     */
+    normalizeTimestamp(timestamp) {
+        const ms = Date.parse(timestamp);
+        if (isNaN(ms)) {
+            return null;
+        }
+        const fraction = (String(timestamp).match(/:\d{2}\.(\d+)/) || [])[1] || '';
+        return `${new Date(Math.floor(ms / 1000) * 1000).toISOString().slice(0, 19)}.${fraction.padEnd(9, '0').slice(0, 9)}Z`;
+    }
+
+    /**
+     * Parse a single kaspad log line into zero or more events and update node state
+     */
+    parseLine(line, fallbackTimestamp = null) {
+        if (!line || !line.trim()) {
+            return [];
+        }
+
+        this.state.linesParsed++;
+
+        const { timestamp, level, message } = this.splitLine(line.trim());
+        const eventTime = timestamp || fallbackTimestamp || new Date().toISOString();
+        const events = [];
+
+        const phaseEvent = this.detectIbdPhase(message, eventTime);
+        if (phaseEvent) {
+            events.push(phaseEvent);
+        }
+
+        const peerEvent = this.detectPeerEvent(message, eventTime);
+        if (peerEvent) {
+            events.push(peerEvent);
+        }
+
+        const blocksEvent = this.detectBlocksAccepted(message, eventTime);
+        if (blocksEvent) {
+            events.push(blocksEvent);
+        }
+
+        const virtualEvent = this.detectVirtualChange(message, eventTime);
+        if (virtualEvent) {
+            events.push(virtualEvent);
+        }
+
+        const problemEvent = this.detectProblem(level, message, eventTime);
+        if (problemEvent) {
+            events.push(problemEvent);
+        }
+
+        return events;
+    }
+
+    /**
+     * Split a kaspad log line into timestamp, level and message.
+     * Format: "2024-05-01 10:00:00.123+00:00 [INFO ] message"
+     */
+    splitLine(line) {
+        const match = line.match(/^(\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)\s+\[\s*(TRACE|DEBUG|INFO|WARN|ERROR)\s*\]\s*(.*)$/i);
+
+        if (!match) {
+            return { timestamp: null, level: null, message: line };
+        }
+
+        const parsed = new Date(match[1].replace(' ', 'T'));
+        return {
+            timestamp: isNaN(parsed.getTime()) ? null : parsed.toISOString(),
+            level: match[2].toUpperCase(),
+            message: match[3]
+        };
+    }
+
+    /**
+     * Detect IBD phase transitions and progress
+     */
+    detectIbdPhase(message, timestamp) {
+        let phase = null;
+        let progress = null;
+        const data = {};
+
+        let match;
+        if ((match = message.match(/(?:Starting IBD|IBD started) with peer\s+([^\s,]+)/i))) {
+            phase = 'negotiation';
+            data.peer = match[1];
+        } else if (/pruning point proof|pruning proof/i.test(message)) {
+            phase = 'proof';
+        } else if ((match = message.match(/IBD:\s*Processed\s+([\d,]+)\s+block headers\s*\((\d+)%\)/i))) {
+            phase = 'headers';
+            data.headersProcessed = parseInt(match[1].replace(/,/g, ''), 10);
+            progress = parseInt(match[2], 10);
+        } else if (/Downloading headers|Syncing headers/i.test(message)) {
+            phase = 'headers';
+        } else if ((match = message.match(/Received\s+([\d,]+)\s+UTXO set chunks so far,\s+totaling in\s+([\d,]+)\s+UTXOs/i))) {
+            phase = 'utxo';
+            data.chunks = parseInt(match[1].replace(/,/g, ''), 10);
+            data.utxos = parseInt(match[2].replace(/,/g, ''), 10);
+        } else if ((match = message.match(/Finished receiving the UTXO set\.?\s*Total UTXOs:\s*([\d,]+)/i))) {
+            phase = 'utxo';
+            data.utxos = parseInt(match[1].replace(/,/g, ''), 10);
+            progress = 100;
+        } else if (/Fetching the pruning point UTXO set|pruning point UTXO set/i.test(message)) {
+            phase = 'utxo';
+        } else if ((match = message.match(/IBD:\s*Processed\s+([\d,]+)\s+blocks\s*\((\d+)%\)/i))) {
+            phase = 'blocks';
+            data.blocksProcessed = parseInt(match[1].replace(/,/g, ''), 10);
+            progress = parseInt(match[2], 10);
+        } else if ((match = message.match(/Resolving virtual\.?\s*(?:Estimated progress:\s*(\d+)%)?/i))) {
+            phase = 'virtual';
+            progress = match[1] ? parseInt(match[1], 10) : null;
+        } else if (/IBD (?:with peer \S+ )?(?:finished|completed) successfully|IBD finished/i.test(message)) {
+            phase = 'complete';
+            progress = 100;
+        }
+
+        if (!phase) {
+            return null;
+        }
+
+        const ibd = this.state.ibd;
+        const previousPhase = ibd.phase;
+        ibd.lastUpdate = timestamp;
+        if (progress !== null) {
+            ibd.progress = progress;
+        }
+        if (data.peer) {
+            ibd.peer = data.peer;
+        }
+
+        // Only phase transitions become events; progress is kept in state
+        if (previousPhase === phase) {
+            return null;
+        }
+
+        ibd.phase = phase;
+        ibd.phaseName = this.IBD_PHASES[phase].name;
+        ibd.phaseStartedAt = timestamp;
+        if (progress === null) {
+            ibd.progress = null;
+        }
+
+        return this.createEvent(this.EVENT_TYPES.IBD_PHASE, 'info', timestamp, message, {
+            phase,
+            phaseName: ibd.phaseName,
+            previousPhase,
+            progress: ibd.progress,
+            ...data
+        });
+    }
+
+    /**
+     * Detect peer connects and disconnects
+     */
+    detectPeerEvent(message, timestamp) {
+        const peers = this.state.peers;
+
+        const connected = message.match(/Connected to (outgoing|incoming) peer\s+([^\s,]+)(?:\s*\((outbound|inbound):\s*(\d+)\))?/i);
+        if (connected) {
+            const direction = connected[1].toLowerCase() === 'outgoing' ? 'outbound' : 'inbound';
+            peers.connects++;
+            if (connected[4] !== undefined) {
+                peers[direction] = parseInt(connected[4], 10);
+            }
+            return this.createEvent(this.EVENT_TYPES.PEER_CONNECTED, 'info', timestamp, message, {
+                address: connected[2],
+                direction,
+                inbound: peers.inbound,
+                outbound: peers.outbound
+            });
+        }
+
+        const disconnected = message.match(/(?:Peer\s+([^\s,]+)\s+disconnected|Disconnect(?:ed|ing) from peer\s+([^\s,]+)|P2P,?\s+(?:peer\s+)?([^\s,]+)\s+disconnected)(?:[:,]?\s*(.*))?/i);
+        if (disconnected) {
+            peers.disconnects++;
+            return this.createEvent(this.EVENT_TYPES.PEER_DISCONNECTED, 'info', timestamp, message, {
+                address: disconnected[1] || disconnected[2] || disconnected[3],
+                reason: disconnected[4] ? disconnected[4].trim() || null : null
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Detect periodic block processing reports and relay acceptance
+     */
+    detectBlocksAccepted(message, timestamp) {
+        const blocks = this.state.blocks;
+
+        const processed = message.match(/Processed\s+(\d+)\s+blocks\s+and\s+(\d+)\s+headers\s+in the last\s+([\d.]+)s(?:\s*\((\d+)\s+transactions)?/i);
+        if (processed) {
+            const data = {
+                blocks: parseInt(processed[1], 10),
+                headers: parseInt(processed[2], 10),
+                intervalSeconds: parseFloat(processed[3]),
+                transactions: processed[4] !== undefined ? parseInt(processed[4], 10) : null,
+                source: 'processing'
+            };
+            blocks.accepted += data.blocks;
+            blocks.headers += data.headers;
+            blocks.transactions += data.transactions || 0;
+            blocks.lastReport = { ...data, timestamp };
+            return this.createEvent(this.EVENT_TYPES.BLOCKS_ACCEPTED, 'info', timestamp, message, data);
+        }
+
+        const relay = message.match(/Accepted\s+(\d+)\s+blocks?\b.*?via relay/i);
+        if (relay) {
+            const data = {
+                blocks: parseInt(relay[1], 10),
+                headers: 0,
+                intervalSeconds: null,
+                transactions: null,
+                source: 'relay'
+            };
+            blocks.accepted += data.blocks;
+            blocks.lastReport = { ...data, timestamp };
+            return this.createEvent(this.EVENT_TYPES.BLOCKS_ACCEPTED, 'info', timestamp, message, data);
+        }
+
+        return null;
+    }
+
+    /**
+     * Detect reorgs and virtual chain changes
+     */
+    detectVirtualChange(message, timestamp) {
+        const reorg = message.match(/reorg(?:anization)?\b(?:.*?depth[:\s]+(\d+))?/i);
+        if (reorg) {
+            this.state.counts.reorgs++;
+            const depth = reorg[1] !== undefined ? parseInt(reorg[1], 10) : null;
+            return this.createEvent(this.EVENT_TYPES.REORG, depth !== null && depth > 10 ? 'warning' : 'info', timestamp, message, {
+                depth
+            });
+        }
+
+        const virtualChange = message.match(/(?:virtual|sink)\s+(?:selected parent\s+|chain\s+)?changed(?:.*?(?:to|sink:?)\s+([0-9a-f]{64}))?/i);
+        if (virtualChange) {
+            return this.createEvent(this.EVENT_TYPES.VIRTUAL_CHANGE, 'info', timestamp, message, {
+                sink: virtualChange[1] || null
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Detect warnings, errors and panics
+     */
+    detectProblem(level, message, timestamp) {
+        const counts = this.state.counts;
+
+        if (/panicked at|thread '.*' panicked|\bpanic\b/i.test(message)) {
+            counts.panics++;
+            const event = this.createEvent(this.EVENT_TYPES.PANIC, 'critical', timestamp, message, {});
+            this.state.lastPanic = { message, timestamp };
+            return event;
+        }
+
+        if (level === 'ERROR') {
+            counts.errors++;
+            return this.createEvent(this.EVENT_TYPES.ERROR, 'critical', timestamp, message, {});
+        }
+
+        if (level === 'WARN') {
+            counts.warnings++;
+            this.state.lastWarning = { message, timestamp };
+            return this.createEvent(this.EVENT_TYPES.WARNING, 'warning', timestamp, message, {});
+        }
+
+        return null;
+    }
+
+    /**
+     * Build an event object
+     */
+    createEvent(type, severity, timestamp, message, data) {
+        return {
+            id: this.generateEventId(),
+            type,
+            severity,
+            source: this.serviceName,
+            message,
+            data,
+            timestamp
+        };
+    }
+
+    /**
+     * Add event to the bounded history
+     */
+    recordEvent(event) {
+        this.events.push(event);
+        if (this.events.length > this.MAX_EVENTS) {
+            this.events.splice(0, this.events.length - this.MAX_EVENTS);
+        }
+    }
+
+    /**
+     * Query recorded events, newest first
+     */
+    getEvents(options = {}) {
+        let events = [...this.events].reverse();
+
+        if (options.type) {
+            const types = Array.isArray(options.type) ? options.type : String(options.type).split(',');
+            events = events.filter(e => types.includes(e.type));
+        }
+
+        if (options.severity) {
+            events = events.filter(e => e.severity === options.severity);
+        }
+
+        if (options.since) {
+            const since = new Date(options.since).getTime();
+            if (!isNaN(since)) {
+                events = events.filter(e => new Date(e.timestamp).getTime() >= since);
+            }
+        }
+
+        if (options.limit) {
+            events = events.slice(0, options.limit);
+        }
+
+        return events;
+    }
+
+    /**
+     * Get a summary of what the logs say about the node right now
+     */
+    getSummary() {
+        return {
+            ...this.state,
+            ibd: { ...this.state.ibd },
+            peers: { ...this.state.peers },
+            blocks: { ...this.state.blocks },
+            counts: { ...this.state.counts },
+            totalEvents: this.events.length,
+            streaming: this.isRunning,
+            lastLogTimestamp: this.lastLogTimestamp
+        };
+    }
+
+    /**
+     * Clear all recorded events and state
+     */
+    reset() {
+        this.events = [];
+        this.lastLogTimestamp = null;
+        this.lastLogTime = null;
+        this.lastLogLines.clear();
+        this.state = this.createInitialState();
+    }
+
+    /**
+     * Generate unique event ID
+     */
+    generateEventId() {
+        return `nodeevt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Cleanup and shutdown
+     */
+    async shutdown() {
+        this.isRunning = false;
+
+        if (this.restartTimer) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+        }
+
+        if (this.logManager) {
+            this.logManager.off('log', this.handleLog);
+            this.logManager.off('streamClosed', this.handleStreamClosed);
+            // Called without await from the signal handlers, so it must not reject
+            try {
+                await this.logManager.stopLogStream(this.serviceName);
+            } catch (error) {
+                console.warn('Failed to stop the Kaspa log stream on shutdown:', error.message);
+            }
+        }
+
+        console.log('Kaspa Log Parser shutdown complete');
+    }
+}
+
+module.exports = KaspaLogParser;
@@ -1,31 +1,112 @@
+const EventEmitter = require('events');
 const { ClientWrapper } = require('kaspa-rpc-client');
 
+const DEFAULT_FALLBACK_HOSTS = ['seeder2.kaspad.net:16110', 'seeder1.kaspad.net:16110'];
+
+// Node notifications kept in the live model (client method suffix -> handler).
+// The gRPC API still calls the sink the "virtual selected parent".
+const NOTIFICATIONS = {
+    VirtualDaaScoreChanged: 'handleVirtualDaaScoreChanged',
+    BlockAdded: 'handleBlockAdded',
+    VirtualSelectedParentChainChanged: 'handleVirtualChainChanged',
+    VirtualSelectedParentBlueScoreChanged: 'handleSinkBlueScoreChanged'
+};
+
+const RECENT_BLOCKS = 20;
+const BLOCK_RATE_WINDOW = 60000;
+
 /**
  * Kaspa Node Client using kaspa-rpc-client library
  * Properly connects to Kaspa nodes using WebSocket RPC
+ *
+ * The local node comes first; fallback hosts (public nodes by default) are
+ * only used when it is unavailable, and getSource() tells callers which host
+ * served the data. In local-only mode no other host is ever contacted.
+ *
+ * Once connected it subscribes to node notifications and keeps a live model
+ * of the DAG tip (DAA score, sink blue score, recent blocks). Node queries are
+ * cached briefly so concurrent routes share one RPC call, and block DAG info
+ * is served from the live model while notifications keep arriving. Emits
+ * 'nodeUpdate' with getLiveState(), throttled to liveUpdateInterval, and
+ * passes on every 'blockAdded' block and 'virtualChainChanged' change.
  */
-class KaspaNodeClient {
+class KaspaNodeClient extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} [options.host='localhost'] - Local node host
+     * @param {number} [options.port=16110] - Local node RPC port
+     * @param {string[]|string} [options.fallbackHosts] - host:port list (or comma separated), may be empty
+     * @param {boolean} [options.localOnly=false] - Never fall back to another host
+     * @param {number} [options.localRetryInterval=60000] - How often to retry the local node while on a fallback
+     * @param {number} [options.cacheTtl=2000] - How long node query results are reused
+     * @param {number} [options.liveCacheTtl=10000] - How long block DAG info is reused while notifications arrive
+     * @param {number} [options.liveUpdateInterval=500] - Minimum time between 'nodeUpdate' events
+     */
     constructor(options = {}) {
+        super();
+        
         // Determine hosts to connect to
         const localHost = options.host || 'localhost';
         const localPort = options.port || 16110;
         
-        // Build host list with fallbacks
-        this.hosts = [
-            `${localHost}:${localPort}`,
-            'seeder2.kaspad.net:16110', // Public fallback
-            'seeder1.kaspad.net:16110'  // Additional public fallback
-        ];
+        this.localHost = `${localHost}:${localPort}`;
+        this.localOnly = Boolean(options.localOnly);
+        this.fallbackHosts = this.localOnly ? [] : KaspaNodeClient.parseHosts(options.fallbackHosts, DEFAULT_FALLBACK_HOSTS)
+            .filter(host => host !== this.localHost);
+        this.localRetryInterval = options.localRetryInterval || 60000;
+        
+        // Local node first, then fallbacks in order
+        this.hosts = [this.localHost, ...this.fallbackHosts];
         
         this.wrapper = null;
         this.client = null;
         this.connected = false;
+        this.connectedAt = null;
+        this.localRetry = null;
         this.connectionStatus = {
             connected: false,
             host: null,
+            isLocal: false,
             lastAttempt: null,
             error: null
         };
+        
+        this.cacheTtl = options.cacheTtl ?? 2000;
+        this.liveCacheTtl = options.liveCacheTtl ?? 10000;
+        this.liveUpdateInterval = options.liveUpdateInterval ?? 500;
+        this.cache = new Map();
+        this.subscriptions = null;
+        this.liveUpdateTimer = null;
+        this.live = KaspaNodeClient.createLiveModel();
+    }
+
+    static createLiveModel() {
+        return {
+            subscribed: false,
+            subscribedAt: null,
+            updatedAt: null,
+            virtualDaaScore: null,
+            sinkBlueScore: null,
+            sinkHash: null,
+            lastBlock: null,
+            recentBlocks: [],
+            blockArrivals: [],
+            blocksAdded: 0,
+            chainBlocksAdded: 0,
+            chainBlocksRemoved: 0
+        };
+    }
+
+    /**
+     * Host list from options or environment; undefined means the defaults,
+     * an empty string or array means no fallbacks
+     */
+    static parseHosts(value, defaults = []) {
+        if (value === undefined || value === null) {
+            return [...defaults];
+        }
+        const list = Array.isArray(value) ? value : String(value).split(',');
+        return list.map(host => String(host).trim()).filter(Boolean);
     }
 
     /**
@@ -43,22 +124,38 @@ class KaspaNodeClient {
             });
             
             await this.wrapper.initialize();
-            this.client = await this.wrapper.getClient();
+            this.client = await this.selectClient();
             
+            const host = this.resolveHost(this.client);
             this.connected = true;
+            this.connectedAt = Date.now();
             this.connectionStatus = {
                 connected: true,
-                host: this.client?.url || this.hosts[0],
+                host,
+                isLocal: host === this.localHost,
                 lastAttempt: new Date().toISOString(),
                 error: null
             };
             
-            console.log(`Kaspa RPC client connected to: ${this.connectionStatus.host}`);
+            if (this.connectionStatus.isLocal) {
+                console.log(`Kaspa RPC client connected to: ${host}`);
+            } else {
+                console.warn(`Kaspa RPC client connected to fallback host ${host}: local node ${this.localHost} is unavailable`);
+            }
+            
+            this.subscribeNotifications(this.client);
         } catch (error) {
+            // Drop the half-initialized wrapper so the next call retries
+            if (this.wrapper && typeof this.wrapper.disconnect === 'function') {
+                this.wrapper.disconnect();
+            }
+            this.wrapper = null;
+            this.client = null;
             this.connected = false;
             this.connectionStatus = {
                 connected: false,
                 host: null,
+                isLocal: false,
                 lastAttempt: new Date().toISOString(),
                 error: error.message
             };
@@ -66,16 +163,267 @@ class KaspaNodeClient {
         }
     }
 
+    /**
+     * Pick the client to use: the first ready one in host order (local first).
+     * With a single host (local only, or no fallbacks) a connected but still
+     * syncing local node is used as is; the wrapper would otherwise wait for
+     * it to become synced.
+     */
+    async selectClient() {
+        const clients = Array.isArray(this.wrapper.clients) ? this.wrapper.clients : null;
+        if (clients) {
+            const ready = clients.find(client => client.isReady());
+            if (ready) {
+                return ready;
+            }
+            if (clients.length === 1) {
+                return clients[0];
+            }
+        }
+        return this.wrapper.getClient();
+    }
+
+    /**
+     * Host a wrapper client was created for (clients follow the host order)
+     */
+    resolveHost(client) {
+        const index = Array.isArray(this.wrapper?.clients) ? this.wrapper.clients.indexOf(client) : -1;
+        return index >= 0 ? this.hosts[index] : this.hosts[0];
+    }
+
     /**
      * Ensure client is initialized
      */
     async ensureConnected() {
         if (!this.wrapper || !this.client) {
             await this.initialize();
+        } else if (!this.connectionStatus.isLocal && Date.now() - this.connectedAt > this.localRetryInterval) {
+            // Serving from a fallback host: check whether our own node is back
+            if (!this.localRetry) {
+                this.localRetry = this.forceReconnect().finally(() => {
+                    this.localRetry = null;
+                });
+            }
+            const result = await this.localRetry;
+            if (!result.connected) {
+                throw new Error(`Failed to initialize Kaspa RPC client: ${result.error}`);
+            }
         }
         return this.client;
     }
 
+    /**
+     * Which host the current data comes from, for labelling API responses
+     * @returns {{host: string|null, isLocal: boolean, localOnly: boolean, fallback: boolean}}
+     */
+    getSource() {
+        const { connected, host, isLocal } = this.connectionStatus;
+        return {
+            host: connected ? host : null,
+            isLocal: Boolean(connected && isLocal),
+            localOnly: this.localOnly,
+            fallback: Boolean(connected && !isLocal)
+        };
+    }
+
+    /**
+     * Subscribe to tip notifications on a freshly connected client. Runs in the
+     * background: a node that rejects or ignores the subscriptions just leaves
+     * the live model unsubscribed and queries go to the node as before.
+     */
+    subscribeNotifications(client) {
+        this.unsubscribeNotifications();
+        this.cache.clear();
+        this.live = KaspaNodeClient.createLiveModel();
+        
+        const methods = Object.keys(NOTIFICATIONS);
+        if (!client || !methods.every(name => typeof client[`subscribe${name}`] === 'function')) {
+            return Promise.resolve(false);
+        }
+        
+        const subscriptions = { client, uids: {} };
+        this.subscriptions = subscriptions;
+        
+        const requests = methods.map(name => {
+            const handler = NOTIFICATIONS[name];
+            const callback = payload => {
+                if (this.subscriptions === subscriptions) {
+                    this[handler](payload || {});
+                }
+            };
+            const request = name === 'VirtualSelectedParentChainChanged'
+                ? client[`subscribe${name}`]({ includeAcceptedTransactionIds: false }, callback)
+                : client[`subscribe${name}`](callback);
+            subscriptions.uids[name] = request?.uid;
+            return Promise.resolve(request).then(response => {
+                if (response?.error) {
+                    throw new Error(response.error.message || String(response.error));
+                }
+            });
+        });
+        
+        return Promise.all(requests).then(() => {
+            if (this.subscriptions === subscriptions) {
+                this.live.subscribed = true;
+                this.live.subscribedAt = Date.now();
+            }
+            return true;
+        }).catch(error => {
+            console.warn(`Kaspa node notifications unavailable, polling instead: ${error?.message || error}`);
+            if (this.subscriptions === subscriptions) {
+                this.unsubscribeNotifications();
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Drop the notification handlers registered on the current client
+     */
+    unsubscribeNotifications() {
+        const subscriptions = this.subscriptions;
+        this.subscriptions = null;
+        this.live.subscribed = false;
+        if (!subscriptions) {
+            return;
+        }
+        
+        Object.entries(subscriptions.uids).forEach(([name, uid]) => {
+            try {
+                if (uid && typeof subscriptions.client[`unSubscribe${name}`] === 'function') {
+                    subscriptions.client[`unSubscribe${name}`](uid);
+                }
+            } catch (error) {
+                // The connection is going away anyway
+            }
+        });
+    }
+
+    handleVirtualDaaScoreChanged({ virtualDaaScore }) {
+        if (virtualDaaScore !== undefined) {
+            this.live.virtualDaaScore = String(virtualDaaScore);
+            this.touchLiveModel();
+        }
+    }
+
+    handleBlockAdded({ block }) {
+        const header = block?.header;
+        if (!header) {
+            return;
+        }
+        
+        const now = Date.now();
+        const entry = {
+            hash: block.verboseData?.hash || null,
+            daaScore: header.daaScore !== undefined ? String(header.daaScore) : null,
+            blueScore: header.blueScore !== undefined ? String(header.blueScore) : null,
+            timestamp: header.timestamp !== undefined ? Number(header.timestamp) : null,
+            transactionCount: block.verboseData?.transactionIds?.length ?? block.transactions?.length ?? 0
+        };
+        
+        this.live.lastBlock = entry;
+        this.live.recentBlocks = [entry, ...this.live.recentBlocks].slice(0, RECENT_BLOCKS);
+        this.live.blockArrivals = this.live.blockArrivals.filter(time => now - time < BLOCK_RATE_WINDOW);
+        this.live.blockArrivals.push(now);
+        this.live.blocksAdded++;
+        this.emit('blockAdded', block);
+        this.touchLiveModel();
+    }
+
+    handleVirtualChainChanged({ addedChainBlockHashes = [], removedChainBlockHashes = [] }) {
+        if (addedChainBlockHashes.length > 0) {
+            this.live.sinkHash = addedChainBlockHashes[addedChainBlockHashes.length - 1];
+        }
+        this.live.chainBlocksAdded += addedChainBlockHashes.length;
+        this.live.chainBlocksRemoved += removedChainBlockHashes.length;
+        this.emit('virtualChainChanged', { addedChainBlockHashes, removedChainBlockHashes });
+        this.touchLiveModel();
+    }
+
+    handleSinkBlueScoreChanged({ virtualSelectedParentBlueScore }) {
+        if (virtualSelectedParentBlueScore !== undefined) {
+            this.live.sinkBlueScore = String(virtualSelectedParentBlueScore);
+            this.touchLiveModel();
+        }
+    }
+
+    /**
+     * Record a model change and schedule a throttled 'nodeUpdate'
+     */
+    touchLiveModel() {
+        this.live.updatedAt = Date.now();
+        if (this.liveUpdateTimer) {
+            return;
+        }
+        this.liveUpdateTimer = setTimeout(() => {
+            this.liveUpdateTimer = null;
+            this.emit('nodeUpdate', this.getLiveState());
+        }, this.liveUpdateInterval);
+        this.liveUpdateTimer.unref?.();
+    }
+
+    /**
+     * Whether notifications are flowing, i.e. the model reflects the node
+     */
+    isLive() {
+        return Boolean(this.live.subscribed && this.live.updatedAt && Date.now() - this.live.updatedAt < this.liveCacheTtl);
+    }
+
+    /**
+     * Snapshot of the live node model
+     */
+    getLiveState() {
+        const now = Date.now();
+        const arrivals = this.live.blockArrivals.filter(time => now - time < BLOCK_RATE_WINDOW);
+        const elapsed = Math.min(BLOCK_RATE_WINDOW, now - (this.live.subscribedAt || now));
+        
+        return {
+            live: this.isLive(),
+            subscribed: this.live.subscribed,
+            virtualDaaScore: this.live.virtualDaaScore,
+            sinkBlueScore: this.live.sinkBlueScore,
+            sinkHash: this.live.sinkHash,
+            lastBlock: this.live.lastBlock,
+            recentBlocks: [...this.live.recentBlocks],
+            blocksPerSecond: elapsed >= 1000 ? Math.round(arrivals.length / (elapsed / 1000) * 100) / 100 : null,
+            blocksAdded: this.live.blocksAdded,
+            chainBlocksAdded: this.live.chainBlocksAdded,
+            chainBlocksRemoved: this.live.chainBlocksRemoved,
+            updatedAt: this.live.updatedAt ? new Date(this.live.updatedAt).toISOString() : null,
+            nodeSource: this.getSource()
+        };
+    }
+
+    /**
+     * Call a node method, reusing a result younger than ttl and sharing
+     * in-flight calls between callers
+     */
+    cachedRequest(client, method, ttl = this.cacheTtl) {
+        const entry = this.cache.get(method);
+        if (entry && entry.client === client) {
+            if (entry.pending) {
+                return entry.pending;
+            }
+            if (Date.now() - entry.time < ttl) {
+                return Promise.resolve(entry.value);
+            }
+        }
+        
+        const pending = Promise.resolve().then(() => client[method]()).then(value => {
+            if (this.cache.get(method)?.pending === pending) {
+                this.cache.set(method, { client, value, time: Date.now() });
+            }
+            return value;
+        }, error => {
+            if (this.cache.get(method)?.pending === pending) {
+                this.cache.delete(method);
+            }
+            throw error;
+        });
+        this.cache.set(method, { client, pending });
+        return pending;
+    }
+
     /**
      * Get node info
      */
@@ -83,7 +431,7 @@ class KaspaNodeClient {
         const client = await this.ensureConnected();
         
         try {
-            const info = await client.getInfo();
+            const info = await this.cachedRequest(client, 'getInfo');
             
             return {
                 serverVersion: info.serverVersion,
@@ -107,25 +455,35 @@ class KaspaNodeClient {
     async getBlockDagInfo() {
         const client = await this.ensureConnected();
         
+        const live = this.isLive();
+        
         try {
-            const blockDag = await client.getBlockDagInfo();
+            const blockDag = await this.cachedRequest(client, 'getBlockDagInfo', live ? this.liveCacheTtl : this.cacheTtl);
+            
+            // Scores from notifications are newer than the cached response
+            const virtualDaaScore = (live && this.live.virtualDaaScore) || blockDag.virtualDaaScore;
+            const blueScore = (live && this.live.sinkBlueScore) || blockDag.virtualSelectedParentBlueScore;
             
             // For synced nodes, use current time as tip timestamp (close approximation)
             // For unsynced nodes, estimate from DAA score
             let tipTimestamp = null;
             
             try {
-                // Check if node is synced
-                const info = await client.getInfo();
+                // Check if node is synced (not needed when blocks are being pushed)
+                const lastBlock = live ? this.live.lastBlock : null;
+                const info = lastBlock?.timestamp ? null : await this.cachedRequest(client, 'getInfo');
                 
-                if (info.isSynced) {
+                if (!info) {
+                    // Header timestamp of the latest added block, in milliseconds
+                    tipTimestamp = Math.floor(lastBlock.timestamp / 1000);
+                } else if (info.isSynced) {
                     // Node is synced, tip is very recent (within last few seconds)
                     tipTimestamp = Math.floor(Date.now() / 1000); // Current time in seconds
                 } else {
                     // Node is syncing, estimate from DAA score
                     // Kaspa has ~1 block per second, genesis was Nov 7, 2021
                     const kaspaGenesis = new Date('2021-11-07T00:00:00Z').getTime();
-                    const daaScore = blockDag.virtualDaaScore || blockDag.virtualSelectedParentBlueScore;
+                    const daaScore = virtualDaaScore || blueScore;
                     if (daaScore) {
                         tipTimestamp = Math.floor((kaspaGenesis + (parseInt(daaScore) * 1000)) / 1000); // Convert to seconds
                     }
@@ -137,12 +495,14 @@ class KaspaNodeClient {
             }
             
             return {
-                virtualSelectedParentBlueScore: blockDag.virtualSelectedParentBlueScore,
+                virtualSelectedParentBlueScore: blueScore,
                 virtualSelectedParentBlueHash: blockDag.virtualSelectedParentBlueHash,
                 difficulty: blockDag.difficulty,
                 tipHashes: blockDag.tipHashes || [],
-                virtualDaaScore: blockDag.virtualDaaScore,
-                blockCount: blockDag.virtualSelectedParentBlueScore, // Use blue score as block count
+                virtualDaaScore: virtualDaaScore,
+                blockCount: blueScore, // Use blue score as block count
+                headerCount: blockDag.headerCount !== undefined ? Number(blockDag.headerCount) : null,
+                blockBodyCount: blockDag.blockCount !== undefined ? Number(blockDag.blockCount) : null, // Blocks with bodies, for IBD progress
                 tipTimestamp: tipTimestamp, // Timestamp of the tip block (in seconds)
                 pruningPointHash: blockDag.pruningPointHash,
                 virtualParentHashes: blockDag.virtualParentHashes || []
@@ -169,7 +529,7 @@ class KaspaNodeClient {
             
             // The response has { block, error } structure
             if (response.error) {
-                throw new Error(response.error);
+                throw new Error(response.error.message || response.error);
             }
             
             return response.block || response;
@@ -185,7 +545,7 @@ class KaspaNodeClient {
         const client = await this.ensureConnected();
         
         try {
-            const network = await client.getCurrentNetwork();
+            const network = await this.cachedRequest(client, 'getCurrentNetwork');
             return network;
         } catch (error) {
             return { networkName: 'mainnet' };
@@ -336,7 +696,7 @@ class KaspaNodeClient {
         const client = await this.ensureConnected();
         
         try {
-            const mempoolEntries = await client.getMempoolEntries();
+            const mempoolEntries = await this.cachedRequest(client, 'getMempoolEntries');
             const nodeInfo = await this.getNodeInfo();
             
             return {
@@ -398,8 +758,12 @@ class KaspaNodeClient {
     getConnectionStatus() {
         return {
             ...this.connectionStatus,
-            workingHost: this.client?.url || null,
-            hosts: this.hosts
+            workingHost: this.connected ? this.connectionStatus.host : null,
+            hosts: this.hosts,
+            localHost: this.localHost,
+            fallbackHosts: this.fallbackHosts,
+            localOnly: this.localOnly,
+            liveUpdates: this.isLive()
         };
     }
 
@@ -407,6 +771,10 @@ class KaspaNodeClient {
      * Force reconnect
      */
     async forceReconnect() {
+        this.unsubscribeNotifications();
+        if (this.wrapper && typeof this.wrapper.disconnect === 'function') {
+            this.wrapper.disconnect();
+        }
         this.wrapper = null;
         this.client = null;
         this.connected = false;
@@ -431,6 +799,11 @@ class KaspaNodeClient {
      * Cleanup resources
      */
     destroy() {
+        this.unsubscribeNotifications();
+        clearTimeout(this.liveUpdateTimer);
+        this.liveUpdateTimer = null;
+        this.cache.clear();
+        
         if (this.wrapper) {
             // kaspa-rpc-client handles cleanup internally
             this.wrapper = null;
@@ -0,0 +1,299 @@
+const EventEmitter = require('events');
+
+// Fee rates are sompi per gram of transaction mass
+const MINIMUM_FEERATE = 1; // kaspad's default minimum relay fee (1000 sompi/kg)
+const BLOCK_MASS_LIMIT = 500000;
+// About a one-input, two-output transfer, used to turn fee rates into fees
+const TYPICAL_MASS = 2000;
+
+const FEERATE_BUCKETS = [0, 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000];
+const AGE_BUCKETS = [
+    { label: '<10s', max: 10000 },
+    { label: '10s-1m', max: 60000 },
+    { label: '1-5m', max: 300000 },
+    { label: '5-30m', max: 1800000 },
+    { label: '>30m', max: Infinity }
+];
+// Inclusion targets for the estimates, in seconds
+const FEE_TARGETS = { priority: 1, normal: 60, low: 3600 };
+
+/**
+ * Mempool Monitor
+ * Samples the local node's mempool (getMempoolEntries, orphan pool
+ * included) and derives a fee-rate histogram, orphan count, transaction age
+ * distribution and low/normal/priority fee estimates.
+ *
+ * Estimates fill blocks with the highest fee rates first: a target of N
+ * seconds can take N * blocksPerSecond blocks of BLOCK_MASS_LIMIT mass, and
+ * the estimate is the rate of the last transaction that still fits (the
+ * minimum relay rate when the mempool does not fill the target). The RPC has
+ * no arrival times, so ages count from when a transaction was first sampled.
+ *
+ * Like peers, a fallback host's mempool is not ours: nothing is sampled
+ * while the node client is on a fallback. Emits 'sample' with each summary.
+ */
+class MempoolMonitor extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getClient - async () => connected kaspa-rpc-client Client
+     * @param {Function} [options.getSource] - () => KaspaNodeClient.getSource() for the current connection
+     * @param {Function} [options.getBlocksPerSecond] - () => current block rate (default 10)
+     * @param {number} [options.sampleInterval] - How often the mempool is sampled (ms)
+     */
+    constructor(options = {}) {
+        super();
+
+        this.getClient = options.getClient || (async () => {
+            throw new Error('Kaspa node client not configured');
+        });
+        this.getSource = options.getSource || (() => ({ host: null, isLocal: true, fallback: false }));
+        this.getBlocksPerSecond = options.getBlocksPerSecond || (() => null);
+
+        this.SAMPLE_INTERVAL = options.sampleInterval || 30000;
+
+        this.snapshot = null;
+        this.firstSeen = new Map(); // transactionId -> first sample time (ms)
+        this.trackingSince = null;
+        this.sampling = null;
+        this.lastError = null;
+        this.sampleTimer = null;
+    }
+
+    /**
+     * Start periodic sampling
+     */
+    initialize() {
+        this.sampleTimer = setInterval(() => {
+            this.sample().catch(() => {});
+        }, this.SAMPLE_INTERVAL);
+        if (this.sampleTimer.unref) {
+            this.sampleTimer.unref();
+        }
+
+        this.sample().catch(error => {
+            console.warn('Mempool sampling not started:', error.message);
+        });
+
+        console.log('Mempool Monitor initialized');
+    }
+
+    /**
+     * Latest summary, sampled now if older than the sample interval
+     */
+    async getSnapshot() {
+        if (!this.snapshot || Date.now() - Date.parse(this.snapshot.timestamp) >= this.SAMPLE_INTERVAL) {
+            await this.sample();
+        }
+        if (!this.snapshot) {
+            throw new Error(this.lastError || 'Mempool data is not available yet');
+        }
+        return this.snapshot;
+    }
+
+    /**
+     * Read the mempool once; concurrent callers share the request
+     */
+    sample() {
+        if (!this.sampling) {
+            this.sampling = this.readMempool().finally(() => {
+                this.sampling = null;
+            });
+        }
+        return this.sampling;
+    }
+
+    async readMempool() {
+        const source = this.getSource();
+        if (source.fallback) {
+            this.lastError = `Mempool analytics need the local node; currently connected to ${source.host}`;
+            return null;
+        }
+
+        let response;
+        try {
+            const client = await this.getClient();
+            response = await client.getMempoolEntries({ includeOrphanPool: true, filterTransactionPool: false });
+        } catch (error) {
+            this.lastError = `Mempool query failed: ${error?.message || String(error)}`;
+            throw new Error(this.lastError);
+        }
+        if (response && response.error && response.error.message) {
+            this.lastError = `Mempool query failed: ${response.error.message}`;
+            throw new Error(this.lastError);
+        }
+
+        this.lastError = null;
+        this.snapshot = this.summarize(Array.isArray(response?.entries) ? response.entries : []);
+        this.emit('sample', this.snapshot);
+        return this.snapshot;
+    }
+
+    /**
+     * Build the summary for one set of mempool entries
+     */
+    summarize(entries, now = Date.now()) {
+        if (!this.trackingSince) {
+            this.trackingSince = now;
+        }
+
+        const seen = new Map();
+        const transactions = [];
+        let orphanCount = 0;
+        let orphanMass = 0;
+
+        entries.forEach(entry => {
+            const tx = entry.transaction || {};
+            const id = tx.verboseData?.transactionId || null;
+            const mass = Number(tx.verboseData?.mass) || MempoolMonitor.estimateMass(tx);
+            const firstSeen = id ? (this.firstSeen.get(id) || now) : now;
+            if (id) {
+                seen.set(id, firstSeen);
+            }
+
+            if (entry.isOrphan) {
+                orphanCount++;
+                orphanMass += mass;
+                return;
+            }
+            const fee = Number(entry.fee) || 0;
+            transactions.push({ fee, mass, feerate: mass > 0 ? fee / mass : 0, age: now - firstSeen });
+        });
+        // Forget transactions that left the mempool
+        this.firstSeen = seen;
+
+        const totalMass = transactions.reduce((sum, tx) => sum + tx.mass, 0);
+        const rates = transactions.map(tx => tx.feerate).sort((a, b) => a - b);
+        const round = value => Math.round(value * 1000) / 1000;
+
+        return {
+            timestamp: new Date(now).toISOString(),
+            transactionCount: transactions.length,
+            orphanCount,
+            orphanMass,
+            totalMass,
+            totalFees: transactions.reduce((sum, tx) => sum + tx.fee, 0),
+            // How many full blocks the (non-orphan) mempool would take
+            blocksToClear: round(totalMass / BLOCK_MASS_LIMIT),
+            feerate: {
+                min: rates.length > 0 ? round(rates[0]) : null,
+                median: rates.length > 0 ? round(rates[Math.floor(rates.length / 2)]) : null,
+                max: rates.length > 0 ? round(rates[rates.length - 1]) : null
+            },
+            feerateHistogram: this.buildHistogram(transactions),
+            ageDistribution: this.buildAgeDistribution(transactions),
+            agesSince: new Date(this.trackingSince).toISOString(),
+            feeEstimates: this.estimateFees(transactions)
+        };
+    }
+
+    buildHistogram(transactions) {
+        const buckets = FEERATE_BUCKETS.map((min, index) => ({
+            min,
+            max: index + 1 < FEERATE_BUCKETS.length ? FEERATE_BUCKETS[index + 1] : null,
+            count: 0,
+            mass: 0
+        }));
+        transactions.forEach(tx => {
+            let index = buckets.length - 1;
+            while (index > 0 && tx.feerate < buckets[index].min) {
+                index--;
+            }
+            buckets[index].count++;
+            buckets[index].mass += tx.mass;
+        });
+        return buckets;
+    }
+
+    buildAgeDistribution(transactions) {
+        const buckets = AGE_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+        transactions.forEach(tx => {
+            buckets[AGE_BUCKETS.findIndex(bucket => tx.age < bucket.max)].count++;
+        });
+        return buckets;
+    }
+
+    /**
+     * Fee rate needed to be included within each target
+     */
+    estimateFees(transactions) {
+        const blocksPerSecond = Number(this.getBlocksPerSecond()) || 10;
+        const byRate = [...transactions].sort((a, b) => b.feerate - a.feerate);
+
+        const estimates = {};
+        Object.entries(FEE_TARGETS).forEach(([name, seconds]) => {
+            const capacity = Math.max(1, Math.round(seconds * blocksPerSecond)) * BLOCK_MASS_LIMIT;
+            let mass = 0;
+            let feerate = MINIMUM_FEERATE;
+            for (const tx of byRate) {
+                mass += tx.mass;
+                if (mass > capacity) {
+                    // Outbid the first transaction that no longer fits
+                    feerate = Math.max(MINIMUM_FEERATE, Math.round(tx.feerate * 100) / 100 + 0.01);
+                    break;
+                }
+            }
+            estimates[name] = {
+                feerate,
+                targetSeconds: seconds,
+                typicalFeeSompi: Math.ceil(feerate * TYPICAL_MASS),
+                typicalFeeKas: Math.ceil(feerate * TYPICAL_MASS) / 100000000
+            };
+        });
+        return estimates;
+    }
+
+    /**
+     * Metric samples of the latest summary for the metrics store and alert
+     * rules (the transaction count is already node.mempool_size)
+     */
+    getMetricSamples() {
+        if (!this.snapshot) {
+            return [];
+        }
+        return [
+            { metric: 'mempool.orphans', labels: {}, value: this.snapshot.orphanCount },
+            { metric: 'mempool.mass', labels: {}, value: this.snapshot.totalMass },
+            { metric: 'mempool.feerate_median', labels: {}, value: this.snapshot.feerate.median || 0 },
+            { metric: 'mempool.fee_priority', labels: {}, value: this.snapshot.feeEstimates.priority.feerate }
+        ];
+    }
+
+    /**
+     * Compute mass when the node did not include verbose data: serialized
+     * size, plus 10 per script public key byte and 1000 per signature operation
+     */
+    static estimateMass(tx) {
+        const hexLength = value => (typeof value === 'string' ? value.length / 2 : 0);
+        const inputs = Array.isArray(tx.inputs) ? tx.inputs : [];
+        const outputs = Array.isArray(tx.outputs) ? tx.outputs : [];
+
+        let size = 2 + 8 + 8 + 8 + 20 + 8 + 32 + 8 + hexLength(tx.payload);
+        let scriptMass = 0;
+        let sigOps = 0;
+        inputs.forEach(input => {
+            size += 32 + 4 + 8 + hexLength(input.signatureScript) + 8 + 1;
+            sigOps += Number(input.sigOpCount) || 0;
+        });
+        outputs.forEach(output => {
+            const scriptLength = hexLength(output.scriptPublicKey?.scriptPublicKey);
+            size += 8 + 2 + 8 + scriptLength;
+            scriptMass += 2 + scriptLength;
+        });
+        return size + 10 * scriptMass + 1000 * sigOps;
+    }
+
+    shutdown() {
+        if (this.sampleTimer) {
+            clearInterval(this.sampleTimer);
+            this.sampleTimer = null;
+        }
+        this.removeAllListeners();
+
+        console.log('Mempool Monitor shutdown complete');
+    }
+}
+
+MempoolMonitor.BLOCK_MASS_LIMIT = BLOCK_MASS_LIMIT;
+MempoolMonitor.MINIMUM_FEERATE = MINIMUM_FEERATE;
+
+module.exports = MempoolMonitor;
@@ -0,0 +1,482 @@
+const fs = require('fs').promises;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Metrics Store
+ * Append-only time-series store with tiered downsampling. Samples are aggregated
+ * into buckets of the finest tier (min/max/sum/count/last), written as NDJSON
+ * partition files, and rolled up into coarser tiers as periods complete.
+ *
+ * Layout: DATA_DIR/metrics/<tier>/<partition>.ndjson
+ */
+class MetricsStore {
+    constructor(options = {}) {
+        const dataDir = options.dataDir || process.env.DATA_DIR || './data';
+        this.baseDir = `${dataDir}/metrics`;
+        this.stateFile = `${this.baseDir}/rollup-state.json`;
+
+        // Finest tier first; each tier is rolled up from the one before it
+        this.tiers = options.tiers || [
+            { name: '1m', resolution: MINUTE, retention: 2 * DAY, partition: 'day' },
+            { name: '1h', resolution: HOUR, retention: 90 * DAY, partition: 'month' },
+            { name: '1d', resolution: DAY, retention: 730 * DAY, partition: 'year' }
+        ];
+        this.flushInterval = options.flushInterval || MINUTE;
+        this.retentionInterval = options.retentionInterval || HOUR;
+        this.maxPoints = options.maxPoints || 500;
+
+        this.buffer = new Map(); // seriesKey -> open bucket of the finest tier
+        this.pending = []; // closed buckets waiting to be written
+        this.knownSeries = new Map(); // seriesKey -> { metric, labels, lastSeen }
+        this.rollupState = {}; // tier name -> end of the last rolled up period
+        this.flushedUntil = null;
+        this.lastRetentionRun = 0;
+        this.flushTimer = null;
+        this.flushing = Promise.resolve();
+    }
+
+    /**
+     * Create tier directories, load rollup state and start periodic flushing
+     */
+    async initialize() {
+        for (const tier of this.tiers) {
+            await fs.mkdir(`${this.baseDir}/${tier.name}`, { recursive: true });
+        }
+
+        try {
+            this.rollupState = JSON.parse(await fs.readFile(this.stateFile, 'utf-8')) || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Failed to load metrics rollup state:', error.message);
+            }
+            this.rollupState = {};
+        }
+
+        this.flushTimer = setInterval(() => {
+            this.flush().catch(error => {
+                console.warn('Failed to flush metrics:', error.message);
+            });
+        }, this.flushInterval);
+        if (this.flushTimer.unref) {
+            this.flushTimer.unref();
+        }
+
+        console.log(`Metrics store initialized (${this.tiers.map(tier => tier.name).join(', ')})`);
+    }
+
+    /**
+     * Record a sample. Non-numeric values are ignored.
+     */
+    record(metric, value, labels = {}, timestamp = Date.now()) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return;
+        }
+
+        const t = this.alignTimestamp(timestamp, this.tiers[0].resolution);
+        const key = this.getSeriesKey(metric, labels);
+        let bucket = this.buffer.get(key);
+
+        if (bucket && bucket.t !== t) {
+            this.pending.push(bucket);
+            bucket = null;
+        }
+
+        if (!bucket) {
+            bucket = { t, m: metric, l: { ...labels }, min: value, max: value, sum: 0, n: 0, last: value };
+            this.buffer.set(key, bucket);
+        }
+
+        bucket.min = Math.min(bucket.min, value);
+        bucket.max = Math.max(bucket.max, value);
+        bucket.sum += value;
+        bucket.n += 1;
+        bucket.last = value;
+
+        this.knownSeries.set(key, { metric, labels: { ...labels }, lastSeen: timestamp });
+    }
+
+    /**
+     * Record several samples: [{ metric, value, labels, timestamp }]
+     */
+    recordMany(samples) {
+        samples.forEach(sample => this.record(sample.metric, sample.value, sample.labels || {}, sample.timestamp || Date.now()));
+    }
+
+    /**
+     * Write closed buckets, roll up completed periods and apply retention.
+     * Flushes are serialized so timer and shutdown flushes never interleave.
+     * @param {Object} options - { all: also write the currently open buckets }
+     */
+    flush(now = Date.now(), options = {}) {
+        this.flushing = this.flushing
+            .catch(() => {})
+            .then(() => this.doFlush(now, options));
+        return this.flushing;
+    }
+
+    async doFlush(now, options) {
+        const base = this.tiers[0];
+        const current = this.alignTimestamp(now, base.resolution);
+
+        this.buffer.forEach((bucket, key) => {
+            if (options.all || bucket.t < current) {
+                this.pending.push(bucket);
+                this.buffer.delete(key);
+            }
+        });
+
+        const buckets = this.pending.splice(0);
+        await this.appendBuckets(base, buckets);
+        this.flushedUntil = Math.max(this.flushedUntil || 0, current);
+
+        await this.rollup(now);
+
+        if (now - this.lastRetentionRun >= this.retentionInterval) {
+            this.lastRetentionRun = now;
+            await this.applyRetention(now);
+        }
+    }
+
+    /**
+     * Append buckets to the partition files of a tier
+     */
+    async appendBuckets(tier, buckets) {
+        const byFile = new Map();
+        buckets.forEach(bucket => {
+            const file = this.getPartitionFile(tier, bucket.t);
+            if (!byFile.has(file)) {
+                byFile.set(file, []);
+            }
+            byFile.get(file).push(JSON.stringify(bucket));
+        });
+
+        for (const [file, lines] of byFile) {
+            await fs.appendFile(file, lines.join('\n') + '\n');
+        }
+    }
+
+    /**
+     * Roll completed periods of each tier up into the next coarser tier
+     */
+    async rollup(now = Date.now()) {
+        let changed = false;
+
+        for (let i = 1; i < this.tiers.length; i++) {
+            const tier = this.tiers[i];
+            const source = this.tiers[i - 1];
+            const sourceComplete = i === 1 ? this.flushedUntil : this.rollupState[source.name];
+            if (!sourceComplete) {
+                continue;
+            }
+
+            const to = this.alignTimestamp(sourceComplete, tier.resolution);
+            const from = this.rollupState[tier.name] ||
+                this.alignTimestamp(now - source.retention, tier.resolution);
+            if (to <= from) {
+                continue;
+            }
+
+            const records = await this.readTier(source, from, to);
+            const buckets = Array.from(this.aggregate(records, tier.resolution).values())
+                .flatMap(series => Array.from(series.buckets.values()));
+            await this.appendBuckets(tier, buckets);
+
+            this.rollupState[tier.name] = to;
+            changed = true;
+        }
+
+        if (changed) {
+            await fs.writeFile(this.stateFile, JSON.stringify(this.rollupState, null, 2));
+        }
+    }
+
+    /**
+     * Delete partition files that are entirely past their tier's retention
+     */
+    async applyRetention(now = Date.now()) {
+        let removed = 0;
+
+        for (const tier of this.tiers) {
+            let files = [];
+            try {
+                files = await fs.readdir(`${this.baseDir}/${tier.name}`);
+            } catch (error) {
+                continue;
+            }
+
+            for (const file of files) {
+                const start = this.parsePartitionName(file.replace(/\.ndjson$/, ''));
+                if (start === null) {
+                    continue;
+                }
+                if (this.nextPartition(tier.partition, start) <= now - tier.retention) {
+                    await fs.unlink(`${this.baseDir}/${tier.name}/${file}`);
+                    removed++;
+                }
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Query a metric over a time range
+     * @param {Object} options - { metric, labels, start, end, step (ms), aggregate: avg|min|max|last|sum|count }
+     */
+    async query(options = {}) {
+        const now = Date.now();
+        const end = options.end !== undefined ? options.end : now;
+        const start = options.start !== undefined ? options.start : end - HOUR;
+        const aggregate = options.aggregate || 'avg';
+        const requestedStep = options.step || Math.ceil((end - start) / this.maxPoints);
+
+        const tierIndex = this.selectTier(start, requestedStep, now);
+        const tier = this.tiers[tierIndex];
+        const step = Math.max(tier.resolution, Math.ceil(requestedStep / tier.resolution) * tier.resolution);
+
+        const matches = record => record.m === options.metric &&
+            Object.entries(options.labels || {}).every(([key, value]) => record.l && record.l[key] === value);
+        const records = await this.readRange(tierIndex, this.alignTimestamp(start, step), end, matches);
+        const grouped = this.aggregate(records, step);
+
+        return {
+            metric: options.metric,
+            tier: tier.name,
+            start,
+            end,
+            step,
+            aggregate,
+            series: Array.from(grouped.values()).map(series => ({
+                metric: series.metric,
+                labels: series.labels,
+                points: Array.from(series.buckets.values())
+                    .sort((a, b) => a.t - b.t)
+                    .map(bucket => [bucket.t, this.getBucketValue(bucket, aggregate)])
+            }))
+        };
+    }
+
+    /**
+     * Pick the coarsest tier that still covers the range at the requested step
+     */
+    selectTier(start, step, now = Date.now()) {
+        const covering = this.tiers
+            .map((tier, index) => ({ tier, index }))
+            .filter(({ tier }) => start >= now - tier.retention);
+
+        if (covering.length === 0) {
+            return this.tiers.length - 1;
+        }
+
+        const fitting = covering.filter(({ tier }) => tier.resolution <= step);
+        return fitting.length > 0 ? fitting[fitting.length - 1].index : covering[0].index;
+    }
+
+    /**
+     * Read records for a range from a tier. The part not yet rolled up into the
+     * tier is read from finer tiers (and the in-memory buffer for the finest).
+     */
+    async readRange(tierIndex, from, to, filter = () => true) {
+        const tier = this.tiers[tierIndex];
+
+        if (tierIndex === 0) {
+            const stored = await this.readTier(tier, from, to, filter);
+            const buffered = this.pending.concat(Array.from(this.buffer.values()))
+                .filter(bucket => bucket.t >= from && bucket.t < to && filter(bucket));
+            return stored.concat(buffered);
+        }
+
+        const boundary = Math.min(to, Math.max(from, this.rollupState[tier.name] || from));
+        const stored = boundary > from ? await this.readTier(tier, from, boundary, filter) : [];
+        const recent = boundary < to ? await this.readRange(tierIndex - 1, boundary, to, filter) : [];
+        return stored.concat(recent);
+    }
+
+    /**
+     * Read stored records of a tier within [from, to)
+     */
+    async readTier(tier, from, to, filter = () => true) {
+        const records = [];
+
+        for (let start = this.partitionStart(tier.partition, from); start < to; start = this.nextPartition(tier.partition, start)) {
+            let data;
+            try {
+                data = await fs.readFile(this.getPartitionFile(tier, start), 'utf-8');
+            } catch (error) {
+                continue;
+            }
+            if (typeof data !== 'string') {
+                continue;
+            }
+
+            data.split('\n').forEach(line => {
+                if (!line) {
+                    return;
+                }
+                try {
+                    const record = JSON.parse(line);
+                    if (record.t >= from && record.t < to && filter(record)) {
+                        records.push(record);
+                    }
+                } catch (error) {
+                    // Partial line from an interrupted write
+                }
+            });
+        }
+
+        return records;
+    }
+
+    /**
+     * Merge records into buckets of the given resolution, per series
+     * @returns {Map} seriesKey -> { metric, labels, buckets: Map(t -> bucket) }
+     */
+    aggregate(records, resolution) {
+        const series = new Map();
+
+        records.forEach(record => {
+            const key = this.getSeriesKey(record.m, record.l || {});
+            if (!series.has(key)) {
+                series.set(key, { metric: record.m, labels: record.l || {}, buckets: new Map() });
+            }
+
+            const buckets = series.get(key).buckets;
+            const t = this.alignTimestamp(record.t, resolution);
+            const bucket = buckets.get(t);
+
+            if (!bucket) {
+                buckets.set(t, { t, m: record.m, l: record.l || {}, min: record.min, max: record.max, sum: record.sum, n: record.n, last: record.last, lastT: record.t });
+                return;
+            }
+
+            bucket.min = Math.min(bucket.min, record.min);
+            bucket.max = Math.max(bucket.max, record.max);
+            bucket.sum += record.sum;
+            bucket.n += record.n;
+            if (record.t >= bucket.lastT) {
+                bucket.last = record.last;
+                bucket.lastT = record.t;
+            }
+        });
+
+        // lastT only orders merges, it is not stored
+        series.forEach(entry => entry.buckets.forEach(bucket => delete bucket.lastT));
+        return series;
+    }
+
+    getBucketValue(bucket, aggregate) {
+        switch (aggregate) {
+            case 'min':
+                return bucket.min;
+            case 'max':
+                return bucket.max;
+            case 'last':
+                return bucket.last;
+            case 'sum':
+                return bucket.sum;
+            case 'count':
+                return bucket.n;
+            case 'avg':
+            default:
+                return bucket.n > 0 ? bucket.sum / bucket.n : null;
+        }
+    }
+
+    /**
+     * List series recorded since startup
+     */
+    getSeries() {
+        return Array.from(this.knownSeries.values());
+    }
+
+    /**
+     * Get store configuration and state
+     */
+    getStatus() {
+        return {
+            tiers: this.tiers.map(tier => ({
+                name: tier.name,
+                resolution: tier.resolution,
+                retention: tier.retention,
+                rolledUpUntil: this.rollupState[tier.name] ? new Date(this.rollupState[tier.name]).toISOString() : null
+            })),
+            series: this.knownSeries.size,
+            bufferedBuckets: this.buffer.size + this.pending.length,
+            flushedUntil: this.flushedUntil ? new Date(this.flushedUntil).toISOString() : null
+        };
+    }
+
+    getSeriesKey(metric, labels) {
+        const labelKey = Object.keys(labels).sort().map(key => `${key}="${labels[key]}"`).join(',');
+        return `${metric}{${labelKey}}`;
+    }
+
+    alignTimestamp(timestamp, resolution) {
+        return Math.floor(timestamp / resolution) * resolution;
+    }
+
+    getPartitionFile(tier, timestamp) {
+        return `${this.baseDir}/${tier.name}/${this.getPartitionName(tier.partition, timestamp)}.ndjson`;
+    }
+
+    /**
+     * Partitions are UTC days (YYYY-MM-DD), months (YYYY-MM) or years (YYYY)
+     */
+    getPartitionName(partition, timestamp) {
+        const iso = new Date(timestamp).toISOString();
+        return partition === 'year' ? iso.slice(0, 4) : partition === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+    }
+
+    parsePartitionName(name) {
+        const match = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/.exec(name);
+        if (!match) {
+            return null;
+        }
+        return Date.UTC(Number(match[1]), match[2] ? Number(match[2]) - 1 : 0, match[3] ? Number(match[3]) : 1);
+    }
+
+    partitionStart(partition, timestamp) {
+        const date = new Date(timestamp);
+        if (partition === 'year') {
+            return Date.UTC(date.getUTCFullYear(), 0, 1);
+        }
+        if (partition === 'month') {
+            return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+        }
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    }
+
+    nextPartition(partition, start) {
+        const date = new Date(start);
+        if (partition === 'year') {
+            return Date.UTC(date.getUTCFullYear() + 1, 0, 1);
+        }
+        if (partition === 'month') {
+            return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+        }
+        return start + DAY;
+    }
+
+    /**
+     * Flush everything still buffered and stop the timer
+     */
+    async shutdown() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        try {
+            await this.flush(Date.now(), { all: true });
+        } catch (error) {
+            console.warn('Failed to flush metrics on shutdown:', error.message);
+        }
+
+        console.log('Metrics Store shutdown complete');
+    }
+}
+
+module.exports = MetricsStore;
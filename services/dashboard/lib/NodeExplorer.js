@@ -0,0 +1,403 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+
+const execAsync = promisify(exec);
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+const ADDRESS_PATTERN = /^(kaspa|kaspatest|kaspasim|kaspadev):[02-9ac-hj-np-z]{61,63}$/;
+const SOMPI_PER_KAS = 100000000;
+// Coinbase transactions use subnetwork 0100000000000000000000000000000000000000
+const COINBASE_SUBNETWORK = /^01(00)+$/;
+
+/**
+ * Node Explorer
+ * Block, transaction and address lookups against our own node, so a
+ * node-only install gets basic explorer features without the explorer bundle.
+ *
+ * Blocks come from the node's getBlock (header, parents, merge set, chain
+ * membership and transactions). The node has no transaction index, so a
+ * transaction is found in the mempool, in a block given by the caller or, when
+ * the explorer bundle's indexer database is running, in the indexer's
+ * transaction and acceptance tables. Confirmation depth is counted in DAA
+ * score, like the wallet's.
+ *
+ * Errors start with "Invalid lookup" for malformed input and "Not found" for
+ * unknown hashes; address lookups without --utxoindex keep the wallet's
+ * UTXO_INDEX_REQUIRED code.
+ */
+class NodeExplorer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.nodeClient - KaspaNodeClient
+     * @param {Object} options.walletManager - WalletManager, for address balances and UTXOs
+     * @param {Object} [options.indexer] - { container, user, database } of the explorer indexer DB
+     */
+    constructor(options = {}) {
+        this.nodeClient = options.nodeClient;
+        this.walletManager = options.walletManager;
+        this.indexer = {
+            container: 'timescaledb-explorer',
+            user: 'kaspa_explorer',
+            database: 'simply_kaspa',
+            ...(options.indexer || {})
+        };
+
+        this.indexerCheckInterval = 60000;
+        this.indexerState = { available: false, checkedAt: 0 };
+    }
+
+    /**
+     * Look up a block hash, transaction ID or address
+     * @returns {Promise<{type: string, result: Object}>}
+     */
+    async search(query) {
+        const value = String(query || '').trim().toLowerCase();
+        if (ADDRESS_PATTERN.test(value)) {
+            return { type: 'address', result: await this.getAddress(value) };
+        }
+        if (!HASH_PATTERN.test(value)) {
+            throw new Error('Invalid lookup: expected a block hash, transaction ID or Kaspa address');
+        }
+
+        // Block hashes and transaction IDs look the same; blocks are cheapest to check
+        try {
+            return { type: 'block', result: await this.getBlock(value) };
+        } catch (error) {
+            if (!error.message.startsWith('Not found')) {
+                throw error;
+            }
+        }
+        try {
+            return { type: 'transaction', result: await this.getTransaction(value) };
+        } catch (error) {
+            if (!error.message.startsWith('Not found')) {
+                throw error;
+            }
+            throw new Error(`Not found: no block or transaction ${value}${this.indexerState.available ? '' : ' (transactions outside the mempool need the explorer indexer)'}`);
+        }
+    }
+
+    /**
+     * Block header, DAG relations and transactions
+     */
+    async getBlock(hash) {
+        hash = this.validateHash(hash, 'block hash');
+
+        let block;
+        try {
+            block = await this.nodeClient.getBlock(hash, true);
+        } catch (error) {
+            if (/not found|cannot find|unknown block/i.test(error.message)) {
+                throw new Error(`Not found: block ${hash} is not known to the node`);
+            }
+            throw error;
+        }
+        if (!block || !block.header) {
+            throw new Error(`Not found: block ${hash} is not known to the node`);
+        }
+
+        const header = block.header;
+        const verbose = block.verboseData || {};
+        const virtualDaaScore = await this.getVirtualDaaScore();
+        const daaScore = Number(header.daaScore);
+
+        return {
+            hash: verbose.hash || hash,
+            header: {
+                version: header.version,
+                timestamp: new Date(Number(header.timestamp)).toISOString(),
+                daaScore,
+                blueScore: Number(header.blueScore),
+                blueWork: header.blueWork,
+                bits: header.bits,
+                nonce: header.nonce !== undefined ? String(header.nonce) : null,
+                hashMerkleRoot: header.hashMerkleRoot,
+                acceptedIdMerkleRoot: header.acceptedIdMerkleRoot,
+                utxoCommitment: header.utxoCommitment,
+                pruningPoint: header.pruningPoint
+            },
+            difficulty: verbose.difficulty !== undefined ? Number(verbose.difficulty) : null,
+            // Direct parents (level 0); higher levels only matter to pruning proofs
+            parents: header.parents?.[0]?.parentHashes || [],
+            selectedParentHash: verbose.selectedParentHash || null,
+            children: verbose.childrenHashes || [],
+            mergeSetBlues: verbose.mergeSetBluesHashes || [],
+            mergeSetReds: verbose.mergeSetRedsHashes || [],
+            isChainBlock: verbose.isChainBlock === undefined ? null : Boolean(verbose.isChainBlock),
+            isHeaderOnly: Boolean(verbose.isHeaderOnly),
+            confirmations: virtualDaaScore !== null && daaScore ? Math.max(0, virtualDaaScore - daaScore) : null,
+            transactions: (block.transactions || []).map(tx => this.normalizeTransaction(tx, hash)),
+            transactionIds: verbose.transactionIds || []
+        };
+    }
+
+    /**
+     * Transaction details with acceptance and confirmation depth
+     * @param {string} transactionId
+     * @param {Object} [options] - { blockHash } a block known to contain the transaction
+     */
+    async getTransaction(transactionId, options = {}) {
+        transactionId = this.validateHash(transactionId, 'transaction ID');
+
+        const pending = await this.findInMempool(transactionId);
+        if (pending) {
+            return pending;
+        }
+
+        if (await this.isIndexerAvailable()) {
+            const indexed = await this.findInIndexer(transactionId);
+            if (indexed) {
+                return indexed;
+            }
+        }
+
+        if (options.blockHash) {
+            const block = await this.getBlock(options.blockHash);
+            const tx = block.transactions.find(entry => entry.transactionId === transactionId);
+            if (tx) {
+                return {
+                    ...tx,
+                    status: 'included',
+                    // Which chain block accepted it is only known to the indexer
+                    accepted: null,
+                    acceptingBlockHash: null,
+                    confirmations: block.confirmations,
+                    source: 'node'
+                };
+            }
+        }
+
+        throw new Error(`Not found: transaction ${transactionId} is not in the mempool${this.indexerState.available ? ' or the indexer' : ''}`);
+    }
+
+    /**
+     * Balance and UTXOs from the node (needs --utxoindex), history from the indexer
+     */
+    async getAddress(address) {
+        address = String(address || '').trim().toLowerCase();
+        if (!ADDRESS_PATTERN.test(address)) {
+            throw new Error('Invalid lookup: expected a Kaspa address');
+        }
+
+        const [balance, utxos] = await Promise.all([
+            this.walletManager.getBalanceByAddress(address),
+            this.walletManager.getUtxos([address])
+        ]);
+
+        let history = null;
+        if (await this.isIndexerAvailable()) {
+            history = await this.queryIndexer(`
+                SELECT json_build_object(
+                    'transactionCount', (SELECT transaction_count FROM addresses WHERE address = '${address}'),
+                    'firstSeen', (SELECT first_seen_at FROM addresses WHERE address = '${address}'),
+                    'transactions', (
+                        SELECT coalesce(json_agg(row_to_json(t) ORDER BY t.block_time DESC), '[]'::json) FROM (
+                            SELECT tx.transaction_id, tx.block_hash, tx.block_time,
+                                EXISTS (SELECT 1 FROM transactions_acceptances a WHERE a.transaction_id = tx.transaction_id) AS accepted
+                            FROM transactions tx
+                            WHERE tx.transaction_id IN (
+                                SELECT transaction_id FROM transaction_outputs WHERE address = '${address}'
+                                UNION SELECT transaction_id FROM transaction_inputs WHERE address = '${address}'
+                            )
+                            ORDER BY tx.block_time DESC LIMIT 25
+                        ) t
+                    )
+                )`).catch(error => {
+                console.warn('Indexer address lookup failed:', error.message);
+                return null;
+            });
+        }
+
+        return {
+            address,
+            balanceSompi: balance.balanceSompi,
+            balance: balance.balance,
+            utxoCount: utxos.length,
+            utxos: utxos.slice(0, 50),
+            transactionCount: history?.transactionCount ?? null,
+            firstSeen: history?.firstSeen ?? null,
+            transactions: (history?.transactions || []).map(tx => ({
+                transactionId: tx.transaction_id,
+                blockHash: tx.block_hash,
+                blockTime: tx.block_time ? new Date(Number(tx.block_time)).toISOString() : null,
+                accepted: Boolean(tx.accepted)
+            })),
+            // Without the indexer only the current UTXO set is known
+            historySource: history ? 'indexer' : null
+        };
+    }
+
+    async findInMempool(transactionId) {
+        const client = await this.nodeClient.ensureConnected();
+        let response;
+        try {
+            response = await client.getMempoolEntry({ txId: transactionId, includeOrphanPool: true, filterTransactionPool: false });
+        } catch (error) {
+            return null;
+        }
+        if (!response || response.error || !response.entry?.transaction) {
+            return null;
+        }
+
+        return {
+            ...this.normalizeTransaction(response.entry.transaction, null),
+            transactionId,
+            fee: Number(response.entry.fee) || 0,
+            status: response.entry.isOrphan ? 'orphan' : 'pending',
+            accepted: false,
+            acceptingBlockHash: null,
+            confirmations: 0,
+            source: 'mempool'
+        };
+    }
+
+    async findInIndexer(transactionId) {
+        const row = await this.queryIndexer(`
+            SELECT json_build_object(
+                'tx', (SELECT row_to_json(t) FROM (
+                    SELECT transaction_id, block_hash, block_time, subnetwork_id, fee, mass, total_output_value
+                    FROM transactions WHERE transaction_id = '${transactionId}'
+                ) t),
+                'inputs', (SELECT coalesce(json_agg(row_to_json(i) ORDER BY i.id), '[]'::json) FROM (
+                    SELECT id, previous_outpoint_hash, previous_outpoint_index, sig_op_count, value, address
+                    FROM transaction_inputs WHERE transaction_id = '${transactionId}'
+                ) i),
+                'outputs', (SELECT coalesce(json_agg(row_to_json(o) ORDER BY o.output_index), '[]'::json) FROM (
+                    SELECT output_index, value, address, is_spent, spent_by_transaction_id
+                    FROM transaction_outputs WHERE transaction_id = '${transactionId}'
+                ) o),
+                'acceptance', (SELECT row_to_json(a) FROM (
+                    SELECT acc.block_hash, b.daa_score
+                    FROM transactions_acceptances acc LEFT JOIN blocks b ON b.hash = acc.block_hash
+                    WHERE acc.transaction_id = '${transactionId}' LIMIT 1
+                ) a)
+            )`);
+        if (!row || !row.tx) {
+            return null;
+        }
+
+        const virtualDaaScore = await this.getVirtualDaaScore();
+        const acceptingDaaScore = row.acceptance?.daa_score !== undefined && row.acceptance?.daa_score !== null
+            ? Number(row.acceptance.daa_score)
+            : null;
+        const outputs = row.outputs.map(output => ({
+            index: output.output_index,
+            amountSompi: String(output.value),
+            amount: Number(output.value) / SOMPI_PER_KAS,
+            address: output.address || null,
+            spent: output.is_spent === null ? null : Boolean(output.is_spent),
+            spentBy: output.spent_by_transaction_id || null
+        }));
+
+        return {
+            transactionId,
+            blockHash: row.tx.block_hash,
+            blockTime: row.tx.block_time ? new Date(Number(row.tx.block_time)).toISOString() : null,
+            isCoinbase: COINBASE_SUBNETWORK.test(row.tx.subnetwork_id || ''),
+            mass: row.tx.mass !== null ? Number(row.tx.mass) : null,
+            fee: row.tx.fee !== null ? Number(row.tx.fee) : null,
+            inputs: row.inputs.map(input => ({
+                previousTransactionId: input.previous_outpoint_hash,
+                previousIndex: input.previous_outpoint_index,
+                sigOpCount: input.sig_op_count,
+                amountSompi: input.value !== null ? String(input.value) : null,
+                address: input.address || null
+            })),
+            outputs,
+            totalOutput: outputs.reduce((sum, output) => sum + output.amount, 0),
+            status: row.acceptance ? 'accepted' : 'included',
+            accepted: Boolean(row.acceptance),
+            acceptingBlockHash: row.acceptance?.block_hash || null,
+            confirmations: row.acceptance && virtualDaaScore !== null && acceptingDaaScore !== null
+                ? Math.max(0, virtualDaaScore - acceptingDaaScore)
+                : null,
+            source: 'indexer'
+        };
+    }
+
+    /**
+     * Inputs and outputs of an RPC transaction
+     */
+    normalizeTransaction(tx, blockHash) {
+        const verbose = tx.verboseData || {};
+        const outputs = (tx.outputs || []).map((output, index) => ({
+            index,
+            amountSompi: String(output.amount),
+            amount: Number(output.amount) / SOMPI_PER_KAS,
+            address: output.verboseData?.scriptPublicKeyAddress || null,
+            scriptType: output.verboseData?.scriptPublicKeyType || null
+        }));
+
+        return {
+            transactionId: verbose.transactionId || null,
+            hash: verbose.hash || null,
+            blockHash: verbose.blockHash || blockHash,
+            blockTime: verbose.blockTime && Number(verbose.blockTime) ? new Date(Number(verbose.blockTime)).toISOString() : null,
+            isCoinbase: COINBASE_SUBNETWORK.test(tx.subnetworkId || ''),
+            mass: verbose.mass !== undefined ? Number(verbose.mass) : null,
+            inputs: (tx.inputs || []).map(input => ({
+                previousTransactionId: input.previousOutpoint?.transactionId || null,
+                previousIndex: input.previousOutpoint?.index ?? null,
+                sigOpCount: input.sigOpCount ?? null,
+                // The node does not resolve spent outputs; their value and address need the indexer
+                amountSompi: null,
+                address: null
+            })),
+            outputs,
+            totalOutput: outputs.reduce((sum, output) => sum + output.amount, 0)
+        };
+    }
+
+    /**
+     * Whether the explorer indexer database is running (checked once a minute)
+     */
+    async isIndexerAvailable() {
+        if (Date.now() - this.indexerState.checkedAt < this.indexerCheckInterval) {
+            return this.indexerState.available;
+        }
+
+        let available = false;
+        try {
+            const { stdout } = await execAsync(`docker ps --filter "name=^${this.indexer.container}$" --format "{{.Names}}"`, { timeout: 10000 });
+            available = stdout.trim() === this.indexer.container;
+        } catch (error) {
+            available = false;
+        }
+        this.indexerState = { available, checkedAt: Date.now() };
+        return available;
+    }
+
+    /**
+     * Run a query returning a single JSON value. Values interpolated into
+     * queries are validated hashes and addresses only.
+     */
+    async queryIndexer(query) {
+        const { container, user, database } = this.indexer;
+        const sql = query.replace(/\s+/g, ' ').trim();
+        const { stdout } = await execAsync(
+            `docker exec ${container} psql -U ${user} -d ${database} -t -A -v ON_ERROR_STOP=1 -c "${sql}"`,
+            { timeout: 30000, maxBuffer: 10 * 1024 * 1024 }
+        );
+        const output = stdout.trim();
+        return output ? JSON.parse(output) : null;
+    }
+
+    async getVirtualDaaScore() {
+        try {
+            const dagInfo = await this.nodeClient.getBlockDagInfo();
+            return dagInfo.virtualDaaScore !== undefined ? Number(dagInfo.virtualDaaScore) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    validateHash(value, kind) {
+        const hash = String(value || '').trim().toLowerCase();
+        if (!HASH_PATTERN.test(hash)) {
+            throw new Error(`Invalid lookup: a ${kind} is 64 hex characters`);
+        }
+        return hash;
+    }
+}
+
+module.exports = NodeExplorer;
@@ -0,0 +1,246 @@
+const path = require('path');
+const ServiceController = require('./ServiceController');
+const { createResolver } = require('../../shared/lib/path-resolver');
+const {
+    findDataVolume,
+    listSnapshots,
+    readSnapshot,
+    deleteSnapshot,
+    exportSnapshot
+} = require('../../shared/lib/node-snapshot');
+
+const EXPORT_MODES = ['stop', 'pause'];
+
+/**
+ * Node Snapshot Manager
+ * Exports the Kaspa node's data volume as a snapshot that the wizard can
+ * import into a new installation, so it starts from the snapshot's DAA score
+ * instead of syncing from genesis. Snapshots are written to .kaspa-snapshots
+ * in the project root, where the wizard looks for them.
+ *
+ * The node is stopped for the export (its dependents first) so RocksDB is
+ * closed cleanly, or paused when only a short interruption is acceptable;
+ * either way it runs again afterwards.
+ */
+class NodeSnapshotManager {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.snapshotDir] - Directory for snapshots (default .kaspa-snapshots)
+     * @param {Object} [options.serviceController] - ServiceController used to stop and start services
+     * @param {Function} [options.getNodeClient] - Returns the current KaspaNodeClient
+     * @param {string} [options.container] - Node container (default kaspa-node)
+     */
+    constructor(options = {}) {
+        this.snapshotDir = options.snapshotDir || createResolver(__dirname).getPaths().snapshotDir;
+        this.serviceController = options.serviceController || new ServiceController();
+        this.serviceMonitor = this.serviceController.serviceMonitor;
+        this.getNodeClient = options.getNodeClient || (() => null);
+        this.container = options.container || 'kaspa-node';
+        this.healthCheckTimeout = 120000; // per restarted service
+
+        this.runs = new Map(); // run id -> export run
+        this.activeRun = null;
+    }
+
+    /**
+     * What the manifest records about the node, read from the local node
+     */
+    async readNodeState() {
+        const client = this.getNodeClient();
+        if (!client || !client.getSource().isLocal) {
+            throw new Error('Node unavailable: snapshots need the local node to be connected');
+        }
+        const [info, dag, network] = await Promise.all([
+            client.getNodeInfo(),
+            client.getBlockDagInfo(),
+            client.getCurrentNetwork()
+        ]);
+        return {
+            network: network?.network || network?.networkName || info.networkName,
+            nodeVersion: info.serverVersion,
+            daaScore: dag.virtualDaaScore,
+            synced: Boolean(info.isSynced)
+        };
+    }
+
+    /**
+     * The node and whatever depends on it, among the running services
+     */
+    servicesToStop(docker) {
+        const running = name => docker.get(name)?.isRunning || false;
+        const services = new Set([this.container]);
+        const queue = [this.container];
+        while (queue.length > 0) {
+            for (const dependent of this.serviceMonitor.getDependents(queue.shift())) {
+                if (!services.has(dependent) && running(dependent)) {
+                    services.add(dependent);
+                    queue.push(dependent);
+                }
+            }
+        }
+        return this.serviceMonitor.validateStartupOrder(Array.from(services));
+    }
+
+    /**
+     * Export a snapshot in the background; follow it with getRun
+     * @param {Object} [options]
+     * @param {string} [options.mode] - 'stop' (default) or 'pause' the node while archiving
+     * @param {string} [options.actor] - Who asked for it
+     */
+    async startExport(options = {}) {
+        const mode = options.mode || 'stop';
+        if (!EXPORT_MODES.includes(mode)) {
+            throw new Error(`Invalid request: mode must be one of ${EXPORT_MODES.join(', ')}`);
+        }
+        if (this.activeRun) {
+            throw new Error(`Invalid request: snapshot export ${this.activeRun} is already running`);
+        }
+
+        const node = await this.readNodeState();
+        const volume = await findDataVolume(this.container);
+        const run = {
+            id: `snaprun_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            kind: 'export',
+            mode,
+            status: 'running',
+            step: null,
+            progress: { phase: null, bytes: 0, bytesTotal: null },
+            node,
+            volume: volume.name,
+            actor: options.actor || null,
+            steps: [],
+            health: [],
+            snapshot: null,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            error: null
+        };
+        this.runs.set(run.id, run);
+        // Keep the last few runs for status polling
+        if (this.runs.size > 20) {
+            this.runs.delete(this.runs.keys().next().value);
+        }
+
+        this.activeRun = run.id;
+        run.promise = this.executeExport(run).finally(() => {
+            this.activeRun = null;
+        });
+        return run;
+    }
+
+    async executeExport(run) {
+        const record = (step, status, detail) => {
+            run.steps.push({ step, status, detail, timestamp: new Date().toISOString() });
+        };
+        const stopped = [];
+        let paused = false;
+
+        try {
+            if (run.mode === 'pause') {
+                run.step = 'pause';
+                await this.serviceController.executeDockerCommand('pause', this.container);
+                paused = true;
+                record('pause', 'completed', this.container);
+            } else {
+                run.step = 'stop';
+                const docker = await this.serviceMonitor.getDockerServices();
+                for (const name of this.servicesToStop(docker).reverse()) {
+                    await this.serviceController.gracefulStop(name);
+                    stopped.push(name);
+                    record('stop', 'completed', name);
+                }
+            }
+
+            run.step = 'export';
+            run.snapshot = await exportSnapshot(run.volume, this.snapshotDir, run.node, progress => {
+                run.progress = progress;
+            });
+            record('export', 'completed', `${run.snapshot.id}, ${run.snapshot.fileCount} files`);
+        } catch (error) {
+            run.error = error.message;
+            record(run.step, 'failed', error.message);
+        }
+
+        // The node runs again, also after a failure
+        const started = [];
+        if (paused) {
+            run.step = 'unpause';
+            try {
+                await this.serviceController.executeDockerCommand('unpause', this.container);
+                record('unpause', 'completed', this.container);
+            } catch (error) {
+                record('unpause', 'failed', `${this.container}: ${error.message}`);
+            }
+        }
+        run.step = 'start';
+        for (const name of this.serviceMonitor.validateStartupOrder(stopped)) {
+            try {
+                await this.serviceController.executeDockerCommand('start', name);
+                started.push(name);
+                record('start', 'completed', name);
+            } catch (error) {
+                record('start', 'failed', `${name}: ${error.message}`);
+            }
+        }
+
+        run.step = 'health';
+        const monitored = new Set(this.serviceMonitor.serviceDefinitions.map(service => service.name));
+        for (const name of started) {
+            const healthy = monitored.has(name)
+                ? await this.serviceController.waitForServiceHealthy(name, this.healthCheckTimeout)
+                : null;
+            run.health.push({ service: name, healthy });
+        }
+
+        const problems = run.steps.some(step => step.status === 'failed') || run.health.some(check => check.healthy === false);
+        run.status = run.error ? 'failed' : (problems ? 'completed_with_errors' : 'completed');
+        run.step = null;
+        run.finishedAt = new Date().toISOString();
+        console.log(`Node snapshot export ${run.id} ${run.status}`);
+    }
+
+    getRun(runId) {
+        const run = this.runs.get(runId);
+        if (!run) {
+            throw new Error(`Not found: snapshot run ${runId}`);
+        }
+        const { promise, ...status } = run;
+        return status;
+    }
+
+    async listSnapshots() {
+        return listSnapshots(this.snapshotDir);
+    }
+
+    /**
+     * Path of one of a snapshot's files, for downloads
+     * @param {string} snapshotId
+     * @param {string} file - 'archive', 'checksums' or 'manifest'
+     */
+    async getSnapshotFile(snapshotId, file) {
+        const manifest = await readSnapshot(this.snapshotDir, snapshotId);
+        const names = {
+            archive: manifest.archive.file,
+            checksums: manifest.checksums.file,
+            manifest: `${manifest.id}.json`
+        };
+        if (!names[file]) {
+            throw new Error(`Invalid request: file must be one of ${Object.keys(names).join(', ')}`);
+        }
+        return path.join(this.snapshotDir, names[file]);
+    }
+
+    async deleteSnapshot(snapshotId) {
+        return deleteSnapshot(this.snapshotDir, snapshotId);
+    }
+
+    shutdown() {
+        // A stopped node stays stopped if the dashboard goes away mid-export
+        if (this.activeRun) {
+            console.warn(`Stopping with node snapshot export ${this.activeRun} in progress; start ${this.container} if it is not running`);
+        }
+        console.log('Node Snapshot Manager shutdown complete');
+    }
+}
+
+module.exports = NodeSnapshotManager;
@@ -0,0 +1,674 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const EventEmitter = require('events');
+const nodemailer = require('nodemailer');
+const { isSensitiveField, maskString } = require('./DataMasking');
+
+// Mask every string in a secret value, keeping the keys of objects (header names)
+function maskSecret(value) {
+    if (typeof value === 'string') {
+        return maskString(value, 'complete');
+    }
+    if (Array.isArray(value)) {
+        return value.map(maskSecret);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskSecret(item)]));
+    }
+    return value;
+}
+
+// Mask credential fields at any depth of a value that is not a secret itself
+function maskNested(value) {
+    if (Array.isArray(value)) {
+        return value.map(maskNested);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            isSensitiveField(key) ? maskSecret(item) : maskNested(item)
+        ]));
+    }
+    return value;
+}
+
+// Put the stored secret back wherever an update sent a masked value unchanged
+function restoreMasked(value, stored) {
+    if (typeof value === 'string' && /^\*+$/.test(value) && stored !== undefined) {
+        return stored;
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value) && stored && typeof stored === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restoreMasked(item, stored[key])]));
+    }
+    return value;
+}
+
+/**
+ * Notification Manager
+ * Delivers alerts to external channels (JSON webhooks, SMTP email, ntfy/Gotify
+ * push, chat bot HTTP APIs) with per-channel severity filters, deduplication,
+ * rate limiting and delivery retries.
+ */
+class NotificationManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        const dataDir = options.dataDir || process.env.DATA_DIR || './data';
+        this.dataDir = dataDir;
+        this.channelsFile = `${dataDir}/notification-channels.json`;
+
+        // Configuration
+        this.REQUEST_TIMEOUT = options.requestTimeout || 10000; // 10 seconds
+        this.MAX_DELIVERY_LOG = 500;
+        this.DEFAULTS = {
+            minSeverity: 'warning',
+            dedupeWindowMs: 10 * 60 * 1000, // 10 minutes
+            rateLimit: { max: 20, windowMs: 60 * 60 * 1000 }, // 20 per hour
+            retries: 3,
+            retryDelayMs: options.retryDelayMs !== undefined ? options.retryDelayMs : 2000
+        };
+
+        this.SEVERITY_ORDER = {
+            info: 1,
+            warning: 2,
+            critical: 3
+        };
+
+        // Channel state
+        this.channels = new Map();
+        this.deliveryLog = [];
+        this.recentAlertKeys = new Map(); // channelId -> Map(dedupeKey -> timestamp)
+        this.sentTimestamps = new Map(); // channelId -> [timestamps]
+
+        // Built-in channel types; more can be added with registerChannelType()
+        this.channelTypes = new Map();
+        // Webhook URLs carry their token (Slack, Discord) and headers carry credentials
+        this.registerChannelType('webhook', {
+            requiredFields: ['url'],
+            secretFields: ['url', 'headers'],
+            send: (config, message) => this.sendWebhook(config, message)
+        });
+        this.registerChannelType('smtp', {
+            requiredFields: ['host', 'from', 'to'],
+            send: (config, message) => this.sendEmail(config, message)
+        });
+        this.registerChannelType('ntfy', {
+            requiredFields: ['server', 'topic'],
+            send: (config, message) => this.sendNtfy(config, message)
+        });
+        this.registerChannelType('gotify', {
+            requiredFields: ['server', 'token'],
+            send: (config, message) => this.sendGotify(config, message)
+        });
+        this.registerChannelType('telegram', {
+            requiredFields: ['botToken', 'chatId'],
+            send: (config, message) => this.sendTelegram(config, message)
+        });
+    }
+
+    /**
+     * Load persisted channels
+     */
+    async initialize() {
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+        } catch (error) {
+            console.warn('Failed to create data directory:', error.message);
+        }
+
+        await this.loadChannels();
+        console.log(`Notification Manager initialized (${this.channels.size} channels)`);
+    }
+
+    /**
+     * Register a channel type
+     * @param {string} type - Channel type identifier
+     * @param {{requiredFields: string[], secretFields?: string[], send: Function}} definition - send(config, message)
+     *   must reject on failure; secretFields are masked in responses like credential fields
+     */
+    registerChannelType(type, definition) {
+        if (typeof definition?.send !== 'function') {
+            throw new Error(`Channel type ${type} must provide a send function`);
+        }
+        this.channelTypes.set(type, {
+            requiredFields: definition.requiredFields || [],
+            secretFields: definition.secretFields || [],
+            send: definition.send
+        });
+    }
+
+    /**
+     * Read channels from disk
+     */
+    async loadChannels() {
+        try {
+            const data = await fs.readFile(this.channelsFile, 'utf-8');
+            const channels = JSON.parse(data);
+            this.channels.clear();
+            (Array.isArray(channels) ? channels : []).forEach(channel => {
+                this.channels.set(channel.id, channel);
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Failed to load notification channels:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Write channels to disk (file holds credentials, keep it owner-only)
+     */
+    async saveChannels() {
+        const channels = Array.from(this.channels.values());
+        await fs.writeFile(this.channelsFile, JSON.stringify(channels, null, 2), { mode: 0o600 });
+    }
+
+    /**
+     * Validate a channel definition
+     * @returns {string[]} Validation errors (empty when valid)
+     */
+    validateChannel(channel) {
+        const errors = [];
+
+        if (!channel || typeof channel !== 'object') {
+            return ['Channel definition must be an object'];
+        }
+
+        if (!channel.name || typeof channel.name !== 'string') {
+            errors.push('name is required');
+        }
+
+        const type = this.channelTypes.get(channel.type);
+        if (!type) {
+            errors.push(`type must be one of: ${Array.from(this.channelTypes.keys()).join(', ')}`);
+        } else {
+            const config = channel.config || {};
+            type.requiredFields.forEach(field => {
+                if (config[field] === undefined || config[field] === null || config[field] === '') {
+                    errors.push(`config.${field} is required for ${channel.type} channels`);
+                }
+            });
+
+            ['url', 'server', 'apiUrl'].forEach(field => {
+                if (config[field] && !/^https?:\/\/[^\s]+$/i.test(config[field])) {
+                    errors.push(`config.${field} must be an http(s) URL`);
+                }
+            });
+        }
+
+        if (channel.minSeverity !== undefined && !this.SEVERITY_ORDER[channel.minSeverity]) {
+            errors.push(`minSeverity must be one of: ${Object.keys(this.SEVERITY_ORDER).join(', ')}`);
+        }
+
+        if (channel.rateLimit !== undefined) {
+            const { max, windowMs } = channel.rateLimit || {};
+            if (!Number.isInteger(max) || max < 1 || !Number.isInteger(windowMs) || windowMs < 1000) {
+                errors.push('rateLimit must have an integer max >= 1 and windowMs >= 1000');
+            }
+        }
+
+        if (channel.dedupeWindowMs !== undefined && (!Number.isInteger(channel.dedupeWindowMs) || channel.dedupeWindowMs < 0)) {
+            errors.push('dedupeWindowMs must be a non-negative integer');
+        }
+
+        if (channel.retries !== undefined && (!Number.isInteger(channel.retries) || channel.retries < 0 || channel.retries > 10)) {
+            errors.push('retries must be an integer between 0 and 10');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Add a channel
+     */
+    async addChannel(definition) {
+        const errors = this.validateChannel(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid notification channel: ${errors.join('; ')}`);
+        }
+
+        const channel = {
+            id: this.generateChannelId(),
+            name: definition.name,
+            type: definition.type,
+            enabled: definition.enabled !== false,
+            minSeverity: definition.minSeverity || this.DEFAULTS.minSeverity,
+            dedupeWindowMs: definition.dedupeWindowMs ?? this.DEFAULTS.dedupeWindowMs,
+            rateLimit: definition.rateLimit || { ...this.DEFAULTS.rateLimit },
+            retries: definition.retries ?? this.DEFAULTS.retries,
+            config: { ...definition.config },
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.channels.set(channel.id, channel);
+        await this.saveChannels();
+        return this.maskChannel(channel);
+    }
+
+    /**
+     * Update a channel. Masked secret values sent back unchanged keep the stored secret.
+     */
+    async updateChannel(channelId, updates) {
+        const existing = this.channels.get(channelId);
+        if (!existing) {
+            return null;
+        }
+
+        const type = updates.type || existing.type;
+        const config = { ...existing.config };
+        Object.entries(updates.config || {}).forEach(([key, value]) => {
+            config[key] = this.isSecretField(type, key)
+                ? restoreMasked(value, existing.config?.[key])
+                : value;
+        });
+
+        const updated = {
+            ...existing,
+            ...updates,
+            id: existing.id,
+            type,
+            config,
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+
+        const errors = this.validateChannel(updated);
+        if (errors.length > 0) {
+            throw new Error(`Invalid notification channel: ${errors.join('; ')}`);
+        }
+
+        this.channels.set(channelId, updated);
+        await this.saveChannels();
+        return this.maskChannel(updated);
+    }
+
+    /**
+     * Remove a channel
+     */
+    async removeChannel(channelId) {
+        if (!this.channels.delete(channelId)) {
+            return false;
+        }
+        this.recentAlertKeys.delete(channelId);
+        this.sentTimestamps.delete(channelId);
+        await this.saveChannels();
+        return true;
+    }
+
+    /**
+     * Get all channels with secrets masked
+     */
+    getChannels() {
+        return Array.from(this.channels.values()).map(channel => this.maskChannel(channel));
+    }
+
+    /**
+     * Get one channel with secrets masked
+     */
+    getChannel(channelId) {
+        const channel = this.channels.get(channelId);
+        return channel ? this.maskChannel(channel) : null;
+    }
+
+    /**
+     * Whether a config field of a channel type holds a secret
+     */
+    isSecretField(type, key) {
+        return isSensitiveField(key) || (this.channelTypes.get(type)?.secretFields || []).includes(key);
+    }
+
+    /**
+     * Copy a channel with credential fields masked for API responses,
+     * including credentials nested in objects such as SMTP auth
+     */
+    maskChannel(channel) {
+        const config = {};
+        Object.entries(channel.config || {}).forEach(([key, value]) => {
+            config[key] = this.isSecretField(channel.type, key) ? maskSecret(value) : maskNested(value);
+        });
+        return { ...channel, config };
+    }
+
+    /**
+     * Deliver an alert to every matching channel
+     * @returns {Promise<Array>} Delivery results per channel
+     */
+    async notify(alert) {
+        const message = this.formatMessage(alert);
+        const deliveries = [];
+
+        this.channels.forEach(channel => {
+            if (!channel.enabled) {
+                return;
+            }
+
+            const skipReason = this.getSkipReason(channel, alert);
+            if (skipReason) {
+                if (skipReason !== 'severity') {
+                    this.recordDelivery(channel, alert, { success: false, skipped: skipReason, attempts: 0 });
+                }
+                return;
+            }
+
+            this.markSent(channel, alert);
+            deliveries.push(this.deliver(channel, alert, message));
+        });
+
+        return Promise.all(deliveries);
+    }
+
+    /**
+     * Send a test notification through a channel, bypassing filters
+     */
+    async sendTestNotification(channelId) {
+        const channel = this.channels.get(channelId);
+        if (!channel) {
+            return null;
+        }
+
+        const alert = {
+            id: `test_${Date.now()}`,
+            type: 'notification_test',
+            severity: 'info',
+            title: 'Kaspa All-in-One test notification',
+            message: `This is a test notification for channel "${channel.name}".`,
+            source: 'dashboard',
+            timestamp: new Date().toISOString()
+        };
+
+        return this.deliver(channel, alert, this.formatMessage(alert));
+    }
+
+    /**
+     * Decide whether an alert should be skipped for a channel
+     * @returns {string|null} Skip reason
+     */
+    getSkipReason(channel, alert) {
+        const minLevel = this.SEVERITY_ORDER[channel.minSeverity] || this.SEVERITY_ORDER.warning;
+        const level = this.SEVERITY_ORDER[alert.severity] || this.SEVERITY_ORDER.info;
+        if (level < minLevel) {
+            return 'severity';
+        }
+
+        const now = Date.now();
+        const recent = this.recentAlertKeys.get(channel.id);
+        const lastSent = recent?.get(this.getDedupeKey(alert));
+        if (lastSent && now - lastSent < channel.dedupeWindowMs) {
+            return 'duplicate';
+        }
+
+        const { max, windowMs } = channel.rateLimit || this.DEFAULTS.rateLimit;
+        const sent = (this.sentTimestamps.get(channel.id) || []).filter(ts => now - ts < windowMs);
+        this.sentTimestamps.set(channel.id, sent);
+        if (sent.length >= max) {
+            return 'rate_limited';
+        }
+
+        return null;
+    }
+
+    /**
+     * Remember that an alert was sent for dedupe and rate limiting
+     */
+    markSent(channel, alert) {
+        const now = Date.now();
+
+        if (!this.recentAlertKeys.has(channel.id)) {
+            this.recentAlertKeys.set(channel.id, new Map());
+        }
+        const recent = this.recentAlertKeys.get(channel.id);
+        recent.set(this.getDedupeKey(alert), now);
+
+        // Drop expired keys so the map does not grow unbounded
+        recent.forEach((ts, key) => {
+            if (now - ts >= channel.dedupeWindowMs) {
+                recent.delete(key);
+            }
+        });
+
+        const sent = this.sentTimestamps.get(channel.id) || [];
+        sent.push(now);
+        this.sentTimestamps.set(channel.id, sent);
+    }
+
+    /**
+     * Build the key used to recognise repeats of the same alert
+     */
+    getDedupeKey(alert) {
+        const subject = alert.data?.resource || alert.data?.serviceName || alert.data?.ruleId || '';
+        return `${alert.type}:${alert.source || ''}:${subject}:${alert.severity}`;
+    }
+
+    /**
+     * Send with retries and exponential backoff
+     */
+    async deliver(channel, alert, message) {
+        const type = this.channelTypes.get(channel.type);
+        const retries = channel.retries ?? this.DEFAULTS.retries;
+        let lastError = null;
+        let attempts = 0;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            attempts++;
+            try {
+                await type.send(channel.config, message);
+                return this.recordDelivery(channel, alert, { success: true, attempts });
+            } catch (error) {
+                lastError = error;
+                if (attempt < retries) {
+                    await this.sleep(this.DEFAULTS.retryDelayMs * Math.pow(2, attempt));
+                }
+            }
+        }
+
+        console.warn(`Notification delivery to ${channel.name} (${channel.type}) failed: ${lastError.message}`);
+        return this.recordDelivery(channel, alert, { success: false, attempts, error: lastError.message });
+    }
+
+    /**
+     * Record a delivery attempt in the bounded log
+     */
+    recordDelivery(channel, alert, result) {
+        const entry = {
+            channelId: channel.id,
+            channelName: channel.name,
+            channelType: channel.type,
+            alertId: alert.id,
+            alertType: alert.type,
+            severity: alert.severity,
+            title: alert.title,
+            timestamp: new Date().toISOString(),
+            ...result
+        };
+
+        this.deliveryLog.unshift(entry);
+        if (this.deliveryLog.length > this.MAX_DELIVERY_LOG) {
+            this.deliveryLog = this.deliveryLog.slice(0, this.MAX_DELIVERY_LOG);
+        }
+
+        this.emit('delivery', entry);
+        return entry;
+    }
+
+    /**
+     * Format an alert into a channel-neutral message
+     */
+    formatMessage(alert) {
+        const severity = alert.severity || 'info';
+        const title = `[${severity.toUpperCase()}] ${alert.title || alert.type}`;
+        const lines = [alert.message || ''];
+        if (alert.source) {
+            lines.push(`Source: ${alert.source}`);
+        }
+        lines.push(`Time: ${alert.timestamp || new Date().toISOString()}`);
+
+        return {
+            title,
+            text: lines.filter(Boolean).join('\n'),
+            severity,
+            alert
+        };
+    }
+
+    /**
+     * Generic JSON webhook. Optional HMAC-SHA256 signature over the body.
+     */
+    async sendWebhook(config, message) {
+        const payload = {
+            title: message.title,
+            text: message.text,
+            severity: message.severity,
+            alert: message.alert
+        };
+        const body = JSON.stringify(payload);
+        const headers = {
+            'Content-Type': 'application/json',
+            ...(config.headers || {})
+        };
+
+        if (config.secret) {
+            headers['X-Kaspa-Signature'] = `sha256=${crypto.createHmac('sha256', config.secret).update(body).digest('hex')}`;
+        }
+
+        await axios.post(config.url, body, { headers, timeout: this.REQUEST_TIMEOUT });
+    }
+
+    /**
+     * SMTP email
+     */
+    async sendEmail(config, message) {
+        const transport = nodemailer.createTransport({
+            host: config.host,
+            port: config.port || 587,
+            secure: config.secure === true,
+            auth: config.user ? { user: config.user, pass: config.password } : undefined,
+            tls: { rejectUnauthorized: config.rejectUnauthorized !== false },
+            connectionTimeout: this.REQUEST_TIMEOUT
+        });
+
+        try {
+            await transport.sendMail({
+                from: config.from,
+                to: config.to,
+                subject: message.title,
+                text: message.text
+            });
+        } finally {
+            transport.close();
+        }
+    }
+
+    /**
+     * ntfy push (https://ntfy.sh or self-hosted)
+     */
+    async sendNtfy(config, message) {
+        const priority = { critical: '5', warning: '4', info: '3' }[message.severity] || '3';
+        const headers = {
+            'Title': message.title,
+            'Priority': priority,
+            'Tags': message.severity === 'critical' ? 'rotating_light' : 'kaspa'
+        };
+
+        if (config.token) {
+            headers['Authorization'] = `Bearer ${config.token}`;
+        }
+
+        const url = `${config.server.replace(/\/+$/, '')}/${encodeURIComponent(config.topic)}`;
+        await axios.post(url, message.text, { headers, timeout: this.REQUEST_TIMEOUT });
+    }
+
+    /**
+     * Gotify push
+     */
+    async sendGotify(config, message) {
+        const priority = { critical: 8, warning: 5, info: 2 }[message.severity] || 2;
+        const url = `${config.server.replace(/\/+$/, '')}/message`;
+
+        await axios.post(url, {
+            title: message.title,
+            message: message.text,
+            priority
+        }, {
+            headers: { 'X-Gotify-Key': config.token },
+            timeout: this.REQUEST_TIMEOUT
+        });
+    }
+
+    /**
+     * Telegram-style bot API (apiUrl can point at a compatible bot gateway)
+     */
+    async sendTelegram(config, message) {
+        const apiUrl = (config.apiUrl || 'https://api.telegram.org').replace(/\/+$/, '');
+
+        await axios.post(`${apiUrl}/bot${config.botToken}/sendMessage`, {
+            chat_id: config.chatId,
+            text: `${message.title}\n${message.text}`,
+            disable_web_page_preview: true
+        }, { timeout: this.REQUEST_TIMEOUT });
+    }
+
+    /**
+     * Get delivery log with optional filtering
+     */
+    getDeliveryLog(options = {}) {
+        let entries = [...this.deliveryLog];
+
+        if (options.channelId) {
+            entries = entries.filter(e => e.channelId === options.channelId);
+        }
+
+        if (options.failed) {
+            entries = entries.filter(e => !e.success);
+        }
+
+        if (options.limit) {
+            entries = entries.slice(0, options.limit);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Get notification statistics
+     */
+    getStats() {
+        const delivered = this.deliveryLog.filter(e => e.success).length;
+        const skipped = this.deliveryLog.filter(e => e.skipped).length;
+
+        return {
+            channels: this.channels.size,
+            enabledChannels: Array.from(this.channels.values()).filter(c => c.enabled).length,
+            channelTypes: Array.from(this.channelTypes.keys()),
+            delivered,
+            failed: this.deliveryLog.length - delivered - skipped,
+            skipped
+        };
+    }
+
+    /**
+     * Wait helper for retry backoff
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Generate unique channel ID
+     */
+    generateChannelId() {
+        return `channel_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Cleanup and shutdown
+     */
+    shutdown() {
+        this.recentAlertKeys.clear();
+        this.sentTimestamps.clear();
+        console.log('Notification Manager shutdown complete');
+    }
+}
+
+module.exports = NotificationManager;
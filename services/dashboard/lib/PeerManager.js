@@ -0,0 +1,446 @@
+const fs = require('fs').promises;
+const { writeFileSync } = require('fs');
+const net = require('net');
+const EventEmitter = require('events');
+
+/**
+ * Peer Manager
+ * Tracks the local node's P2P peers from getConnectedPeerInfo: address,
+ * direction, user agent and version, connection time, ping and whether the
+ * peer serves IBD. Consecutive snapshots are diffed into a persisted history
+ * of connects and disconnects, which feeds version distribution, churn and
+ * long-lived peer views.
+ *
+ * Operator actions (addPeer, ban, unban) go to the node's RPC and are kept in
+ * the same history. Peers of a fallback host are not ours, so nothing is
+ * recorded and no action is sent while the node client is on a fallback.
+ *
+ * Emits 'change' ({ connected, disconnected, peers }) when the peer set changes.
+ */
+class PeerManager extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getClient - async () => connected kaspa-rpc-client Client
+     * @param {Function} [options.getSource] - () => KaspaNodeClient.getSource() for the current connection
+     * @param {string} [options.dataDir] - Directory for the peer history (default DATA_DIR or ./data)
+     * @param {number} [options.refreshInterval] - How often peers are read from the node (ms)
+     * @param {number} [options.saveDelay] - Debounce for history writes (ms)
+     */
+    constructor(options = {}) {
+        super();
+
+        const dataDir = options.dataDir || process.env.DATA_DIR || './data';
+        this.dataDir = dataDir;
+        this.historyFile = `${dataDir}/peer-history.json`;
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 5000;
+        this.saveTimer = null;
+        this.historyDirty = false;
+        this.getClient = options.getClient || (async () => {
+            throw new Error('Kaspa node client not configured');
+        });
+        this.getSource = options.getSource || (() => ({ host: null, isLocal: true, fallback: false }));
+
+        this.REFRESH_INTERVAL = options.refreshInterval || 30000;
+        this.MAX_EVENTS = options.maxEvents || 2000;
+
+        this.peers = new Map(); // peer key -> peer record
+        this.events = []; // newest first: connect, disconnect, add, ban, unban
+        this.lastRefresh = null;
+        this.lastError = null;
+        this.refreshInterval = null;
+    }
+
+    /**
+     * Load the peer history and start following the node's peers
+     */
+    async initialize() {
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+        } catch (error) {
+            console.warn('Failed to create data directory:', error.message);
+        }
+
+        await this.loadHistory();
+
+        this.refreshInterval = setInterval(() => {
+            this.refresh().catch(() => {});
+        }, this.REFRESH_INTERVAL);
+        if (this.refreshInterval.unref) {
+            this.refreshInterval.unref();
+        }
+
+        this.refresh().catch(error => {
+            console.warn('Peer tracking not started:', error.message);
+        });
+
+        console.log(`Peer Manager initialized (${this.events.length} history events)`);
+    }
+
+    async loadHistory() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.historyFile, 'utf8'));
+            this.events = Array.isArray(data.events) ? data.events.slice(0, this.MAX_EVENTS) : [];
+            this.peers.clear();
+            // Peers connected when the dashboard stopped; the next refresh
+            // records the ones that went away in the meantime
+            (Array.isArray(data.peers) ? data.peers : []).forEach(peer => {
+                if (peer && peer.key) {
+                    this.peers.set(peer.key, peer);
+                }
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading peer history:', error.message);
+            }
+        }
+    }
+
+    getHistorySnapshot() {
+        return JSON.stringify({
+            peers: Array.from(this.peers.values()),
+            events: this.events,
+            savedAt: new Date().toISOString()
+        });
+    }
+
+    async saveHistory() {
+        this.historyDirty = false;
+        await fs.writeFile(this.historyFile, this.getHistorySnapshot(), 'utf8');
+    }
+
+    /**
+     * Batch history writes
+     */
+    scheduleSave() {
+        this.historyDirty = true;
+        if (this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveHistory().catch(error => {
+                console.warn('Failed to save peer history:', error.message);
+            });
+        }, this.saveDelay);
+        if (this.saveTimer.unref) {
+            this.saveTimer.unref();
+        }
+    }
+
+    /**
+     * Read the connected peers from the node and record what changed since the
+     * last snapshot. Returns false when on a fallback host (nothing recorded).
+     */
+    async refresh() {
+        if (this.getSource().fallback) {
+            return false;
+        }
+
+        let response;
+        try {
+            response = await this.call(client => client.getConnectedPeerInfo());
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error.message;
+            throw error;
+        }
+
+        const now = new Date().toISOString();
+        const current = new Map();
+        (Array.isArray(response.infos) ? response.infos : []).forEach(info => {
+            const peer = this.normalizePeer(info, now);
+            const known = this.peers.get(peer.key);
+            // Keep when we first saw the session if the node did not say when it began
+            peer.firstSeen = known ? known.firstSeen : now;
+            if (!peer.connectedAt) {
+                peer.connectedAt = peer.firstSeen;
+            }
+            current.set(peer.key, peer);
+        });
+
+        const connected = Array.from(current.values()).filter(peer => !this.peers.has(peer.key));
+        const disconnected = Array.from(this.peers.values()).filter(peer => !current.has(peer.key));
+
+        connected.forEach(peer => this.recordEvent({
+            type: 'connect',
+            address: peer.address,
+            peerId: peer.id,
+            direction: peer.direction,
+            userAgent: peer.userAgent,
+            at: peer.connectedAt
+        }));
+        disconnected.forEach(peer => this.recordEvent({
+            type: 'disconnect',
+            address: peer.address,
+            peerId: peer.id,
+            direction: peer.direction,
+            userAgent: peer.userAgent,
+            at: now,
+            // Somewhere between the last snapshot that had it and now
+            durationSeconds: Math.max(0, Math.round((Date.parse(peer.lastSeen) - Date.parse(peer.connectedAt)) / 1000))
+        }));
+
+        this.peers = current;
+        this.lastRefresh = now;
+        this.scheduleSave();
+
+        if (connected.length > 0 || disconnected.length > 0) {
+            this.emit('change', { connected, disconnected, peers: this.listPeers() });
+        }
+        return true;
+    }
+
+    /**
+     * Map a GetConnectedPeerInfoMessage to a peer record
+     */
+    normalizePeer(info, now) {
+        const address = String(info.address || '');
+        const userAgent = String(info.userAgent || '');
+        const timeConnected = Number(info.timeConnected);
+
+        return {
+            key: info.id || address,
+            id: info.id || null,
+            address,
+            ip: PeerManager.parseAddress(address).ip,
+            direction: info.isOutbound ? 'outbound' : 'inbound',
+            userAgent,
+            version: PeerManager.parseVersion(userAgent),
+            protocolVersion: info.advertisedProtocolVersion !== undefined ? Number(info.advertisedProtocolVersion) : null,
+            // Unix milliseconds (seconds from older nodes); 0 when unknown
+            connectedAt: timeConnected > 0
+                ? new Date(timeConnected < 1e12 ? timeConnected * 1000 : timeConnected).toISOString()
+                : null,
+            pingMs: info.lastPingDuration !== undefined ? Number(info.lastPingDuration) : null,
+            timeOffsetMs: info.timeOffset !== undefined ? Number(info.timeOffset) : null,
+            isIbdPeer: Boolean(info.isIbdPeer),
+            lastSeen: now
+        };
+    }
+
+    recordEvent(event) {
+        this.events.unshift(event);
+        if (this.events.length > this.MAX_EVENTS) {
+            this.events.length = this.MAX_EVENTS;
+        }
+        this.scheduleSave();
+    }
+
+    /**
+     * Current peers, longest connected first
+     */
+    listPeers() {
+        const now = Date.now();
+        return Array.from(this.peers.values())
+            .map(peer => ({ ...peer, connectedSeconds: Math.max(0, Math.round((now - Date.parse(peer.connectedAt)) / 1000)) }))
+            .sort((a, b) => b.connectedSeconds - a.connectedSeconds);
+    }
+
+    /**
+     * Current peers with a summary and version distribution
+     */
+    getPeers() {
+        const peers = this.listPeers();
+        return {
+            peers,
+            summary: {
+                total: peers.length,
+                inbound: peers.filter(peer => peer.direction === 'inbound').length,
+                outbound: peers.filter(peer => peer.direction === 'outbound').length,
+                ibdPeer: peers.find(peer => peer.isIbdPeer)?.address || null,
+                averagePingMs: peers.length > 0
+                    ? Math.round(peers.reduce((sum, peer) => sum + (peer.pingMs || 0), 0) / peers.length)
+                    : null
+            },
+            versions: this.getVersionDistribution(peers),
+            lastRefresh: this.lastRefresh,
+            error: this.lastError
+        };
+    }
+
+    getVersionDistribution(peers = this.listPeers()) {
+        const counts = new Map();
+        peers.forEach(peer => {
+            const version = peer.version || 'unknown';
+            counts.set(version, (counts.get(version) || 0) + 1);
+        });
+        return Array.from(counts.entries())
+            .map(([version, count]) => ({ version, count }))
+            .sort((a, b) => b.count - a.count || a.version.localeCompare(b.version));
+    }
+
+    /**
+     * Peers the node has stayed connected to the longest
+     */
+    getLongLivedPeers(limit = 10) {
+        return this.listPeers().slice(0, limit);
+    }
+
+    /**
+     * Connect and disconnect counts per bucket over the last hours
+     */
+    getChurn({ hours = 24, bucketMinutes = 60 } = {}) {
+        const bucketMs = Math.max(1, bucketMinutes) * 60000;
+        const end = Math.ceil(Date.now() / bucketMs) * bucketMs;
+        const start = end - Math.ceil(hours * 3600000 / bucketMs) * bucketMs;
+
+        const buckets = [];
+        for (let time = start; time < end; time += bucketMs) {
+            buckets.push({ start: new Date(time).toISOString(), connects: 0, disconnects: 0 });
+        }
+
+        this.events.forEach(event => {
+            const time = Date.parse(event.at);
+            if (time < start || time >= end || (event.type !== 'connect' && event.type !== 'disconnect')) {
+                return;
+            }
+            const bucket = buckets[Math.floor((time - start) / bucketMs)];
+            bucket[event.type === 'connect' ? 'connects' : 'disconnects']++;
+        });
+
+        return {
+            bucketMinutes: bucketMs / 60000,
+            buckets,
+            totals: {
+                connects: buckets.reduce((sum, bucket) => sum + bucket.connects, 0),
+                disconnects: buckets.reduce((sum, bucket) => sum + bucket.disconnects, 0)
+            }
+        };
+    }
+
+    /**
+     * History events, newest first
+     */
+    getHistory({ limit = 100, offset = 0, type } = {}) {
+        const events = type ? this.events.filter(event => event.type === type) : this.events;
+        return {
+            total: events.length,
+            events: events.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Ask the node to connect to a peer (host:port, IPv6 in brackets)
+     */
+    async addPeer(address, { permanent = false, actor = null } = {}) {
+        const { host, port } = PeerManager.parseAddress(String(address || '').trim());
+        if (!host || (port !== null && (port < 1 || port > 65535))) {
+            throw new Error('Invalid peer: expected host:port');
+        }
+        const normalized = port !== null ? `${host.includes(':') ? `[${host}]` : host}:${port}` : host;
+
+        await this.call(client => client.request('addPeerRequest', { address: normalized, isPermanent: Boolean(permanent) }), { action: true });
+        this.recordEvent({ type: 'add', address: normalized, permanent: Boolean(permanent), by: actor, at: new Date().toISOString() });
+        return { address: normalized, permanent: Boolean(permanent) };
+    }
+
+    /**
+     * Ban a peer IP on the node (disconnects it and refuses reconnection)
+     */
+    async banPeer(ip, { actor = null } = {}) {
+        return this.setBan(ip, true, actor);
+    }
+
+    async unbanPeer(ip, { actor = null } = {}) {
+        return this.setBan(ip, false, actor);
+    }
+
+    async setBan(value, ban, actor) {
+        // Accept a peer address as shown in the list as well as a bare IP
+        const ip = net.isIP(String(value || '').trim()) ? String(value).trim() : PeerManager.parseAddress(String(value || '').trim()).ip;
+        if (!ip) {
+            throw new Error('Invalid peer: expected an IP address');
+        }
+
+        await this.call(client => client.request(ban ? 'banRequest' : 'unbanRequest', { ip }), { action: true });
+        this.recordEvent({ type: ban ? 'ban' : 'unban', address: ip, by: actor, at: new Date().toISOString() });
+        if (ban) {
+            // The node drops the connection; pick that up now instead of on the next refresh
+            this.refresh().catch(() => {});
+        }
+        return { ip, banned: ban };
+    }
+
+    /**
+     * Run an RPC call on the local node and turn node-reported errors into exceptions
+     */
+    async call(fn, { action = false } = {}) {
+        const source = this.getSource();
+        if (action && source.fallback) {
+            throw new Error(`Peer actions need the local node; currently connected to ${source.host}`);
+        }
+
+        let response;
+        try {
+            response = await fn(await this.getClient());
+        } catch (error) {
+            throw new Error(`Peer query failed: ${error?.message || String(error)}`);
+        }
+
+        if (response && response.error && response.error.message) {
+            throw new Error(`Peer query failed: ${response.error.message}`);
+        }
+        return response || {};
+    }
+
+    /**
+     * Split "ip:port" / "[ipv6]:port" / bare host into parts
+     */
+    static parseAddress(address) {
+        let host = address;
+        let port = null;
+
+        const bracketed = /^\[([^\]]+)\](?::(\d+))?$/.exec(address);
+        if (bracketed) {
+            host = bracketed[1];
+            port = bracketed[2] !== undefined ? Number(bracketed[2]) : null;
+        } else if (/^[^:]+:\d+$/.test(address)) {
+            const index = address.lastIndexOf(':');
+            host = address.slice(0, index);
+            port = Number(address.slice(index + 1));
+        } else if (address.includes(':') && !net.isIP(address)) {
+            host = '';
+        }
+
+        if (host && !net.isIP(host) && !/^[a-z0-9]([a-z0-9.-]*[a-z0-9])?$/i.test(host)) {
+            host = '';
+        }
+        return { host, port, ip: net.isIP(host) ? host : null };
+    }
+
+    /**
+     * "kaspad 0.14.1" from a user agent such as "/kaspad:0.14.1/kaspad:0.14.1(kdx)/"
+     */
+    static parseVersion(userAgent) {
+        const match = /([A-Za-z][\w.-]*):([\w.+-]+)/.exec(userAgent || '');
+        return match ? `${match[1]} ${match[2]}` : null;
+    }
+
+    shutdown() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+
+        // Flush pending history so it survives the restart
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (this.historyDirty) {
+            try {
+                writeFileSync(this.historyFile, this.getHistorySnapshot(), 'utf8');
+                this.historyDirty = false;
+            } catch (error) {
+                console.warn('Failed to save peer history:', error.message);
+            }
+        }
+
+        this.removeAllListeners();
+
+        console.log('Peer Manager shutdown complete');
+    }
+}
+
+module.exports = PeerManager;
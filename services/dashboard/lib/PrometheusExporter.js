@@ -0,0 +1,288 @@
+/**
+ * Prometheus Exporter
+ * Renders dashboard monitoring data in the Prometheus text exposition format
+ * (version 0.0.4). Each source is collected independently, so one failing
+ * source only drops its own metrics and sets its collector_success gauge to 0.
+ *
+ * Label conventions: `service` for ServiceMonitor services, `container` for
+ * Docker containers, `database` for PostgreSQL instances, `severity` for alerts.
+ */
+class PrometheusExporter {
+    constructor(options = {}) {
+        this.serviceMonitor = options.serviceMonitor || null;
+        this.resourceMonitor = options.resourceMonitor || null;
+        this.getKaspaNodeClient = options.getKaspaNodeClient || (() => null);
+        this.alertManager = options.alertManager || null;
+        this.databaseMonitor = options.databaseMonitor || null;
+        this.getInstalledServiceNames = options.getInstalledServiceNames || (async () => null);
+
+        this.PREFIX = 'kaspa';
+        this.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+        // Scrapes within this window reuse the last rendering (health checks and docker stats are slow)
+        this.cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : 10000;
+        this.cache = null;
+        this.inFlight = null;
+    }
+
+    /**
+     * Render all metrics, reusing a recent rendering when available
+     */
+    async render() {
+        if (this.cache && Date.now() - this.cache.timestamp < this.cacheTtl) {
+            return this.cache.text;
+        }
+
+        // Concurrent scrapes share one collection
+        if (!this.inFlight) {
+            this.inFlight = this.collect()
+                .then(text => {
+                    this.cache = { text, timestamp: Date.now() };
+                    return text;
+                })
+                .finally(() => {
+                    this.inFlight = null;
+                });
+        }
+
+        return this.inFlight;
+    }
+
+    /**
+     * Collect from every source and format the result
+     */
+    async collect() {
+        const startTime = Date.now();
+        const families = new Map();
+        const collectors = {
+            services: () => this.collectServices(families),
+            host: () => this.collectHost(families),
+            containers: () => this.collectContainers(families),
+            node: () => this.collectNode(families),
+            alerts: () => this.collectAlerts(families),
+            database: () => this.collectDatabases(families)
+        };
+
+        const names = Object.keys(collectors);
+        const results = await Promise.allSettled(names.map(name => collectors[name]()));
+
+        results.forEach((result, index) => {
+            this.add(families, 'dashboard_collector_success', 'Whether the last collection from a source succeeded',
+                result.status === 'fulfilled' ? 1 : 0, { collector: names[index] });
+            if (result.status === 'rejected') {
+                console.warn(`Prometheus collector ${names[index]} failed:`, result.reason?.message || result.reason);
+            }
+        });
+
+        this.add(families, 'dashboard_scrape_duration_seconds', 'Time spent collecting metrics',
+            (Date.now() - startTime) / 1000);
+
+        return this.format(families);
+    }
+
+    /**
+     * ServiceMonitor health per service
+     */
+    async collectServices(families) {
+        if (!this.serviceMonitor) {
+            return;
+        }
+
+        const [services, installed] = await Promise.all([
+            this.serviceMonitor.checkAllServices(),
+            this.getInstalledServiceNames()
+        ]);
+
+        services
+            .filter(service => !installed || installed.has(service.name))
+            .forEach(service => {
+                const labels = { service: service.name, profile: service.profile || '' };
+                this.add(families, 'service_up', 'Whether the service passes its health check', service.status === 'healthy' ? 1 : 0, labels);
+                this.add(families, 'service_status', 'Current service status (1 for the active status)', 1, { ...labels, status: service.status });
+            });
+    }
+
+    /**
+     * ResourceMonitor host usage
+     */
+    async collectHost(families) {
+        if (!this.resourceMonitor) {
+            return;
+        }
+
+        const resources = await this.resourceMonitor.getSystemResources();
+        this.add(families, 'host_cpu_usage_percent', 'Host CPU usage', resources.cpu);
+        this.add(families, 'host_memory_usage_percent', 'Host memory usage', resources.memory);
+        this.add(families, 'host_disk_usage_percent', 'Host disk usage', resources.disk);
+        this.add(families, 'host_uptime_seconds', 'Host uptime', resources.uptime);
+
+        if (Array.isArray(resources.loadAverage)) {
+            ['1m', '5m', '15m'].forEach((period, index) => {
+                this.add(families, 'host_load_average', 'Host load average', resources.loadAverage[index], { period });
+            });
+        }
+    }
+
+    /**
+     * ResourceMonitor per-container usage
+     */
+    async collectContainers(families) {
+        if (!this.resourceMonitor) {
+            return;
+        }
+
+        const containers = await this.resourceMonitor.getPerServiceResources();
+        containers.forEach((usage, container) => {
+            this.add(families, 'container_cpu_usage_percent', 'Container CPU usage', usage.cpu, { container });
+            this.add(families, 'container_memory_usage_percent', 'Container memory usage as a share of its limit', usage.memory, { container });
+        });
+    }
+
+    /**
+     * KaspaNodeClient sync state, DAA score, peers and mempool
+     */
+    async collectNode(families) {
+        const client = this.getKaspaNodeClient();
+        if (!client) {
+            return;
+        }
+
+        // Data from a fallback host describes a public node, not this one, so
+        // only report the fallback itself and leave the node gauges out
+        const source = typeof client.getSource === 'function' ? client.getSource() : null;
+        const fallback = Boolean(source && source.fallback);
+        this.add(families, 'node_fallback', 'Whether node queries are served by a fallback host instead of the local node', fallback ? 1 : 0);
+        if (fallback) {
+            this.add(families, 'node_up', 'Whether the Kaspa node RPC is reachable', 0);
+            return;
+        }
+
+        let nodeInfo;
+        let dagInfo;
+        try {
+            [nodeInfo, dagInfo] = await Promise.all([client.getNodeInfo(), client.getBlockDagInfo()]);
+        } catch (error) {
+            // An unreachable node is a metric, not a scrape failure
+            this.add(families, 'node_up', 'Whether the Kaspa node RPC is reachable', 0);
+            return;
+        }
+
+        this.add(families, 'node_up', 'Whether the Kaspa node RPC is reachable', 1);
+        this.add(families, 'node_info', 'Kaspa node version and network', 1, {
+            version: nodeInfo.serverVersion || '',
+            network: nodeInfo.networkName || ''
+        });
+        this.add(families, 'node_synced', 'Whether the node reports itself as synced', nodeInfo.isSynced ? 1 : 0);
+        this.add(families, 'node_peers', 'Connected peers', nodeInfo.peerCount);
+        this.add(families, 'node_mempool_size', 'Transactions in the mempool', nodeInfo.mempoolSize);
+        this.add(families, 'node_daa_score', 'Virtual DAA score', Number(dagInfo.virtualDaaScore));
+        this.add(families, 'node_blue_score', 'Virtual selected parent blue score', Number(dagInfo.virtualSelectedParentBlueScore));
+        this.add(families, 'node_difficulty', 'Current network difficulty', Number(dagInfo.difficulty));
+
+        try {
+            const syncStatus = await client.getSyncStatus();
+            this.add(families, 'node_sync_progress_percent', 'Sync progress against the estimated network height', syncStatus.progress);
+            this.add(families, 'node_network_height', 'Estimated network blue score', Number(syncStatus.networkHeight));
+        } catch (error) {
+            // Progress is best-effort on top of the node info above
+        }
+    }
+
+    /**
+     * AlertManager active alert counts
+     */
+    async collectAlerts(families) {
+        if (!this.alertManager) {
+            return;
+        }
+
+        const counts = { info: 0, warning: 0, critical: 0 };
+        this.alertManager.getActiveAlerts().forEach(alert => {
+            counts[alert.severity] = (counts[alert.severity] || 0) + 1;
+        });
+        Object.entries(counts).forEach(([severity, count]) => {
+            this.add(families, 'alerts_active', 'Active alerts', count, { severity });
+        });
+
+        const stats = this.alertManager.getStats();
+        this.add(families, 'alerts_unacknowledged', 'Alerts in history that have not been acknowledged', stats.unacknowledged);
+        this.add(families, 'alerts_silences_active', 'Silences currently in effect', this.alertManager.ruleEngine.getSilences().length);
+    }
+
+    /**
+     * DatabasePerformanceMonitor stats per database
+     */
+    async collectDatabases(families) {
+        if (!this.databaseMonitor) {
+            return;
+        }
+
+        const metrics = await this.databaseMonitor.getPerformanceMetrics();
+        Object.entries(metrics.databases || {}).forEach(([database, db]) => {
+            const labels = { database };
+            this.add(families, 'database_up', 'Whether the database is reachable', db.available ? 1 : 0, labels);
+            if (!db.available) {
+                return;
+            }
+
+            this.add(families, 'database_connections', 'Active connections', db.connections, labels);
+            this.add(families, 'database_max_connections', 'Configured max_connections', db.maxConnections, labels);
+            this.add(families, 'database_cache_hit_ratio', 'Heap block cache hit ratio (0-1)', db.cacheHitRatio / 100, labels);
+            this.add(families, 'database_mean_query_seconds', 'Mean statement execution time', db.averageQueryTime / 1000, labels);
+            this.add(families, 'database_slow_queries', 'Statements averaging over one second', db.slowQueries, labels);
+            if (db.diskUsage && db.diskUsage.bytes !== undefined) {
+                this.add(families, 'database_size_bytes', 'Database size on disk', db.diskUsage.bytes, labels);
+            }
+        });
+    }
+
+    /**
+     * Add a sample to its metric family. Non-numeric values are skipped.
+     */
+    add(families, name, help, value, labels = {}, type = 'gauge') {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            return;
+        }
+
+        const fullName = `${this.PREFIX}_${name}`;
+        if (!families.has(fullName)) {
+            families.set(fullName, { help, type, samples: [] });
+        }
+        families.get(fullName).samples.push({ labels, value });
+    }
+
+    /**
+     * Format metric families as exposition text
+     */
+    format(families) {
+        const lines = [];
+
+        families.forEach((family, name) => {
+            lines.push(`# HELP ${name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${name} ${family.type}`);
+            family.samples.forEach(sample => {
+                lines.push(`${name}${this.formatLabels(sample.labels)} ${this.formatValue(sample.value)}`);
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    formatLabels(labels) {
+        const entries = Object.entries(labels);
+        if (entries.length === 0) {
+            return '';
+        }
+
+        const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+    }
+
+    formatValue(value) {
+        if (value === Infinity) return '+Inf';
+        if (value === -Infinity) return '-Inf';
+        return String(value);
+    }
+}
+
+module.exports = PrometheusExporter;
@@ -2,16 +2,14 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
+const MetricsStore = require('./MetricsStore');
 
 const execAsync = promisify(exec);
 
 class ResourceMonitor {
-    constructor() {
-        // Use local data directory for host-based deployment
-        const dataDir = process.env.DATA_DIR || './data';
-        this.historyFile = `${dataDir}/resource-history.json`;
-        this.historyRetentionHours = 24;
-        this.maxHistoryEntries = 1440; // 24 hours * 60 minutes
+    constructor(options = {}) {
+        // Long-retention, downsampled history (shared with other collectors when passed in)
+        this.metricsStore = options.metricsStore || new MetricsStore();
         this.alertThresholds = {
             cpu: { warning: 80, critical: 90 },
             memory: { warning: 85, critical: 90 },
@@ -186,6 +184,7 @@ class ResourceMonitor {
                 }
             });
 
+            this.recordServiceResources(resources);
             return resources;
         } catch (error) {
             console.warn('Failed to get per-service resources:', error.message);
@@ -476,33 +475,59 @@ class ResourceMonitor {
 
     async saveToHistory(metrics) {
         try {
-            const history = await this.getResourceHistory();
-            
-            // Add new entry
-            history.unshift({
-                timestamp: metrics.timestamp,
-                cpu: metrics.cpu,
-                memory: metrics.memory,
-                disk: metrics.disk,
-                loadAverage: metrics.loadAverage,
-                alertCount: metrics.alerts.length,
-                criticalAlerts: metrics.alerts.filter(a => a.level === 'critical').length
-            });
-
-            // Trim to max entries
-            const trimmedHistory = history.slice(0, this.maxHistoryEntries);
-
-            await fs.writeFile(this.historyFile, JSON.stringify(trimmedHistory, null, 2));
+            const timestamp = metrics.timestamp ? new Date(metrics.timestamp).getTime() : Date.now();
+            const loadAverage = Array.isArray(metrics.loadAverage) ? metrics.loadAverage[0] : null;
+
+            this.metricsStore.record('system.cpu', metrics.cpu, {}, timestamp);
+            this.metricsStore.record('system.memory', metrics.memory, {}, timestamp);
+            this.metricsStore.record('system.disk', metrics.disk, {}, timestamp);
+            this.metricsStore.record('system.load', loadAverage, {}, timestamp);
+            this.metricsStore.record('system.alerts', (metrics.alerts || []).length, {}, timestamp);
         } catch (error) {
             console.warn('Failed to save resource history:', error.message);
         }
     }
 
-    async getResourceHistory(limit = null) {
+    /**
+     * Record per-container usage from getPerServiceResources()
+     */
+    recordServiceResources(resources, timestamp = Date.now()) {
+        resources.forEach((usage, container) => {
+            this.metricsStore.record('container.cpu', usage.cpu, { container }, timestamp);
+            this.metricsStore.record('container.memory', usage.memory, { container }, timestamp);
+        });
+    }
+
+    /**
+     * Get system resource history, newest first
+     * @param {number|null} limit - Maximum number of entries
+     * @param {Object} options - { hours: look-back window, step: bucket size in ms }
+     */
+    async getResourceHistory(limit = null, options = {}) {
         try {
-            const historyData = await fs.readFile(this.historyFile, 'utf-8');
-            const history = JSON.parse(historyData);
-            
+            const end = Date.now();
+            const start = end - ((options.hours || 24) * 60 * 60 * 1000);
+            const metrics = { cpu: 'system.cpu', memory: 'system.memory', disk: 'system.disk', load: 'system.load' };
+
+            const results = await Promise.all(Object.values(metrics).map(metric =>
+                this.metricsStore.query({ metric, start, end, step: options.step })
+            ));
+
+            const entries = new Map();
+            Object.keys(metrics).forEach((field, index) => {
+                const series = results[index].series[0];
+                (series ? series.points : []).forEach(([t, value]) => {
+                    if (!entries.has(t)) {
+                        entries.set(t, { timestamp: new Date(t).toISOString() });
+                    }
+                    entries.get(t)[field] = value;
+                });
+            });
+
+            const history = Array.from(entries.entries())
+                .sort((a, b) => b[0] - a[0])
+                .map(([, entry]) => ({ ...entry, loadAverage: [entry.load] }));
+
             return limit ? history.slice(0, limit) : history;
         } catch (error) {
             return [];
@@ -511,14 +536,9 @@ class ResourceMonitor {
 
     async getResourceTrends(hours = 1) {
         try {
-            const history = await this.getResourceHistory();
-            const cutoffTime = new Date(Date.now() - (hours * 60 * 60 * 1000));
-            
-            const recentHistory = history.filter(entry => 
-                new Date(entry.timestamp) >= cutoffTime
-            );
+            const history = await this.getResourceHistory(null, { hours });
 
-            if (recentHistory.length < 2) {
+            if (history.length < 2) {
                 return {
                     cpu: 'stable',
                     memory: 'stable',
@@ -527,14 +547,14 @@ class ResourceMonitor {
                 };
             }
 
-            const latest = recentHistory[0];
-            const oldest = recentHistory[recentHistory.length - 1];
+            const latest = history[0];
+            const oldest = history[history.length - 1];
 
             return {
                 cpu: this.calculateTrend(oldest.cpu, latest.cpu),
                 memory: this.calculateTrend(oldest.memory, latest.memory),
                 disk: this.calculateTrend(oldest.disk, latest.disk),
-                load: this.calculateTrend(oldest.loadAverage['1min'], latest.loadAverage['1min'])
+                load: this.calculateTrend(oldest.load, latest.load)
             };
         } catch (error) {
             return {
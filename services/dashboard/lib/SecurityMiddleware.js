@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const cors = require('cors');
@@ -98,7 +99,8 @@ const rateLimiters = {
     // Rate limiting for authentication attempts (if implemented)
     auth: rateLimit({
         windowMs: 15 * 60 * 1000, // 15 minutes
-        max: 5, // Limit each IP to 5 auth attempts per 15 minutes
+        max: 5, // Limit each IP to 5 failed auth attempts per 15 minutes
+        skipSuccessfulRequests: true,
         message: {
             error: 'Too many authentication attempts',
             message: 'Authentication rate limit exceeded. Please wait before trying again.',
@@ -226,6 +228,34 @@ function createIPWhitelist(allowedIPs = []) {
     };
 }
 
+/**
+ * Bearer token middleware (for machine endpoints such as /metrics).
+ * Passes everything through when no token is configured.
+ */
+function createBearerTokenAuth(token) {
+    const expected = token ? crypto.createHash('sha256').update(token).digest() : null;
+
+    return (req, res, next) => {
+        if (!expected) {
+            return next();
+        }
+
+        const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+        const provided = match ? crypto.createHash('sha256').update(match[1].trim()).digest() : null;
+
+        // Compare digests so lengths match and timing does not leak the token
+        if (provided && crypto.timingSafeEqual(provided, expected)) {
+            return next();
+        }
+
+        res.set('WWW-Authenticate', 'Bearer realm="kaspa-dashboard"');
+        res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid bearer token is required'
+        });
+    };
+}
+
 /**
  * Request logging middleware for security monitoring
  */
@@ -305,6 +335,7 @@ module.exports = {
     helmetOptions,
     validateRequest,
     createIPWhitelist,
+    createBearerTokenAuth,
     securityLogger,
     securityErrorHandler
 };
\ No newline at end of file
@@ -0,0 +1,643 @@
+const fs = require('fs').promises;
+
+const POLICY_TYPES = {
+    compression: { proc: 'policy_compression', configKey: 'compress_after', add: 'add_compression_policy', remove: 'remove_compression_policy', argument: 'compress_after' },
+    retention: { proc: 'policy_retention', configKey: 'drop_after', add: 'add_retention_policy', remove: 'remove_retention_policy', argument: 'drop_after' }
+};
+
+// Interval input, also as PostgreSQL prints it back from job configs ("1 day 02:00:00")
+const INTERVAL_PATTERN = /^(\d+\s*(years?|mons?|months?|weeks?|days?|hours?|minutes?|mins?|seconds?|secs?)\s*)*(\d+:\d{2}(:\d{2})?)?$/i;
+const INTEGER_TIME_TYPES = ['smallint', 'integer', 'bigint'];
+const COLUMN_PATTERN = /^[a-z_][a-z0-9_]*(\s+(asc|desc))?(\s+nulls\s+(first|last))?$/i;
+
+// Compression ratio assumed for previews until a hypertable has compressed chunks
+const ASSUMED_COMPRESSION_RATIO = 10;
+
+// SQL for the regclass of a hypertable or chunk passed as (schema, name) parameters
+const relation = (schemaParam, nameParam) => `format('%I.%I', ${schemaParam}::text, ${nameParam}::text)::regclass`;
+
+/**
+ * TimescaleDB Policy Manager
+ * Lists the hypertables of the indexer databases with chunk sizes and
+ * compression ratios, and manages their compression and retention policies:
+ * set or remove a policy, compress chunks now, and preview how much disk a
+ * policy would free before applying it.
+ *
+ * Every change is kept in a journal (DATA_DIR/timescale-policy-changes.json)
+ * with the policy it replaced, so it can be reverted. Reverting a manual
+ * compression decompresses the chunks it compressed. Compression settings
+ * (segment by, order by) are only set when compression is first enabled;
+ * reverts restore policies, not those settings. A retention policy drops
+ * chunks for good: reverting it restores the previous policy, not the data.
+ */
+class TimescalePolicyManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.databaseMonitor - DatabasePerformanceMonitor whose pools are used
+     * @param {string} [options.dataDir] - Directory for the change journal (default DATA_DIR or ./data)
+     * @param {number} [options.maxChanges] - Journal entries kept
+     */
+    constructor(options = {}) {
+        this.databaseMonitor = options.databaseMonitor;
+        const dataDir = options.dataDir || process.env.DATA_DIR || './data';
+        this.dataDir = dataDir;
+        this.journalFile = `${dataDir}/timescale-policy-changes.json`;
+        this.MAX_CHANGES = options.maxChanges || 500;
+
+        this.changes = []; // newest first
+        this.runs = new Map(); // run id -> compression/decompression run
+    }
+
+    async initialize() {
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+            const data = JSON.parse(await fs.readFile(this.journalFile, 'utf8'));
+            this.changes = Array.isArray(data.changes) ? data.changes.slice(0, this.MAX_CHANGES) : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading TimescaleDB policy changes:', error.message);
+            }
+        }
+
+        console.log(`TimescaleDB Policy Manager initialized (${this.changes.length} recorded changes)`);
+    }
+
+    async saveJournal() {
+        await fs.writeFile(this.journalFile, JSON.stringify({
+            changes: this.changes,
+            savedAt: new Date().toISOString()
+        }), 'utf8');
+    }
+
+    query(dbName, sql, params = []) {
+        return this.databaseMonitor.executeQuery(dbName, sql, params);
+    }
+
+    /**
+     * Version of the timescaledb extension, or null when it is not installed
+     */
+    async getTimescaleVersion(dbName) {
+        if (!this.databaseMonitor.databases[dbName]) {
+            throw new Error(`Unknown database: ${dbName}`);
+        }
+
+        let rows;
+        try {
+            rows = await this.query(dbName, "SELECT extversion FROM pg_extension WHERE extname = 'timescaledb';");
+        } catch (error) {
+            throw new Error(`Database unavailable: ${dbName}: ${error.message}`);
+        }
+        return rows.length > 0 ? rows[0].extversion : null;
+    }
+
+    /**
+     * Hypertables with size, chunk count, compression ratio and policies
+     */
+    async listHypertables(dbName) {
+        const version = await this.getTimescaleVersion(dbName);
+        if (!version) {
+            return { available: false, reason: `TimescaleDB is not installed in ${dbName}`, hypertables: [] };
+        }
+
+        const [hypertables, compression, policies] = await Promise.all([
+            this.query(dbName, `
+                SELECT
+                    h.hypertable_schema,
+                    h.hypertable_name,
+                    h.num_chunks,
+                    h.compression_enabled,
+                    d.column_name AS time_column,
+                    d.column_type::text AS time_type,
+                    d.time_interval::text AS chunk_interval,
+                    d.integer_interval AS chunk_integer_interval,
+                    hypertable_size(${relation('h.hypertable_schema', 'h.hypertable_name')}) AS total_bytes
+                FROM timescaledb_information.hypertables h
+                LEFT JOIN timescaledb_information.dimensions d
+                    ON d.hypertable_schema = h.hypertable_schema
+                   AND d.hypertable_name = h.hypertable_name
+                   AND d.dimension_number = 1
+                ORDER BY total_bytes DESC NULLS LAST;
+            `),
+            this.query(dbName, `
+                SELECT
+                    h.hypertable_schema,
+                    h.hypertable_name,
+                    s.number_compressed_chunks,
+                    s.before_compression_total_bytes,
+                    s.after_compression_total_bytes
+                FROM timescaledb_information.hypertables h,
+                LATERAL hypertable_compression_stats(${relation('h.hypertable_schema', 'h.hypertable_name')}) s
+                WHERE h.compression_enabled;
+            `),
+            this.query(dbName, `
+                SELECT
+                    j.job_id,
+                    j.proc_name,
+                    j.hypertable_schema,
+                    j.hypertable_name,
+                    j.schedule_interval::text AS schedule_interval,
+                    j.config,
+                    j.scheduled,
+                    s.last_run_status,
+                    s.last_run_started_at,
+                    s.next_start,
+                    s.total_failures
+                FROM timescaledb_information.jobs j
+                LEFT JOIN timescaledb_information.job_stats s ON s.job_id = j.job_id
+                WHERE j.proc_name IN ('policy_compression', 'policy_retention');
+            `)
+        ]);
+
+        const key = row => `${row.hypertable_schema}.${row.hypertable_name}`;
+        const compressionByTable = new Map(compression.map(row => [key(row), row]));
+
+        return {
+            available: true,
+            version,
+            hypertables: hypertables.map(row => {
+                const stats = compressionByTable.get(key(row)) || {};
+                const before = Number(stats.before_compression_total_bytes) || 0;
+                const after = Number(stats.after_compression_total_bytes) || 0;
+                const tablePolicies = policies.filter(policy => key(policy) === key(row));
+
+                return {
+                    id: key(row),
+                    schema: row.hypertable_schema,
+                    name: row.hypertable_name,
+                    timeColumn: row.time_column,
+                    timeType: row.time_type,
+                    chunkInterval: row.chunk_interval || (row.chunk_integer_interval !== null ? Number(row.chunk_integer_interval) : null),
+                    chunks: Number(row.num_chunks) || 0,
+                    totalBytes: Number(row.total_bytes) || 0,
+                    compression: {
+                        enabled: row.compression_enabled,
+                        compressedChunks: Number(stats.number_compressed_chunks) || 0,
+                        beforeBytes: before,
+                        afterBytes: after,
+                        ratio: after > 0 ? Math.round((before / after) * 10) / 10 : null,
+                        savedBytes: Math.max(before - after, 0)
+                    },
+                    policies: {
+                        compression: this.toPolicy(tablePolicies.find(policy => policy.proc_name === POLICY_TYPES.compression.proc), 'compression'),
+                        retention: this.toPolicy(tablePolicies.find(policy => policy.proc_name === POLICY_TYPES.retention.proc), 'retention')
+                    }
+                };
+            })
+        };
+    }
+
+    toPolicy(job, type) {
+        if (!job) {
+            return null;
+        }
+        const after = (job.config || {})[POLICY_TYPES[type].configKey];
+        return {
+            jobId: job.job_id,
+            after: after === undefined ? null : after,
+            scheduleInterval: job.schedule_interval,
+            scheduled: job.scheduled,
+            lastRunStatus: job.last_run_status || null,
+            lastRunAt: job.last_run_started_at || null,
+            nextStart: job.next_start || null,
+            failures: Number(job.total_failures) || 0
+        };
+    }
+
+    /**
+     * Find a hypertable by "schema.name" or by name when that is unambiguous
+     */
+    async getHypertable(dbName, ref) {
+        const list = await this.listHypertables(dbName);
+        if (!list.available) {
+            throw new Error(`Not found: ${list.reason}`);
+        }
+
+        const matches = list.hypertables.filter(table => table.id === ref || table.name === ref);
+        if (matches.length !== 1) {
+            throw new Error(matches.length === 0
+                ? `Not found: hypertable ${ref} in ${dbName}`
+                : `Invalid hypertable: ${ref} is ambiguous, use schema.name`);
+        }
+        return matches[0];
+    }
+
+    /**
+     * A hypertable with its chunks (newest first, up to limit)
+     */
+    async getHypertableDetails(dbName, ref, options = {}) {
+        const hypertable = await this.getHypertable(dbName, ref);
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || 200, 1), 1000);
+        const chunks = await this.getChunks(dbName, hypertable);
+
+        return {
+            ...hypertable,
+            chunkList: chunks.slice(0, limit),
+            truncated: chunks.length > limit
+        };
+    }
+
+    async getChunks(dbName, hypertable) {
+        const [chunks, compressed] = await Promise.all([
+            this.query(dbName, `
+                SELECT
+                    c.chunk_schema,
+                    c.chunk_name,
+                    coalesce(c.range_start::text, c.range_start_integer::text) AS range_start,
+                    coalesce(c.range_end::text, c.range_end_integer::text) AS range_end,
+                    c.is_compressed,
+                    s.total_bytes
+                FROM timescaledb_information.chunks c
+                LEFT JOIN chunks_detailed_size(${relation('$1', '$2')}) s
+                    ON s.chunk_schema = c.chunk_schema AND s.chunk_name = c.chunk_name
+                WHERE c.hypertable_schema = $1 AND c.hypertable_name = $2
+                ORDER BY c.range_end DESC NULLS LAST, c.range_end_integer DESC NULLS LAST;
+            `, [hypertable.schema, hypertable.name]),
+            hypertable.compression.enabled ? this.query(dbName, `
+                SELECT chunk_schema, chunk_name, before_compression_total_bytes, after_compression_total_bytes
+                FROM chunk_compression_stats(${relation('$1', '$2')})
+                WHERE compression_status = 'Compressed';
+            `, [hypertable.schema, hypertable.name]) : []
+        ]);
+
+        const compressedByChunk = new Map(compressed.map(row => [`${row.chunk_schema}.${row.chunk_name}`, row]));
+        return chunks.map(row => {
+            const stats = compressedByChunk.get(`${row.chunk_schema}.${row.chunk_name}`);
+            return {
+                schema: row.chunk_schema,
+                name: row.chunk_name,
+                rangeStart: row.range_start,
+                rangeEnd: row.range_end,
+                compressed: row.is_compressed,
+                sizeBytes: stats ? Number(stats.after_compression_total_bytes) || 0 : Number(row.total_bytes) || 0,
+                uncompressedBytes: stats ? Number(stats.before_compression_total_bytes) || 0 : Number(row.total_bytes) || 0
+            };
+        });
+    }
+
+    /**
+     * SQL cast for a policy threshold on this hypertable's time column
+     */
+    thresholdCast(hypertable, value, label = 'threshold') {
+        if (INTEGER_TIME_TYPES.includes(hypertable.timeType)) {
+            if (!/^\d+$/.test(String(value))) {
+                throw new Error(`Invalid ${label}: ${hypertable.id} has an integer time column, use a whole number`);
+            }
+            return hypertable.timeType;
+        }
+        const text = String(value || '').trim();
+        if (!text || !INTERVAL_PATTERN.test(text)) {
+            throw new Error(`Invalid ${label}: use an interval such as "7 days" or "12 hours"`);
+        }
+        return 'interval';
+    }
+
+    /**
+     * Chunks of a hypertable older than a threshold (show_chunks semantics)
+     */
+    async getChunksOlderThan(dbName, hypertable, olderThan) {
+        const cast = this.thresholdCast(hypertable, olderThan);
+        const rows = await this.query(dbName, `
+            SELECT n.nspname AS chunk_schema, cl.relname AS chunk_name
+            FROM show_chunks(${relation('$1', '$2')}, older_than => $3::${cast}) c
+            JOIN pg_class cl ON cl.oid = c
+            JOIN pg_namespace n ON n.oid = cl.relnamespace;
+        `, [hypertable.schema, hypertable.name, String(olderThan).trim()]);
+
+        const older = new Set(rows.map(row => `${row.chunk_schema}.${row.chunk_name}`));
+        const chunks = await this.getChunks(dbName, hypertable);
+        return chunks.filter(chunk => older.has(`${chunk.schema}.${chunk.name}`));
+    }
+
+    /**
+     * Disk a compression or retention policy would free on its next run,
+     * next to what the current policy covers
+     * @param {string} type - 'compression' | 'retention'
+     * @param {string|number} after - Proposed compress_after / drop_after
+     */
+    async previewPolicy(dbName, ref, type, after) {
+        if (!POLICY_TYPES[type]) {
+            throw new Error(`Invalid policy type: ${type}`);
+        }
+        const hypertable = await this.getHypertable(dbName, ref);
+        const current = hypertable.policies[type];
+
+        const measure = async (threshold) => {
+            const chunks = await this.getChunksOlderThan(dbName, hypertable, threshold);
+            if (type === 'retention') {
+                return { after: threshold, chunks: chunks.length, bytes: chunks.reduce((sum, chunk) => sum + chunk.sizeBytes, 0) };
+            }
+            const pending = chunks.filter(chunk => !chunk.compressed);
+            return { after: threshold, chunks: pending.length, bytes: pending.reduce((sum, chunk) => sum + chunk.sizeBytes, 0) };
+        };
+
+        const proposed = await measure(after);
+        const existing = current ? await measure(current.after) : null;
+        const preview = { database: dbName, hypertable: hypertable.id, type, current: existing, proposed };
+
+        if (type === 'retention') {
+            preview.freedBytes = proposed.bytes;
+            preview.additionalBytes = Math.max(proposed.bytes - (existing ? existing.bytes : 0), 0);
+        } else {
+            const ratio = hypertable.compression.ratio || ASSUMED_COMPRESSION_RATIO;
+            const freed = bytes => Math.round(bytes * (1 - 1 / ratio));
+            preview.compressionRatio = ratio;
+            preview.ratioSource = hypertable.compression.ratio ? 'measured' : 'assumed';
+            preview.freedBytes = freed(proposed.bytes);
+            preview.additionalBytes = Math.max(freed(proposed.bytes) - (existing ? freed(existing.bytes) : 0), 0);
+        }
+        return preview;
+    }
+
+    /**
+     * Validate a segment-by / order-by column list against the hypertable
+     */
+    async validateColumns(dbName, hypertable, list, label) {
+        const entries = (Array.isArray(list) ? list : String(list).split(','))
+            .map(entry => String(entry).trim())
+            .filter(Boolean);
+        const rows = await this.query(dbName, `
+            SELECT column_name FROM information_schema.columns
+            WHERE table_schema = $1 AND table_name = $2;
+        `, [hypertable.schema, hypertable.name]);
+        const columns = new Set(rows.map(row => row.column_name));
+
+        entries.forEach(entry => {
+            if (!COLUMN_PATTERN.test(entry) || !columns.has(entry.split(/\s+/)[0])) {
+                throw new Error(`Invalid ${label}: ${entry} is not a column of ${hypertable.id}`);
+            }
+        });
+        return entries.join(', ');
+    }
+
+    /**
+     * Add or replace a compression or retention policy
+     * @param {Object} settings - { after, scheduleInterval, segmentBy, orderBy }
+     * @param {Object} [options] - { actor, revertOf }
+     */
+    async setPolicy(dbName, ref, type, settings = {}, options = {}) {
+        const policy = POLICY_TYPES[type];
+        if (!policy) {
+            throw new Error(`Invalid policy type: ${type}`);
+        }
+        const hypertable = await this.getHypertable(dbName, ref);
+        const cast = this.thresholdCast(hypertable, settings.after, type === 'compression' ? 'compress after' : 'drop after');
+        const scheduleInterval = settings.scheduleInterval ? String(settings.scheduleInterval).trim() : null;
+        if (scheduleInterval && !INTERVAL_PATTERN.test(scheduleInterval)) {
+            throw new Error('Invalid schedule interval: use an interval such as "1 hour"');
+        }
+
+        let enableCompression = null;
+        if (type === 'compression') {
+            if (hypertable.compression.enabled && (settings.segmentBy || settings.orderBy)) {
+                throw new Error(`Invalid compression settings: compression is already enabled on ${hypertable.id}; segment by and order by can only be set when enabling it`);
+            }
+            if (!hypertable.compression.enabled) {
+                const storage = ['timescaledb.compress'];
+                if (settings.segmentBy) {
+                    storage.push(`timescaledb.compress_segmentby = '${await this.validateColumns(dbName, hypertable, settings.segmentBy, 'segment by')}'`);
+                }
+                if (settings.orderBy) {
+                    storage.push(`timescaledb.compress_orderby = '${await this.validateColumns(dbName, hypertable, settings.orderBy, 'order by')}'`);
+                }
+                enableCompression = `ALTER TABLE ${quoteIdent(hypertable.schema)}.${quoteIdent(hypertable.name)} SET (${storage.join(', ')})`;
+            }
+        }
+
+        const before = hypertable.policies[type];
+        const params = [hypertable.schema, hypertable.name, String(settings.after).trim(), scheduleInterval];
+        const [row] = await this.databaseMonitor.withClient(dbName, async (client) => {
+            await client.query('BEGIN');
+            try {
+                if (enableCompression) {
+                    await client.query(enableCompression);
+                }
+                await client.query(`SELECT ${policy.remove}(${relation('$1', '$2')}, if_exists => true);`, params.slice(0, 2));
+                const result = await client.query(`
+                    SELECT ${policy.add}(${relation('$1', '$2')}, ${policy.argument} => $3::${cast}, schedule_interval => $4::interval) AS job_id;
+                `, params);
+                await client.query('COMMIT');
+                return result.rows;
+            } catch (error) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw new Error(`Policy change failed: ${error.message}`);
+            }
+        });
+
+        return this.recordChange({
+            database: dbName,
+            hypertable: hypertable.id,
+            type,
+            action: 'set',
+            before: before ? { after: before.after, scheduleInterval: before.scheduleInterval } : null,
+            after: { after: params[2], scheduleInterval: scheduleInterval, jobId: row ? row.job_id : null },
+            compressionEnabled: Boolean(enableCompression),
+            actor: options.actor || null,
+            revertOf: options.revertOf || null
+        });
+    }
+
+    /**
+     * Remove a compression or retention policy
+     */
+    async removePolicy(dbName, ref, type, options = {}) {
+        const policy = POLICY_TYPES[type];
+        if (!policy) {
+            throw new Error(`Invalid policy type: ${type}`);
+        }
+        const hypertable = await this.getHypertable(dbName, ref);
+        const before = hypertable.policies[type];
+        if (!before) {
+            throw new Error(`Not found: no ${type} policy on ${hypertable.id}`);
+        }
+
+        await this.query(dbName, `SELECT ${policy.remove}(${relation('$1', '$2')}, if_exists => true);`, [hypertable.schema, hypertable.name]);
+
+        return this.recordChange({
+            database: dbName,
+            hypertable: hypertable.id,
+            type,
+            action: 'remove',
+            before: { after: before.after, scheduleInterval: before.scheduleInterval },
+            after: null,
+            actor: options.actor || null,
+            revertOf: options.revertOf || null
+        });
+    }
+
+    /**
+     * Compress chunks older than a threshold now (default: the compression
+     * policy's compress_after). Runs in the background; follow it with getRun.
+     */
+    async compressNow(dbName, ref, options = {}) {
+        const hypertable = await this.getHypertable(dbName, ref);
+        if (!hypertable.compression.enabled) {
+            throw new Error(`Invalid request: compression is not enabled on ${hypertable.id}; add a compression policy first`);
+        }
+        const olderThan = options.olderThan || (hypertable.policies.compression && hypertable.policies.compression.after);
+        if (olderThan === null || olderThan === undefined || olderThan === '') {
+            throw new Error(`Invalid request: ${hypertable.id} has no compression policy, give olderThan`);
+        }
+
+        const chunks = (await this.getChunksOlderThan(dbName, hypertable, olderThan)).filter(chunk => !chunk.compressed);
+        const change = await this.recordChange({
+            database: dbName,
+            hypertable: hypertable.id,
+            type: 'compress',
+            action: 'compress',
+            before: null,
+            after: { olderThan, chunks: chunks.map(chunk => `${chunk.schema}.${chunk.name}`) },
+            actor: options.actor || null,
+            revertOf: options.revertOf || null
+        });
+
+        return this.startRun(dbName, hypertable.id, 'compress', chunks, change.id);
+    }
+
+    startRun(dbName, hypertableId, action, chunks, changeId) {
+        const run = {
+            id: `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            database: dbName,
+            hypertable: hypertableId,
+            action,
+            changeId,
+            status: 'running',
+            chunks: chunks.length,
+            done: 0,
+            bytesBefore: chunks.reduce((sum, chunk) => sum + chunk.sizeBytes, 0),
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            error: null
+        };
+        this.runs.set(run.id, run);
+        // Keep the last few runs for status polling
+        if (this.runs.size > 50) {
+            this.runs.delete(this.runs.keys().next().value);
+        }
+
+        run.promise = this.executeRun(run, chunks);
+        return run;
+    }
+
+    async executeRun(run, chunks) {
+        const fn = run.action === 'compress' ? 'compress_chunk(%s, if_not_compressed => true)' : 'decompress_chunk(%s, if_compressed => true)';
+        try {
+            await this.databaseMonitor.withClient(run.database, async (client) => {
+                for (const chunk of chunks) {
+                    await client.query(`SELECT ${fn.replace('%s', relation('$1', '$2'))};`, [chunk.schema, chunk.name]);
+                    run.done += 1;
+                }
+            }, { statementTimeout: 0 });
+            run.status = 'completed';
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
+            console.warn(`TimescaleDB ${run.action} of ${run.hypertable} failed:`, error.message);
+        }
+        run.finishedAt = new Date().toISOString();
+
+        const change = this.changes.find(entry => entry.id === run.changeId);
+        if (change) {
+            change.result = { status: run.status, chunks: run.done, error: run.error };
+            await this.saveJournal().catch(error => {
+                console.warn('Failed to save TimescaleDB policy changes:', error.message);
+            });
+        }
+    }
+
+    getRun(runId) {
+        const run = this.runs.get(runId);
+        if (!run) {
+            throw new Error(`Not found: run ${runId}`);
+        }
+        const { promise, ...status } = run;
+        return status;
+    }
+
+    async recordChange(entry) {
+        const change = {
+            id: `chg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: new Date().toISOString(),
+            ...entry,
+            revertedBy: null
+        };
+        if (change.revertOf) {
+            const original = this.changes.find(existing => existing.id === change.revertOf);
+            if (original) {
+                original.revertedBy = change.id;
+            }
+        }
+
+        this.changes.unshift(change);
+        this.changes.length = Math.min(this.changes.length, this.MAX_CHANGES);
+        await this.saveJournal().catch(error => {
+            console.warn('Failed to save TimescaleDB policy changes:', error.message);
+        });
+        return change;
+    }
+
+    /**
+     * Recorded changes, newest first
+     * @param {Object} [filters] - { database, hypertable, limit }
+     */
+    getChanges(filters = {}) {
+        const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), this.MAX_CHANGES);
+        return this.changes
+            .filter(change => !filters.database || change.database === filters.database)
+            .filter(change => !filters.hypertable || change.hypertable === filters.hypertable)
+            .slice(0, limit);
+    }
+
+    /**
+     * Undo a recorded change: restore the policy it replaced (or remove the
+     * one it added), or decompress the chunks a manual compression compressed
+     */
+    async revertChange(changeId, options = {}) {
+        const change = this.changes.find(entry => entry.id === changeId);
+        if (!change) {
+            throw new Error(`Not found: change ${changeId}`);
+        }
+        if (change.revertedBy) {
+            throw new Error(`Invalid request: change ${changeId} was already reverted by ${change.revertedBy}`);
+        }
+        const revert = { actor: options.actor, revertOf: change.id };
+
+        if (change.type === 'compress') {
+            const hypertable = await this.getHypertable(change.database, change.hypertable);
+            const compressed = new Set(change.after.chunks);
+            const chunks = (await this.getChunks(change.database, hypertable))
+                .filter(chunk => chunk.compressed && compressed.has(`${chunk.schema}.${chunk.name}`));
+            const record = await this.recordChange({
+                database: change.database,
+                hypertable: change.hypertable,
+                type: 'compress',
+                action: 'decompress',
+                before: null,
+                after: { chunks: chunks.map(chunk => `${chunk.schema}.${chunk.name}`) },
+                actor: options.actor || null,
+                revertOf: change.id
+            });
+            return { change: record, run: this.getRun(this.startRun(change.database, change.hypertable, 'decompress', chunks, record.id).id) };
+        }
+
+        if (change.before) {
+            return { change: await this.setPolicy(change.database, change.hypertable, change.type, change.before, revert) };
+        }
+        return { change: await this.removePolicy(change.database, change.hypertable, change.type, revert) };
+    }
+
+    shutdown() {
+        // Each chunk is compressed in its own statement, so an interrupted run
+        // leaves finished chunks compressed and the current one untouched
+        const running = Array.from(this.runs.values()).filter(run => run.status === 'running');
+        if (running.length > 0) {
+            console.warn(`Stopping with ${running.length} TimescaleDB compression run(s) in progress`);
+        }
+        console.log('TimescaleDB Policy Manager shutdown complete');
+    }
+}
+
+function quoteIdent(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+module.exports = TimescalePolicyManager;
@@ -1,212 +1,716 @@
-const axios = require('axios');
-const crypto = require('crypto');
+const fs = require('fs').promises;
+const { writeFileSync } = require('fs');
+const EventEmitter = require('events');
+const KaspaKeyDerivation = require('./KaspaKeyDerivation');
+
+const SOMPI_PER_KAS = 100000000n;
+const UTXO_INDEX_MESSAGE = 'The Kaspa node is running without --utxoindex, so address balances and UTXOs are unavailable. Enable the UTXO index (wallet connectivity in the wizard) and let the node re-index.';
+
+/**
+ * Wallet Manager
+ * Watch-only wallet support on the node's RPC (the same kaspa-rpc-client
+ * connection KaspaNodeClient uses). Tracks a persisted list of addresses,
+ * reads balances and UTXOs with getBalancesByAddresses/getUtxosByAddresses
+ * and keeps balances current from UTXO-changed notifications.
+ *
+ * Per-address history (balance, UTXO count, incoming/outgoing transactions)
+ * is built from those notifications and from reconciling the UTXO set on each
+ * (re)subscription, so changes while the dashboard was down are picked up too.
+ * No external explorer is used: a spend is only known by the outpoints it
+ * removed, so outgoing entries carry a transaction id only when the spend
+ * paid change back to the same address.
+ *
+ * No keys are held and nothing is signed. Address queries need the node to
+ * run with --utxoindex; without it calls fail with code UTXO_INDEX_REQUIRED.
+ * They only go to our own node: while the node client is on a fallback host
+ * the watch list is not sent anywhere and calls fail with code
+ * LOCAL_NODE_UNAVAILABLE.
+ * Mnemonic helpers delegate to KaspaKeyDerivation and never persist phrases.
+ *
+ * Emits 'balanceChanged' ({ address, label, balance, delta }) on live updates
+ * and 'transaction' for each detected payment (with alert: true when the
+ * address asked for alerts in that direction).
+ */
+class WalletManager extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getClient - async () => connected kaspa-rpc-client Client
+     * @param {Function} [options.getSource] - () => { host, isLocal, fallback } of the node client
+     * @param {string} [options.dataDir] - Directory for the watch list (default DATA_DIR or ./data)
+     * @param {number} [options.saveDelay] - Debounce for history writes (ms)
+     */
+    constructor(options = {}) {
+        super();
+
+        const dataDir = options.dataDir || process.env.DATA_DIR || './data';
+        this.dataDir = dataDir;
+        this.addressesFile = `${dataDir}/wallet-addresses.json`;
+        this.historyFile = `${dataDir}/wallet-history.json`;
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 5000;
+        this.saveTimer = null;
+        this.historyDirty = false;
+        this.getClient = options.getClient || (async () => {
+            throw new Error('Kaspa node client not configured');
+        });
+        this.getSource = options.getSource || (() => ({ host: null, isLocal: true, fallback: false }));
+
+        this.MAX_ADDRESSES = 100;
+        this.MAX_TRANSACTIONS = options.maxTransactions || 500; // per address
+        this.RESUBSCRIBE_INTERVAL = options.resubscribeInterval || 30000;
+
+        this.addresses = new Map(); // address -> { address, label, addedAt }
+        this.balances = new Map(); // address -> BigInt sompi
+        this.history = new Map(); // address -> { balanceSompi, utxoCount, daaScore, syncedAt, transactions }
+        this.lastVirtualDaaScore = null;
+        this.subscription = null; // { client, uid, addresses }
+        this.monitorInterval = null;
+    }
+
+    /**
+     * Load the watch list and start following balance changes
+     */
+    async initialize() {
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+        } catch (error) {
+            console.warn('Failed to create data directory:', error.message);
+        }
+
+        await this.loadAddresses();
+        await this.loadHistory();
 
-class WalletManager {
-    constructor(rpcUrl = 'http://kaspa-node:16111') {
-        this.rpcUrl = rpcUrl;
-        this.timeout = 15000; // 15 seconds for wallet operations
+        // The node client can reconnect (new connection); resubscribe when it does
+        this.monitorInterval = setInterval(() => {
+            this.ensureSubscribed().catch(() => {});
+        }, this.RESUBSCRIBE_INTERVAL);
+
+        this.ensureSubscribed().catch(error => {
+            console.warn('Wallet balance subscription not started:', error.message);
+        });
+
+        console.log(`Wallet Manager initialized (${this.addresses.size} watch-only addresses)`);
     }
 
-    async makeRpcCall(method, params = {}) {
+    async loadAddresses() {
         try {
-            const response = await axios.post(this.rpcUrl, {
-                method,
-                params
-            }, { 
-                timeout: this.timeout,
-                headers: {
-                    'Content-Type': 'application/json'
+            const data = JSON.parse(await fs.readFile(this.addressesFile, 'utf8'));
+            this.addresses.clear();
+            (Array.isArray(data.addresses) ? data.addresses : []).forEach(entry => {
+                if (entry && typeof entry.address === 'string') {
+                    this.addresses.set(entry.address, entry);
                 }
             });
-
-            if (response.data.error) {
-                throw new Error(`RPC Error: ${response.data.error.message || 'Unknown error'}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading wallet addresses:', error.message);
             }
+        }
+    }
 
-            return response.data.result || response.data;
+    async saveAddresses() {
+        const data = JSON.stringify({ addresses: Array.from(this.addresses.values()) }, null, 2);
+        await fs.writeFile(this.addressesFile, data, 'utf8');
+    }
+
+    async loadHistory() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.historyFile, 'utf8'));
+            this.history.clear();
+            Object.entries(data.addresses || {}).forEach(([address, state]) => {
+                if (this.addresses.has(address) && state && Array.isArray(state.transactions)) {
+                    this.history.set(address, state);
+                    this.balances.set(address, BigInt(state.balanceSompi || 0));
+                }
+            });
         } catch (error) {
-            if (error.code === 'ECONNREFUSED') {
-                throw new Error('Cannot connect to Kaspa node - service may be down');
-            } else if (error.code === 'ETIMEDOUT') {
-                throw new Error('Wallet operation timed out');
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading wallet history:', error.message);
             }
-            throw error;
         }
     }
 
-    async getWalletInfo() {
+    getHistorySnapshot() {
+        return JSON.stringify({ addresses: Object.fromEntries(this.history), savedAt: new Date().toISOString() });
+    }
+
+    async saveHistory() {
+        this.historyDirty = false;
+        await fs.writeFile(this.historyFile, this.getHistorySnapshot(), 'utf8');
+    }
+
+    /**
+     * Batch history writes, notifications can arrive in bursts
+     */
+    scheduleSave() {
+        this.historyDirty = true;
+        if (this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveHistory().catch(error => {
+                console.warn('Failed to save wallet history:', error.message);
+            });
+        }, this.saveDelay);
+        if (this.saveTimer.unref) {
+            this.saveTimer.unref();
+        }
+    }
+
+    /**
+     * Watch-only addresses
+     */
+    listAddresses() {
+        return Array.from(this.addresses.values());
+    }
+
+    /**
+     * Add an address to the watch list
+     * @param {string} address
+     * @param {string} [label]
+     * @param {Object} [alerts] - { incoming, outgoing, minAmount (KAS) } payment alerts
+     * @throws {Error} "Invalid address: ..." when the address, label or alerts are not acceptable
+     */
+    async addAddress(address, label = '', alerts = undefined) {
         try {
-            // Try to get wallet info - this will fail if no wallet is loaded
-            const balance = await this.makeRpcCall('getBalance');
-            const addresses = await this.makeRpcCall('getAddresses');
-            
+            this.validateKaspaAddress(address);
+        } catch (error) {
+            throw new Error(`Invalid address: ${error.message}`);
+        }
+
+        const normalized = address.trim().toLowerCase();
+        if (typeof label !== 'string' || label.length > 100) {
+            throw new Error('Invalid address: label must be a string of at most 100 characters');
+        }
+        if (!this.addresses.has(normalized) && this.addresses.size >= this.MAX_ADDRESSES) {
+            throw new Error(`Invalid address: at most ${this.MAX_ADDRESSES} addresses can be watched`);
+        }
+
+        const existing = this.addresses.get(normalized);
+        const entry = {
+            address: normalized,
+            label: label.trim(),
+            alerts: alerts !== undefined ? this.normalizeAlerts(alerts) : (existing?.alerts || this.normalizeAlerts({})),
+            addedAt: existing?.addedAt || new Date().toISOString()
+        };
+        this.addresses.set(normalized, entry);
+        await this.saveAddresses();
+
+        this.ensureSubscribed(true).catch(error => {
+            console.warn('Failed to update wallet balance subscription:', error.message);
+        });
+        return entry;
+    }
+
+    /**
+     * Change the label or payment alerts of a watched address
+     * @returns {Promise<Object|null>} null when the address is not watched
+     * @throws {Error} "Invalid address: ..." when the label or alerts are not acceptable
+     */
+    async updateAddress(address, updates = {}) {
+        const entry = this.addresses.get(String(address || '').trim().toLowerCase());
+        if (!entry) {
+            return null;
+        }
+
+        if (updates.label !== undefined) {
+            if (typeof updates.label !== 'string' || updates.label.length > 100) {
+                throw new Error('Invalid address: label must be a string of at most 100 characters');
+            }
+            entry.label = updates.label.trim();
+        }
+        if (updates.alerts !== undefined) {
+            entry.alerts = this.normalizeAlerts({ ...entry.alerts, ...updates.alerts });
+        }
+
+        await this.saveAddresses();
+        return entry;
+    }
+
+    /**
+     * Validate payment alert settings
+     * @returns {{incoming: boolean, outgoing: boolean, minAmount: number}}
+     */
+    normalizeAlerts(alerts) {
+        if (!alerts || typeof alerts !== 'object' || Array.isArray(alerts)) {
+            throw new Error('Invalid address: alerts must be an object');
+        }
+
+        const minAmount = alerts.minAmount === undefined ? 0 : Number(alerts.minAmount);
+        if (!Number.isFinite(minAmount) || minAmount < 0) {
+            throw new Error('Invalid address: alerts.minAmount must be a non-negative number of KAS');
+        }
+
+        return { incoming: Boolean(alerts.incoming), outgoing: Boolean(alerts.outgoing), minAmount };
+    }
+
+    /**
+     * Remove an address from the watch list
+     * @returns {Promise<boolean>} false when the address was not watched
+     */
+    async removeAddress(address) {
+        const normalized = String(address || '').trim().toLowerCase();
+        if (!this.addresses.delete(normalized)) {
+            return false;
+        }
+
+        this.balances.delete(normalized);
+        if (this.history.delete(normalized)) {
+            this.scheduleSave();
+        }
+        await this.saveAddresses();
+
+        this.ensureSubscribed(true).catch(error => {
+            console.warn('Failed to update wallet balance subscription:', error.message);
+        });
+        return true;
+    }
+
+    /**
+     * Balances of the watched addresses (or the given ones)
+     * @returns {Promise<{addresses: Object[], totalSompi: string, totalKas: number}>}
+     */
+    async getBalances(addresses = this.listAddresses().map(entry => entry.address)) {
+        if (addresses.length === 0) {
+            return { addresses: [], totalSompi: '0', totalKas: 0 };
+        }
+
+        const client = await this.getLocalClient();
+        const response = await this.call(() => client.getBalancesByAddresses({ addresses }));
+
+        let total = 0n;
+        const byAddress = new Map((response.entries || []).map(entry => [entry.address, BigInt(entry.balance || 0)]));
+        const result = addresses.map(address => {
+            const balance = byAddress.get(address) || 0n;
+            this.balances.set(address, balance);
+            total += balance;
             return {
-                hasWallet: true,
-                balance: this.formatBalance(balance.available || 0),
-                pendingBalance: this.formatBalance(balance.pending || 0),
-                addresses: addresses.addresses || [],
-                primaryAddress: addresses.addresses?.[0] || null
+                address,
+                label: this.addresses.get(address)?.label || '',
+                balanceSompi: balance.toString(),
+                balance: this.sompiToKas(balance)
             };
+        });
+
+        return { addresses: result, totalSompi: total.toString(), totalKas: this.sompiToKas(total) };
+    }
+
+    /**
+     * Balance of a single address
+     */
+    async getBalanceByAddress(address) {
+        this.validateKaspaAddress(address);
+        const client = await this.getLocalClient();
+        const response = await this.call(() => client.getBalanceByAddress({ address }));
+        const balance = BigInt(response.balance || 0);
+        return { address, balanceSompi: balance.toString(), balance: this.sompiToKas(balance) };
+    }
+
+    /**
+     * UTXOs of the watched addresses (or the given ones)
+     */
+    async getUtxos(addresses = this.listAddresses().map(entry => entry.address)) {
+        if (addresses.length === 0) {
+            return [];
+        }
+
+        const client = await this.getLocalClient();
+        const response = await this.call(() => client.getUtxosByAddresses({ addresses }));
+
+        return (response.entries || []).map(entry => ({
+            address: entry.address,
+            transactionId: entry.outpoint?.transactionId,
+            index: entry.outpoint?.index,
+            amountSompi: String(entry.utxoEntry?.amount || 0),
+            amount: this.sompiToKas(BigInt(entry.utxoEntry?.amount || 0)),
+            blockDaaScore: entry.utxoEntry?.blockDaaScore !== undefined ? String(entry.utxoEntry.blockDaaScore) : null,
+            isCoinbase: Boolean(entry.utxoEntry?.isCoinbase)
+        }));
+    }
+
+    /**
+     * Watch list with balances and node capability, for the wallet panel
+     */
+    async getWalletInfo() {
+        const addresses = this.listAddresses();
+        let client;
+        try {
+            client = await this.getLocalClient();
         } catch (error) {
-            // Check if it's a "no wallet" error vs other errors
-            if (error.message.includes('wallet') || error.message.includes('not loaded')) {
-                return {
-                    hasWallet: false,
-                    balance: 0,
-                    pendingBalance: 0,
-                    addresses: [],
-                    primaryAddress: null,
-                    error: 'No wallet loaded'
-                };
+            if (error.code === 'LOCAL_NODE_UNAVAILABLE') {
+                return { available: false, utxoIndex: null, addresses, code: error.code, error: error.message };
             }
+            return { available: false, utxoIndex: null, addresses, error: `Cannot reach Kaspa node: ${error.message}` };
+        }
+
+        const utxoIndex = await this.hasUtxoIndex(client);
+        if (!utxoIndex) {
+            return { available: false, utxoIndex: false, addresses, code: 'UTXO_INDEX_REQUIRED', error: UTXO_INDEX_MESSAGE };
+        }
+
+        const balances = await this.getBalances();
+        return {
+            available: true,
+            utxoIndex: true,
+            live: Boolean(this.subscription),
+            addresses: balances.addresses.map(entry => ({
+                ...this.addresses.get(entry.address),
+                ...entry,
+                utxoCount: this.history.get(entry.address)?.utxoCount ?? null,
+                lastTransactionAt: this.history.get(entry.address)?.transactions[0]?.detectedAt || null
+            })),
+            totalSompi: balances.totalSompi,
+            totalKas: balances.totalKas
+        };
+    }
+
+    /**
+     * The node client, only while it is connected to our own node: addresses
+     * must not be sent to (or history built from) a fallback host
+     */
+    async getLocalClient() {
+        const client = await this.getClient();
+        const source = this.getSource();
+        if (source.fallback) {
+            const error = new Error(`Local node unavailable: watched addresses are only queried on the local node (currently connected to ${source.host})`);
+            error.code = 'LOCAL_NODE_UNAVAILABLE';
             throw error;
         }
+        return client;
+    }
+
+    /**
+     * Whether the node has the UTXO index address queries need
+     */
+    async hasUtxoIndex(client) {
+        const info = await client.getInfo();
+        return Boolean(info.isUtxoIndexed || info.hasUtxoIndex);
     }
 
-    async createWallet(password, mnemonic = null) {
+    /**
+     * Subscribe to UTXO changes for the watch list. Re-subscribes when the list
+     * or the underlying connection changed (or when forced).
+     */
+    async ensureSubscribed(force = false) {
+        const addresses = this.listAddresses().map(entry => entry.address);
+        const client = await this.getLocalClient();
+
+        const current = this.subscription;
+        if (!force && current && current.client === client &&
+            current.addresses.length === addresses.length &&
+            current.addresses.every(address => this.addresses.has(address))) {
+            return;
+        }
+
+        if (current && current.client === client && typeof client.unSubscribeUtxosChanged === 'function') {
+            client.unSubscribeUtxosChanged(current.uid);
+        }
+        this.subscription = null;
+
+        if (addresses.length === 0) {
+            return;
+        }
+
+        // Seed balances (and catch up on changes we missed) so notifications can be applied as deltas
+        await this.syncAddresses(client, addresses);
+
+        const request = client.subscribeUtxosChanged({ addresses }, notification => {
+            this.handleUtxosChanged(notification);
+        });
+        this.subscription = { client, uid: request.uid, addresses };
+
         try {
-            // Validate password strength
-            this.validatePassword(password);
-
-            let result;
-            if (mnemonic) {
-                // Import wallet from mnemonic
-                result = await this.makeRpcCall('importWallet', {
-                    mnemonic: mnemonic.trim(),
-                    password
-                });
-            } else {
-                // Create new wallet
-                result = await this.makeRpcCall('createWallet', {
-                    password
-                });
+            const response = await request;
+            if (response && response.error && response.error.message) {
+                throw this.toWalletError(response.error.message);
             }
-
-            return {
-                success: true,
-                mnemonic: result.mnemonic,
-                addresses: result.addresses || [],
-                primaryAddress: result.addresses?.[0] || null,
-                message: mnemonic ? 'Wallet imported successfully' : 'Wallet created successfully'
-            };
         } catch (error) {
-            throw new Error(`Failed to create wallet: ${error.message}`);
+            this.subscription = null;
+            throw this.toWalletError(error.message || String(error));
         }
     }
 
-    async sendTransaction(fromAddress, toAddress, amount, password, fee = null) {
-        try {
-            // Validate inputs
-            this.validateKaspaAddress(toAddress);
-            this.validateAmount(amount);
-
-            // Check balance first
-            const walletInfo = await this.getWalletInfo();
-            if (!walletInfo.hasWallet) {
-                throw new Error('No wallet loaded');
+    /**
+     * Reconcile the history with the node's UTXO set. First sync of an address
+     * records its current UTXOs as initial (silent) incoming entries; later
+     * syncs record UTXOs newer than the last seen DAA score as incoming and
+     * the unexplained balance drop as one outgoing entry.
+     */
+    async syncAddresses(client, addresses) {
+        const response = await this.call(() => client.getUtxosByAddresses({ addresses }));
+        await this.refreshVirtualDaaScore(client);
+
+        const byAddress = new Map(addresses.map(address => [address, []]));
+        (response.entries || []).forEach(entry => {
+            if (byAddress.has(entry.address)) {
+                byAddress.get(entry.address).push(entry);
             }
+        });
+
+        byAddress.forEach((utxos, address) => {
+            const balance = utxos.reduce((sum, entry) => sum + BigInt(entry.utxoEntry?.amount || 0), 0n);
+            const maxDaaScore = utxos.reduce((max, entry) => Math.max(max, Number(entry.utxoEntry?.blockDaaScore || 0)), 0);
+            const state = this.history.get(address);
+
+            if (!state) {
+                this.history.set(address, {
+                    balanceSompi: balance.toString(),
+                    utxoCount: utxos.length,
+                    daaScore: maxDaaScore,
+                    syncedAt: new Date().toISOString(),
+                    transactions: []
+                });
+                this.groupByTransaction(utxos).forEach(group => {
+                    this.recordTransaction(address, { direction: 'incoming', ...group }, { initial: true });
+                });
+            } else {
+                const received = utxos.filter(entry => Number(entry.utxoEntry?.blockDaaScore || 0) > state.daaScore);
+                const groups = this.groupByTransaction(received);
+                groups.forEach(group => this.recordTransaction(address, { direction: 'incoming', ...group }));
+
+                const receivedTotal = groups.reduce((sum, group) => sum + group.amount, 0n);
+                const spent = BigInt(state.balanceSompi || 0) + receivedTotal - balance;
+                if (spent > 0n) {
+                    this.recordTransaction(address, {
+                        direction: 'outgoing',
+                        transactionId: null,
+                        amount: spent,
+                        blockDaaScore: this.lastVirtualDaaScore
+                    });
+                }
 
-            const totalRequired = amount + (fee || 0);
-            if (walletInfo.balance < totalRequired) {
-                throw new Error(`Insufficient balance. Required: ${this.formatBalance(totalRequired)} KAS, Available: ${this.formatBalance(walletInfo.balance)} KAS`);
+                Object.assign(state, {
+                    balanceSompi: balance.toString(),
+                    utxoCount: utxos.length,
+                    daaScore: Math.max(state.daaScore || 0, maxDaaScore),
+                    syncedAt: new Date().toISOString()
+                });
             }
 
-            // Prepare transaction parameters
-            const txParams = {
-                toAddress,
-                amount: this.kasToSompi(amount),
-                password
-            };
+            this.balances.set(address, balance);
+        });
+
+        this.scheduleSave();
+    }
 
-            if (fromAddress) {
-                txParams.fromAddress = fromAddress;
+    /**
+     * Apply a utxosChangedNotification to cached balances and history
+     */
+    handleUtxosChanged(notification = {}) {
+        const changes = new Map(); // address -> { added: [], removed: [] }
+        const collect = (entries, key) => {
+            (entries || []).forEach(entry => {
+                if (!this.addresses.has(entry.address)) {
+                    return;
+                }
+                if (!changes.has(entry.address)) {
+                    changes.set(entry.address, { added: [], removed: [] });
+                }
+                changes.get(entry.address)[key].push(entry);
+            });
+        };
+
+        collect(notification.added, 'added');
+        collect(notification.removed, 'removed');
+
+        changes.forEach(({ added, removed }, address) => {
+            const sum = entries => entries.reduce((total, entry) => total + BigInt(entry.utxoEntry?.amount || 0), 0n);
+            const delta = sum(added) - sum(removed);
+            const balance = (this.balances.get(address) || 0n) + delta;
+            this.balances.set(address, balance);
+
+            const addedDaaScore = added.reduce((max, entry) => Math.max(max, Number(entry.utxoEntry?.blockDaaScore || 0)), 0);
+            if (addedDaaScore > (this.lastVirtualDaaScore || 0)) {
+                this.lastVirtualDaaScore = addedDaaScore;
             }
 
-            if (fee) {
-                txParams.fee = this.kasToSompi(fee);
+            const state = this.history.get(address);
+            if (state) {
+                state.balanceSompi = balance.toString();
+                state.utxoCount = Math.max(0, (state.utxoCount || 0) + added.length - removed.length);
+                state.daaScore = Math.max(state.daaScore || 0, addedDaaScore);
             }
 
-            // Send transaction
-            const result = await this.makeRpcCall('send', txParams);
+            if (removed.length === 0) {
+                this.groupByTransaction(added).forEach(group => {
+                    this.recordTransaction(address, { direction: 'incoming', ...group });
+                });
+            } else if (delta !== 0n) {
+                // A spend: outputs added to this address in the same notification are its change
+                const transactionIds = [...new Set(added.map(entry => entry.outpoint?.transactionId).filter(Boolean))];
+                this.recordTransaction(address, {
+                    direction: delta > 0n ? 'incoming' : 'outgoing',
+                    transactionId: transactionIds.length === 1 ? transactionIds[0] : null,
+                    amount: delta > 0n ? delta : -delta,
+                    blockDaaScore: addedDaaScore || this.lastVirtualDaaScore
+                });
+            }
 
-            return {
-                success: true,
-                transactionId: result.transactionId || result.txId,
-                amount: amount,
-                fee: fee || result.fee || 0,
-                toAddress,
-                fromAddress: fromAddress || walletInfo.primaryAddress,
+            if (delta === 0n) {
+                return;
+            }
+            this.emit('balanceChanged', {
+                address,
+                label: this.addresses.get(address)?.label || '',
+                balanceSompi: balance.toString(),
+                balance: this.sompiToKas(balance),
+                delta: this.sompiToKas(delta),
                 timestamp: new Date().toISOString()
-            };
-        } catch (error) {
-            throw new Error(`Transaction failed: ${error.message}`);
+            });
+        });
+
+        if (changes.size > 0) {
+            this.scheduleSave();
         }
     }
 
-    async getTransactionHistory(limit = 50) {
-        try {
-            const transactions = await this.makeRpcCall('getTransactions', {
-                limit
+    /**
+     * Group UTXO entries by the transaction that created them
+     * @returns {Array<{transactionId: string|null, amount: BigInt, blockDaaScore: number|null}>}
+     */
+    groupByTransaction(entries) {
+        const groups = new Map();
+        entries.forEach(entry => {
+            const transactionId = entry.outpoint?.transactionId || null;
+            const key = transactionId || `unknown-${groups.size}`;
+            const group = groups.get(key) || { transactionId, amount: 0n, blockDaaScore: null };
+            group.amount += BigInt(entry.utxoEntry?.amount || 0);
+            if (entry.utxoEntry?.blockDaaScore !== undefined) {
+                group.blockDaaScore = Number(entry.utxoEntry.blockDaaScore);
+            }
+            groups.set(key, group);
+        });
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Add a payment to an address's history (newest first, capped) and emit
+     * 'transaction' for live ones. Initial entries come from the first sync.
+     */
+    recordTransaction(address, { direction, transactionId, amount, blockDaaScore }, { initial = false } = {}) {
+        const state = this.history.get(address);
+        if (!state || amount <= 0n) {
+            return null;
+        }
+        if (transactionId && state.transactions.some(tx => tx.transactionId === transactionId && tx.direction === direction)) {
+            return null;
+        }
+
+        const watched = this.addresses.get(address) || {};
+        const entry = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            address,
+            direction,
+            transactionId: transactionId || null,
+            amountSompi: amount.toString(),
+            amount: this.sompiToKas(amount),
+            blockDaaScore: blockDaaScore || null,
+            detectedAt: new Date().toISOString()
+        };
+        if (initial) {
+            entry.initial = true;
+        }
+
+        state.transactions.unshift(entry);
+        if (state.transactions.length > this.MAX_TRANSACTIONS) {
+            state.transactions.length = this.MAX_TRANSACTIONS;
+        }
+
+        if (!initial) {
+            const alerts = watched.alerts || {};
+            this.emit('transaction', {
+                ...entry,
+                label: watched.label || '',
+                alert: Boolean(alerts[direction]) && entry.amount >= (alerts.minAmount || 0)
             });
+        }
+        return entry;
+    }
+
+    /**
+     * Payment history of a watched address with confirmation depth in DAA score
+     * @param {Object} [options] - { limit, offset, direction: incoming|outgoing }
+     * @returns {Promise<Object|null>} null when the address is not watched
+     */
+    async getTransactions(address, options = {}) {
+        const normalized = String(address || '').trim().toLowerCase();
+        if (!this.addresses.has(normalized)) {
+            return null;
+        }
 
-            return (transactions.transactions || []).map(tx => ({
-                txId: tx.transactionId || tx.txId,
-                timestamp: tx.timestamp ? new Date(tx.timestamp * 1000).toISOString() : new Date().toISOString(),
-                amount: this.sompiToKas(tx.amount || 0),
-                fee: this.sompiToKas(tx.fee || 0),
-                from: tx.inputs?.map(input => input.address) || [],
-                to: tx.outputs?.map(output => output.address) || [],
-                confirmations: tx.confirmations || 0,
-                status: this.determineTransactionStatus(tx),
-                type: tx.amount > 0 ? 'received' : 'sent'
-            }));
+        try {
+            await this.refreshVirtualDaaScore(await this.getLocalClient());
         } catch (error) {
-            // If transaction history is not available, return empty array
-            console.warn('Failed to get transaction history:', error.message);
-            return [];
+            // Node unreachable: report the last known DAA score
         }
+
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), this.MAX_TRANSACTIONS);
+        const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+        const state = this.history.get(normalized);
+        const transactions = (state ? state.transactions : [])
+            .filter(tx => !options.direction || tx.direction === options.direction);
+
+        const virtualDaaScore = this.lastVirtualDaaScore;
+        return {
+            address: normalized,
+            label: this.addresses.get(normalized).label,
+            balanceSompi: state ? state.balanceSompi : null,
+            utxoCount: state ? state.utxoCount : null,
+            virtualDaaScore,
+            total: transactions.length,
+            transactions: transactions.slice(offset, offset + limit).map(tx => ({
+                ...tx,
+                confirmations: virtualDaaScore && tx.blockDaaScore ? Math.max(0, virtualDaaScore - tx.blockDaaScore) : null
+            }))
+        };
     }
 
-    async generateNewAddress() {
+    async refreshVirtualDaaScore(client) {
         try {
-            const result = await this.makeRpcCall('newAddress');
-            return {
-                success: true,
-                address: result.address,
-                message: 'New address generated successfully'
-            };
+            const dagInfo = await client.getBlockDagInfo();
+            if (dagInfo && dagInfo.virtualDaaScore !== undefined) {
+                this.lastVirtualDaaScore = Number(dagInfo.virtualDaaScore);
+            }
         } catch (error) {
-            throw new Error(`Failed to generate new address: ${error.message}`);
+            // Keep the last known score; confirmations are approximate until the next refresh
         }
+        return this.lastVirtualDaaScore;
     }
 
-    async validateAddress(address) {
+    /**
+     * Cached balances as metric samples (wallet.balance in KAS, labelled by address)
+     */
+    getBalanceSamples() {
+        return Array.from(this.balances.entries())
+            .filter(([address]) => this.addresses.has(address))
+            .map(([address, balance]) => ({ metric: 'wallet.balance', labels: { address }, value: this.sompiToKas(balance) }));
+    }
+
+    /**
+     * Run an RPC call and turn node-reported errors into exceptions
+     */
+    async call(fn) {
+        let response;
         try {
-            this.validateKaspaAddress(address);
-            
-            // Additional validation via RPC if available
-            try {
-                const result = await this.makeRpcCall('validateAddress', { address });
-                return {
-                    valid: result.isValid || true,
-                    address,
-                    type: result.addressType || 'unknown'
-                };
-            } catch (rpcError) {
-                // If RPC validation fails, use basic validation
-                return {
-                    valid: true,
-                    address,
-                    type: 'unknown'
-                };
-            }
+            response = await fn();
         } catch (error) {
-            return {
-                valid: false,
-                address,
-                error: error.message
-            };
+            throw this.toWalletError(error?.message || String(error));
+        }
+
+        if (response && response.error && response.error.message) {
+            throw this.toWalletError(response.error.message);
         }
+        return response || {};
+    }
+
+    toWalletError(message) {
+        if (/utxoindex/i.test(message)) {
+            const error = new Error(UTXO_INDEX_MESSAGE);
+            error.code = 'UTXO_INDEX_REQUIRED';
+            return error;
+        }
+        return new Error(`Wallet query failed: ${message}`);
     }
 
     // Utility methods
@@ -215,136 +719,90 @@ class WalletManager {
             throw new Error('Address is required and must be a string');
         }
 
-        // Basic Kaspa address validation
-        // Kaspa addresses typically start with 'kaspa:' prefix
-        const cleanAddress = address.replace('kaspa:', '');
-        
+        const prefixMatch = /^(kaspa|kaspatest|kaspasim|kaspadev):/i.exec(address.trim());
+        const cleanAddress = address.trim().replace(/^[a-z]+:/i, '');
+
         if (cleanAddress.length < 30 || cleanAddress.length > 90) {
             throw new Error('Invalid address length');
         }
 
-        // Check for valid characters (base58 or bech32-like)
+        // Bech32-like payload
         if (!/^[a-zA-Z0-9]+$/.test(cleanAddress)) {
             throw new Error('Invalid address format');
         }
 
-        return true;
-    }
-
-    validateAmount(amount) {
-        if (!amount || isNaN(amount) || amount <= 0) {
-            throw new Error('Amount must be a positive number');
-        }
-
-        if (amount > 28400000000) { // Max KAS supply
-            throw new Error('Amount exceeds maximum possible value');
-        }
-
-        // Check for reasonable precision (max 8 decimal places)
-        const decimalPlaces = (amount.toString().split('.')[1] || '').length;
-        if (decimalPlaces > 8) {
-            throw new Error('Amount has too many decimal places (max 8)');
+        if (!prefixMatch) {
+            throw new Error('Address must include its network prefix (kaspa: or kaspatest:)');
         }
 
         return true;
     }
 
-    validatePassword(password) {
-        if (!password || typeof password !== 'string') {
-            throw new Error('Password is required');
-        }
-
-        if (password.length < 8) {
-            throw new Error('Password must be at least 8 characters long');
-        }
-
-        // Check for basic complexity
-        const hasLower = /[a-z]/.test(password);
-        const hasUpper = /[A-Z]/.test(password);
-        const hasNumber = /\d/.test(password);
-        const hasSpecial = /[!@#$%^&*(),.?":{}|<>]/.test(password);
-
-        const complexityCount = [hasLower, hasUpper, hasNumber, hasSpecial].filter(Boolean).length;
-        
-        if (complexityCount < 3) {
-            throw new Error('Password must contain at least 3 of: lowercase, uppercase, numbers, special characters');
-        }
-
-        return true;
+    /**
+     * Generate a BIP39 mnemonic (12-24 words) from secure random entropy
+     */
+    generateMnemonic(wordCount = 24) {
+        return KaspaKeyDerivation.generateMnemonic(wordCount);
     }
 
-    // Convert KAS to Sompi (smallest unit)
-    kasToSompi(kas) {
-        return Math.floor(kas * 100000000); // 1 KAS = 100,000,000 Sompi
+    /**
+     * Check a mnemonic's words and checksum
+     * @returns {{valid: boolean, wordCount?: number, error?: string}}
+     */
+    validateMnemonic(phrase) {
+        return KaspaKeyDerivation.validateMnemonic(phrase);
     }
 
-    // Convert Sompi to KAS
-    sompiToKas(sompi) {
-        return sompi / 100000000;
+    /**
+     * Derive receive addresses (m/44'/111111'/account'/0/index) for a mnemonic,
+     * matching the wizard's wallet-service.js. Options as KaspaKeyDerivation.deriveAddresses.
+     */
+    deriveAddresses(mnemonic, options = {}) {
+        return KaspaKeyDerivation.deriveAddresses(mnemonic, options);
     }
 
-    // Format balance for display
-    formatBalance(sompi) {
-        const kas = this.sompiToKas(sompi);
-        return Math.round(kas * 100000000) / 100000000; // Round to 8 decimal places
+    // Convert Sompi (BigInt or number) to KAS
+    sompiToKas(sompi) {
+        const value = BigInt(sompi);
+        const sign = value < 0n ? -1 : 1;
+        const abs = value < 0n ? -value : value;
+        return sign * (Number(abs / SOMPI_PER_KAS) + Number(abs % SOMPI_PER_KAS) / 1e8);
     }
 
-    determineTransactionStatus(tx) {
-        if (tx.confirmations === undefined || tx.confirmations === null) {
-            return 'pending';
+    /**
+     * Stop following balance changes and flush pending history
+     */
+    shutdown() {
+        if (this.monitorInterval) {
+            clearInterval(this.monitorInterval);
+            this.monitorInterval = null;
         }
 
-        if (tx.confirmations === 0) {
-            return 'pending';
-        } else if (tx.confirmations < 10) {
-            return 'confirming';
-        } else {
-            return 'confirmed';
+        // Flush pending history so it survives the restart
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
         }
-    }
-
-    // Generate a secure mnemonic phrase (for wallet creation)
-    generateMnemonic() {
-        // This is a simplified version - in production, use a proper BIP39 library
-        const words = [
-            'abandon', 'ability', 'able', 'about', 'above', 'absent', 'absorb', 'abstract',
-            'absurd', 'abuse', 'access', 'accident', 'account', 'accuse', 'achieve', 'acid',
-            'acoustic', 'acquire', 'across', 'act', 'action', 'actor', 'actress', 'actual'
-            // ... (in production, use the full BIP39 wordlist)
-        ];
-
-        const mnemonic = [];
-        for (let i = 0; i < 12; i++) {
-            const randomIndex = crypto.randomInt(0, words.length);
-            mnemonic.push(words[randomIndex]);
+        if (this.historyDirty) {
+            try {
+                writeFileSync(this.historyFile, this.getHistorySnapshot(), 'utf8');
+                this.historyDirty = false;
+            } catch (error) {
+                console.warn('Failed to save wallet history:', error.message);
+            }
         }
 
-        return mnemonic.join(' ');
-    }
-
-    // Sanitize wallet data for logging (remove sensitive info)
-    sanitizeWalletData(data) {
-        const sanitized = { ...data };
-        
-        // Remove sensitive fields
-        delete sanitized.password;
-        delete sanitized.mnemonic;
-        delete sanitized.privateKey;
-        
-        // Mask addresses partially
-        if (sanitized.addresses) {
-            sanitized.addresses = sanitized.addresses.map(addr => 
-                addr ? `${addr.substring(0, 8)}...${addr.substring(addr.length - 8)}` : addr
-            );
-        }
-        
-        if (sanitized.primaryAddress) {
-            const addr = sanitized.primaryAddress;
-            sanitized.primaryAddress = `${addr.substring(0, 8)}...${addr.substring(addr.length - 8)}`;
+        const current = this.subscription;
+        if (current && typeof current.client.unSubscribeUtxosChanged === 'function') {
+            current.client.unSubscribeUtxosChanged(current.uid);
         }
+        this.subscription = null;
+        this.removeAllListeners();
 
-        return sanitized;
+        console.log('Wallet Manager shutdown complete');
     }
 }
 
-module.exports = WalletManager;
\ No newline at end of file
+WalletManager.UTXO_INDEX_MESSAGE = UTXO_INDEX_MESSAGE;
+
+module.exports = WalletManager;
@@ -6,9 +6,15 @@ const EventEmitter = require('events');
  * Handles connection state management, reconnection, and broadcasting
  */
 class WebSocketManager extends EventEmitter {
-    constructor(server) {
+    /**
+     * @param {http.Server} server
+     * @param {Object} options
+     * @param {Function} options.authenticate - (req) => user|null; when set, handshakes without a valid session are closed
+     */
+    constructor(server, options = {}) {
         super();
         this.server = server;
+        this.authenticate = options.authenticate || null;
         this.wss = null;
         this.clients = new Map();
         this.pingInterval = null;
@@ -54,10 +60,19 @@ class WebSocketManager extends EventEmitter {
      * Handle new WebSocket connection
      */
     handleConnection(ws, req) {
+        const user = this.authenticate ? this.authenticate(req) : null;
+        if (this.authenticate && !user) {
+            console.warn(`Rejected unauthenticated WebSocket connection from ${req.socket?.remoteAddress}`);
+            ws.close(4401, 'Unauthorized');
+            return;
+        }
+
         const clientId = this.generateClientId();
         const clientInfo = {
             id: clientId,
             ws: ws,
+            request: req,
+            user: user,
             isAlive: true,
             connectedAt: new Date(),
             lastPong: new Date(),
@@ -195,7 +210,7 @@ class WebSocketManager extends EventEmitter {
         const client = this.clients.get(clientId);
         if (!client) return;
 
-        const { services, resources, frequency } = data;
+        const { services, resources, nodeEvents, nodeUpdates, dagUpdates, frequency } = data;
         
         if (services !== undefined) {
             if (services) {
@@ -213,6 +228,30 @@ class WebSocketManager extends EventEmitter {
             }
         }
         
+        if (nodeEvents !== undefined) {
+            if (nodeEvents) {
+                client.subscriptions.add('updates:node-events');
+            } else {
+                client.subscriptions.delete('updates:node-events');
+            }
+        }
+        
+        if (nodeUpdates !== undefined) {
+            if (nodeUpdates) {
+                client.subscriptions.add('updates:node');
+            } else {
+                client.subscriptions.delete('updates:node');
+            }
+        }
+        
+        if (dagUpdates !== undefined) {
+            if (dagUpdates) {
+                client.subscriptions.add('updates:dag');
+            } else {
+                client.subscriptions.delete('updates:dag');
+            }
+        }
+        
         if (frequency && frequency >= 1000) {
             client.updateFrequency = frequency;
         }
@@ -296,6 +335,12 @@ class WebSocketManager extends EventEmitter {
                     return;
                 }
 
+                // Close sockets whose session has ended (logout, expiry, account removed)
+                if (this.authenticate && !this.authenticate(client.request)) {
+                    client.ws.close(4401, 'Session expired');
+                    return;
+                }
+
                 client.isAlive = false;
                 
                 if (client.ws.readyState === WebSocket.OPEN) {
@@ -539,6 +584,45 @@ class WebSocketManager extends EventEmitter {
         return this.broadcast(message);
     }
 
+    /**
+     * Broadcast parsed Kaspa node log events
+     */
+    broadcastNodeEvent(event) {
+        const message = {
+            type: 'node_event',
+            data: event,
+            timestamp: new Date().toISOString()
+        };
+        
+        return this.broadcastToSubscribers('updates:node-events', message);
+    }
+
+    /**
+     * Broadcast the live node model (pushed by node notifications)
+     */
+    broadcastNodeUpdate(state) {
+        const message = {
+            type: 'node_update',
+            data: state,
+            timestamp: new Date().toISOString()
+        };
+        
+        return this.broadcastToSubscribers('updates:node', message);
+    }
+
+    /**
+     * Broadcast batched BlockDAG changes to the visualizer
+     */
+    broadcastDagUpdate(update) {
+        const message = {
+            type: 'dag_update',
+            data: update,
+            timestamp: new Date().toISOString()
+        };
+        
+        return this.broadcastToSubscribers('updates:dag', message);
+    }
+
     /**
      * Get log stream statistics
      */
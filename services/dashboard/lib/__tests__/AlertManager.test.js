@@ -1,3 +1,4 @@
+const fs = require('fs');
 const AlertManager = require('../AlertManager');
 
 // Mock WebSocketManager
@@ -273,6 +274,58 @@ describe('AlertManager Integration Tests', () => {
         });
     });
 
+    describe('Wallet Payment Alerts', () => {
+        test('should alert on payments with the address as a label', () => {
+            alertManager.processWalletTransaction({
+                address: 'kaspa:qz20g2ugrrm629fnnvmfjpsjlx9zu2f2zj828wwpv9gvxcnajl0qs36s8hfkl',
+                label: 'Donations',
+                direction: 'incoming',
+                amount: 12.5,
+                amountSompi: '1250000000',
+                transactionId: 'ab'.repeat(32),
+                blockDaaScore: 1000
+            });
+            alertManager.processWalletTransaction({
+                address: 'kaspa:qz20g2ugrrm629fnnvmfjpsjlx9zu2f2zj828wwpv9gvxcnajl0qs36s8hfkl',
+                label: '',
+                direction: 'outgoing',
+                amount: 3,
+                amountSompi: '300000000',
+                transactionId: null,
+                blockDaaScore: 1200
+            });
+
+            const [incoming, outgoing] = wsManager.alertCalls;
+            expect(incoming).toMatchObject({ type: 'wallet_incoming', severity: 'info', title: 'Payment Received: Donations', source: 'wallet' });
+            expect(outgoing).toMatchObject({ type: 'wallet_outgoing', severity: 'warning' });
+            expect(alertManager.getAlertLabels(outgoing).address).toBe('kaspa:qz20g2ugrrm629fnnvmfjpsjlx9zu2f2zj828wwpv9gvxcnajl0qs36s8hfkl');
+        });
+    });
+
+    describe('Scheduled Backup Alerts', () => {
+        const run = { id: 'run_1', scheduleId: 'sched_1', scheduleName: 'Nightly config', type: 'config', scheduledFor: '2026-10-18T03:00:00.000Z' };
+
+        test('should alert on failed and missed runs and resolve on the next completed run', () => {
+            alertManager.processBackupRun({ ...run, status: 'completed', backupId: 'backup_0' });
+            expect(wsManager.alertCalls).toHaveLength(0);
+
+            alertManager.processBackupRun({ ...run, status: 'missed', missedRuns: 3, reason: 'the dashboard was not running' });
+            alertManager.processBackupRun({ ...run, status: 'failed', error: 'No space left on device' });
+            alertManager.processBackupRun({ ...run, status: 'completed', backupId: 'backup_1' });
+
+            const [missed, failed, recovered] = wsManager.alertCalls;
+            expect(missed).toMatchObject({
+                type: 'backup_missed',
+                severity: 'warning',
+                message: 'Nightly config did not run at 2026-10-18T03:00:00.000Z (3 runs missed): the dashboard was not running'
+            });
+            expect(failed).toMatchObject({ type: 'backup_failed', severity: 'critical', message: 'Nightly config failed: No space left on device' });
+            expect(recovered).toMatchObject({ type: 'backup_recovered', severity: 'info', data: { backupId: 'backup_1', resolvedAlertId: failed.id } });
+            expect(alertManager.getAlertLabels(failed).schedule).toBe('sched_1');
+            expect(alertManager.activeAlerts.has('backup_schedule_sched_1')).toBe(false);
+        });
+    });
+
     describe('Alert Acknowledgment', () => {
         test('should acknowledge alerts', () => {
             const services = [
@@ -443,6 +496,132 @@ describe('AlertManager Integration Tests', () => {
         });
     });
 
+    describe('User-defined Rules', () => {
+        test('should raise a rule alert after the duration and resolve it', async () => {
+            await alertManager.addRule({
+                name: 'Sync lag',
+                metric: 'sync.lag',
+                operator: '>',
+                threshold: 100,
+                forMinutes: 5,
+                severity: 'critical',
+                labels: { team: 'node' }
+            });
+            const start = Date.now();
+            const lagging = [{ metric: 'sync.lag', labels: {}, value: 500 }];
+
+            alertManager.evaluateRules(lagging, start);
+            expect(wsManager.alertCalls).toHaveLength(0);
+
+            alertManager.evaluateRules(lagging, start + 5 * 60 * 1000);
+            expect(wsManager.alertCalls).toHaveLength(1);
+            expect(wsManager.alertCalls[0]).toMatchObject({ type: 'rule', severity: 'critical', title: 'Sync lag' });
+            expect(wsManager.alertCalls[0].labels.team).toBe('node');
+            expect(alertManager.getActiveAlerts()).toHaveLength(1);
+
+            alertManager.evaluateRules([{ metric: 'sync.lag', labels: {}, value: 0 }], start + 6 * 60 * 1000);
+            expect(wsManager.alertCalls[1].type).toBe('rule_resolved');
+            expect(alertManager.getActiveAlerts()).toHaveLength(0);
+        });
+
+        test('should derive sync lag from sync status updates', async () => {
+            await alertManager.addRule({ name: 'Behind', metric: 'sync.lag', operator: '>=', threshold: 10 });
+
+            alertManager.processSyncStatusUpdates({ isSynced: false, currentHeight: 100, networkHeight: 150, progress: 66 });
+
+            expect(wsManager.alertCalls[0].data.currentValue).toBe(50);
+        });
+
+        test('should persist rule changes', async () => {
+            await alertManager.addRule({ name: 'CPU', metric: 'system.cpu', operator: '>', threshold: 95 });
+
+            expect(fs.promises.writeFile).toHaveBeenCalledWith(
+                expect.stringContaining('alert-rules.json'),
+                expect.stringContaining('"metric": "system.cpu"')
+            );
+        });
+
+        test('should resolve alerts of a removed rule', async () => {
+            const rule = await alertManager.addRule({ name: 'Peers', metric: 'node.peers', operator: '<', threshold: 3 });
+            alertManager.recordMetrics([{ metric: 'node.peers', labels: {}, value: 1 }]);
+
+            expect(await alertManager.removeRule(rule.id)).toBe(true);
+            expect(alertManager.getActiveAlerts()).toHaveLength(0);
+            expect(wsManager.alertCalls[1].type).toBe('rule_resolved');
+        });
+    });
+
+    describe('Silences and Maintenance Windows', () => {
+        const unhealthyNode = [{ name: 'kaspa-node', displayName: 'Kaspa Node', status: 'unhealthy', profile: 'core' }];
+
+        test('should record silenced alerts without broadcasting them', async () => {
+            await alertManager.addSilence({ matchers: { service: 'kaspa-node' }, endsAt: Date.now() + 60000 });
+
+            alertManager.processServiceUpdates(unhealthyNode);
+
+            expect(wsManager.alertCalls).toHaveLength(0);
+            expect(alertManager.alertHistory[0].suppressed).toBe(true);
+            expect(alertManager.alertHistory[0].suppressedBy.type).toBe('silence');
+        });
+
+        test('should suppress alerts during a maintenance window', async () => {
+            await alertManager.addMaintenanceWindow({
+                name: 'Upgrade',
+                startsAt: new Date(Date.now() - 60000).toISOString(),
+                endsAt: new Date(Date.now() + 60000).toISOString()
+            });
+
+            alertManager.processServiceUpdates(unhealthyNode);
+
+            expect(wsManager.alertCalls).toHaveLength(0);
+            expect(alertManager.alertHistory[0].suppressedBy.type).toBe('maintenance');
+        });
+    });
+
+    describe('Persistence', () => {
+        test('should restore rules, active alerts and history on initialize', async () => {
+            const activeAlert = {
+                id: 'alert_1',
+                type: 'service_failure',
+                severity: 'critical',
+                title: 'Service Unhealthy: Kaspa Node',
+                source: 'kaspa-node',
+                data: { serviceName: 'kaspa-node', status: 'unhealthy' },
+                timestamp: new Date(Date.now() - 60000).toISOString()
+            };
+            fs.promises.readFile.mockImplementation(async (file) => {
+                if (file.endsWith('alert-rules.json')) {
+                    return JSON.stringify({ rules: [{ id: 'rule_1', name: 'CPU', metric: 'system.cpu', operator: '>', threshold: 90, forMinutes: 0, enabled: true }] });
+                }
+                return JSON.stringify({
+                    activeAlerts: [['service_failure_kaspa-node', activeAlert]],
+                    alertHistory: [activeAlert]
+                });
+            });
+
+            await alertManager.initialize();
+            fs.promises.readFile.mockReset();
+
+            expect(alertManager.ruleEngine.getRules()).toHaveLength(1);
+            expect(alertManager.alertHistory).toHaveLength(1);
+
+            // Recovery of a restored failure is detected without previous in-memory state
+            alertManager.processServiceUpdates([{ name: 'kaspa-node', displayName: 'Kaspa Node', status: 'healthy', profile: 'core' }]);
+            expect(wsManager.alertCalls[0].type).toBe('service_recovery');
+            expect(alertManager.activeAlerts.size).toBe(0);
+        });
+
+        test('should flush pending state on shutdown', () => {
+            alertManager.processServiceUpdates([{ name: 'kaspa-node', displayName: 'Kaspa Node', status: 'stopped', profile: 'core' }]);
+            alertManager.shutdown();
+
+            expect(fs.writeFileSync).toHaveBeenCalledWith(
+                expect.stringContaining('alert-state.json'),
+                expect.stringContaining('service_failure_kaspa-node')
+            );
+        });
+    });
+
     describe('Shutdown', () => {
         test('should shutdown cleanly', () => {
             const services = [
@@ -0,0 +1,201 @@
+const AlertRuleEngine = require('../AlertRuleEngine');
+
+const MINUTE = 60 * 1000;
+
+describe('AlertRuleEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new AlertRuleEngine();
+    });
+
+    describe('Rule validation', () => {
+        test('should accept a complete rule', () => {
+            expect(engine.validateRule({
+                name: 'Low peers',
+                metric: 'node.peers',
+                operator: '<',
+                threshold: 4,
+                forMinutes: 10,
+                severity: 'warning'
+            })).toEqual([]);
+        });
+
+        test('should reject unknown metrics and operators', () => {
+            const errors = engine.validateRule({ name: 'x', metric: 'node.magic', operator: '~', threshold: 1 });
+            expect(errors[0]).toMatch(/metric must be one of/);
+            expect(errors[1]).toMatch(/operator must be one of/);
+        });
+
+        test('should only allow equality checks on string metrics', () => {
+            const errors = engine.validateRule({ name: 'x', metric: 'service.status', operator: '>', threshold: 'healthy' });
+            expect(errors).toContain('service.status only supports == and != comparisons');
+        });
+
+        test('should reject non-numeric thresholds, bad durations and severities', () => {
+            const errors = engine.validateRule({
+                name: 'x', metric: 'system.cpu', operator: '>', threshold: 'high', forMinutes: -1, severity: 'loud'
+            });
+            expect(errors).toEqual(expect.arrayContaining([
+                'threshold must be a number',
+                'forMinutes must be a non-negative number',
+                'severity must be one of: info, warning, critical'
+            ]));
+        });
+
+        test('should throw when adding an invalid rule', () => {
+            expect(() => engine.addRule({ metric: 'system.cpu' })).toThrow('Invalid alert rule');
+        });
+    });
+
+    describe('Evaluation', () => {
+        let rule;
+
+        beforeEach(() => {
+            rule = engine.addRule({
+                name: 'Node memory high',
+                metric: 'container.memory',
+                matchers: { container: 'kaspa-node' },
+                operator: '>',
+                threshold: 90,
+                forMinutes: 5,
+                severity: 'critical'
+            });
+        });
+
+        const sample = (value, container = 'kaspa-node') => [{ metric: 'container.memory', labels: { container }, value }];
+
+        test('should stay pending until the condition has held for the duration', () => {
+            const start = Date.now();
+
+            expect(engine.evaluate(sample(95), start).firing).toHaveLength(0);
+            expect(engine.getSeries()[0].state).toBe('pending');
+            expect(engine.evaluate(sample(96), start + 4 * MINUTE).firing).toHaveLength(0);
+
+            const { firing } = engine.evaluate(sample(97), start + 5 * MINUTE);
+            expect(firing).toHaveLength(1);
+            expect(firing[0].rule.id).toBe(rule.id);
+            expect(firing[0].value).toBe(97);
+        });
+
+        test('should reset the pending timer when the condition clears', () => {
+            const start = Date.now();
+            engine.evaluate(sample(95), start);
+            engine.evaluate(sample(50), start + 2 * MINUTE);
+            engine.evaluate(sample(95), start + 3 * MINUTE);
+
+            expect(engine.evaluate(sample(95), start + 6 * MINUTE).firing).toHaveLength(0);
+        });
+
+        test('should resolve firing series and fire only once', () => {
+            const start = Date.now();
+            engine.evaluate(sample(95), start);
+            engine.evaluate(sample(95), start + 5 * MINUTE);
+
+            expect(engine.evaluate(sample(95), start + 6 * MINUTE).firing).toHaveLength(0);
+            const { resolved } = engine.evaluate(sample(40), start + 7 * MINUTE);
+            expect(resolved).toHaveLength(1);
+            expect(engine.getSeries()).toHaveLength(0);
+        });
+
+        test('should ignore samples that do not match the rule labels', () => {
+            engine.evaluate(sample(99, 'timescaledb'));
+            expect(engine.getSeries()).toHaveLength(0);
+        });
+
+        test('should leave series untouched when the metric is not reported', () => {
+            const start = Date.now();
+            engine.evaluate(sample(95), start);
+            engine.evaluate([{ metric: 'system.cpu', labels: {}, value: 10 }], start + MINUTE);
+
+            expect(engine.getSeries()).toHaveLength(1);
+        });
+
+        test('should fire immediately without a duration and compare strings', () => {
+            engine.addRule({ name: 'Node down', metric: 'service.status', matchers: { service: 'kaspa-node' }, operator: '!=', threshold: 'healthy' });
+
+            const { firing } = engine.evaluate([{ metric: 'service.status', labels: { service: 'kaspa-node' }, value: 'stopped' }]);
+            expect(firing).toHaveLength(1);
+        });
+
+        test('should return firing series when a rule is removed', () => {
+            engine.evaluate(sample(95), 0);
+            engine.evaluate(sample(95), 5 * MINUTE);
+
+            expect(engine.removeRule(rule.id)).toHaveLength(1);
+            expect(engine.removeRule(rule.id)).toBeNull();
+        });
+    });
+
+    describe('Silences', () => {
+        test('should suppress matching alerts until they expire', () => {
+            const now = Date.now();
+            const silence = engine.addSilence({ matchers: { service: 'kaspa-node' }, startsAt: now, endsAt: now + 60 * MINUTE, comment: 'upgrade' });
+
+            expect(engine.getSuppression({ service: 'kaspa-node', severity: 'critical' }, now)).toEqual({ type: 'silence', id: silence.id });
+            expect(engine.getSuppression({ service: 'k-indexer' }, now)).toBeNull();
+            expect(engine.getSuppression({ service: 'kaspa-node' }, now + 61 * MINUTE)).toBeNull();
+        });
+
+        test('should require matchers and an end time after the start', () => {
+            expect(engine.validateSuppression({ endsAt: new Date().toISOString() }, 'silence'))
+                .toContain('matchers must contain at least one label');
+            expect(engine.validateSuppression({ matchers: { a: 'b' }, startsAt: '2024-05-02', endsAt: '2024-05-01' }, 'silence'))
+                .toContain('endsAt must be after startsAt');
+        });
+
+        test('should prune expired silences', () => {
+            engine.addSilence({ matchers: { a: 'b' }, startsAt: '2024-05-01T00:00:00Z', endsAt: '2024-05-01T01:00:00Z' });
+            expect(engine.pruneExpired()).toBe(true);
+            expect(engine.getSilences({ includeExpired: true })).toHaveLength(0);
+        });
+    });
+
+    describe('Maintenance windows', () => {
+        test('should apply one-off windows between start and end', () => {
+            engine.addMaintenanceWindow({
+                name: 'Disk swap',
+                startsAt: '2024-05-01T10:00:00Z',
+                endsAt: '2024-05-01T12:00:00Z'
+            });
+
+            expect(engine.getSuppression({ alertname: 'service_failure' }, Date.parse('2024-05-01T11:00:00Z')).type).toBe('maintenance');
+            expect(engine.getSuppression({ alertname: 'service_failure' }, Date.parse('2024-05-01T12:00:00Z'))).toBeNull();
+        });
+
+        test('should apply weekly windows in UTC, including ones past midnight', () => {
+            const window = engine.addMaintenanceWindow({
+                name: 'Weekly restart',
+                matchers: { service: 'kaspa-node' },
+                schedule: { days: ['Sat'], start: '23:00', end: '01:00' }
+            });
+
+            // 2024-05-04 is a Saturday
+            expect(engine.isWindowActive(window, Date.parse('2024-05-04T23:30:00Z'))).toBe(true);
+            expect(engine.isWindowActive(window, Date.parse('2024-05-05T00:30:00Z'))).toBe(true);
+            expect(engine.isWindowActive(window, Date.parse('2024-05-05T01:30:00Z'))).toBe(false);
+            expect(engine.isWindowActive(window, Date.parse('2024-05-03T23:30:00Z'))).toBe(false);
+        });
+
+        test('should validate schedules', () => {
+            const errors = engine.validateSuppression({ name: 'x', schedule: { days: ['someday'], start: '25:00', end: '01:00' } }, 'maintenance');
+            expect(errors).toHaveLength(2);
+        });
+    });
+
+    describe('Serialization', () => {
+        test('should round-trip configuration and drop series of unknown rules', () => {
+            const rule = engine.addRule({ name: 'CPU', metric: 'system.cpu', operator: '>', threshold: 90, forMinutes: 5 });
+            engine.addSilence({ matchers: { a: 'b' }, endsAt: Date.now() + MINUTE });
+            engine.evaluate([{ metric: 'system.cpu', labels: {}, value: 95 }]);
+
+            const restored = new AlertRuleEngine();
+            restored.importConfig(JSON.parse(JSON.stringify(engine.exportConfig())));
+            restored.importSeries([...engine.getSeries(), { key: 'gone|', ruleId: 'rule_gone', state: 'pending' }]);
+
+            expect(restored.getRule(rule.id).threshold).toBe(90);
+            expect(restored.getSilences()).toHaveLength(1);
+            expect(restored.getSeries()).toHaveLength(1);
+        });
+    });
+});
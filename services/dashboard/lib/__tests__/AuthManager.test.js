@@ -0,0 +1,358 @@
+// Accounts are persisted to a real file in a temporary directory
+jest.unmock('fs');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuthManager = require('../AuthManager');
+const { ApiTokenStore } = require('../../../shared/lib/api-tokens');
+
+describe('AuthManager', () => {
+    let dataDir;
+    let auth;
+
+    beforeEach(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-manager-'));
+        auth = new AuthManager({ dataDir, sessionTimeout: 60 * 1000 });
+        await auth.initialize();
+    });
+
+    afterEach(() => {
+        auth.shutdown();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const mockResponse = () => {
+        const res = {};
+        res.status = jest.fn(() => res);
+        res.json = jest.fn(() => res);
+        return res;
+    };
+
+    describe('First-run setup', () => {
+        test('should require setup until an admin exists', async () => {
+            expect(auth.needsSetup()).toBe(true);
+
+            const admin = await auth.setupAdmin({ username: 'admin', password: 'correct horse' });
+
+            expect(admin).toMatchObject({ username: 'admin', role: 'admin' });
+            expect(auth.needsSetup()).toBe(false);
+        });
+
+        test('should refuse a second setup', async () => {
+            await auth.setupAdmin({ username: 'admin', password: 'correct horse' });
+
+            await expect(auth.setupAdmin({ username: 'mallory', password: 'password123' }))
+                .rejects.toMatchObject({ code: 'SETUP_COMPLETE' });
+        });
+
+        test('should store only a password hash, in an owner-only file', async () => {
+            await auth.setupAdmin({ username: 'admin', password: 'correct horse' });
+
+            const file = path.join(dataDir, 'users.json');
+            const content = fs.readFileSync(file, 'utf-8');
+            expect(content).not.toContain('correct horse');
+            expect(JSON.parse(content).users[0].passwordHash).toMatch(/^scrypt\$/);
+            expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+        });
+
+        test('should reload accounts after a restart', async () => {
+            await auth.setupAdmin({ username: 'admin', password: 'correct horse' });
+
+            const restarted = new AuthManager({ dataDir });
+            await restarted.initialize();
+
+            expect(restarted.needsSetup()).toBe(false);
+            expect(await restarted.login('admin', 'correct horse')).not.toBeNull();
+            restarted.shutdown();
+        });
+    });
+
+    describe('Accounts', () => {
+        beforeEach(async () => {
+            await auth.setupAdmin({ username: 'admin', password: 'correct horse' });
+        });
+
+        test('should validate new accounts', async () => {
+            await expect(auth.createUser({ username: 'x', password: 'short', role: 'root' }))
+                .rejects.toThrow(/Invalid user: username.*password.*role/);
+            await expect(auth.createUser({ username: 'ADMIN', password: 'password123' }))
+                .rejects.toThrow('already exists');
+        });
+
+        test('should keep at least one admin', async () => {
+            await expect(auth.updateUser('admin', { role: 'viewer' })).rejects.toThrow('at least one admin');
+            await expect(auth.removeUser('admin')).rejects.toThrow('at least one admin');
+
+            await auth.createUser({ username: 'second', password: 'password123', role: 'admin' });
+            expect(await auth.removeUser('admin')).toBe(true);
+        });
+
+        test('should return null or false for unknown accounts', async () => {
+            expect(await auth.updateUser('nobody', { role: 'viewer' })).toBeNull();
+            expect(await auth.removeUser('nobody')).toBe(false);
+        });
+    });
+
+    describe('Sessions', () => {
+        beforeEach(async () => {
+            await auth.setupAdmin({ username: 'admin', password: 'correct horse' });
+            await auth.createUser({ username: 'olivia', password: 'operator-pass', role: 'operator' });
+        });
+
+        test('should open a session on valid credentials', async () => {
+            const session = await auth.login('olivia', 'operator-pass', '10.0.0.2');
+
+            expect(session.user).toEqual(expect.objectContaining({ username: 'olivia', role: 'operator' }));
+            expect(auth.getSession(session.token)).toEqual({ username: 'olivia', role: 'operator' });
+        });
+
+        test('should reject wrong passwords and unknown users', async () => {
+            expect(await auth.login('olivia', 'wrong-pass')).toBeNull();
+            expect(await auth.login('nobody', 'operator-pass')).toBeNull();
+        });
+
+        test('should expire idle sessions', async () => {
+            const now = Date.now();
+            const { token } = await auth.login('olivia', 'operator-pass', '10.0.0.2', now);
+
+            expect(auth.getSession(token, { now: now + 30 * 1000 })).not.toBeNull();
+            // Touched at +30s, so still valid at +80s but not at +100s
+            expect(auth.getSession(token, { now: now + 80 * 1000, touch: false })).not.toBeNull();
+            expect(auth.getSession(token, { now: now + 100 * 1000 })).toBeNull();
+        });
+
+        test('should end sessions on logout, password change and removal', async () => {
+            const first = await auth.login('olivia', 'operator-pass');
+            const second = await auth.login('olivia', 'operator-pass');
+
+            auth.logout(first.token);
+            expect(auth.getSession(first.token)).toBeNull();
+
+            const third = await auth.login('olivia', 'operator-pass');
+            expect(await auth.changePassword('olivia', 'operator-pass', 'new-operator-pass', third.token)).toBe(true);
+            expect(auth.getSession(second.token)).toBeNull();
+            expect(auth.getSession(third.token)).not.toBeNull();
+
+            await auth.removeUser('olivia');
+            expect(auth.getSession(third.token)).toBeNull();
+        });
+
+        test('should apply role changes to open sessions', async () => {
+            const { token } = await auth.login('olivia', 'operator-pass');
+            await auth.updateUser('olivia', { role: 'viewer' });
+
+            expect(auth.getSession(token).role).toBe('viewer');
+        });
+
+        test('should read the session from the cookie header', async () => {
+            const { token } = await auth.login('olivia', 'operator-pass');
+            const req = { headers: { cookie: `theme=dark; ${auth.COOKIE_NAME}=${token}` } };
+
+            expect(auth.authenticateRequest(req)).toMatchObject({ username: 'olivia' });
+            expect(auth.authenticateRequest({ headers: {} })).toBeNull();
+        });
+    });
+
+    describe('Login throttling', () => {
+        beforeEach(async () => {
+            await auth.setupAdmin({ username: 'admin', password: 'correct horse' });
+        });
+
+        test('should lock an account after repeated failures', async () => {
+            const now = Date.now();
+            for (let i = 0; i < auth.THROTTLE.maxPerUser; i++) {
+                await auth.login('admin', 'wrong-pass', '10.0.0.9', now);
+            }
+
+            await expect(auth.login('admin', 'correct horse', '10.0.0.9', now + 1000))
+                .rejects.toMatchObject({ code: 'LOGIN_THROTTLED', retryAfter: expect.any(Number) });
+
+            // Lockout ends after lockoutMs
+            const session = await auth.login('admin', 'correct horse', '10.0.0.9', now + auth.THROTTLE.lockoutMs + 1000);
+            expect(session).not.toBeNull();
+        });
+
+        test('should lock an address spraying many usernames', async () => {
+            const now = Date.now();
+            for (let i = 0; i < auth.THROTTLE.maxPerIp; i++) {
+                await auth.login(`user${i}`, 'guess', '10.0.0.66', now);
+            }
+
+            await expect(auth.login('admin', 'correct horse', '10.0.0.66', now))
+                .rejects.toMatchObject({ code: 'LOGIN_THROTTLED' });
+            expect(await auth.login('admin', 'correct horse', '10.0.0.7', now)).not.toBeNull();
+        });
+    });
+
+    describe('Middleware', () => {
+        let tokens;
+
+        beforeEach(async () => {
+            await auth.setupAdmin({ username: 'admin', password: 'correct horse' });
+            await auth.createUser({ username: 'victor', password: 'viewer-pass', role: 'viewer' });
+            await auth.createUser({ username: 'olivia', password: 'operator-pass', role: 'operator' });
+            tokens = {
+                viewer: (await auth.login('victor', 'viewer-pass')).token,
+                operator: (await auth.login('olivia', 'operator-pass')).token,
+                admin: (await auth.login('admin', 'correct horse')).token
+            };
+        });
+
+        const request = (method, reqPath, token) => ({
+            method,
+            path: reqPath,
+            headers: token ? { cookie: `${auth.COOKIE_NAME}=${token}` } : {}
+        });
+
+        const run = (middleware, req) => {
+            const res = mockResponse();
+            const next = jest.fn();
+            middleware(req, res, next);
+            return { res, next };
+        };
+
+        test('should reject requests without a session', () => {
+            const { res, next } = run(auth.authenticate(), request('GET', '/status'));
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(401);
+        });
+
+        test('should let public paths through', () => {
+            const { next } = run(auth.authenticate({ publicPaths: ['/auth/login'] }), request('POST', '/auth/login'));
+            expect(next).toHaveBeenCalled();
+        });
+
+        test('should allow viewers to read but not to change state', () => {
+            const middleware = auth.authenticate();
+
+            expect(run(middleware, request('GET', '/status', tokens.viewer)).next).toHaveBeenCalled();
+
+            const { res, next } = run(middleware, request('POST', '/services/kaspa-node/stop', tokens.viewer));
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+
+            expect(run(middleware, request('POST', '/services/kaspa-node/stop', tokens.operator)).next).toHaveBeenCalled();
+        });
+
+        test('should let any signed-in user reach session paths', () => {
+            const middleware = auth.authenticate({ sessionPaths: ['/auth/logout'] });
+            expect(run(middleware, request('POST', '/auth/logout', tokens.viewer)).next).toHaveBeenCalled();
+        });
+
+        test('should require admin for admin routes', () => {
+            const requireAdmin = auth.requireRole('admin');
+
+            const operatorReq = request('POST', '/config', tokens.operator);
+            operatorReq.user = auth.authenticateRequest(operatorReq);
+            expect(run(requireAdmin, operatorReq).res.status).toHaveBeenCalledWith(403);
+
+            const adminReq = request('POST', '/config', tokens.admin);
+            adminReq.user = auth.authenticateRequest(adminReq);
+            expect(run(requireAdmin, adminReq).next).toHaveBeenCalled();
+        });
+    });
+
+    describe('API tokens', () => {
+        let tokenStore;
+        let tokenAuth;
+
+        const tokenScope = AuthManager.getApiTokenScope;
+
+        beforeEach(() => {
+            tokenStore = new ApiTokenStore(path.join(dataDir, 'api-tokens.json'), { touchInterval: 0 });
+            tokenAuth = new AuthManager({ dataDir, tokenStore });
+        });
+
+        const call = async (method, reqPath, token) => {
+            const req = { method, path: reqPath, ip: '10.0.0.5', headers: { authorization: `Bearer ${token}` } };
+            const res = mockResponse();
+            const next = jest.fn();
+            await tokenAuth.authenticate({ tokenScope })(req, res, next);
+            return { req, res, next };
+        };
+
+        test('should allow routes covered by the token scopes', async () => {
+            const { token } = await tokenStore.create({ name: 'ci', scopes: ['services:control'] });
+
+            const { req, next } = await call('POST', '/services/kaspa-node/restart', token);
+
+            expect(next).toHaveBeenCalled();
+            expect(req.user).toMatchObject({ username: 'token:ci', scopes: ['services:control'] });
+            expect((await tokenStore.list())[0].lastUsedFrom).toBe('10.0.0.5');
+        });
+
+        test('should refuse routes outside the token scopes', async () => {
+            const { token } = await tokenStore.create({ name: 'status', scopes: ['status:read'] });
+
+            const restart = await call('POST', '/services/kaspa-node/restart', token);
+            expect(restart.res.status).toHaveBeenCalledWith(403);
+
+            const users = await call('GET', '/auth/users', token);
+            expect(users.res.status).toHaveBeenCalledWith(403);
+
+            expect((await call('GET', '/status', token)).next).toHaveBeenCalled();
+        });
+
+        test('should reject revoked tokens', async () => {
+            const { token, record } = await tokenStore.create({ name: 'old', scopes: ['status:read'] });
+            await tokenStore.revoke(record.id);
+
+            const { res, next } = await call('GET', '/status', token);
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(401);
+        });
+
+        test('should match routes whatever the case of the path', async () => {
+            const { token } = await tokenStore.create({ name: 'status', scopes: ['status:read'] });
+
+            expect((await call('GET', '/Auth/users', token)).res.status).toHaveBeenCalledWith(403);
+            expect((await call('GET', '/STATUS', token)).next).toHaveBeenCalled();
+        });
+
+        test('should only pass per-route role checks the matched scope grants', async () => {
+            const { token: control } = await tokenStore.create({ name: 'ci', scopes: ['services:control'] });
+            const { req: restart } = await call('POST', '/services/kaspa-node/restart', control);
+
+            const operatorNext = jest.fn();
+            tokenAuth.requireRole('operator')(restart, mockResponse(), operatorNext);
+            expect(operatorNext).toHaveBeenCalled();
+
+            const res = mockResponse();
+            const adminNext = jest.fn();
+            tokenAuth.requireRole('admin')(restart, res, adminNext);
+            expect(adminNext).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+
+        test('should keep node snapshot downloads from status tokens', async () => {
+            const { token: status } = await tokenStore.create({ name: 'status', scopes: ['status:read'] });
+            const download = '/kaspa/node/snapshots/snapshot_1760781600000_abc123def/download';
+
+            expect((await call('GET', download, status)).res.status).toHaveBeenCalledWith(403);
+            expect((await call('GET', '/kaspa/node/snapshots', status)).next).toHaveBeenCalled();
+
+            const { token: backups } = await tokenStore.create({ name: 'backups', scopes: ['backups:manage'] });
+            expect((await call('GET', download, backups)).next).toHaveBeenCalled();
+        });
+
+        test('should keep admin-only reads from status tokens', async () => {
+            const { token: status } = await tokenStore.create({ name: 'status', scopes: ['status:read', 'services:control'] });
+            expect((await call('GET', '/backups/destinations/nas/remote', status)).res.status).toHaveBeenCalledWith(403);
+
+            // A status read does not carry the other scopes' role onto admin routes
+            const { req: list } = await call('GET', '/backups', status);
+            const res = mockResponse();
+            tokenAuth.requireRole('admin')(list, res, jest.fn());
+            expect(res.status).toHaveBeenCalledWith(403);
+
+            const { token: backups } = await tokenStore.create({ name: 'backups', scopes: ['backups:manage'] });
+            const { req: remote, next } = await call('GET', '/backups/destinations/nas/remote', backups);
+            expect(next).toHaveBeenCalled();
+            const adminNext = jest.fn();
+            tokenAuth.requireRole('admin')(remote, mockResponse(), adminNext);
+            expect(adminNext).toHaveBeenCalled();
+        });
+    });
+});
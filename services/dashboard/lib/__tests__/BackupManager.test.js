@@ -0,0 +1,340 @@
+const BackupManager = require('../BackupManager');
+const ServiceMonitor = require('../ServiceMonitor');
+const { encryptFile, decryptFile, readEncryptionHeader } = require('../../../shared/lib/backup-encryption');
+const { uploadVerified, downloadVerified } = require('../../../shared/lib/backup-destinations');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+// Encryption and transfers stream real files; they have their own tests in shared
+jest.mock('../../../shared/lib/backup-encryption');
+jest.mock('../../../shared/lib/backup-destinations');
+
+const ROOT = '/srv/kaspa-aio';
+const BACKUPS = '/tmp/backup-test/backups';
+
+const COMPOSE = `services:
+  timescaledb-explorer:
+    image: timescale/timescaledb:latest-pg16
+    environment:
+      POSTGRES_PASSWORD: \${POSTGRES_PASSWORD_EXPLORER}
+  kaspa-node:
+    image: kaspanet/rusty-kaspad
+    command: --rpclisten=0.0.0.0:\${KASPA_RPC_PORT:-16110}
+`;
+
+// A project tree plus one backup archive whose files tar "extracts" into the
+// scratch directory; everything lives in the mocked fs
+function fakeInstallation({ backupFiles, currentFiles, absentFiles = [], failedFiles = [], corrupt = false, archive = 'backup_1.tar.gz' }) {
+  const files = new Map(Object.entries(currentFiles).map(([name, content]) => [`${ROOT}/${name}`, content]));
+  const manifest = {
+    id: 'backup_1',
+    timestamp: '2026-10-01T00:00:00.000Z',
+    description: 'Before upgrade',
+    files: Object.keys(backupFiles).map(dest => ({ type: dest.split('/')[0], dest, size: backupFiles[dest].length })),
+    absentFiles,
+    failedFiles,
+    checksums: Object.fromEntries(Object.entries(backupFiles).map(([dest, content]) => [dest, crypto.createHash('sha256').update(content).digest('hex')]))
+  };
+  const commands = [];
+
+  fs.access.mockImplementation(async (file) => {
+    if (!files.has(file) && file !== `${BACKUPS}/${archive}`) throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+  });
+  fs.readFile.mockImplementation(async (file) => {
+    if (!files.has(file)) throw Object.assign(new Error(`ENOENT: ${file}`), { code: 'ENOENT' });
+    return files.get(file);
+  });
+  fs.mkdir.mockResolvedValue();
+  fs.writeFile.mockImplementation(async (file, content) => files.set(file, content));
+  fs.copyFile.mockImplementation(async (from, to) => files.set(to, files.get(from)));
+  fs.unlink.mockImplementation(async (file) => files.delete(file));
+
+  global.mockExecAsync((command) => {
+    commands.push(command);
+    const extract = command.match(/^tar -xzf ".*" -C "(.*)"$/);
+    if (extract) {
+      const dir = `${extract[1]}/backup_1`;
+      files.set(`${dir}/manifest.json`, JSON.stringify(manifest));
+      Object.entries(backupFiles).forEach(([dest, content]) => files.set(`${dir}/${dest}`, corrupt ? `${content}#` : content));
+      return { stdout: '', stderr: '' };
+    }
+    if (command.startsWith('docker ps -a')) {
+      return { stdout: ['timescaledb-explorer', 'simply-kaspa-indexer', 'kaspa-explorer', 'kaspa-node']
+        .map(name => `${name}\tUp 2 hours\trunning\timage\t`).join('\n'), stderr: '' };
+    }
+    return { stdout: '', stderr: '' };
+  });
+
+  return { files, commands };
+}
+
+describe('BackupManager restore', () => {
+  let controller;
+  let manager;
+
+  const backupFiles = {
+    'config/.env': 'POSTGRES_PASSWORD_EXPLORER=old-secret\nKASPA_RPC_PORT=16110\n',
+    'config/docker-compose.yml': COMPOSE,
+    'state/.kaspa-aio/installation-state.json': '{"profiles":["kaspa-node"]}',
+    'data/kaspa-data.tar.gz': 'volume'
+  };
+  const currentFiles = {
+    '.env': 'POSTGRES_PASSWORD_EXPLORER=new-secret\nKASPA_RPC_PORT=16110\nKASPA_NETWORK=testnet-10\n',
+    'docker-compose.yml': COMPOSE,
+    'docker-compose.override.yml': 'services:\n  kaspa-node:\n    ports:\n      - "16111:16111"\n',
+    '.kaspa-aio/installation-state.json': '{"profiles":["kaspa-node"]}'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    controller = {
+      serviceMonitor: new ServiceMonitor(),
+      operationTimeout: 60000,
+      gracefulStop: jest.fn(async () => ({ stdout: '' })),
+      executeDockerCommand: jest.fn(async () => ({ stdout: '' })),
+      waitForServiceHealthy: jest.fn(async () => true)
+    };
+    manager = new BackupManager({ dataDir: '/tmp/backup-test', projectRoot: ROOT, serviceController: controller });
+    manager.composeCommand = 'docker compose';
+    jest.spyOn(manager, 'createBackup').mockResolvedValue({ success: true, backupId: 'backup_pre' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  const absentFiles = ['config/docker-compose.override.yml'];
+
+  it('should preview file changes, redacted variables and the services to restart in dependency order', async () => {
+    const { commands } = fakeInstallation({ backupFiles, currentFiles, absentFiles });
+
+    const preview = await manager.previewRestore('backup_1');
+
+    expect(preview.files.map(file => [file.path, file.status])).toEqual([
+      ['.env', 'changed'],
+      ['docker-compose.yml', 'unchanged'],
+      ['docker-compose.override.yml', 'removed'],
+      ['.kaspa-aio/installation-state.json', 'unchanged']
+    ]);
+    expect(preview.files[0].diff.variables).toEqual([
+      { key: 'POSTGRES_PASSWORD_EXPLORER', from: '***REDACTED***', to: '***REDACTED***' },
+      { key: 'KASPA_NETWORK', from: 'testnet-10', to: null }
+    ]);
+    expect(preview.services).toEqual([
+      { name: 'kaspa-node', composeService: 'kaspa-node', reasons: ['docker-compose.override.yml changes'], running: true, action: 'restart' },
+      { name: 'timescaledb-explorer', composeService: 'timescaledb-explorer', reasons: ['.env: POSTGRES_PASSWORD_EXPLORER'], running: true, action: 'restart' },
+      { name: 'simply-kaspa-indexer', composeService: null, reasons: ['depends on timescaledb-explorer'], running: true, action: 'restart' },
+      { name: 'kaspa-explorer', composeService: null, reasons: ['depends on simply-kaspa-indexer'], running: true, action: 'restart' }
+    ]);
+    expect(preview.stopOrder).toEqual(['kaspa-explorer', 'simply-kaspa-indexer', 'timescaledb-explorer', 'kaspa-node']);
+    expect(preview.startOrder).toEqual(['kaspa-node', 'timescaledb-explorer', 'simply-kaspa-indexer', 'kaspa-explorer']);
+    expect(preview.skipped).toEqual([{ dest: 'data/kaspa-data.tar.gz', reason: 'Data volume archives are not restored' }]);
+    expect(commands[commands.length - 1]).toMatch(/^rm -rf ".*\.restore_backup_1_\d+"$/);
+    expect(controller.gracefulStop).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown, malformed and corrupted backups', async () => {
+    fakeInstallation({ backupFiles, currentFiles, corrupt: true });
+
+    await expect(manager.previewRestore('../etc')).rejects.toThrow(/^Invalid backup id/);
+    await expect(manager.previewRestore('backup_2')).rejects.toThrow('Not found: backup backup_2');
+    await expect(manager.previewRestore('backup_1')).rejects.toThrow(/^Invalid backup backup_1: Checksum mismatch for config\/\.env/);
+  });
+
+  it('should take a pre-restore backup, stop, restore, restart and health check', async () => {
+    const { files, commands } = fakeInstallation({ backupFiles, currentFiles, absentFiles });
+
+    const run = await manager.restoreBackup('backup_1', { actor: 'admin' });
+    await expect(manager.restoreBackup('backup_1')).rejects.toThrow('Restore in progress: backup_1');
+    await run.promise;
+
+    expect(manager.createBackup).toHaveBeenCalledWith({ description: 'Pre-restore backup before restoring backup_1', restoringFrom: 'backup_1' });
+    expect(controller.gracefulStop.mock.calls.map(([name]) => name)).toEqual(['kaspa-explorer', 'simply-kaspa-indexer', 'timescaledb-explorer', 'kaspa-node']);
+    expect(files.get(`${ROOT}/.env`)).toBe(backupFiles['config/.env']);
+    expect(files.has(`${ROOT}/docker-compose.override.yml`)).toBe(false);
+    // Changed compose services are recreated, their dependents just started
+    expect(commands.filter(command => command.includes(' up -d '))).toEqual([
+      'docker compose up -d --no-deps kaspa-node',
+      'docker compose up -d --no-deps timescaledb-explorer'
+    ]);
+    expect(controller.executeDockerCommand.mock.calls).toEqual([['start', 'simply-kaspa-indexer'], ['start', 'kaspa-explorer']]);
+    expect(manager.getRestore(run.id)).toMatchObject({
+      status: 'completed',
+      actor: 'admin',
+      preRestoreBackupId: 'backup_pre',
+      health: [
+        { service: 'kaspa-node', healthy: true },
+        { service: 'timescaledb-explorer', healthy: true },
+        { service: 'simply-kaspa-indexer', healthy: true },
+        { service: 'kaspa-explorer', healthy: true }
+      ]
+    });
+    expect(manager.activeRestore).toBeNull();
+  });
+
+  it('should record config files that were absent or could not be copied', async () => {
+    fakeInstallation({ backupFiles: {}, currentFiles: { '.env': 'KASPA_NETWORK=mainnet\n', 'docker-compose.yml': COMPOSE } });
+    fs.copyFile.mockImplementationOnce(async () => {
+      throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+    });
+    fs.stat.mockResolvedValue({ size: COMPOSE.length });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const manifest = { files: [], absentFiles: [], failedFiles: [] };
+
+    await manager.backupConfigurationFiles('/tmp/backup-test/backups/backup_2', manifest);
+
+    expect(manifest.files.map(file => file.dest)).toEqual(['config/docker-compose.yml']);
+    expect(manifest.absentFiles).toEqual(['config/docker-compose.override.yml']);
+    expect(manifest.failedFiles).toEqual([{ dest: 'config/.env', error: 'EACCES: permission denied' }]);
+    console.warn.mockRestore();
+  });
+
+  it('should keep config files the backup could not copy or did not record as absent', async () => {
+    fakeInstallation({
+      backupFiles: { 'config/docker-compose.yml': COMPOSE },
+      currentFiles,
+      failedFiles: [{ dest: 'config/.env', error: 'EACCES: permission denied' }]
+    });
+
+    const preview = await manager.previewRestore('backup_1');
+    expect(preview.files.map(file => [file.path, file.status])).toEqual([['docker-compose.yml', 'unchanged']]);
+    expect(preview.skipped).toEqual([
+      { dest: 'config/.env', reason: 'Could not be backed up (EACCES: permission denied), the current file is kept' }
+    ]);
+
+    // Even recorded as absent, .env stays
+    const { files } = fakeInstallation({ backupFiles: { 'config/docker-compose.yml': COMPOSE }, currentFiles, absentFiles: ['config/.env', ...absentFiles] });
+    const run = await manager.restoreBackup('backup_1');
+    await run.promise;
+
+    expect(manager.getRestore(run.id).status).toBe('completed');
+    expect(fs.unlink.mock.calls.map(([file]) => file)).toEqual([`${ROOT}/docker-compose.override.yml`]);
+    expect(files.get(`${ROOT}/.env`)).toBe(currentFiles['.env']);
+  });
+
+  it('should bring stopped services back when restoring files fails', async () => {
+    fakeInstallation({ backupFiles, currentFiles, absentFiles });
+    fs.copyFile.mockRejectedValueOnce(new Error('EACCES: permission denied'));
+    controller.waitForServiceHealthy.mockResolvedValueOnce(false);
+
+    const run = await manager.restoreBackup('backup_1');
+    await run.promise;
+
+    const status = manager.getRestore(run.id);
+    expect(status).toMatchObject({ status: 'failed', error: 'EACCES: permission denied', preRestoreBackupId: 'backup_pre' });
+    expect(status.steps.find(step => step.status === 'failed')).toMatchObject({ step: 'files' });
+    // Containers are started as they were, not recreated from a half-restored config
+    expect(controller.executeDockerCommand.mock.calls.map(([, name]) => name)).toEqual(['kaspa-node', 'timescaledb-explorer', 'simply-kaspa-indexer', 'kaspa-explorer']);
+    expect(() => manager.getRestore('restore_nope')).toThrow('Not found: restore restore_nope');
+  });
+});
+
+describe('BackupManager off-site copies', () => {
+  let store;
+  let manager;
+  const destination = { id: 'nas' };
+  const backupFiles = { 'config/.env': 'POSTGRES_PASSWORD_EXPLORER=old-secret\n' };
+  const currentFiles = { '.env': 'POSTGRES_PASSWORD_EXPLORER=new-secret\n' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = {
+      getEncryption: jest.fn(async () => ({ mode: 'passphrase', passphrase: 'correct horse battery' })),
+      get: jest.fn(async (id) => ({ id, name: 'NAS' })),
+      open: jest.fn(async () => destination),
+      list: jest.fn(async () => [])
+    };
+    manager = new BackupManager({ dataDir: '/tmp/backup-test', projectRoot: ROOT, serviceController: { serviceMonitor: new ServiceMonitor() }, destinationStore: store });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('should only upload encrypted copies and record the verified checksum', async () => {
+    const { files } = fakeInstallation({ backupFiles, currentFiles });
+    encryptFile.mockResolvedValue({ mode: 'passphrase', fingerprint: null });
+    uploadVerified.mockResolvedValue({ destination: 'nas', name: 'backup_1.tar.gz.enc', sha256: 'ab12', size: 10, verifiedAt: '2026-10-18T10:00:00.000Z' });
+
+    const upload = await manager.uploadBackup('backup_1', 'nas');
+
+    const [[plain, encrypted, settings]] = encryptFile.mock.calls;
+    expect(plain).toBe(`${BACKUPS}/backup_1.tar.gz`);
+    expect(encrypted).toMatch(/\/\.upload_backup_1_\d+\.tar\.gz\.enc$/);
+    expect(settings.mode).toBe('passphrase');
+    expect(uploadVerified).toHaveBeenCalledWith(destination, encrypted, 'backup_1.tar.gz.enc');
+    expect(fs.unlink).toHaveBeenCalledWith(encrypted);
+    expect(JSON.parse(files.get(`${BACKUPS}/backup_1.json`)).uploads).toEqual([upload]);
+
+    store.getEncryption.mockResolvedValue(null);
+    await expect(manager.uploadBackup('backup_1', 'nas')).rejects.toThrow('Invalid request: set up backup encryption before uploading backups');
+    uploadVerified.mockRejectedValueOnce(new Error('Upload verification failed for backup_1.tar.gz.enc'));
+    store.getEncryption.mockResolvedValue({ mode: 'passphrase', passphrase: 'correct horse battery' });
+    await expect(manager.uploadBackup('backup_1', 'nas')).rejects.toThrow('Destination NAS failed: Upload verification failed');
+  });
+
+  it('should decrypt encrypted archives with the stored passphrase or the given key', async () => {
+    const { commands } = fakeInstallation({ backupFiles, currentFiles, archive: 'backup_1.tar.gz.enc' });
+    decryptFile.mockResolvedValue();
+
+    const preview = await manager.previewRestore('backup_1');
+    expect(preview.files.map(file => [file.path, file.status])).toEqual([['.env', 'changed']]);
+    const [[archive, tarball, credentials]] = decryptFile.mock.calls;
+    expect(archive).toBe(`${BACKUPS}/backup_1.tar.gz.enc`);
+    expect(credentials).toEqual({ passphrase: 'correct horse battery' });
+    expect(commands).toContain(`tar -xzf "${tarball}" -C "${tarball.replace(/\/backup_1\.tar\.gz$/, '')}"`);
+
+    await manager.previewRestore('backup_1', { privateKey: 'PEM' });
+    expect(decryptFile.mock.calls[1][2]).toEqual({ privateKey: 'PEM' });
+  });
+
+  it('should fetch remote dashboard backups after verifying them', async () => {
+    const { files } = fakeInstallation({ backupFiles, currentFiles });
+    downloadVerified.mockResolvedValue({ destination: 'nas', name: 'backup_9.tar.gz.enc', sha256: 'cd34' });
+    readEncryptionHeader.mockResolvedValue({ mode: 'public-key', fingerprint: 'SHA256:abc' });
+
+    expect(await manager.fetchRemoteBackup('nas', 'backup_9.tar.gz.enc')).toMatchObject({ backupId: 'backup_9', sha256: 'cd34' });
+    expect(downloadVerified).toHaveBeenCalledWith(destination, 'backup_9.tar.gz.enc', `${BACKUPS}/backup_9.tar.gz.enc`);
+    expect(JSON.parse(files.get(`${BACKUPS}/backup_9.json`))).toMatchObject({
+      description: 'Fetched from NAS',
+      encryption: { mode: 'public-key', fingerprint: 'SHA256:abc' },
+      uploads: [{ destination: 'nas', sha256: 'cd34' }]
+    });
+
+    await expect(manager.fetchRemoteBackup('nas', 'backup_1.tar.gz.enc')).rejects.toThrow('Invalid request: backup backup_1 is already on this machine');
+    await expect(manager.fetchRemoteBackup('nas', 'wizard-1700000000000.tar.gz.enc')).rejects.toThrow(/^Invalid request: wizard backups/);
+    await expect(manager.fetchRemoteBackup('nas', '../x.tar.gz.enc')).rejects.toThrow('Invalid backup name: ../x.tar.gz.enc');
+  });
+});
+
+describe('BackupManager retention', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    manager = new BackupManager({ dataDir: '/tmp/backup-test', projectRoot: ROOT, serviceController: { serviceMonitor: new ServiceMonitor() }, destinationStore: {} });
+    fs.unlink.mockResolvedValue();
+  });
+
+  it('should keep the newest manual backups and leave scheduled ones to their schedule', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const backups = Array.from({ length: 14 }, (_, i) => ({
+      id: `backup_${i}`,
+      filename: `backup_${i}.tar.gz.enc`,
+      created: new Date(Date.now() - i * day).toISOString(),
+      scheduleId: i % 2 === 0 ? null : 'sched_1'
+    }));
+    backups.push({ id: 'backup_old', filename: 'backup_old.tar.gz', created: new Date(Date.now() - 40 * day).toISOString(), scheduleId: null });
+    jest.spyOn(manager, 'getBackupHistory').mockResolvedValue(backups);
+    manager.maxBackupCount = 5;
+
+    expect(await manager.cleanupOldBackups()).toEqual({ deletedCount: 3 });
+    expect(fs.unlink.mock.calls.map(([file]) => file)).toEqual([
+      `${BACKUPS}/backup_10.tar.gz.enc`, `${BACKUPS}/backup_10.json`,
+      `${BACKUPS}/backup_12.tar.gz.enc`, `${BACKUPS}/backup_12.json`,
+      `${BACKUPS}/backup_old.tar.gz`, `${BACKUPS}/backup_old.json`
+    ]);
+  });
+});
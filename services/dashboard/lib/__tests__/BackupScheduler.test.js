@@ -0,0 +1,221 @@
+const BackupScheduler = require('../BackupScheduler');
+const fs = require('fs').promises;
+
+const { parseCron, nextCronTime } = BackupScheduler;
+
+// Local-time date, as cron and the retention buckets use local time
+const local = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+// Runner that records backups in memory
+function fakeRunner() {
+  const backups = [];
+  const runner = {
+    backups,
+    run: jest.fn(async (schedule) => {
+      const backup = { id: `backup_${backups.length + 1}`, created: new Date().toISOString(), scheduleId: schedule.id };
+      backups.push(backup);
+      return { backupId: backup.id, size: 1024 };
+    }),
+    list: jest.fn(async (scheduleId) => backups.filter(backup => backup.scheduleId === scheduleId)),
+    remove: jest.fn(async (backupId) => {
+      backups.splice(backups.findIndex(backup => backup.id === backupId), 1);
+    })
+  };
+  return runner;
+}
+
+const waitForIdle = async (scheduler) => {
+  while (scheduler.activeRun || scheduler.queue.length > 0) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+describe('BackupScheduler', () => {
+  let scheduler;
+  let runner;
+  let alertManager;
+
+  beforeEach(() => {
+    fs.writeFile.mockResolvedValue();
+    fs.mkdir.mockResolvedValue();
+    fs.readFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+    alertManager = { processBackupRun: jest.fn() };
+    runner = fakeRunner();
+    scheduler = new BackupScheduler({ dataDir: '/tmp/schedule-test', alertManager });
+    scheduler.registerRunner('config', runner);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    scheduler.shutdown();
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  describe('cron expressions', () => {
+    test('should find the next matching minute', () => {
+      expect(nextCronTime(parseCron('30 3 * * *'), local(2026, 10, 18, 3, 30))).toEqual(local(2026, 10, 19, 3, 30));
+      expect(nextCronTime(parseCron('*/15 * * * *'), local(2026, 10, 18, 3, 31))).toEqual(local(2026, 10, 18, 3, 45));
+      expect(nextCronTime(parseCron('0 2 * * mon-fri'), local(2026, 10, 16, 12))).toEqual(local(2026, 10, 19, 2));
+      expect(nextCronTime(parseCron('@monthly'), local(2026, 12, 15))).toEqual(local(2027, 1, 1));
+      expect(nextCronTime(parseCron('0 0 29 2 *'), local(2026, 3, 1))).toEqual(local(2028, 2, 29));
+    });
+
+    test('should match either day of month or day of week when both are set', () => {
+      // 1st of the month or any Sunday
+      const cron = parseCron('0 4 1 * 0');
+      expect(nextCronTime(cron, local(2026, 10, 19))).toEqual(local(2026, 10, 25, 4));
+      expect(nextCronTime(cron, local(2026, 10, 26))).toEqual(local(2026, 11, 1, 4));
+    });
+
+    test('should reject malformed expressions', () => {
+      expect(() => parseCron('0 3 * *')).toThrow('Invalid schedule: cron expression needs 5 fields');
+      expect(() => parseCron('61 3 * * *')).toThrow('Invalid schedule: minute "61" is outside 0-59');
+      expect(() => parseCron('0 3 * * 5-1')).toThrow('Invalid schedule: bad day of week range "5-1"');
+      expect(nextCronTime(parseCron('0 0 31 2 *'), local(2026, 1, 1))).toBeNull();
+    });
+  });
+
+  describe('GFS retention', () => {
+    test('should keep the newest backup of the last 7 days, 4 weeks and 12 months', () => {
+      // One backup a day at noon for 400 days up to Sunday 18 October 2026
+      const backups = Array.from({ length: 400 }, (_, i) => {
+        const created = local(2026, 10, 18 - i, 12);
+        return { id: `backup_${i}`, created: created.toISOString(), day: created.toDateString() };
+      });
+
+      const { keep, prune } = BackupScheduler.selectRetention(backups, { daily: 7, weekly: 4, monthly: 12 });
+      const keptDays = keep.map(entry => backups.find(backup => backup.id === entry.id).day);
+
+      expect(keep[0]).toMatchObject({ id: 'backup_0', reasons: ['daily', 'weekly', 'monthly'] });
+      expect(keptDays).toEqual([
+        ...[18, 17, 16, 15, 14, 13, 12].map(day => local(2026, 10, day).toDateString()),
+        // Newest of the three weeks before, then of the eleven months before
+        local(2026, 10, 11).toDateString(),
+        local(2026, 10, 4).toDateString(),
+        local(2026, 9, 30).toDateString(),
+        local(2026, 9, 27).toDateString(),
+        ...[8, 7, 6, 5, 4, 3, 2, 1].map(month => local(2026, month + 1, 0).toDateString()),
+        local(2025, 12, 31).toDateString(),
+        local(2025, 11, 30).toDateString()
+      ]);
+      expect(prune).toHaveLength(400 - 21);
+    });
+
+    test('should keep one backup per day however many ran that day', () => {
+      const backups = [9, 15, 21].map(hour => ({ id: `backup_${hour}`, created: local(2026, 10, 18, hour).toISOString() }));
+
+      expect(BackupScheduler.selectRetention(backups, { daily: 7, weekly: 0, monthly: 0 }))
+        .toEqual({ keep: [{ id: 'backup_21', created: backups[2].created, reasons: ['daily'] }], prune: ['backup_15', 'backup_9'] });
+    });
+
+    test('should count grouped backups per group', () => {
+      const backups = [17, 18].flatMap(day => ['indexer-db', 'k-social-db'].map(group => ({
+        id: `${group}_${day}`, created: local(2026, 10, day, 3).toISOString(), group
+      })));
+
+      const { keep, prune } = BackupScheduler.selectRetention(backups, { daily: 1, weekly: 0, monthly: 0 });
+      expect(keep.map(entry => entry.id).sort()).toEqual(['indexer-db_18', 'k-social-db_18']);
+      expect(prune.sort()).toEqual(['indexer-db_17', 'k-social-db_17']);
+    });
+  });
+
+  describe('schedules', () => {
+    test('should validate schedules and only offer types with a runner', async () => {
+      await expect(scheduler.addSchedule({ name: 'DB dumps', type: 'database', cron: '@daily' }))
+        .rejects.toThrow('Invalid schedule: Indexer databases backups are not available on this installation');
+      await expect(scheduler.addSchedule({ name: '', type: 'config', cron: '0 3 * * *', retention: { daily: 0, weekly: 0, monthly: 0 } }))
+        .rejects.toThrow('Invalid schedule: name is required (up to 100 characters), retention must keep at least one backup');
+      await expect(scheduler.addSchedule({ name: 'Never', type: 'config', cron: '0 0 30 2 *' }))
+        .rejects.toThrow('Invalid schedule: cron expression never matches a date');
+
+      const schedule = await scheduler.addSchedule({ name: 'Nightly', type: 'config', cron: '0 3 * * *' });
+      expect(schedule).toMatchObject({ enabled: true, catchUp: true, retention: { daily: 7, weekly: 4, monthly: 12 }, running: false, lastRun: null });
+      expect(new Date(schedule.nextRunAt).getHours()).toBe(3);
+      expect(scheduler.getTypes().find(type => type.type === 'database').available).toBe(false);
+
+      const paused = await scheduler.updateSchedule(schedule.id, { enabled: false });
+      expect(paused.nextRunAt).toBeNull();
+      await expect(scheduler.updateSchedule('sched_x', {})).rejects.toThrow('Not found: backup schedule sched_x');
+    });
+
+    test('should run due schedules and apply their retention', async () => {
+      const schedule = await scheduler.addSchedule({ name: 'Nightly', type: 'config', cron: '0 3 * * *', retention: { daily: 2, weekly: 0, monthly: 0 } });
+      // Two earlier backups of the schedule, from the days before
+      runner.backups.push(
+        { id: 'backup_old1', created: new Date(Date.now() - 3 * 86400000).toISOString(), scheduleId: schedule.id },
+        { id: 'backup_old2', created: new Date(Date.now() - 2 * 86400000).toISOString(), scheduleId: schedule.id }
+      );
+
+      const due = new Date(schedule.nextRunAt);
+      await scheduler.tick(new Date(due.getTime() + 30000));
+      await waitForIdle(scheduler);
+
+      const [run] = scheduler.getRuns();
+      expect(run).toMatchObject({ scheduleId: schedule.id, trigger: 'schedule', status: 'completed', backupId: 'backup_3', size: 1024, pruned: ['backup_old1'] });
+      expect(run.scheduledFor).toBe(due.toISOString());
+      expect(runner.backups.map(backup => backup.id)).toEqual(['backup_old2', 'backup_3']);
+      expect(new Date(scheduler.getSchedule(schedule.id).nextRunAt) > due).toBe(true);
+      expect(alertManager.processBackupRun).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'completed' }));
+    });
+
+    test('should record missed runs and catch up once', async () => {
+      const schedule = await scheduler.addSchedule({ name: 'Nightly', type: 'config', cron: '0 3 * * *' });
+      const due = new Date(schedule.nextRunAt);
+
+      // Dashboard down for three nights
+      await scheduler.tick(new Date(due.getTime() + 2 * 86400000 + 3600000));
+      await waitForIdle(scheduler);
+
+      const [catchUp, missed] = scheduler.getRuns();
+      expect(missed).toMatchObject({ status: 'missed', missedRuns: 3, reason: 'the dashboard was not running', scheduledFor: due.toISOString() });
+      expect(catchUp).toMatchObject({ status: 'completed', trigger: 'catch-up', catchUpFor: missed.id });
+      expect(runner.run).toHaveBeenCalledTimes(1);
+      expect(alertManager.processBackupRun.mock.calls.map(([run]) => run.status)).toEqual(['missed', 'completed']);
+    });
+
+    test('should alert on failures and mark runs interrupted by a restart', async () => {
+      const schedule = await scheduler.addSchedule({ name: 'Nightly', type: 'config', cron: '0 3 * * *' });
+      let fail;
+      runner.run.mockImplementationOnce(() => new Promise((resolve, reject) => { fail = reject; }));
+
+      await scheduler.runNow(schedule.id);
+      await expect(scheduler.runNow(schedule.id)).rejects.toThrow('Invalid request: Nightly is already running');
+      fail(new Error('Failed to create backup: No space left on device'));
+      await waitForIdle(scheduler);
+
+      expect(scheduler.getSchedule(schedule.id).lastRun).toMatchObject({ status: 'failed', trigger: 'manual', error: 'Failed to create backup: No space left on device' });
+      expect(alertManager.processBackupRun).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed' }));
+
+      // A run still going when the dashboard stopped
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        schedules: scheduler.schedules,
+        runs: [{ id: 'run_x', scheduleId: schedule.id, status: 'running', startedAt: new Date().toISOString() }]
+      }));
+      const restarted = new BackupScheduler({ dataDir: '/tmp/schedule-test', checkInterval: 3600000 });
+      await restarted.initialize();
+      expect(restarted.getRuns()[0]).toMatchObject({ status: 'failed', error: 'Interrupted by a dashboard restart' });
+      restarted.shutdown();
+    });
+  });
+
+  describe('calendar', () => {
+    test('should place past runs and upcoming runs on their days', async () => {
+      const schedule = await scheduler.addSchedule({ name: 'Hourly', type: 'config', cron: '0 * * * *' });
+      scheduler.runs = [
+        { id: 'run_2', scheduleId: schedule.id, scheduleName: 'Hourly', type: 'config', status: 'failed', scheduledFor: local(2026, 10, 17, 9).toISOString(), startedAt: local(2026, 10, 17, 9).toISOString(), error: 'disk full' },
+        { id: 'run_1', scheduleId: schedule.id, scheduleName: 'Hourly', type: 'config', status: 'missed', scheduledFor: local(2026, 9, 30, 23).toISOString(), startedAt: null, missedRuns: 2 }
+      ];
+
+      const calendar = scheduler.getCalendar('2026-10', local(2026, 10, 30, 21, 30));
+      expect(calendar.month).toBe('2026-10');
+      expect(calendar.days).toHaveLength(31);
+      expect(calendar.days[16].runs).toEqual([expect.objectContaining({ id: 'run_2', status: 'failed', error: 'disk full' })]);
+      expect(calendar.days[29].upcoming).toEqual([expect.objectContaining({ scheduleName: 'Hourly', count: 2, first: local(2026, 10, 30, 22).toISOString() })]);
+      expect(calendar.days[30].upcoming[0].count).toBe(24);
+      expect(scheduler.getCalendar('2026-09', local(2026, 10, 30)).days[29].runs[0]).toMatchObject({ id: 'run_1', missedRuns: 2 });
+      expect(() => scheduler.getCalendar('2026-13')).toThrow('Invalid month: 2026-13 (expected YYYY-MM)');
+    });
+  });
+});
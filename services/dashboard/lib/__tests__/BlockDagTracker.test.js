@@ -0,0 +1,101 @@
+const BlockDagTracker = require('../BlockDagTracker');
+
+const rpcBlock = (hash, parents, options = {}) => ({
+  header: {
+    parents: [{ parentHashes: parents }],
+    blueScore: String(options.blueScore || 0),
+    daaScore: String(options.blueScore || 0),
+    timestamp: '1760000000000'
+  },
+  verboseData: {
+    hash,
+    selectedParentHash: parents[0] || null,
+    mergeSetBluesHashes: options.blues || [],
+    mergeSetRedsHashes: options.reds || [],
+    isChainBlock: Boolean(options.chain),
+    transactionIds: ['t']
+  }
+});
+
+describe('BlockDagTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new BlockDagTracker({ maxBlocks: 4 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    tracker.shutdown();
+    console.log.mockRestore();
+  });
+
+  it('should color merged blocks, preferring the chain block\'s view', () => {
+    tracker.addBlock(rpcBlock('a', [], { blueScore: 1 }));
+    tracker.addBlock(rpcBlock('b', ['a'], { blueScore: 2 }));
+    tracker.addBlock(rpcBlock('c', ['a'], { blueScore: 2 }));
+    // Two blocks off the chain disagree about c; the latest view is shown
+    tracker.addBlock(rpcBlock('d', ['b', 'c'], { blueScore: 3, blues: ['b'], reds: ['c'] }));
+    tracker.addBlock(rpcBlock('e', ['b', 'c'], { blueScore: 3, blues: ['b', 'c'] }));
+    expect(tracker.blocks.get('c').color).toBe('blue');
+
+    // Once d is on the chain its view is final
+    tracker.applyChainChange({ addedChainBlockHashes: ['b', 'd'], removedChainBlockHashes: [] });
+
+    const view = Object.fromEntries(tracker.getSnapshot().blocks.map(block => [block.hash, block]));
+    expect(view.c).toMatchObject({ color: 'red', isChain: false });
+    expect(view.b).toMatchObject({ color: 'blue', isChain: true });
+    expect(view.d).toMatchObject({ isChain: true, parents: ['b', 'c'], selectedParent: 'b', transactionCount: 1 });
+    expect(tracker.getSnapshot().sinkHash).toBe('d');
+
+    tracker.addBlock(rpcBlock('f', ['e'], { blueScore: 4, blues: ['c'] }));
+    expect(tracker.blocks.get('c').color).toBe('red');
+  });
+
+  it('should batch changes into one update per flush and evict the oldest blocks', () => {
+    jest.useFakeTimers();
+    const listener = jest.fn();
+    tracker.on('update', listener);
+
+    tracker.addBlock(rpcBlock('a', [], { blueScore: 1 }));
+    tracker.addBlock(rpcBlock('b', ['a'], { blueScore: 2 }));
+    jest.advanceTimersByTime(1000);
+
+    ['c', 'd', 'e'].forEach((hash, index) => tracker.addBlock(rpcBlock(hash, ['b'], { blueScore: 3 + index, blues: ['b'] })));
+    expect(tracker.addBlock(rpcBlock('e', ['b']))).toBe(false);
+    tracker.applyChainChange({ addedChainBlockHashes: ['b'], removedChainBlockHashes: [] });
+    jest.advanceTimersByTime(1000);
+    jest.useRealTimers();
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener.mock.calls[0][0].blocks.map(block => block.hash)).toEqual(['a', 'b']);
+    const update = listener.mock.calls[1][0];
+    expect(update.blocks.map(block => block.hash)).toEqual(['c', 'd', 'e']);
+    expect(update.changes).toEqual([{ hash: 'b', color: 'blue', isChain: true }]);
+    expect(update.evicted).toEqual(['a']);
+    expect(tracker.flush()).toBeNull();
+  });
+
+  it('should backfill an empty window from the tips through getBlock', async () => {
+    const dag = {
+      a: rpcBlock('a', [], { blueScore: 1, chain: true }),
+      b: rpcBlock('b', ['a'], { blueScore: 2, chain: true, blues: ['a'] }),
+      c: rpcBlock('c', ['a'], { blueScore: 2 }),
+      d: rpcBlock('d', ['b', 'c'], { blueScore: 3, chain: true, blues: ['b', 'c'] })
+    };
+    const getBlock = jest.fn(async hash => dag[hash]);
+    tracker = new BlockDagTracker({ getBlock, getTipHashes: async () => ['d'] });
+
+    const [count] = await Promise.all([tracker.backfill(), tracker.backfill()]);
+
+    expect(count).toBe(4);
+    expect(getBlock).toHaveBeenCalledTimes(4);
+    expect(tracker.getSnapshot().blocks.map(block => [block.hash, block.color, block.isChain])).toEqual([
+      ['a', 'blue', true],
+      ['b', 'blue', true],
+      ['c', 'blue', false],
+      ['d', null, true]
+    ]);
+    expect(await tracker.backfill()).toBe(0);
+  });
+});
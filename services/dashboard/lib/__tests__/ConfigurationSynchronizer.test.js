@@ -0,0 +1,50 @@
+const ConfigurationSynchronizer = require('../ConfigurationSynchronizer');
+
+describe('ConfigurationSynchronizer', () => {
+    let consoleSpies;
+
+    beforeEach(() => {
+        consoleSpies = ['log', 'warn', 'error'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+    });
+
+    afterEach(() => {
+        consoleSpies.forEach(spy => spy.mockRestore());
+    });
+
+    describe('Change Attribution', () => {
+        test('should attribute a change to a recent audited request', async () => {
+            const auditLog = {
+                findRecent: jest.fn().mockResolvedValue({
+                    id: 'a1b2c3',
+                    source: 'wizard',
+                    action: 'profiles.add',
+                    actor: { type: 'token', id: 'abc123abc123', name: 'ci' }
+                })
+            };
+            const synchronizer = new ConfigurationSynchronizer({ projectRoot: '/tmp/kaspa', auditLog });
+            synchronizer.isWizardRunning = jest.fn().mockResolvedValue(true);
+
+            const attribution = await synchronizer.determineChangeAttribution();
+
+            expect(auditLog.findRecent).toHaveBeenCalledWith(expect.arrayContaining(['config.', 'profiles.']), 2 * 60 * 1000);
+            expect(attribution).toEqual({
+                source: 'wizard',
+                description: 'Installation Wizard: profiles.add by ci',
+                actor: { type: 'token', id: 'abc123abc123', name: 'ci' },
+                auditId: 'a1b2c3'
+            });
+            expect(synchronizer.isWizardRunning).not.toHaveBeenCalled();
+        });
+
+        test('should fall back to process and backup checks without an audit entry', async () => {
+            const auditLog = { findRecent: jest.fn().mockRejectedValue(new Error('EACCES')) };
+            const synchronizer = new ConfigurationSynchronizer({ projectRoot: '/tmp/kaspa', auditLog });
+            synchronizer.isWizardRunning = jest.fn().mockResolvedValue(false);
+            synchronizer.checkRecentBackupRestoration = jest.fn().mockResolvedValue(null);
+
+            const attribution = await synchronizer.determineChangeAttribution();
+
+            expect(attribution).toEqual({ source: 'manual', description: 'Manual file modification' });
+        });
+    });
+});
@@ -0,0 +1,332 @@
+// Dumps are written to a temporary directory; docker is a fake that answers
+// like the database container would
+jest.unmock('fs');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { spawn } = require('child_process');
+const DatabaseBackupManager = require('../DatabaseBackupManager');
+const ServiceMonitor = require('../ServiceMonitor');
+
+const DUMP = Buffer.concat([Buffer.from('PGDMP'), crypto.randomBytes(32 * 1024)]);
+const TOC = [
+  ';',
+  '; Archive created at 2026-10-18 10:00:00 UTC',
+  ';',
+  '4001; 1259 16390 TABLE public blocks kaspa_explorer',
+  '4002; 1259 16395 TABLE public transactions kaspa_explorer',
+  '4003; 1259 16400 TABLE _timescaledb_internal _hyper_1_1_chunk kaspa_explorer',
+  '4101; 0 16390 TABLE DATA public blocks kaspa_explorer',
+  '4102; 0 16395 TABLE DATA public transactions kaspa_explorer',
+  '4103; 0 16400 TABLE DATA _timescaledb_internal _hyper_1_1_chunk kaspa_explorer'
+].join('\n');
+
+/**
+ * Answer docker commands with handler(args, stdin) -> { stdout, stderr, code }
+ */
+function fakeDocker(handler) {
+  spawn.mockImplementation((command, args) => {
+    const child = new EventEmitter();
+    child.stdout = new PassThrough();
+    child.stderr = new PassThrough();
+    child.stdin = new PassThrough();
+    child.kill = jest.fn();
+
+    const input = [];
+    child.stdin.on('data', chunk => input.push(chunk));
+    child.stdin.on('end', async () => {
+      const { stdout = '', stderr = '', code = 0 } = (await handler(args, Buffer.concat(input))) || {};
+      child.stdout.on('end', () => setImmediate(() => child.emit('close', code)));
+      child.stderr.end(stderr);
+      child.stdout.end(stdout);
+    });
+    return child;
+  });
+}
+
+describe('DatabaseBackupManager', () => {
+  let dataDir;
+  let manager;
+  let controller;
+  let statements; // SQL run with psql, as [database, sql]
+  let restores; // pg_restore runs into a database, with the bytes they read
+  let database;
+
+  // What the container reports; tests change it to set up failures
+  const container = () => ({
+    postgresVersion: '16.4',
+    timescaleVersions: '2.16.1,2.17.2',
+    freeKb: 50 * 1024 * 1024,
+    dumpFails: false,
+    restoredTables: ['public.blocks', 'public.transactions', 'public.subnetworks']
+  });
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'db-backups-'));
+    statements = [];
+    restores = [];
+    database = container();
+
+    fakeDocker((args, stdin) => {
+      if (args[0] === 'inspect') {
+        return { stdout: JSON.stringify(['PATH=/usr/bin', 'POSTGRES_DB=simply_kaspa', 'POSTGRES_USER=kaspa_explorer']) };
+      }
+      const tool = args[args[1] === '-i' ? 3 : 2];
+      if (tool === 'psql') {
+        const sql = stdin.toString();
+        statements.push([args[args.indexOf('-d') + 1], sql.trim().replace(/\s+/g, ' ')]);
+        if (sql.includes('pg_database_size')) return { stdout: `${database.postgresVersion}|2.17.2|5000000|3\n` };
+        if (sql.includes('pg_available_extension_versions')) return { stdout: `${database.postgresVersion}|${database.timescaleVersions}|2.17.2\n` };
+        if (sql.includes('FROM pg_tables')) return { stdout: database.restoredTables.join('\n') };
+        return {};
+      }
+      if (tool === 'pg_dump') {
+        if (database.dumpFails) {
+          return { stderr: 'pg_dump: dumping contents of table "public.blocks"\npg_dump: error: connection to server lost\n', code: 1 };
+        }
+        return {
+          stdout: DUMP,
+          stderr: ['public.blocks', 'public.transactions', '_timescaledb_internal._hyper_1_1_chunk']
+            .map(table => `pg_dump: dumping contents of table "${table}"\n`).join('')
+        };
+      }
+      if (tool === 'pg_restore' && args.includes('--list')) {
+        return stdin.equals(DUMP) ? { stdout: TOC } : { stderr: 'pg_restore: error: input file does not appear to be a valid archive', code: 1 };
+      }
+      if (tool === 'pg_restore') {
+        restores.push({ database: args[args.indexOf('-d') + 1], bytes: stdin.length });
+        return { stderr: 'pg_restore: processing data for table "public.blocks"\npg_restore: processing data for table "public.transactions"\n' };
+      }
+      if (tool === 'df') {
+        return { stdout: `Filesystem 1024-blocks Used Available Capacity Mounted on\n/dev/sda1 100000000 1000 ${database.freeKb} 1% /var/lib/postgresql/data\n` };
+      }
+      throw new Error(`Unexpected docker ${args.join(' ')}`);
+    });
+
+    const serviceMonitor = new ServiceMonitor();
+    jest.spyOn(serviceMonitor, 'getDockerServices').mockResolvedValue(new Map([
+      ['timescaledb-explorer', { isRunning: true }],
+      ['simply-kaspa-indexer', { isRunning: true }],
+      ['kaspa-explorer', { isRunning: true }],
+      ['kaspa-node', { isRunning: true }]
+    ]));
+    controller = {
+      serviceMonitor,
+      gracefulStop: jest.fn(async () => ({ stdout: '' })),
+      executeDockerCommand: jest.fn(async () => ({ stdout: '' })),
+      waitForServiceHealthy: jest.fn(async () => true)
+    };
+    manager = new DatabaseBackupManager({ dataDir, serviceController: controller });
+    manager.swapRetryDelay = 0;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await manager.initialize();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const dump = async (key = 'indexer-db', options = {}) => {
+    const run = await manager.startDump(key, options);
+    await run.promise;
+    return manager.getRun(run.id);
+  };
+
+  const writeDump = (id, createdAt, fields = {}) => {
+    fs.writeFileSync(path.join(dataDir, 'db-backups', `${id}.dump`), DUMP);
+    fs.writeFileSync(path.join(dataDir, 'db-backups', `${id}.json`), JSON.stringify({
+      id,
+      database: 'indexer-db',
+      dbName: 'simply_kaspa',
+      createdAt,
+      size: DUMP.length,
+      sha256: crypto.createHash('sha256').update(DUMP).digest('hex'),
+      databaseSize: 5000000,
+      postgresVersion: '16.4',
+      timescaleVersion: '2.17.2',
+      tables: ['public.blocks', 'public.transactions'],
+      tableData: 3,
+      scheduleId: null,
+      ...fields
+    }));
+  };
+
+  test('should stream a dump from the container with progress, a checksum and its table list', async () => {
+    const run = await dump('indexer-db', { actor: 'admin' });
+
+    expect(run).toMatchObject({ kind: 'dump', database: 'indexer-db', status: 'completed', size: DUMP.length, error: null });
+    expect(run.progress).toMatchObject({ tablesDone: 3, tablesTotal: 3, bytes: DUMP.length });
+    expect(spawn).toHaveBeenCalledWith('docker', ['exec', 'timescaledb-explorer', 'pg_dump', '-U', 'kaspa_explorer', '-d', 'simply_kaspa', '--format=custom', '--verbose']);
+
+    const file = path.join(dataDir, 'db-backups', `${run.dumpId}.dump`);
+    expect(fs.readFileSync(file)).toEqual(DUMP);
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+
+    const [manifest] = await manager.listDumps('indexer-db');
+    expect(manifest).toMatchObject({
+      id: run.dumpId,
+      dbName: 'simply_kaspa',
+      container: 'timescaledb-explorer',
+      sha256: crypto.createHash('sha256').update(DUMP).digest('hex'),
+      postgresVersion: '16.4',
+      timescaleVersion: '2.17.2',
+      tables: ['public.blocks', 'public.transactions'],
+      tableData: 3,
+      actor: 'admin'
+    });
+    expect(await manager.listDumps('k-social-db')).toEqual([]);
+  });
+
+  test('should not keep a failed dump and should refuse databases that are not running', async () => {
+    database.dumpFails = true;
+
+    const run = await dump();
+
+    expect(run.status).toBe('failed');
+    expect(run.error).toBe('pg_dump: error: connection to server lost');
+    expect(fs.readdirSync(path.join(dataDir, 'db-backups'))).toEqual([]);
+    expect(manager.active.size).toBe(0);
+
+    await expect(manager.startDump('k-social-db')).rejects.toThrow('Database unavailable: k-social-db (timescaledb-kindexer or k-social-db is not running)');
+    await expect(manager.startDump('kaspa_indexer')).rejects.toThrow('Unknown database: kaspa_indexer');
+  });
+
+  test('should select dumps by id or point in time', async () => {
+    writeDump('pgdump_1_a', '2026-10-01T02:00:00.000Z');
+    writeDump('pgdump_2_b', '2026-10-08T02:00:00.000Z');
+    writeDump('pgdump_3_c', '2026-10-08T02:00:00.000Z', { database: 'k-social-db' });
+
+    expect((await manager.findDump('indexer-db')).id).toBe('pgdump_2_b');
+    expect((await manager.findDump('indexer-db', { at: '2026-10-07T23:59:00Z' })).id).toBe('pgdump_1_a');
+    expect((await manager.findDump('indexer-db', { at: '2026-10-08T02:00:00Z' })).id).toBe('pgdump_2_b');
+    await expect(manager.findDump('indexer-db', { at: '2026-09-30T00:00:00Z' })).rejects.toThrow('Not found: no dump of indexer-db taken at or before 2026-09-30T00:00:00.000Z');
+    await expect(manager.findDump('indexer-db', { at: 'yesterday' })).rejects.toThrow('Invalid point in time: yesterday');
+    await expect(manager.findDump('indexer-db', { dumpId: 'pgdump_3_c' })).rejects.toThrow('Invalid request: dump pgdump_3_c is of k-social-db, not indexer-db');
+    await expect(manager.findDump('indexer-db', { dumpId: '../../etc/passwd' })).rejects.toThrow('Invalid dump id: ../../etc/passwd');
+  });
+
+  test('should plan which services to stop and block restores the container cannot take', async () => {
+    writeDump('pgdump_1_a', '2026-10-01T02:00:00.000Z');
+
+    const plan = await manager.planRestore('indexer-db');
+    expect(plan).toMatchObject({
+      container: 'timescaledb-explorer',
+      dbName: 'simply_kaspa',
+      services: ['simply-kaspa-indexer', 'kaspa-explorer'],
+      stopOrder: ['kaspa-explorer', 'simply-kaspa-indexer'],
+      startOrder: ['simply-kaspa-indexer', 'kaspa-explorer'],
+      problems: []
+    });
+    expect(plan.dump.id).toBe('pgdump_1_a');
+
+    database.timescaleVersions = '2.18.0';
+    database.freeKb = 1024;
+    await expect(manager.restoreDump('indexer-db')).rejects.toThrow(
+      'Invalid restore: the dump needs TimescaleDB 2.17.2, timescaledb-explorer has 2.18.0; about 4.8 MB of free space is needed in timescaledb-explorer, 1 MB is available'
+    );
+    expect(manager.active.size).toBe(0);
+  });
+
+  test('should restore into a scratch database, swap it in with the writers stopped and drop the replaced one', async () => {
+    writeDump('pgdump_1_a', '2026-10-01T02:00:00.000Z');
+
+    const run = await manager.restoreDump('indexer-db', { at: '2026-10-02T00:00:00Z', actor: 'admin' });
+    await run.promise;
+    const result = manager.getRun(run.id);
+
+    expect(result).toMatchObject({ kind: 'restore', status: 'completed', dumpId: 'pgdump_1_a', preRestoreDatabase: null, error: null });
+    expect(result.progress).toMatchObject({ tablesDone: 2, tablesTotal: 3, bytes: DUMP.length, bytesTotal: DUMP.length });
+    expect(restores).toEqual([{ database: 'simply_kaspa_restore', bytes: DUMP.length }]);
+
+    const sql = statements.map(([db, text]) => `${db}: ${text}`).filter(text => !text.includes('pg_available_extension_versions'));
+    const previous = sql.find(text => text.includes('RENAME TO "simply_kaspa_pre_restore_')).match(/"(simply_kaspa_pre_restore_\d+)"/)[1];
+    expect(sql).toEqual([
+      'postgres: DROP DATABASE IF EXISTS "simply_kaspa_restore";',
+      'postgres: CREATE DATABASE "simply_kaspa_restore";',
+      "simply_kaspa_restore: CREATE EXTENSION IF NOT EXISTS timescaledb VERSION '2.17.2'; SELECT timescaledb_pre_restore();",
+      'simply_kaspa_restore: SELECT timescaledb_post_restore();',
+      "simply_kaspa_restore: SELECT schemaname || '.' || tablename FROM pg_tables;",
+      'postgres: ALTER DATABASE "simply_kaspa" WITH ALLOW_CONNECTIONS false;',
+      "postgres: SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE datname = 'simply_kaspa' AND pid <> pg_backend_pid();",
+      `postgres: ALTER DATABASE "simply_kaspa" RENAME TO "${previous}";`,
+      'postgres: ALTER DATABASE "simply_kaspa_restore" RENAME TO "simply_kaspa";',
+      'postgres: ALTER DATABASE "simply_kaspa" WITH ALLOW_CONNECTIONS true;',
+      `postgres: ALTER DATABASE "${previous}" WITH ALLOW_CONNECTIONS true;`,
+      'simply_kaspa: ANALYZE;',
+      `postgres: DROP DATABASE "${previous}";`
+    ]);
+
+    expect(controller.gracefulStop.mock.calls.map(([name]) => name)).toEqual(['kaspa-explorer', 'simply-kaspa-indexer']);
+    expect(controller.executeDockerCommand.mock.calls).toEqual([['start', 'simply-kaspa-indexer'], ['start', 'kaspa-explorer']]);
+    expect(result.health).toEqual([
+      { service: 'simply-kaspa-indexer', healthy: true },
+      { service: 'kaspa-explorer', healthy: true }
+    ]);
+  });
+
+  test('should leave the live database untouched when the restored copy is incomplete', async () => {
+    writeDump('pgdump_1_a', '2026-10-01T02:00:00.000Z');
+    database.restoredTables = ['public.blocks'];
+
+    const run = await manager.restoreDump('indexer-db');
+    await run.promise;
+    const result = manager.getRun(run.id);
+
+    expect(result.status).toBe('failed');
+    expect(result.error).toBe('Restored database is missing tables: public.transactions');
+    expect(statements.some(([, text]) => text.includes('RENAME'))).toBe(false);
+    expect(statements[statements.length - 1]).toEqual(['postgres', 'DROP DATABASE IF EXISTS "simply_kaspa_restore";']);
+    expect(controller.gracefulStop).not.toHaveBeenCalled();
+    expect(manager.active.size).toBe(0);
+  });
+
+  test('should keep the replaced database when the indexer does not come back healthy', async () => {
+    writeDump('pgdump_1_a', '2026-10-01T02:00:00.000Z');
+    controller.waitForServiceHealthy.mockImplementation(async (name) => name !== 'simply-kaspa-indexer');
+
+    const run = await manager.restoreDump('indexer-db', { dumpId: 'pgdump_1_a' });
+    await run.promise;
+    const result = manager.getRun(run.id);
+
+    expect(result.status).toBe('completed_with_errors');
+    expect(result.preRestoreDatabase).toMatch(/^simply_kaspa_pre_restore_\d+$/);
+    expect(result.steps[result.steps.length - 1]).toMatchObject({
+      step: 'cleanup',
+      status: 'skipped',
+      detail: `kept ${result.preRestoreDatabase}; rename it back to simply_kaspa to undo the restore`
+    });
+    expect(statements.some(([, text]) => text.startsWith(`DROP DATABASE "${result.preRestoreDatabase}"`))).toBe(false);
+  });
+
+  test('should refuse a dump whose checksum no longer matches', async () => {
+    writeDump('pgdump_1_a', '2026-10-01T02:00:00.000Z');
+    fs.appendFileSync(path.join(dataDir, 'db-backups', 'pgdump_1_a.dump'), 'x');
+
+    const run = await manager.restoreDump('indexer-db');
+    await run.promise;
+
+    expect(manager.getRun(run.id)).toMatchObject({ status: 'failed', error: 'Dump verification failed: checksum mismatch for pgdump_1_a' });
+    expect(restores).toEqual([]);
+  });
+
+  test('should run scheduled dumps of every running database and list them per database', async () => {
+    const runner = manager.createScheduleRunner();
+
+    const result = await runner.run({ id: 'sched_1', name: 'Nightly' });
+
+    const dumps = await runner.list('sched_1');
+    expect(dumps).toEqual([{ id: result.backupId, created: expect.any(String), group: 'indexer-db' }]);
+    expect(result.size).toBe(DUMP.length);
+    expect(await runner.list('sched_2')).toEqual([]);
+
+    await runner.remove(result.backupId);
+    expect(await manager.listDumps()).toEqual([]);
+  });
+});
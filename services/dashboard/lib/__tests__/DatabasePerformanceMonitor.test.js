@@ -0,0 +1,151 @@
+const DatabasePerformanceMonitor = require('../DatabasePerformanceMonitor');
+const { defaultDatabases } = require('../DatabasePerformanceMonitor');
+
+// Answers queries by the first pattern that matches the SQL
+function fakePool(responses) {
+  return {
+    queries: [],
+    query: jest.fn(async function (sql, params) {
+      this.queries.push({ sql, params });
+      const match = responses.find(([pattern]) => pattern.test(sql));
+      if (!match) throw new Error(`Unexpected query: ${sql.trim().slice(0, 60)}`);
+      const result = typeof match[1] === 'function' ? match[1](sql, params) : match[1];
+      if (result instanceof Error) throw result;
+      return { rows: result };
+    }),
+    on: jest.fn(),
+    end: jest.fn(async () => {})
+  };
+}
+
+describe('DatabasePerformanceMonitor', () => {
+  let pools;
+  let monitor;
+
+  const createMonitor = (responses) => {
+    pools = [];
+    monitor = new DatabasePerformanceMonitor({
+      databases: { 'indexer-db': { host: 'localhost', port: 5434 } },
+      createPool: (config) => {
+        const pool = fakePool(responses);
+        pool.config = config;
+        pools.push(pool);
+        return pool;
+      }
+    });
+    return monitor;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('should reuse one small pool per database and end it on shutdown', async () => {
+    createMonitor([[/SELECT 1/, [{ '?column?': 1 }]]]);
+
+    await monitor.executeQuery('indexer-db', 'SELECT 1');
+    await monitor.executeQuery('indexer-db', 'SELECT 1');
+
+    expect(pools).toHaveLength(1);
+    expect(pools[0].config).toMatchObject({ host: 'localhost', port: 5434, max: 3, application_name: 'kaspa-dashboard' });
+    expect(pools[0].on).toHaveBeenCalledWith('error', expect.any(Function));
+    await expect(monitor.executeQuery('nope', 'SELECT 1')).rejects.toThrow('Unknown database: nope');
+
+    await monitor.shutdown();
+    expect(pools[0].end).toHaveBeenCalled();
+    expect(monitor.pools.size).toBe(0);
+  });
+
+  it('should explain how to enable pg_stat_statements when it is missing', async () => {
+    createMonitor([[/pg_extension/, [{ installed: false, loaded: true }]]]);
+
+    const result = await monitor.getSlowQueries('indexer-db');
+
+    expect(result).toMatchObject({ available: false, orderBy: 'total', queries: [] });
+    expect(result.hint).toMatch(/CREATE EXTENSION pg_stat_statements/);
+  });
+
+  it('should order slow queries by a whitelisted column only', async () => {
+    createMonitor([
+      [/pg_extension/, [{ installed: true, loaded: true }]],
+      [/FROM pg_stat_statements/, [{
+        query_id: '42', query: 'INSERT INTO blocks ...', calls: '1000', total_exec_time: 5234.6,
+        mean_exec_time: 5.2346, max_exec_time: 80.1, rows: '1000', shared_blks_hit: '900',
+        shared_blks_read: '100', temp_blks_written: '0', percent_of_total: 61.234
+      }]]
+    ]);
+
+    const byMean = await monitor.getSlowQueries('indexer-db', { orderBy: 'mean', limit: '500' });
+    const injected = await monitor.getSlowQueries('indexer-db', { orderBy: 'calls; DROP TABLE blocks' });
+
+    const [meanQuery, injectedQuery] = pools[0].queries.filter(entry => /pg_stat_statements\s+WHERE/.test(entry.sql));
+    expect(meanQuery.sql).toMatch(/ORDER BY mean_exec_time DESC/);
+    expect(meanQuery.params).toEqual([50]);
+    expect(injectedQuery.sql).toMatch(/ORDER BY total_exec_time DESC/);
+    expect(injected.orderBy).toBe('total');
+    expect(byMean.queries[0]).toEqual({
+      queryId: '42',
+      query: 'INSERT INTO blocks ...',
+      calls: 1000,
+      totalTimeMs: 5235,
+      meanTimeMs: 5.23,
+      maxTimeMs: 80.1,
+      rows: 1000,
+      cacheHitRatio: 90,
+      tempBlocksWritten: 0,
+      percentOfTotal: 61.23
+    });
+  });
+
+  it('should combine insight sections, keep failed ones as errors and flag problems', async () => {
+    const GB = 1024 * 1024 * 1024;
+    createMonitor([
+      [/^SELECT 1$/, [{}]],
+      [/pg_extension/, [{ installed: false, loaded: false }]],
+      [/WITH widths AS/, [{ schema_name: 'public', table_name: 'transactions', size_bytes: String(2 * GB), expected_bytes: String(GB), bloat_bytes: String(GB) }]],
+      [/WITH sizes AS/, []],
+      [/pg_blocking_pids\(pid\) AS blocked_by/, [{ pid: 12, usename: 'kaspa_explorer', wait_event_type: 'Lock', wait_event: 'relation', waiting_seconds: '95.2', blocked_by: [7], query: 'ALTER TABLE ...' }]],
+      [/FROM pg_locks/, [{ mode: 'AccessExclusiveLock', granted: false, count: '1' }]],
+      [/xact_start IS NOT NULL/, (sql, params) => {
+        expect(params).toEqual([300]);
+        return [{ pid: 7, usename: 'kaspa_explorer', application_name: 'psql', state: 'idle in transaction', transaction_seconds: '4000', query_seconds: '3990', holds_xmin: true }];
+      }],
+      [/pg_is_in_recovery/, new Error('permission denied for function pg_is_in_recovery')],
+      [/server_version_num/, [{ version: 160004 }]],
+      [/FROM pg_stat_bgwriter/, [{ timed: '20', requested: '80', write_time: 1000, sync_time: 50, buffers_written: '123', stats_reset: null }]],
+      [/checkpoint_timeout/, [{ checkpoint_timeout: '5min', max_wal_size: '1GB' }]]
+    ]);
+
+    const insights = await monitor.getDatabaseInsights('indexer-db');
+
+    expect(insights.replication).toEqual({ error: 'Query execution failed: permission denied for function pg_is_in_recovery' });
+    expect(insights.bloat.tables[0]).toMatchObject({ table: 'transactions', bloatBytes: GB, bloatRatio: 0.5 });
+    expect(insights.locks.blocked[0]).toMatchObject({ pid: 12, waitEvent: 'Lock:relation', waitingSeconds: 95, blockedBy: [7] });
+    expect(insights.checkpoints).toMatchObject({ timed: 20, requested: 80, requestedRatio: 0.8, maxWalSize: '1GB' });
+    expect(insights.findings.map(finding => finding.area)).toEqual(['queries', 'transactions', 'locks', 'bloat', 'checkpoints']);
+    expect(insights.findings[1].message).toMatch(/Transaction 7 \(psql\) has been open 1h 7m/);
+  });
+
+  it('should report unknown and unreachable databases before running insight queries', async () => {
+    createMonitor([[/SELECT 1/, new Error('connect ECONNREFUSED 127.0.0.1:5434')]]);
+
+    await expect(monitor.getDatabaseInsights('nope')).rejects.toThrow('Unknown database: nope');
+    await expect(monitor.getDatabaseInsights('indexer-db')).rejects.toThrow(/^Database unavailable: indexer-db/);
+    expect(await monitor.getDatabaseMetrics('indexer-db')).toMatchObject({ available: false });
+  });
+});
+
+describe('defaultDatabases', () => {
+  it('should follow the credentials of whichever indexer layout is installed', () => {
+    expect(defaultDatabases({ POSTGRES_USER_EXPLORER: 'explorer', POSTGRES_PASSWORD_EXPLORER: 'secret' })['indexer-db'])
+      .toEqual({ host: 'localhost', port: 5434, database: 'simply_kaspa', user: 'explorer', password: 'secret' });
+
+    const databases = defaultDatabases({ K_SOCIAL_DB_PASSWORD: 'k', K_SOCIAL_DB_PORT: '6433', INDEXER_DB_URL: 'postgres://u:p@db/simply_kaspa' });
+    expect(databases['k-social-db']).toMatchObject({ port: 6433, database: 'ksocial', user: 'k_social_user', password: 'k' });
+    expect(databases['indexer-db']).toEqual({ connectionString: 'postgres://u:p@db/simply_kaspa' });
+  });
+});
@@ -0,0 +1,110 @@
+const KaspaKeyDerivation = require('../KaspaKeyDerivation');
+
+const ABANDON_ART = `${'abandon '.repeat(23)}art`;
+
+describe('KaspaKeyDerivation', () => {
+    describe('BIP39', () => {
+        test('should ship the full English wordlist', () => {
+            expect(KaspaKeyDerivation.WORDLIST).toHaveLength(2048);
+            expect(KaspaKeyDerivation.WORDLIST[0]).toBe('abandon');
+            expect(KaspaKeyDerivation.WORDLIST[2047]).toBe('zoo');
+        });
+
+        // Vectors from the reference BIP39 implementation (passphrase "TREZOR")
+        test.each([
+            ['00'.repeat(16), `${'abandon '.repeat(11)}about`, 'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'],
+            ['7f'.repeat(16), 'legal winner thank year wave sausage worth useful legal winner thank yellow', '2e8905819b8723fe2c1d161860e5ee1830318dbf49a83bd451cfb8440c28bd6fa457fe1296106559a3c80937a1c1069be3a3a5bd381ee6260e8d9739fce1f607'],
+            ['80'.repeat(16), 'letter advice cage absurd amount doctor acoustic avoid letter advice cage above', null],
+            ['ff'.repeat(16), `${'zoo '.repeat(11)}wrong`, null],
+            ['00'.repeat(32), ABANDON_ART, 'bda85446c68413707090a52022edd26a1c9462295029f2e60cd7c4f2bbd3097170af7a4d73245cafa9c3cca8d561a7c3de6f5d4a10be8ed2a5e608d68f92fcc8']
+        ])('should encode entropy %s', (entropy, mnemonic, seed) => {
+            expect(KaspaKeyDerivation.entropyToMnemonic(entropy)).toBe(mnemonic);
+            expect(KaspaKeyDerivation.mnemonicToEntropy(mnemonic).toString('hex')).toBe(entropy);
+            if (seed) {
+                expect(KaspaKeyDerivation.mnemonicToSeed(mnemonic, 'TREZOR').toString('hex')).toBe(seed);
+            }
+        });
+
+        test('should generate valid mnemonics of each supported length', () => {
+            [12, 15, 18, 21, 24].forEach(wordCount => {
+                const mnemonic = KaspaKeyDerivation.generateMnemonic(wordCount);
+                expect(KaspaKeyDerivation.validateMnemonic(mnemonic)).toEqual({ valid: true, wordCount });
+            });
+            expect(KaspaKeyDerivation.generateMnemonic()).not.toBe(KaspaKeyDerivation.generateMnemonic());
+            expect(() => KaspaKeyDerivation.generateMnemonic(13)).toThrow('Invalid word count');
+        });
+
+        test('should reject bad checksums, unknown words and wrong lengths', () => {
+            expect(KaspaKeyDerivation.validateMnemonic('abandon '.repeat(24).trim()).error).toMatch('checksum mismatch');
+            expect(KaspaKeyDerivation.validateMnemonic(`${'abandon '.repeat(11)}kaspa`).error).toMatch('not in the BIP39 English wordlist');
+            expect(KaspaKeyDerivation.validateMnemonic('abandon about').error).toMatch('12, 15, 18, 21 or 24 words');
+            expect(KaspaKeyDerivation.validateMnemonic(`  ${ABANDON_ART.toUpperCase()}\n`).valid).toBe(true);
+        });
+    });
+
+    describe('BIP32', () => {
+        // BIP32 test vector 1
+        const seed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+
+        test('should derive the master key', () => {
+            const master = KaspaKeyDerivation.masterKeyFromSeed(seed);
+            expect(master.privateKey.toString('hex')).toBe('e8f32e723decf4051aefac8e2c93c9c5b214313817cdb01a1494b917c8436b35');
+            expect(master.chainCode.toString('hex')).toBe('873dff81c02f525623fd1fe5167eac3a55a049de3d314bb42ee227ffed37d508');
+            expect(KaspaKeyDerivation.publicKeyFromPrivate(master.privateKey).toString('hex'))
+                .toBe('0339a36013301597daef41fbe593a02cc513d0b55527ec2df1050e2e8ff49c85c2');
+        });
+
+        test('should derive hardened children', () => {
+            const child = KaspaKeyDerivation.derivePath(seed, "m/0'");
+            expect(child.privateKey.toString('hex')).toBe('edb2e14f9ee77d26dd93b4ecede8d16ed408ce149b6cd80b0715a2d911a0afea');
+            expect(child.chainCode.toString('hex')).toBe('47fdacbd0f1097043b78c63c20c34ef4ed9a111d980047ad16282c7ae6236141');
+        });
+
+        test('should reject malformed paths', () => {
+            expect(() => KaspaKeyDerivation.derivePath(seed, "44'/0")).toThrow('must start with m/');
+            expect(() => KaspaKeyDerivation.derivePath(seed, 'm/x')).toThrow('Invalid derivation path segment');
+        });
+    });
+
+    describe('Kaspa addresses', () => {
+        // Expected values produced by the kaspa WASM SDK the wizard's wallet-service.js uses
+        // (Mnemonic -> XPrv -> PublicKeyGenerator(xprv, false, account).receiveKey(i).toAddress(network))
+        test('should derive the same receive addresses as the wizard', () => {
+            const addresses = KaspaKeyDerivation.deriveAddresses(ABANDON_ART, { count: 3 });
+
+            expect(addresses.map(entry => entry.address)).toEqual([
+                'kaspa:qz20g2ugrrm629fnnvmfjpsjlx9zu2f2zj828wwpv9gvxcnajl0qs36s8hfkl',
+                'kaspa:qpp5c48p4ryt4v7nufd44udfddgn9yt2ddac0sk6w4pprajx8ftjs4x358jsx',
+                'kaspa:qptqpm3emzmhksmhpd5enzj8r346nzc8j0zr68j8p9lumpdazpflkqvclj8dp'
+            ]);
+            expect(addresses[2].derivationPath).toBe("m/44'/111111'/0'/0/2");
+            expect(addresses[0].publicKey).toHaveLength(64);
+        });
+
+        test('should derive change, other accounts and testnet addresses', () => {
+            expect(KaspaKeyDerivation.deriveAddresses(ABANDON_ART, { change: true })[0].address)
+                .toBe('kaspa:qzgzpqdcut3vxe8emcnngyfa29de90mqape8yrr0t0khly4h4fdn5pv5y042r');
+            expect(KaspaKeyDerivation.deriveAddresses(ABANDON_ART, { account: 1 })[0].address)
+                .toBe('kaspa:qppt49jerlp2vjquvhfjcpzkna7g26jzu2r88wwsnt3zndq4qvnnywxtsehh8');
+            expect(KaspaKeyDerivation.deriveAddresses(ABANDON_ART, { network: 'testnet-10' })[0].address)
+                .toBe('kaspatest:qz20g2ugrrm629fnnvmfjpsjlx9zu2f2zj828wwpv9gvxcnajl0qssukuch8m');
+        });
+
+        test('should round-trip addresses and detect corruption', () => {
+            const address = KaspaKeyDerivation.deriveAddresses(ABANDON_ART)[0].address;
+            const decoded = KaspaKeyDerivation.decodeAddress(address);
+
+            expect(decoded.version).toBe(0);
+            expect(KaspaKeyDerivation.encodeAddress(decoded.prefix, decoded.version, decoded.payload)).toBe(address);
+            expect(KaspaKeyDerivation.encodeAddress('kaspa', 0, Buffer.alloc(32)))
+                .toBe('kaspa:qqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqkx9awp4e');
+            expect(() => KaspaKeyDerivation.decodeAddress(address.replace('qz20', 'qz2q'))).toThrow('checksum mismatch');
+        });
+
+        test('should validate options', () => {
+            expect(() => KaspaKeyDerivation.deriveAddresses(ABANDON_ART, { network: 'bitcoin' })).toThrow('Invalid network');
+            expect(() => KaspaKeyDerivation.deriveAddresses(ABANDON_ART, { count: 101 })).toThrow('Invalid count');
+            expect(() => KaspaKeyDerivation.deriveAddresses('abandon '.repeat(24).trim())).toThrow('Invalid mnemonic');
+        });
+    });
+});
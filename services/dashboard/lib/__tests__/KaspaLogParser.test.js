@@ -0,0 +1,287 @@
+const EventEmitter = require('events');
+const KaspaLogParser = require('../KaspaLogParser');
+
+// Mock LogManager
+class MockLogManager extends EventEmitter {
+    constructor(logs = []) {
+        super();
+        this.logs = logs;
+        this.getServiceLogs = jest.fn(async (serviceName, options) => {
+            if (options.follow) {
+                return { success: true, streamId: `${serviceName}_1` };
+            }
+            return { success: true, logs: this.logs };
+        });
+        this.stopLogStream = jest.fn().mockResolvedValue(true);
+    }
+}
+
+const line = (level, message, time = '2024-05-01 10:00:00.000+00:00') => `${time} [${level.padEnd(5)}] ${message}`;
+
+describe('KaspaLogParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new KaspaLogParser();
+    });
+
+    describe('Line splitting', () => {
+        test('should extract timestamp, level and message from kaspad lines', () => {
+            const result = parser.splitLine(line('WARN', 'Something odd'));
+            expect(result.level).toBe('WARN');
+            expect(result.message).toBe('Something odd');
+            expect(result.timestamp).toBe('2024-05-01T10:00:00.000Z');
+        });
+
+        test('should pass through lines without a kaspad header', () => {
+            const result = parser.splitLine('plain output');
+            expect(result.level).toBeNull();
+            expect(result.message).toBe('plain output');
+        });
+    });
+
+    describe('IBD phases', () => {
+        test('should emit phase changes through headers, UTXO set and block bodies', () => {
+            const events = parser.ingest([
+                line('INFO', 'IBD started with peer 10.0.0.5:16111'),
+                line('INFO', 'IBD: Processed 120000 block headers (12%) last block timestamp: 2024-04-01'),
+                line('INFO', 'IBD: Processed 450000 block headers (45%) last block timestamp: 2024-04-10'),
+                line('INFO', 'Fetching the pruning point UTXO set'),
+                line('INFO', 'Received 120 UTXO set chunks so far, totaling in 120000 UTXOs'),
+                line('INFO', 'IBD: Processed 5000 blocks (30%)')
+            ]);
+
+            const phases = events.filter(e => e.type === 'ibd_phase').map(e => e.data.phase);
+            expect(phases).toEqual(['negotiation', 'headers', 'utxo', 'blocks']);
+            expect(events[0].data.peer).toBe('10.0.0.5:16111');
+        });
+
+        test('should keep progress in state without emitting duplicate phase events', () => {
+            parser.ingest([
+                line('INFO', 'IBD: Processed 120000 block headers (12%)'),
+                line('INFO', 'IBD: Processed 450000 block headers (45%)')
+            ]);
+
+            expect(parser.getEvents({ type: 'ibd_phase' })).toHaveLength(1);
+            expect(parser.getSummary().ibd.phase).toBe('headers');
+            expect(parser.getSummary().ibd.progress).toBe(45);
+        });
+
+        test('should detect IBD completion', () => {
+            parser.ingest([
+                line('INFO', 'Resolving virtual. Estimated progress: 80%'),
+                line('INFO', 'IBD with peer 10.0.0.5:16111 completed successfully')
+            ]);
+
+            const summary = parser.getSummary();
+            expect(summary.ibd.phase).toBe('complete');
+            expect(summary.ibd.progress).toBe(100);
+        });
+    });
+
+    describe('Peer events', () => {
+        test('should parse outbound and inbound connects with counts', () => {
+            const events = parser.ingest([
+                line('INFO', 'P2P Connected to outgoing peer 1.2.3.4:16111 (outbound: 3)'),
+                line('INFO', 'P2P Connected to incoming peer 5.6.7.8:16111 (inbound: 1)')
+            ]);
+
+            expect(events.map(e => e.type)).toEqual(['peer_connected', 'peer_connected']);
+            expect(events[0].data).toMatchObject({ address: '1.2.3.4:16111', direction: 'outbound' });
+            expect(parser.getSummary().peers).toMatchObject({ outbound: 3, inbound: 1, connects: 2 });
+        });
+
+        test('should parse peer disconnects', () => {
+            const events = parser.ingest([line('INFO', 'Peer 1.2.3.4:16111 disconnected: connection reset')]);
+
+            expect(events[0].type).toBe('peer_disconnected');
+            expect(events[0].data.address).toBe('1.2.3.4:16111');
+            expect(events[0].data.reason).toBe('connection reset');
+        });
+    });
+
+    describe('Block events', () => {
+        test('should parse periodic processing reports', () => {
+            const events = parser.ingest([
+                line('INFO', 'Processed 98 blocks and 98 headers in the last 10.00s (412 transactions; 20 UTXO-validated blocks; 1.92 parents)')
+            ]);
+
+            expect(events[0].type).toBe('blocks_accepted');
+            expect(events[0].data).toMatchObject({ blocks: 98, headers: 98, intervalSeconds: 10, transactions: 412 });
+            expect(parser.getSummary().blocks.accepted).toBe(98);
+        });
+
+        test('should parse relay acceptance', () => {
+            const events = parser.ingest([line('INFO', 'Accepted 3 blocks ...a1b2 via relay')]);
+            expect(events[0].data).toMatchObject({ blocks: 3, source: 'relay' });
+        });
+    });
+
+    describe('Virtual changes and problems', () => {
+        test('should parse reorgs with depth', () => {
+            const events = parser.ingest([line('INFO', 'Reorg detected with depth 3')]);
+            expect(events[0].type).toBe('reorg');
+            expect(events[0].data.depth).toBe(3);
+            expect(parser.getSummary().counts.reorgs).toBe(1);
+        });
+
+        test('should classify warnings, errors and panics', () => {
+            const events = parser.ingest([
+                line('WARN', 'Slow block processing'),
+                line('ERROR', 'Database write failed'),
+                "thread 'tokio-runtime-worker' panicked at consensus/src/lib.rs:12:5"
+            ]);
+
+            expect(events.map(e => e.type)).toEqual(['warning', 'error', 'panic']);
+            expect(events[2].severity).toBe('critical');
+            const counts = parser.getSummary().counts;
+            expect(counts).toMatchObject({ warnings: 1, errors: 1, panics: 1 });
+        });
+
+        test('should ignore unremarkable lines', () => {
+            expect(parser.ingest([line('INFO', 'Tx throughput stats: 1.2 u-tps')])).toHaveLength(0);
+        });
+    });
+
+    describe('Event queries', () => {
+        beforeEach(() => {
+            parser.ingest([
+                line('INFO', 'P2P Connected to outgoing peer 1.2.3.4:16111 (outbound: 1)', '2024-05-01 10:00:00.000+00:00'),
+                line('WARN', 'Peer misbehaving', '2024-05-01 11:00:00.000+00:00'),
+                line('INFO', 'Peer 1.2.3.4:16111 disconnected', '2024-05-01 12:00:00.000+00:00')
+            ]);
+        });
+
+        test('should return newest events first', () => {
+            const events = parser.getEvents();
+            expect(events[0].type).toBe('peer_disconnected');
+        });
+
+        test('should filter by type list, severity, since and limit', () => {
+            expect(parser.getEvents({ type: 'peer_connected,peer_disconnected' })).toHaveLength(2);
+            expect(parser.getEvents({ severity: 'warning' })).toHaveLength(1);
+            expect(parser.getEvents({ since: '2024-05-01T10:30:00Z' })).toHaveLength(2);
+            expect(parser.getEvents({ limit: 1 })).toHaveLength(1);
+        });
+
+        test('should cap stored events', () => {
+            const small = new KaspaLogParser(null, { maxEvents: 2 });
+            small.ingest([line('WARN', 'a'), line('WARN', 'b'), line('WARN', 'c')]);
+            expect(small.getEvents()).toHaveLength(2);
+        });
+    });
+
+    describe('LogManager integration', () => {
+        test('should backfill then follow the node log stream', async () => {
+            const logManager = new MockLogManager([
+                { timestamp: '2024-05-01T10:00:00.000000000Z', message: line('INFO', 'IBD: Processed 10 block headers (1%)') }
+            ]);
+            const live = new KaspaLogParser(logManager);
+            const emitted = [];
+            live.on('event', event => emitted.push(event));
+
+            await live.start();
+
+            expect(logManager.getServiceLogs).toHaveBeenCalledTimes(2);
+            expect(logManager.getServiceLogs.mock.calls[1][1]).toMatchObject({
+                follow: true,
+                since: '2024-05-01T10:00:00.000000000Z'
+            });
+            // Backfilled events are recorded but not re-broadcast
+            expect(live.getEvents()).toHaveLength(1);
+            expect(emitted).toHaveLength(0);
+
+            logManager.emit('log', {
+                service: 'kaspa-node',
+                timestamp: '2024-05-01T10:00:05.000000000Z',
+                message: line('WARN', 'Slow block processing')
+            });
+            logManager.emit('log', { service: 'other', message: line('WARN', 'Not ours') });
+
+            expect(emitted).toHaveLength(1);
+            expect(emitted[0].type).toBe('warning');
+
+            await live.shutdown();
+            expect(logManager.stopLogStream).toHaveBeenCalledWith('kaspa-node');
+        });
+
+        test('should keep older lines from the other output stream', async () => {
+            const logManager = new MockLogManager();
+            const live = new KaspaLogParser(logManager);
+            await live.start();
+
+            // stdout line first, then a stderr line logged just before it
+            live.ingest([{ timestamp: '2024-05-01T10:00:05Z', message: line('INFO', 'Reorg detected with depth 2') }]);
+            live.ingest([{ timestamp: '2024-05-01T10:00:01Z', message: line('WARN', 'Slow block processing') }]);
+
+            expect(live.getEvents().map(event => event.type).sort()).toEqual(['reorg', 'warning']);
+            expect(live.getSummary().lastLogTimestamp).toBe('2024-05-01T10:00:05Z');
+            await live.shutdown();
+        });
+
+        test('should compare timestamps whose fractions docker trimmed', async () => {
+            const logManager = new MockLogManager();
+            const live = new KaspaLogParser(logManager);
+            await live.start();
+
+            live.ingest([{ timestamp: '2024-05-01T10:00:05.1Z', message: line('WARN', 'first') }]);
+            // Lexically after '05.1Z', but earlier
+            live.ingest([{ timestamp: '2024-05-01T10:00:05Z', message: line('WARN', 'earlier') }]);
+            expect(live.getSummary().lastLogTimestamp).toBe('2024-05-01T10:00:05.1Z');
+
+            // The same instant written with the zeros kept is a replay
+            live.ingest([{ timestamp: '2024-05-01T10:00:05.100000000Z', message: line('WARN', 'first') }]);
+
+            expect(live.getEvents()).toHaveLength(2);
+            await live.shutdown();
+        });
+
+        test('should not parse the boundary line again when the stream restarts', async () => {
+            const boundary = { service: 'kaspa-node', timestamp: '2024-05-01T10:00:05.000000000Z', message: "thread 'main' panicked at kaspad/src/main.rs:1:1" };
+            const logManager = new MockLogManager();
+            const live = new KaspaLogParser(logManager);
+            const emitted = [];
+            live.on('event', event => emitted.push(event));
+            await live.start();
+
+            logManager.emit('log', boundary);
+            // docker logs --since replays everything logged at that instant
+            logManager.emit('log', boundary);
+            logManager.emit('log', { ...boundary, message: line('WARN', 'Same instant, new line') });
+
+            expect(emitted.map(event => event.type)).toEqual(['panic', 'warning']);
+            expect(live.getSummary().counts.panics).toBe(1);
+            await live.shutdown();
+        });
+
+        test('should schedule a restart when the stream closes', async () => {
+            jest.useFakeTimers();
+            const logManager = new MockLogManager();
+            const live = new KaspaLogParser(logManager, { restartDelay: 1000 });
+            await live.start();
+
+            logManager.emit('streamClosed', { service: 'kaspa-node', exitCode: 1 });
+            jest.advanceTimersByTime(1000);
+
+            expect(logManager.getServiceLogs).toHaveBeenCalledTimes(3);
+            await live.shutdown();
+            jest.useRealTimers();
+        });
+
+        test('should shut down cleanly when stopping the stream fails', async () => {
+            const logManager = new MockLogManager();
+            logManager.stopLogStream.mockRejectedValue(new Error('docker not responding'));
+            const live = new KaspaLogParser(logManager);
+            await live.start();
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            await expect(live.shutdown()).resolves.toBeUndefined();
+            expect(console.warn).toHaveBeenCalledWith('Failed to stop the Kaspa log stream on shutdown:', 'docker not responding');
+            console.warn.mockRestore();
+        });
+
+        test('should refuse to start without a LogManager', async () => {
+            await expect(parser.start()).rejects.toThrow('requires a LogManager');
+        });
+    });
+});
@@ -171,6 +171,196 @@ describe('KaspaNodeClient', () => {
     });
   });
 
+  describe('fallback hosts and local-only mode', () => {
+    const createWrapperClient = (ready) => ({ isReady: () => ready, getInfo: jest.fn() });
+
+    afterEach(() => {
+      delete mockWrapper.clients;
+    });
+
+    it('should use the public fallbacks by default, a configured list, or none', () => {
+      expect(client.hosts).toEqual(['test-node:16110', 'seeder2.kaspad.net:16110', 'seeder1.kaspad.net:16110']);
+
+      const custom = new KaspaNodeClient({ host: 'test-node', fallbackHosts: 'backup.example:16110, test-node:16110' });
+      expect(custom.hosts).toEqual(['test-node:16110', 'backup.example:16110']);
+
+      expect(new KaspaNodeClient({ fallbackHosts: '' }).hosts).toEqual(['localhost:16110']);
+      expect(new KaspaNodeClient({ fallbackHosts: ['backup.example:16110'], localOnly: true }).hosts).toEqual(['localhost:16110']);
+    });
+
+    it('should report a fallback host as the data source', async () => {
+      const local = createWrapperClient(false);
+      const fallback = createWrapperClient(true);
+      mockWrapper.clients = [local, fallback, createWrapperClient(true)];
+
+      await client.initialize();
+
+      expect(client.client).toBe(fallback);
+      expect(client.getSource()).toEqual({ host: 'seeder2.kaspad.net:16110', isLocal: false, localOnly: false, fallback: true });
+      expect(client.getConnectionStatus().workingHost).toBe('seeder2.kaspad.net:16110');
+    });
+
+    it('should use a syncing local node in local-only mode instead of waiting for it', async () => {
+      const localOnly = new KaspaNodeClient({ host: 'test-node', localOnly: true });
+      const local = createWrapperClient(false);
+      mockWrapper.clients = [local];
+
+      await localOnly.initialize();
+
+      expect(localOnly.client).toBe(local);
+      expect(mockWrapper.getClient).not.toHaveBeenCalled();
+      expect(localOnly.getSource()).toEqual({ host: 'test-node:16110', isLocal: true, localOnly: true, fallback: false });
+      localOnly.destroy();
+    });
+
+    it('should retry the local node after the retry interval while on a fallback', async () => {
+      const retrying = new KaspaNodeClient({ host: 'test-node', localRetryInterval: 1000 });
+      const local = createWrapperClient(false);
+      mockWrapper.clients = [local, createWrapperClient(true)];
+      await retrying.initialize();
+      expect(retrying.getSource().fallback).toBe(true);
+
+      local.isReady = () => true;
+      retrying.connectedAt -= 2000;
+
+      expect(await retrying.ensureConnected()).toBe(local);
+      expect(retrying.getSource().isLocal).toBe(true);
+      expect(mockWrapper.initialize).toHaveBeenCalledTimes(2);
+      retrying.destroy();
+    });
+
+    it('should report no source while disconnected', () => {
+      expect(client.getSource()).toEqual({ host: null, isLocal: false, localOnly: false, fallback: false });
+    });
+  });
+
+  describe('live node model', () => {
+    const createLiveClient = () => {
+      const notify = {};
+      const subscribe = name => jest.fn((...args) => {
+        notify[name] = args[args.length - 1];
+        return Object.assign(Promise.resolve({}), { uid: `${name}-uid` });
+      });
+      const client = {
+        notify,
+        getInfo: jest.fn().mockResolvedValue({ isSynced: true, peerCount: 8 }),
+        getBlockDagInfo: jest.fn().mockResolvedValue({ virtualDaaScore: '1000', virtualSelectedParentBlueScore: '900', difficulty: 5 })
+      };
+      ['VirtualDaaScoreChanged', 'BlockAdded', 'VirtualSelectedParentChainChanged', 'VirtualSelectedParentBlueScoreChanged'].forEach(name => {
+        client[`subscribe${name}`] = subscribe(name);
+        client[`unSubscribe${name}`] = jest.fn();
+      });
+      return client;
+    };
+
+    let liveClient;
+
+    beforeEach(() => {
+      liveClient = createLiveClient();
+      mockWrapper.getClient.mockResolvedValue(liveClient);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should subscribe on connect and serve block DAG info from notifications', async () => {
+      await client.initialize();
+      await client.subscribeNotifications(liveClient);
+
+      expect(liveClient.subscribeVirtualSelectedParentChainChanged)
+        .toHaveBeenCalledWith({ includeAcceptedTransactionIds: false }, expect.any(Function));
+      expect(client.getLiveState()).toMatchObject({ subscribed: true, live: false });
+      const blockListener = jest.fn();
+      const chainListener = jest.fn();
+      client.on('blockAdded', blockListener);
+      client.on('virtualChainChanged', chainListener);
+
+      liveClient.notify.VirtualDaaScoreChanged({ virtualDaaScore: '1005' });
+      liveClient.notify.VirtualSelectedParentBlueScoreChanged({ virtualSelectedParentBlueScore: '904' });
+      liveClient.notify.BlockAdded({
+        block: {
+          header: { daaScore: '1005', blueScore: '904', timestamp: '1700000000500' },
+          verboseData: { hash: 'aa'.repeat(32), transactionIds: ['t1', 't2'] }
+        }
+      });
+      liveClient.notify.VirtualSelectedParentChainChanged({ addedChainBlockHashes: ['bb', 'cc'], removedChainBlockHashes: ['dd'] });
+
+      expect(blockListener.mock.calls[0][0].verboseData.hash).toBe('aa'.repeat(32));
+      expect(chainListener).toHaveBeenCalledWith({ addedChainBlockHashes: ['bb', 'cc'], removedChainBlockHashes: ['dd'] });
+
+      const first = await client.getBlockDagInfo();
+      liveClient.notify.VirtualDaaScoreChanged({ virtualDaaScore: '1006' });
+      const second = await client.getBlockDagInfo();
+
+      expect(liveClient.getBlockDagInfo).toHaveBeenCalledTimes(1);
+      expect(liveClient.getInfo).not.toHaveBeenCalled();
+      expect(first).toMatchObject({ virtualDaaScore: '1005', virtualSelectedParentBlueScore: '904', tipTimestamp: 1700000000, difficulty: 5 });
+      expect(second.virtualDaaScore).toBe('1006');
+      expect(client.getLiveState()).toMatchObject({
+        live: true,
+        sinkHash: 'cc',
+        lastBlock: { hash: 'aa'.repeat(32), daaScore: '1005', transactionCount: 2 },
+        blocksAdded: 1,
+        chainBlocksAdded: 2,
+        chainBlocksRemoved: 1
+      });
+    });
+
+    it('should throttle nodeUpdate events', async () => {
+      await client.initialize();
+      await client.subscribeNotifications(liveClient);
+      jest.useFakeTimers();
+      const listener = jest.fn();
+      client.on('nodeUpdate', listener);
+
+      for (let score = 1; score <= 5; score++) {
+        liveClient.notify.VirtualDaaScoreChanged({ virtualDaaScore: String(score) });
+      }
+      expect(listener).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(500);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].virtualDaaScore).toBe('5');
+    });
+
+    it('should share node queries between concurrent callers', async () => {
+      await client.initialize();
+
+      await Promise.all([client.getNodeInfo(), client.getNodeInfo(), client.getSyncStatus()]);
+
+      expect(liveClient.getInfo).toHaveBeenCalledTimes(1);
+      expect(liveClient.getBlockDagInfo).toHaveBeenCalledTimes(1);
+    });
+
+    it('should drop subscriptions of the old connection on reconnect', async () => {
+      await client.initialize();
+      await client.subscribeNotifications(liveClient);
+      const oldClient = liveClient;
+      liveClient = createLiveClient();
+      mockWrapper.getClient.mockResolvedValue(liveClient);
+
+      await client.forceReconnect();
+
+      expect(oldClient.unSubscribeBlockAdded).toHaveBeenCalledWith('BlockAdded-uid');
+      expect(liveClient.subscribeBlockAdded).toHaveBeenCalled();
+      oldClient.notify.VirtualDaaScoreChanged({ virtualDaaScore: '1' });
+      expect(client.getLiveState().virtualDaaScore).toBeNull();
+    });
+
+    it('should fall back to polling when the node rejects subscriptions', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      liveClient.subscribeBlockAdded.mockReturnValue(Promise.resolve({ error: { message: 'not supported' } }));
+
+      await client.initialize();
+      expect(await client.subscribeNotifications(liveClient)).toBe(false);
+
+      expect(client.getLiveState().subscribed).toBe(false);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('not supported'));
+      console.warn.mockRestore();
+    });
+  });
+
   describe('determineSyncState', () => {
     it('should return synced when isSynced is true', () => {
       expect(client.determineSyncState(true, 100)).toBe('synced');
@@ -0,0 +1,115 @@
+const MempoolMonitor = require('../MempoolMonitor');
+
+const entry = (id, fee, mass, isOrphan = false) => ({
+  fee: String(fee),
+  isOrphan,
+  transaction: { verboseData: { transactionId: id, mass: String(mass) } }
+});
+
+describe('MempoolMonitor', () => {
+  let monitor;
+  let client;
+  let source;
+
+  beforeEach(() => {
+    client = { getMempoolEntries: jest.fn().mockResolvedValue({ entries: [] }) };
+    source = { host: 'localhost:16110', isLocal: true, fallback: false };
+    monitor = new MempoolMonitor({ getClient: async () => client, getSource: () => source, getBlocksPerSecond: () => 1 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    monitor.shutdown();
+    console.log.mockRestore();
+  });
+
+  it('should summarize fee rates, orphans and the histogram', async () => {
+    client.getMempoolEntries.mockResolvedValue({
+      entries: [entry('a', 2000, 2000), entry('b', 30000, 3000), entry('c', 0, 1000, true), entry('d', 1500000, 1500)]
+    });
+
+    const snapshot = await monitor.sample();
+
+    expect(client.getMempoolEntries).toHaveBeenCalledWith({ includeOrphanPool: true, filterTransactionPool: false });
+    expect(snapshot).toMatchObject({
+      transactionCount: 3,
+      orphanCount: 1,
+      orphanMass: 1000,
+      totalMass: 6500,
+      feerate: { min: 1, median: 10, max: 1000 }
+    });
+    const counts = Object.fromEntries(snapshot.feerateHistogram.map(bucket => [bucket.min, bucket.count]));
+    expect(counts).toMatchObject({ 1: 1, 10: 1, 1000: 1, 0: 0 });
+    expect(snapshot.feerateHistogram[snapshot.feerateHistogram.length - 1].max).toBeNull();
+  });
+
+  it('should estimate fees from the mass that fits each target', () => {
+    // 1 block per second: the priority target holds one block of mass
+    const entries = [
+      entry('high', 300000 * 50, 300000),
+      entry('mid', 300000 * 20, 300000),
+      entry('low', 300000 * 2, 300000)
+    ];
+
+    const { feeEstimates } = monitor.summarize(entries);
+
+    expect(feeEstimates.priority.feerate).toBe(20.01);
+    expect(feeEstimates.priority.typicalFeeSompi).toBe(40020);
+    expect(feeEstimates.normal.feerate).toBe(MempoolMonitor.MINIMUM_FEERATE);
+    expect(feeEstimates.low).toMatchObject({ feerate: 1, targetSeconds: 3600, typicalFeeKas: 0.00002 });
+  });
+
+  it('should track transaction ages from when they were first seen', () => {
+    const start = Date.parse('2026-01-01T00:00:00Z');
+    monitor.summarize([entry('a', 1000, 1000)], start);
+    monitor.summarize([entry('a', 1000, 1000), entry('b', 1000, 1000)], start + 120000);
+    const snapshot = monitor.summarize([entry('b', 1000, 1000), entry('c', 1000, 1000)], start + 125000);
+
+    expect(snapshot.ageDistribution.map(bucket => bucket.count)).toEqual([2, 0, 0, 0, 0]);
+    expect(monitor.firstSeen.has('a')).toBe(false);
+    expect(snapshot.agesSince).toBe('2026-01-01T00:00:00.000Z');
+
+    const later = monitor.summarize([entry('b', 1000, 1000)], start + 200000);
+    expect(later.ageDistribution.map(bucket => bucket.count)).toEqual([0, 0, 1, 0, 0]);
+  });
+
+  it('should estimate mass when the node omits verbose data', () => {
+    const tx = {
+      inputs: [{ signatureScript: 'ab'.repeat(66), sigOpCount: 1 }],
+      outputs: [
+        { scriptPublicKey: { scriptPublicKey: 'cd'.repeat(34) } },
+        { scriptPublicKey: { scriptPublicKey: 'cd'.repeat(34) } }
+      ]
+    };
+
+    const mass = MempoolMonitor.estimateMass(tx);
+    expect(mass).toBeGreaterThan(1700);
+    expect(mass).toBeLessThan(2200);
+    expect(monitor.summarize([{ fee: '4000', transaction: tx }]).totalMass).toBe(mass);
+  });
+
+  it('should share concurrent samples and expose metric samples', async () => {
+    client.getMempoolEntries.mockResolvedValue({ entries: [entry('a', 5000, 1000)] });
+
+    await Promise.all([monitor.sample(), monitor.sample(), monitor.getSnapshot()]);
+
+    expect(client.getMempoolEntries).toHaveBeenCalledTimes(1);
+    expect(monitor.getMetricSamples()).toEqual([
+      { metric: 'mempool.orphans', labels: {}, value: 0 },
+      { metric: 'mempool.mass', labels: {}, value: 1000 },
+      { metric: 'mempool.feerate_median', labels: {}, value: 5 },
+      { metric: 'mempool.fee_priority', labels: {}, value: 1 }
+    ]);
+  });
+
+  it('should not sample a fallback host and report node errors', async () => {
+    source = { host: 'seeder2.kaspad.net:16110', isLocal: false, fallback: true };
+    await expect(monitor.getSnapshot()).rejects.toThrow('Mempool analytics need the local node');
+    expect(client.getMempoolEntries).not.toHaveBeenCalled();
+    expect(monitor.getMetricSamples()).toEqual([]);
+
+    source = { host: 'localhost:16110', isLocal: true, fallback: false };
+    client.getMempoolEntries.mockResolvedValue({ error: { message: 'node is not synced' } });
+    await expect(monitor.sample()).rejects.toThrow('Mempool query failed: node is not synced');
+  });
+});
@@ -0,0 +1,191 @@
+// The store works on real partition files in a temporary directory
+jest.unmock('fs');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MetricsStore = require('../MetricsStore');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe('MetricsStore', () => {
+    let dataDir;
+    let store;
+
+    beforeEach(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-store-'));
+        store = new MetricsStore({ dataDir });
+        await store.initialize();
+    });
+
+    afterEach(async () => {
+        clearInterval(store.flushTimer);
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const readLines = (tier, partition) => fs.readFileSync(path.join(dataDir, 'metrics', tier, `${partition}.ndjson`), 'utf-8')
+        .trim().split('\n').map(line => JSON.parse(line));
+
+    describe('Recording', () => {
+        test('should aggregate samples into one-minute buckets', () => {
+            const t = Date.UTC(2024, 4, 1, 10, 0, 5);
+            store.record('system.cpu', 10, {}, t);
+            store.record('system.cpu', 30, {}, t + 20 * 1000);
+            store.record('system.cpu', 'n/a', {}, t + 30 * 1000);
+
+            const bucket = store.buffer.get('system.cpu{}');
+            expect(bucket).toMatchObject({ t: Date.UTC(2024, 4, 1, 10, 0), min: 10, max: 30, sum: 40, n: 2, last: 30 });
+        });
+
+        test('should keep label sets as separate series', () => {
+            store.recordMany([
+                { metric: 'container.memory', labels: { container: 'kaspa-node' }, value: 40 },
+                { metric: 'container.memory', labels: { container: 'timescaledb' }, value: 20 }
+            ]);
+
+            expect(store.getSeries()).toHaveLength(2);
+        });
+
+        test('should append closed buckets to daily partition files', async () => {
+            const t = Date.UTC(2024, 4, 1, 23, 59);
+            store.record('node.peers', 8, {}, t);
+            store.record('node.peers', 9, {}, t + MINUTE);
+
+            await store.flush(t + 2 * MINUTE);
+
+            expect(readLines('1m', '2024-05-01')).toHaveLength(1);
+            expect(readLines('1m', '2024-05-02')[0]).toMatchObject({ m: 'node.peers', last: 9 });
+        });
+
+        test('should keep the open bucket until the minute closes', async () => {
+            const t = Date.now();
+            store.record('node.peers', 8, {}, t);
+
+            await store.flush(t);
+            expect(store.buffer.size).toBe(1);
+
+            await store.flush(t, { all: true });
+            expect(store.buffer.size).toBe(0);
+        });
+    });
+
+    describe('Rollups', () => {
+        test('should roll completed hours and days up into coarser tiers', async () => {
+            const dayStart = Date.UTC(2024, 4, 1);
+            const now = dayStart + DAY + 5 * MINUTE;
+            store.rollupState = { '1h': dayStart - DAY, '1d': dayStart - DAY };
+
+            // Two samples an hour over one day: 0 and 10, so hourly avg 5, min 0, max 10
+            for (let hour = 0; hour < 24; hour++) {
+                store.record('system.cpu', 0, {}, dayStart + hour * HOUR);
+                store.record('system.cpu', 10, {}, dayStart + hour * HOUR + 30 * MINUTE);
+            }
+
+            await store.flush(now);
+
+            const hourly = readLines('1h', '2024-05');
+            expect(hourly).toHaveLength(24);
+            expect(hourly[0]).toMatchObject({ t: dayStart, min: 0, max: 10, sum: 10, n: 2 });
+
+            const daily = readLines('1d', '2024');
+            expect(daily).toHaveLength(1);
+            expect(daily[0]).toMatchObject({ t: dayStart, sum: 240, n: 48, last: 10 });
+
+            expect(store.rollupState['1h']).toBe(dayStart + DAY);
+            const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'metrics', 'rollup-state.json'), 'utf-8'));
+            expect(saved['1d']).toBe(dayStart + DAY);
+        });
+
+        test('should not roll up a period twice', async () => {
+            const hourStart = Date.UTC(2024, 4, 1, 10);
+            store.rollupState = { '1h': hourStart };
+            store.record('system.cpu', 50, {}, hourStart + MINUTE);
+
+            await store.flush(hourStart + HOUR + MINUTE);
+            await store.flush(hourStart + HOUR + 2 * MINUTE);
+
+            expect(readLines('1h', '2024-05')).toHaveLength(1);
+        });
+    });
+
+    describe('Retention', () => {
+        test('should delete partitions past their tier retention', async () => {
+            const minuteDir = path.join(dataDir, 'metrics', '1m');
+            fs.writeFileSync(path.join(minuteDir, '2024-05-01.ndjson'), '');
+            fs.writeFileSync(path.join(minuteDir, '2024-05-03.ndjson'), '');
+
+            const removed = await store.applyRetention(Date.UTC(2024, 4, 4, 12));
+
+            expect(removed).toBe(1);
+            expect(fs.readdirSync(minuteDir)).toEqual(['2024-05-03.ndjson']);
+        });
+    });
+
+    describe('Queries', () => {
+        test('should return stepped points from the finest tier for recent ranges', async () => {
+            const start = Math.floor((Date.now() - HOUR) / HOUR) * HOUR;
+            for (let minute = 0; minute < 10; minute++) {
+                store.record('system.memory', minute, {}, start + minute * MINUTE);
+            }
+            await store.flush(start + 10 * MINUTE);
+
+            const result = await store.query({ metric: 'system.memory', start, end: start + 10 * MINUTE, step: 5 * MINUTE, aggregate: 'max' });
+
+            expect(result.tier).toBe('1m');
+            expect(result.series[0].points).toEqual([[start, 4], [start + 5 * MINUTE, 9]]);
+        });
+
+        test('should include samples not yet flushed', async () => {
+            const now = Date.now();
+            store.record('node.peers', 12, {}, now);
+
+            const result = await store.query({ metric: 'node.peers', start: now - MINUTE, end: now + MINUTE });
+            expect(result.series[0].points[0][1]).toBe(12);
+        });
+
+        test('should filter series by labels', async () => {
+            const now = Date.now();
+            store.record('container.cpu', 5, { container: 'kaspa-node' }, now);
+            store.record('container.cpu', 7, { container: 'k-indexer' }, now);
+
+            const result = await store.query({ metric: 'container.cpu', labels: { container: 'k-indexer' }, start: now - MINUTE, end: now + MINUTE });
+            expect(result.series).toHaveLength(1);
+            expect(result.series[0].labels.container).toBe('k-indexer');
+        });
+
+        test('should use coarser tiers for long ranges and fill recent gaps from finer ones', async () => {
+            const now = Date.now();
+            const rolledUntil = Math.floor(now / HOUR) * HOUR - HOUR;
+            store.rollupState = { '1h': rolledUntil };
+            await store.appendBuckets(store.tiers[1], [
+                { t: rolledUntil - HOUR, m: 'node.daa_score', l: {}, min: 100, max: 200, sum: 300, n: 2, last: 200 }
+            ]);
+            store.record('node.daa_score', 400, {}, rolledUntil + MINUTE);
+
+            const result = await store.query({ metric: 'node.daa_score', start: now - 30 * DAY, end: now, step: HOUR, aggregate: 'last' });
+
+            expect(result.tier).toBe('1h');
+            expect(result.series[0].points).toEqual([[rolledUntil - HOUR, 200], [rolledUntil, 400]]);
+        });
+
+        test('should select tiers by range and step', () => {
+            const now = Date.now();
+            expect(store.selectTier(now - HOUR, MINUTE, now)).toBe(0);
+            expect(store.selectTier(now - DAY, HOUR, now)).toBe(1);
+            expect(store.selectTier(now - 30 * DAY, MINUTE, now)).toBe(1);
+            expect(store.selectTier(now - 365 * DAY, DAY, now)).toBe(2);
+        });
+    });
+
+    describe('Shutdown', () => {
+        test('should flush open buckets on shutdown', async () => {
+            store.record('system.disk', 42);
+            await store.shutdown();
+
+            const partition = new Date().toISOString().slice(0, 10);
+            expect(readLines('1m', partition)[0].last).toBe(42);
+        });
+    });
+});
@@ -0,0 +1,144 @@
+const NodeExplorer = require('../NodeExplorer');
+
+const BLOCK_HASH = 'a'.repeat(64);
+const TX_ID = 'b'.repeat(64);
+const ADDRESS = 'kaspa:qypr7ayn2rzp7pnhqlk4lxm6ql5e6hwsuf2lqkxyqnm6ymnu0cfn7hs6ym3vvm6';
+
+const rpcBlock = {
+  header: {
+    version: 1,
+    parents: [{ parentHashes: ['c'.repeat(64), 'd'.repeat(64)] }, { parentHashes: ['e'.repeat(64)] }],
+    timestamp: '1760000000000',
+    daaScore: '1000',
+    blueScore: '900',
+    blueWork: 'ff',
+    bits: 1,
+    nonce: '42',
+    hashMerkleRoot: '1'.repeat(64),
+    acceptedIdMerkleRoot: '2'.repeat(64),
+    utxoCommitment: '3'.repeat(64),
+    pruningPoint: '4'.repeat(64)
+  },
+  transactions: [{
+    subnetworkId: '0100000000000000000000000000000000000000',
+    inputs: [],
+    outputs: [{ amount: '50000000000', verboseData: { scriptPublicKeyAddress: ADDRESS, scriptPublicKeyType: 'pubkey' } }],
+    verboseData: { transactionId: TX_ID, mass: '0', blockTime: '1760000000000' }
+  }],
+  verboseData: {
+    hash: BLOCK_HASH,
+    selectedParentHash: 'c'.repeat(64),
+    childrenHashes: ['f'.repeat(64)],
+    mergeSetBluesHashes: ['c'.repeat(64)],
+    mergeSetRedsHashes: [],
+    isChainBlock: true,
+    transactionIds: [TX_ID],
+    difficulty: 12.5
+  }
+};
+
+describe('NodeExplorer', () => {
+  let explorer;
+  let nodeClient;
+  let rpcClient;
+  let walletManager;
+  let indexerRunning;
+  let indexerRows;
+
+  beforeEach(() => {
+    indexerRunning = false;
+    indexerRows = null;
+    global.mockExecAsync(command => {
+      if (command.startsWith('docker ps')) {
+        return { stdout: indexerRunning ? 'timescaledb-explorer\n' : '', stderr: '' };
+      }
+      return { stdout: indexerRows ? JSON.stringify(indexerRows) : '', stderr: '' };
+    });
+
+    rpcClient = { getMempoolEntry: jest.fn().mockResolvedValue({ error: { message: 'not in mempool' } }) };
+    nodeClient = {
+      ensureConnected: jest.fn().mockResolvedValue(rpcClient),
+      getBlock: jest.fn().mockResolvedValue(rpcBlock),
+      getBlockDagInfo: jest.fn().mockResolvedValue({ virtualDaaScore: 1500 })
+    };
+    walletManager = {
+      getBalanceByAddress: jest.fn().mockResolvedValue({ address: ADDRESS, balanceSompi: '100000000', balance: 1 }),
+      getUtxos: jest.fn().mockResolvedValue([{ transactionId: TX_ID, index: 0 }])
+    };
+    explorer = new NodeExplorer({ nodeClient, walletManager });
+  });
+
+  it('should describe a block with its DAG relations and transactions', async () => {
+    const block = await explorer.getBlock(BLOCK_HASH.toUpperCase());
+
+    expect(nodeClient.getBlock).toHaveBeenCalledWith(BLOCK_HASH, true);
+    expect(block).toMatchObject({
+      hash: BLOCK_HASH,
+      header: { daaScore: 1000, blueScore: 900, nonce: '42', timestamp: '2025-10-09T08:53:20.000Z' },
+      parents: ['c'.repeat(64), 'd'.repeat(64)],
+      mergeSetBlues: ['c'.repeat(64)],
+      isChainBlock: true,
+      confirmations: 500
+    });
+    expect(block.transactions[0]).toMatchObject({ transactionId: TX_ID, isCoinbase: true, totalOutput: 500 });
+    expect(block.transactions[0].outputs[0]).toMatchObject({ address: ADDRESS, amountSompi: '50000000000' });
+  });
+
+  it('should find blocks, pending transactions and addresses through search', async () => {
+    expect((await explorer.search(BLOCK_HASH)).type).toBe('block');
+
+    nodeClient.getBlock.mockRejectedValue(new Error('Failed to get block: Block aaaa not found'));
+    rpcClient.getMempoolEntry.mockResolvedValue({ entry: { fee: '2000', isOrphan: false, transaction: rpcBlock.transactions[0] } });
+    const found = await explorer.search(TX_ID);
+    expect(found.type).toBe('transaction');
+    expect(found.result).toMatchObject({ status: 'pending', accepted: false, confirmations: 0, fee: 2000, source: 'mempool' });
+
+    const address = await explorer.search(` ${ADDRESS} `);
+    expect(address).toMatchObject({ type: 'address', result: { balance: 1, utxoCount: 1, historySource: null } });
+  });
+
+  it('should reject malformed input and report unknown hashes', async () => {
+    await expect(explorer.search('hello')).rejects.toThrow('Invalid lookup');
+    await expect(explorer.getBlock('abc')).rejects.toThrow('Invalid lookup: a block hash is 64 hex characters');
+
+    nodeClient.getBlock.mockRejectedValue(new Error('Failed to get block: Block aaaa not found'));
+    await expect(explorer.search(BLOCK_HASH)).rejects.toThrow('need the explorer indexer');
+
+    nodeClient.getBlock.mockRejectedValue(new Error('Failed to get block: connection refused'));
+    await expect(explorer.search(BLOCK_HASH)).rejects.toThrow('connection refused');
+  });
+
+  it('should read a transaction from a given block without the indexer', async () => {
+    const tx = await explorer.getTransaction(TX_ID, { blockHash: BLOCK_HASH });
+
+    expect(tx).toMatchObject({ transactionId: TX_ID, status: 'included', accepted: null, confirmations: 500, source: 'node' });
+  });
+
+  it('should take acceptance and confirmation depth from the indexer', async () => {
+    indexerRunning = true;
+    indexerRows = {
+      tx: { transaction_id: TX_ID, block_hash: BLOCK_HASH, block_time: 1760000000000, subnetwork_id: '0000000000000000000000000000000000000000', fee: 3000, mass: 2036 },
+      inputs: [{ previous_outpoint_hash: 'c'.repeat(64), previous_outpoint_index: 1, sig_op_count: 1, value: 200000000, address: ADDRESS }],
+      outputs: [{ output_index: 0, value: 199997000, address: ADDRESS, is_spent: false, spent_by_transaction_id: null }],
+      acceptance: { block_hash: 'f'.repeat(64), daa_score: 1010 }
+    };
+
+    const tx = await explorer.getTransaction(TX_ID);
+
+    expect(tx).toMatchObject({
+      status: 'accepted',
+      accepted: true,
+      acceptingBlockHash: 'f'.repeat(64),
+      confirmations: 490,
+      fee: 3000,
+      isCoinbase: false,
+      source: 'indexer'
+    });
+    expect(tx.inputs[0]).toMatchObject({ amountSompi: '200000000', address: ADDRESS });
+    expect(tx.outputs[0]).toMatchObject({ amount: 1.99997, spent: false });
+
+    const { exec } = require('child_process');
+    const query = exec.mock.calls.find(([command]) => command.startsWith('docker exec'))[0];
+    expect(query).toContain('docker exec timescaledb-explorer psql -U kaspa_explorer -d simply_kaspa');
+  });
+});
@@ -0,0 +1,161 @@
+jest.mock('../../../shared/lib/node-snapshot', () => ({
+  findDataVolume: jest.fn(),
+  listSnapshots: jest.fn(),
+  readSnapshot: jest.fn(),
+  deleteSnapshot: jest.fn(),
+  exportSnapshot: jest.fn()
+}));
+
+const nodeSnapshot = require('../../../shared/lib/node-snapshot');
+const NodeSnapshotManager = require('../NodeSnapshotManager');
+const ServiceMonitor = require('../ServiceMonitor');
+
+const MANIFEST = {
+  format: 1,
+  id: 'snapshot_1760781600000_abc123def',
+  createdAt: '2026-10-18T10:00:00.000Z',
+  network: 'mainnet',
+  nodeVersion: '1.0.1',
+  daaScore: '123456789',
+  synced: true,
+  dataBytes: 4096,
+  fileCount: 2,
+  archive: { file: 'snapshot_1760781600000_abc123def.tar.gz', size: 1024, sha256: 'a'.repeat(64) },
+  checksums: { file: 'snapshot_1760781600000_abc123def.sha256', sha256: 'b'.repeat(64) }
+};
+
+describe('NodeSnapshotManager', () => {
+  let manager;
+  let controller;
+  let nodeClient;
+  let events; // stop/start/pause/unpause/export in the order they happened
+
+  beforeEach(() => {
+    events = [];
+    nodeClient = {
+      getSource: jest.fn(() => ({ isLocal: true })),
+      getNodeInfo: jest.fn(async () => ({ serverVersion: '1.0.1', isSynced: true, networkName: 'mainnet' })),
+      getBlockDagInfo: jest.fn(async () => ({ virtualDaaScore: 123456789 })),
+      getCurrentNetwork: jest.fn(async () => ({ network: 'mainnet' }))
+    };
+
+    const serviceMonitor = new ServiceMonitor();
+    jest.spyOn(serviceMonitor, 'getDockerServices').mockResolvedValue(new Map([
+      ['kaspa-node', { isRunning: true }],
+      ['kaspa-stratum', { isRunning: true }],
+      ['kaspa-explorer', { isRunning: true }]
+    ]));
+    controller = {
+      serviceMonitor,
+      gracefulStop: jest.fn(async name => { events.push(`stop ${name}`); }),
+      executeDockerCommand: jest.fn(async (command, name) => { events.push(`${command} ${name}`); }),
+      waitForServiceHealthy: jest.fn(async () => true)
+    };
+
+    nodeSnapshot.findDataVolume.mockResolvedValue({ name: 'kaspa-aio_kaspa-data', type: 'volume', destination: '/data/kaspa' });
+    nodeSnapshot.exportSnapshot.mockImplementation(async (volume, dir, info, onProgress) => {
+      events.push(`export ${volume}`);
+      onProgress({ phase: 'archive', bytes: 4096, bytesTotal: 4096 });
+      return MANIFEST;
+    });
+
+    manager = new NodeSnapshotManager({
+      snapshotDir: '/tmp/snapshots',
+      serviceController: controller,
+      getNodeClient: () => nodeClient
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  const runExport = async (options = {}) => {
+    const run = await manager.startExport(options);
+    await run.promise;
+    return manager.getRun(run.id);
+  };
+
+  test('should stop the node and its dependents, export the volume and start them again in order', async () => {
+    const run = await runExport({ actor: 'admin' });
+
+    expect(run).toMatchObject({ kind: 'export', mode: 'stop', status: 'completed', volume: 'kaspa-aio_kaspa-data', actor: 'admin', error: null });
+    expect(events).toEqual([
+      'stop kaspa-stratum',
+      'stop kaspa-node',
+      'export kaspa-aio_kaspa-data',
+      'start kaspa-node',
+      'start kaspa-stratum'
+    ]);
+    expect(nodeSnapshot.exportSnapshot).toHaveBeenCalledWith(
+      'kaspa-aio_kaspa-data',
+      '/tmp/snapshots',
+      { network: 'mainnet', nodeVersion: '1.0.1', daaScore: 123456789, synced: true },
+      expect.any(Function)
+    );
+    expect(run.snapshot).toEqual(MANIFEST);
+    expect(run.progress).toEqual({ phase: 'archive', bytes: 4096, bytesTotal: 4096 });
+    expect(run.health).toEqual([
+      { service: 'kaspa-node', healthy: true },
+      { service: 'kaspa-stratum', healthy: true }
+    ]);
+    expect(run).not.toHaveProperty('promise');
+  });
+
+  test('should pause the node instead of stopping it when asked', async () => {
+    const run = await runExport({ mode: 'pause' });
+
+    expect(run.status).toBe('completed');
+    expect(events).toEqual(['pause kaspa-node', 'export kaspa-aio_kaspa-data', 'unpause kaspa-node']);
+    expect(controller.gracefulStop).not.toHaveBeenCalled();
+  });
+
+  test('should start the node again when the export fails', async () => {
+    nodeSnapshot.exportSnapshot.mockRejectedValue(new Error('docker run failed: no space left on device'));
+
+    const run = await runExport();
+
+    expect(run.status).toBe('failed');
+    expect(run.error).toBe('docker run failed: no space left on device');
+    expect(run.snapshot).toBeNull();
+    expect(events).toEqual(['stop kaspa-stratum', 'stop kaspa-node', 'start kaspa-node', 'start kaspa-stratum']);
+  });
+
+  test('should report a node that does not come back healthy', async () => {
+    controller.waitForServiceHealthy.mockImplementation(async name => name !== 'kaspa-node');
+
+    const run = await runExport();
+
+    expect(run.status).toBe('completed_with_errors');
+    expect(run.health).toContainEqual({ service: 'kaspa-node', healthy: false });
+  });
+
+  test('should refuse to export while connected to a fallback node', async () => {
+    nodeClient.getSource.mockReturnValue({ isLocal: false, fallback: true });
+
+    await expect(manager.startExport()).rejects.toThrow(/^Node unavailable/);
+    expect(controller.gracefulStop).not.toHaveBeenCalled();
+  });
+
+  test('should reject an unknown mode and a second export while one runs', async () => {
+    await expect(manager.startExport({ mode: 'freeze' })).rejects.toThrow(/^Invalid request: mode/);
+
+    const run = await manager.startExport();
+    await expect(manager.startExport()).rejects.toThrow(/^Invalid request: snapshot export .* is already running/);
+    await run.promise;
+    await expect(runExport()).resolves.toMatchObject({ status: 'completed' });
+  });
+
+  test('should resolve download files from the manifest', async () => {
+    nodeSnapshot.readSnapshot.mockResolvedValue(MANIFEST);
+
+    await expect(manager.getSnapshotFile(MANIFEST.id, 'archive')).resolves.toBe(`/tmp/snapshots/${MANIFEST.archive.file}`);
+    await expect(manager.getSnapshotFile(MANIFEST.id, 'manifest')).resolves.toBe(`/tmp/snapshots/${MANIFEST.id}.json`);
+    await expect(manager.getSnapshotFile(MANIFEST.id, '../../etc/passwd')).rejects.toThrow(/^Invalid request/);
+  });
+
+  test('should report unknown runs as not found', () => {
+    expect(() => manager.getRun('snaprun_missing')).toThrow(/^Not found/);
+  });
+});
@@ -0,0 +1,369 @@
+// Deliveries go to local stand-ins (an HTTP receiver and an SMTP sink), so use real axios
+jest.unmock('axios');
+
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const NotificationManager = require('../NotificationManager');
+
+/**
+ * Minimal local HTTP receiver that records requests
+ */
+function startHttpReceiver(statusSequence = []) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ method: req.method, url: req.url, headers: req.headers, body });
+            const status = statusSequence.length > 0 ? statusSequence.shift() : 200;
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end('{}');
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, received, url: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+/**
+ * Minimal local SMTP sink that accepts one message per session
+ */
+function startSmtpSink() {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let inData = false;
+        let data = '';
+        const envelope = { from: null, to: [] };
+
+        socket.write('220 localhost ESMTP test sink\r\n');
+        socket.on('data', chunk => {
+            const lines = chunk.toString().split('\r\n');
+            lines.forEach(line => {
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push({ ...envelope, data });
+                        socket.write('250 OK: queued\r\n');
+                    } else {
+                        data += `${line}\n`;
+                    }
+                    return;
+                }
+
+                const command = line.toUpperCase();
+                if (command.startsWith('EHLO') || command.startsWith('HELO')) {
+                    socket.write('250 localhost\r\n');
+                } else if (command.startsWith('MAIL FROM')) {
+                    envelope.from = line.slice(10);
+                    socket.write('250 OK\r\n');
+                } else if (command.startsWith('RCPT TO')) {
+                    envelope.to.push(line.slice(8));
+                    socket.write('250 OK\r\n');
+                } else if (command === 'DATA') {
+                    inData = true;
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else if (command === 'RSET' || command === 'NOOP') {
+                    socket.write('250 OK\r\n');
+                } else if (line.length > 0) {
+                    socket.write('502 Command not implemented\r\n');
+                }
+            });
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, messages, port: server.address().port });
+        });
+    });
+}
+
+const criticalAlert = (overrides = {}) => ({
+    id: 'alert_1',
+    type: 'service_failure',
+    severity: 'critical',
+    title: 'Service Unhealthy: Kaspa Node',
+    message: 'Kaspa Node is running but not responding to health checks.',
+    source: 'kaspa-node',
+    data: { serviceName: 'kaspa-node' },
+    timestamp: '2024-05-01T10:00:00.000Z',
+    ...overrides
+});
+
+describe('NotificationManager', () => {
+    let manager;
+    let receiver;
+
+    beforeEach(async () => {
+        fs.promises.writeFile.mockResolvedValue();
+        manager = new NotificationManager({ retryDelayMs: 0 });
+        receiver = await startHttpReceiver();
+    });
+
+    afterEach(done => {
+        manager.shutdown();
+        receiver.server.close(done);
+    });
+
+    describe('Channel management', () => {
+        test('should reject invalid channel definitions', () => {
+            expect(manager.validateChannel({ name: 'x', type: 'pager' })[0]).toMatch(/type must be one of/);
+            expect(manager.validateChannel({ name: 'x', type: 'webhook', config: {} })).toContain('config.url is required for webhook channels');
+            expect(manager.validateChannel({ name: 'x', type: 'webhook', config: { url: 'ftp://x' } })).toContain('config.url must be an http(s) URL');
+            expect(manager.validateChannel({ name: 'x', type: 'ntfy', minSeverity: 'loud', config: { server: 'http://a', topic: 't' } })[0]).toMatch(/minSeverity/);
+        });
+
+        test('should persist channels and mask secrets in responses', async () => {
+            const channel = await manager.addChannel({
+                name: 'Bot',
+                type: 'telegram',
+                config: { botToken: '123:abc', chatId: '42' }
+            });
+
+            expect(channel.config.botToken).toBe('***');
+            expect(channel.config.chatId).toBe('42');
+            expect(fs.promises.writeFile).toHaveBeenCalledWith(
+                expect.stringContaining('notification-channels.json'),
+                expect.stringContaining('123:abc'),
+                { mode: 0o600 }
+            );
+        });
+
+        test('should keep stored secrets when masked values are sent back', async () => {
+            const channel = await manager.addChannel({
+                name: 'Gotify',
+                type: 'gotify',
+                config: { server: receiver.url, token: 'real-token' }
+            });
+
+            await manager.updateChannel(channel.id, { name: 'Renamed', config: { token: '***' } });
+
+            expect(manager.channels.get(channel.id).config.token).toBe('real-token');
+            expect(manager.channels.get(channel.id).name).toBe('Renamed');
+        });
+
+        test('should mask webhook URLs and headers and keep them when sent back masked', async () => {
+            const channel = await manager.addChannel({
+                name: 'Slack',
+                type: 'webhook',
+                config: {
+                    url: 'https://hooks.slack.com/services/T000/B000/secret',
+                    headers: { Authorization: 'Bearer hook-secret', 'X-Team': 'ops' }
+                }
+            });
+
+            expect(channel.config.url).toBe('***');
+            expect(channel.config.headers).toEqual({ Authorization: '***', 'X-Team': '***' });
+            expect(manager.getChannels()[0].config).toEqual(channel.config);
+
+            await manager.updateChannel(channel.id, {
+                config: { ...channel.config, headers: { ...channel.config.headers, 'X-Team': 'infra' } }
+            });
+
+            expect(manager.channels.get(channel.id).config).toEqual({
+                url: 'https://hooks.slack.com/services/T000/B000/secret',
+                headers: { Authorization: 'Bearer hook-secret', 'X-Team': 'infra' }
+            });
+        });
+
+        test('should mask credentials nested in other channel settings', () => {
+            const masked = manager.maskChannel({
+                type: 'smtp',
+                config: { host: 'mail.example.com', auth: { user: 'alerts', pass: 'smtp-secret' }, tls: { servername: 'mail', passphrase: 'key-secret' } }
+            });
+
+            expect(masked.config).toEqual({
+                host: 'mail.example.com',
+                auth: { user: '***', pass: '***' },
+                tls: { servername: 'mail', passphrase: '***' }
+            });
+        });
+
+        test('should load channels from disk', async () => {
+            fs.promises.readFile.mockResolvedValue(JSON.stringify([
+                { id: 'channel_1', name: 'Hook', type: 'webhook', enabled: true, config: { url: 'http://x' } }
+            ]));
+
+            await manager.loadChannels();
+            expect(manager.getChannels()).toHaveLength(1);
+        });
+    });
+
+    describe('HTTP channel delivery', () => {
+        test('should POST signed JSON to a webhook', async () => {
+            await manager.addChannel({
+                name: 'Hook',
+                type: 'webhook',
+                config: { url: `${receiver.url}/hook`, secret: 's3cret' }
+            });
+
+            const [result] = await manager.notify(criticalAlert());
+
+            expect(result.success).toBe(true);
+            expect(receiver.received).toHaveLength(1);
+            const request = receiver.received[0];
+            expect(request.url).toBe('/hook');
+            expect(JSON.parse(request.body).severity).toBe('critical');
+            expect(request.headers['x-kaspa-signature']).toMatch(/^sha256=[0-9a-f]{64}$/);
+        });
+
+        test('should publish to ntfy with priority headers', async () => {
+            await manager.addChannel({
+                name: 'ntfy',
+                type: 'ntfy',
+                config: { server: receiver.url, topic: 'kaspa-alerts' }
+            });
+
+            await manager.notify(criticalAlert());
+
+            const request = receiver.received[0];
+            expect(request.url).toBe('/kaspa-alerts');
+            expect(request.headers.priority).toBe('5');
+            expect(request.body).toContain('not responding');
+        });
+
+        test('should send to Gotify and Telegram-style bot APIs', async () => {
+            await manager.addChannel({ name: 'Gotify', type: 'gotify', config: { server: receiver.url, token: 'tok' } });
+            await manager.addChannel({ name: 'Bot', type: 'telegram', config: { apiUrl: receiver.url, botToken: '123:abc', chatId: '42' } });
+
+            await manager.notify(criticalAlert());
+
+            const urls = receiver.received.map(r => r.url).sort();
+            expect(urls).toEqual(['/bot123:abc/sendMessage', '/message']);
+            const gotify = receiver.received.find(r => r.url === '/message');
+            expect(gotify.headers['x-gotify-key']).toBe('tok');
+            expect(JSON.parse(gotify.body).priority).toBe(8);
+        });
+
+        test('should retry failed deliveries', async () => {
+            receiver.server.close();
+            receiver = await startHttpReceiver([500, 502]);
+            await manager.addChannel({ name: 'Hook', type: 'webhook', retries: 3, config: { url: receiver.url } });
+
+            const [result] = await manager.notify(criticalAlert());
+
+            expect(result.success).toBe(true);
+            expect(result.attempts).toBe(3);
+        });
+
+        test('should report failure after exhausting retries', async () => {
+            receiver.server.close();
+            receiver = await startHttpReceiver([500, 500]);
+            await manager.addChannel({ name: 'Hook', type: 'webhook', retries: 1, config: { url: receiver.url } });
+
+            const [result] = await manager.notify(criticalAlert());
+
+            expect(result.success).toBe(false);
+            expect(result.attempts).toBe(2);
+            expect(manager.getDeliveryLog({ failed: true })).toHaveLength(1);
+        });
+    });
+
+    describe('Filtering', () => {
+        test('should apply per-channel minimum severity', async () => {
+            await manager.addChannel({ name: 'Critical only', type: 'webhook', minSeverity: 'critical', config: { url: receiver.url } });
+
+            const results = await manager.notify(criticalAlert({ severity: 'warning' }));
+
+            expect(results).toHaveLength(0);
+            expect(receiver.received).toHaveLength(0);
+        });
+
+        test('should deduplicate repeats of the same alert', async () => {
+            await manager.addChannel({ name: 'Hook', type: 'webhook', config: { url: receiver.url } });
+
+            await manager.notify(criticalAlert({ id: 'a1' }));
+            await manager.notify(criticalAlert({ id: 'a2' }));
+
+            expect(receiver.received).toHaveLength(1);
+            expect(manager.getDeliveryLog()[0].skipped).toBe('duplicate');
+        });
+
+        test('should rate limit deliveries per channel', async () => {
+            await manager.addChannel({
+                name: 'Hook',
+                type: 'webhook',
+                dedupeWindowMs: 0,
+                rateLimit: { max: 2, windowMs: 60000 },
+                config: { url: receiver.url }
+            });
+
+            for (let i = 0; i < 3; i++) {
+                await manager.notify(criticalAlert({ id: `a${i}`, source: `svc-${i}` }));
+            }
+
+            expect(receiver.received).toHaveLength(2);
+            expect(manager.getStats().skipped).toBe(1);
+        });
+
+        test('should skip disabled channels', async () => {
+            await manager.addChannel({ name: 'Hook', type: 'webhook', enabled: false, config: { url: receiver.url } });
+            await manager.notify(criticalAlert());
+            expect(receiver.received).toHaveLength(0);
+        });
+    });
+
+    describe('Test notifications', () => {
+        test('should bypass severity filters', async () => {
+            const channel = await manager.addChannel({ name: 'Hook', type: 'webhook', minSeverity: 'critical', config: { url: receiver.url } });
+
+            const result = await manager.sendTestNotification(channel.id);
+
+            expect(result.success).toBe(true);
+            expect(JSON.parse(receiver.received[0].body).alert.type).toBe('notification_test');
+        });
+
+        test('should return null for unknown channels', async () => {
+            expect(await manager.sendTestNotification('missing')).toBeNull();
+        });
+    });
+
+    describe('SMTP delivery', () => {
+        test('should deliver email to a local SMTP sink', async () => {
+            const sink = await startSmtpSink();
+            try {
+                const channel = await manager.addChannel({
+                    name: 'Email',
+                    type: 'smtp',
+                    config: {
+                        host: '127.0.0.1',
+                        port: sink.port,
+                        from: 'node@example.com',
+                        to: 'ops@example.com',
+                        ignoreTLS: true
+                    }
+                });
+
+                const result = await manager.sendTestNotification(channel.id);
+
+                expect(result.success).toBe(true);
+                expect(sink.messages).toHaveLength(1);
+                expect(sink.messages[0].to[0]).toContain('ops@example.com');
+                expect(sink.messages[0].data).toContain('Subject: [INFO] Kaspa All-in-One test notification');
+            } finally {
+                sink.server.close();
+            }
+        });
+    });
+
+    describe('AlertManager integration', () => {
+        test('should deliver alerts raised by AlertManager', async () => {
+            const AlertManager = require('../AlertManager');
+            const notify = jest.spyOn(manager, 'notify').mockResolvedValue([]);
+            const alertManager = new AlertManager(null, manager);
+
+            alertManager.processServiceUpdates([
+                { name: 'kaspa-node', displayName: 'Kaspa Node', status: 'unhealthy', profile: 'core' }
+            ]);
+
+            expect(notify).toHaveBeenCalledWith(expect.objectContaining({ type: 'service_failure' }));
+            alertManager.shutdown();
+        });
+    });
+});
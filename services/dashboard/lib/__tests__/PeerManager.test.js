@@ -0,0 +1,153 @@
+const PeerManager = require('../PeerManager');
+const fs = require('fs').promises;
+
+const PEER_A = {
+  id: 'peer-a',
+  address: '203.0.113.5:16111',
+  isOutbound: true,
+  userAgent: '/kaspad:0.14.1/kaspad:0.14.1/',
+  advertisedProtocolVersion: 6,
+  timeConnected: String(Date.now() - 3600000),
+  lastPingDuration: '42',
+  isIbdPeer: true
+};
+const PEER_B = {
+  id: 'peer-b',
+  address: '[2001:db8::7]:16111',
+  isOutbound: false,
+  userAgent: '/kaspad:0.13.4/',
+  timeConnected: String(Date.now() - 60000),
+  lastPingDuration: '120'
+};
+
+const createClient = (infos) => ({
+  getConnectedPeerInfo: jest.fn().mockResolvedValue({ infos }),
+  request: jest.fn().mockResolvedValue({})
+});
+
+describe('PeerManager', () => {
+  let peerManager;
+  let client;
+  let source;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.writeFile.mockResolvedValue();
+    client = createClient([PEER_A, PEER_B]);
+    source = { host: 'localhost:16110', isLocal: true, fallback: false };
+    peerManager = new PeerManager({ dataDir: '/tmp/peer-test', getClient: async () => client, getSource: () => source });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    peerManager.shutdown();
+    console.log.mockRestore();
+  });
+
+  describe('connected peers', () => {
+    it('should record peer details, summary and version distribution', async () => {
+      await peerManager.refresh();
+
+      const { peers, summary, versions } = peerManager.getPeers();
+      expect(peers[0]).toMatchObject({
+        address: '203.0.113.5:16111',
+        ip: '203.0.113.5',
+        direction: 'outbound',
+        version: 'kaspad 0.14.1',
+        protocolVersion: 6,
+        pingMs: 42,
+        isIbdPeer: true
+      });
+      expect(peers[0].connectedSeconds).toBeGreaterThanOrEqual(3599);
+      expect(peers[1]).toMatchObject({ ip: '2001:db8::7', direction: 'inbound' });
+      expect(summary).toEqual({ total: 2, inbound: 1, outbound: 1, ibdPeer: '203.0.113.5:16111', averagePingMs: 81 });
+      expect(versions).toEqual([{ version: 'kaspad 0.13.4', count: 1 }, { version: 'kaspad 0.14.1', count: 1 }]);
+      expect(peerManager.getLongLivedPeers(1).map(peer => peer.id)).toEqual(['peer-a']);
+    });
+
+    it('should turn snapshot differences into connect and disconnect history', async () => {
+      const listener = jest.fn();
+      peerManager.on('change', listener);
+      await peerManager.refresh();
+
+      client.getConnectedPeerInfo.mockResolvedValue({ infos: [PEER_A, { ...PEER_B, id: 'peer-c', address: '198.51.100.9:16111' }] });
+      await peerManager.refresh();
+
+      expect(peerManager.getHistory().events.map(event => [event.type, event.peerId])).toEqual([
+        ['disconnect', 'peer-b'],
+        ['connect', 'peer-c'],
+        ['connect', 'peer-b'],
+        ['connect', 'peer-a']
+      ]);
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls[1][0].disconnected[0].id).toBe('peer-b');
+
+      const churn = peerManager.getChurn({ hours: 2, bucketMinutes: 60 });
+      expect(churn.buckets).toHaveLength(2);
+      expect(churn.totals).toEqual({ connects: 3, disconnects: 1 });
+    });
+
+    it('should pick up peers that left while the dashboard was down', async () => {
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({
+        peers: [{ key: 'peer-old', id: 'peer-old', address: '192.0.2.1:16111', connectedAt: new Date(Date.now() - 7200000).toISOString(), lastSeen: new Date(Date.now() - 3600000).toISOString() }],
+        events: []
+      }));
+      await peerManager.loadHistory();
+
+      await peerManager.refresh();
+
+      const disconnect = peerManager.getHistory({ type: 'disconnect' }).events[0];
+      expect(disconnect).toMatchObject({ peerId: 'peer-old', durationSeconds: 3600 });
+    });
+
+    it('should not record the peers of a fallback host', async () => {
+      source = { host: 'seeder2.kaspad.net:16110', isLocal: false, fallback: true };
+
+      expect(await peerManager.refresh()).toBe(false);
+      expect(client.getConnectedPeerInfo).not.toHaveBeenCalled();
+      expect(peerManager.getPeers().summary.total).toBe(0);
+    });
+  });
+
+  describe('operator actions', () => {
+    it('should add peers through the node and keep them in the history', async () => {
+      expect(await peerManager.addPeer(' 203.0.113.8:16111 ', { permanent: true, actor: 'alice' }))
+        .toEqual({ address: '203.0.113.8:16111', permanent: true });
+
+      expect(client.request).toHaveBeenCalledWith('addPeerRequest', { address: '203.0.113.8:16111', isPermanent: true });
+      expect(peerManager.getHistory().events[0]).toMatchObject({ type: 'add', address: '203.0.113.8:16111', by: 'alice' });
+    });
+
+    it('should ban and unban by IP or peer address', async () => {
+      await peerManager.banPeer('[2001:db8::7]:16111', { actor: 'alice' });
+      await peerManager.unbanPeer('203.0.113.5');
+
+      expect(client.request).toHaveBeenCalledWith('banRequest', { ip: '2001:db8::7' });
+      expect(client.request).toHaveBeenCalledWith('unbanRequest', { ip: '203.0.113.5' });
+      expect(peerManager.getHistory({ type: 'ban' }).events).toEqual([expect.objectContaining({ address: '2001:db8::7', by: 'alice' })]);
+      expect(peerManager.getHistory({ type: 'unban' }).total).toBe(1);
+    });
+
+    it('should reject bad input, node errors and actions on a fallback host', async () => {
+      await expect(peerManager.addPeer('not a host')).rejects.toThrow('Invalid peer');
+      await expect(peerManager.addPeer('203.0.113.8:99999')).rejects.toThrow('Invalid peer');
+      await expect(peerManager.banPeer('example.com')).rejects.toThrow('Invalid peer: expected an IP address');
+
+      client.request.mockResolvedValue({ error: { message: 'cannot ban a whitelisted peer' } });
+      await expect(peerManager.banPeer('203.0.113.5')).rejects.toThrow('Peer query failed: cannot ban a whitelisted peer');
+
+      source = { host: 'seeder2.kaspad.net:16110', isLocal: false, fallback: true };
+      await expect(peerManager.addPeer('203.0.113.8:16111')).rejects.toThrow('Peer actions need the local node');
+      expect(peerManager.getHistory({ type: 'add' }).total).toBe(0);
+    });
+  });
+
+  describe('parsing', () => {
+    it('should split peer addresses and read versions from user agents', () => {
+      expect(PeerManager.parseAddress('[::1]:16111')).toEqual({ host: '::1', port: 16111, ip: '::1' });
+      expect(PeerManager.parseAddress('node.example.org')).toEqual({ host: 'node.example.org', port: null, ip: null });
+      expect(PeerManager.parseVersion('/kaspad:0.14.1/kaspad:0.14.1(kdx)/')).toBe('kaspad 0.14.1');
+      expect(PeerManager.parseVersion('')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const PrometheusExporter = require('../PrometheusExporter');
+
+const createSources = () => ({
+    serviceMonitor: {
+        checkAllServices: jest.fn().mockResolvedValue([
+            { name: 'kaspa-node', profile: 'core', status: 'healthy' },
+            { name: 'k-indexer', profile: 'k-indexer-bundle', status: 'unhealthy' },
+            { name: 'kasia-app', profile: 'kasia-app', status: 'stopped' }
+        ])
+    },
+    resourceMonitor: {
+        getSystemResources: jest.fn().mockResolvedValue({
+            cpu: 12.5, memory: 40, disk: 70, uptime: 3600, loadAverage: [0.5, 0.4, 0.3]
+        }),
+        getPerServiceResources: jest.fn().mockResolvedValue(new Map([
+            ['kaspa-node', { cpu: 8, memory: 55.5 }]
+        ]))
+    },
+    kaspaNodeClient: {
+        getNodeInfo: jest.fn().mockResolvedValue({
+            serverVersion: '1.0.0', networkName: 'mainnet', isSynced: true, peerCount: 8, mempoolSize: 42
+        }),
+        getBlockDagInfo: jest.fn().mockResolvedValue({
+            virtualDaaScore: '123456789', virtualSelectedParentBlueScore: '98765432', difficulty: 1.5e15
+        }),
+        getSyncStatus: jest.fn().mockResolvedValue({ progress: 100, networkHeight: 98765432 }),
+        getSource: jest.fn().mockReturnValue({ host: 'kaspa-node', isLocal: true, fallback: false })
+    },
+    alertManager: {
+        getActiveAlerts: jest.fn().mockReturnValue([{ severity: 'critical' }, { severity: 'warning' }, { severity: 'critical' }]),
+        getStats: jest.fn().mockReturnValue({ unacknowledged: 5 }),
+        ruleEngine: { getSilences: jest.fn().mockReturnValue([]) }
+    },
+    databaseMonitor: {
+        getPerformanceMetrics: jest.fn().mockResolvedValue({
+            databases: {
+                'timescaledb-kindexer': {
+                    available: true, connections: 4, maxConnections: 100, cacheHitRatio: 99.5,
+                    averageQueryTime: 250, slowQueries: 1, diskUsage: { bytes: 1048576 }
+                },
+                'timescaledb-explorer': { available: false, error: 'Database container not running' }
+            }
+        })
+    }
+});
+
+describe('PrometheusExporter', () => {
+    let sources;
+    let exporter;
+
+    beforeEach(() => {
+        sources = createSources();
+        exporter = new PrometheusExporter({
+            ...sources,
+            getKaspaNodeClient: () => sources.kaspaNodeClient,
+            getInstalledServiceNames: async () => new Set(['kaspa-node', 'k-indexer']),
+            cacheTtl: 0
+        });
+    });
+
+    test('should expose service health with consistent labels', async () => {
+        const text = await exporter.render();
+
+        expect(text).toContain('# TYPE kaspa_service_up gauge');
+        expect(text).toContain('kaspa_service_up{service="kaspa-node",profile="core"} 1');
+        expect(text).toContain('kaspa_service_up{service="k-indexer",profile="k-indexer-bundle"} 0');
+        expect(text).toContain('kaspa_service_status{service="k-indexer",profile="k-indexer-bundle",status="unhealthy"} 1');
+        // Not part of the installation
+        expect(text).not.toContain('kasia-app');
+    });
+
+    test('should expose host and container usage', async () => {
+        const text = await exporter.render();
+
+        expect(text).toContain('kaspa_host_cpu_usage_percent 12.5');
+        expect(text).toContain('kaspa_host_load_average{period="5m"} 0.4');
+        expect(text).toContain('kaspa_container_memory_usage_percent{container="kaspa-node"} 55.5');
+    });
+
+    test('should expose node sync state, DAA score, peers and mempool', async () => {
+        const text = await exporter.render();
+
+        expect(text).toContain('kaspa_node_up 1');
+        expect(text).toContain('kaspa_node_synced 1');
+        expect(text).toContain('kaspa_node_daa_score 123456789');
+        expect(text).toContain('kaspa_node_peers 8');
+        expect(text).toContain('kaspa_node_mempool_size 42');
+        expect(text).toContain('kaspa_node_sync_progress_percent 100');
+        expect(text).toContain('kaspa_node_info{version="1.0.0",network="mainnet"} 1');
+        expect(text).toContain('kaspa_node_fallback 0');
+    });
+
+    test('should flag a fallback node and leave out its gauges', async () => {
+        sources.kaspaNodeClient.getSource.mockReturnValue({ host: 'seeder.example', isLocal: false, fallback: true });
+
+        const text = await exporter.render();
+
+        expect(text).toContain('kaspa_node_fallback 1');
+        expect(text).toContain('kaspa_node_up 0');
+        expect(text).not.toContain('kaspa_node_daa_score');
+        expect(text).not.toContain('kaspa_node_peers');
+        expect(text).not.toContain('kaspa_node_network_height');
+        expect(sources.kaspaNodeClient.getNodeInfo).not.toHaveBeenCalled();
+    });
+
+    test('should report an unreachable node as node_up 0', async () => {
+        sources.kaspaNodeClient.getNodeInfo.mockRejectedValue(new Error('ECONNREFUSED'));
+
+        const text = await exporter.render();
+
+        expect(text).toContain('kaspa_node_up 0');
+        expect(text).not.toContain('kaspa_node_peers');
+        expect(text).toContain('kaspa_dashboard_collector_success{collector="node"} 1');
+    });
+
+    test('should expose active alerts by severity', async () => {
+        const text = await exporter.render();
+
+        expect(text).toContain('kaspa_alerts_active{severity="critical"} 2');
+        expect(text).toContain('kaspa_alerts_active{severity="info"} 0');
+        expect(text).toContain('kaspa_alerts_unacknowledged 5');
+    });
+
+    test('should expose database stats in base units', async () => {
+        const text = await exporter.render();
+
+        expect(text).toContain('kaspa_database_up{database="timescaledb-kindexer"} 1');
+        expect(text).toContain('kaspa_database_up{database="timescaledb-explorer"} 0');
+        expect(text).toContain('kaspa_database_cache_hit_ratio{database="timescaledb-kindexer"} 0.995');
+        expect(text).toContain('kaspa_database_mean_query_seconds{database="timescaledb-kindexer"} 0.25');
+        expect(text).toContain('kaspa_database_size_bytes{database="timescaledb-kindexer"} 1048576');
+    });
+
+    test('should keep other sources when one collector fails', async () => {
+        sources.resourceMonitor.getSystemResources.mockRejectedValue(new Error('uptime failed'));
+
+        const text = await exporter.render();
+
+        expect(text).toContain('kaspa_dashboard_collector_success{collector="host"} 0');
+        expect(text).toContain('kaspa_service_up{service="kaspa-node",profile="core"} 1');
+    });
+
+    test('should write each family header once', async () => {
+        const text = await exporter.render();
+        expect(text.match(/# TYPE kaspa_service_up /g)).toHaveLength(1);
+        expect(text.endsWith('\n')).toBe(true);
+    });
+
+    test('should escape label values', () => {
+        expect(exporter.formatLabels({ error: 'bad "quote"\nline\\' })).toBe('{error="bad \\"quote\\"\\nline\\\\"}');
+    });
+
+    test('should reuse a recent rendering within the cache window', async () => {
+        exporter.cacheTtl = 60000;
+        await exporter.render();
+        await exporter.render();
+
+        expect(sources.serviceMonitor.checkAllServices).toHaveBeenCalledTimes(1);
+    });
+});
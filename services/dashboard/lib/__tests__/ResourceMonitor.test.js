@@ -155,4 +155,42 @@ describe('ResourceMonitor', () => {
       expect(resourceMonitor.formatUptime(0)).toBe('0m');
     });
   });
-});
\ No newline at end of file
+
+  describe('history', () => {
+    it('should record system metrics into the metrics store', async () => {
+      const record = jest.spyOn(resourceMonitor.metricsStore, 'record');
+
+      await resourceMonitor.saveToHistory({
+        cpu: 42,
+        memory: 60,
+        disk: 30,
+        loadAverage: [1.5, 1.2, 1.0],
+        alerts: [],
+        timestamp: '2024-05-01T10:00:00.000Z'
+      });
+
+      expect(record).toHaveBeenCalledWith('system.cpu', 42, {}, Date.parse('2024-05-01T10:00:00.000Z'));
+      expect(record).toHaveBeenCalledWith('system.load', 1.5, {}, Date.parse('2024-05-01T10:00:00.000Z'));
+    });
+
+    it('should record per-container usage with a container label', () => {
+      const record = jest.spyOn(resourceMonitor.metricsStore, 'record');
+
+      resourceMonitor.recordServiceResources(new Map([['kaspa-node', { cpu: 12, memory: 48 }]]), 1000);
+
+      expect(record).toHaveBeenCalledWith('container.memory', 48, { container: 'kaspa-node' }, 1000);
+    });
+
+    it('should build history entries from buffered samples', async () => {
+      const now = Date.now();
+      resourceMonitor.metricsStore.record('system.cpu', 20, {}, now - 2 * 60 * 1000);
+      resourceMonitor.metricsStore.record('system.cpu', 40, {}, now);
+
+      const history = await resourceMonitor.getResourceHistory(null, { hours: 1, step: 60 * 1000 });
+
+      expect(history).toHaveLength(2);
+      expect(history[0].cpu).toBe(40);
+      expect(await resourceMonitor.getResourceTrends(1)).toMatchObject({ cpu: 'increasing' });
+    });
+  });
+});
@@ -3,6 +3,7 @@ const {
     rateLimiters,
     validateRequest,
     createIPWhitelist,
+    createBearerTokenAuth,
     securityLogger
 } = require('../SecurityMiddleware');
 
@@ -199,6 +200,44 @@ describe('SecurityMiddleware', () => {
         });
     });
 
+    describe('createBearerTokenAuth middleware', () => {
+        const request = (authorization) => ({
+            get: (header) => (header === 'Authorization' ? authorization : undefined)
+        });
+        const response = () => {
+            const res = { headers: {} };
+            res.set = (name, value) => { res.headers[name] = value; return res; };
+            res.status = jest.fn(() => res);
+            res.json = jest.fn(() => res);
+            return res;
+        };
+
+        test('should pass through when no token is configured', () => {
+            const next = jest.fn();
+            createBearerTokenAuth(undefined)(request(undefined), response(), next);
+            expect(next).toHaveBeenCalled();
+        });
+
+        test('should accept the configured token', () => {
+            const next = jest.fn();
+            createBearerTokenAuth('s3cret')(request('Bearer s3cret'), response(), next);
+            expect(next).toHaveBeenCalled();
+        });
+
+        test('should reject missing or wrong tokens with 401', () => {
+            const auth = createBearerTokenAuth('s3cret');
+            ['Bearer wrong', 'Basic s3cret', undefined].forEach(authorization => {
+                const res = response();
+                const next = jest.fn();
+                auth(request(authorization), res, next);
+
+                expect(next).not.toHaveBeenCalled();
+                expect(res.status).toHaveBeenCalledWith(401);
+                expect(res.headers['WWW-Authenticate']).toContain('Bearer');
+            });
+        });
+    });
+
     describe('securityLogger middleware', () => {
         test('should log security-relevant requests', (done) => {
             const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
@@ -0,0 +1,161 @@
+const TimescalePolicyManager = require('../TimescalePolicyManager');
+const fs = require('fs').promises;
+
+// A tiny TimescaleDB: two hypertables, three chunks of public.blocks, and
+// policy jobs that add_/remove_*_policy and compress_chunk act on
+function fakeDatabase() {
+  const state = {
+    jobs: [{ job_id: 1000, proc_name: 'policy_compression', hypertable_schema: 'public', hypertable_name: 'blocks', schedule_interval: '01:00:00', config: { compress_after: '02:00:00' }, scheduled: true }],
+    chunks: [
+      { chunk_schema: '_timescaledb_internal', chunk_name: 'c1', range_end: '2026-01-01', is_compressed: true, total_bytes: '100', old: true },
+      { chunk_schema: '_timescaledb_internal', chunk_name: 'c2', range_end: '2026-02-01', is_compressed: false, total_bytes: '400', old: true },
+      { chunk_schema: '_timescaledb_internal', chunk_name: 'c3', range_end: '2026-10-18', is_compressed: false, total_bytes: '500', old: false }
+    ],
+    statements: []
+  };
+
+  const responses = [
+    [/pg_extension/, () => [{ extversion: '2.17.2' }]],
+    [/FROM timescaledb_information\.hypertables h\s+LEFT JOIN/, () => [
+      { hypertable_schema: 'public', hypertable_name: 'blocks', num_chunks: '3', compression_enabled: true, time_column: 'created_at', time_type: 'timestamp with time zone', chunk_interval: '00:30:00', chunk_integer_interval: null, total_bytes: '1000' },
+      { hypertable_schema: 'public', hypertable_name: 'transactions', num_chunks: '0', compression_enabled: false, time_column: 'block_time', time_type: 'timestamp with time zone', chunk_interval: '00:15:00', chunk_integer_interval: null, total_bytes: '0' }
+    ]],
+    [/hypertable_compression_stats/, () => [{ hypertable_schema: 'public', hypertable_name: 'blocks', number_compressed_chunks: '1', before_compression_total_bytes: '1000', after_compression_total_bytes: '100' }]],
+    [/timescaledb_information\.jobs/, () => state.jobs],
+    [/FROM timescaledb_information\.chunks/, () => state.chunks],
+    [/chunk_compression_stats/, () => []],
+    [/show_chunks/, () => state.chunks.filter(chunk => chunk.old)],
+    [/information_schema\.columns/, () => ['block_hash', 'block_time'].map(column_name => ({ column_name }))],
+    [/add_(compression|retention)_policy/, (sql, params) => {
+      const type = /add_compression_policy/.test(sql) ? 'compression' : 'retention';
+      state.jobs.push({ job_id: 1001, proc_name: `policy_${type}`, hypertable_schema: params[0], hypertable_name: params[1], schedule_interval: '1 day', config: { [type === 'compression' ? 'compress_after' : 'drop_after']: params[2] }, scheduled: true });
+      return [{ job_id: 1001 }];
+    }],
+    [/remove_(compression|retention)_policy/, (sql, params) => {
+      const proc = /remove_compression_policy/.test(sql) ? 'policy_compression' : 'policy_retention';
+      state.jobs = state.jobs.filter(job => !(job.proc_name === proc && job.hypertable_name === params[1]));
+      return [];
+    }],
+    [/(de)?compress_chunk/, (sql, params) => {
+      state.chunks.find(chunk => chunk.chunk_name === params[1]).is_compressed = !/decompress_chunk/.test(sql);
+      return [];
+    }]
+  ];
+
+  const respond = async (sql, params = []) => {
+    state.statements.push({ sql: sql.trim(), params });
+    const match = responses.find(([pattern]) => pattern.test(sql));
+    return match ? match[1](sql, params) : [];
+  };
+
+  state.monitor = {
+    databases: { 'indexer-db': {} },
+    executeQuery: jest.fn((dbName, sql, params) => respond(sql, params)),
+    withClient: jest.fn(async (dbName, fn) => fn({ query: async (sql, params) => ({ rows: await respond(sql, params) }) }))
+  };
+  return state;
+}
+
+describe('TimescalePolicyManager', () => {
+  let db;
+  let manager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.writeFile.mockResolvedValue();
+    db = fakeDatabase();
+    manager = new TimescalePolicyManager({ databaseMonitor: db.monitor, dataDir: '/tmp/timescale-test' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('should list hypertables with sizes, compression ratios and policies', async () => {
+    const list = await manager.listHypertables('indexer-db');
+
+    expect(list).toMatchObject({ available: true, version: '2.17.2' });
+    expect(list.hypertables[0]).toMatchObject({
+      id: 'public.blocks',
+      chunks: 3,
+      totalBytes: 1000,
+      compression: { enabled: true, compressedChunks: 1, ratio: 10, savedBytes: 900 },
+      policies: { compression: { jobId: 1000, after: '02:00:00', scheduleInterval: '01:00:00' }, retention: null }
+    });
+    expect(list.hypertables[1].compression).toMatchObject({ enabled: false, ratio: null });
+
+    db.monitor.executeQuery.mockResolvedValueOnce([]);
+    expect(await manager.listHypertables('indexer-db')).toMatchObject({ available: false, hypertables: [] });
+    await expect(manager.listHypertables('nope')).rejects.toThrow('Unknown database: nope');
+  });
+
+  it('should preview the disk a retention or compression policy frees', async () => {
+    const retention = await manager.previewPolicy('indexer-db', 'blocks', 'retention', '30 days');
+    expect(retention).toMatchObject({ hypertable: 'public.blocks', current: null, proposed: { chunks: 2, bytes: 500 }, freedBytes: 500, additionalBytes: 500 });
+
+    // Only the uncompressed old chunk is left to compress, at the measured 10x
+    const compression = await manager.previewPolicy('indexer-db', 'public.blocks', 'compression', '7 days');
+    expect(compression).toMatchObject({ proposed: { chunks: 1, bytes: 400 }, compressionRatio: 10, ratioSource: 'measured', freedBytes: 360, additionalBytes: 0 });
+
+    await expect(manager.previewPolicy('indexer-db', 'blocks', 'retention', 'soon')).rejects.toThrow(/^Invalid threshold/);
+    await expect(manager.previewPolicy('indexer-db', 'nope', 'retention', '1 day')).rejects.toThrow(/^Not found: hypertable nope/);
+  });
+
+  it('should enable compression with validated settings in one transaction', async () => {
+    await expect(manager.setPolicy('indexer-db', 'transactions', 'compression', { after: '2 hours', segmentBy: 'block_hash; DROP TABLE x' }))
+      .rejects.toThrow(/^Invalid segment by/);
+
+    const change = await manager.setPolicy('indexer-db', 'transactions', 'compression',
+      { after: '2 hours', segmentBy: 'block_hash', orderBy: 'block_time DESC' }, { actor: 'admin' });
+
+    const statements = db.statements.map(statement => statement.sql);
+    const begin = statements.indexOf('BEGIN');
+    expect(statements.slice(begin, begin + 2)).toEqual([
+      'BEGIN',
+      "ALTER TABLE \"public\".\"transactions\" SET (timescaledb.compress, timescaledb.compress_segmentby = 'block_hash', timescaledb.compress_orderby = 'block_time DESC')"
+    ]);
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+    expect(change).toMatchObject({ hypertable: 'public.transactions', type: 'compression', action: 'set', before: null, compressionEnabled: true, actor: 'admin' });
+    expect(fs.writeFile).toHaveBeenCalledWith('/tmp/timescale-test/timescale-policy-changes.json', expect.stringContaining(change.id), 'utf8');
+  });
+
+  it('should revert policy changes to the policy they replaced', async () => {
+    const replaced = await manager.setPolicy('indexer-db', 'blocks', 'compression', { after: '7 days' });
+    const added = await manager.setPolicy('indexer-db', 'blocks', 'retention', { after: '90 days' });
+    expect(replaced.before).toEqual({ after: '02:00:00', scheduleInterval: '01:00:00' });
+
+    await manager.revertChange(added.id, { actor: 'admin' });
+    const { change } = await manager.revertChange(replaced.id);
+
+    const blocks = (await manager.listHypertables('indexer-db')).hypertables[0];
+    expect(blocks.policies.retention).toBeNull();
+    expect(blocks.policies.compression.after).toBe('02:00:00');
+    expect(change).toMatchObject({ action: 'set', revertOf: replaced.id, after: { after: '02:00:00', scheduleInterval: '01:00:00' } });
+    expect(manager.getChanges({ hypertable: 'public.blocks' }).map(entry => [entry.action, entry.type, Boolean(entry.revertedBy)])).toEqual([
+      ['set', 'compression', false],
+      ['remove', 'retention', false],
+      ['set', 'retention', true],
+      ['set', 'compression', true]
+    ]);
+    await expect(manager.revertChange(added.id)).rejects.toThrow(/^Invalid request: change .* was already reverted/);
+  });
+
+  it('should compress old chunks in the background and decompress them on revert', async () => {
+    await expect(manager.compressNow('indexer-db', 'transactions')).rejects.toThrow(/^Invalid request: compression is not enabled/);
+
+    const run = await manager.compressNow('indexer-db', 'blocks', { actor: 'admin' });
+    expect(manager.getRun(run.id)).toMatchObject({ status: 'running', chunks: 1, bytesBefore: 400 });
+    await run.promise;
+
+    expect(manager.getRun(run.id)).toMatchObject({ status: 'completed', done: 1 });
+    expect(db.monitor.withClient).toHaveBeenCalledWith('indexer-db', expect.any(Function), { statementTimeout: 0 });
+    const [compress] = manager.getChanges();
+    expect(compress).toMatchObject({ type: 'compress', after: { olderThan: '02:00:00', chunks: ['_timescaledb_internal.c2'] }, result: { status: 'completed', chunks: 1 } });
+
+    const revert = await manager.revertChange(compress.id);
+    await manager.runs.get(revert.run.id).promise;
+    expect(revert.run).toMatchObject({ action: 'decompress', chunks: 1 });
+    expect(db.chunks.find(chunk => chunk.chunk_name === 'c2').is_compressed).toBe(false);
+  });
+});
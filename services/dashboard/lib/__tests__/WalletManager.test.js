@@ -1,14 +1,44 @@
 const WalletManager = require('../WalletManager');
-const axios = require('axios');
+const fs = require('fs').promises;
 
-jest.mock('axios');
+const ADDRESS_A = 'kaspa:qz4wqhgqrqx2qfqaktchfprgdqx2qfqaktchfprgdqx2qfqaktchfprgdqx2qfqaktchfprg';
+const ADDRESS_B = 'kaspa:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jkdskewva';
+
+const createClient = () => ({
+  getInfo: jest.fn().mockResolvedValue({ isUtxoIndexed: true, isSynced: true }),
+  getBalancesByAddresses: jest.fn().mockResolvedValue({
+    entries: [
+      { address: ADDRESS_A, balance: '150000000' },
+      { address: ADDRESS_B, balance: '25' }
+    ]
+  }),
+  getBalanceByAddress: jest.fn().mockResolvedValue({ balance: '100000000' }),
+  getUtxosByAddresses: jest.fn().mockResolvedValue({
+    entries: [{
+      address: ADDRESS_A,
+      outpoint: { transactionId: 'ab'.repeat(32), index: 1 },
+      utxoEntry: { amount: '150000000', blockDaaScore: '1234', isCoinbase: false }
+    }]
+  }),
+  subscribeUtxosChanged: jest.fn(() => Object.assign(Promise.resolve({}), { uid: 'sub-1' })),
+  unSubscribeUtxosChanged: jest.fn()
+});
 
 describe('WalletManager', () => {
   let walletManager;
+  let client;
 
   beforeEach(() => {
-    walletManager = new WalletManager('http://test-node:16111');
     jest.clearAllMocks();
+    fs.writeFile.mockResolvedValue();
+    client = createClient();
+    walletManager = new WalletManager({ dataDir: '/tmp/wallet-test', getClient: async () => client });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    walletManager.shutdown();
+    console.warn.mockRestore();
   });
 
   describe('validateKaspaAddress', () => {
@@ -35,47 +65,208 @@ describe('WalletManager', () => {
     });
   });
 
-  describe('validateAmount', () => {
-    it('should validate positive amount', () => {
-      expect(() => walletManager.validateAmount(10.5)).not.toThrow();
+  describe('mnemonics', () => {
+    it('should generate BIP39 mnemonics and derive Kaspa receive addresses', () => {
+      const mnemonic = walletManager.generateMnemonic(12);
+
+      expect(mnemonic.split(' ')).toHaveLength(12);
+      expect(walletManager.validateMnemonic(mnemonic).valid).toBe(true);
+      expect(walletManager.deriveAddresses(mnemonic, { network: 'testnet-10', count: 2 })).toEqual([
+        expect.objectContaining({ address: expect.stringMatching(/^kaspatest:q/), derivationPath: "m/44'/111111'/0'/0/0" }),
+        expect.objectContaining({ derivationPath: "m/44'/111111'/0'/0/1" })
+      ]);
+    });
+  });
+
+  describe('watch list', () => {
+    it('should add normalized addresses and persist them', async () => {
+      const entry = await walletManager.addAddress(`  ${ADDRESS_A.toUpperCase()} `, 'Mining rewards');
+
+      expect(entry).toMatchObject({ address: ADDRESS_A, label: 'Mining rewards' });
+      expect(walletManager.listAddresses()).toHaveLength(1);
+      expect(JSON.parse(fs.writeFile.mock.calls[0][1]).addresses[0].address).toBe(ADDRESS_A);
+    });
+
+    it('should reject invalid addresses', async () => {
+      await expect(walletManager.addAddress('kaspa:short')).rejects.toThrow('Invalid address: Invalid address length');
+      await expect(walletManager.addAddress(ADDRESS_A.replace('kaspa:', ''))).rejects.toThrow('network prefix');
+    });
+
+    it('should remove addresses', async () => {
+      await walletManager.addAddress(ADDRESS_A);
+      expect(await walletManager.removeAddress(ADDRESS_A)).toBe(true);
+      expect(await walletManager.removeAddress(ADDRESS_A)).toBe(false);
+    });
+  });
+
+  describe('node queries', () => {
+    beforeEach(async () => {
+      await walletManager.addAddress(ADDRESS_A, 'A');
+      await walletManager.addAddress(ADDRESS_B, 'B');
     });
 
-    it('should reject zero amount', () => {
-      expect(() => walletManager.validateAmount(0)).toThrow('Amount must be a positive number');
+    it('should read balances in one call and total them without float drift', async () => {
+      const balances = await walletManager.getBalances();
+
+      expect(client.getBalancesByAddresses).toHaveBeenCalledWith({ addresses: [ADDRESS_A, ADDRESS_B] });
+      expect(balances.totalSompi).toBe('150000025');
+      expect(balances.totalKas).toBe(1.50000025);
+      expect(balances.addresses[0]).toMatchObject({ label: 'A', balanceSompi: '150000000', balance: 1.5 });
     });
 
-    it('should reject negative amount', () => {
-      expect(() => walletManager.validateAmount(-5)).toThrow('Amount must be a positive number');
+    it('should map UTXO entries', async () => {
+      const utxos = await walletManager.getUtxos([ADDRESS_A]);
+
+      expect(utxos).toEqual([{
+        address: ADDRESS_A,
+        transactionId: 'ab'.repeat(32),
+        index: 1,
+        amountSompi: '150000000',
+        amount: 1.5,
+        blockDaaScore: '1234',
+        isCoinbase: false
+      }]);
+    });
+
+    it('should report a node without --utxoindex', async () => {
+      client.getInfo.mockResolvedValue({ isUtxoIndexed: false });
+
+      const info = await walletManager.getWalletInfo();
+
+      expect(info).toMatchObject({ available: false, utxoIndex: false, code: 'UTXO_INDEX_REQUIRED' });
+      expect(info.error).toContain('--utxoindex');
     });
 
-    it('should reject non-numeric amount', () => {
-      expect(() => walletManager.validateAmount('invalid')).toThrow('Amount must be a positive number');
+    it('should turn a utxoindex RPC error into UTXO_INDEX_REQUIRED', async () => {
+      client.getBalancesByAddresses.mockResolvedValue({
+        error: { message: 'Method unavailable. Run the node with the --utxoindex argument.' }
+      });
+
+      await expect(walletManager.getBalances()).rejects.toMatchObject({ code: 'UTXO_INDEX_REQUIRED' });
     });
 
-    it('should reject amount exceeding max supply', () => {
-      expect(() => walletManager.validateAmount(30000000000)).toThrow('Amount exceeds maximum possible value');
+    it('should report an unreachable node', async () => {
+      walletManager.getClient = async () => { throw new Error('ECONNREFUSED'); };
+
+      const info = await walletManager.getWalletInfo();
+
+      expect(info.available).toBe(false);
+      expect(info.error).toContain('Cannot reach Kaspa node');
     });
 
-    it('should reject amount with too many decimal places', () => {
-      expect(() => walletManager.validateAmount(1.123456789)).toThrow('Amount has too many decimal places');
+    it('should not send the watch list to a fallback node', async () => {
+      jest.clearAllMocks(); // the watch list was synced while on the local node
+      walletManager.getSource = () => ({ host: 'seeder2.kaspad.net:16110', isLocal: false, fallback: true });
+
+      await expect(walletManager.getBalances()).rejects.toMatchObject({ code: 'LOCAL_NODE_UNAVAILABLE' });
+      await expect(walletManager.getUtxos()).rejects.toThrow(/^Local node unavailable/);
+      await expect(walletManager.ensureSubscribed(true)).rejects.toMatchObject({ code: 'LOCAL_NODE_UNAVAILABLE' });
+      expect(await walletManager.getWalletInfo()).toMatchObject({ available: false, code: 'LOCAL_NODE_UNAVAILABLE' });
+
+      expect(client.getBalancesByAddresses).not.toHaveBeenCalled();
+      expect(client.getUtxosByAddresses).not.toHaveBeenCalled();
+      expect(client.subscribeUtxosChanged).not.toHaveBeenCalled();
+      expect(client.getInfo).not.toHaveBeenCalled();
     });
   });
 
-  describe('validatePassword', () => {
-    it('should validate strong password', () => {
-      expect(() => walletManager.validatePassword('StrongPass123!')).not.toThrow();
+  describe('live balance updates', () => {
+    it('should subscribe for the watch list and apply UTXO changes as deltas', async () => {
+      await walletManager.addAddress(ADDRESS_A);
+      await walletManager.ensureSubscribed(true);
+
+      expect(client.subscribeUtxosChanged).toHaveBeenCalledWith({ addresses: [ADDRESS_A] }, expect.any(Function));
+      const listener = jest.fn();
+      walletManager.on('balanceChanged', listener);
+
+      const notify = client.subscribeUtxosChanged.mock.calls[client.subscribeUtxosChanged.mock.calls.length - 1][1];
+      notify({
+        added: [{ address: ADDRESS_A, utxoEntry: { amount: '50000000' } }],
+        removed: [{ address: 'kaspa:unwatched', utxoEntry: { amount: '1' } }]
+      });
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        address: ADDRESS_A,
+        balanceSompi: '200000000',
+        delta: 0.5
+      }));
+    });
+
+    it('should alert on live payments when the address asked for it', async () => {
+      await walletManager.addAddress(ADDRESS_A, 'Treasury', { incoming: true, minAmount: 1 });
+      await walletManager.ensureSubscribed(true);
+      const listener = jest.fn();
+      walletManager.on('transaction', listener);
+
+      const notify = client.subscribeUtxosChanged.mock.calls[client.subscribeUtxosChanged.mock.calls.length - 1][1];
+      notify({ added: [{ address: ADDRESS_A, outpoint: { transactionId: 'cd'.repeat(32), index: 0 }, utxoEntry: { amount: '250000000', blockDaaScore: '2000' } }] });
+      notify({
+        added: [{ address: ADDRESS_A, outpoint: { transactionId: 'ef'.repeat(32), index: 1 }, utxoEntry: { amount: '50000000', blockDaaScore: '2100' } }],
+        removed: [{ address: ADDRESS_A, outpoint: { transactionId: 'ab'.repeat(32), index: 1 }, utxoEntry: { amount: '150000000' } }]
+      });
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls[0][0]).toMatchObject({ direction: 'incoming', amount: 2.5, label: 'Treasury', alert: true });
+      expect(listener.mock.calls[1][0]).toMatchObject({ direction: 'outgoing', transactionId: 'ef'.repeat(32), amount: 1, alert: false });
     });
 
-    it('should reject empty password', () => {
-      expect(() => walletManager.validatePassword('')).toThrow('Password is required');
+    it('should resubscribe when the node connection changed', async () => {
+      await walletManager.addAddress(ADDRESS_A);
+      await walletManager.ensureSubscribed();
+      const calls = client.subscribeUtxosChanged.mock.calls.length;
+
+      await walletManager.ensureSubscribed();
+      expect(client.subscribeUtxosChanged).toHaveBeenCalledTimes(calls);
+
+      const newClient = createClient();
+      walletManager.getClient = async () => newClient;
+      await walletManager.ensureSubscribed();
+      expect(newClient.subscribeUtxosChanged).toHaveBeenCalledTimes(1);
     });
+  });
+
+  describe('history', () => {
+    it('should record existing UTXOs once and reconcile changes missed while offline', async () => {
+      client.getBlockDagInfo = jest.fn().mockResolvedValue({ virtualDaaScore: '1300' });
+      await walletManager.addAddress(ADDRESS_A);
+      await walletManager.ensureSubscribed(true);
+
+      let history = await walletManager.getTransactions(ADDRESS_A);
+      expect(history.utxoCount).toBe(1);
+      expect(history.transactions).toEqual([
+        expect.objectContaining({ direction: 'incoming', amountSompi: '150000000', initial: true, confirmations: 66 })
+      ]);
 
-    it('should reject short password', () => {
-      expect(() => walletManager.validatePassword('short')).toThrow('Password must be at least 8 characters');
+      // Reconnect: the old UTXO was spent and a new payment arrived meanwhile
+      client.getUtxosByAddresses.mockResolvedValue({
+        entries: [{
+          address: ADDRESS_A,
+          outpoint: { transactionId: '12'.repeat(32), index: 0 },
+          utxoEntry: { amount: '40000000', blockDaaScore: '1500' }
+        }]
+      });
+      const listener = jest.fn();
+      walletManager.on('transaction', listener);
+      await walletManager.ensureSubscribed(true);
+
+      history = await walletManager.getTransactions(ADDRESS_A);
+      expect(history.transactions.map(tx => [tx.direction, tx.amountSompi])).toEqual([
+        ['outgoing', '150000000'],
+        ['incoming', '40000000'],
+        ['incoming', '150000000']
+      ]);
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(walletManager.getBalanceSamples()).toEqual([{ metric: 'wallet.balance', labels: { address: ADDRESS_A }, value: 0.4 }]);
     });
 
-    it('should reject weak password', () => {
-      expect(() => walletManager.validatePassword('password')).toThrow('Password must contain at least 3 of');
+    it('should validate alert settings and report unknown addresses', async () => {
+      await walletManager.addAddress(ADDRESS_A);
+
+      await expect(walletManager.updateAddress(ADDRESS_A, { alerts: { minAmount: -1 } })).rejects.toThrow('Invalid address: alerts.minAmount');
+      expect(await walletManager.updateAddress(ADDRESS_A, { alerts: { outgoing: true } }))
+        .toMatchObject({ alerts: { incoming: false, outgoing: true, minAmount: 0 } });
+      expect(await walletManager.updateAddress(ADDRESS_B, { label: 'x' })).toBeNull();
+      expect(await walletManager.getTransactions(ADDRESS_B)).toBeNull();
     });
   });
-});
\ No newline at end of file
+});
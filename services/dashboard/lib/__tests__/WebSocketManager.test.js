@@ -422,4 +422,54 @@ describe('WebSocketManager Integration Tests', () => {
             });
         });
     });
-});
\ No newline at end of file
+});
+describe('WebSocketManager Handshake Authentication', () => {
+    let server;
+    let wsManager;
+    let wsPort;
+
+    beforeAll((done) => {
+        server = http.createServer();
+        server.listen(0, () => {
+            wsPort = server.address().port;
+            // Accept only handshakes carrying the test session cookie
+            wsManager = new WebSocketManager(server, {
+                authenticate: (req) => (req.headers.cookie === 'kaspa_dashboard_session=valid'
+                    ? { username: 'alice', role: 'viewer' }
+                    : null)
+            });
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        wsManager.shutdown();
+        server.close(done);
+    });
+
+    test('should close connections without a valid session', (done) => {
+        const ws = new WebSocket(`ws://localhost:${wsPort}`);
+
+        ws.on('close', (code) => {
+            expect(code).toBe(4401);
+            expect(wsManager.clients.size).toBe(0);
+            done();
+        });
+    });
+
+    test('should accept connections with a valid session', (done) => {
+        const ws = new WebSocket(`ws://localhost:${wsPort}`, {
+            headers: { Cookie: 'kaspa_dashboard_session=valid' }
+        });
+
+        ws.on('message', (data) => {
+            const message = JSON.parse(data.toString());
+            if (message.type === 'connection') {
+                const client = wsManager.clients.get(message.data.clientId);
+                expect(client.user.username).toBe('alice');
+                ws.close();
+                done();
+            }
+        });
+    });
+});
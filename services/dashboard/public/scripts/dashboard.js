@@ -7,6 +7,7 @@ import { APIClient } from './modules/api-client.js';
 import { WebSocketManager } from './modules/websocket-manager.js';
 import { UIManager } from './modules/ui-manager.js';
 import { WizardNavigation } from './modules/wizard-navigation.js';
+import { DagVisualizer } from './modules/dag-visualizer.js';
 import IconManager from './modules/icon-manager.js';
 import { themeManager } from '/shared/scripts/theme-manager.js';
 
@@ -16,6 +17,12 @@ function escapeHtml(str) {
     return div.innerHTML;
 }
 
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const index = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1) : 0;
+    return `${(bytes / Math.pow(1024, index)).toFixed(index === 0 ? 0 : 1)} ${units[index]}`;
+}
+
 class Dashboard {
     constructor() {
         this.api = new APIClient();
@@ -30,6 +37,7 @@ class Dashboard {
         // Cache the last known sync status so service cards render correctly
         // on the first pass without waiting for a second async call.
         this.lastSyncStatus = null;
+        this.user = null;
     }
 
     /**
@@ -64,6 +72,11 @@ class Dashboard {
         // Initialize theme manager
         themeManager.init();
 
+        // Everything below needs a signed-in user
+        if (!(await this.checkAuthentication())) {
+            return;
+        }
+
         // Initialize icon system first
         this.iconManager.init();
 
@@ -89,6 +102,32 @@ class Dashboard {
         console.log('Dashboard initialized successfully');
     }
 
+    /**
+     * Redirect to the login page unless signed in, then show the current user
+     * @returns {boolean} True when signed in
+     */
+    async checkAuthentication() {
+        try {
+            const auth = await this.api.getAuthStatus();
+            if (!auth.authenticated) {
+                window.location.href = '/login.html';
+                return false;
+            }
+
+            this.user = auth.user;
+            document.body.dataset.role = auth.user.role;
+            const userLabel = document.getElementById('auth-user-name');
+            if (userLabel) {
+                userLabel.textContent = `${auth.user.username} (${auth.user.role})`;
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to check authentication:', error);
+            window.location.href = '/login.html';
+            return false;
+        }
+    }
+
     /**
      * Setup event listeners
      */
@@ -117,6 +156,17 @@ class Dashboard {
             this.refreshServices();
         });
 
+        const logoutBtn = document.getElementById('logout-btn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', async () => {
+                try {
+                    await this.api.logout();
+                } finally {
+                    window.location.href = '/login.html';
+                }
+            });
+        }
+
         // Header buttons
         const updateBtn = document.getElementById('updates-btn');
         if (updateBtn) {
@@ -138,6 +188,153 @@ class Dashboard {
             refreshBtn.addEventListener('click', () => this.manualRefresh());
         }
 
+        // Block, transaction and address lookup
+        const lookupForm = document.getElementById('lookup-form');
+        if (lookupForm) {
+            lookupForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.runLookup(lookupForm.query.value.trim());
+            });
+        }
+
+        // Configuration backups
+        const backupForm = document.getElementById('backup-form');
+        if (backupForm) {
+            backupForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const button = backupForm.querySelector('button[type="submit"]');
+                button.disabled = true;
+                try {
+                    const backup = await this.api.createBackup(backupForm.description.value.trim());
+                    this.ui.showNotification(`Backup ${backup.backupId} created`, 'success');
+                    backupForm.reset();
+                    this.api.clearCache();
+                    await this.loadBackups();
+                } catch (error) {
+                    this.ui.showNotification(`Could not create backup: ${error.message}`, 'error');
+                } finally {
+                    button.disabled = false;
+                }
+            });
+        }
+
+        // Node data snapshots
+        const nodeSnapshotForm = document.getElementById('node-snapshot-form');
+        if (nodeSnapshotForm) {
+            nodeSnapshotForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const mode = nodeSnapshotForm.mode.value;
+                const interruption = mode === 'pause'
+                    ? 'The node is paused while its data is archived.'
+                    : 'The node and the services using it are stopped while its data is archived.';
+                if (!confirm(`${interruption} This can take a while for a synced node. Continue?`)) return;
+                const button = nodeSnapshotForm.querySelector('button[type="submit"]');
+                button.disabled = true;
+                try {
+                    const response = await this.api.createNodeSnapshot(mode);
+                    await this.followNodeSnapshotRun(response.run);
+                } catch (error) {
+                    this.ui.showNotification(`Could not export a snapshot: ${error.message}`, 'error');
+                } finally {
+                    button.disabled = false;
+                }
+            });
+        }
+
+        // Backup encryption and off-site destinations
+        const encryptionForm = document.getElementById('backup-encryption-form');
+        if (encryptionForm) {
+            encryptionForm.mode.addEventListener('change', () => {
+                encryptionForm.passphrase.hidden = encryptionForm.mode.value !== 'passphrase';
+                encryptionForm.publicKey.hidden = encryptionForm.mode.value !== 'public-key';
+            });
+            encryptionForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const mode = encryptionForm.mode.value;
+                try {
+                    await this.api.setBackupEncryption(mode === 'passphrase'
+                        ? { mode, passphrase: encryptionForm.passphrase.value }
+                        : { mode, publicKey: encryptionForm.publicKey.value.trim() });
+                    this.ui.showNotification(mode === 'passphrase'
+                        ? 'Backups are now encrypted. Keep a copy of the passphrase somewhere other than this machine.'
+                        : 'Backups are now encrypted to the public key. Restores will ask for the private key.', 'success');
+                    encryptionForm.reset();
+                    encryptionForm.mode.dispatchEvent(new Event('change'));
+                    this.api.clearCache();
+                    await this.loadBackupDestinations();
+                } catch (error) {
+                    this.ui.showNotification(`Could not save encryption settings: ${error.message}`, 'error');
+                }
+            });
+        }
+
+        const destinationForm = document.getElementById('backup-destination-form');
+        if (destinationForm) {
+            const showFields = () => {
+                destinationForm.querySelectorAll('[data-types]').forEach(field => {
+                    field.hidden = !field.dataset.types.split(' ').includes(destinationForm.type.value);
+                });
+            };
+            destinationForm.type.addEventListener('change', showFields);
+            destinationForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const definition = { type: destinationForm.type.value, name: destinationForm.name.value.trim(), autoUpload: destinationForm.autoUpload.checked };
+                destinationForm.querySelectorAll('[data-types]').forEach(field => {
+                    if (!field.hidden && field.value.trim()) {
+                        definition[field.name] = field.name === 'port' ? parseInt(field.value, 10) : field.value.trim();
+                    }
+                });
+                try {
+                    await this.api.addBackupDestination(definition);
+                    this.ui.showNotification(`Backup destination ${definition.name} added`, 'success');
+                    destinationForm.reset();
+                    showFields();
+                    this.api.clearCache();
+                    await this.loadBackupDestinations();
+                } catch (error) {
+                    this.ui.showNotification(`Could not add destination: ${error.message}`, 'error');
+                }
+            });
+        }
+
+        // Backup schedules
+        const scheduleForm = document.getElementById('backup-schedule-form');
+        if (scheduleForm) {
+            scheduleForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const definition = {
+                    name: scheduleForm.name.value.trim(),
+                    type: scheduleForm.type.value,
+                    cron: scheduleForm.cron.value.trim(),
+                    retention: {
+                        daily: parseInt(scheduleForm.daily.value, 10) || 0,
+                        weekly: parseInt(scheduleForm.weekly.value, 10) || 0,
+                        monthly: parseInt(scheduleForm.monthly.value, 10) || 0
+                    }
+                };
+                try {
+                    const { schedule } = await this.api.addBackupSchedule(definition);
+                    this.ui.showNotification(`Schedule ${schedule.name} added; first run ${new Date(schedule.nextRunAt).toLocaleString()}`, 'success');
+                    scheduleForm.reset();
+                    this.api.clearCache();
+                    await this.loadBackupSchedules();
+                } catch (error) {
+                    this.ui.showNotification(`Could not add schedule: ${error.message}`, 'error');
+                }
+            });
+        }
+
+        const lookupResult = document.getElementById('lookup-result');
+        if (lookupResult) {
+            lookupResult.addEventListener('click', (e) => {
+                const link = e.target.closest('.lookup-link');
+                if (!link) return;
+                e.preventDefault();
+                if (lookupForm) lookupForm.query.value = link.dataset.query;
+                this.runLookup(link.dataset.query, link.dataset.block || null);
+            });
+        }
+
         // Quick actions
         this.setupQuickActions();
     }
@@ -188,6 +385,18 @@ class Dashboard {
     setupWebSocketListeners() {
         this.ws.on('connection-status', (data) => {
             this.ui.updateConnectionStatus(data.status);
+            if (data.status === 'connected') {
+                // Live node tip updates and BlockDAG changes pushed from node notifications
+                this.ws.send({ type: 'subscribe_updates', nodeUpdates: true, dagUpdates: true });
+                // Changes missed while disconnected are only in a fresh snapshot
+                if (this.dagVisualizer) {
+                    this.loadDag();
+                }
+            }
+        });
+
+        this.ws.on('unauthorized', () => {
+            window.location.href = '/login.html';
         });
 
         this.ws.on('update', (data) => {
@@ -318,6 +527,46 @@ class Dashboard {
         this.ws.on('log', (data) => {
             this.handleLogStream(data);
         });
+
+        this.ws.on('node_update', (data) => {
+            this.ui.updateLiveNodeState(data);
+        });
+
+        this.ws.on('peers_changed', () => {
+            this.api.clearCache();
+            this.loadPeers();
+        });
+
+        this.ws.on('dag_update', (data) => {
+            if (this.dagVisualizer) {
+                this.dagVisualizer.applyUpdate(data);
+                this.updateDagStatus();
+            }
+        });
+
+        this.ws.on('mempool_updated', (data) => {
+            this.loadMempool(data);
+        });
+
+        this.ws.on('wallet_balance_changed', () => {
+            this.api.clearCache();
+            this.loadWatchedAddresses();
+        });
+
+        this.ws.on('backup_run', (data) => {
+            this.api.clearCache();
+            this.loadBackupSchedules();
+            if (data && data.status === 'completed') {
+                this.loadBackups();
+            }
+        });
+
+        this.ws.on('wallet_transaction', (data) => {
+            if (data && data.address === this.expandedWalletAddress) {
+                this.api.clearCache();
+                this.loadWatchedAddresses();
+            }
+        });
     }
 
     /**
@@ -345,6 +594,24 @@ class Dashboard {
 
             // Load wallet info
             await this.loadWalletInfo();
+
+            // Load node peers
+            await this.loadPeers();
+
+            // Load mempool analytics
+            await this.loadMempool();
+
+            // Load the BlockDAG visualizer
+            await this.loadDag();
+
+            // Load indexer database health
+            await this.loadDatabases();
+
+            // Load configuration backups and where they are copied to
+            await this.loadBackupDestinations();
+            await this.loadBackups();
+            await this.loadBackupSchedules();
+            await this.loadNodeSnapshots();
         } catch (error) {
             console.error('Failed to load initial data:', error);
             this.ui.showNotification('Failed to load dashboard data', 'error');
@@ -525,11 +792,34 @@ class Dashboard {
             if (!stats.error) {
                 this.ui.updateLocalKaspaStats(stats);
             }
+
+            this.updateNodeSourceBanner([enhancedNodeStatus, syncStatus, info, stats]);
         } catch (error) {
             console.error('Failed to load Kaspa info:', error);
         }
     }
 
+    /**
+     * Warn when node data comes from a fallback host rather than our own node
+     */
+    updateNodeSourceBanner(responses) {
+        const banner = document.getElementById('node-source-banner');
+        const text = document.getElementById('node-source-text');
+        if (!banner || !text) return;
+
+        const foreign = responses
+            .map(response => response && response.nodeSource)
+            .find(source => source && source.host && !source.isLocal);
+
+        if (!foreign) {
+            banner.hidden = true;
+            return;
+        }
+
+        text.textContent = `Your Kaspa node is unavailable. Node data is currently served by ${foreign.host}, not your own node.`;
+        banner.hidden = false;
+    }
+
     /**
      * Load system resources
      */
@@ -693,7 +983,8 @@ class Dashboard {
                         <span class="wallet-value">${connStatus}</span>
                     </div>
                     ${portsHtml}
-                </div>`;
+                </div>
+                <div class="wallet-watch" id="wallet-watch"></div>`;
 
             // Attach copy button listener (avoids inline onclick / single-quote injection).
             // Note: walletContainer.innerHTML is reassigned on each loadWalletInfo() call,
@@ -730,6 +1021,8 @@ class Dashboard {
                     });
                 }
             }
+
+            await this.loadWatchedAddresses();
         } catch (error) {
             console.error('Failed to load wallet info:', error);
             walletSection.style.display = 'block';
@@ -738,6 +1031,1507 @@ class Dashboard {
         }
     }
 
+    /**
+     * Load watch-only addresses and balances into the wallet section
+     */
+    async loadWatchedAddresses() {
+        const container = document.getElementById('wallet-watch');
+        if (!container) return;
+
+        let info;
+        try {
+            info = await this.api.getWatchedAddresses();
+        } catch (error) {
+            const reason = escapeHtml(error?.message || 'Network error');
+            container.innerHTML = `<p class="wallet-status-msg muted">Could not load watched addresses (${reason}).</p>`;
+            return;
+        }
+
+        const formatKas = (kas) => Number(kas || 0).toLocaleString(undefined, { maximumFractionDigits: 8 });
+        const addresses = info.addresses || [];
+        const rows = addresses.map(entry => `
+            <li class="wallet-watch-item">
+                <span class="wallet-label">${escapeHtml(entry.label || 'Address')}</span>
+                <span class="wallet-value wallet-address" title="${escapeHtml(entry.address)}">${escapeHtml(entry.address)}</span>
+                <span class="wallet-balance">${info.available ? `${formatKas(entry.balance)} KAS` : '—'}</span>
+                <span class="wallet-utxos muted">${entry.utxoCount !== null && entry.utxoCount !== undefined ? `${entry.utxoCount} UTXOs` : ''}</span>
+                <button class="btn-icon wallet-details-btn" data-address="${escapeHtml(entry.address)}" title="History and alerts">▾</button>
+                <button class="btn-icon wallet-remove-btn" data-address="${escapeHtml(entry.address)}" title="Stop watching">✕</button>
+                <div class="wallet-details" data-address="${escapeHtml(entry.address)}" hidden></div>
+            </li>`).join('');
+
+        const statusHtml = info.available
+            ? `<span class="badge ${info.live ? 'badge-success' : 'badge-secondary'}">${info.live ? 'Live' : 'Polling'}</span>`
+            : `<p class="wallet-status-msg">${escapeHtml(info.error || 'Balances unavailable')}</p>`;
+
+        container.innerHTML = `
+            <div class="wallet-watch-header">
+                <h3>Watch-only Addresses</h3>
+                ${info.available ? statusHtml : ''}
+            </div>
+            ${info.available ? '' : statusHtml}
+            <ul class="wallet-watch-list">${rows || '<li class="wallet-watch-item muted">No addresses watched yet</li>'}</ul>
+            ${info.available && addresses.length ? `<div class="wallet-row"><span class="wallet-label">Total</span><span class="wallet-value"><strong>${formatKas(info.totalKas)} KAS</strong></span></div>` : ''}
+            <form class="wallet-watch-form">
+                <input type="text" name="address" placeholder="kaspa:..." required aria-label="Address to watch">
+                <input type="text" name="label" placeholder="Label (optional)" maxlength="100" aria-label="Address label">
+                <button type="submit" class="btn btn-secondary btn-sm">Watch</button>
+            </form>`;
+
+        container.querySelector('.wallet-watch-form').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const form = event.target;
+            try {
+                await this.api.addWatchedAddress(form.address.value.trim(), form.label.value.trim());
+                this.api.clearCache();
+                await this.loadWatchedAddresses();
+            } catch (error) {
+                this.ui.showNotification(`Could not watch address: ${error.status === 400 ? 'invalid Kaspa address' : error.message}`, 'error');
+            }
+        });
+
+        container.querySelectorAll('.wallet-remove-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                try {
+                    await this.api.removeWatchedAddress(button.dataset.address);
+                    this.api.clearCache();
+                    await this.loadWatchedAddresses();
+                } catch (error) {
+                    this.ui.showNotification(`Could not remove address: ${error.message}`, 'error');
+                }
+            });
+        });
+
+        container.querySelectorAll('.wallet-details-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const address = button.dataset.address;
+                this.expandedWalletAddress = this.expandedWalletAddress === address ? null : address;
+                this.loadWatchedAddresses();
+            });
+        });
+
+        // Keep the open address expanded across live refreshes
+        const details = Array.from(container.querySelectorAll('.wallet-details'))
+            .find(panel => panel.dataset.address === this.expandedWalletAddress);
+        if (details) {
+            details.hidden = false;
+            await this.loadWalletAddressDetails(this.expandedWalletAddress, details);
+        }
+    }
+
+    /**
+     * Balance chart, payment history and alert settings for one watched address
+     */
+    async loadWalletAddressDetails(address, panel) {
+        const formatKas = (kas) => Number(kas || 0).toLocaleString(undefined, { maximumFractionDigits: 8 });
+        let history;
+        let balanceHistory;
+        try {
+            [history, balanceHistory] = await Promise.all([
+                this.api.getWalletTransactions(address, { limit: 20 }),
+                this.api.getWalletBalanceHistory(address, 24 * 7)
+            ]);
+        } catch (error) {
+            panel.innerHTML = `<p class="wallet-status-msg muted">Could not load history (${escapeHtml(error?.message || 'Network error')}).</p>`;
+            return;
+        }
+
+        const entry = (await this.api.getWatchedAddresses()).addresses?.find(item => item.address === address) || {};
+        const alerts = entry.alerts || {};
+
+        const txRows = history.transactions.map(tx => `
+            <tr class="wallet-tx-${tx.direction}">
+                <td>${new Date(tx.detectedAt).toLocaleString()}</td>
+                <td>${tx.direction === 'incoming' ? '+' : '−'}${formatKas(tx.amount)} KAS${tx.initial ? ' <span class="muted">(before tracking)</span>' : ''}</td>
+                <td class="wallet-address" title="${escapeHtml(tx.transactionId || '')}">${tx.transactionId ? escapeHtml(tx.transactionId) : '<span class="muted">spend</span>'}</td>
+                <td>${tx.confirmations !== null ? tx.confirmations.toLocaleString() : '—'}</td>
+            </tr>`).join('');
+
+        panel.innerHTML = `
+            <div class="wallet-chart">${this.renderSparkline(balanceHistory.points || [], 'Balance over the last 7 days', 'Balance history appears after a few minutes of tracking')}</div>
+            <form class="wallet-alerts-form">
+                <label><input type="checkbox" name="incoming" ${alerts.incoming ? 'checked' : ''}> Alert on incoming</label>
+                <label><input type="checkbox" name="outgoing" ${alerts.outgoing ? 'checked' : ''}> Alert on outgoing</label>
+                <label>Min. <input type="number" name="minAmount" min="0" step="any" value="${Number(alerts.minAmount || 0)}"> KAS</label>
+                <button type="submit" class="btn btn-secondary btn-sm">Save</button>
+            </form>
+            <table class="wallet-tx-table">
+                <thead><tr><th>Detected</th><th>Amount</th><th>Transaction</th><th title="Virtual DAA score minus accepting DAA score">Confirmations (DAA)</th></tr></thead>
+                <tbody>${txRows || '<tr><td colspan="4" class="muted">No payments seen yet</td></tr>'}</tbody>
+            </table>`;
+
+        panel.querySelector('.wallet-alerts-form').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const form = event.target;
+            try {
+                await this.api.updateWatchedAddress(address, {
+                    alerts: {
+                        incoming: form.incoming.checked,
+                        outgoing: form.outgoing.checked,
+                        minAmount: Number(form.minAmount.value || 0)
+                    }
+                });
+                this.api.clearCache();
+                this.ui.showNotification('Payment alerts saved', 'success');
+            } catch (error) {
+                this.ui.showNotification(`Could not save alerts: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Inline SVG line for [timestamp, value] points
+     */
+    renderSparkline(points, label, emptyMessage) {
+        if (points.length < 2) {
+            return `<p class="muted">${emptyMessage}</p>`;
+        }
+
+        const width = 300;
+        const height = 60;
+        const values = points.map(([, value]) => value);
+        const min = Math.min(...values);
+        const range = (Math.max(...values) - min) || 1;
+        const first = points[0][0];
+        const span = (points[points.length - 1][0] - first) || 1;
+        const path = points.map(([t, value]) =>
+            `${((t - first) / span * width).toFixed(1)},${(height - (value - min) / range * height).toFixed(1)}`).join(' ');
+
+        return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="wallet-sparkline" role="img" aria-label="${label}">
+            <polyline points="${path}" fill="none" stroke="currentColor" stroke-width="1.5" vector-effect="non-scaling-stroke"/>
+        </svg>`;
+    }
+
+    /**
+     * Load connected peers, version distribution, churn and history
+     */
+    async loadPeers() {
+        const section = document.getElementById('peers-section');
+        const container = document.getElementById('peers-container');
+        if (!section || !container) return;
+
+        let info;
+        let churn;
+        let history;
+        try {
+            [info, churn, history] = await Promise.all([
+                this.api.getPeers(),
+                this.api.getPeerChurn(24, 60),
+                this.api.getPeerHistory({ limit: 15 })
+            ]);
+        } catch (error) {
+            section.style.display = 'block';
+            container.innerHTML = `<p class="wallet-status-msg muted">Could not load peers (${escapeHtml(error?.message || 'Network error')}).</p>`;
+            return;
+        }
+
+        section.style.display = 'block';
+        if (info.nodeSource?.fallback) {
+            container.innerHTML = `<p class="wallet-status-msg">Peer analytics need the local node; data currently comes from ${escapeHtml(info.nodeSource.host)}.</p>`;
+            return;
+        }
+
+        const { summary } = info;
+        const maxVersion = Math.max(1, ...info.versions.map(entry => entry.count));
+        const versionRows = info.versions.map(entry => `
+            <li class="peer-version">
+                <span class="peer-version-name">${escapeHtml(entry.version)}</span>
+                <span class="peer-version-bar" style="width: ${(entry.count / maxVersion * 100).toFixed(0)}%"></span>
+                <span class="peer-version-count">${entry.count}</span>
+            </li>`).join('');
+
+        const peerRows = info.longLived.map(peer => `
+            <tr>
+                <td class="wallet-address" title="${escapeHtml(peer.userAgent)}">${escapeHtml(peer.address)}${peer.isIbdPeer ? ' <span class="badge badge-success">IBD</span>' : ''}</td>
+                <td>${escapeHtml(peer.version || 'unknown')}</td>
+                <td>${peer.direction}</td>
+                <td>${this.ui.formatUptime(peer.connectedSeconds)}</td>
+                <td>${peer.pingMs !== null ? `${peer.pingMs} ms` : '—'}</td>
+                <td>${peer.ip ? `<button class="btn-icon peer-ban-btn" data-ip="${escapeHtml(peer.ip)}" title="Ban this peer's IP">⛔</button>` : ''}</td>
+            </tr>`).join('');
+
+        const historyRows = history.events.map(event => `
+            <li class="peer-event peer-event-${event.type}">
+                <span class="muted">${new Date(event.at).toLocaleString()}</span>
+                <span>${escapeHtml(event.type)}</span>
+                <span class="wallet-address">${escapeHtml(event.address)}</span>
+                ${event.by ? `<span class="muted">by ${escapeHtml(event.by)}</span>` : ''}
+                ${event.type === 'ban' ? `<button class="btn-icon peer-unban-btn" data-ip="${escapeHtml(event.address)}" title="Lift the ban">↺</button>` : ''}
+            </li>`).join('');
+
+        container.innerHTML = `
+            <div class="peer-summary">
+                <span><strong>${summary.total}</strong> peers</span>
+                <span>${summary.outbound} outbound / ${summary.inbound} inbound</span>
+                <span>Avg. ping ${summary.averagePingMs !== null ? `${summary.averagePingMs} ms` : '—'}</span>
+                <span>IBD peer: ${summary.ibdPeer ? escapeHtml(summary.ibdPeer) : 'none'}</span>
+            </div>
+            <div class="peer-panels">
+                <div>
+                    <h3>Versions</h3>
+                    <ul class="peer-versions">${versionRows || '<li class="muted">No peers connected</li>'}</ul>
+                </div>
+                <div>
+                    <h3>Churn (24h)</h3>
+                    ${this.renderPeerChurn(churn)}
+                </div>
+            </div>
+            <h3>Longest Connected</h3>
+            <table class="wallet-tx-table peer-table">
+                <thead><tr><th>Address</th><th>Version</th><th>Direction</th><th>Connected</th><th>Ping</th><th></th></tr></thead>
+                <tbody>${peerRows || '<tr><td colspan="6" class="muted">No peers connected</td></tr>'}</tbody>
+            </table>
+            <h3>Recent Activity</h3>
+            <ul class="peer-events">${historyRows || '<li class="muted">No peer activity recorded yet</li>'}</ul>
+            <form class="peer-add-form">
+                <input type="text" name="address" placeholder="host:port" required aria-label="Peer address">
+                <label><input type="checkbox" name="permanent"> Keep reconnecting</label>
+                <button type="submit" class="btn btn-secondary btn-sm">Add Peer</button>
+            </form>`;
+
+        container.querySelector('.peer-add-form').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const form = event.target;
+            try {
+                await this.api.addPeer(form.address.value.trim(), form.permanent.checked);
+                this.ui.showNotification('Peer added, the node will connect to it', 'success');
+                this.api.clearCache();
+                await this.loadPeers();
+            } catch (error) {
+                this.ui.showNotification(`Could not add peer: ${error.message}`, 'error');
+            }
+        });
+
+        container.querySelectorAll('.peer-ban-btn, .peer-unban-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                const ban = button.classList.contains('peer-ban-btn');
+                if (ban && !confirm(`Ban ${button.dataset.ip}? The node will disconnect it and refuse new connections from it.`)) return;
+                try {
+                    await (ban ? this.api.banPeer(button.dataset.ip) : this.api.unbanPeer(button.dataset.ip));
+                    this.ui.showNotification(`${button.dataset.ip} ${ban ? 'banned' : 'unbanned'}`, 'success');
+                    this.api.clearCache();
+                    await this.loadPeers();
+                } catch (error) {
+                    this.ui.showNotification(`Could not ${ban ? 'ban' : 'unban'} peer: ${error.message}`, 'error');
+                }
+            });
+        });
+    }
+
+    /**
+     * Inline SVG bars: connects above the axis, disconnects below
+     */
+    renderPeerChurn(churn) {
+        if (!churn.totals.connects && !churn.totals.disconnects) {
+            return '<p class="muted">No connects or disconnects in the last 24 hours</p>';
+        }
+
+        const width = 300;
+        const height = 60;
+        const half = height / 2;
+        const barWidth = width / churn.buckets.length;
+        const max = Math.max(1, ...churn.buckets.map(bucket => Math.max(bucket.connects, bucket.disconnects)));
+        const bars = churn.buckets.map((bucket, index) => {
+            const x = (index * barWidth).toFixed(1);
+            const up = bucket.connects / max * half;
+            const down = bucket.disconnects / max * half;
+            return `<rect class="peer-churn-connect" x="${x}" y="${(half - up).toFixed(1)}" width="${(barWidth * 0.8).toFixed(1)}" height="${up.toFixed(1)}"><title>${new Date(bucket.start).toLocaleString()}: ${bucket.connects} connects</title></rect>
+                <rect class="peer-churn-disconnect" x="${x}" y="${half}" width="${(barWidth * 0.8).toFixed(1)}" height="${down.toFixed(1)}"><title>${new Date(bucket.start).toLocaleString()}: ${bucket.disconnects} disconnects</title></rect>`;
+        }).join('');
+
+        return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="peer-churn" role="img" aria-label="Peer connects and disconnects per hour">
+            ${bars}
+        </svg>
+        <p class="muted">${churn.totals.connects} connects, ${churn.totals.disconnects} disconnects</p>`;
+    }
+
+    /**
+     * Load fee estimates, the fee-rate histogram and the congestion trend
+     * (snapshot is the pushed mempool sample, fetched when not given)
+     */
+    async loadMempool(snapshot = null) {
+        const section = document.getElementById('mempool-section');
+        const container = document.getElementById('mempool-container');
+        if (!section || !container) return;
+
+        let history;
+        try {
+            [snapshot, history] = await Promise.all([
+                snapshot || this.api.getMempool(),
+                this.api.getMempoolHistory(24)
+            ]);
+        } catch (error) {
+            section.style.display = 'block';
+            container.innerHTML = `<p class="wallet-status-msg muted">Could not load mempool data (${escapeHtml(error?.message || 'Network error')}).</p>`;
+            return;
+        }
+
+        section.style.display = 'block';
+        const formatRate = (rate) => (rate === null ? '—' : Number(rate).toLocaleString(undefined, { maximumFractionDigits: 2 }));
+        const estimates = ['low', 'normal', 'priority'].map(name => {
+            const estimate = snapshot.feeEstimates[name];
+            return `
+                <div class="mempool-estimate mempool-estimate-${name}">
+                    <span class="wallet-label">${name.charAt(0).toUpperCase() + name.slice(1)}</span>
+                    <strong>${formatRate(estimate.feerate)} sompi/g</strong>
+                    <span class="muted">≈ ${estimate.typicalFeeKas.toLocaleString(undefined, { maximumFractionDigits: 8 })} KAS for a typical transfer</span>
+                </div>`;
+        }).join('');
+
+        const maxCount = Math.max(1, ...snapshot.feerateHistogram.map(bucket => bucket.count));
+        const histogramRows = snapshot.feerateHistogram.map(bucket => `
+            <li class="peer-version">
+                <span class="peer-version-name">${bucket.max === null ? `${bucket.min}+` : `${bucket.min}–${bucket.max}`}</span>
+                <span class="peer-version-bar" style="width: ${(bucket.count / maxCount * 100).toFixed(0)}%"></span>
+                <span class="peer-version-count">${bucket.count}</span>
+            </li>`).join('');
+
+        const ages = snapshot.ageDistribution.map(bucket => `<span>${escapeHtml(bucket.label)}: <strong>${bucket.count}</strong></span>`).join('');
+
+        container.innerHTML = `
+            <div class="peer-summary">
+                <span><strong>${snapshot.transactionCount.toLocaleString()}</strong> transactions</span>
+                <span>${snapshot.orphanCount.toLocaleString()} orphans</span>
+                <span>${snapshot.blocksToClear.toLocaleString()} blocks to clear</span>
+                <span>Median fee rate ${formatRate(snapshot.feerate.median)} sompi/g</span>
+            </div>
+            <div class="mempool-estimates">${estimates}</div>
+            <div class="peer-panels">
+                <div>
+                    <h3>Fee Rates (sompi/gram)</h3>
+                    <ul class="peer-versions">${histogramRows}</ul>
+                </div>
+                <div>
+                    <h3>Mempool Size (24h)</h3>
+                    ${this.renderSparkline(history.series['node.mempool_size'] || [], 'Mempool transactions over the last 24 hours', 'The congestion trend appears after a few minutes of tracking')}
+                    <h3>Median Fee Rate (24h)</h3>
+                    ${this.renderSparkline(history.series['mempool.feerate_median'] || [], 'Median fee rate over the last 24 hours', 'The fee trend appears after a few minutes of tracking')}
+                </div>
+            </div>
+            <h3>Transaction Ages</h3>
+            <div class="peer-summary">${ages}</div>
+            <p class="muted">Ages count from ${new Date(snapshot.agesSince).toLocaleString()}, when the dashboard started watching the mempool. Updated ${new Date(snapshot.timestamp).toLocaleTimeString()}.</p>`;
+    }
+
+    /**
+     * Load the recent block window into the BlockDAG visualizer
+     */
+    async loadDag() {
+        const section = document.getElementById('dag-section');
+        const canvas = document.getElementById('dag-canvas');
+        if (!section || !canvas) return;
+
+        let snapshot;
+        try {
+            snapshot = await this.api.getDag();
+        } catch (error) {
+            console.error('Failed to load BlockDAG:', error);
+            return;
+        }
+
+        section.style.display = 'block';
+        if (!this.dagVisualizer) {
+            this.dagVisualizer = new DagVisualizer(canvas, {
+                onSelect: (hash) => {
+                    const form = document.getElementById('lookup-form');
+                    if (form) form.query.value = hash;
+                    this.runLookup(hash);
+                    document.getElementById('lookup-section')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                }
+            });
+        }
+        this.dagLive = snapshot.live;
+        this.dagVisualizer.load(snapshot);
+        this.updateDagStatus();
+    }
+
+    updateDagStatus() {
+        const status = document.getElementById('dag-status');
+        if (!status || !this.dagVisualizer) return;
+        status.textContent = this.dagVisualizer.size > 0
+            ? `${this.dagVisualizer.size} recent blocks`
+            : (this.dagLive ? 'Waiting for blocks…' : 'No block notifications from the node yet');
+    }
+
+    /**
+     * Load indexer database health; the section stays hidden when no indexer
+     * database is reachable (indexer profiles not installed)
+     */
+    async loadDatabases() {
+        const section = document.getElementById('database-section');
+        const container = document.getElementById('database-container');
+        if (!section || !container) return;
+
+        let performance;
+        try {
+            performance = await this.api.getDatabasePerformance();
+        } catch (error) {
+            console.error('Failed to load database performance:', error);
+            return;
+        }
+
+        const databases = Object.entries(performance.databases).filter(([, db]) => db.available);
+        if (databases.length === 0) return;
+
+        section.style.display = 'block';
+        container.innerHTML = databases.map(([name, db]) => `
+            <div class="database-card">
+                <h3>${escapeHtml(name)}</h3>
+                <div class="peer-summary">
+                    <span><strong>${db.connections}</strong> / ${db.maxConnections} active connections</span>
+                    <span>Cache hit ${db.cacheHitRatio}%</span>
+                    <span>${db.slowQueries} slow statements</span>
+                    <span>${escapeHtml(db.diskUsage.formatted)}</span>
+                </div>
+                <button class="btn btn-secondary btn-sm database-insights-btn" data-database="${escapeHtml(name)}">Insights</button>
+                <button class="btn btn-secondary btn-sm database-policies-btn" data-database="${escapeHtml(name)}">Hypertables</button>
+                <button class="btn btn-secondary btn-sm database-dumps-btn" data-database="${escapeHtml(name)}">Dumps</button>
+            </div>`).join('');
+
+        container.querySelectorAll('.database-insights-btn').forEach(button => {
+            button.addEventListener('click', () => this.loadDatabaseInsights(button.dataset.database));
+        });
+        container.querySelectorAll('.database-policies-btn').forEach(button => {
+            button.addEventListener('click', () => this.loadHypertables(button.dataset.database));
+        });
+        container.querySelectorAll('.database-dumps-btn').forEach(button => {
+            button.addEventListener('click', () => this.loadDatabaseDumps(button.dataset.database));
+        });
+    }
+
+    /**
+     * Slow statements, findings, blocked sessions and long transactions for one database
+     */
+    async loadDatabaseInsights(name, orderBy = 'total') {
+        const container = document.getElementById('database-insights');
+        if (!container) return;
+
+        container.innerHTML = '<p class="muted">Loading…</p>';
+        let insights;
+        try {
+            insights = await this.api.getDatabaseInsights(name, { orderBy, limit: 10 });
+        } catch (error) {
+            container.innerHTML = `<p class="wallet-status-msg muted">Could not load insights for ${escapeHtml(name)} (${escapeHtml(error?.message || 'Network error')}).</p>`;
+            return;
+        }
+
+        const findings = insights.findings.length > 0
+            ? `<ul class="database-findings">${insights.findings.map(finding => `<li class="database-finding-${finding.severity}">${escapeHtml(finding.message)}</li>`).join('')}</ul>`
+            : '<p class="muted">Nothing needs attention.</p>';
+
+        const slow = insights.slowQueries;
+        let statements;
+        if (slow.error) {
+            statements = `<p class="muted">${escapeHtml(slow.error)}</p>`;
+        } else if (!slow.available) {
+            statements = `<p class="muted">${escapeHtml(slow.reason)}. ${escapeHtml(slow.hint)}</p>`;
+        } else {
+            const rows = slow.queries.map(query => `
+                <tr>
+                    <td><code title="${escapeHtml(query.query)}">${escapeHtml(query.query.slice(0, 120))}</code></td>
+                    <td>${query.calls.toLocaleString()}</td>
+                    <td>${query.totalTimeMs.toLocaleString()} ms</td>
+                    <td>${query.meanTimeMs.toLocaleString()} ms</td>
+                    <td>${query.percentOfTotal}%</td>
+                </tr>`).join('');
+            statements = `
+                <label class="muted">Order by
+                    <select id="database-order">
+                        ${['total', 'mean', 'calls'].map(option => `<option value="${option}" ${option === slow.orderBy ? 'selected' : ''}>${option}</option>`).join('')}
+                    </select>
+                </label>
+                <table class="database-table">
+                    <thead><tr><th>Statement</th><th>Calls</th><th>Total</th><th>Mean</th><th>Share</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>`;
+        }
+
+        const sessions = [
+            ...(insights.locks.blocked || []).map(session => `<li>Blocked ${session.waitingSeconds}s: pid ${session.pid} waiting on ${session.blockedBy.join(', ')}</li>`),
+            ...(insights.longTransactions.transactions || []).map(tx => `<li>Open ${tx.transactionSeconds}s: pid ${tx.pid} (${escapeHtml(tx.application || tx.user || '')}, ${escapeHtml(tx.state || '')})</li>`)
+        ].join('');
+
+        const checkpoints = insights.checkpoints;
+        container.innerHTML = `
+            <h3>${escapeHtml(name)}</h3>
+            ${findings}
+            <h3>Top Statements</h3>
+            ${statements}
+            <h3>Locks and Long Transactions</h3>
+            ${sessions ? `<ul class="database-sessions">${sessions}</ul>` : '<p class="muted">No blocked sessions or long transactions.</p>'}
+            ${checkpoints.error ? '' : `<p class="muted">Checkpoints: ${checkpoints.timed} timed, ${checkpoints.requested} requested (max_wal_size ${escapeHtml(checkpoints.maxWalSize)}).
+                Replication: ${escapeHtml(insights.replication.role || 'unknown')}, ${(insights.replication.replicas || []).length} replicas, ${(insights.replication.slots || []).length} slots.</p>`}`;
+
+        document.getElementById('database-order')?.addEventListener('change', (event) => {
+            this.loadDatabaseInsights(name, event.target.value);
+        });
+    }
+
+    /**
+     * Hypertables with size, compression ratio and policies, a policy form
+     * with disk-savings preview, and the revertible change history
+     */
+    async loadHypertables(database) {
+        const container = document.getElementById('database-insights');
+        if (!container) return;
+
+        container.innerHTML = '<p class="muted">Loading…</p>';
+        let list;
+        let history;
+        try {
+            [list, history] = await Promise.all([
+                this.api.getHypertables(database),
+                this.api.getPolicyChanges(database)
+            ]);
+        } catch (error) {
+            container.innerHTML = `<p class="wallet-status-msg muted">Could not load hypertables for ${escapeHtml(database)} (${escapeHtml(error?.message || 'Network error')}).</p>`;
+            return;
+        }
+
+        if (!list.available) {
+            container.innerHTML = `<h3>${escapeHtml(database)}</h3><p class="muted">${escapeHtml(list.reason)}</p>`;
+            return;
+        }
+
+        const describe = (policy) => (policy ? `after ${escapeHtml(String(policy.after))}${policy.lastRunStatus ? ` · last run ${escapeHtml(policy.lastRunStatus)}` : ''}` : '—');
+        const rows = list.hypertables.map(table => `
+            <tr>
+                <td><label><input type="radio" name="hypertable" value="${escapeHtml(table.id)}"> ${escapeHtml(table.id)}</label></td>
+                <td>${formatBytes(table.totalBytes)}</td>
+                <td>${table.chunks.toLocaleString()}</td>
+                <td>${table.compression.ratio ? `${table.compression.ratio}× (${table.compression.compressedChunks} chunks)` : (table.compression.enabled ? 'enabled' : 'off')}</td>
+                <td>${describe(table.policies.compression)}</td>
+                <td>${describe(table.policies.retention)}</td>
+            </tr>`).join('');
+
+        const changes = history.changes.map(change => `
+            <li>
+                ${new Date(change.timestamp).toLocaleString()} · ${escapeHtml(change.hypertable)} · ${escapeHtml(change.action)} ${escapeHtml(change.type)}
+                ${change.after && change.after.after !== undefined ? ` after ${escapeHtml(String(change.after.after))}` : ''}
+                ${change.actor ? ` · ${escapeHtml(change.actor)}` : ''}
+                ${change.revertedBy ? ' · <span class="muted">reverted</span>' : `<button class="btn btn-secondary btn-sm database-revert-btn" data-change="${escapeHtml(change.id)}">Revert</button>`}
+            </li>`).join('');
+
+        container.innerHTML = `
+            <h3>${escapeHtml(database)} Hypertables (TimescaleDB ${escapeHtml(list.version)})</h3>
+            <table class="database-table">
+                <thead><tr><th>Hypertable</th><th>Size</th><th>Chunks</th><th>Compression</th><th>Compression Policy</th><th>Retention Policy</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <form class="database-policy-form" id="database-policy-form">
+                <select name="type" aria-label="Policy type">
+                    <option value="compression">Compress after</option>
+                    <option value="retention">Drop after</option>
+                </select>
+                <input type="text" name="after" placeholder="e.g. 7 days" required aria-label="Policy threshold">
+                <button type="button" class="btn btn-secondary btn-sm" data-action="preview">Preview</button>
+                <button type="submit" class="btn btn-secondary btn-sm">Apply</button>
+                <button type="button" class="btn btn-secondary btn-sm" data-action="remove">Remove Policy</button>
+                <button type="button" class="btn btn-secondary btn-sm" data-action="compress">Compress Now</button>
+            </form>
+            <p class="muted" id="database-policy-status" aria-live="polite">Select a hypertable.</p>
+            <h3>Policy Changes</h3>
+            ${changes ? `<ul class="database-sessions">${changes}</ul>` : '<p class="muted">No changes recorded yet.</p>'}`;
+
+        const form = document.getElementById('database-policy-form');
+        const status = document.getElementById('database-policy-status');
+        const selected = () => container.querySelector('input[name="hypertable"]:checked')?.value;
+        const run = async (label, action) => {
+            const hypertable = selected();
+            if (!hypertable) {
+                status.textContent = 'Select a hypertable first.';
+                return;
+            }
+            try {
+                status.textContent = await action(hypertable);
+            } catch (error) {
+                status.textContent = `${label} failed: ${error.message}`;
+            }
+        };
+
+        form.querySelector('[data-action="preview"]').addEventListener('click', () => run('Preview', async (hypertable) => {
+            const preview = await this.api.previewPolicy(database, hypertable, form.type.value, form.after.value);
+            const verb = preview.type === 'retention' ? 'drop' : 'compress';
+            return `Would ${verb} ${preview.proposed.chunks} chunks and free about ${formatBytes(preview.freedBytes)}`
+                + (preview.current ? ` (${formatBytes(preview.additionalBytes)} more than the current policy)` : '')
+                + (preview.ratioSource === 'assumed' ? `, assuming ${preview.compressionRatio}× compression` : '') + '.';
+        }));
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            run('Policy change', async (hypertable) => {
+                await this.api.setPolicy(database, hypertable, form.type.value, { after: form.after.value });
+                this.api.clearCache();
+                await this.loadHypertables(database);
+                return 'Policy saved.';
+            });
+        });
+
+        form.querySelector('[data-action="remove"]').addEventListener('click', () => run('Remove', async (hypertable) => {
+            if (!confirm(`Remove the ${form.type.value} policy from ${hypertable}?`)) return 'Cancelled.';
+            await this.api.removePolicy(database, hypertable, form.type.value);
+            this.api.clearCache();
+            await this.loadHypertables(database);
+            return 'Policy removed.';
+        }));
+
+        form.querySelector('[data-action="compress"]').addEventListener('click', () => run('Compression', async (hypertable) => {
+            const response = await this.api.compressHypertable(database, hypertable, form.after.value || null);
+            this.followCompressionRun(database, response.run);
+            return `Compressing ${response.run.chunks} chunks…`;
+        }));
+
+        container.querySelectorAll('.database-revert-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!confirm('Revert this change?')) return;
+                try {
+                    await this.api.revertPolicyChange(button.dataset.change);
+                    this.ui.showNotification('Change reverted', 'success');
+                    this.api.clearCache();
+                    await this.loadHypertables(database);
+                } catch (error) {
+                    this.ui.showNotification(`Could not revert: ${error.message}`, 'error');
+                }
+            });
+        });
+    }
+
+    /**
+     * Poll a background compression run until it finishes
+     */
+    async followCompressionRun(database, run) {
+        while (run.status === 'running') {
+            await new Promise(resolve => setTimeout(resolve, 3000));
+            this.api.clearCache();
+            run = await this.api.getCompressionRun(database, run.id).catch(() => ({ ...run, status: 'unknown' }));
+            const status = document.getElementById('database-policy-status');
+            if (status) status.textContent = `Compressing ${run.hypertable}: ${run.done} of ${run.chunks} chunks`;
+        }
+        this.ui.showNotification(`Compression of ${run.hypertable} ${run.status}${run.error ? `: ${run.error}` : ''}`, run.status === 'completed' ? 'success' : 'error');
+        await this.loadHypertables(database);
+    }
+
+    /**
+     * pg_dump backups of one database, a dump button with progress, and a
+     * restore by dump or point in time behind a preview of what it stops
+     */
+    async loadDatabaseDumps(database) {
+        const container = document.getElementById('database-insights');
+        if (!container) return;
+
+        container.innerHTML = '<p class="muted">Loading…</p>';
+        let list;
+        try {
+            list = await this.api.getDatabaseDumps(database);
+        } catch (error) {
+            container.innerHTML = `<p class="wallet-status-msg muted">Could not load dumps for ${escapeHtml(database)} (${escapeHtml(error?.message || 'Network error')}).</p>`;
+            return;
+        }
+
+        const target = list.databases.find(entry => entry.key === database) || { available: false };
+        const rows = list.dumps.map(dump => `
+            <tr>
+                <td><label><input type="radio" name="database-dump" value="${escapeHtml(dump.id)}"> ${new Date(dump.createdAt).toLocaleString()}</label></td>
+                <td>${formatBytes(dump.size)}</td>
+                <td>${dump.tables.length}</td>
+                <td>PostgreSQL ${escapeHtml(dump.postgresVersion)}${dump.timescaleVersion ? ` · TimescaleDB ${escapeHtml(dump.timescaleVersion)}` : ''}</td>
+                <td>${dump.scheduleId ? 'scheduled' : escapeHtml(dump.actor || 'manual')}</td>
+                <td><button class="btn btn-secondary btn-sm database-dump-delete-btn" data-dump="${escapeHtml(dump.id)}">Delete</button></td>
+            </tr>`).join('');
+
+        container.innerHTML = `
+            <h3>${escapeHtml(database)} Dumps${target.container ? ` <span class="muted">(${escapeHtml(target.container)})</span>` : ''}</h3>
+            <button class="btn btn-secondary btn-sm" id="database-dump-btn" ${target.available && !target.busy ? '' : 'disabled'}>Dump Now</button>
+            ${rows ? `
+            <table class="database-table">
+                <thead><tr><th>Taken</th><th>Size</th><th>Tables</th><th>Versions</th><th>By</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>` : '<p class="muted">No dumps yet.</p>'}
+            <form class="database-policy-form" id="database-restore-form">
+                <label>Restore the selected dump, or as of
+                    <input type="datetime-local" name="at" aria-label="Restore as of">
+                </label>
+                <button type="submit" class="btn btn-secondary btn-sm">Preview Restore</button>
+            </form>
+            <p class="muted" id="database-dump-status" aria-live="polite">${target.busy ? `A ${escapeHtml(target.busy)} is running.` : ''}</p>`;
+
+        const status = document.getElementById('database-dump-status');
+        document.getElementById('database-dump-btn').addEventListener('click', async () => {
+            try {
+                const response = await this.api.createDatabaseDump(database);
+                await this.followDatabaseBackupRun(database, response.run);
+            } catch (error) {
+                status.textContent = `Dump failed: ${error.message}`;
+            }
+        });
+
+        container.querySelectorAll('.database-dump-delete-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!confirm('Delete this dump?')) return;
+                try {
+                    await this.api.deleteDatabaseDump(button.dataset.dump);
+                    this.api.clearCache();
+                    await this.loadDatabaseDumps(database);
+                } catch (error) {
+                    this.ui.showNotification(`Could not delete: ${error.message}`, 'error');
+                }
+            });
+        });
+
+        document.getElementById('database-restore-form').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const at = event.target.at.value;
+            const dumpId = container.querySelector('input[name="database-dump"]:checked')?.value;
+            const selection = at ? { at: new Date(at).toISOString() } : (dumpId ? { dumpId } : {});
+            try {
+                const plan = await this.api.previewDatabaseRestore(database, selection);
+                const summary = `Restore ${plan.dbName} in ${plan.container} from the dump taken ${new Date(plan.dump.createdAt).toLocaleString()}`
+                    + ` (${plan.dump.tables.length} tables, ${formatBytes(plan.dump.size)}).`
+                    + `\nStopped during the swap and started again: ${plan.services.length ? plan.stopOrder.join(', ') : 'nothing'}.`
+                    + (plan.warnings.length ? `\nNote: ${plan.warnings.join('; ')}.` : '');
+                if (plan.problems.length) {
+                    status.textContent = `Cannot restore: ${plan.problems.join('; ')}.`;
+                    return;
+                }
+                if (!confirm(`${summary}\n\nData written since that dump is lost. Continue?`)) return;
+                const response = await this.api.restoreDatabase(database, { dumpId: plan.dump.id });
+                await this.followDatabaseBackupRun(database, response.run);
+            } catch (error) {
+                status.textContent = `Restore failed: ${error.message}`;
+            }
+        });
+    }
+
+    /**
+     * Poll a dump or restore run until it finishes
+     */
+    async followDatabaseBackupRun(database, run) {
+        const show = () => {
+            const status = document.getElementById('database-dump-status');
+            if (!status) return;
+            const { tablesDone, tablesTotal, bytes, bytesTotal } = run.progress;
+            const tables = tablesTotal ? `${tablesDone} of ${tablesTotal} tables` : `${tablesDone} tables`;
+            const size = bytesTotal ? `${formatBytes(bytes)} of ${formatBytes(bytesTotal)}` : formatBytes(bytes);
+            status.textContent = `${run.kind === 'dump' ? 'Dumping' : 'Restoring'}${run.step ? ` (${run.step})` : ''}: ${tables}, ${size}`;
+        };
+        show();
+        while (run.status === 'running') {
+            await new Promise(resolve => setTimeout(resolve, 3000));
+            this.api.clearCache();
+            run = await this.api.getDatabaseBackupRun(run.id).catch(() => ({ ...run, status: 'unknown' }));
+            show();
+        }
+
+        const kept = run.preRestoreDatabase ? ` The replaced data is kept in ${run.preRestoreDatabase}.` : '';
+        const unhealthy = (run.health || []).filter(check => check.healthy === false).map(check => check.service);
+        const label = run.kind === 'dump' ? 'Dump' : 'Restore';
+        const message = run.status === 'completed'
+            ? `${label} of ${database} completed.`
+            : `${label} of ${database} ${run.status.replace(/_/g, ' ')}${run.error ? `: ${run.error}` : ''}${unhealthy.length ? ` (unhealthy: ${unhealthy.join(', ')})` : ''}.${kept}`;
+        this.ui.showNotification(message, run.status === 'completed' ? 'success' : 'error');
+        this.api.clearCache();
+        await this.loadDatabaseDumps(database);
+    }
+
+    /**
+     * Configuration backups, newest first, each with a restore preview
+     */
+    async loadBackups() {
+        const container = document.getElementById('backup-container');
+        if (!container) return;
+
+        let backups;
+        try {
+            ({ backups } = await this.api.getBackups());
+        } catch (error) {
+            container.innerHTML = `<p class="wallet-status-msg muted">Could not load backups (${escapeHtml(error?.message || 'Network error')}).</p>`;
+            return;
+        }
+
+        this.backups = backups;
+        if (backups.length === 0) {
+            container.innerHTML = '<p class="muted">No backups yet.</p>';
+            return;
+        }
+
+        const destinations = this.backupDestinations || [];
+        const destinationName = (id) => destinations.find(destination => destination.id === id)?.name || id;
+        const uploadControl = (backup) => destinations.length === 0 ? '' : `
+            <select class="backup-upload-target" aria-label="Upload ${escapeHtml(backup.id)} to">${destinations.map(destination => `
+                <option value="${escapeHtml(destination.id)}">${escapeHtml(destination.name)}</option>`).join('')}
+            </select>
+            <button class="btn btn-secondary btn-sm backup-upload-btn" data-backup="${escapeHtml(backup.id)}">Upload</button>`;
+
+        container.innerHTML = `
+            <table class="database-table">
+                <thead><tr><th>Backup</th><th>Created</th><th>Size</th><th>Files</th><th>Encrypted</th><th>Copies</th><th></th></tr></thead>
+                <tbody>${backups.map(backup => `
+                    <tr>
+                        <td title="${escapeHtml(backup.id)}">${escapeHtml(backup.description)}${backup.restoringFrom ? ` <span class="muted">(before restoring ${escapeHtml(backup.restoringFrom)})</span>` : ''}</td>
+                        <td>${new Date(backup.created).toLocaleString()}</td>
+                        <td>${formatBytes(backup.size)}</td>
+                        <td>${backup.fileCount ?? '—'}</td>
+                        <td>${backup.encrypted ? escapeHtml(backup.encryption?.mode || 'yes') : '<span class="muted">no</span>'}</td>
+                        <td>${(backup.uploads || []).map(upload => `<span title="sha256 ${escapeHtml(upload.sha256)}, verified ${escapeHtml(upload.verifiedAt)}">${escapeHtml(destinationName(upload.destination))}</span>`).join(', ') || '<span class="muted">local only</span>'}</td>
+                        <td>
+                            <button class="btn btn-secondary btn-sm backup-preview-btn" data-backup="${escapeHtml(backup.id)}">Preview Restore</button>
+                            ${uploadControl(backup)}
+                        </td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+
+        container.querySelectorAll('.backup-preview-btn').forEach(button => {
+            button.addEventListener('click', () => this.previewRestore(button.dataset.backup));
+        });
+        container.querySelectorAll('.backup-upload-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                const destinationId = button.previousElementSibling.value;
+                button.disabled = true;
+                try {
+                    const { upload } = await this.api.uploadBackup(button.dataset.backup, destinationId);
+                    this.ui.showNotification(`Uploaded to ${destinationName(destinationId)} and verified (sha256 ${upload.sha256.slice(0, 12)}…)`, 'success');
+                    this.api.clearCache();
+                    await this.loadBackups();
+                } catch (error) {
+                    button.disabled = false;
+                    this.ui.showNotification(`Upload failed: ${error.message}`, 'error');
+                }
+            });
+        });
+    }
+
+    /**
+     * Snapshots of the node's data volume, with downloads; the wizard imports
+     * them into new installations
+     */
+    async loadNodeSnapshots() {
+        const container = document.getElementById('node-snapshots');
+        if (!container) return;
+
+        let snapshots;
+        try {
+            ({ snapshots } = await this.api.getNodeSnapshots());
+        } catch (error) {
+            container.innerHTML = `<p class="wallet-status-msg muted">Could not load node snapshots (${escapeHtml(error?.message || 'Network error')}).</p>`;
+            return;
+        }
+        if (snapshots.length === 0) {
+            container.innerHTML = '<p class="muted">No snapshots yet. Copy a snapshot\'s three files to .kaspa-snapshots on a new machine and the wizard offers it during installation.</p>';
+            return;
+        }
+
+        const download = (snapshot, file, label) =>
+            `<a class="btn btn-secondary btn-sm" href="${escapeHtml(this.api.nodeSnapshotDownloadUrl(snapshot.id, file))}" download>${label}</a>`;
+        container.innerHTML = `
+            <table class="database-table">
+                <thead><tr><th>Taken</th><th>Network</th><th>Node</th><th>DAA score</th><th>Size</th><th></th></tr></thead>
+                <tbody>${snapshots.map(snapshot => `
+                    <tr>
+                        <td title="${escapeHtml(snapshot.id)}">${new Date(snapshot.createdAt).toLocaleString()}</td>
+                        <td>${escapeHtml(snapshot.network)}</td>
+                        <td>${escapeHtml(snapshot.nodeVersion || 'unknown')}${snapshot.synced ? '' : ' <span class="muted">(not synced)</span>'}</td>
+                        <td>${snapshot.daaScore ? Number(snapshot.daaScore).toLocaleString() : '—'}</td>
+                        <td title="${formatBytes(snapshot.dataBytes)} unpacked, ${snapshot.fileCount} files">${formatBytes(snapshot.archive.size)}</td>
+                        <td>
+                            ${download(snapshot, 'archive', 'Archive')}
+                            ${download(snapshot, 'checksums', 'Checksums')}
+                            ${download(snapshot, 'manifest', 'Manifest')}
+                            <button class="btn btn-secondary btn-sm node-snapshot-delete-btn" data-snapshot="${escapeHtml(snapshot.id)}">Delete</button>
+                        </td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+
+        container.querySelectorAll('.node-snapshot-delete-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!confirm('Delete this snapshot?')) return;
+                try {
+                    await this.api.deleteNodeSnapshot(button.dataset.snapshot);
+                    this.api.clearCache();
+                    await this.loadNodeSnapshots();
+                } catch (error) {
+                    this.ui.showNotification(`Could not delete: ${error.message}`, 'error');
+                }
+            });
+        });
+    }
+
+    /**
+     * Poll a snapshot export until the node runs again
+     */
+    async followNodeSnapshotRun(run) {
+        const show = () => {
+            const status = document.getElementById('node-snapshot-status');
+            if (!status) return;
+            const { phase, bytes, bytesTotal } = run.progress;
+            const size = bytesTotal ? `${formatBytes(bytes)} of ${formatBytes(bytesTotal)}` : formatBytes(bytes);
+            status.textContent = run.status === 'running'
+                ? `Exporting${run.step ? ` (${run.step}${phase && run.step === 'export' ? `: ${phase}` : ''})` : ''}: ${size}`
+                : '';
+        };
+        show();
+        while (run.status === 'running') {
+            await new Promise(resolve => setTimeout(resolve, 3000));
+            this.api.clearCache();
+            run = await this.api.getNodeSnapshotRun(run.id).catch(() => ({ ...run, status: 'unknown' }));
+            show();
+        }
+
+        const unhealthy = (run.health || []).filter(check => check.healthy === false).map(check => check.service);
+        const message = run.status === 'completed'
+            ? `Snapshot exported at DAA score ${Number(run.snapshot.daaScore).toLocaleString()}; the node is running again.`
+            : `Snapshot export ${run.status.replace(/_/g, ' ')}${run.error ? `: ${run.error}` : ''}${unhealthy.length ? ` (unhealthy: ${unhealthy.join(', ')})` : ''}.`;
+        this.ui.showNotification(message, run.status === 'completed' ? 'success' : 'error');
+        this.api.clearCache();
+        await this.loadNodeSnapshots();
+    }
+
+    /**
+     * Backup schedules with their retention, next and last run, and the run calendar
+     */
+    async loadBackupSchedules() {
+        const container = document.getElementById('backup-schedules');
+        if (!container) return;
+
+        let result;
+        try {
+            result = await this.api.getBackupSchedules();
+        } catch (error) {
+            container.innerHTML = `<p class="wallet-status-msg muted">Could not load backup schedules (${escapeHtml(error?.message || 'Network error')}).</p>`;
+            return;
+        }
+
+        const { schedules, types } = result;
+        const typeSelect = document.querySelector('#backup-schedule-form select[name="type"]');
+        if (typeSelect) {
+            types.forEach(type => {
+                const option = typeSelect.querySelector(`option[value="${type.type}"]`);
+                if (option) {
+                    option.disabled = !type.available;
+                    option.title = type.available ? '' : 'Not available on this installation';
+                }
+            });
+        }
+
+        const lastRun = (schedule) => {
+            if (schedule.running) return 'running…';
+            if (!schedule.lastRun) return '<span class="muted">never</span>';
+            const run = schedule.lastRun;
+            return `<span title="${escapeHtml(run.error || run.reason || run.backupId || '')}">${escapeHtml(run.status)}, ${new Date(run.finishedAt || run.scheduledFor).toLocaleString()}</span>`;
+        };
+
+        container.innerHTML = schedules.length === 0 ? '<p class="muted">No backup schedules. Backups are only made by hand.</p>' : `
+            <table class="database-table">
+                <thead><tr><th>Schedule</th><th>Type</th><th>When</th><th>Keeps</th><th>Next run</th><th>Last run</th><th></th></tr></thead>
+                <tbody>${schedules.map(schedule => `
+                    <tr>
+                        <td>${escapeHtml(schedule.name)}</td>
+                        <td>${escapeHtml(schedule.typeLabel || schedule.type)}</td>
+                        <td><code>${escapeHtml(schedule.cron)}</code></td>
+                        <td title="newest backup of each of the last days, weeks and months">${schedule.retention.daily}d / ${schedule.retention.weekly}w / ${schedule.retention.monthly}m</td>
+                        <td>${schedule.enabled && schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : '<span class="muted">paused</span>'}</td>
+                        <td>${lastRun(schedule)}</td>
+                        <td>
+                            <button class="btn btn-secondary btn-sm backup-schedule-run" data-schedule="${escapeHtml(schedule.id)}" ${schedule.running ? 'disabled' : ''}>Run Now</button>
+                            <button class="btn btn-secondary btn-sm backup-schedule-toggle" data-schedule="${escapeHtml(schedule.id)}" data-enabled="${schedule.enabled}">${schedule.enabled ? 'Pause' : 'Resume'}</button>
+                            <button class="btn btn-secondary btn-sm backup-schedule-remove" data-schedule="${escapeHtml(schedule.id)}">Remove</button>
+                        </td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+
+        container.querySelectorAll('.backup-schedule-run').forEach(button => {
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                try {
+                    await this.api.runBackupSchedule(button.dataset.schedule);
+                    this.ui.showNotification('Backup started', 'success');
+                } catch (error) {
+                    button.disabled = false;
+                    this.ui.showNotification(`Could not start backup: ${error.message}`, 'error');
+                }
+            });
+        });
+        container.querySelectorAll('.backup-schedule-toggle').forEach(button => {
+            button.addEventListener('click', async () => {
+                try {
+                    await this.api.updateBackupSchedule(button.dataset.schedule, { enabled: button.dataset.enabled !== 'true' });
+                    this.api.clearCache();
+                    await this.loadBackupSchedules();
+                } catch (error) {
+                    this.ui.showNotification(`Could not update schedule: ${error.message}`, 'error');
+                }
+            });
+        });
+        container.querySelectorAll('.backup-schedule-remove').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!confirm('Remove this schedule? Backups it made are kept.')) return;
+                try {
+                    await this.api.removeBackupSchedule(button.dataset.schedule);
+                    this.api.clearCache();
+                    await this.loadBackupSchedules();
+                } catch (error) {
+                    this.ui.showNotification(`Could not remove schedule: ${error.message}`, 'error');
+                }
+            });
+        });
+
+        await this.loadBackupCalendar(this.backupCalendarMonth);
+    }
+
+    /**
+     * Month grid of scheduled runs: completed, failed and missed runs, and the ones still to come
+     */
+    async loadBackupCalendar(month) {
+        const container = document.getElementById('backup-calendar');
+        if (!container) return;
+
+        const now = new Date();
+        month = month || `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+        let calendar;
+        try {
+            calendar = await this.api.getBackupCalendar(month);
+        } catch (error) {
+            container.innerHTML = `<p class="wallet-status-msg muted">Could not load the backup calendar (${escapeHtml(error?.message || 'Network error')}).</p>`;
+            return;
+        }
+        this.backupCalendarMonth = calendar.month;
+
+        const [year, monthNumber] = calendar.month.split('-').map(Number);
+        const shift = (offset) => {
+            const date = new Date(year, monthNumber - 1 + offset, 1);
+            return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        };
+        // Weeks start on Monday
+        const leadingDays = (new Date(year, monthNumber - 1, 1).getDay() + 6) % 7;
+        const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
+        const runTitle = (run) => `${run.scheduleName}: ${run.status}${run.missedRuns > 1 ? ` (${run.missedRuns} runs)` : ''} at ${new Date(run.startedAt || run.scheduledFor).toLocaleTimeString()}${run.error ? ` (${run.error})` : ''}`;
+        const upcomingTitle = (entry) => `${entry.scheduleName}: ${entry.count > 1 ? `${entry.count} runs from ` : ''}${new Date(entry.first).toLocaleTimeString()}`;
+
+        container.innerHTML = `
+            <div class="backup-calendar-header">
+                <button class="btn btn-secondary btn-sm" data-month="${shift(-1)}" aria-label="Previous month">‹</button>
+                <strong>${new Date(year, monthNumber - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}</strong>
+                <button class="btn btn-secondary btn-sm" data-month="${shift(1)}" aria-label="Next month">›</button>
+            </div>
+            <div class="backup-calendar-grid">
+                ${['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => `<div class="backup-calendar-weekday">${day}</div>`).join('')}
+                ${'<div></div>'.repeat(leadingDays)}
+                ${calendar.days.map(day => `
+                    <div class="backup-calendar-day${day.date === today ? ' today' : ''}">
+                        <div>${Number(day.date.slice(8))}</div>
+                        ${day.runs.map(run => `<span class="backup-run backup-run-${escapeHtml(run.status)}" title="${escapeHtml(runTitle(run))}"></span>`).join('')}
+                        ${day.upcoming.map(entry => `<span class="backup-run backup-run-upcoming" title="${escapeHtml(upcomingTitle(entry))}"></span>`).join('')}
+                    </div>`).join('')}
+            </div>`;
+
+        container.querySelectorAll('[data-month]').forEach(button => {
+            button.addEventListener('click', () => this.loadBackupCalendar(button.dataset.month));
+        });
+    }
+
+    /**
+     * Backup encryption status and off-site destinations, each with a
+     * connection test and a list of the backups stored there
+     */
+    async loadBackupDestinations() {
+        const container = document.getElementById('backup-destinations');
+        if (!container) return;
+
+        let result;
+        try {
+            result = await this.api.getBackupDestinations();
+        } catch (error) {
+            container.innerHTML = `<p class="wallet-status-msg muted">Could not load backup destinations (${escapeHtml(error?.message || 'Network error')}).</p>`;
+            return;
+        }
+
+        const { encryption, destinations } = result;
+        this.backupDestinations = destinations;
+        this.backupEncryption = encryption;
+        const target = (destination) => ({
+            local: destination.path,
+            ssh: `${destination.user}@${destination.host}:${destination.path} (${destination.transfer || 'rsync'})`,
+            s3: `${destination.endpoint} · ${destination.bucket}${destination.prefix ? `/${destination.prefix}` : ''}`
+        }[destination.type]);
+
+        container.innerHTML = `
+            <p>${encryption.configured
+                ? `Backups are encrypted with a ${encryption.mode === 'passphrase' ? 'passphrase' : `public key (${escapeHtml(encryption.fingerprint)})`}.`
+                : '<strong>Backups are not encrypted.</strong> Set up encryption below before adding destinations: backups hold the .env database passwords.'}</p>
+            ${destinations.length === 0 ? '<p class="muted">No off-site destinations.</p>' : `
+            <table class="database-table">
+                <thead><tr><th>Destination</th><th>Type</th><th>Location</th><th>New backups</th><th></th></tr></thead>
+                <tbody>${destinations.map(destination => `
+                    <tr>
+                        <td>${escapeHtml(destination.name)}</td>
+                        <td>${escapeHtml(destination.type)}</td>
+                        <td>${escapeHtml(target(destination))}</td>
+                        <td>${destination.autoUpload ? 'uploaded' : '<span class="muted">manual</span>'}</td>
+                        <td>
+                            <button class="btn btn-secondary btn-sm backup-destination-test" data-destination="${escapeHtml(destination.id)}">Test</button>
+                            <button class="btn btn-secondary btn-sm backup-destination-remote" data-destination="${escapeHtml(destination.id)}">Stored Backups</button>
+                            <button class="btn btn-secondary btn-sm backup-destination-remove" data-destination="${escapeHtml(destination.id)}">Remove</button>
+                        </td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`}`;
+
+        container.querySelectorAll('.backup-destination-test').forEach(button => {
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                try {
+                    await this.api.testBackupDestination(button.dataset.destination);
+                    this.ui.showNotification('Destination is reachable and writable', 'success');
+                } catch (error) {
+                    this.ui.showNotification(`Destination test failed: ${error.message}`, 'error');
+                } finally {
+                    button.disabled = false;
+                }
+            });
+        });
+        container.querySelectorAll('.backup-destination-remote').forEach(button => {
+            button.addEventListener('click', () => this.loadRemoteBackups(button.dataset.destination));
+        });
+        container.querySelectorAll('.backup-destination-remove').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!confirm('Remove this destination? Backups already uploaded there are kept.')) return;
+                try {
+                    await this.api.removeBackupDestination(button.dataset.destination);
+                    this.api.clearCache();
+                    await this.loadBackupDestinations();
+                    await this.loadBackups();
+                } catch (error) {
+                    this.ui.showNotification(`Could not remove destination: ${error.message}`, 'error');
+                }
+            });
+        });
+    }
+
+    /**
+     * Backups stored at a destination; dashboard backups that are not on
+     * this machine can be fetched back and then restored as usual
+     */
+    async loadRemoteBackups(destinationId) {
+        const container = document.getElementById('backup-remote');
+        if (!container) return;
+
+        container.innerHTML = '<p class="muted">Listing stored backups…</p>';
+        let backups;
+        try {
+            ({ backups } = await this.api.getRemoteBackups(destinationId));
+        } catch (error) {
+            container.innerHTML = `<p class="wallet-status-msg muted">Could not list stored backups (${escapeHtml(error?.message || 'Network error')}).</p>`;
+            return;
+        }
+
+        if (backups.length === 0) {
+            container.innerHTML = '<p class="muted">No backups stored at this destination.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="database-table">
+                <thead><tr><th>Stored backup</th><th>Uploaded</th><th>Size</th><th></th></tr></thead>
+                <tbody>${backups.map(backup => `
+                    <tr>
+                        <td>${escapeHtml(backup.backupId)}${backup.source === 'wizard' ? ' <span class="muted">(wizard)</span>' : ''}</td>
+                        <td>${backup.modified ? new Date(backup.modified).toLocaleString() : '—'}</td>
+                        <td>${formatBytes(backup.size)}</td>
+                        <td>${backup.local ? '<span class="muted">on this machine</span>'
+                            : backup.source === 'wizard' ? '<span class="muted">import from the wizard</span>'
+                            : `<button class="btn btn-secondary btn-sm backup-fetch-btn" data-name="${escapeHtml(backup.name)}">Fetch</button>`}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+
+        container.querySelectorAll('.backup-fetch-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                try {
+                    const fetched = await this.api.fetchRemoteBackup(destinationId, button.dataset.name);
+                    this.ui.showNotification(`Fetched ${fetched.backupId}; checksum verified. Preview it below to restore.`, 'success');
+                    this.api.clearCache();
+                    await this.loadBackups();
+                    await this.loadRemoteBackups(destinationId);
+                } catch (error) {
+                    button.disabled = false;
+                    this.ui.showNotification(`Could not fetch backup: ${error.message}`, 'error');
+                }
+            });
+        });
+    }
+
+    /**
+     * Ask for the key of an encrypted backup the stored settings cannot open
+     */
+    askBackupCredentials(backupId, reason) {
+        const container = document.getElementById('backup-restore');
+        const backup = (this.backups || []).find(entry => entry.id === backupId);
+        const publicKey = backup?.encryption?.mode === 'public-key';
+
+        container.innerHTML = `
+            <h3>Restore ${escapeHtml(backup?.description || backupId)}</h3>
+            <p class="muted">${escapeHtml(reason)}</p>
+            <form class="backup-credentials-form" id="backup-credentials-form">
+                ${publicKey
+                    ? `<textarea name="privateKey" rows="4" placeholder="Private key for ${escapeHtml(backup.encryption.fingerprint || 'this backup')} (PEM)" aria-label="Private key" required></textarea>
+                       <input type="password" name="privateKeyPassphrase" placeholder="Key passphrase (if any)" autocomplete="off" aria-label="Private key passphrase">`
+                    : '<input type="password" name="passphrase" placeholder="Backup passphrase" autocomplete="off" aria-label="Backup passphrase" required>'}
+                <button type="submit" class="btn btn-secondary btn-sm">Decrypt &amp; Preview</button>
+            </form>`;
+
+        const form = document.getElementById('backup-credentials-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const credentials = publicKey
+                ? { privateKey: form.privateKey.value.trim(), privateKeyPassphrase: form.privateKeyPassphrase.value || undefined }
+                : { passphrase: form.passphrase.value };
+            this.previewRestore(backupId, credentials);
+        });
+    }
+
+    /**
+     * Dry run of a restore: the files that would change and the services
+     * that would be stopped and restarted, with a button to go ahead
+     */
+    async previewRestore(backupId, credentials = null) {
+        const container = document.getElementById('backup-restore');
+        if (!container) return;
+
+        // Backups encrypted to a public key need the private key, which never
+        // stays on this machine; a passphrase is only asked for when the
+        // stored one does not open the backup
+        const backup = (this.backups || []).find(entry => entry.id === backupId);
+        if (!credentials && backup?.encrypted && backup.encryption?.mode === 'public-key') {
+            this.askBackupCredentials(backupId, 'This backup is encrypted to a public key. Paste the matching private key to decrypt it; it is used for this restore only.');
+            return;
+        }
+
+        container.innerHTML = '<p class="muted">Comparing backup with the current configuration…</p>';
+        let preview;
+        try {
+            preview = await this.api.previewRestore(backupId, credentials);
+        } catch (error) {
+            if (backup?.encrypted && error?.status === 400) {
+                this.askBackupCredentials(backupId, 'The stored settings could not decrypt this backup. Enter the passphrase or key it was encrypted with.');
+                return;
+            }
+            container.innerHTML = `<p class="wallet-status-msg muted">Could not preview ${escapeHtml(backupId)} (${escapeHtml(error?.message || 'Network error')}).</p>`;
+            return;
+        }
+
+        const describeDiff = (file) => {
+            if (!file.diff) return '';
+            const variables = (file.diff.variables || []).map(variable => `${escapeHtml(variable.key)}: ${escapeHtml(variable.from ?? '(unset)')} → ${escapeHtml(variable.to ?? '(unset)')}`);
+            return ` · +${file.diff.linesAdded} / -${file.diff.linesRemoved} lines${variables.length ? `<br><small>${variables.join('<br>')}</small>` : ''}`;
+        };
+        const files = preview.files.map(file => `
+            <li class="backup-file-${escapeHtml(file.status)}">${escapeHtml(file.path)} · ${escapeHtml(file.status)}${describeDiff(file)}</li>`).join('');
+        const services = preview.services.map(service => `
+            <li>${escapeHtml(service.name)} · ${service.action === 'none' ? 'not running, picks the change up on next start' : escapeHtml(service.action)} <span class="muted">(${escapeHtml(service.reasons.join('; '))})</span></li>`).join('');
+
+        container.innerHTML = `
+            <h3>Restore ${escapeHtml(preview.description || backupId)} <span class="muted">(${new Date(preview.created).toLocaleString()})</span></h3>
+            <ul class="database-sessions">${files || '<li class="muted">The backup holds no restorable files.</li>'}</ul>
+            ${preview.skipped.length ? `<p class="muted">Not restored: ${preview.skipped.map(entry => escapeHtml(entry.dest)).join(', ')}</p>` : ''}
+            <h3>Services</h3>
+            ${services ? `<ul class="database-sessions">${services}</ul>` : '<p class="muted">No services need a restart.</p>'}
+            ${preview.stopOrder.length ? `<p class="muted">Stop order: ${preview.stopOrder.map(escapeHtml).join(' → ')}<br>Start order: ${preview.startOrder.map(escapeHtml).join(' → ')}</p>` : ''}
+            ${preview.changes > 0
+                ? '<button class="btn btn-secondary btn-sm" id="backup-restore-btn">Restore</button> <span class="muted">A pre-restore backup is taken first so this can be undone.</span>'
+                : '<p class="muted">The current configuration already matches this backup.</p>'}
+            <p class="muted" id="backup-restore-status" aria-live="polite"></p>`;
+
+        document.getElementById('backup-restore-btn')?.addEventListener('click', async (event) => {
+            if (!confirm(`Restore ${preview.changes} file(s) from this backup${preview.stopOrder.length ? ` and restart ${preview.stopOrder.length} service(s)` : ''}?`)) return;
+            event.target.disabled = true;
+            try {
+                const response = await this.api.restoreBackup(backupId, credentials);
+                await this.followRestore(response.restore);
+            } catch (error) {
+                event.target.disabled = false;
+                this.ui.showNotification(`Could not restore: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Poll a background restore until it finishes
+     */
+    async followRestore(restore) {
+        const show = () => {
+            const status = document.getElementById('backup-restore-status');
+            if (status) {
+                status.textContent = restore.steps.map(step => `${step.step}: ${step.detail} (${step.status})`).slice(-3).join(' · ');
+            }
+        };
+        show();
+        while (restore.status === 'running') {
+            await new Promise(resolve => setTimeout(resolve, 3000));
+            this.api.clearCache();
+            restore = await this.api.getRestore(restore.id).catch(() => ({ ...restore, status: 'unknown' }));
+            show();
+        }
+
+        const undo = restore.preRestoreBackupId ? ` Undo by restoring ${restore.preRestoreBackupId}.` : '';
+        const unhealthy = (restore.health || []).filter(check => check.healthy === false).map(check => check.service);
+        const message = restore.status === 'completed'
+            ? `Restore completed.${undo}`
+            : `Restore ${restore.status.replace(/_/g, ' ')}${restore.error ? `: ${restore.error}` : ''}${unhealthy.length ? ` (unhealthy: ${unhealthy.join(', ')})` : ''}.${undo}`;
+        this.ui.showNotification(message, restore.status === 'completed' ? 'success' : 'error');
+        this.api.clearCache();
+        await this.loadBackups();
+    }
+
+    /**
+     * Look up a block hash, transaction ID or address (blockHash narrows a
+     * transaction to a block, for nodes without the explorer indexer)
+     */
+    async runLookup(query, blockHash = null) {
+        const result = document.getElementById('lookup-result');
+        if (!result || !query) return;
+
+        result.innerHTML = '<p class="muted">Looking up…</p>';
+        try {
+            const found = blockHash
+                ? { type: 'transaction', result: await this.api.lookupTransaction(query, blockHash) }
+                : await this.api.lookup(query);
+            if (found.type === 'block') {
+                result.innerHTML = this.renderLookupBlock(found.result);
+            } else if (found.type === 'transaction') {
+                result.innerHTML = this.renderLookupTransaction(found.result);
+            } else {
+                result.innerHTML = this.renderLookupAddress(found.result);
+            }
+        } catch (error) {
+            result.innerHTML = `<p class="wallet-status-msg muted">${escapeHtml(error?.message || 'Lookup failed')}</p>`;
+        }
+    }
+
+    /**
+     * Link that runs a lookup of a hash or address
+     */
+    renderLookupLink(query, blockHash = null) {
+        if (!query) return '<span class="muted">—</span>';
+        return `<a href="#" class="lookup-link wallet-address" data-query="${escapeHtml(query)}"${blockHash ? ` data-block="${escapeHtml(blockHash)}"` : ''} title="${escapeHtml(query)}">${escapeHtml(query)}</a>`;
+    }
+
+    renderLookupBlock(block) {
+        const links = (hashes) => hashes.length
+            ? hashes.map(hash => `<li>${this.renderLookupLink(hash)}</li>`).join('')
+            : '<li class="muted">none</li>';
+        const txRows = block.transactions.map(tx => `
+            <tr>
+                <td>${this.renderLookupLink(tx.transactionId, block.hash)}${tx.isCoinbase ? ' <span class="badge badge-success">coinbase</span>' : ''}</td>
+                <td>${tx.inputs.length}</td>
+                <td>${tx.outputs.length}</td>
+                <td>${tx.totalOutput.toLocaleString(undefined, { maximumFractionDigits: 8 })} KAS</td>
+            </tr>`).join('');
+
+        return `
+            <h3>Block <span class="wallet-address">${escapeHtml(block.hash)}</span></h3>
+            <dl class="lookup-fields">
+                <dt>Time</dt><dd>${new Date(block.header.timestamp).toLocaleString()}</dd>
+                <dt>DAA score</dt><dd>${block.header.daaScore.toLocaleString()}</dd>
+                <dt>Blue score</dt><dd>${block.header.blueScore.toLocaleString()}</dd>
+                <dt>Confirmations</dt><dd>${block.confirmations !== null ? block.confirmations.toLocaleString() : '—'}</dd>
+                <dt>Chain block</dt><dd>${block.isChainBlock === null ? '—' : (block.isChainBlock ? 'yes, accepts its merge set' : 'no')}</dd>
+                <dt>Difficulty</dt><dd>${block.difficulty !== null ? block.difficulty.toLocaleString() : '—'}</dd>
+                <dt>Selected parent</dt><dd>${this.renderLookupLink(block.selectedParentHash)}</dd>
+            </dl>
+            <div class="peer-panels">
+                <div><h3>Parents</h3><ul class="lookup-hashes">${links(block.parents)}</ul></div>
+                <div><h3>Children</h3><ul class="lookup-hashes">${links(block.children)}</ul></div>
+                <div><h3>Merge Set (blue / red)</h3><ul class="lookup-hashes">${links(block.mergeSetBlues)}${block.mergeSetReds.map(hash => `<li class="lookup-red">${this.renderLookupLink(hash)}</li>`).join('')}</ul></div>
+            </div>
+            <h3>Transactions (${block.transactions.length})</h3>
+            <table class="wallet-tx-table">
+                <thead><tr><th>Transaction</th><th>Inputs</th><th>Outputs</th><th>Output total</th></tr></thead>
+                <tbody>${txRows || '<tr><td colspan="4" class="muted">Header only; the node has no transactions for this block</td></tr>'}</tbody>
+            </table>`;
+    }
+
+    renderLookupTransaction(tx) {
+        const status = {
+            accepted: 'Accepted',
+            included: tx.accepted === null ? 'In a block (acceptance needs the explorer indexer)' : 'In a block, not accepted yet',
+            pending: 'In the mempool',
+            orphan: 'Orphan in the mempool (missing inputs)'
+        }[tx.status] || tx.status;
+        const inputRows = tx.inputs.map(input => `
+            <tr>
+                <td>${this.renderLookupLink(input.previousTransactionId)}:${input.previousIndex}</td>
+                <td>${input.address ? this.renderLookupLink(input.address) : '<span class="muted">—</span>'}</td>
+                <td>${input.amountSompi !== null ? `${(Number(input.amountSompi) / 100000000).toLocaleString(undefined, { maximumFractionDigits: 8 })} KAS` : '—'}</td>
+            </tr>`).join('');
+        const outputRows = tx.outputs.map(output => `
+            <tr>
+                <td>${output.index}</td>
+                <td>${output.address ? this.renderLookupLink(output.address) : '<span class="muted">non-standard</span>'}</td>
+                <td>${output.amount.toLocaleString(undefined, { maximumFractionDigits: 8 })} KAS</td>
+            </tr>`).join('');
+
+        return `
+            <h3>Transaction <span class="wallet-address">${escapeHtml(tx.transactionId)}</span></h3>
+            <dl class="lookup-fields">
+                <dt>Status</dt><dd>${escapeHtml(status)}</dd>
+                <dt>Confirmations</dt><dd>${tx.confirmations !== null ? tx.confirmations.toLocaleString() : '—'}</dd>
+                <dt>Block</dt><dd>${this.renderLookupLink(tx.blockHash)}</dd>
+                ${tx.acceptingBlockHash ? `<dt>Accepted by</dt><dd>${this.renderLookupLink(tx.acceptingBlockHash)}</dd>` : ''}
+                <dt>Time</dt><dd>${tx.blockTime ? new Date(tx.blockTime).toLocaleString() : '—'}</dd>
+                <dt>Mass</dt><dd>${tx.mass !== null ? tx.mass.toLocaleString() : '—'}</dd>
+                ${tx.fee !== undefined && tx.fee !== null ? `<dt>Fee</dt><dd>${tx.fee.toLocaleString()} sompi</dd>` : ''}
+                <dt>Source</dt><dd>${escapeHtml(tx.source)}</dd>
+            </dl>
+            <h3>Inputs</h3>
+            <table class="wallet-tx-table">
+                <thead><tr><th>Outpoint</th><th>Address</th><th>Amount</th></tr></thead>
+                <tbody>${inputRows || `<tr><td colspan="3" class="muted">${tx.isCoinbase ? 'Coinbase (newly minted)' : 'No inputs'}</td></tr>`}</tbody>
+            </table>
+            <h3>Outputs</h3>
+            <table class="wallet-tx-table">
+                <thead><tr><th>#</th><th>Address</th><th>Amount</th></tr></thead>
+                <tbody>${outputRows}</tbody>
+            </table>`;
+    }
+
+    renderLookupAddress(info) {
+        const txRows = info.transactions.map(tx => `
+            <tr>
+                <td>${this.renderLookupLink(tx.transactionId)}</td>
+                <td>${tx.blockTime ? new Date(tx.blockTime).toLocaleString() : '—'}</td>
+                <td>${tx.accepted ? 'accepted' : 'not accepted'}</td>
+            </tr>`).join('');
+        const utxoRows = info.utxos.map(utxo => `
+            <tr>
+                <td>${this.renderLookupLink(utxo.transactionId)}:${utxo.index}</td>
+                <td>${utxo.amount.toLocaleString(undefined, { maximumFractionDigits: 8 })} KAS${utxo.isCoinbase ? ' <span class="badge badge-success">coinbase</span>' : ''}</td>
+            </tr>`).join('');
+
+        return `
+            <h3>Address <span class="wallet-address">${escapeHtml(info.address)}</span></h3>
+            <dl class="lookup-fields">
+                <dt>Balance</dt><dd>${info.balance.toLocaleString(undefined, { maximumFractionDigits: 8 })} KAS</dd>
+                <dt>UTXOs</dt><dd>${info.utxoCount.toLocaleString()}</dd>
+                ${info.transactionCount !== null ? `<dt>Transactions</dt><dd>${info.transactionCount.toLocaleString()}</dd>` : ''}
+            </dl>
+            <h3>Unspent Outputs</h3>
+            <table class="wallet-tx-table">
+                <thead><tr><th>Outpoint</th><th>Amount</th></tr></thead>
+                <tbody>${utxoRows || '<tr><td colspan="2" class="muted">No unspent outputs</td></tr>'}</tbody>
+            </table>
+            <h3>Recent Transactions</h3>
+            ${info.historySource
+                ? `<table class="wallet-tx-table">
+                    <thead><tr><th>Transaction</th><th>Time</th><th>Status</th></tr></thead>
+                    <tbody>${txRows || '<tr><td colspan="3" class="muted">No transactions indexed</td></tr>'}</tbody>
+                </table>`
+                : '<p class="muted">Transaction history needs the explorer indexer; the node only knows current UTXOs.</p>'}`;
+    }
+
     /**
      * Handle service action
      */
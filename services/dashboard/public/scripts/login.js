@@ -0,0 +1,85 @@
+/**
+ * Login Page
+ * Signs in to the dashboard, or creates the first admin account on a fresh install
+ */
+
+const form = document.getElementById('auth-form');
+const intro = document.getElementById('auth-intro');
+const errorText = document.getElementById('auth-error');
+const submitBtn = document.getElementById('auth-submit');
+const confirmGroup = document.getElementById('auth-confirm-group');
+const passwordInput = document.getElementById('auth-password');
+
+let setupMode = false;
+
+async function postJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data };
+}
+
+function showError(message) {
+    errorText.textContent = message;
+}
+
+async function init() {
+    try {
+        const response = await fetch('/api/auth/status');
+        const status = await response.json();
+
+        if (status.authenticated) {
+            window.location.replace('/');
+            return;
+        }
+
+        if (status.setupRequired) {
+            setupMode = true;
+            intro.textContent = 'No accounts exist yet. Create the administrator account for this dashboard.';
+            submitBtn.textContent = 'Create admin account';
+            confirmGroup.hidden = false;
+            passwordInput.autocomplete = 'new-password';
+        }
+    } catch (error) {
+        showError('Dashboard server is not reachable.');
+    }
+}
+
+form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    showError('');
+
+    const username = form.username.value.trim();
+    const password = form.password.value;
+
+    if (setupMode && password !== form.passwordConfirm.value) {
+        showError('Passwords do not match.');
+        return;
+    }
+
+    submitBtn.disabled = true;
+    try {
+        const result = await postJson(setupMode ? '/api/auth/setup' : '/api/auth/login', { username, password });
+
+        if (result.ok) {
+            window.location.replace('/');
+            return;
+        }
+
+        if (result.status === 409) {
+            // Someone else finished setup first
+            window.location.reload();
+            return;
+        }
+        showError(result.data.message || result.data.error || 'Sign in failed.');
+    } catch (error) {
+        showError('Dashboard server is not reachable.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
+
+init();
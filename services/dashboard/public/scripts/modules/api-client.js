@@ -34,6 +34,11 @@ export class APIClient {
                 }
             });
 
+            // Session expired or signed out elsewhere: back to the login page
+            if (response.status === 401 && !endpoint.startsWith('/api/auth/')) {
+                window.location.href = '/login.html';
+            }
+
             if (!response.ok) {
                 const err = new Error(`HTTP ${response.status}: ${response.statusText}`);
                 err.status = response.status;
@@ -64,6 +69,61 @@ export class APIClient {
         });
     }
 
+    // Authentication
+    async getAuthStatus() {
+        return this.request('/api/auth/status');
+    }
+
+    async logout() {
+        return this.post('/api/auth/logout');
+    }
+
+    async changePassword(currentPassword, newPassword) {
+        return this.post('/api/auth/password', { currentPassword, newPassword });
+    }
+
+    async getUsers() {
+        return this.request('/api/auth/users');
+    }
+
+    async createUser(user) {
+        return this.post('/api/auth/users', user);
+    }
+
+    async updateUser(username, updates) {
+        return this.request(`/api/auth/users/${encodeURIComponent(username)}`, {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    async removeUser(username) {
+        return this.request(`/api/auth/users/${encodeURIComponent(username)}`, { method: 'DELETE' });
+    }
+
+    async getApiTokens() {
+        return this.request('/api/auth/tokens');
+    }
+
+    async createApiToken(definition) {
+        return this.post('/api/auth/tokens', definition);
+    }
+
+    async revokeApiToken(tokenId) {
+        return this.request(`/api/auth/tokens/${tokenId}`, { method: 'DELETE' });
+    }
+
+    // Audit Log
+    async getAuditLog(filters = {}) {
+        const params = new URLSearchParams(filters);
+        return this.request(`/api/audit?${params}`);
+    }
+
+    getAuditExportUrl(filters = {}, format = 'csv') {
+        const params = new URLSearchParams({ ...filters, format });
+        return `${this.baseURL}/api/audit/export?${params}`;
+    }
+
     // Service Management
     async getServiceStatus() {
         return this.request('/api/status');
@@ -196,7 +256,17 @@ export class APIClient {
         }
     }
 
-    // Wallet (placeholder)
+    // Structured node events parsed from kaspad logs
+    async getNodeEvents(options = {}) {
+        const params = new URLSearchParams(options);
+        return this.request(`/api/kaspa/node/events?${params}`);
+    }
+
+    async getNodeEventSummary() {
+        return this.request('/api/kaspa/node/events/summary');
+    }
+
+    // Wallet
     async getWalletInfo() {
         try {
             return await this.request('/api/kaspa/wallet');
@@ -205,11 +275,292 @@ export class APIClient {
         }
     }
 
+    async getWatchedAddresses() {
+        return this.request('/api/kaspa/wallet/addresses');
+    }
+
+    async addWatchedAddress(address, label = '', alerts = undefined) {
+        return this.post('/api/kaspa/wallet/addresses', { address, label, alerts });
+    }
+
+    async updateWatchedAddress(address, updates) {
+        return this.request(`/api/kaspa/wallet/addresses/${encodeURIComponent(address)}`, {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    async getWalletTransactions(address, options = {}) {
+        const params = new URLSearchParams(options);
+        return this.request(`/api/kaspa/wallet/addresses/${encodeURIComponent(address)}/transactions?${params}`);
+    }
+
+    async getWalletBalanceHistory(address, hours = 24) {
+        return this.request(`/api/kaspa/wallet/addresses/${encodeURIComponent(address)}/history?hours=${hours}`);
+    }
+
+    async removeWatchedAddress(address) {
+        return this.request(`/api/kaspa/wallet/addresses/${encodeURIComponent(address)}`, { method: 'DELETE' });
+    }
+
+    async getWalletUtxos(address = null) {
+        const params = address ? `?${new URLSearchParams({ address })}` : '';
+        return this.request(`/api/kaspa/wallet/utxos${params}`);
+    }
+
+    // Node peers
+    async getPeers() {
+        return this.request('/api/kaspa/peers');
+    }
+
+    async getPeerHistory(options = {}) {
+        const params = new URLSearchParams(options);
+        return this.request(`/api/kaspa/peers/history?${params}`);
+    }
+
+    async getPeerChurn(hours = 24, bucket = 60) {
+        return this.request(`/api/kaspa/peers/churn?hours=${hours}&bucket=${bucket}`);
+    }
+
+    async addPeer(address, permanent = false) {
+        return this.post('/api/kaspa/peers', { address, permanent });
+    }
+
+    async banPeer(ip) {
+        return this.post(`/api/kaspa/peers/${encodeURIComponent(ip)}/ban`, {});
+    }
+
+    async unbanPeer(ip) {
+        return this.post(`/api/kaspa/peers/${encodeURIComponent(ip)}/unban`, {});
+    }
+
+    // Mempool
+    async getMempool() {
+        return this.request('/api/kaspa/mempool');
+    }
+
+    async getMempoolHistory(hours = 24) {
+        return this.request(`/api/kaspa/mempool/history?hours=${hours}`);
+    }
+
+    // BlockDAG visualizer
+    async getDag() {
+        return this.request('/api/kaspa/dag');
+    }
+
+    // Block, transaction and address lookup
+    async lookup(query) {
+        return this.request(`/api/kaspa/lookup?${new URLSearchParams({ q: query })}`);
+    }
+
+    async lookupTransaction(transactionId, blockHash = null) {
+        const params = blockHash ? `?${new URLSearchParams({ block: blockHash })}` : '';
+        return this.request(`/api/kaspa/lookup/transaction/${encodeURIComponent(transactionId)}${params}`);
+    }
+
+    // Indexer databases
+    async getDatabasePerformance() {
+        return this.request('/api/database/performance');
+    }
+
+    async getDatabaseInsights(name, options = {}) {
+        const params = new URLSearchParams(options);
+        return this.request(`/api/database/${encodeURIComponent(name)}/insights?${params}`);
+    }
+
+    // TimescaleDB policies
+    async getHypertables(database) {
+        return this.request(`/api/database/${encodeURIComponent(database)}/hypertables`);
+    }
+
+    async previewPolicy(database, hypertable, type, after) {
+        const params = new URLSearchParams({ type, after });
+        return this.request(`/api/database/${encodeURIComponent(database)}/hypertables/${encodeURIComponent(hypertable)}/preview?${params}`);
+    }
+
+    async setPolicy(database, hypertable, type, settings) {
+        return this.request(`/api/database/${encodeURIComponent(database)}/hypertables/${encodeURIComponent(hypertable)}/policies/${type}`, {
+            method: 'PUT',
+            body: JSON.stringify(settings)
+        });
+    }
+
+    async removePolicy(database, hypertable, type) {
+        return this.request(`/api/database/${encodeURIComponent(database)}/hypertables/${encodeURIComponent(hypertable)}/policies/${type}`, { method: 'DELETE' });
+    }
+
+    async compressHypertable(database, hypertable, olderThan = null) {
+        return this.post(`/api/database/${encodeURIComponent(database)}/hypertables/${encodeURIComponent(hypertable)}/compress`, olderThan ? { olderThan } : {});
+    }
+
+    async getCompressionRun(database, runId) {
+        return this.request(`/api/database/${encodeURIComponent(database)}/compression-runs/${encodeURIComponent(runId)}`);
+    }
+
+    async getPolicyChanges(database) {
+        return this.request(`/api/database/policy-changes?${new URLSearchParams({ database })}`);
+    }
+
+    async revertPolicyChange(changeId) {
+        return this.post(`/api/database/policy-changes/${encodeURIComponent(changeId)}/revert`);
+    }
+
+    // Database dumps (pg_dump) and restores
+    async getDatabaseDumps(database) {
+        return this.request(`/api/database/dumps?${new URLSearchParams({ database })}`);
+    }
+
+    async createDatabaseDump(database) {
+        return this.post(`/api/database/${encodeURIComponent(database)}/dumps`);
+    }
+
+    async deleteDatabaseDump(dumpId) {
+        return this.request(`/api/database/dumps/${encodeURIComponent(dumpId)}`, { method: 'DELETE' });
+    }
+
+    // selection: { dumpId } or { at } (ISO time; the newest dump taken at or before it)
+    async previewDatabaseRestore(database, selection) {
+        return this.request(`/api/database/${encodeURIComponent(database)}/restore/preview?${new URLSearchParams(selection)}`);
+    }
+
+    async restoreDatabase(database, selection) {
+        return this.post(`/api/database/${encodeURIComponent(database)}/restore`, selection);
+    }
+
+    async getDatabaseBackupRun(runId) {
+        return this.request(`/api/database/backup-runs/${encodeURIComponent(runId)}`);
+    }
+
+    // Snapshots of the node's data volume, for bootstrapping new installations
+    async getNodeSnapshots() {
+        return this.request('/api/kaspa/node/snapshots');
+    }
+
+    // mode: 'stop' or 'pause'
+    async createNodeSnapshot(mode) {
+        return this.post('/api/kaspa/node/snapshots', { mode });
+    }
+
+    async deleteNodeSnapshot(snapshotId) {
+        return this.request(`/api/kaspa/node/snapshots/${encodeURIComponent(snapshotId)}`, { method: 'DELETE' });
+    }
+
+    async getNodeSnapshotRun(runId) {
+        return this.request(`/api/kaspa/node/snapshots/runs/${encodeURIComponent(runId)}`);
+    }
+
+    nodeSnapshotDownloadUrl(snapshotId, file) {
+        return `${this.baseURL}/api/kaspa/node/snapshots/${encodeURIComponent(snapshotId)}/download?${new URLSearchParams({ file })}`;
+    }
+
+    // Backups
+    async getBackups() {
+        return this.request('/api/backups');
+    }
+
+    async createBackup(description) {
+        return this.post('/api/backups', { description });
+    }
+
+    // credentials ({ passphrase } or { privateKey }) only for encrypted backups
+    async previewRestore(backupId, credentials = null) {
+        if (credentials) {
+            return this.post(`/api/backups/${encodeURIComponent(backupId)}/restore-preview`, credentials);
+        }
+        return this.request(`/api/backups/${encodeURIComponent(backupId)}/restore-preview`);
+    }
+
+    async restoreBackup(backupId, credentials = null) {
+        return this.post(`/api/backups/${encodeURIComponent(backupId)}/restore`, credentials);
+    }
+
+    async uploadBackup(backupId, destinationId) {
+        return this.post(`/api/backups/${encodeURIComponent(backupId)}/upload`, { destinationId });
+    }
+
+    async getBackupDestinations() {
+        return this.request('/api/backups/destinations');
+    }
+
+    async setBackupEncryption(settings) {
+        return this.request('/api/backups/encryption', {
+            method: 'PUT',
+            body: JSON.stringify(settings)
+        });
+    }
+
+    async addBackupDestination(definition) {
+        return this.post('/api/backups/destinations', definition);
+    }
+
+    async removeBackupDestination(destinationId) {
+        return this.request(`/api/backups/destinations/${encodeURIComponent(destinationId)}`, { method: 'DELETE' });
+    }
+
+    async testBackupDestination(destinationId) {
+        return this.post(`/api/backups/destinations/${encodeURIComponent(destinationId)}/test`);
+    }
+
+    async getRemoteBackups(destinationId) {
+        return this.request(`/api/backups/destinations/${encodeURIComponent(destinationId)}/remote`);
+    }
+
+    async fetchRemoteBackup(destinationId, name) {
+        return this.post(`/api/backups/destinations/${encodeURIComponent(destinationId)}/remote/${encodeURIComponent(name)}/fetch`);
+    }
+
+    async getRestore(restoreId) {
+        return this.request(`/api/backups/restores/${encodeURIComponent(restoreId)}`);
+    }
+
+    // Backup schedules
+    async getBackupSchedules() {
+        return this.request('/api/backups/schedules');
+    }
+
+    async addBackupSchedule(definition) {
+        return this.post('/api/backups/schedules', definition);
+    }
+
+    async updateBackupSchedule(scheduleId, updates) {
+        return this.request(`/api/backups/schedules/${encodeURIComponent(scheduleId)}`, {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    async removeBackupSchedule(scheduleId) {
+        return this.request(`/api/backups/schedules/${encodeURIComponent(scheduleId)}`, { method: 'DELETE' });
+    }
+
+    async runBackupSchedule(scheduleId) {
+        return this.post(`/api/backups/schedules/${encodeURIComponent(scheduleId)}/run`);
+    }
+
+    async getBackupCalendar(month) {
+        return this.request(`/api/backups/schedules/calendar?month=${encodeURIComponent(month)}`);
+    }
+
     // System Resources
     async getSystemResources() {
         return this.request('/api/system/resources');
     }
 
+    // Metrics history
+    async queryMetrics({ metric, start, end, step, aggregate, labels = {} }) {
+        const params = new URLSearchParams({ metric });
+        if (start !== undefined) params.set('start', start);
+        if (end !== undefined) params.set('end', end);
+        if (step !== undefined) params.set('step', step);
+        if (aggregate) params.set('aggregate', aggregate);
+        Object.entries(labels).forEach(([key, value]) => params.set(`labels[${key}]`, value));
+        return this.request(`/api/metrics/query?${params}`);
+    }
+
+    async getMetricSeries() {
+        return this.request('/api/metrics/series');
+    }
+
     // Updates
     async getAvailableUpdates() {
         return this.request('/api/updates/available');
@@ -243,6 +594,83 @@ export class APIClient {
         return this.request(`/api/alerts/${alertId}/acknowledge`, { method: 'POST' });
     }
 
+    async getActiveAlerts() {
+        return this.request('/api/alerts/active');
+    }
+
+    // Alert rules, silences and maintenance windows
+    async getAlertRules() {
+        return this.request('/api/alerts/rules');
+    }
+
+    async addAlertRule(rule) {
+        return this.post('/api/alerts/rules', rule);
+    }
+
+    async updateAlertRule(ruleId, updates) {
+        return this.request(`/api/alerts/rules/${ruleId}`, {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    async removeAlertRule(ruleId) {
+        return this.request(`/api/alerts/rules/${ruleId}`, { method: 'DELETE' });
+    }
+
+    async getSilences(includeExpired = false) {
+        return this.request(`/api/alerts/silences?includeExpired=${includeExpired}`);
+    }
+
+    async addSilence(silence) {
+        return this.post('/api/alerts/silences', silence);
+    }
+
+    async removeSilence(silenceId) {
+        return this.request(`/api/alerts/silences/${silenceId}`, { method: 'DELETE' });
+    }
+
+    async getMaintenanceWindows() {
+        return this.request('/api/alerts/maintenance-windows');
+    }
+
+    async addMaintenanceWindow(window) {
+        return this.post('/api/alerts/maintenance-windows', window);
+    }
+
+    async removeMaintenanceWindow(windowId) {
+        return this.request(`/api/alerts/maintenance-windows/${windowId}`, { method: 'DELETE' });
+    }
+
+    // Notification channels
+    async getNotificationChannels() {
+        return this.request('/api/notifications/channels');
+    }
+
+    async addNotificationChannel(channel) {
+        return this.post('/api/notifications/channels', channel);
+    }
+
+    async updateNotificationChannel(channelId, updates) {
+        return this.request(`/api/notifications/channels/${channelId}`, {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    async removeNotificationChannel(channelId) {
+        return this.request(`/api/notifications/channels/${channelId}`, { method: 'DELETE' });
+    }
+
+    async testNotificationChannel(channelId) {
+        return this.post(`/api/notifications/channels/${channelId}/test`);
+    }
+
+    async getNotificationDeliveries(options = {}) {
+        const params = new URLSearchParams(options);
+        return this.request(`/api/notifications/deliveries?${params}`);
+    }
+
     // Wizard Integration
     async launchWizard(mode = 'reconfiguration', context = {}) {
         return this.request('/api/wizard/launch', {
@@ -0,0 +1,222 @@
+/**
+ * BlockDAG Visualizer Module
+ * Draws the recent block window on a canvas: blocks placed by blue score,
+ * parent edges, blue/red coloring and the selected-parent chain.
+ *
+ * Updates only mark the view dirty; drawing happens at most once per
+ * animation frame and is skipped while the tab is hidden or the canvas is
+ * scrolled out of view, so mainnet block rates do not load the page.
+ */
+
+const COLORS = {
+    blue: '#49c5b6',
+    red: '#e74c3c',
+    pending: '#95a5a6',
+    edge: 'rgba(149, 165, 166, 0.35)',
+    chain: '#f1c40f'
+};
+
+export class DagVisualizer {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} [options]
+     * @param {Function} [options.onSelect] - (hash) => void, called when a block is clicked
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.onSelect = options.onSelect || (() => {});
+
+        this.blocks = new Map(); // hash -> block, oldest first
+        this.positions = [];
+        this.sinkHash = null;
+        this.dirty = false;
+        this.frame = null;
+        this.visible = true;
+
+        const style = getComputedStyle(document.documentElement);
+        this.colors = { ...COLORS, blue: style.getPropertyValue('--kaspa-blue').trim() || COLORS.blue };
+
+        canvas.addEventListener('click', (event) => this.handleClick(event));
+        canvas.addEventListener('mousemove', (event) => {
+            const block = this.blockAt(event);
+            canvas.style.cursor = block ? 'pointer' : 'default';
+            canvas.title = block ? `${block.hash}\nBlue score ${block.blueScore.toLocaleString()} · ${block.transactionCount} transactions` : '';
+        });
+        document.addEventListener('visibilitychange', () => this.scheduleRender());
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.scheduleRender(true)).observe(canvas);
+        }
+        if (typeof IntersectionObserver !== 'undefined') {
+            new IntersectionObserver((entries) => {
+                this.visible = entries.some(entry => entry.isIntersecting);
+                this.scheduleRender();
+            }).observe(canvas);
+        }
+    }
+
+    /**
+     * Replace the window with a snapshot from /api/kaspa/dag
+     */
+    load(snapshot) {
+        this.blocks = new Map(snapshot.blocks.map(block => [block.hash, block]));
+        this.maxBlocks = snapshot.maxBlocks;
+        this.sinkHash = snapshot.sinkHash;
+        this.scheduleRender();
+    }
+
+    /**
+     * Apply a dag_update message: new blocks, color/chain changes, evictions
+     */
+    applyUpdate(update) {
+        update.blocks.forEach(block => this.blocks.set(block.hash, block));
+        update.changes.forEach(change => {
+            const block = this.blocks.get(change.hash);
+            if (block) {
+                block.color = change.color;
+                block.isChain = change.isChain;
+            }
+        });
+        update.evicted.forEach(hash => this.blocks.delete(hash));
+        // Notifications may have started before the snapshot was loaded
+        while (this.maxBlocks && this.blocks.size > this.maxBlocks) {
+            this.blocks.delete(this.blocks.keys().next().value);
+        }
+        this.sinkHash = update.sinkHash || this.sinkHash;
+        this.scheduleRender();
+    }
+
+    get size() {
+        return this.blocks.size;
+    }
+
+    scheduleRender(resized = false) {
+        this.dirty = true;
+        this.resized = this.resized || resized;
+        if (this.frame || document.hidden || !this.visible) {
+            return;
+        }
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            if (this.dirty) {
+                this.render();
+            }
+        });
+    }
+
+    render() {
+        this.dirty = false;
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.resized || this.canvas.width !== Math.round(width * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+            this.resized = false;
+        }
+
+        const ctx = this.context;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        this.positions = [];
+
+        const blocks = Array.from(this.blocks.values());
+        if (blocks.length === 0 || width === 0) {
+            return;
+        }
+
+        // Columns by blue score, blocks of one score stacked around the middle
+        const columns = new Map();
+        blocks.forEach(block => {
+            if (!columns.has(block.blueScore)) {
+                columns.set(block.blueScore, []);
+            }
+            columns.get(block.blueScore).push(block);
+        });
+        const scores = Array.from(columns.keys()).sort((a, b) => a - b);
+        const minScore = scores[0];
+        const span = Math.max(1, scores[scores.length - 1] - minScore);
+        const padding = 10;
+        const columnWidth = (width - padding * 2) / span;
+        const tallest = Math.max(...Array.from(columns.values()).map(column => column.length));
+        const rowHeight = Math.min(18, (height - padding * 2) / Math.max(1, tallest));
+        const radius = Math.max(2, Math.min(6, columnWidth * 0.35, rowHeight * 0.35));
+
+        const position = new Map();
+        columns.forEach((column, score) => {
+            const x = padding + (score - minScore) * columnWidth;
+            column.forEach((block, index) => {
+                const y = height / 2 + (index - (column.length - 1) / 2) * rowHeight;
+                position.set(block.hash, { x, y });
+                this.positions.push({ x, y, block });
+            });
+        });
+
+        // All edges in two paths: ordinary parents, then the selected-parent chain on top
+        const edges = new Path2D();
+        const chainEdges = new Path2D();
+        blocks.forEach(block => {
+            const to = position.get(block.hash);
+            block.parents.forEach(parent => {
+                const from = position.get(parent);
+                if (!from) return;
+                const path = block.isChain && parent === block.selectedParent ? chainEdges : edges;
+                path.moveTo(from.x, from.y);
+                path.lineTo(to.x, to.y);
+            });
+        });
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = this.colors.edge;
+        ctx.stroke(edges);
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = this.colors.chain;
+        ctx.stroke(chainEdges);
+
+        // Blocks grouped by fill color to keep state changes few
+        ['pending', 'blue', 'red'].forEach(color => {
+            const path = new Path2D();
+            this.positions.forEach(({ x, y, block }) => {
+                if ((block.color || 'pending') !== color) return;
+                path.moveTo(x + radius, y);
+                path.arc(x, y, radius, 0, Math.PI * 2);
+            });
+            ctx.fillStyle = this.colors[color];
+            ctx.fill(path);
+        });
+
+        const rings = new Path2D();
+        this.positions.forEach(({ x, y, block }) => {
+            if (!block.isChain) return;
+            rings.moveTo(x + radius + 1.5, y);
+            rings.arc(x, y, radius + 1.5, 0, Math.PI * 2);
+        });
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = this.colors.chain;
+        ctx.stroke(rings);
+
+        const sink = position.get(this.sinkHash);
+        if (sink) {
+            ctx.beginPath();
+            ctx.arc(sink.x, sink.y, radius + 4, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        this.radius = radius;
+    }
+
+    blockAt(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        const reach = (this.radius || 4) + 3;
+        const hit = this.positions.find(entry => Math.abs(entry.x - x) <= reach && Math.abs(entry.y - y) <= reach);
+        return hit ? hit.block : null;
+    }
+
+    handleClick(event) {
+        const block = this.blockAt(event);
+        if (block) {
+            this.onSelect(block.hash);
+        }
+    }
+}
@@ -873,7 +873,8 @@ export class UIManager {
 
         // Update progress bar
         if (syncStatus.progress > 0 && syncStatus.progress < 100 && !syncStatus.isSynced) {
-            this.showSyncProgress(syncStatus.progress, syncStatus.estimatedTimeRemaining);
+            const etaSeconds = syncStatus.ibd?.etaSeconds;
+            this.showSyncProgress(syncStatus.progress, etaSeconds ? etaSeconds * 1000 : null);
         } else if (syncStatus.isSynced) {
             this.hideSyncProgress();
         } else {
@@ -883,7 +884,10 @@ export class UIManager {
         // Update sync detail/activity text
         const detailEl = document.getElementById('sync-detail') || document.getElementById('syncDetails');
         if (detailEl && syncStatus.detail) {
-            detailEl.textContent = syncStatus.detail;
+            const rate = !syncStatus.isSynced && syncStatus.ibd?.phaseRate;
+            detailEl.textContent = rate
+                ? `${syncStatus.detail} · ${rate.value.toLocaleString()} ${rate.unit}`
+                : syncStatus.detail;
         }
 
         // Update ETA
@@ -1931,6 +1935,20 @@ export class UIManager {
         }
     }
 
+    /**
+     * Apply a pushed live node update (only the fields notifications keep current)
+     */
+    updateLiveNodeState(state) {
+        if (!state || !state.live || !state.nodeSource?.isLocal) return;
+        
+        if (state.virtualDaaScore) {
+            this.updateElement('current-height', this.formatNumber(parseInt(state.virtualDaaScore)));
+        }
+        if (state.lastBlock?.timestamp) {
+            this.updateElement('last-block-time', `${this.formatTimeAgo(new Date(state.lastBlock.timestamp))} ago`);
+        }
+    }
+
     /**
      * Update local node status with enhanced fields
      */
@@ -40,10 +40,16 @@ export class WebSocketManager {
                 this.emit('connection-status', { status: 'error', error });
             };
 
-            this.ws.onclose = () => {
+            this.ws.onclose = (event) => {
                 console.log('WebSocket disconnected');
                 this.connectionStatus = 'disconnected';
                 this.emit('connection-status', { status: 'disconnected' });
+
+                // 4401: no valid dashboard session, reconnecting will not help
+                if (event.code === 4401) {
+                    this.emit('unauthorized', { reason: event.reason });
+                    return;
+                }
                 this.scheduleReconnect();
             };
         } catch (error) {
@@ -172,11 +172,31 @@ function getServicesForProfile(profileId) {
 const WebSocketManager = require('./lib/WebSocketManager');
 const UpdateBroadcaster = require('./lib/UpdateBroadcaster');
 const UpdateMonitor = require('./lib/UpdateMonitor');
+const AuthManager = require('./lib/AuthManager');
 const AlertManager = require('./lib/AlertManager');
+const NotificationManager = require('./lib/NotificationManager');
 const ServiceMonitor = require('./lib/ServiceMonitor');
 const ResourceMonitor = require('./lib/ResourceMonitor');
+const MetricsStore = require('./lib/MetricsStore');
+const PrometheusExporter = require('./lib/PrometheusExporter');
+const DatabasePerformanceMonitor = require('./lib/DatabasePerformanceMonitor');
+const TimescalePolicyManager = require('./lib/TimescalePolicyManager');
+const DatabaseBackupManager = require('./lib/DatabaseBackupManager');
+const NodeSnapshotManager = require('./lib/NodeSnapshotManager');
+const BackupManager = require('./lib/BackupManager');
+const BackupScheduler = require('./lib/BackupScheduler');
 const WizardIntegration = require('./lib/WizardIntegration');
 const ConfigurationSynchronizer = require('./lib/ConfigurationSynchronizer');
+const LogManager = require('./lib/LogManager');
+const KaspaLogParser = require('./lib/KaspaLogParser');
+const WalletManager = require('./lib/WalletManager');
+const PeerManager = require('./lib/PeerManager');
+const MempoolMonitor = require('./lib/MempoolMonitor');
+const NodeExplorer = require('./lib/NodeExplorer');
+const BlockDagTracker = require('./lib/BlockDagTracker');
+
+// Phase-aware IBD progress, computed like the wizard's /api/node-sync/sync-status
+const nodeSyncProgress = new SyncProgressTracker();
 
 // Block rate tracking for accurate Blocks/Hour
 const blockRateHistory = {
@@ -233,6 +253,10 @@ function calculateAccurateBlocksPerHour() {
 // Shared modules
 const { SharedStateManager } = require('../shared/lib/state-manager');
 const ErrorDisplay = require('../shared/lib/error-display');
+const { ApiTokenStore, API_TOKEN_SCOPES } = require('../shared/lib/api-tokens');
+const { AuditLog, getRequestActor } = require('../shared/lib/audit-log');
+const { SyncProgressTracker, formatEta } = require('../shared/lib/sync-progress');
+const { DESTINATION_TYPES } = require('../shared/lib/backup-destinations');
 
 // Security and performance modules
 const { 
@@ -247,6 +271,7 @@ const {
     rateLimiters, 
     helmetOptions,
     validateRequest,
+    createBearerTokenAuth,
     securityLogger,
     securityErrorHandler 
 } = require('./lib/SecurityMiddleware');
@@ -268,6 +293,14 @@ const execAsync = promisify(exec);
 const app = express();
 const PORT = process.env.PORT || 8080;
 const KASPA_NODE_URL = process.env.KASPA_NODE_URL || 'http://localhost:16111';
+// A KASPA_NODE_URL on this host or the compose node container is our own node
+const KASPA_NODE_URL_IS_LOCAL = (() => {
+    try {
+        return /^(localhost|127(\.\d+){3}|\[::1\]|kaspa-node)$/.test(new URL(KASPA_NODE_URL).hostname);
+    } catch (error) {
+        return false;
+    }
+})();
 
 // Initialize performance monitoring
 const performanceMonitor = new PerformanceMonitor();
@@ -277,6 +310,80 @@ const requestQueue = new RequestQueue(10); // Max 10 concurrent requests
 // Initialize error display for consistent error handling
 const errorDisplay = new ErrorDisplay();
 
+// Scoped API tokens, shared with the wizard through .kaspa-aio/api-tokens.json
+const apiTokenStore = new ApiTokenStore(path.join(__dirname, '../../.kaspa-aio/api-tokens.json'));
+
+// Dashboard accounts and sessions (accounts are loaded at startup)
+const authManager = new AuthManager({ tokenStore: apiTokenStore });
+
+// Audit log of mutating requests, shared with the wizard through .kaspa-aio/audit
+const auditLog = new AuditLog(path.join(__dirname, '../../.kaspa-aio/audit'), { source: 'dashboard' });
+
+// Audit action names per route (first match wins, action null skips routes
+// that change nothing). Other mutating routes are recorded as "METHOD path".
+const AUDIT_ACTION_RULES = [
+    { methods: ['POST'], path: /^\/api\/(config\/validate|kaspa\/connection\/test|wizard\/poll\/[^/]+|installation\/refresh|updates\/check)$/, action: null },
+    { methods: ['POST'], path: /^\/api\/services\/(?<target>[^/]+)\/start$/, action: 'services.start' },
+    { methods: ['POST'], path: /^\/api\/services\/(?<target>[^/]+)\/stop$/, action: 'services.stop' },
+    { methods: ['POST'], path: /^\/api\/services\/(?<target>[^/]+)\/restart$/, action: 'services.restart' },
+    { methods: ['POST'], path: /^\/api\/config$/, action: 'config.write' },
+    { methods: ['POST'], path: /^\/api\/config\/rollback\/(?<target>[^/]+)$/, action: 'config.rollback' },
+    { methods: ['POST'], path: /^\/api\/config\/sync\/start$/, action: 'config.sync.start' },
+    { methods: ['POST'], path: /^\/api\/config\/sync\/stop$/, action: 'config.sync.stop' },
+    { methods: ['POST'], path: /^\/api\/auth\/login$/, action: 'auth.login' },
+    { methods: ['POST'], path: /^\/api\/auth\/logout$/, action: 'auth.logout' },
+    { methods: ['POST'], path: /^\/api\/auth\/setup$/, action: 'auth.setup' },
+    { methods: ['POST'], path: /^\/api\/auth\/password$/, action: 'auth.password' },
+    { methods: ['POST'], path: /^\/api\/auth\/users$/, action: 'auth.users.create' },
+    { methods: ['PUT'], path: /^\/api\/auth\/users\/(?<target>[^/]+)$/, action: 'auth.users.update' },
+    { methods: ['DELETE'], path: /^\/api\/auth\/users\/(?<target>[^/]+)$/, action: 'auth.users.delete' },
+    { methods: ['POST'], path: /^\/api\/auth\/tokens$/, action: 'auth.tokens.create' },
+    { methods: ['DELETE'], path: /^\/api\/auth\/tokens\/(?<target>[^/]+)$/, action: 'auth.tokens.revoke' },
+    { methods: ['POST'], path: /^\/api\/alerts\/(?<target>[^/]+)\/acknowledge$/, action: 'alerts.acknowledge' },
+    { methods: ['POST'], path: /^\/api\/alerts\/metrics$/, action: null },
+    { methods: ['PUT'], path: /^\/api\/alerts\/thresholds$/, action: 'alerts.thresholds.update' },
+    { methods: ['POST', 'PUT', 'DELETE'], path: /^\/api\/alerts\/rules(\/(?<target>[^/]+))?$/, action: 'alerts.rules' },
+    { methods: ['POST', 'DELETE'], path: /^\/api\/alerts\/silences(\/(?<target>[^/]+))?$/, action: 'alerts.silences' },
+    { methods: ['POST', 'DELETE'], path: /^\/api\/alerts\/maintenance-windows(\/(?<target>[^/]+))?$/, action: 'alerts.maintenance' },
+    { methods: ['POST'], path: /^\/api\/notifications\/channels\/(?<target>[^/]+)\/test$/, action: 'notifications.test' },
+    // Webhook URLs carry their token and headers carry credentials, as in NotificationManager
+    { methods: ['POST', 'PUT', 'DELETE'], path: /^\/api\/notifications\/channels(\/(?<target>[^/]+))?$/, action: 'notifications.channels', redact: ['url', 'headers'] },
+    { methods: ['POST'], path: /^\/api\/kaspa\/wallet\/addresses$/, action: 'wallet.addresses.add' },
+    { methods: ['PUT'], path: /^\/api\/kaspa\/wallet\/addresses\/(?<target>[^/]+)$/, action: 'wallet.addresses.update' },
+    { methods: ['DELETE'], path: /^\/api\/kaspa\/wallet\/addresses\/(?<target>[^/]+)$/, action: 'wallet.addresses.remove' },
+    { methods: ['POST'], path: /^\/api\/kaspa\/peers$/, action: 'peers.add' },
+    { methods: ['POST'], path: /^\/api\/kaspa\/peers\/(?<target>[^/]+)\/ban$/, action: 'peers.ban' },
+    { methods: ['POST'], path: /^\/api\/kaspa\/peers\/(?<target>[^/]+)\/unban$/, action: 'peers.unban' },
+    { methods: ['POST'], path: /^\/api\/kaspa\/node\/snapshots$/, action: 'node.snapshots.create' },
+    { methods: ['DELETE'], path: /^\/api\/kaspa\/node\/snapshots\/(?<target>[^/]+)$/, action: 'node.snapshots.delete' },
+    { methods: ['PUT', 'DELETE'], path: /^\/api\/database\/[^/]+\/hypertables\/(?<target>[^/]+)\/policies\/[^/]+$/, action: 'database.policies' },
+    { methods: ['POST'], path: /^\/api\/database\/[^/]+\/hypertables\/(?<target>[^/]+)\/compress$/, action: 'database.compress' },
+    { methods: ['POST'], path: /^\/api\/database\/policy-changes\/(?<target>[^/]+)\/revert$/, action: 'database.policies.revert' },
+    { methods: ['POST'], path: /^\/api\/database\/(?<target>[^/]+)\/dumps$/, action: 'database.dumps.create' },
+    { methods: ['DELETE'], path: /^\/api\/database\/dumps\/(?<target>[^/]+)$/, action: 'database.dumps.delete' },
+    { methods: ['POST'], path: /^\/api\/database\/(?<target>[^/]+)\/restore$/, action: 'database.restore' },
+    { methods: ['POST'], path: /^\/api\/backups$/, action: 'backups.create' },
+    { methods: ['POST'], path: /^\/api\/backups\/[^/]+\/restore-preview$/, action: null },
+    { methods: ['POST'], path: /^\/api\/backups\/(?<target>[^/]+)\/restore$/, action: 'backups.restore' },
+    { methods: ['POST'], path: /^\/api\/backups\/(?<target>[^/]+)\/upload$/, action: 'backups.upload' },
+    { methods: ['POST'], path: /^\/api\/backups\/schedules\/(?<target>[^/]+)\/run$/, action: 'backups.schedules.run' },
+    { methods: ['POST', 'PUT', 'DELETE'], path: /^\/api\/backups\/schedules(\/(?<target>[^/]+))?$/, action: 'backups.schedules' },
+    { methods: ['PUT'], path: /^\/api\/backups\/encryption$/, action: 'backups.encryption' },
+    { methods: ['POST'], path: /^\/api\/backups\/destinations\/(?<target>[^/]+)\/test$/, action: 'backups.destinations.test' },
+    { methods: ['POST'], path: /^\/api\/backups\/destinations\/[^/]+\/remote\/(?<target>[^/]+)\/fetch$/, action: 'backups.fetch' },
+    { methods: ['POST', 'PUT', 'DELETE'], path: /^\/api\/backups\/destinations(\/(?<target>[^/]+))?$/, action: 'backups.destinations' },
+    { methods: ['POST'], path: /^\/api\/cache\/clear$/, action: 'cache.clear' },
+    { methods: ['POST'], path: /^\/api\/wizard\/(?<target>start|launch|completion|monitoring\/start)$/, action: 'wizard.launch' }
+];
+
+// Who made a request; sign-in attempts have no user yet, so use the name they gave
+function getAuditActor(req) {
+    if (!req.user && req.body && typeof req.body.username === 'string' && /^\/api\/auth\/(login|setup)$/.test(req.originalUrl.split('?')[0])) {
+        return { type: 'user', name: req.body.username.slice(0, 64) };
+    }
+    return getRequestActor(req);
+}
+
 // Security middleware
 app.use(helmet(helmetOptions));
 app.use(compression(compressionOptions));
@@ -309,11 +416,280 @@ app.use('/shared', express.static(path.join(__dirname, '../shared'), {
     etag: true
 }));
 
+// Audit mutating requests. Mounted before authentication so that rejected
+// attempts are recorded too; the actor is read once the response is sent.
+app.use('/api/', auditLog.middleware({
+    rules: AUDIT_ACTION_RULES,
+    recordUnmatched: true,
+    getActor: getAuditActor
+}));
+
+// Authentication: every API route needs a signed-in user except the ones the
+// login page uses. Reads need viewer, state changes need operator.
+app.use('/api/', authManager.authenticate({
+    publicPaths: ['/auth/status', '/auth/login', '/auth/setup'],
+    sessionPaths: ['/auth/logout', '/auth/password'],
+    tokenScope: AuthManager.getApiTokenScope
+}));
+app.use('/api/auth/login', rateLimiters.auth);
+app.use('/api/auth/setup', rateLimiters.auth);
+
 // Health check endpoint
 app.get('/health', responseCache.middleware(60000), (req, res) => {
     res.json({ status: 'healthy', timestamp: new Date().toISOString() });
 });
 
+// Authentication endpoints
+app.get('/api/auth/status', (req, res) => {
+    const user = authManager.authenticateRequest(req);
+    res.json({
+        authenticated: Boolean(user),
+        setupRequired: authManager.needsSetup(),
+        user
+    });
+});
+
+app.post('/api/auth/setup', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const user = await authManager.setupAdmin({ username, password });
+        const session = await authManager.login(username, password, req.ip);
+        
+        authManager.setSessionCookie(req, res, session.token);
+        console.log(`Dashboard admin account "${user.username}" created from ${req.ip}`);
+        res.status(201).json({ success: true, user, expiresAt: session.expiresAt });
+    } catch (error) {
+        if (error.code === 'SETUP_COMPLETE') {
+            return res.status(409).json({ error: error.message });
+        }
+        if (error.message.startsWith('Invalid user')) {
+            return res.status(400).json({ error: error.message });
+        }
+        const errorResult = errorDisplay.showApiError('/api/auth/setup', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+        
+        const session = await authManager.login(username, password, req.ip);
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        
+        authManager.setSessionCookie(req, res, session.token);
+        res.json({ success: true, user: session.user, expiresAt: session.expiresAt });
+    } catch (error) {
+        if (error.code === 'LOGIN_THROTTLED') {
+            res.set('Retry-After', String(error.retryAfter));
+            return res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+        }
+        const errorResult = errorDisplay.showApiError('/api/auth/login', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    authManager.logout(authManager.getTokenFromRequest(req));
+    authManager.clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+app.post('/api/auth/password', async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+        const changed = await authManager.changePassword(
+            req.user.username, currentPassword, newPassword, authManager.getTokenFromRequest(req)
+        );
+        
+        if (!changed) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+        res.json({ success: true, message: 'Password changed, other sessions have been signed out' });
+    } catch (error) {
+        if (error.message.startsWith('Invalid user')) {
+            return res.status(400).json({ error: error.message });
+        }
+        const errorResult = errorDisplay.showApiError('/api/auth/password', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+app.get('/api/auth/users', authManager.requireRole('admin'), (req, res) => {
+    res.json({ users: authManager.listUsers(), roles: authManager.ROLES });
+});
+
+app.post('/api/auth/users', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const user = await authManager.createUser(req.body || {});
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        if (error.message.startsWith('Invalid user')) {
+            return res.status(400).json({ error: error.message });
+        }
+        const errorResult = errorDisplay.showApiError('/api/auth/users', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+app.put('/api/auth/users/:username', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const { role, password } = req.body || {};
+        const user = await authManager.updateUser(req.params.username, { role, password });
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ success: true, user });
+    } catch (error) {
+        if (error.message.startsWith('Invalid user')) {
+            return res.status(400).json({ error: error.message });
+        }
+        const errorResult = errorDisplay.showApiError('/api/auth/users/update', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+app.delete('/api/auth/users/:username', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const removed = await authManager.removeUser(req.params.username);
+        
+        if (!removed) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ success: true, message: 'User removed' });
+    } catch (error) {
+        if (error.message.startsWith('Invalid user')) {
+            return res.status(400).json({ error: error.message });
+        }
+        const errorResult = errorDisplay.showApiError('/api/auth/users/delete', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+app.get('/api/auth/tokens', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const tokens = await apiTokenStore.list();
+        res.json({ tokens, scopes: API_TOKEN_SCOPES });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/auth/tokens', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+app.post('/api/auth/tokens', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const { name, scopes, expiresAt, expiresInDays } = req.body || {};
+        const { token, record } = await apiTokenStore.create({
+            name, scopes, expiresAt, expiresInDays, createdBy: req.user.username
+        });
+        
+        // The plaintext token is only ever returned here
+        res.status(201).json({ success: true, token, record });
+    } catch (error) {
+        if (error.message.startsWith('Invalid API token')) {
+            return res.status(400).json({ error: error.message });
+        }
+        const errorResult = errorDisplay.showApiError('/api/auth/tokens', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+app.delete('/api/auth/tokens/:tokenId', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const record = await apiTokenStore.revoke(req.params.tokenId);
+        
+        if (!record) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+        res.json({ success: true, record });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/auth/tokens/revoke', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+// Audit log (dashboard and wizard entries)
+function getAuditFilters(query) {
+    const { from, to, source, action, actor, target, outcome, ip, limit, offset } = query;
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+        throw new Error('Invalid date range: from and to must be ISO dates');
+    }
+    return { from, to, source, action, actor, target, outcome, ip, limit, offset };
+}
+
+app.get('/api/audit', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const { entries, total } = await auditLog.query(getAuditFilters(req.query));
+        res.json({ entries, total, timestamp: new Date().toISOString() });
+    } catch (error) {
+        if (error.message.startsWith('Invalid date range')) {
+            return res.status(400).json({ error: error.message });
+        }
+        const errorResult = errorDisplay.showApiError('/api/audit', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+app.get('/api/audit/export', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const format = req.query.format || 'ndjson';
+        if (!['ndjson', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'Invalid export format: use ndjson or csv' });
+        }
+        
+        const content = await auditLog.export(getAuditFilters(req.query), format);
+        const filename = `kaspa-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(content);
+    } catch (error) {
+        if (error.message.startsWith('Invalid date range')) {
+            return res.status(400).json({ error: error.message });
+        }
+        const errorResult = errorDisplay.showApiError('/api/audit/export', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
 // API Routes with caching and validation
 app.get('/api/status', responseCache.middleware(5000), async (req, res) => {
     const startTime = Date.now();
@@ -848,7 +1224,7 @@ app.get('/api/config',
 );
 
 // Update environment configuration
-app.post('/api/config', async (req, res) => {
+app.post('/api/config', authManager.requireRole('admin'), async (req, res) => {
     try {
         // Note: Configuration file is mounted read-only for security
         // Changes must be made to the host .env file and services restarted
@@ -883,13 +1259,25 @@ app.get('/api/dependencies', (req, res) => {
     res.json(dependencies);
 });
 
+/**
+ * Which node served a response: nodeSource on node-derived API responses lets
+ * the UI flag data that did not come from our own node
+ */
+function getNodeSource() {
+    return kaspaNodeClient ? kaspaNodeClient.getSource() : { host: null, isLocal: false, localOnly: false, fallback: false };
+}
+
 app.get('/api/kaspa/info', async (req, res) => {
     try {
         const response = await axios.post(KASPA_NODE_URL, {
             method: 'getInfo',
             params: {}
         });
-        res.json(response.data);
+        res.json({
+            ...response.data,
+            // Queried directly on KASPA_NODE_URL, never a fallback host
+            nodeSource: { host: KASPA_NODE_URL, isLocal: KASPA_NODE_URL_IS_LOCAL, localOnly: getNodeSource().localOnly, fallback: false }
+        });
     } catch (error) {
         // Use ErrorDisplay for graceful error handling (no crashes)
         const errorResult = errorDisplay.show({
@@ -934,16 +1322,19 @@ app.get('/api/kaspa/network', async (req, res) => {
             networkName: nodeInfo.networkName || 'mainnet',
             tipHashes: dagInfo.tipHashes?.length || 0
         };
-        source = 'local-node';
+        source = getNodeSource().fallback ? 'fallback-node' : 'local-node';
         console.log('✓ Local node successful');
     } catch (localError) {
         console.log('✗ Local node failed:', localError.message);
     }
     
+    // Local-only mode: never ask public services
+    const localOnly = getNodeSource().localOnly;
+    
     // ========================================================================
     // ATTEMPT 2: Public REST API (kas.fyi)
     // ========================================================================
-    if (!networkData) {
+    if (!networkData && !localOnly) {
         try {
             console.log('Attempting to fetch from public REST API...');
             
@@ -974,7 +1365,7 @@ app.get('/api/kaspa/network', async (req, res) => {
     // ========================================================================
     // ATTEMPT 3: Public Kaspa Node (seeder2.kaspad.net)
     // ========================================================================
-    if (!networkData) {
+    if (!networkData && !localOnly) {
         try {
             console.log('Attempting to fetch from public Kaspa node...');
             
@@ -982,7 +1373,8 @@ app.get('/api/kaspa/network', async (req, res) => {
             // if local node is not available
             const publicClient = new (require('./lib/KaspaNodeClient'))({
                 host: 'seeder2.kaspad.net',
-                port: 16110
+                port: 16110,
+                fallbackHosts: []
             });
             
             await publicClient.initialize();
@@ -1012,14 +1404,19 @@ app.get('/api/kaspa/network', async (req, res) => {
         res.json({
             ...networkData,
             source: source,
+            nodeSource: source === 'local-node' || source === 'fallback-node'
+                ? getNodeSource()
+                : { host: source, isLocal: false, localOnly, fallback: true },
             timestamp: new Date().toISOString()
         });
     } else {
         console.error('All network data sources failed');
         res.status(503).json({
             error: 'Network data unavailable',
-            message: 'All data sources (local node, public API, public node) failed',
-            sources_tried: ['local-node', 'public-rest-api', 'public-kaspa-node']
+            message: localOnly
+                ? 'Local node unavailable (local-only mode, public sources disabled)'
+                : 'All data sources (local node, public API, public node) failed',
+            sources_tried: localOnly ? ['local-node'] : ['local-node', 'public-rest-api', 'public-kaspa-node']
         });
     }
 });
@@ -1463,17 +1860,29 @@ app.get('/api/kaspa/network/enhanced', async (req, res) => {
             tps: tps,
             bps: bps,
             
-            source: 'local-node',
+            source: getNodeSource().fallback ? 'fallback-node' : 'local-node',
+            nodeSource: getNodeSource(),
             timestamp: new Date().toISOString()
         });
     } catch (error) {
         console.error('Enhanced network endpoint error:', error);
         
+        // Local-only mode: never ask public services
+        if (getNodeSource().localOnly) {
+            return res.status(503).json({
+                error: 'Network data unavailable',
+                message: 'Local node unavailable (local-only mode, public sources disabled)',
+                nodeSource: getNodeSource(),
+                timestamp: new Date().toISOString()
+            });
+        }
+        
         // Fallback to public node
         try {
-            const publicClient = new KaspaNodeClient({
+            const publicClient = new (require('./lib/KaspaNodeClient'))({
                 host: 'seeder2.kaspad.net',
-                port: 16110
+                port: 16110,
+                fallbackHosts: []
             });
             await publicClient.initialize();
             
@@ -1516,6 +1925,7 @@ app.get('/api/kaspa/network/enhanced', async (req, res) => {
                 tps: 10,
                 bps: bps,
                 source: 'public-node',
+                nodeSource: { host: 'seeder2.kaspad.net:16110', isLocal: false, localOnly: false, fallback: true },
                 timestamp: new Date().toISOString()
             });
             
@@ -1530,6 +1940,7 @@ app.get('/api/kaspa/network/enhanced', async (req, res) => {
 
                 // Try to get blockdag info from public REST API
                 let dagData = null;
+                let dagSource = null;
                 const restApis = [
                     'https://api.kaspa.org/info/blockdag',
                     'https://api.kas.fyi/info/blockdag'
@@ -1540,6 +1951,7 @@ app.get('/api/kaspa/network/enhanced', async (req, res) => {
                         const response = await axios.get(apiUrl, { timeout: 5000 });
                         if (response.data && (response.data.virtualDaaScore || response.data.blockCount)) {
                             dagData = response.data;
+                            dagSource = apiUrl;
                             break;
                         }
                     } catch (apiErr) {
@@ -1586,6 +1998,7 @@ app.get('/api/kaspa/network/enhanced', async (req, res) => {
                     tps: 10,
                     bps: bps,
                     source: 'public-api',
+                    nodeSource: { host: dagSource, isLocal: false, localOnly: false, fallback: true },
                     timestamp: new Date().toISOString()
                 });
             } catch (restApiError) {
@@ -1673,6 +2086,7 @@ app.get('/api/kaspa/node/status/enhanced', async (req, res) => {
             mempoolSize: nodeInfo.mempoolSize || 0,
             uptime: uptime,
             lastBlockTime: 'moments ago',
+            nodeSource: getNodeSource(),
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -1745,6 +2159,8 @@ app.get('/api/kaspa/node/sync-status', async (req, res) => {
             const dagInfo = await kaspaNodeClient.getBlockDagInfo();
             syncStatus.dag = {
                 blockCount: dagInfo.blockCount,
+                headerCount: dagInfo.headerCount,
+                blockBodyCount: dagInfo.blockBodyCount,
                 virtualDaaScore: dagInfo.virtualDaaScore,
                 tipTimestamp: dagInfo.tipTimestamp
             };
@@ -1769,6 +2185,33 @@ app.get('/api/kaspa/node/sync-status', async (req, res) => {
             // RPC data not available, continue with log-based sync status only
             console.log('RPC data not available for sync status:', rpcError.message);
         }
+
+        // IBD phase, progress and ETA from logs plus RPC counts. getInfo's
+        // isSynced outranks the log heuristics above, but only when it comes
+        // from the local node rather than a fallback host.
+        const localRpc = syncStatus.rpc && !getNodeSource().fallback;
+        syncStatus.ibd = nodeSyncProgress.update({
+            isSynced: localRpc ? syncStatus.rpc.isSynced : null,
+            headerCount: localRpc ? syncStatus.dag?.headerCount ?? null : null,
+            blockCount: localRpc ? syncStatus.dag?.blockBodyCount ?? null : null,
+            logLines: logs
+        });
+        if (syncStatus.ibd.phase === 'synced') {
+            Object.assign(syncStatus, {
+                isSynced: true,
+                syncPhase: 'synced',
+                syncPhaseName: 'Fully Synced',
+                progress: 100,
+                estimatedTimeRemaining: null
+            });
+        } else if (syncStatus.ibd.phase && !syncStatus.isSynced) {
+            if (syncStatus.syncPhase !== syncStatus.ibd.phase) {
+                syncStatus.syncPhaseName = syncStatus.ibd.phaseName;
+            }
+            syncStatus.syncPhase = syncStatus.ibd.phase;
+            syncStatus.progress = syncStatus.ibd.phaseProgress ?? syncStatus.progress;
+            syncStatus.estimatedTimeRemaining = formatEta(syncStatus.ibd.etaSeconds);
+        }
         
         // Calculate blocks per hour with chart data
         const blockRateData = calculateAccurateBlocksPerHour();
@@ -1782,7 +2225,9 @@ app.get('/api/kaspa/node/sync-status', async (req, res) => {
             blocksPerHour: blockRateData,
             mempoolSize: syncStatus.rpc?.mempoolSize || 0,
             timestamp: new Date().toISOString(),
-            source: 'logs'
+            source: 'logs',
+            // Sync phase comes from the local container's logs; rpc/dag fields from this node
+            nodeSource: syncStatus.rpc ? getNodeSource() : null
         });
         
     } catch (error) {
@@ -2066,6 +2511,7 @@ app.get('/api/kaspa/connection/status', async (req, res) => {
         const connectionStatus = kaspaNodeClient.getConnectionStatus();
         res.json({
             ...connectionStatus,
+            nodeSource: getNodeSource(),
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -2112,7 +2558,8 @@ app.get('/api/kaspa/node/info', async (req, res) => {
                 port: connectionStatus.workingPort,
                 url: connectionStatus.workingUrl,
                 status: connectionStatus.connected ? 'connected' : 'disconnected'
-            }
+            },
+            nodeSource: getNodeSource()
         });
     } catch (error) {
         const connectionStatus = kaspaNodeClient.getConnectionStatus();
@@ -2153,7 +2600,9 @@ app.get('/api/kaspa/node/stats', async (req, res) => {
                 port: connectionStatus.workingPort,
                 url: connectionStatus.workingUrl,
                 status: 'connected'
-            }
+            },
+            live: kaspaNodeClient.getLiveState(),
+            nodeSource: getNodeSource()
         });
     } catch (error) {
         const connectionStatus = kaspaNodeClient.getConnectionStatus();
@@ -2177,6 +2626,114 @@ app.get('/api/kaspa/node/stats', async (req, res) => {
     }
 });
 
+// Live node model kept current by node notifications (also pushed as 'node_update')
+app.get('/api/kaspa/node/live', (req, res) => {
+    res.json(kaspaNodeClient.getLiveState());
+});
+
+// Structured node events parsed from kaspad logs
+app.get('/api/kaspa/node/events',
+    validators.pagination,
+    handleValidationErrors,
+    (req, res) => {
+        try {
+            const events = kaspaLogParser.getEvents({
+                type: req.query.type,
+                severity: req.query.severity,
+                since: req.query.since,
+                limit: req.query.limit || 100
+            });
+            
+            res.json({
+                events,
+                count: events.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            const errorResult = errorDisplay.showApiError('/api/kaspa/node/events', error);
+            res.status(500).json({ 
+                error: errorResult.userMessage,
+                details: errorResult.errorType 
+            });
+        }
+    }
+);
+
+app.get('/api/kaspa/node/events/summary', (req, res) => {
+    try {
+        res.json({
+            ...kaspaLogParser.getSummary(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/kaspa/node/events/summary', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+// Snapshots of the node's data volume, imported by the wizard to bootstrap new installations
+function sendSnapshotError(res, endpoint, error) {
+    if (error.message.startsWith('Not found')) {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Invalid')) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error.message.startsWith('Node unavailable')) {
+        return res.status(503).json({ error: error.message });
+    }
+    const errorResult = errorDisplay.showApiError(endpoint, error);
+    res.status(500).json({
+        error: errorResult.userMessage,
+        details: errorResult.errorType
+    });
+}
+
+app.get('/api/kaspa/node/snapshots', async (req, res) => {
+    try {
+        res.json({ snapshots: await nodeSnapshotManager.listSnapshots() });
+    } catch (error) {
+        sendSnapshotError(res, '/api/kaspa/node/snapshots', error);
+    }
+});
+
+app.post('/api/kaspa/node/snapshots', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const run = await nodeSnapshotManager.startExport({ mode: (req.body || {}).mode, actor: getRequestActor(req).name });
+        res.status(202).json({ success: true, run: nodeSnapshotManager.getRun(run.id) });
+    } catch (error) {
+        sendSnapshotError(res, '/api/kaspa/node/snapshots', error);
+    }
+});
+
+app.get('/api/kaspa/node/snapshots/runs/:id', (req, res) => {
+    try {
+        res.json(nodeSnapshotManager.getRun(req.params.id));
+    } catch (error) {
+        sendSnapshotError(res, '/api/kaspa/node/snapshots/runs', error);
+    }
+});
+
+app.get('/api/kaspa/node/snapshots/:id/download', async (req, res) => {
+    try {
+        const file = await nodeSnapshotManager.getSnapshotFile(req.params.id, req.query.file || 'archive');
+        res.download(file);
+    } catch (error) {
+        sendSnapshotError(res, '/api/kaspa/node/snapshots/download', error);
+    }
+});
+
+app.delete('/api/kaspa/node/snapshots/:id', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, ...await nodeSnapshotManager.deleteSnapshot(req.params.id) });
+    } catch (error) {
+        sendSnapshotError(res, '/api/kaspa/node/snapshots', error);
+    }
+});
+
 // Wallet API endpoint - reads wallet config from docker-compose.yml and .env
 app.get('/api/kaspa/wallet', async (req, res) => {
     try {
@@ -2264,16 +2821,761 @@ app.get('/api/kaspa/wallet', async (req, res) => {
     }
 });
 
-// Updates API - return cached or fresh update check
-app.get('/api/updates/available', async (req, res) => {
+// Watch-only wallet: addresses are tracked on the node's RPC (needs --utxoindex)
+function sendWalletError(res, endpoint, error) {
+    if (error.code === 'UTXO_INDEX_REQUIRED' || error.code === 'LOCAL_NODE_UNAVAILABLE') {
+        return res.status(503).json({ error: error.message, code: error.code });
+    }
+    if (error.message.startsWith('Invalid address')) {
+        return res.status(400).json({ error: error.message });
+    }
+    const errorResult = errorDisplay.showApiError(endpoint, error);
+    res.status(500).json({
+        error: errorResult.userMessage,
+        details: errorResult.errorType
+    });
+}
+
+app.get('/api/kaspa/wallet/addresses', async (req, res) => {
     try {
-        const ONE_HOUR = 60 * 60 * 1000;
-        const cacheStale = !lastUpdateCheck || (Date.now() - lastUpdateCheck > ONE_HOUR);
+        const info = await walletManager.getWalletInfo();
+        res.json({ ...info, nodeSource: getNodeSource(), timestamp: new Date().toISOString() });
+    } catch (error) {
+        sendWalletError(res, '/api/kaspa/wallet/addresses', error);
+    }
+});
 
-        const needsRefresh = cacheStale;
-        const skippedDueToInflight = needsRefresh && updateCheckInProgress;
+app.post('/api/kaspa/wallet/addresses', async (req, res) => {
+    try {
+        const { address, label, alerts } = req.body || {};
+        const entry = await walletManager.addAddress(address, label, alerts);
+        res.status(201).json({ success: true, address: entry });
+    } catch (error) {
+        sendWalletError(res, '/api/kaspa/wallet/addresses', error);
+    }
+});
 
-        if (needsRefresh && !updateCheckInProgress) {
+app.put('/api/kaspa/wallet/addresses/:address', async (req, res) => {
+    try {
+        const { label, alerts } = req.body || {};
+        const entry = await walletManager.updateAddress(req.params.address, { label, alerts });
+        if (!entry) {
+            return res.status(404).json({ error: 'Address is not being watched' });
+        }
+        res.json({ success: true, address: entry });
+    } catch (error) {
+        sendWalletError(res, '/api/kaspa/wallet/addresses', error);
+    }
+});
+
+// Incoming/outgoing payments with confirmation depth (virtual DAA score - accepting DAA score)
+app.get('/api/kaspa/wallet/addresses/:address/transactions', async (req, res) => {
+    try {
+        const { limit, offset, direction } = req.query;
+        const history = await walletManager.getTransactions(req.params.address, { limit, offset, direction });
+        if (!history) {
+            return res.status(404).json({ error: 'Address is not being watched' });
+        }
+        res.json({ ...history, nodeSource: getNodeSource(), timestamp: new Date().toISOString() });
+    } catch (error) {
+        sendWalletError(res, '/api/kaspa/wallet/addresses/transactions', error);
+    }
+});
+
+// Balance over time, from the wallet.balance series in the metrics store
+app.get('/api/kaspa/wallet/addresses/:address/history', async (req, res) => {
+    try {
+        const address = req.params.address.trim().toLowerCase();
+        if (!walletManager.listAddresses().some(entry => entry.address === address)) {
+            return res.status(404).json({ error: 'Address is not being watched' });
+        }
+
+        const hours = Math.min(Math.max(parseFloat(req.query.hours) || 24, 1), 24 * 365);
+        const end = Date.now();
+        const result = await metricsStore.query({
+            metric: 'wallet.balance',
+            labels: { address },
+            start: end - hours * 60 * 60 * 1000,
+            end,
+            aggregate: 'last'
+        });
+        res.json({
+            address,
+            step: result.step,
+            points: result.series.length > 0 ? result.series[0].points : []
+        });
+    } catch (error) {
+        sendWalletError(res, '/api/kaspa/wallet/addresses/history', error);
+    }
+});
+
+app.delete('/api/kaspa/wallet/addresses/:address', async (req, res) => {
+    try {
+        const removed = await walletManager.removeAddress(req.params.address);
+        if (!removed) {
+            return res.status(404).json({ error: 'Address is not being watched' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendWalletError(res, '/api/kaspa/wallet/addresses', error);
+    }
+});
+
+app.get('/api/kaspa/wallet/utxos', async (req, res) => {
+    try {
+        let addresses;
+        if (req.query.address) {
+            try {
+                walletManager.validateKaspaAddress(req.query.address);
+            } catch (validationError) {
+                return res.status(400).json({ error: `Invalid address: ${validationError.message}` });
+            }
+            addresses = [req.query.address.trim().toLowerCase()];
+        }
+        const utxos = await walletManager.getUtxos(addresses);
+        res.json({ utxos, count: utxos.length, nodeSource: getNodeSource(), timestamp: new Date().toISOString() });
+    } catch (error) {
+        sendWalletError(res, '/api/kaspa/wallet/utxos', error);
+    }
+});
+
+// Node peers: connected peers, connect/disconnect history and operator actions
+function sendPeerError(res, endpoint, error) {
+    if (error.message.startsWith('Invalid peer')) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error.message.startsWith('Peer actions need the local node')) {
+        return res.status(409).json({ error: error.message });
+    }
+    const errorResult = errorDisplay.showApiError(endpoint, error);
+    res.status(500).json({
+        error: errorResult.userMessage,
+        details: errorResult.errorType
+    });
+}
+
+app.get('/api/kaspa/peers', async (req, res) => {
+    try {
+        // Fresh snapshot unless on a fallback host (whose peers are not ours)
+        await peerManager.refresh().catch(() => {});
+        res.json({
+            ...peerManager.getPeers(),
+            longLived: peerManager.getLongLivedPeers(parseInt(req.query.longLived, 10) || 10),
+            nodeSource: getNodeSource(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendPeerError(res, '/api/kaspa/peers', error);
+    }
+});
+
+app.get('/api/kaspa/peers/history', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    res.json(peerManager.getHistory({ limit, offset, type: req.query.type || undefined }));
+});
+
+app.get('/api/kaspa/peers/churn', (req, res) => {
+    const hours = Math.min(Math.max(parseFloat(req.query.hours) || 24, 1), 24 * 30);
+    const bucketMinutes = Math.min(Math.max(parseInt(req.query.bucket, 10) || 60, 5), 24 * 60);
+    res.json(peerManager.getChurn({ hours, bucketMinutes }));
+});
+
+app.post('/api/kaspa/peers', async (req, res) => {
+    try {
+        const { address, permanent } = req.body || {};
+        const result = await peerManager.addPeer(address, { permanent, actor: getRequestActor(req).name });
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        sendPeerError(res, '/api/kaspa/peers', error);
+    }
+});
+
+app.post('/api/kaspa/peers/:ip/ban', async (req, res) => {
+    try {
+        const result = await peerManager.banPeer(req.params.ip, { actor: getRequestActor(req).name });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendPeerError(res, '/api/kaspa/peers/ban', error);
+    }
+});
+
+app.post('/api/kaspa/peers/:ip/unban', async (req, res) => {
+    try {
+        const result = await peerManager.unbanPeer(req.params.ip, { actor: getRequestActor(req).name });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendPeerError(res, '/api/kaspa/peers/unban', error);
+    }
+});
+
+// Mempool analytics: fee-rate histogram, fee estimates and congestion history
+function sendMempoolError(res, endpoint, error) {
+    if (error.message.startsWith('Mempool analytics need the local node')) {
+        return res.status(409).json({ error: error.message });
+    }
+    const errorResult = errorDisplay.showApiError(endpoint, error);
+    res.status(500).json({
+        error: errorResult.userMessage,
+        details: errorResult.errorType
+    });
+}
+
+// Series shown as the congestion trend (the size comes from node info)
+const MEMPOOL_HISTORY_METRICS = ['node.mempool_size', 'mempool.mass', 'mempool.orphans', 'mempool.feerate_median', 'mempool.fee_priority'];
+
+app.get('/api/kaspa/mempool', async (req, res) => {
+    try {
+        const snapshot = await mempoolMonitor.getSnapshot();
+        res.json({ ...snapshot, nodeSource: getNodeSource() });
+    } catch (error) {
+        sendMempoolError(res, '/api/kaspa/mempool', error);
+    }
+});
+
+app.get('/api/kaspa/mempool/fees', async (req, res) => {
+    try {
+        const snapshot = await mempoolMonitor.getSnapshot();
+        res.json({
+            estimates: snapshot.feeEstimates,
+            feerate: snapshot.feerate,
+            blocksToClear: snapshot.blocksToClear,
+            timestamp: snapshot.timestamp
+        });
+    } catch (error) {
+        sendMempoolError(res, '/api/kaspa/mempool/fees', error);
+    }
+});
+
+app.get('/api/kaspa/mempool/histogram', async (req, res) => {
+    try {
+        const snapshot = await mempoolMonitor.getSnapshot();
+        res.json({
+            feerateHistogram: snapshot.feerateHistogram,
+            ageDistribution: snapshot.ageDistribution,
+            agesSince: snapshot.agesSince,
+            orphanCount: snapshot.orphanCount,
+            timestamp: snapshot.timestamp
+        });
+    } catch (error) {
+        sendMempoolError(res, '/api/kaspa/mempool/histogram', error);
+    }
+});
+
+app.get('/api/kaspa/mempool/history', async (req, res) => {
+    try {
+        const hours = Math.min(Math.max(parseFloat(req.query.hours) || 24, 1), 24 * 30);
+        const end = Date.now();
+        const results = await Promise.all(MEMPOOL_HISTORY_METRICS.map(metric => metricsStore.query({
+            metric,
+            start: end - hours * 60 * 60 * 1000,
+            end,
+            aggregate: 'avg'
+        })));
+
+        const series = {};
+        MEMPOOL_HISTORY_METRICS.forEach((metric, index) => {
+            const result = results[index];
+            series[metric] = result.series.length > 0 ? result.series[0].points : [];
+        });
+        res.json({ hours, step: results[0].step, series });
+    } catch (error) {
+        sendMempoolError(res, '/api/kaspa/mempool/history', error);
+    }
+});
+
+// Recent blocks for the BlockDAG visualizer; later changes arrive as dag_update WebSocket messages
+app.get('/api/kaspa/dag', async (req, res) => {
+    try {
+        await blockDagTracker.backfill().catch(error => {
+            console.warn('BlockDAG backfill failed:', error.message);
+        });
+        res.json({
+            ...blockDagTracker.getSnapshot(),
+            live: kaspaNodeClient.isLive(),
+            nodeSource: getNodeSource()
+        });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/kaspa/dag', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
+
+// Block, transaction and address lookup against the local node (and the explorer indexer when installed)
+function sendLookupError(res, endpoint, error) {
+    if (error.message.startsWith('Invalid lookup')) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error.message.startsWith('Not found')) {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.code === 'UTXO_INDEX_REQUIRED') {
+        return res.status(503).json({ error: error.message, code: error.code });
+    }
+    const errorResult = errorDisplay.showApiError(endpoint, error);
+    res.status(500).json({
+        error: errorResult.userMessage,
+        details: errorResult.errorType
+    });
+}
+
+app.get('/api/kaspa/lookup', async (req, res) => {
+    try {
+        const found = await nodeExplorer.search(req.query.q);
+        res.json({ ...found, indexer: nodeExplorer.indexerState.available, nodeSource: getNodeSource() });
+    } catch (error) {
+        sendLookupError(res, '/api/kaspa/lookup', error);
+    }
+});
+
+app.get('/api/kaspa/lookup/block/:hash', async (req, res) => {
+    try {
+        res.json(await nodeExplorer.getBlock(req.params.hash));
+    } catch (error) {
+        sendLookupError(res, '/api/kaspa/lookup/block', error);
+    }
+});
+
+app.get('/api/kaspa/lookup/transaction/:id', async (req, res) => {
+    try {
+        res.json(await nodeExplorer.getTransaction(req.params.id, { blockHash: req.query.block || undefined }));
+    } catch (error) {
+        sendLookupError(res, '/api/kaspa/lookup/transaction', error);
+    }
+});
+
+app.get('/api/kaspa/lookup/address/:address', async (req, res) => {
+    try {
+        res.json(await nodeExplorer.getAddress(req.params.address));
+    } catch (error) {
+        sendLookupError(res, '/api/kaspa/lookup/address', error);
+    }
+});
+
+// Indexer database health (simply-kaspa-indexer and k-indexer TimescaleDB instances)
+function sendDatabaseError(res, endpoint, error) {
+    if (error.message.startsWith('Unknown database')) {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Database unavailable')) {
+        return res.status(503).json({ error: error.message });
+    }
+    if (error.message.startsWith('Not found')) {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Invalid')) {
+        return res.status(400).json({ error: error.message });
+    }
+    const errorResult = errorDisplay.showApiError(endpoint, error);
+    res.status(500).json({
+        error: errorResult.userMessage,
+        details: errorResult.errorType
+    });
+}
+
+app.get('/api/database/performance', async (req, res) => {
+    try {
+        res.json(await databasePerformanceMonitor.getPerformanceMetrics());
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/performance', error);
+    }
+});
+
+app.get('/api/database/:name/insights', async (req, res) => {
+    try {
+        res.json(await databasePerformanceMonitor.getDatabaseInsights(req.params.name, {
+            orderBy: req.query.orderBy,
+            limit: req.query.limit,
+            longTransactionSeconds: req.query.longTransactionSeconds
+        }));
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/insights', error);
+    }
+});
+
+// TimescaleDB hypertables and their compression / retention policies
+app.get('/api/database/policy-changes', (req, res) => {
+    res.json({
+        changes: timescalePolicyManager.getChanges({
+            database: req.query.database,
+            hypertable: req.query.hypertable,
+            limit: req.query.limit
+        })
+    });
+});
+
+app.post('/api/database/policy-changes/:id/revert', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, ...await timescalePolicyManager.revertChange(req.params.id, { actor: getRequestActor(req).name }) });
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/policy-changes/revert', error);
+    }
+});
+
+app.get('/api/database/:name/hypertables', async (req, res) => {
+    try {
+        res.json(await timescalePolicyManager.listHypertables(req.params.name));
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/hypertables', error);
+    }
+});
+
+app.get('/api/database/:name/hypertables/:hypertable', async (req, res) => {
+    try {
+        res.json(await timescalePolicyManager.getHypertableDetails(req.params.name, req.params.hypertable, { limit: req.query.limit }));
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/hypertables', error);
+    }
+});
+
+app.get('/api/database/:name/hypertables/:hypertable/preview', async (req, res) => {
+    try {
+        res.json(await timescalePolicyManager.previewPolicy(req.params.name, req.params.hypertable, req.query.type, req.query.after));
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/hypertables/preview', error);
+    }
+});
+
+app.put('/api/database/:name/hypertables/:hypertable/policies/:type', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const { after, scheduleInterval, segmentBy, orderBy } = req.body || {};
+        const change = await timescalePolicyManager.setPolicy(req.params.name, req.params.hypertable, req.params.type,
+            { after, scheduleInterval, segmentBy, orderBy }, { actor: getRequestActor(req).name });
+        res.json({ success: true, change });
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/hypertables/policies', error);
+    }
+});
+
+app.delete('/api/database/:name/hypertables/:hypertable/policies/:type', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const change = await timescalePolicyManager.removePolicy(req.params.name, req.params.hypertable, req.params.type,
+            { actor: getRequestActor(req).name });
+        res.json({ success: true, change });
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/hypertables/policies', error);
+    }
+});
+
+app.post('/api/database/:name/hypertables/:hypertable/compress', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const run = await timescalePolicyManager.compressNow(req.params.name, req.params.hypertable, {
+            olderThan: (req.body || {}).olderThan,
+            actor: getRequestActor(req).name
+        });
+        res.status(202).json({ success: true, run: timescalePolicyManager.getRun(run.id) });
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/hypertables/compress', error);
+    }
+});
+
+app.get('/api/database/:name/compression-runs/:id', (req, res) => {
+    try {
+        res.json(timescalePolicyManager.getRun(req.params.id));
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/compression-runs', error);
+    }
+});
+
+// Logical dumps of the indexer databases (pg_dump) and restores from them
+app.get('/api/database/dumps', async (req, res) => {
+    try {
+        res.json({
+            databases: await databaseBackupManager.listTargets(),
+            dumps: await databaseBackupManager.listDumps(req.query.database)
+        });
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/dumps', error);
+    }
+});
+
+app.delete('/api/database/dumps/:id', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, ...await databaseBackupManager.deleteDump(req.params.id) });
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/dumps', error);
+    }
+});
+
+app.get('/api/database/backup-runs/:id', (req, res) => {
+    try {
+        res.json(databaseBackupManager.getRun(req.params.id));
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/backup-runs', error);
+    }
+});
+
+// A dump copies the whole database to disk, so taking one is admin-only like restoring and deleting
+app.post('/api/database/:name/dumps', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const run = await databaseBackupManager.startDump(req.params.name, { actor: getRequestActor(req).name });
+        res.status(202).json({ success: true, run: databaseBackupManager.getRun(run.id) });
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/dumps', error);
+    }
+});
+
+// Which dump a restore would use (by dumpId, or the newest taken at or before `at`) and what it stops
+app.get('/api/database/:name/restore/preview', async (req, res) => {
+    try {
+        res.json(await databaseBackupManager.planRestore(req.params.name, { dumpId: req.query.dumpId, at: req.query.at }));
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/restore/preview', error);
+    }
+});
+
+app.post('/api/database/:name/restore', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const { dumpId, at } = req.body || {};
+        const run = await databaseBackupManager.restoreDump(req.params.name, { dumpId, at, actor: getRequestActor(req).name });
+        res.status(202).json({ success: true, run: databaseBackupManager.getRun(run.id) });
+    } catch (error) {
+        sendDatabaseError(res, '/api/database/restore', error);
+    }
+});
+
+// Backups API - configuration backups and restores with a dry-run preview
+function sendBackupError(res, endpoint, error) {
+    if (error.message.startsWith('Not found')) {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Invalid')) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error.message.startsWith('Restore in progress')) {
+        return res.status(409).json({ error: error.message });
+    }
+    if (error.message.startsWith('Destination')) {
+        return res.status(502).json({ error: error.message });
+    }
+    const errorResult = errorDisplay.showApiError(endpoint, error);
+    res.status(500).json({
+        error: errorResult.userMessage,
+        details: errorResult.errorType
+    });
+}
+
+app.get('/api/backups', async (req, res) => {
+    try {
+        res.json({ backups: await backupManager.getBackupHistory() });
+    } catch (error) {
+        sendBackupError(res, '/api/backups', error);
+    }
+});
+
+app.post('/api/backups', async (req, res) => {
+    try {
+        const { description, includeLogs } = req.body || {};
+        const backup = await backupManager.createBackup({
+            description: typeof description === 'string' && description.trim() ? description.trim().slice(0, 200) : 'Manual backup',
+            includeLogs: includeLogs === true
+        });
+        res.json({ success: true, backupId: backup.backupId, size: backup.size, timestamp: backup.timestamp });
+    } catch (error) {
+        sendBackupError(res, '/api/backups', error);
+    }
+});
+
+// Backup schedules: cron timetables per backup type, GFS retention, run history and calendar
+app.get('/api/backups/schedules', (req, res) => {
+    res.json({
+        schedules: backupScheduler.listSchedules(),
+        types: backupScheduler.getTypes(),
+        defaultRetention: BackupScheduler.DEFAULT_RETENTION
+    });
+});
+
+app.get('/api/backups/schedules/calendar', (req, res) => {
+    try {
+        res.json(backupScheduler.getCalendar(req.query.month));
+    } catch (error) {
+        sendBackupError(res, '/api/backups/schedules/calendar', error);
+    }
+});
+
+app.get('/api/backups/schedules/runs', (req, res) => {
+    res.json({ runs: backupScheduler.getRuns({ scheduleId: req.query.scheduleId, limit: req.query.limit }) });
+});
+
+app.get('/api/backups/schedules/:id/retention', async (req, res) => {
+    try {
+        res.json(await backupScheduler.previewRetention(req.params.id));
+    } catch (error) {
+        sendBackupError(res, '/api/backups/schedules/retention', error);
+    }
+});
+
+app.post('/api/backups/schedules', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        res.status(201).json({ success: true, schedule: await backupScheduler.addSchedule(req.body) });
+    } catch (error) {
+        sendBackupError(res, '/api/backups/schedules', error);
+    }
+});
+
+app.put('/api/backups/schedules/:id', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, schedule: await backupScheduler.updateSchedule(req.params.id, req.body) });
+    } catch (error) {
+        sendBackupError(res, '/api/backups/schedules/update', error);
+    }
+});
+
+app.delete('/api/backups/schedules/:id', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, ...await backupScheduler.removeSchedule(req.params.id) });
+    } catch (error) {
+        sendBackupError(res, '/api/backups/schedules/delete', error);
+    }
+});
+
+app.post('/api/backups/schedules/:id/run', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        res.status(202).json({ success: true, run: await backupScheduler.runNow(req.params.id) });
+    } catch (error) {
+        sendBackupError(res, '/api/backups/schedules/run', error);
+    }
+});
+
+app.get('/api/backups/restores/:id', (req, res) => {
+    try {
+        res.json(backupManager.getRestore(req.params.id));
+    } catch (error) {
+        sendBackupError(res, '/api/backups/restores', error);
+    }
+});
+
+// Passphrase or private key for an encrypted backup, when the request has one
+function getBackupCredentials(body = {}) {
+    const credentials = {};
+    ['passphrase', 'privateKey', 'privateKeyPassphrase']
+        .filter(field => typeof body[field] === 'string' && body[field])
+        .forEach(field => { credentials[field] = body[field]; });
+    return credentials;
+}
+
+app.get('/api/backups/:id/restore-preview', async (req, res) => {
+    try {
+        res.json(await backupManager.previewRestore(req.params.id));
+    } catch (error) {
+        sendBackupError(res, '/api/backups/restore-preview', error);
+    }
+});
+
+// Same preview for encrypted backups, with the credentials in the body
+app.post('/api/backups/:id/restore-preview', async (req, res) => {
+    try {
+        res.json(await backupManager.previewRestore(req.params.id, getBackupCredentials(req.body)));
+    } catch (error) {
+        sendBackupError(res, '/api/backups/restore-preview', error);
+    }
+});
+
+app.post('/api/backups/:id/restore', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const run = await backupManager.restoreBackup(req.params.id, {
+            actor: getRequestActor(req).name,
+            credentials: getBackupCredentials(req.body)
+        });
+        res.status(202).json({ success: true, restore: backupManager.getRestore(run.id) });
+    } catch (error) {
+        sendBackupError(res, '/api/backups/restore', error);
+    }
+});
+
+// Off-site copies: encryption settings, destinations, verified uploads and fetching back
+app.get('/api/backups/destinations', async (req, res) => {
+    try {
+        res.json({
+            encryption: await backupManager.destinationStore.getEncryptionStatus(),
+            destinations: await backupManager.destinationStore.list(),
+            types: DESTINATION_TYPES
+        });
+    } catch (error) {
+        sendBackupError(res, '/api/backups/destinations', error);
+    }
+});
+
+app.put('/api/backups/encryption', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, encryption: await backupManager.destinationStore.setEncryption(req.body || {}) });
+    } catch (error) {
+        sendBackupError(res, '/api/backups/encryption', error);
+    }
+});
+
+app.post('/api/backups/destinations', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        res.status(201).json({ success: true, destination: await backupManager.destinationStore.add(req.body || {}) });
+    } catch (error) {
+        sendBackupError(res, '/api/backups/destinations', error);
+    }
+});
+
+app.put('/api/backups/destinations/:id', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, destination: await backupManager.destinationStore.update(req.params.id, req.body || {}) });
+    } catch (error) {
+        sendBackupError(res, '/api/backups/destinations/update', error);
+    }
+});
+
+app.delete('/api/backups/destinations/:id', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        await backupManager.destinationStore.remove(req.params.id);
+        res.json({ success: true, message: 'Backup destination removed; backups already uploaded stay there' });
+    } catch (error) {
+        sendBackupError(res, '/api/backups/destinations/delete', error);
+    }
+});
+
+app.post('/api/backups/destinations/:id/test', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const result = await backupManager.testDestination(req.params.id);
+        res.status(result.success ? 200 : 502).json(result);
+    } catch (error) {
+        sendBackupError(res, '/api/backups/destinations/test', error);
+    }
+});
+
+app.get('/api/backups/destinations/:id/remote', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ backups: await backupManager.listRemoteBackups(req.params.id) });
+    } catch (error) {
+        sendBackupError(res, '/api/backups/destinations/remote', error);
+    }
+});
+
+app.post('/api/backups/destinations/:id/remote/:name/fetch', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, ...(await backupManager.fetchRemoteBackup(req.params.id, req.params.name)) });
+    } catch (error) {
+        sendBackupError(res, '/api/backups/destinations/fetch', error);
+    }
+});
+
+app.post('/api/backups/:id/upload', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const { destinationId } = req.body || {};
+        res.json({ success: true, upload: await backupManager.uploadBackup(req.params.id, destinationId) });
+    } catch (error) {
+        sendBackupError(res, '/api/backups/upload', error);
+    }
+});
+
+// Updates API - return cached or fresh update check
+app.get('/api/updates/available', async (req, res) => {
+    try {
+        const ONE_HOUR = 60 * 60 * 1000;
+        const cacheStale = !lastUpdateCheck || (Date.now() - lastUpdateCheck > ONE_HOUR);
+
+        const needsRefresh = cacheStale;
+        const skippedDueToInflight = needsRefresh && updateCheckInProgress;
+
+        if (needsRefresh && !updateCheckInProgress) {
             updateCheckInProgress = true;
             try {
                 cachedUpdates = await updateMonitor.getAvailableUpdates();
@@ -2283,82 +3585,450 @@ app.get('/api/updates/available', async (req, res) => {
             }
         }
 
-        // Return 202 when a check is in-flight and no results have been cached yet
-        if (skippedDueToInflight && cachedUpdates.length === 0) {
-            return res.status(202).json({
-                updates: [],
-                lastChecked: null,
-                checkInProgress: true,
-                message: 'Initial update check in progress — retry in a few seconds'
-            });
+        // Return 202 when a check is in-flight and no results have been cached yet
+        if (skippedDueToInflight && cachedUpdates.length === 0) {
+            return res.status(202).json({
+                updates: [],
+                lastChecked: null,
+                checkInProgress: true,
+                message: 'Initial update check in progress — retry in a few seconds'
+            });
+        }
+
+        res.json({
+            updates: cachedUpdates,
+            lastChecked: lastUpdateCheck ? new Date(lastUpdateCheck).toISOString() : null,
+            ...(skippedDueToInflight && { checkInProgress: true })
+        });
+    } catch (error) {
+        console.error('On-demand update check failed:', error.message);
+        const isNetworkError = /rate limit|timeout|network|ECONNREFUSED|ENOTFOUND/i.test(error.message);
+        res.status(isNetworkError ? 503 : 500).json({
+            error: isNetworkError ? 'Update check temporarily unavailable' : 'Failed to check for updates',
+            message: error.message
+        });
+    }
+});
+
+// Force a fresh update check (clears cache)
+app.post('/api/updates/check', async (req, res) => {
+    try {
+        if (updateCheckInProgress) {
+            return res.status(202).json({
+                checkInProgress: true,
+                updates: cachedUpdates,
+                hasUpdates: cachedUpdates.length > 0 ? true : null, // null = unknown (check in-flight)
+                lastChecked: lastUpdateCheck ? new Date(lastUpdateCheck).toISOString() : null,
+                message: 'Update check already in progress — try again shortly'
+            });
+        }
+
+        updateCheckInProgress = true;
+        try {
+            cachedUpdates = await updateMonitor.getAvailableUpdates();
+        } finally {
+            lastUpdateCheck = Date.now(); // stamp regardless of outcome — prevents retry storms
+            updateCheckInProgress = false;
+        }
+
+        res.json({
+            updates: cachedUpdates,
+            lastChecked: new Date(lastUpdateCheck).toISOString()
+        });
+    } catch (error) {
+        console.error('Forced update check failed:', error.message);
+        const isNetworkError = /rate limit|timeout|network|ECONNREFUSED|ENOTFOUND/i.test(error.message);
+        res.status(isNetworkError ? 503 : 500).json({
+            error: isNetworkError ? 'Update check temporarily unavailable' : 'Failed to check for updates',
+            message: error.message
+        });
+    }
+});
+
+// Alert management endpoints
+app.get('/api/alerts', (req, res) => {
+    try {
+        const options = {
+            severity: req.query.severity,
+            type: req.query.type,
+            source: req.query.source,
+            unacknowledged: req.query.unacknowledged === 'true',
+            limit: req.query.limit ? parseInt(req.query.limit) : undefined
+        };
+        
+        const alerts = alertManager.getAlertHistory(options);
+        res.json(alerts);
+    } catch (error) {
+        // Use ErrorDisplay for consistent error handling
+        const errorResult = errorDisplay.showApiError('/api/alerts', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+app.get('/api/alerts/stats', (req, res) => {
+    try {
+        const stats = alertManager.getStats();
+        res.json(stats);
+    } catch (error) {
+        // Use ErrorDisplay for consistent error handling
+        const errorResult = errorDisplay.showApiError('/api/alerts/stats', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+app.post('/api/alerts/:alertId/acknowledge', (req, res) => {
+    try {
+        const { alertId } = req.params;
+        const success = alertManager.acknowledgeAlert(alertId);
+        
+        if (success) {
+            res.json({ success: true, message: 'Alert acknowledged' });
+        } else {
+            const errorResult = errorDisplay.show({
+                type: 'API_ERROR',
+                details: { error: 'Alert not found', alertId }
+            });
+            res.status(404).json({ 
+                error: errorResult.userMessage,
+                details: errorResult.errorType 
+            });
+        }
+    } catch (error) {
+        // Use ErrorDisplay for consistent error handling
+        const errorResult = errorDisplay.showApiError('/api/alerts/acknowledge', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+app.put('/api/alerts/thresholds', authManager.requireRole('admin'), (req, res) => {
+    try {
+        const thresholds = req.body;
+        alertManager.updateThresholds(thresholds);
+        res.json({ success: true, message: 'Thresholds updated', thresholds: alertManager.alertThresholds });
+    } catch (error) {
+        // Use ErrorDisplay for consistent error handling
+        const errorResult = errorDisplay.showApiError('/api/alerts/thresholds', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+// Prometheus exporter (set METRICS_TOKEN to require "Authorization: Bearer <token>")
+app.get('/metrics', createBearerTokenAuth(process.env.METRICS_TOKEN), async (req, res) => {
+    try {
+        const body = await prometheusExporter.render();
+        res.set('Content-Type', prometheusExporter.CONTENT_TYPE);
+        res.send(body);
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/metrics', error);
+        res.status(500).type('text/plain').send(`# ${errorResult.userMessage}\n`);
+    }
+});
+
+// Metrics history endpoints (downsampled long-retention store)
+app.get('/api/metrics/query', async (req, res) => {
+    try {
+        const { metric, aggregate } = req.query;
+        if (!metric) {
+            return res.status(400).json({ error: 'metric is required' });
+        }
+        if (aggregate && !['avg', 'min', 'max', 'last', 'sum', 'count'].includes(aggregate)) {
+            return res.status(400).json({ error: 'aggregate must be one of: avg, min, max, last, sum, count' });
+        }
+
+        const parseTime = (value) => {
+            if (value === undefined) return undefined;
+            return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+        };
+        const start = parseTime(req.query.start);
+        const end = parseTime(req.query.end);
+        if (Number.isNaN(start) || Number.isNaN(end)) {
+            return res.status(400).json({ error: 'start and end must be ISO dates or epoch milliseconds' });
+        }
+
+        const result = await metricsStore.query({
+            metric,
+            labels: typeof req.query.labels === 'object' ? req.query.labels : {},
+            start,
+            end,
+            step: req.query.step ? parseInt(req.query.step) * 1000 : undefined,
+            aggregate
+        });
+        res.json(result);
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/metrics/query', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
+
+app.get('/api/metrics/series', (req, res) => {
+    try {
+        res.json({
+            series: metricsStore.getSeries(),
+            store: metricsStore.getStatus()
+        });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/metrics/series', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
+
+// Alert rule endpoints (user-defined rules, silences, maintenance windows)
+app.get('/api/alerts/rules', (req, res) => {
+    try {
+        res.json({
+            rules: alertManager.ruleEngine.getRules(),
+            metrics: alertManager.ruleEngine.METRICS,
+            operators: Object.keys(alertManager.ruleEngine.OPERATORS)
+        });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/alerts/rules', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
+
+app.post('/api/alerts/rules', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const errors = alertManager.ruleEngine.validateRule(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+        }
+
+        const rule = await alertManager.addRule(req.body);
+        res.status(201).json({ success: true, rule });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/alerts/rules', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
+
+app.put('/api/alerts/rules/:ruleId', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const rule = await alertManager.updateRule(req.params.ruleId, req.body || {});
+
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        res.json({ success: true, rule });
+    } catch (error) {
+        if (error.message.startsWith('Invalid alert rule')) {
+            return res.status(400).json({ error: error.message });
+        }
+        const errorResult = errorDisplay.showApiError('/api/alerts/rules/update', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
+
+app.delete('/api/alerts/rules/:ruleId', authManager.requireRole('admin'), async (req, res) => {
+    try {
+        const removed = await alertManager.removeRule(req.params.ruleId);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Alert rule not found' });
         }
+        res.json({ success: true, message: 'Alert rule removed' });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/alerts/rules/delete', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
 
+app.get('/api/alerts/active', (req, res) => {
+    try {
         res.json({
-            updates: cachedUpdates,
-            lastChecked: lastUpdateCheck ? new Date(lastUpdateCheck).toISOString() : null,
-            ...(skippedDueToInflight && { checkInProgress: true })
+            alerts: alertManager.getActiveAlerts(),
+            pending: alertManager.ruleEngine.getSeries().filter(series => series.state === 'pending')
         });
     } catch (error) {
-        console.error('On-demand update check failed:', error.message);
-        const isNetworkError = /rate limit|timeout|network|ECONNREFUSED|ENOTFOUND/i.test(error.message);
-        res.status(isNetworkError ? 503 : 500).json({
-            error: isNetworkError ? 'Update check temporarily unavailable' : 'Failed to check for updates',
-            message: error.message
+        const errorResult = errorDisplay.showApiError('/api/alerts/active', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
         });
     }
 });
 
-// Force a fresh update check (clears cache)
-app.post('/api/updates/check', async (req, res) => {
+// Samples from external collectors, e.g. indexer lag reported by indexer tooling
+app.post('/api/alerts/metrics', (req, res) => {
     try {
-        if (updateCheckInProgress) {
-            return res.status(202).json({
-                checkInProgress: true,
-                updates: cachedUpdates,
-                hasUpdates: cachedUpdates.length > 0 ? true : null, // null = unknown (check in-flight)
-                lastChecked: lastUpdateCheck ? new Date(lastUpdateCheck).toISOString() : null,
-                message: 'Update check already in progress — try again shortly'
+        const samples = Array.isArray(req.body) ? req.body : req.body?.samples;
+        const metrics = alertManager.ruleEngine.METRICS;
+        if (!Array.isArray(samples) || samples.some(sample => !sample || !metrics[sample.metric])) {
+            return res.status(400).json({
+                error: 'Invalid metric samples',
+                details: `Each sample needs a metric from: ${Object.keys(metrics).join(', ')}`
             });
         }
 
-        updateCheckInProgress = true;
-        try {
-            cachedUpdates = await updateMonitor.getAvailableUpdates();
-        } finally {
-            lastUpdateCheck = Date.now(); // stamp regardless of outcome — prevents retry storms
-            updateCheckInProgress = false;
+        alertManager.recordMetrics(samples.map(sample => ({
+            metric: sample.metric,
+            labels: sample.labels || {},
+            value: sample.value
+        })));
+        res.json({ success: true, accepted: samples.length });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/alerts/metrics', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
+
+app.get('/api/alerts/silences', (req, res) => {
+    try {
+        res.json(alertManager.ruleEngine.getSilences({ includeExpired: req.query.includeExpired === 'true' }));
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/alerts/silences', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
+
+app.post('/api/alerts/silences', async (req, res) => {
+    try {
+        const errors = alertManager.ruleEngine.validateSuppression(req.body, 'silence');
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid silence', details: errors });
+        }
+
+        const silence = await alertManager.addSilence(req.body);
+        res.status(201).json({ success: true, silence });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/alerts/silences', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
+
+app.delete('/api/alerts/silences/:silenceId', async (req, res) => {
+    try {
+        const removed = await alertManager.removeSilence(req.params.silenceId);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Silence not found' });
+        }
+        res.json({ success: true, message: 'Silence removed' });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/alerts/silences/delete', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
+
+app.get('/api/alerts/maintenance-windows', (req, res) => {
+    try {
+        const now = Date.now();
+        res.json(alertManager.ruleEngine.getMaintenanceWindows().map(window => ({
+            ...window,
+            active: alertManager.ruleEngine.isWindowActive(window, now)
+        })));
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/alerts/maintenance-windows', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
+
+app.post('/api/alerts/maintenance-windows', async (req, res) => {
+    try {
+        const errors = alertManager.ruleEngine.validateSuppression(req.body, 'maintenance');
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid maintenance window', details: errors });
+        }
+
+        const window = await alertManager.addMaintenanceWindow(req.body);
+        res.status(201).json({ success: true, window });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/alerts/maintenance-windows', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
+
+app.delete('/api/alerts/maintenance-windows/:windowId', async (req, res) => {
+    try {
+        const removed = await alertManager.removeMaintenanceWindow(req.params.windowId);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Maintenance window not found' });
         }
+        res.json({ success: true, message: 'Maintenance window removed' });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/alerts/maintenance-windows/delete', error);
+        res.status(500).json({
+            error: errorResult.userMessage,
+            details: errorResult.errorType
+        });
+    }
+});
 
+// Notification channel endpoints
+app.get('/api/notifications/channels', (req, res) => {
+    try {
         res.json({
-            updates: cachedUpdates,
-            lastChecked: new Date(lastUpdateCheck).toISOString()
+            channels: notificationManager.getChannels(),
+            channelTypes: Array.from(notificationManager.channelTypes.keys())
         });
     } catch (error) {
-        console.error('Forced update check failed:', error.message);
-        const isNetworkError = /rate limit|timeout|network|ECONNREFUSED|ENOTFOUND/i.test(error.message);
-        res.status(isNetworkError ? 503 : 500).json({
-            error: isNetworkError ? 'Update check temporarily unavailable' : 'Failed to check for updates',
-            message: error.message
+        const errorResult = errorDisplay.showApiError('/api/notifications/channels', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
         });
     }
 });
 
-// Alert management endpoints
-app.get('/api/alerts', (req, res) => {
+app.post('/api/notifications/channels', authManager.requireRole('admin'), async (req, res) => {
     try {
-        const options = {
-            severity: req.query.severity,
-            type: req.query.type,
-            source: req.query.source,
-            unacknowledged: req.query.unacknowledged === 'true',
-            limit: req.query.limit ? parseInt(req.query.limit) : undefined
-        };
+        const errors = notificationManager.validateChannel(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid notification channel', details: errors });
+        }
         
-        const alerts = alertManager.getAlertHistory(options);
-        res.json(alerts);
+        const channel = await notificationManager.addChannel(req.body);
+        res.status(201).json({ success: true, channel });
     } catch (error) {
-        // Use ErrorDisplay for consistent error handling
-        const errorResult = errorDisplay.showApiError('/api/alerts', error);
+        const errorResult = errorDisplay.showApiError('/api/notifications/channels', error);
         res.status(500).json({ 
             error: errorResult.userMessage,
             details: errorResult.errorType 
@@ -2366,13 +4036,19 @@ app.get('/api/alerts', (req, res) => {
     }
 });
 
-app.get('/api/alerts/stats', (req, res) => {
+app.put('/api/notifications/channels/:channelId', authManager.requireRole('admin'), async (req, res) => {
     try {
-        const stats = alertManager.getStats();
-        res.json(stats);
+        const channel = await notificationManager.updateChannel(req.params.channelId, req.body || {});
+        
+        if (!channel) {
+            return res.status(404).json({ error: 'Notification channel not found' });
+        }
+        res.json({ success: true, channel });
     } catch (error) {
-        // Use ErrorDisplay for consistent error handling
-        const errorResult = errorDisplay.showApiError('/api/alerts/stats', error);
+        if (error.message.startsWith('Invalid notification channel')) {
+            return res.status(400).json({ error: error.message });
+        }
+        const errorResult = errorDisplay.showApiError('/api/notifications/channels/update', error);
         res.status(500).json({ 
             error: errorResult.userMessage,
             details: errorResult.errorType 
@@ -2380,26 +4056,16 @@ app.get('/api/alerts/stats', (req, res) => {
     }
 });
 
-app.post('/api/alerts/:alertId/acknowledge', (req, res) => {
+app.delete('/api/notifications/channels/:channelId', authManager.requireRole('admin'), async (req, res) => {
     try {
-        const { alertId } = req.params;
-        const success = alertManager.acknowledgeAlert(alertId);
+        const removed = await notificationManager.removeChannel(req.params.channelId);
         
-        if (success) {
-            res.json({ success: true, message: 'Alert acknowledged' });
-        } else {
-            const errorResult = errorDisplay.show({
-                type: 'API_ERROR',
-                details: { error: 'Alert not found', alertId }
-            });
-            res.status(404).json({ 
-                error: errorResult.userMessage,
-                details: errorResult.errorType 
-            });
+        if (!removed) {
+            return res.status(404).json({ error: 'Notification channel not found' });
         }
+        res.json({ success: true, message: 'Notification channel removed' });
     } catch (error) {
-        // Use ErrorDisplay for consistent error handling
-        const errorResult = errorDisplay.showApiError('/api/alerts/acknowledge', error);
+        const errorResult = errorDisplay.showApiError('/api/notifications/channels/delete', error);
         res.status(500).json({ 
             error: errorResult.userMessage,
             details: errorResult.errorType 
@@ -2407,14 +4073,33 @@ app.post('/api/alerts/:alertId/acknowledge', (req, res) => {
     }
 });
 
-app.put('/api/alerts/thresholds', (req, res) => {
+app.post('/api/notifications/channels/:channelId/test', authManager.requireRole('admin'), async (req, res) => {
     try {
-        const thresholds = req.body;
-        alertManager.updateThresholds(thresholds);
-        res.json({ success: true, message: 'Thresholds updated', thresholds: alertManager.alertThresholds });
+        const result = await notificationManager.sendTestNotification(req.params.channelId);
+        
+        if (!result) {
+            return res.status(404).json({ error: 'Notification channel not found' });
+        }
+        res.status(result.success ? 200 : 502).json(result);
     } catch (error) {
-        // Use ErrorDisplay for consistent error handling
-        const errorResult = errorDisplay.showApiError('/api/alerts/thresholds', error);
+        const errorResult = errorDisplay.showApiError('/api/notifications/channels/test', error);
+        res.status(500).json({ 
+            error: errorResult.userMessage,
+            details: errorResult.errorType 
+        });
+    }
+});
+
+app.get('/api/notifications/deliveries', (req, res) => {
+    try {
+        const deliveries = notificationManager.getDeliveryLog({
+            channelId: req.query.channelId,
+            failed: req.query.failed === 'true',
+            limit: req.query.limit ? parseInt(req.query.limit) : 100
+        });
+        res.json({ deliveries, stats: notificationManager.getStats() });
+    } catch (error) {
+        const errorResult = errorDisplay.showApiError('/api/notifications/deliveries', error);
         res.status(500).json({ 
             error: errorResult.userMessage,
             details: errorResult.errorType 
@@ -2466,7 +4151,7 @@ app.get('/api/performance/stats', (req, res) => {
 });
 
 // Cache management endpoints
-app.post('/api/cache/clear', (req, res) => {
+app.post('/api/cache/clear', authManager.requireRole('admin'), (req, res) => {
     try {
         responseCache.clear();
         res.json({ success: true, message: 'Cache cleared' });
@@ -2570,7 +4255,7 @@ app.get('/api/wizard/status', async (req, res) => {
 });
 
 // Start wizard if needed (called by dashboard frontend)
-app.post('/api/wizard/start', async (req, res) => {
+app.post('/api/wizard/start', authManager.requireRole('admin'), async (req, res) => {
     const startTime = Date.now();
     try {
         const scriptPath = path.join(__dirname, '../wizard/start-wizard.sh');
@@ -2596,7 +4281,7 @@ app.post('/api/wizard/start', async (req, res) => {
 });
 
 // Launch wizard with configuration context (new enhanced endpoint)
-app.post('/api/wizard/launch', async (req, res) => {
+app.post('/api/wizard/launch', authManager.requireRole('admin'), async (req, res) => {
     const startTime = Date.now();
     try {
         const { mode = 'reconfiguration', context = {} } = req.body;
@@ -2775,7 +4460,7 @@ app.post('/api/wizard/poll/:sessionId', async (req, res) => {
 });
 
 // Handle wizard completion
-app.post('/api/wizard/completion', async (req, res) => {
+app.post('/api/wizard/completion', authManager.requireRole('admin'), async (req, res) => {
     const startTime = Date.now();
     try {
         const completionData = req.body;
@@ -2839,7 +4524,7 @@ app.post('/api/config/validate', async (req, res) => {
     }
 });
 
-app.post('/api/config/rollback/:changeId', async (req, res) => {
+app.post('/api/config/rollback/:changeId', authManager.requireRole('admin'), async (req, res) => {
     const startTime = Date.now();
     try {
         const { changeId } = req.params;
@@ -2878,7 +4563,7 @@ app.get('/api/config/sync/status', async (req, res) => {
     }
 });
 
-app.post('/api/config/sync/start', async (req, res) => {
+app.post('/api/config/sync/start', authManager.requireRole('admin'), async (req, res) => {
     const startTime = Date.now();
     try {
         configSynchronizer.startMonitoring();
@@ -2900,7 +4585,7 @@ app.post('/api/config/sync/start', async (req, res) => {
     }
 });
 
-app.post('/api/config/sync/stop', async (req, res) => {
+app.post('/api/config/sync/stop', authManager.requireRole('admin'), async (req, res) => {
     const startTime = Date.now();
     try {
         configSynchronizer.stopMonitoring();
@@ -2935,40 +4620,221 @@ const server = sslResult.ssl ? sslResult.server : app.listen(PORT, '0.0.0.0', ()
 // Initialize monitoring services
 const stateManager = new SharedStateManager(path.join(__dirname, '../../.kaspa-aio/installation-state.json'));
 const serviceMonitor = new ServiceMonitor();
-const resourceMonitor = new ResourceMonitor();
+const metricsStore = new MetricsStore();
+metricsStore.initialize().catch(error => {
+    console.warn('Failed to initialize metrics store:', error.message);
+});
+const resourceMonitor = new ResourceMonitor({ metricsStore });
 
 // Initialize KaspaNodeClient
+// KASPA_NODE_FALLBACK_HOSTS: comma separated host:port list used while the local node
+// is down (empty for none); KASPA_NODE_LOCAL_ONLY=true never contacts another host
+const kaspaNodeOptions = {
+    host: 'localhost',
+    port: 16110,
+    fallbackHosts: process.env.KASPA_NODE_FALLBACK_HOSTS,
+    localOnly: process.env.KASPA_NODE_LOCAL_ONLY === 'true'
+};
 let kaspaNodeClient;
 async function initializeKaspaNodeClient() {
+    // Created once so live update listeners stay attached; a failed
+    // initialize is retried on first use
+    kaspaNodeClient = new (require('./lib/KaspaNodeClient'))(kaspaNodeOptions);
     try {
-        kaspaNodeClient = new (require('./lib/KaspaNodeClient'))({
-            host: 'localhost',
-            port: 16110
-        });
-        
         await kaspaNodeClient.initialize();
         console.log(`KaspaNodeClient initialized successfully`);
     } catch (error) {
         console.warn('Failed to initialize Kaspa node client, will retry on first request:', error.message);
-        // Create client anyway, it will try to connect on first use
-        kaspaNodeClient = new (require('./lib/KaspaNodeClient'))({
-            host: 'localhost',
-            port: 16110
-        });
     }
 }
 
 // Initialize immediately
 initializeKaspaNodeClient();
 
+// Initialize Wallet Manager (watch-only addresses on the node connection above)
+const walletManager = new WalletManager({
+    getClient: async () => {
+        if (!kaspaNodeClient) {
+            throw new Error('Kaspa node client not initialized');
+        }
+        return kaspaNodeClient.ensureConnected();
+    },
+    getSource: getNodeSource
+});
+walletManager.initialize().catch(error => {
+    console.warn('Failed to load wallet addresses:', error.message);
+});
+
+// Initialize Peer Manager (the local node's P2P peers and their history)
+const peerManager = new PeerManager({
+    getClient: async () => {
+        if (!kaspaNodeClient) {
+            throw new Error('Kaspa node client not initialized');
+        }
+        return kaspaNodeClient.ensureConnected();
+    },
+    getSource: getNodeSource
+});
+peerManager.initialize().catch(error => {
+    console.warn('Failed to load peer history:', error.message);
+});
+
+// Initialize Mempool Monitor (fee rates and congestion of the local node's mempool)
+const mempoolMonitor = new MempoolMonitor({
+    getClient: async () => {
+        if (!kaspaNodeClient) {
+            throw new Error('Kaspa node client not initialized');
+        }
+        return kaspaNodeClient.ensureConnected();
+    },
+    getSource: getNodeSource,
+    getBlocksPerSecond: () => kaspaNodeClient?.getLiveState().blocksPerSecond
+});
+mempoolMonitor.initialize();
+
+// Recent BlockDAG window for the visualizer, fed by block-added and virtual chain notifications
+const blockDagTracker = new BlockDagTracker({
+    getBlock: hash => kaspaNodeClient.getBlock(hash, false),
+    getTipHashes: async () => (await kaspaNodeClient.getBlockDagInfo()).tipHashes
+});
+kaspaNodeClient.on('blockAdded', block => blockDagTracker.addBlock(block));
+kaspaNodeClient.on('virtualChainChanged', change => blockDagTracker.applyChainChange(change));
+
+// Block, transaction and address lookups (explorer indexer DB of the explorer bundle when running)
+const nodeExplorer = new NodeExplorer({
+    nodeClient: kaspaNodeClient,
+    walletManager,
+    indexer: {
+        user: process.env.POSTGRES_USER_EXPLORER || 'kaspa_explorer',
+        database: process.env.POSTGRES_DB_EXPLORER || 'simply_kaspa'
+    }
+});
+
 const wizardIntegration = new WizardIntegration();
-const configSynchronizer = new ConfigurationSynchronizer();
+const configSynchronizer = new ConfigurationSynchronizer({ auditLog });
+
+// Load dashboard accounts
+authManager.initialize().catch(error => {
+    console.warn('Failed to load dashboard accounts:', error.message);
+});
+
+// Initialize WebSocket Manager (handshakes need a dashboard session)
+const wsManager = new WebSocketManager(server, {
+    authenticate: req => authManager.authenticateRequest(req, { touch: false })
+});
+
+// Push the live node model (DAA score, sink, new blocks) from node notifications
+kaspaNodeClient.on('nodeUpdate', state => {
+    wsManager.broadcastNodeUpdate(state);
+});
+
+// Push each mempool sample (fee estimates, histogram)
+mempoolMonitor.on('sample', snapshot => {
+    wsManager.broadcast({
+        type: 'mempool_updated',
+        data: snapshot
+    });
+});
+
+// Push batched BlockDAG changes to the visualizer
+blockDagTracker.on('update', update => {
+    wsManager.broadcastDagUpdate(update);
+});
+
+// Push peer connects and disconnects
+peerManager.on('change', change => {
+    wsManager.broadcast({
+        type: 'peers_changed',
+        data: change
+    });
+});
+
+// Push live watch-only balance changes (from UTXO-changed notifications)
+walletManager.on('balanceChanged', change => {
+    metricsStore.record('wallet.balance', change.balance, { address: change.address });
+    wsManager.broadcast({
+        type: 'wallet_balance_changed',
+        data: change
+    });
+});
+
+// Initialize Notification Manager (external alert delivery channels)
+const notificationManager = new NotificationManager();
+notificationManager.initialize().catch(error => {
+    console.warn('Failed to load notification channels:', error.message);
+});
+
+// Initialize Alert Manager (loads persisted rules, active alerts and history)
+const alertManager = new AlertManager(wsManager, notificationManager);
+alertManager.initialize().catch(error => {
+    console.warn('Failed to load alert rules:', error.message);
+});
+
+// Payments to and from watch-only addresses, alerting where the address asked for it
+walletManager.on('transaction', transaction => {
+    wsManager.broadcast({
+        type: 'wallet_transaction',
+        data: transaction
+    });
+    if (transaction.alert) {
+        alertManager.processWalletTransaction(transaction);
+    }
+});
+
+// Initialize Prometheus exporter
+const databasePerformanceMonitor = new DatabasePerformanceMonitor();
+
+// TimescaleDB compression and retention policies of the indexer databases, with a revertible change journal
+const timescalePolicyManager = new TimescalePolicyManager({ databaseMonitor: databasePerformanceMonitor });
+timescalePolicyManager.initialize().catch(error => {
+    console.warn('Failed to load TimescaleDB policy changes:', error.message);
+});
+
+// Configuration backups; restores stop and restart the affected services
+const backupManager = new BackupManager();
+
+// pg_dump backups of the indexer databases; restores stop and restart the indexers
+const databaseBackupManager = new DatabaseBackupManager();
+databaseBackupManager.initialize().catch(error => {
+    console.warn('Failed to prepare the database dump directory:', error.message);
+});
+
+// Snapshots of the node's data volume; exports stop or pause the node
+const nodeSnapshotManager = new NodeSnapshotManager({ getNodeClient: () => kaspaNodeClient });
 
-// Initialize WebSocket Manager
-const wsManager = new WebSocketManager(server);
+// Scheduled backups with grandfather-father-son retention; failed and missed runs alert
+const backupScheduler = new BackupScheduler({ backupManager, alertManager });
+backupScheduler.on('run', run => {
+    wsManager.broadcast({
+        type: 'backup_run',
+        data: run
+    });
+});
+backupScheduler.registerRunner('database', databaseBackupManager.createScheduleRunner());
+backupScheduler.initialize().catch(error => {
+    console.warn('Failed to load backup schedules:', error.message);
+});
+const prometheusExporter = new PrometheusExporter({
+    serviceMonitor,
+    resourceMonitor,
+    getKaspaNodeClient: () => kaspaNodeClient,
+    alertManager,
+    databaseMonitor: databasePerformanceMonitor,
+    getInstalledServiceNames: async () => {
+        const state = await stateManager.readState();
+        return state ? new Set(state.services.map(s => s.name)) : null;
+    }
+});
 
-// Initialize Alert Manager
-const alertManager = new AlertManager(wsManager);
+// Initialize Kaspa log parsing (structured node events from kaspad output)
+const logManager = new LogManager();
+const kaspaLogParser = new KaspaLogParser(logManager);
+kaspaLogParser.on('event', (event) => {
+    wsManager.broadcastNodeEvent(event);
+});
+kaspaLogParser.start().catch(error => {
+    console.warn('Failed to start Kaspa log parser:', error.message);
+});
 
 // Initialize Update Broadcaster
 const updateBroadcaster = new UpdateBroadcaster(wsManager, serviceMonitor, resourceMonitor);
@@ -3147,6 +5013,52 @@ updateBroadcaster.on('resources-broadcasted', ({ resources }) => {
     alertManager.processResourceUpdates(resources);
 });
 
+// Collect per-container and Kaspa node metrics for history and alert rules
+setInterval(async () => {
+    const samples = [];
+    
+    try {
+        // Records into the metrics store as a side effect
+        const containers = await resourceMonitor.getPerServiceResources();
+        containers.forEach((usage, container) => {
+            samples.push({ metric: 'container.cpu', labels: { container }, value: usage.cpu });
+            samples.push({ metric: 'container.memory', labels: { container }, value: usage.memory });
+        });
+    } catch (error) {
+        console.warn('Failed to collect container metrics:', error.message);
+    }
+    
+    try {
+        const [nodeInfo, dagInfo] = await Promise.all([
+            kaspaNodeClient.getNodeInfo(),
+            kaspaNodeClient.getBlockDagInfo()
+        ]);
+        const nodeSamples = [
+            { metric: 'node.peers', labels: {}, value: nodeInfo.peerCount },
+            { metric: 'node.mempool_size', labels: {}, value: nodeInfo.mempoolSize },
+            { metric: 'node.daa_score', labels: {}, value: Number(dagInfo.virtualDaaScore) }
+        ];
+        metricsStore.recordMany(nodeSamples);
+        samples.push(...nodeSamples);
+    } catch (error) {
+        // Node unavailable; the sync status monitor below handles reconnection
+    }
+    
+    // Watch-only balances from the wallet's cache (kept current by UTXO notifications)
+    const walletSamples = walletManager.getBalanceSamples();
+    metricsStore.recordMany(walletSamples);
+    samples.push(...walletSamples);
+    
+    // Mempool fee rates and congestion from the latest mempool sample
+    const mempoolSamples = mempoolMonitor.getMetricSamples();
+    metricsStore.recordMany(mempoolSamples);
+    samples.push(...mempoolSamples);
+    
+    if (samples.length > 0) {
+        alertManager.recordMetrics(samples);
+    }
+}, 60000);
+
 // Add sync status monitoring
 let kaspaNodeRetryActive = false;
 
@@ -3255,7 +5167,20 @@ process.on('SIGTERM', () => {
     }
     
     configSynchronizer.shutdown();
+    kaspaLogParser.shutdown();
     alertManager.shutdown();
+    notificationManager.shutdown();
+    authManager.shutdown();
+    walletManager.shutdown();
+    peerManager.shutdown();
+    mempoolMonitor.shutdown();
+    blockDagTracker.shutdown();
+    timescalePolicyManager.shutdown();
+    databaseBackupManager.shutdown();
+    nodeSnapshotManager.shutdown();
+    backupScheduler.shutdown();
+    databasePerformanceMonitor.shutdown();
+    metricsStore.shutdown();
     updateBroadcaster.shutdown();
     wsManager.shutdown();
     server.close(() => {
@@ -3278,7 +5203,20 @@ process.on('SIGINT', () => {
     }
     
     configSynchronizer.shutdown();
+    kaspaLogParser.shutdown();
     alertManager.shutdown();
+    notificationManager.shutdown();
+    authManager.shutdown();
+    walletManager.shutdown();
+    peerManager.shutdown();
+    mempoolMonitor.shutdown();
+    blockDagTracker.shutdown();
+    timescalePolicyManager.shutdown();
+    databaseBackupManager.shutdown();
+    nodeSnapshotManager.shutdown();
+    backupScheduler.shutdown();
+    databasePerformanceMonitor.shutdown();
+    metricsStore.shutdown();
     updateBroadcaster.shutdown();
     wsManager.shutdown();
     server.close(() => {
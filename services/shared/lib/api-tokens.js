@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Scopes an API token can carry. Each server decides which of its routes
+ * need which scope; a token only works where one of its scopes is required.
+ */
+const API_TOKEN_SCOPES = {
+  'status:read': 'Read service status, resources, node data, alerts and metrics',
+  'logs:read': 'Read service logs',
+  'services:control': 'Start, stop and restart services',
+  'alerts:manage': 'Acknowledge alerts, manage silences and push alert metrics',
+  'config:write': 'Change configuration, roll back changes and run reconfiguration',
+  'backups:manage': 'Create, restore and upload backups, and manage backup destinations',
+  'updates:apply': 'Apply and roll back service updates'
+};
+
+const TOKEN_PREFIX = 'kaio_';
+
+/**
+ * Extract a bearer token from request headers
+ * @param {Object} headers - Request headers
+ * @returns {string|null} Token or null when absent
+ */
+function getBearerToken(headers = {}) {
+  const header = headers.authorization || headers.Authorization;
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  const [scheme, token] = header.trim().split(/\s+/);
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+/**
+ * ApiTokenStore - Scoped API tokens shared by the Wizard and Dashboard
+ *
+ * Tokens look like `kaio_<id>_<secret>`. Only a SHA-256 hash of the token is
+ * stored, so a token is shown once at creation and cannot be recovered.
+ * Both servers read the same file and reload it when it changes on disk, so a
+ * token created or revoked in one is honoured by the other.
+ */
+class ApiTokenStore {
+  /**
+   * Create a new ApiTokenStore
+   * @param {string} filePath - Path to the token file (e.g. .kaspa-aio/api-tokens.json)
+   * @param {Object} [options]
+   * @param {number} [options.touchInterval=60000] - Minimum ms between persisted last-use updates per token
+   */
+  constructor(filePath, options = {}) {
+    if (!filePath) {
+      throw new Error('Token file path is required');
+    }
+
+    this.filePath = filePath;
+    this.touchInterval = options.touchInterval !== undefined ? options.touchInterval : 60000;
+    this.tokens = new Map();
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Reload tokens if the file changed since the last read
+   * @returns {Promise<Map>} Tokens by id
+   */
+  async load() {
+    let stats;
+    try {
+      stats = await fs.stat(this.filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.tokens.clear();
+        this.loadedMtime = null;
+        return this.tokens;
+      }
+      throw error;
+    }
+
+    if (this.loadedMtime === stats.mtimeMs) {
+      return this.tokens;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.tokens.clear();
+      (Array.isArray(data.tokens) ? data.tokens : []).forEach(token => {
+        this.tokens.set(token.id, token);
+      });
+      this.loadedMtime = stats.mtimeMs;
+    } catch (error) {
+      // Keep the last good copy rather than locking everyone out
+      console.error('Error reading API tokens:', error.message);
+    }
+
+    return this.tokens;
+  }
+
+  /**
+   * Write tokens to disk atomically (owner-only, the file holds token hashes)
+   */
+  async save() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    const data = JSON.stringify({ tokens: Array.from(this.tokens.values()) }, null, 2);
+    await fs.writeFile(tmpPath, data, { encoding: 'utf8', mode: 0o600 });
+    await fs.rename(tmpPath, this.filePath);
+
+    const stats = await fs.stat(this.filePath);
+    this.loadedMtime = stats.mtimeMs;
+  }
+
+  /**
+   * Validate a token definition
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validate(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+      return ['Token definition must be an object'];
+    }
+
+    if (typeof definition.name !== 'string' || !definition.name.trim() || definition.name.length > 100) {
+      errors.push('name is required (max 100 characters)');
+    }
+
+    if (!Array.isArray(definition.scopes) || definition.scopes.length === 0) {
+      errors.push('at least one scope is required');
+    } else {
+      const unknown = definition.scopes.filter(scope => !API_TOKEN_SCOPES[scope]);
+      if (unknown.length > 0) {
+        errors.push(`unknown scopes: ${unknown.join(', ')}`);
+      }
+    }
+
+    if (definition.expiresAt !== undefined && definition.expiresAt !== null) {
+      const expiresAt = Date.parse(definition.expiresAt);
+      if (Number.isNaN(expiresAt) || expiresAt <= Date.now()) {
+        errors.push('expiresAt must be a future date');
+      }
+    }
+
+    if (definition.expiresInDays !== undefined && definition.expiresInDays !== null) {
+      if (!Number.isInteger(definition.expiresInDays) || definition.expiresInDays < 1 || definition.expiresInDays > 3650) {
+        errors.push('expiresInDays must be an integer between 1 and 3650');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create a token
+   * @param {Object} definition - { name, scopes, expiresAt?, expiresInDays?, createdBy? }
+   * @returns {Promise<{token: string, record: Object}>} Plaintext token (shown once) and its public record
+   * @throws {Error} "Invalid API token: ..." on validation errors
+   */
+  async create(definition) {
+    const errors = this.validate(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid API token: ${errors.join(', ')}`);
+    }
+
+    await this.load();
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const token = `${TOKEN_PREFIX}${id}_${crypto.randomBytes(32).toString('hex')}`;
+
+    let expiresAt = null;
+    if (definition.expiresAt) {
+      expiresAt = new Date(definition.expiresAt).toISOString();
+    } else if (definition.expiresInDays) {
+      expiresAt = new Date(Date.now() + definition.expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const record = {
+      id,
+      name: definition.name.trim(),
+      scopes: Array.from(new Set(definition.scopes)),
+      tokenHash: this._hash(token),
+      createdAt: new Date().toISOString(),
+      createdBy: definition.createdBy || null,
+      expiresAt,
+      lastUsedAt: null,
+      lastUsedFrom: null,
+      revokedAt: null
+    };
+
+    this.tokens.set(id, record);
+    await this.save();
+
+    return { token, record: this._toPublic(record) };
+  }
+
+  /**
+   * List tokens without their hashes
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    await this.load();
+    return Array.from(this.tokens.values())
+      .map(record => this._toPublic(record))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Revoke a token. Revoked tokens stay listed so their history is kept.
+   * @param {string} id - Token id
+   * @returns {Promise<Object|null>} Public record, or null when not found
+   */
+  async revoke(id) {
+    await this.load();
+    const record = this.tokens.get(id);
+    if (!record) {
+      return null;
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await this.save();
+    }
+    return this._toPublic(record);
+  }
+
+  /**
+   * Resolve a presented token and record its use
+   * @param {string} token - Plaintext token
+   * @param {Object} [context] - { ip } of the caller, recorded as lastUsedFrom
+   * @returns {Promise<Object|null>} Public record, or null when unknown, expired or revoked
+   */
+  async authenticate(token, context = {}) {
+    const id = ApiTokenStore.parseId(token);
+    if (!id) {
+      return null;
+    }
+
+    await this.load();
+    const record = this.tokens.get(id);
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    const expected = Buffer.from(record.tokenHash, 'hex');
+    const actual = Buffer.from(this._hash(token), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (record.expiresAt && Date.parse(record.expiresAt) <= now) {
+      return null;
+    }
+
+    // Persist last use at most once per touchInterval to avoid a write per request
+    const lastUsed = record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0;
+    if (now - lastUsed >= this.touchInterval || record.lastUsedFrom !== (context.ip || null)) {
+      record.lastUsedAt = new Date(now).toISOString();
+      record.lastUsedFrom = context.ip || null;
+      try {
+        await this.save();
+      } catch (error) {
+        console.error('Error recording API token use:', error.message);
+      }
+    }
+
+    return this._toPublic(record);
+  }
+
+  /**
+   * Check whether a token record grants a scope
+   */
+  static hasScope(record, scope) {
+    return Boolean(record && Array.isArray(record.scopes) && record.scopes.includes(scope));
+  }
+
+  /**
+   * Whether a string looks like an API token (as opposed to another bearer credential)
+   */
+  static isApiToken(value) {
+    return typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+  }
+
+  static parseId(token) {
+    if (!ApiTokenStore.isApiToken(token)) {
+      return null;
+    }
+    const match = /^kaio_([0-9a-f]{12})_[0-9a-f]{64}$/.exec(token);
+    return match ? match[1] : null;
+  }
+
+  _hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  _toPublic(record) {
+    const { tokenHash, ...rest } = record;
+    const expired = Boolean(record.expiresAt && Date.parse(record.expiresAt) <= Date.now());
+    return {
+      ...rest,
+      status: record.revokedAt ? 'revoked' : (expired ? 'expired' : 'active')
+    };
+  }
+}
+
+module.exports = {
+  ApiTokenStore,
+  API_TOKEN_SCOPES,
+  TOKEN_PREFIX,
+  getBearerToken
+};
@@ -0,0 +1,112 @@
+const { ApiTokenStore, API_TOKEN_SCOPES, getBearerToken } = require('./api-tokens.js');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+describe('ApiTokenStore', () => {
+  let tmpDir;
+  let tokenPath;
+  let store;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-tokens-'));
+    tokenPath = path.join(tmpDir, '.kaspa-aio', 'api-tokens.json');
+    store = new ApiTokenStore(tokenPath, { touchInterval: 0 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('create', () => {
+    test('should return the token once and store only its hash', async () => {
+      const { token, record } = await store.create({ name: 'CI restarts', scopes: ['services:control'] });
+
+      expect(token).toMatch(/^kaio_[0-9a-f]{12}_[0-9a-f]{64}$/);
+      expect(record).toMatchObject({ name: 'CI restarts', scopes: ['services:control'], status: 'active' });
+      expect(record.tokenHash).toBeUndefined();
+
+      const content = await fs.readFile(tokenPath, 'utf8');
+      expect(content).not.toContain(token);
+      expect(JSON.parse(content).tokens[0].tokenHash).toHaveLength(64);
+      expect((await fs.stat(tokenPath)).mode & 0o777).toBe(0o600);
+    });
+
+    test('should reject invalid definitions', async () => {
+      await expect(store.create({ name: '', scopes: [] })).rejects.toThrow(/Invalid API token: name.*scope/);
+      await expect(store.create({ name: 'x', scopes: ['root'] })).rejects.toThrow('unknown scopes: root');
+      await expect(store.create({ name: 'x', scopes: ['status:read'], expiresAt: '2000-01-01' }))
+        .rejects.toThrow('expiresAt must be a future date');
+    });
+
+    test('should compute expiry from expiresInDays', async () => {
+      const { record } = await store.create({ name: 'short', scopes: ['status:read'], expiresInDays: 7 });
+      const days = (Date.parse(record.expiresAt) - Date.now()) / (24 * 60 * 60 * 1000);
+      expect(days).toBeCloseTo(7, 1);
+    });
+  });
+
+  describe('authenticate', () => {
+    test('should resolve a valid token and record its last use', async () => {
+      const { token, record } = await store.create({ name: 'ha', scopes: ['status:read'] });
+
+      const resolved = await store.authenticate(token, { ip: '192.168.1.20' });
+
+      expect(resolved.id).toBe(record.id);
+      expect(resolved.lastUsedFrom).toBe('192.168.1.20');
+      const [listed] = await store.list();
+      expect(listed.lastUsedAt).not.toBeNull();
+    });
+
+    test('should reject unknown, tampered, revoked and expired tokens', async () => {
+      const { token, record } = await store.create({ name: 'ha', scopes: ['status:read'] });
+
+      expect(await store.authenticate('not-a-token')).toBeNull();
+      expect(await store.authenticate(token.slice(0, -1) + (token.endsWith('0') ? '1' : '0'))).toBeNull();
+
+      await store.revoke(record.id);
+      expect(await store.authenticate(token)).toBeNull();
+      expect((await store.list())[0].status).toBe('revoked');
+
+      const expiring = await store.create({ name: 'old', scopes: ['status:read'], expiresInDays: 1 });
+      store.tokens.get(expiring.record.id).expiresAt = new Date(Date.now() - 1000).toISOString();
+      expect(await store.authenticate(expiring.token)).toBeNull();
+    });
+
+    test('should see tokens created and revoked by another process', async () => {
+      const other = new ApiTokenStore(tokenPath);
+      const { token, record } = await other.create({ name: 'wizard', scopes: ['updates:apply'] });
+
+      expect(await store.authenticate(token)).not.toBeNull();
+
+      // Ensure a different mtime on filesystems with coarse timestamps
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await other.revoke(record.id);
+      expect(await store.authenticate(token)).toBeNull();
+    });
+  });
+
+  describe('scopes', () => {
+    test('should check scopes against the record', async () => {
+      const { record } = await store.create({ name: 'ci', scopes: ['status:read', 'logs:read'] });
+
+      expect(ApiTokenStore.hasScope(record, 'logs:read')).toBe(true);
+      expect(ApiTokenStore.hasScope(record, 'services:control')).toBe(false);
+      expect(ApiTokenStore.hasScope(null, 'status:read')).toBe(false);
+    });
+
+    test('should describe every scope', () => {
+      Object.values(API_TOKEN_SCOPES).forEach(description => {
+        expect(typeof description).toBe('string');
+      });
+    });
+  });
+
+  describe('getBearerToken', () => {
+    test('should read bearer credentials from headers', () => {
+      expect(getBearerToken({ authorization: 'Bearer kaio_abc' })).toBe('kaio_abc');
+      expect(getBearerToken({ authorization: 'Basic abc' })).toBeNull();
+      expect(getBearerToken({})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Keys whose values never reach the audit log
+const SENSITIVE_KEY_PATTERN = /pass(word|phrase)?|secret|token|api[-_]?key|private|mnemonic|seed|credential|authorization|cookie/i;
+
+// Twelve or more lowercase words in a row looks like a wallet mnemonic
+const MNEMONIC_PATTERN = /^\s*([a-z]{3,8}\s+){11,23}[a-z]{3,8}\s*$/;
+
+const MAX_STRING_LENGTH = 500;
+const MAX_ARRAY_ITEMS = 50;
+const MAX_DEPTH = 5;
+
+/**
+ * Redact secrets from request parameters before they are logged
+ * @param {*} value - Request body, query or params
+ * @param {string[]} [extraKeys] - Further keys to redact at any depth, for
+ *   resources where ordinary names hold secrets (e.g. a webhook's url)
+ * @returns {*} Copy with sensitive values replaced by '[REDACTED]'
+ */
+function redactParams(value, extraKeys = [], depth = 0) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    if (MNEMONIC_PATTERN.test(value)) {
+      return '[REDACTED]';
+    }
+    return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+  }
+
+  if (typeof value !== 'object') {
+    return value;
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map(item => redactParams(item, extraKeys, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) {
+      items.push(`[${value.length - MAX_ARRAY_ITEMS} more]`);
+    }
+    return items;
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_KEY_PATTERN.test(key) || extraKeys.includes(key) ? '[REDACTED]' : redactParams(item, extraKeys, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Find the audit rule for a request
+ * @param {Array} rules - [{ methods, path: RegExp, action: string|null, redact?: string[] }], first match wins.
+ *   A named `target` group in the path is recorded as the action's target.
+ *   action null means "do not record"; redact names further keys to redact.
+ * @returns {{action: string|null, target: string|null, redact: string[]}|null} Null when no rule matches
+ */
+function resolveAuditAction(rules, method, requestPath) {
+  for (const rule of rules) {
+    if (rule.methods && !rule.methods.includes(method)) {
+      continue;
+    }
+    const match = rule.path.exec(requestPath);
+    if (match) {
+      return {
+        action: rule.action,
+        target: match.groups && match.groups.target ? decodeURIComponent(match.groups.target) : (rule.target || null),
+        redact: rule.redact || []
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe who made a request, from whatever the server's auth layer attached
+ */
+function getRequestActor(req) {
+  if (req.apiToken) {
+    return { type: 'token', id: req.apiToken.id, name: req.apiToken.name };
+  }
+  if (req.user && req.user.tokenId) {
+    return { type: 'token', id: req.user.tokenId, name: req.user.username.replace(/^token:/, '') };
+  }
+  if (req.user) {
+    return { type: 'user', name: req.user.username, role: req.user.role };
+  }
+  return { type: 'anonymous', name: null };
+}
+
+/**
+ * AuditLog - Append-only record of mutating actions in the Wizard and Dashboard
+ *
+ * Entries are appended as JSON lines to one file per month
+ * (audit-YYYY-MM.ndjson). Both servers append to the same directory, and
+ * entries are never rewritten, so the log survives restarts and shows who
+ * changed what, from where and with which outcome.
+ */
+class AuditLog {
+  /**
+   * Create a new AuditLog
+   * @param {string} dirPath - Directory for the log files (e.g. .kaspa-aio/audit)
+   * @param {Object} [options]
+   * @param {string} [options.source] - Server writing the entries ('dashboard' or 'wizard')
+   */
+  constructor(dirPath, options = {}) {
+    if (!dirPath) {
+      throw new Error('Audit log directory is required');
+    }
+
+    this.dirPath = dirPath;
+    this.source = options.source || 'unknown';
+  }
+
+  /**
+   * Append an entry. Never throws: a failed audit write is reported but must
+   * not undo or block the action that was already performed.
+   * @param {Object} entry - { action, actor, ip, method, route, target, params, outcome, status, error, durationMs }
+   * @returns {Promise<Object|null>} Stored entry, or null when the write failed
+   */
+  async record(entry) {
+    const timestamp = entry.timestamp ? new Date(entry.timestamp) : new Date();
+    const stored = {
+      id: crypto.randomBytes(8).toString('hex'),
+      timestamp: timestamp.toISOString(),
+      source: entry.source || this.source,
+      action: entry.action,
+      actor: entry.actor || { type: 'anonymous', name: null },
+      ip: entry.ip || null,
+      method: entry.method || null,
+      route: entry.route || null,
+      target: entry.target || null,
+      params: redactParams(entry.params || null),
+      outcome: entry.outcome || 'success',
+      status: entry.status || null,
+      error: entry.error || null,
+      durationMs: entry.durationMs !== undefined ? entry.durationMs : null
+    };
+
+    try {
+      await fs.mkdir(this.dirPath, { recursive: true });
+      await fs.appendFile(this._fileFor(timestamp), JSON.stringify(stored) + '\n', { encoding: 'utf8', mode: 0o600 });
+      return stored;
+    } catch (error) {
+      console.error('Error writing audit log entry:', error.message, JSON.stringify(stored));
+      return null;
+    }
+  }
+
+  /**
+   * Query entries, newest first
+   * @param {Object} [filters] - { from, to, source, action (prefix), actor, target, outcome, ip, limit, offset }
+   * @returns {Promise<{entries: Object[], total: number}>}
+   */
+  async query(filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), 1000);
+    const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+    const entries = (await this._readEntries(from, to)).filter(entry => {
+      const time = Date.parse(entry.timestamp);
+      if (from !== null && time < from) return false;
+      if (to !== null && time > to) return false;
+      if (filters.source && entry.source !== filters.source) return false;
+      if (filters.action && !String(entry.action).startsWith(filters.action)) return false;
+      if (filters.actor && (!entry.actor || entry.actor.name !== filters.actor)) return false;
+      if (filters.target && entry.target !== filters.target) return false;
+      if (filters.outcome && entry.outcome !== filters.outcome) return false;
+      if (filters.ip && entry.ip !== filters.ip) return false;
+      return true;
+    });
+
+    entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    return {
+      entries: entries.slice(offset, offset + limit),
+      total: entries.length
+    };
+  }
+
+  /**
+   * Export matching entries (no pagination limit)
+   * @param {Object} [filters] - Same filters as query()
+   * @param {string} [format='ndjson'] - 'ndjson' or 'csv'
+   * @returns {Promise<string>}
+   */
+  async export(filters = {}, format = 'ndjson') {
+    const { total } = await this.query({ ...filters, limit: 1 });
+    const entries = [];
+    for (let offset = 0; offset < total; offset += 1000) {
+      const page = await this.query({ ...filters, limit: 1000, offset });
+      entries.push(...page.entries);
+    }
+
+    if (format === 'csv') {
+      const columns = ['timestamp', 'source', 'actorType', 'actor', 'ip', 'method', 'route', 'action', 'target', 'outcome', 'status', 'error', 'durationMs', 'params'];
+      const rows = entries.map(entry => [
+        entry.timestamp, entry.source, entry.actor?.type, entry.actor?.name, entry.ip, entry.method,
+        entry.route, entry.action, entry.target, entry.outcome, entry.status, entry.error,
+        entry.durationMs, entry.params ? JSON.stringify(entry.params) : ''
+      ].map(value => this._csvCell(value)).join(','));
+      return [columns.join(','), ...rows].join('\n') + '\n';
+    }
+
+    return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
+  }
+
+  /**
+   * Most recent successful entry whose action starts with one of the prefixes
+   * @param {string[]} actionPrefixes - e.g. ['config.', 'profiles.']
+   * @param {number} sinceMs - How far back to look
+   * @returns {Promise<Object|null>}
+   */
+  async findRecent(actionPrefixes, sinceMs, now = Date.now()) {
+    const entries = await this._readEntries(now - sinceMs, now);
+    return entries
+      .filter(entry => entry.outcome === 'success' &&
+        Date.parse(entry.timestamp) >= now - sinceMs &&
+        actionPrefixes.some(prefix => String(entry.action).startsWith(prefix)))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))[0] || null;
+  }
+
+  /**
+   * Express middleware that records mutating requests once the response is sent
+   * @param {Object} [options]
+   * @param {Array} [options.rules] - Action rules, see resolveAuditAction()
+   * @param {boolean} [options.recordUnmatched=false] - Also record mutating requests no rule matches
+   * @param {Function} [options.getActor] - (req) => actor
+   */
+  middleware({ rules = [], recordUnmatched = false, getActor = getRequestActor } = {}) {
+    return (req, res, next) => {
+      if (!MUTATING_METHODS.has(req.method)) {
+        return next();
+      }
+
+      const route = (req.originalUrl || req.url).split('?')[0];
+      const resolved = resolveAuditAction(rules, req.method, route);
+      if (resolved ? !resolved.action : !recordUnmatched) {
+        return next();
+      }
+
+      const startTime = Date.now();
+      // Capture parameters now; handlers may modify the body
+      const params = redactParams({ body: req.body, query: req.query }, resolved ? resolved.redact : []);
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body === 'object') {
+          res.locals.auditError = body.message || body.error || null;
+        }
+        return json(body);
+      };
+
+      res.on('finish', () => {
+        const status = res.statusCode;
+        this.record({
+          action: resolved ? resolved.action : `${req.method} ${route}`,
+          target: resolved ? resolved.target : null,
+          actor: getActor(req),
+          ip: req.ip || req.socket?.remoteAddress,
+          method: req.method,
+          route,
+          params,
+          outcome: status < 400 ? 'success' : ([401, 403, 429].includes(status) ? 'denied' : 'failure'),
+          status,
+          error: status >= 400 ? (res.locals.auditError || null) : null,
+          durationMs: Date.now() - startTime
+        });
+      });
+
+      next();
+    };
+  }
+
+  async _readEntries(from, to) {
+    let files;
+    try {
+      files = await fs.readdir(this.dirPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const fromMonth = from !== null && from !== undefined ? new Date(from).toISOString().slice(0, 7) : null;
+    const toMonth = to !== null && to !== undefined ? new Date(to).toISOString().slice(0, 7) : null;
+    const entries = [];
+
+    for (const file of files) {
+      const match = /^audit-(\d{4}-\d{2})\.ndjson$/.exec(file);
+      if (!match || (fromMonth && match[1] < fromMonth) || (toMonth && match[1] > toMonth)) {
+        continue;
+      }
+
+      const content = await fs.readFile(path.join(this.dirPath, file), 'utf8');
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // A torn line from a crash mid-append; skip it
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  _fileFor(date) {
+    return path.join(this.dirPath, `audit-${date.toISOString().slice(0, 7)}.ndjson`);
+  }
+
+  _csvCell(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    let text = String(value);
+    // Keep spreadsheet apps from evaluating cells as formulas
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = {
+  AuditLog,
+  redactParams,
+  resolveAuditAction,
+  getRequestActor
+};
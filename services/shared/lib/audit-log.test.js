@@ -0,0 +1,281 @@
+const { AuditLog, redactParams, resolveAuditAction } = require('./audit-log.js');
+const EventEmitter = require('events');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+function createResponse(statusCode) {
+  const res = new EventEmitter();
+  res.statusCode = statusCode;
+  res.locals = {};
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('AuditLog', () => {
+  let tmpDir;
+  let auditLog;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-log-'));
+    auditLog = new AuditLog(path.join(tmpDir, 'audit'), { source: 'dashboard' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('record', () => {
+    test('should append entries to an owner-only monthly file', async () => {
+      const entry = await auditLog.record({
+        action: 'services.restart',
+        target: 'kaspa-node',
+        actor: { type: 'user', name: 'alice', role: 'operator' },
+        ip: '10.0.0.5',
+        timestamp: '2024-03-10T12:00:00Z'
+      });
+      await auditLog.record({ action: 'config.write', timestamp: '2024-03-11T12:00:00Z' });
+
+      const file = path.join(tmpDir, 'audit', 'audit-2024-03.ndjson');
+      const lines = (await fs.readFile(file, 'utf8')).trim().split('\n');
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[0])).toMatchObject({ id: entry.id, source: 'dashboard', action: 'services.restart', target: 'kaspa-node' });
+      expect((await fs.stat(file)).mode & 0o777).toBe(0o600);
+    });
+
+    test('should report but not throw when the directory cannot be written', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const blocked = path.join(tmpDir, 'blocked');
+      await fs.writeFile(blocked, '');
+
+      const result = await new AuditLog(blocked).record({ action: 'config.write' });
+
+      expect(result).toBeNull();
+      expect(errorSpy).toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('query', () => {
+    beforeEach(async () => {
+      await auditLog.record({ action: 'services.start', target: 'kaspa-node', actor: { type: 'user', name: 'alice' }, timestamp: '2024-02-28T10:00:00Z' });
+      await auditLog.record({ action: 'services.stop', target: 'k-indexer', actor: { type: 'user', name: 'bob' }, outcome: 'failure', timestamp: '2024-03-01T10:00:00Z' });
+      await auditLog.record({ action: 'config.write', source: 'wizard', actor: { type: 'local', name: 'wizard' }, timestamp: '2024-03-02T10:00:00Z' });
+    });
+
+    test('should return entries newest first across months', async () => {
+      const { entries, total } = await auditLog.query();
+
+      expect(total).toBe(3);
+      expect(entries.map(entry => entry.action)).toEqual(['config.write', 'services.stop', 'services.start']);
+    });
+
+    test('should filter by action prefix, actor, source, outcome and time', async () => {
+      expect((await auditLog.query({ action: 'services.' })).total).toBe(2);
+      expect((await auditLog.query({ actor: 'bob' })).entries[0].target).toBe('k-indexer');
+      expect((await auditLog.query({ source: 'wizard' })).total).toBe(1);
+      expect((await auditLog.query({ outcome: 'failure' })).total).toBe(1);
+      expect((await auditLog.query({ from: '2024-03-01T00:00:00Z' })).total).toBe(2);
+      expect((await auditLog.query({ to: '2024-02-29T00:00:00Z' })).total).toBe(1);
+    });
+
+    test('should paginate', async () => {
+      const { entries, total } = await auditLog.query({ limit: 1, offset: 1 });
+      expect(total).toBe(3);
+      expect(entries).toHaveLength(1);
+      expect(entries[0].action).toBe('services.stop');
+    });
+
+    test('should skip a torn last line', async () => {
+      await fs.appendFile(path.join(tmpDir, 'audit', 'audit-2024-03.ndjson'), '{"action":"conf');
+      expect((await auditLog.query()).total).toBe(3);
+    });
+  });
+
+  describe('export', () => {
+    test('should export CSV with escaped and formula-safe cells', async () => {
+      await auditLog.record({
+        action: 'config.write',
+        actor: { type: 'user', name: '=cmd' },
+        error: 'bad "value", retry',
+        timestamp: '2024-03-02T10:00:00Z'
+      });
+
+      const csv = await auditLog.export({}, 'csv');
+      const [header, row] = csv.trim().split('\n');
+
+      expect(header.split(',')).toContain('action');
+      expect(row).toContain(',\'=cmd,');
+      expect(row).toContain('"bad ""value"", retry"');
+    });
+
+    test('should export NDJSON', async () => {
+      await auditLog.record({ action: 'config.write' });
+      const lines = (await auditLog.export()).trim().split('\n');
+      expect(JSON.parse(lines[0]).action).toBe('config.write');
+    });
+  });
+
+  describe('findRecent', () => {
+    test('should return the newest successful matching entry in the window', async () => {
+      const now = Date.parse('2024-03-02T10:01:00Z');
+      await auditLog.record({ action: 'config.write', actor: { name: 'alice' }, timestamp: '2024-03-02T09:00:00Z' });
+      await auditLog.record({ action: 'profiles.add', actor: { name: 'bob' }, timestamp: '2024-03-02T10:00:00Z' });
+      await auditLog.record({ action: 'config.write', outcome: 'failure', timestamp: '2024-03-02T10:00:30Z' });
+
+      const entry = await auditLog.findRecent(['config.', 'profiles.'], 2 * 60 * 1000, now);
+
+      expect(entry.actor.name).toBe('bob');
+      expect(await auditLog.findRecent(['updates.'], 2 * 60 * 1000, now)).toBeNull();
+    });
+  });
+
+  describe('middleware', () => {
+    const rules = [
+      { methods: ['POST'], path: /^\/api\/config\/validate$/, action: null },
+      { methods: ['POST'], path: /^\/api\/services\/(?<target>[^/]+)\/restart$/, action: 'services.restart' }
+    ];
+
+    test('should record a matched request with actor, target, redacted params and outcome', async () => {
+      const middleware = auditLog.middleware({ rules });
+      const req = {
+        method: 'POST',
+        originalUrl: '/api/services/kaspa-node/restart?force=1',
+        ip: '192.168.1.20',
+        body: { reason: 'stuck', password: 'hunter2' },
+        query: { force: '1' },
+        user: { username: 'alice', role: 'operator' }
+      };
+      const res = createResponse(500);
+      const next = jest.fn();
+      const recordSpy = jest.spyOn(auditLog, 'record');
+
+      middleware(req, res, next);
+      res.json({ error: 'Container not found' });
+      res.emit('finish');
+      await recordSpy.mock.results[0].value;
+
+      expect(next).toHaveBeenCalled();
+      const { entries } = await auditLog.query();
+      expect(entries[0]).toMatchObject({
+        action: 'services.restart',
+        target: 'kaspa-node',
+        route: '/api/services/kaspa-node/restart',
+        actor: { type: 'user', name: 'alice', role: 'operator' },
+        ip: '192.168.1.20',
+        outcome: 'failure',
+        status: 500,
+        error: 'Container not found',
+        params: { body: { reason: 'stuck', password: '[REDACTED]' }, query: { force: '1' } }
+      });
+    });
+
+    test('should redact the keys a rule names, such as a webhook channel\'s url and headers', async () => {
+      const middleware = auditLog.middleware({
+        rules: [{ methods: ['POST', 'PUT'], path: /^\/api\/notifications\/channels(\/(?<target>[^/]+))?$/, action: 'notifications.channels', redact: ['url', 'headers'] }]
+      });
+      const req = {
+        method: 'POST',
+        originalUrl: '/api/notifications/channels',
+        ip: '192.168.1.20',
+        body: {
+          name: 'Slack',
+          type: 'webhook',
+          config: { url: 'https://hooks.slack.com/services/T000/B000/secret', headers: { 'X-Auth': 'hook-secret' } }
+        },
+        query: {},
+        user: { username: 'alice', role: 'admin' }
+      };
+      const res = createResponse(201);
+      const recordSpy = jest.spyOn(auditLog, 'record');
+
+      middleware(req, res, jest.fn());
+      res.emit('finish');
+      await recordSpy.mock.results[0].value;
+
+      const { entries } = await auditLog.query();
+      expect(entries[0].params.body).toEqual({
+        name: 'Slack',
+        type: 'webhook',
+        config: { url: '[REDACTED]', headers: '[REDACTED]' }
+      });
+      expect(JSON.stringify(entries)).not.toContain('secret');
+    });
+
+    test('should record denied requests and token actors', async () => {
+      const middleware = auditLog.middleware({ rules });
+      const req = {
+        method: 'POST',
+        originalUrl: '/api/services/kaspa-node/restart',
+        body: {},
+        query: {},
+        user: { username: 'token:ci', tokenId: 'abc123abc123' }
+      };
+      const res = createResponse(403);
+      const recordSpy = jest.spyOn(auditLog, 'record');
+
+      middleware(req, res, jest.fn());
+      res.emit('finish');
+      const entry = await recordSpy.mock.results[0].value;
+
+      expect(entry.outcome).toBe('denied');
+      expect(entry.actor).toEqual({ type: 'token', id: 'abc123abc123', name: 'ci' });
+    });
+
+    test('should ignore reads, skipped routes and unmatched routes unless asked', () => {
+      const recordSpy = jest.spyOn(auditLog, 'record');
+      const run = (middleware, method, url) => {
+        const res = createResponse(200);
+        middleware({ method, originalUrl: url, body: {}, query: {} }, res, jest.fn());
+        res.emit('finish');
+      };
+
+      run(auditLog.middleware({ rules }), 'GET', '/api/services/kaspa-node/restart');
+      run(auditLog.middleware({ rules, recordUnmatched: true }), 'POST', '/api/config/validate');
+      run(auditLog.middleware({ rules }), 'POST', '/api/other');
+      expect(recordSpy).not.toHaveBeenCalled();
+
+      run(auditLog.middleware({ rules, recordUnmatched: true }), 'POST', '/api/other');
+      expect(recordSpy).toHaveBeenCalledWith(expect.objectContaining({ action: 'POST /api/other' }));
+    });
+  });
+});
+
+describe('redactParams', () => {
+  test('should redact secret keys at any depth and mnemonic-like values', () => {
+    const mnemonic = 'abandon ability able about above absent absorb abstract absurd abuse access accident';
+    const result = redactParams({
+      POSTGRES_PASSWORD: 'x',
+      smtp: { apiKey: 'y', host: 'mail' },
+      wallet: { phrase: mnemonic },
+      notes: 'short note'
+    });
+
+    expect(result).toEqual({
+      POSTGRES_PASSWORD: '[REDACTED]',
+      smtp: { apiKey: '[REDACTED]', host: 'mail' },
+      wallet: { phrase: '[REDACTED]' },
+      notes: 'short note'
+    });
+  });
+
+  test('should truncate long strings and arrays', () => {
+    const result = redactParams({ text: 'a'.repeat(600), list: new Array(60).fill(1) });
+    expect(result.text.length).toBe(501);
+    expect(result.list).toHaveLength(51);
+    expect(result.list[50]).toBe('[10 more]');
+  });
+});
+
+describe('resolveAuditAction', () => {
+  test('should use the first matching rule and decode the target', () => {
+    const rules = [
+      { methods: ['DELETE'], path: /^\/api\/backups\/(?<target>[^/]+)$/, action: 'backups.delete' },
+      { path: /^\/api\/backups/, action: 'backups.other', target: 'all' }
+    ];
+
+    expect(resolveAuditAction(rules, 'DELETE', '/api/backups/2024%2001')).toEqual({ action: 'backups.delete', target: '2024 01', redact: [] });
+    expect(resolveAuditAction(rules, 'POST', '/api/backups/x')).toEqual({ action: 'backups.other', target: 'all', redact: [] });
+    expect(resolveAuditAction(rules, 'POST', '/api/config')).toBeNull();
+  });
+});
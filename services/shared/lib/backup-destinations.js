@@ -0,0 +1,754 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { spawn } = require('child_process');
+const { pipeline } = require('stream/promises');
+const { validateEncryptionConfig, publicKeyFingerprint } = require('./backup-encryption');
+
+const DESTINATION_TYPES = {
+  local: 'Local or mounted directory (NAS, USB disk)',
+  ssh: 'SSH server, copied with rsync or sftp',
+  s3: 'S3-compatible object storage (AWS S3, MinIO, Backblaze B2, ...)'
+};
+
+const NAME_PATTERN = /^\w[\w.-]*$/;
+const HOST_PATTERN = /^[\w.-]+$/;
+const REMOTE_PATH_PATTERN = /^[\w./-]+$/;
+
+/**
+ * SHA-256 of a file, streamed
+ * @returns {Promise<string>} Hex digest
+ */
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// Run a command without a shell; rejects with the last stderr line on failure
+function run(command, args, { input = '', timeout = 30 * 60 * 1000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGTERM'), timeout);
+    child.stdout.on('data', data => { stdout += data; });
+    child.stderr.on('data', data => { stderr += data; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error.code === 'ENOENT' ? new Error(`${command} is not installed`) : error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve({ stdout, stderr });
+      } else {
+        reject(new Error(`${command} failed: ${stderr.trim().split('\n').pop() || `exit code ${code}`}`));
+      }
+    });
+    child.stdin.end(input);
+  });
+}
+
+function checkName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid backup name: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * A directory on this machine, typically a mounted NAS share or USB disk.
+ * Each file gets a `<name>.sha256` beside it in sha256sum format.
+ */
+class LocalDestination {
+  constructor(config) {
+    this.id = config.id;
+    this.root = config.path;
+  }
+
+  async putFile(filePath, name, { sha256 }) {
+    const target = path.join(this.root, checkName(name));
+    await fsp.mkdir(this.root, { recursive: true });
+    await fsp.copyFile(filePath, `${target}.partial`);
+    await fsp.rename(`${target}.partial`, target);
+    await fsp.writeFile(`${target}.sha256`, `${sha256}  ${name}\n`);
+  }
+
+  async getFile(name, filePath) {
+    await fsp.copyFile(path.join(this.root, checkName(name)), filePath);
+  }
+
+  async expectedChecksum(name) {
+    try {
+      return (await fsp.readFile(path.join(this.root, `${checkName(name)}.sha256`), 'utf8')).split(/\s+/)[0] || null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remoteChecksum(name) {
+    const target = path.join(this.root, checkName(name));
+    return { sha256: await sha256File(target), size: (await fsp.stat(target)).size };
+  }
+
+  async list() {
+    let entries;
+    try {
+      entries = await fsp.readdir(this.root);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const files = [];
+    for (const name of entries.filter(entry => NAME_PATTERN.test(entry) && !/\.(sha256|partial)$/.test(entry))) {
+      const stats = await fsp.stat(path.join(this.root, name));
+      if (stats.isFile()) {
+        files.push({ name, size: stats.size, modified: stats.mtime.toISOString() });
+      }
+    }
+    return files;
+  }
+
+  async remove(name) {
+    const target = path.join(this.root, checkName(name));
+    await fsp.rm(target, { force: true });
+    await fsp.rm(`${target}.sha256`, { force: true });
+  }
+
+  async test() {
+    await fsp.mkdir(this.root, { recursive: true });
+    const probe = path.join(this.root, `.kaspa-aio-probe-${process.pid}`);
+    await fsp.writeFile(probe, 'probe');
+    await fsp.rm(probe, { force: true });
+  }
+}
+
+/**
+ * A directory on an SSH server, copied with rsync (default) or sftp. Needs
+ * key-based login and a shell with sha256sum, which verifies uploads on the
+ * server itself. Host keys are trusted on first use.
+ */
+class SshDestination {
+  constructor(config) {
+    this.id = config.id;
+    this.host = config.host;
+    this.port = config.port || 22;
+    this.user = config.user;
+    this.root = config.path.replace(/\/+$/, '');
+    this.identityFile = config.identityFile || null;
+    this.transfer = config.transfer || 'rsync';
+  }
+
+  sshOptions(portFlag) {
+    return [
+      portFlag, String(this.port),
+      ...(this.identityFile ? ['-i', this.identityFile] : []),
+      '-o', 'BatchMode=yes',
+      '-o', 'StrictHostKeyChecking=accept-new'
+    ];
+  }
+
+  get target() {
+    return `${this.user}@${this.host}`;
+  }
+
+  remotePath(name) {
+    return `${this.root}/${checkName(name)}`;
+  }
+
+  // Paths are validated to plain characters, so single quotes are enough
+  exec(commandLine, input) {
+    return run('ssh', [...this.sshOptions('-p'), this.target, commandLine], { input });
+  }
+
+  async copy(from, to) {
+    if (this.transfer === 'sftp') {
+      const command = from.startsWith(':') ? `get "${from.slice(1)}" "${to}"` : `put "${from}" "${to.slice(1)}"`;
+      return run('sftp', ['-b', '-', ...this.sshOptions('-P'), this.target], { input: `${command}\n` });
+    }
+    const remote = (location) => (location.startsWith(':') ? `${this.target}${location}` : location);
+    return run('rsync', ['--partial', '--times', '-e', ['ssh', ...this.sshOptions('-p')].join(' '), remote(from), remote(to)]);
+  }
+
+  async putFile(filePath, name, { sha256 }) {
+    await this.exec(`mkdir -p '${this.root}'`);
+    await this.copy(filePath, `:${this.remotePath(name)}`);
+    await this.exec(`cat > '${this.remotePath(name)}.sha256'`, `${sha256}  ${name}\n`);
+  }
+
+  async getFile(name, filePath) {
+    await this.copy(`:${this.remotePath(name)}`, filePath);
+  }
+
+  async expectedChecksum(name) {
+    const { stdout } = await this.exec(`cat '${this.remotePath(name)}.sha256' 2>/dev/null || true`);
+    return stdout.split(/\s+/)[0] || null;
+  }
+
+  async remoteChecksum(name) {
+    const file = this.remotePath(name);
+    const { stdout } = await this.exec(`sha256sum '${file}' && wc -c < '${file}'`);
+    const [line, size] = stdout.trim().split('\n');
+    return { sha256: line.split(/\s+/)[0], size: parseInt(size, 10) };
+  }
+
+  async list() {
+    const { stdout } = await this.exec(
+      `cd '${this.root}' 2>/dev/null || exit 0; for f in *; do [ -f "$f" ] && printf '%s\\t%s\\t%s\\n' "$f" "$(wc -c < "$f")" "$(date -r "$f" +%s)"; done; true`
+    );
+    return stdout.trim().split('\n').filter(Boolean)
+      .map(line => line.split('\t'))
+      .filter(([name]) => NAME_PATTERN.test(name) && !/\.(sha256|partial)$/.test(name))
+      .map(([name, size, modified]) => ({ name, size: parseInt(size, 10), modified: new Date(parseInt(modified, 10) * 1000).toISOString() }));
+  }
+
+  async remove(name) {
+    await this.exec(`rm -f '${this.remotePath(name)}' '${this.remotePath(name)}.sha256'`);
+  }
+
+  async test() {
+    await this.exec(`mkdir -p '${this.root}' && test -w '${this.root}' && command -v sha256sum >/dev/null`);
+  }
+}
+
+// RFC 3986 encoding as SigV4 expects it
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ * @param {Object} request - { method, url (URL), headers, payloadHash }
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @param {Date} [date]
+ * @returns {Object} Headers to send, including Authorization
+ */
+function signS3Request({ method, url, headers = {}, payloadHash }, { accessKeyId, secretAccessKey, region }, date = new Date()) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+  const signed = { ...headers, host: url.host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+
+  const lower = {};
+  Object.entries(signed).forEach(([name, value]) => { lower[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' '); });
+  const headerNames = Object.keys(lower).sort();
+  const query = Array.from(url.searchParams.entries())
+    .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+    .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    query,
+    headerNames.map(name => `${name}:${lower[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+
+  let key = hmac(`AWS4${secretAccessKey}`, amzDate.slice(0, 8));
+  for (const part of [region, 's3', 'aws4_request']) {
+    key = hmac(key, part);
+  }
+  const signature = hmac(key, stringToSign).toString('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  };
+}
+
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * A bucket on S3-compatible storage. Uploads send the file's SHA-256 as the
+ * signed payload hash, so the server rejects a body that arrived altered;
+ * the hash is also kept as x-amz-meta-sha256 for verifying downloads.
+ * Single-request uploads limit objects to 5 GB.
+ */
+class S3Destination {
+  constructor(config) {
+    this.id = config.id;
+    this.endpoint = new URL(config.endpoint);
+    this.region = config.region || 'us-east-1';
+    this.bucket = config.bucket;
+    this.prefix = (config.prefix || '').replace(/^\/+|\/+$/g, '');
+    this.pathStyle = config.pathStyle !== false;
+    this.credentials = { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey, region: this.region };
+  }
+
+  key(name) {
+    return this.prefix ? `${this.prefix}/${checkName(name)}` : checkName(name);
+  }
+
+  url(key = null, query = {}) {
+    const url = new URL(this.endpoint.href);
+    const encodedKey = key ? `/${key.split('/').map(uriEncode).join('/')}` : '/';
+    if (this.pathStyle) {
+      url.pathname = `/${this.bucket}${key ? encodedKey : ''}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = encodedKey;
+    }
+    Object.entries(query).forEach(([name, value]) => url.searchParams.set(name, value));
+    return url;
+  }
+
+  request(method, url, { headers = {}, body = null, payloadHash = EMPTY_SHA256, stream = false } = {}) {
+    const signedHeaders = signS3Request({ method, url, headers, payloadHash }, this.credentials);
+    const transport = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers: signedHeaders, timeout: 60000 }, (res) => {
+        if (stream && res.statusCode < 300) {
+          resolve(res);
+          return;
+        }
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+          if (res.statusCode >= 300 && !(res.statusCode === 404 && method !== 'PUT')) {
+            const code = (text.match(/<Code>([^<]*)<\/Code>/) || [])[1] || res.statusCode;
+            const message = (text.match(/<Message>([^<]*)<\/Message>/) || [])[1] || res.statusMessage;
+            reject(new Error(`S3 ${method} failed: ${code} ${message}`));
+            return;
+          }
+          resolve({ status: res.statusCode, headers: res.headers, body: text });
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error('S3 request timed out')));
+      req.on('error', reject);
+
+      if (body && typeof body.pipe === 'function') {
+        pipeline(body, req).catch(reject);
+      } else {
+        req.end(body || undefined);
+      }
+    });
+  }
+
+  async putFile(filePath, name, { sha256, size }) {
+    if (size > 5 * 1024 * 1024 * 1024) {
+      throw new Error('Invalid request: S3 destinations take backups up to 5 GB');
+    }
+    await this.request('PUT', this.url(this.key(name)), {
+      headers: { 'content-length': size, 'content-type': 'application/octet-stream', 'x-amz-meta-sha256': sha256 },
+      body: fs.createReadStream(filePath),
+      payloadHash: sha256
+    });
+  }
+
+  async getFile(name, filePath) {
+    const res = await this.request('GET', this.url(this.key(name)), { stream: true });
+    if (res.status === 404) {
+      throw new Error(`Not found: ${name} on ${this.id}`);
+    }
+    await pipeline(res, fs.createWriteStream(filePath));
+  }
+
+  async head(name) {
+    const res = await this.request('HEAD', this.url(this.key(name)));
+    return res.status === 404 ? null : res.headers;
+  }
+
+  async expectedChecksum(name) {
+    const headers = await this.head(name);
+    return headers ? headers['x-amz-meta-sha256'] || null : null;
+  }
+
+  async remoteChecksum(name) {
+    const headers = await this.head(name);
+    if (!headers) {
+      throw new Error(`Not found: ${name} on ${this.id}`);
+    }
+    return { sha256: headers['x-amz-meta-sha256'] || null, size: parseInt(headers['content-length'], 10) };
+  }
+
+  async list() {
+    const files = [];
+    let token = null;
+    do {
+      const query = { 'list-type': '2', prefix: this.prefix ? `${this.prefix}/` : '' };
+      if (token) query['continuation-token'] = token;
+      const { body } = await this.request('GET', this.url(null, query));
+      for (const [, entry] of body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const key = (entry.match(/<Key>([^<]*)<\/Key>/) || [])[1] || '';
+        const name = key.slice(this.prefix ? this.prefix.length + 1 : 0);
+        if (NAME_PATTERN.test(name)) {
+          files.push({
+            name,
+            size: parseInt((entry.match(/<Size>(\d+)<\/Size>/) || [])[1], 10),
+            modified: (entry.match(/<LastModified>([^<]*)<\/LastModified>/) || [])[1] || null
+          });
+        }
+      }
+      token = /<IsTruncated>true<\/IsTruncated>/.test(body) ? (body.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/) || [])[1] : null;
+    } while (token);
+    return files;
+  }
+
+  async remove(name) {
+    await this.request('DELETE', this.url(this.key(name)));
+  }
+
+  async test() {
+    const probe = Buffer.from('probe');
+    const name = `kaspa-aio-probe-${process.pid}`;
+    await this.request('PUT', this.url(this.key(name)), {
+      headers: { 'content-length': probe.length },
+      body: probe,
+      payloadHash: crypto.createHash('sha256').update(probe).digest('hex')
+    });
+    await this.remove(name);
+  }
+}
+
+/**
+ * Create the destination plugin for a stored destination definition
+ */
+function createDestination(config) {
+  switch (config.type) {
+    case 'local': return new LocalDestination(config);
+    case 'ssh': return new SshDestination(config);
+    case 's3': return new S3Destination(config);
+    default: throw new Error(`Invalid backup destination: unknown type ${config.type}`);
+  }
+}
+
+/**
+ * Upload a file and check the copy at the destination against its SHA-256
+ * @returns {Promise<Object>} { destination, name, sha256, size, verifiedAt }
+ * @throws {Error} "Upload verification failed ..." when the copy differs
+ */
+async function uploadVerified(destination, filePath, name) {
+  const sha256 = await sha256File(filePath);
+  const { size } = await fsp.stat(filePath);
+
+  await destination.putFile(filePath, name, { sha256, size });
+  const remote = await destination.remoteChecksum(name);
+  if (remote.sha256 !== sha256 || remote.size !== size) {
+    throw new Error(`Upload verification failed for ${name} on ${destination.id}: expected ${sha256} (${size} bytes), found ${remote.sha256} (${remote.size} bytes)`);
+  }
+
+  return { destination: destination.id, name, sha256, size, verifiedAt: new Date().toISOString() };
+}
+
+/**
+ * Download a file and check it against the SHA-256 recorded at upload.
+ * Nothing is left at filePath when the check fails.
+ */
+async function downloadVerified(destination, name, filePath) {
+  const expected = await destination.expectedChecksum(name);
+  if (!expected) {
+    throw new Error(`Invalid remote backup: ${name} on ${destination.id} has no recorded checksum`);
+  }
+
+  const tmpPath = `${filePath}.${process.pid}.download`;
+  try {
+    await destination.getFile(name, tmpPath);
+    const actual = await sha256File(tmpPath);
+    if (actual !== expected) {
+      throw new Error(`Invalid remote backup: checksum mismatch for ${name} on ${destination.id}`);
+    }
+    await fsp.rename(tmpPath, filePath);
+  } catch (error) {
+    await fsp.rm(tmpPath, { force: true });
+    throw error;
+  }
+  return { destination: destination.id, name, sha256: expected };
+}
+
+const SECRET_FIELDS = ['secretAccessKey'];
+
+/**
+ * BackupDestinationStore - Backup encryption settings and off-site
+ * destinations shared by the Wizard and Dashboard
+ *
+ * Kept in one owner-only file (.kaspa-aio/backup-destinations.json) that
+ * both servers reload when it changes. Destinations can only be added once
+ * encryption is configured, so backups never leave the machine in the clear.
+ */
+class BackupDestinationStore {
+  /**
+   * @param {string} filePath - Path to the settings file
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error('Backup destination file path is required');
+    }
+
+    this.filePath = filePath;
+    this.data = { encryption: null, destinations: [] };
+    this.loadedMtime = null;
+  }
+
+  async load() {
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.data = { encryption: null, destinations: [] };
+        this.loadedMtime = null;
+        return this.data;
+      }
+      throw error;
+    }
+
+    if (this.loadedMtime === stats.mtimeMs) {
+      return this.data;
+    }
+
+    try {
+      const data = JSON.parse(await fsp.readFile(this.filePath, 'utf8'));
+      this.data = {
+        encryption: data.encryption || null,
+        destinations: Array.isArray(data.destinations) ? data.destinations : []
+      };
+      this.loadedMtime = stats.mtimeMs;
+    } catch (error) {
+      console.error('Error reading backup destinations:', error.message);
+    }
+    return this.data;
+  }
+
+  async save() {
+    await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fsp.writeFile(tmpPath, JSON.stringify(this.data, null, 2), { encoding: 'utf8', mode: 0o600 });
+    await fsp.rename(tmpPath, this.filePath);
+
+    const stats = await fsp.stat(this.filePath);
+    this.loadedMtime = stats.mtimeMs;
+  }
+
+  /**
+   * Encryption settings including the passphrase, or null when not configured
+   */
+  async getEncryption() {
+    await this.load();
+    return this.data.encryption;
+  }
+
+  /**
+   * Encryption settings without secrets
+   * @returns {Promise<Object>} { configured, mode, fingerprint, updatedAt }
+   */
+  async getEncryptionStatus() {
+    const encryption = await this.getEncryption();
+    return encryption
+      ? { configured: true, mode: encryption.mode, fingerprint: encryption.fingerprint || null, updatedAt: encryption.updatedAt }
+      : { configured: false, mode: null, fingerprint: null, updatedAt: null };
+  }
+
+  /**
+   * Set how backups are encrypted. With a public key only the matching
+   * private key, kept off this machine, can decrypt them.
+   * @throws {Error} "Invalid encryption settings: ..." on validation errors
+   */
+  async setEncryption(config) {
+    const errors = validateEncryptionConfig(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid encryption settings: ${errors.join(', ')}`);
+    }
+
+    await this.load();
+    this.data.encryption = config.mode === 'passphrase'
+      ? { mode: 'passphrase', passphrase: config.passphrase, updatedAt: new Date().toISOString() }
+      : { mode: 'public-key', publicKey: config.publicKey, fingerprint: publicKeyFingerprint(config.publicKey), updatedAt: new Date().toISOString() };
+    await this.save();
+    return this.getEncryptionStatus();
+  }
+
+  /**
+   * Validate a destination definition
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validate(definition) {
+    if (!definition || typeof definition !== 'object') {
+      return ['destination must be an object'];
+    }
+
+    const errors = [];
+    if (typeof definition.name !== 'string' || !definition.name.trim() || definition.name.length > 100) {
+      errors.push('name is required (max 100 characters)');
+    }
+    if (definition.autoUpload !== undefined && typeof definition.autoUpload !== 'boolean') {
+      errors.push('autoUpload must be true or false');
+    }
+
+    if (definition.type === 'local') {
+      if (typeof definition.path !== 'string' || !path.isAbsolute(definition.path)) {
+        errors.push('path must be an absolute directory path');
+      }
+    } else if (definition.type === 'ssh') {
+      if (typeof definition.host !== 'string' || !HOST_PATTERN.test(definition.host)) {
+        errors.push('host must be a host name or address');
+      }
+      if (typeof definition.user !== 'string' || !HOST_PATTERN.test(definition.user)) {
+        errors.push('user is required');
+      }
+      if (definition.port !== undefined && !(Number.isInteger(definition.port) && definition.port > 0 && definition.port < 65536)) {
+        errors.push('port must be between 1 and 65535');
+      }
+      if (typeof definition.path !== 'string' || !REMOTE_PATH_PATTERN.test(definition.path) || definition.path.split('/').includes('..')) {
+        errors.push('path must be a remote directory (letters, digits, ".", "_", "-" and "/")');
+      }
+      if (definition.identityFile !== undefined && definition.identityFile !== null
+        && (typeof definition.identityFile !== 'string' || !path.isAbsolute(definition.identityFile) || /\s/.test(definition.identityFile))) {
+        errors.push('identityFile must be an absolute path without spaces');
+      }
+      if (definition.transfer !== undefined && !['rsync', 'sftp'].includes(definition.transfer)) {
+        errors.push('transfer must be "rsync" or "sftp"');
+      }
+    } else if (definition.type === 's3') {
+      try {
+        if (!['http:', 'https:'].includes(new URL(definition.endpoint).protocol)) {
+          throw new Error('protocol');
+        }
+      } catch (error) {
+        errors.push('endpoint must be an http(s) URL');
+      }
+      if (typeof definition.bucket !== 'string' || !/^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(definition.bucket)) {
+        errors.push('bucket must be a valid bucket name');
+      }
+      if (definition.region !== undefined && (typeof definition.region !== 'string' || !/^[\w-]+$/.test(definition.region))) {
+        errors.push('region must be a region name');
+      }
+      if (definition.prefix !== undefined && (typeof definition.prefix !== 'string' || !/^[\w./-]*$/.test(definition.prefix))) {
+        errors.push('prefix may only contain letters, digits, ".", "_", "-" and "/"');
+      }
+      if (typeof definition.accessKeyId !== 'string' || !definition.accessKeyId) {
+        errors.push('accessKeyId is required');
+      }
+      if (typeof definition.secretAccessKey !== 'string' || !definition.secretAccessKey) {
+        errors.push('secretAccessKey is required');
+      }
+    } else {
+      errors.push(`type must be one of ${Object.keys(DESTINATION_TYPES).join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  toDefinition(definition) {
+    const fields = {
+      local: ['path'],
+      ssh: ['host', 'port', 'user', 'path', 'identityFile', 'transfer'],
+      s3: ['endpoint', 'region', 'bucket', 'prefix', 'pathStyle', 'accessKeyId', 'secretAccessKey']
+    }[definition.type];
+    const result = { type: definition.type, name: definition.name.trim(), autoUpload: definition.autoUpload === true };
+    fields.filter(field => definition[field] !== undefined).forEach(field => { result[field] = definition[field]; });
+    return result;
+  }
+
+  toPublic(record) {
+    const result = { ...record };
+    SECRET_FIELDS.filter(field => field in result).forEach(field => {
+      delete result[field];
+      result[`${field}Set`] = true;
+    });
+    return result;
+  }
+
+  /**
+   * List destinations without their secrets
+   */
+  async list() {
+    await this.load();
+    return this.data.destinations.map(record => this.toPublic(record));
+  }
+
+  /**
+   * A destination with its secrets, for building its plugin
+   * @throws {Error} "Not found: ..." when there is no such destination
+   */
+  async get(id) {
+    await this.load();
+    const record = this.data.destinations.find(entry => entry.id === id);
+    if (!record) {
+      throw new Error(`Not found: backup destination ${id}`);
+    }
+    return record;
+  }
+
+  /**
+   * Add a destination
+   * @param {Object} definition - { type, name, autoUpload?, ...type settings }
+   * @returns {Promise<Object>} Public record
+   */
+  async add(definition) {
+    await this.load();
+    if (!this.data.encryption) {
+      throw new Error('Invalid backup destination: set up backup encryption first, backups are never copied off this machine unencrypted');
+    }
+    const errors = this.validate(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid backup destination: ${errors.join(', ')}`);
+    }
+
+    const record = { id: crypto.randomBytes(6).toString('hex'), ...this.toDefinition(definition), createdAt: new Date().toISOString() };
+    this.data.destinations.push(record);
+    await this.save();
+    return this.toPublic(record);
+  }
+
+  /**
+   * Change a destination; secrets that are left out keep their stored value
+   */
+  async update(id, changes) {
+    const record = await this.get(id);
+    const merged = { ...record, ...changes, type: record.type };
+    SECRET_FIELDS.filter(field => !changes[field]).forEach(field => { merged[field] = record[field]; });
+    const errors = this.validate(merged);
+    if (errors.length > 0) {
+      throw new Error(`Invalid backup destination: ${errors.join(', ')}`);
+    }
+
+    const updated = { id, ...this.toDefinition(merged), createdAt: record.createdAt, updatedAt: new Date().toISOString() };
+    this.data.destinations = this.data.destinations.map(entry => (entry.id === id ? updated : entry));
+    await this.save();
+    return this.toPublic(updated);
+  }
+
+  async remove(id) {
+    const record = await this.get(id);
+    this.data.destinations = this.data.destinations.filter(entry => entry.id !== id);
+    await this.save();
+    return this.toPublic(record);
+  }
+
+  /**
+   * Plugin for a stored destination
+   */
+  async open(id) {
+    return createDestination(await this.get(id));
+  }
+}
+
+module.exports = {
+  BackupDestinationStore,
+  LocalDestination,
+  SshDestination,
+  S3Destination,
+  DESTINATION_TYPES,
+  createDestination,
+  uploadVerified,
+  downloadVerified,
+  signS3Request,
+  sha256File
+};
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// File layout: MAGIC | header length (uint32 BE) | header JSON | ciphertext | GCM tag.
+// The header is authenticated along with the ciphertext.
+const MAGIC = Buffer.from('KAIOENC1');
+const ALGORITHM = 'aes-256-gcm';
+const TAG_LENGTH = 16;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const MIN_PASSPHRASE_LENGTH = 12;
+
+/**
+ * Validate backup encryption settings
+ * @param {Object} config - { mode: 'passphrase', passphrase } or { mode: 'public-key', publicKey (PEM) }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateEncryptionConfig(config) {
+  if (!config || typeof config !== 'object') {
+    return ['encryption settings must be an object'];
+  }
+
+  if (config.mode === 'passphrase') {
+    if (typeof config.passphrase !== 'string' || config.passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      return [`passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`];
+    }
+    return [];
+  }
+
+  if (config.mode === 'public-key') {
+    try {
+      const key = crypto.createPublicKey(config.publicKey);
+      if (key.asymmetricKeyType !== 'rsa') {
+        return ['publicKey must be an RSA key'];
+      }
+      if (key.asymmetricKeyDetails.modulusLength < 2048) {
+        return ['publicKey must be at least 2048 bits'];
+      }
+    } catch (error) {
+      return ['publicKey must be a PEM encoded public key'];
+    }
+    return [];
+  }
+
+  return ['mode must be "passphrase" or "public-key"'];
+}
+
+/**
+ * SHA-256 of a public key's DER encoding, shown so users can tell which
+ * private key a backup needs
+ */
+function publicKeyFingerprint(publicKey) {
+  const der = crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+  return `SHA256:${crypto.createHash('sha256').update(der).digest('base64').replace(/=+$/, '')}`;
+}
+
+// Always the fixed parameters: the header is only authenticated after the
+// key is derived, so its cost parameters must not decide the work done
+function deriveKey(passphrase, kdf) {
+  return scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), 32, {
+    ...SCRYPT_PARAMS,
+    maxmem: 128 * SCRYPT_PARAMS.N * SCRYPT_PARAMS.r * 2
+  });
+}
+
+// Decoded length of a base64 string, or -1 for anything else
+function base64Length(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(value) ? Buffer.from(value, 'base64').length : -1;
+}
+
+/**
+ * Whether a parsed header has everything decryptFile reads, as encryptFile writes it
+ */
+function isValidHeader(header) {
+  if (!header || typeof header !== 'object' || header.version !== 1 || header.algorithm !== ALGORITHM) {
+    return false;
+  }
+  if (base64Length(header.iv) !== 12) {
+    return false;
+  }
+  if (header.mode === 'passphrase') {
+    const { kdf } = header;
+    return Boolean(kdf) && kdf.name === 'scrypt' && base64Length(kdf.salt) >= 16 &&
+      Object.entries(SCRYPT_PARAMS).every(([name, value]) => kdf[name] === value);
+  }
+  if (header.mode === 'public-key') {
+    return base64Length(header.wrappedKey) > 0 && typeof header.fingerprint === 'string';
+  }
+  return false;
+}
+
+/**
+ * Encrypt a file. The output is written beside the target and renamed into
+ * place, so a partial file is never left under the final name.
+ * @param {string} inputPath - Plaintext file
+ * @param {string} outputPath - Encrypted file to create
+ * @param {Object} config - Encryption settings (see validateEncryptionConfig)
+ * @returns {Promise<Object>} The file header ({ mode, fingerprint? } among others)
+ */
+async function encryptFile(inputPath, outputPath, config) {
+  const errors = validateEncryptionConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid encryption settings: ${errors.join(', ')}`);
+  }
+
+  const iv = crypto.randomBytes(12);
+  const header = { version: 1, algorithm: ALGORITHM, mode: config.mode, iv: iv.toString('base64') };
+  let key;
+  if (config.mode === 'passphrase') {
+    header.kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS };
+    key = await deriveKey(config.passphrase, header.kdf);
+  } else {
+    key = crypto.randomBytes(32);
+    header.fingerprint = publicKeyFingerprint(config.publicKey);
+    header.wrappedKey = crypto.publicEncrypt({
+      key: config.publicKey,
+      padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+      oaepHash: 'sha256'
+    }, key).toString('base64');
+  }
+
+  const headerBytes = Buffer.from(JSON.stringify(header));
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(headerBytes.length);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(headerBytes);
+  const appendTag = new Transform({
+    transform(chunk, encoding, callback) {
+      callback(null, chunk);
+    },
+    flush(callback) {
+      this.push(cipher.getAuthTag());
+      callback();
+    }
+  });
+
+  const tmpPath = `${outputPath}.${process.pid}.tmp`;
+  try {
+    await fsp.writeFile(tmpPath, Buffer.concat([MAGIC, length, headerBytes]), { mode: 0o600 });
+    await pipeline(fs.createReadStream(inputPath), cipher, appendTag, fs.createWriteStream(tmpPath, { flags: 'a' }));
+    await fsp.rename(tmpPath, outputPath);
+  } catch (error) {
+    await fsp.unlink(tmpPath).catch(() => {});
+    throw error;
+  }
+
+  return { version: header.version, algorithm: header.algorithm, mode: header.mode, fingerprint: header.fingerprint || null };
+}
+
+/**
+ * Read the header of an encrypted backup
+ * @returns {Promise<Object|null>} Header, or null when the file is not an encrypted backup
+ */
+async function readEncryptionHeader(filePath) {
+  const handle = await fsp.open(filePath, 'r');
+  try {
+    const prefix = Buffer.alloc(MAGIC.length + 4);
+    const { bytesRead } = await handle.read(prefix, 0, prefix.length, 0);
+    if (bytesRead < prefix.length || !prefix.subarray(0, MAGIC.length).equals(MAGIC)) {
+      return null;
+    }
+
+    const headerLength = prefix.readUInt32BE(MAGIC.length);
+    if (headerLength > 64 * 1024) {
+      return null;
+    }
+    const headerBytes = Buffer.alloc(headerLength);
+    await handle.read(headerBytes, 0, headerLength, prefix.length);
+    const header = JSON.parse(headerBytes.toString('utf8'));
+    if (!isValidHeader(header)) {
+      return null;
+    }
+    Object.defineProperty(header, 'bytes', { value: headerBytes, enumerable: false });
+    return header;
+  } catch (error) {
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+async function isEncryptedFile(filePath) {
+  return (await readEncryptionHeader(filePath)) !== null;
+}
+
+/**
+ * Decrypt a file written by encryptFile. Nothing is left at outputPath
+ * unless the whole file authenticates.
+ * @param {string} inputPath - Encrypted file
+ * @param {string} outputPath - Plaintext file to create
+ * @param {Object} credentials - { passphrase } or { privateKey (PEM), privateKeyPassphrase? }
+ */
+async function decryptFile(inputPath, outputPath, credentials = {}) {
+  const header = await readEncryptionHeader(inputPath);
+  if (!header) {
+    throw new Error('Invalid encrypted backup: unrecognised file format');
+  }
+
+  let key;
+  if (header.mode === 'passphrase') {
+    if (!credentials.passphrase) {
+      throw new Error('Invalid request: the backup passphrase is required to decrypt this backup');
+    }
+    key = await deriveKey(credentials.passphrase, header.kdf);
+  } else {
+    if (!credentials.privateKey) {
+      throw new Error(`Invalid request: the private key for ${header.fingerprint} is required to decrypt this backup`);
+    }
+    try {
+      key = crypto.privateDecrypt({
+        key: credentials.privateKey,
+        passphrase: credentials.privateKeyPassphrase,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: 'sha256'
+      }, Buffer.from(header.wrappedKey, 'base64'));
+    } catch (error) {
+      throw new Error(`Invalid private key: it does not match ${header.fingerprint}`);
+    }
+  }
+
+  const { size } = await fsp.stat(inputPath);
+  const start = MAGIC.length + 4 + header.bytes.length;
+  const tag = Buffer.alloc(TAG_LENGTH);
+  const handle = await fsp.open(inputPath, 'r');
+  try {
+    await handle.read(tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+  } finally {
+    await handle.close();
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(header.iv, 'base64'));
+  decipher.setAAD(header.bytes);
+  decipher.setAuthTag(tag);
+
+  const tmpPath = `${outputPath}.${process.pid}.tmp`;
+  try {
+    const input = size - TAG_LENGTH > start
+      ? fs.createReadStream(inputPath, { start, end: size - TAG_LENGTH - 1 })
+      : Readable.from([]);
+    await pipeline(input, decipher, fs.createWriteStream(tmpPath, { mode: 0o600 }));
+    await fsp.rename(tmpPath, outputPath);
+  } catch (error) {
+    await fsp.unlink(tmpPath).catch(() => {});
+    if (/authenticate/.test(error.message)) {
+      throw new Error(header.mode === 'passphrase'
+        ? 'Invalid passphrase, or the backup is corrupted'
+        : 'Invalid encrypted backup: the file is corrupted');
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  encryptFile,
+  decryptFile,
+  isEncryptedFile,
+  readEncryptionHeader,
+  validateEncryptionConfig,
+  publicKeyFingerprint,
+  MIN_PASSPHRASE_LENGTH
+};
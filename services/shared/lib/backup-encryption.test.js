@@ -0,0 +1,110 @@
+const {
+  encryptFile,
+  decryptFile,
+  isEncryptedFile,
+  readEncryptionHeader,
+  validateEncryptionConfig
+} = require('./backup-encryption.js');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+describe('backup encryption', () => {
+  let tmpDir;
+  let plainPath;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'backup-encryption-'));
+    plainPath = path.join(tmpDir, 'backup.tar.gz');
+    await fs.writeFile(plainPath, 'POSTGRES_PASSWORD=hunter2\n'.repeat(5000));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should round trip with a passphrase and hide the plaintext', async () => {
+    const header = await encryptFile(plainPath, `${plainPath}.enc`, { mode: 'passphrase', passphrase: 'correct horse battery' });
+
+    expect(header).toMatchObject({ mode: 'passphrase', algorithm: 'aes-256-gcm', fingerprint: null });
+    expect(await fs.readFile(`${plainPath}.enc`, 'utf8')).not.toContain('hunter2');
+    expect((await fs.stat(`${plainPath}.enc`)).mode & 0o777).toBe(0o600);
+    expect(await isEncryptedFile(`${plainPath}.enc`)).toBe(true);
+    expect(await isEncryptedFile(plainPath)).toBe(false);
+
+    await decryptFile(`${plainPath}.enc`, path.join(tmpDir, 'out'), { passphrase: 'correct horse battery' });
+    expect(await fs.readFile(path.join(tmpDir, 'out'))).toEqual(await fs.readFile(plainPath));
+  });
+
+  test('should reject a wrong passphrase or tampering without leaving output', async () => {
+    await encryptFile(plainPath, `${plainPath}.enc`, { mode: 'passphrase', passphrase: 'correct horse battery' });
+    const out = path.join(tmpDir, 'out');
+
+    await expect(decryptFile(`${plainPath}.enc`, out, { passphrase: 'wrong horse battery' }))
+      .rejects.toThrow('Invalid passphrase, or the backup is corrupted');
+    await expect(decryptFile(`${plainPath}.enc`, out, {})).rejects.toThrow(/^Invalid request: the backup passphrase is required/);
+
+    const bytes = await fs.readFile(`${plainPath}.enc`);
+    bytes[bytes.length - 100] ^= 1;
+    await fs.writeFile(`${plainPath}.enc`, bytes);
+    await expect(decryptFile(`${plainPath}.enc`, out, { passphrase: 'correct horse battery' })).rejects.toThrow(/^Invalid passphrase/);
+
+    expect((await fs.readdir(tmpDir)).sort()).toEqual(['backup.tar.gz', 'backup.tar.gz.enc']);
+  });
+
+  test('should encrypt to a public key that only the private key opens', async () => {
+    const keyOptions = {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    };
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', keyOptions);
+    const other = crypto.generateKeyPairSync('rsa', keyOptions);
+
+    const header = await encryptFile(plainPath, `${plainPath}.enc`, { mode: 'public-key', publicKey });
+    expect(header.fingerprint).toMatch(/^SHA256:[A-Za-z0-9+/]{43}$/);
+    expect((await readEncryptionHeader(`${plainPath}.enc`)).fingerprint).toBe(header.fingerprint);
+
+    await expect(decryptFile(`${plainPath}.enc`, path.join(tmpDir, 'out'), { privateKey: other.privateKey }))
+      .rejects.toThrow(`Invalid private key: it does not match ${header.fingerprint}`);
+    await decryptFile(`${plainPath}.enc`, path.join(tmpDir, 'out'), { privateKey });
+    expect(await fs.readFile(path.join(tmpDir, 'out'))).toEqual(await fs.readFile(plainPath));
+  });
+
+  test('should refuse headers with unknown scrypt costs or missing fields before deriving a key', async () => {
+    await encryptFile(plainPath, `${plainPath}.enc`, { mode: 'passphrase', passphrase: 'correct horse battery' });
+    const bytes = await fs.readFile(`${plainPath}.enc`);
+    const headerLength = bytes.readUInt32BE(8);
+    const header = JSON.parse(bytes.subarray(12, 12 + headerLength).toString('utf8'));
+    const rewrite = async (changes) => {
+      const headerBytes = Buffer.from(JSON.stringify({ ...header, ...changes }));
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(headerBytes.length);
+      const file = path.join(tmpDir, 'forged.enc');
+      await fs.writeFile(file, Buffer.concat([bytes.subarray(0, 8), length, headerBytes, bytes.subarray(12 + headerLength)]));
+      return file;
+    };
+    const out = path.join(tmpDir, 'out');
+
+    for (const changes of [
+      { kdf: { ...header.kdf, N: 2 ** 24, r: 64 } },
+      { kdf: undefined },
+      { iv: undefined },
+      { iv: 'not base64!' },
+      { mode: 'public-key' }
+    ]) {
+      const forged = await rewrite(changes);
+      expect(await readEncryptionHeader(forged)).toBeNull();
+      await expect(decryptFile(forged, out, { passphrase: 'correct horse battery' }))
+        .rejects.toThrow('Invalid encrypted backup: unrecognised file format');
+    }
+    await expect(fs.access(out)).rejects.toThrow();
+  });
+
+  test('should validate settings', () => {
+    expect(validateEncryptionConfig({ mode: 'passphrase', passphrase: 'short' })).toEqual(['passphrase must be at least 12 characters']);
+    expect(validateEncryptionConfig({ mode: 'public-key', publicKey: 'nope' })).toEqual(['publicKey must be a PEM encoded public key']);
+    expect(validateEncryptionConfig({ mode: 'none' })).toEqual(['mode must be "passphrase" or "public-key"']);
+  });
+});
@@ -11,13 +11,23 @@ const PortFallbackService = require('./port-fallback.js');
 const { ServiceDetector } = require('./service-detector.js');
 const CrossLaunchNavigator = require('./cross-launch.js');
 const ErrorDisplay = require('./error-display.js');
+const { ApiTokenStore, API_TOKEN_SCOPES } = require('./api-tokens.js');
+const { AuditLog } = require('./audit-log.js');
+const { SyncProgressTracker } = require('./sync-progress.js');
+const { BackupDestinationStore, DESTINATION_TYPES } = require('./backup-destinations.js');
 
 module.exports = {
   SharedStateManager,
   PortFallbackService,
   ServiceDetector,
   CrossLaunchNavigator,
-  ErrorDisplay
+  ErrorDisplay,
+  ApiTokenStore,
+  API_TOKEN_SCOPES,
+  AuditLog,
+  SyncProgressTracker,
+  BackupDestinationStore,
+  DESTINATION_TYPES
 };
 
 // Version information
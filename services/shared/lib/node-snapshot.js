@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { sha256File } = require('./backup-destinations');
+
+// Snapshot layout: <id>.tar.gz (the node data), <id>.sha256 (sha256sum list of
+// every file in it, checked after an import) and <id>.json (the manifest)
+const SNAPSHOT_FORMAT = 1;
+const SNAPSHOT_ID_PATTERN = /^snapshot_\d+_[a-z0-9]+$/;
+
+// Image the data is read and written through, so the host needs no tar
+const HELPER_IMAGE = 'alpine';
+
+// Data directory of kaspa-node in the compose file the wizard generates
+const GENERATED_DATA_DIR = '/app/data';
+
+// Failed files listed in an import error
+const REPORTED_FAILURES = 5;
+
+// Run docker without a shell. stdout is collected, or piped through `output`;
+// `input` is piped to stdin. Rejects with the last stderr line on failure.
+async function docker(args, { input = null, output = null, stdin = '' } = {}) {
+  const child = spawn('docker', args, { stdio: ['pipe', 'pipe', 'pipe'] });
+  const stdout = [];
+  let stderr = '';
+  child.stderr.on('data', data => { stderr = (stderr + data).slice(-2000); });
+
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', error => reject(error.code === 'ENOENT' ? new Error('docker is not installed') : error));
+    child.on('close', resolve);
+  });
+  const piped = output
+    ? pipeline(child.stdout, ...output).catch(error => { child.kill(); throw error; })
+    : new Promise(resolve => { child.stdout.on('data', chunk => stdout.push(chunk)); child.stdout.on('end', resolve); });
+  const fed = input
+    ? pipeline(input, child.stdin).catch(error => {
+      // A process that fails early stops reading; its exit code tells why
+      if (error.code !== 'EPIPE' && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        child.kill();
+        throw error;
+      }
+    })
+    : Promise.resolve(child.stdin.end(stdin));
+
+  const [code] = await Promise.all([exited, piped, fed]);
+  if (code !== 0) {
+    throw new Error(`docker ${args[0]} failed: ${stderr.trim().split('\n').pop() || `exit code ${code}`}`);
+  }
+  return Buffer.concat(stdout).toString();
+}
+
+// Passes chunks through unchanged, showing each to onChunk
+function tap(onChunk) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      onChunk(chunk);
+      callback(null, chunk);
+    }
+  });
+}
+
+function checkId(id) {
+  if (typeof id !== 'string' || !SNAPSHOT_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid snapshot id: ${id}`);
+  }
+}
+
+function snapshotFiles(dir, id) {
+  checkId(id);
+  return {
+    archive: path.join(dir, `${id}.tar.gz`),
+    checksums: path.join(dir, `${id}.sha256`),
+    manifest: path.join(dir, `${id}.json`)
+  };
+}
+
+/**
+ * Where the node keeps its data: the kaspa-data volume of the project's
+ * compose file (prefixed with the project name) or the host directory the
+ * wizard's generated compose file mounts at /app/data. Either works as the
+ * source of `docker run -v`.
+ * @returns {Promise<{name: string, type: string, destination: string}>}
+ */
+async function findDataVolume(container = 'kaspa-node') {
+  let mounts;
+  try {
+    mounts = JSON.parse(await docker(['inspect', '--format', '{{json .Mounts}}', container]));
+  } catch (error) {
+    throw new Error(`Not found: container ${container} (${error.message})`);
+  }
+  const mount = (mounts || []).find(entry => (entry.Type === 'volume'
+    ? /(^|_)kaspa-data$/.test(entry.Name)
+    : entry.Destination === GENERATED_DATA_DIR));
+  if (!mount) {
+    throw new Error(`Not found: ${container} has no node data mount`);
+  }
+  return { name: mount.Type === 'volume' ? mount.Name : mount.Source, type: mount.Type, destination: mount.Destination };
+}
+
+/**
+ * Network family as the wizard names it: mainnet or testnet (any suffix)
+ */
+function normalizeNetwork(network) {
+  const name = String(network || '').toLowerCase().replace(/^kaspa-/, '');
+  return name.startsWith('testnet') ? 'testnet' : name;
+}
+
+function parseVersion(version) {
+  const match = /(\d+)\.(\d+)\.(\d+)/.exec(String(version || ''));
+  return match ? match.slice(1).map(Number) : null;
+}
+
+/**
+ * Whether a node can start from a snapshot. The database layout of kaspad
+ * can change between minor versions, so the node must run the snapshot's
+ * major.minor version at the same or a newer patch level.
+ * @param {Object} manifest - Snapshot manifest
+ * @param {Object} target - { network, nodeVersion } of the node that will use it
+ * @returns {{compatible: boolean, problems: string[], warnings: string[]}}
+ */
+function checkCompatibility(manifest, { network, nodeVersion } = {}) {
+  const problems = [];
+  const warnings = [];
+
+  if (manifest.format !== SNAPSHOT_FORMAT) {
+    problems.push(`snapshot format ${manifest.format} is not supported`);
+  }
+  if (normalizeNetwork(manifest.network) !== normalizeNetwork(network)) {
+    problems.push(`the snapshot is of ${manifest.network}, this installation is set up for ${network || 'an unknown network'}`);
+  }
+
+  const snapshot = parseVersion(manifest.nodeVersion);
+  const node = parseVersion(nodeVersion);
+  if (!snapshot || !node) {
+    warnings.push(`could not compare node versions (snapshot ${manifest.nodeVersion || 'unknown'}, node ${nodeVersion || 'unknown'})`);
+  } else if (snapshot[0] !== node[0] || snapshot[1] !== node[1]) {
+    problems.push(`the snapshot was taken with kaspad ${manifest.nodeVersion}, the node runs ${nodeVersion}`);
+  } else if (snapshot[2] > node[2]) {
+    problems.push(`the snapshot was taken with a newer kaspad (${manifest.nodeVersion}) than the node runs (${nodeVersion})`);
+  }
+
+  if (!manifest.synced) {
+    warnings.push('the node was not synced when the snapshot was taken; it finishes syncing after the import');
+  }
+
+  return { compatible: problems.length === 0, problems, warnings };
+}
+
+/**
+ * Manifest of one snapshot
+ */
+async function readSnapshot(dir, id) {
+  const files = snapshotFiles(dir, id);
+  try {
+    return JSON.parse(await fsp.readFile(files.manifest, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Not found: snapshot ${id}`);
+    }
+    throw new Error(`Invalid snapshot: ${id} has an unreadable manifest (${error.message})`);
+  }
+}
+
+/**
+ * Snapshot manifests in a directory, newest first
+ */
+async function listSnapshots(dir) {
+  let names;
+  try {
+    names = await fsp.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const snapshots = [];
+  for (const name of names) {
+    const id = name.replace(/\.json$/, '');
+    if (id === name || !SNAPSHOT_ID_PATTERN.test(id)) continue;
+    try {
+      snapshots.push(await readSnapshot(dir, id));
+    } catch (error) {
+      console.warn(`Skipping snapshot ${id}:`, error.message);
+    }
+  }
+  return snapshots.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+async function deleteSnapshot(dir, id) {
+  const files = snapshotFiles(dir, id);
+  await readSnapshot(dir, id);
+  for (const file of [files.archive, files.checksums, files.manifest]) {
+    await fsp.unlink(file).catch(() => {});
+  }
+  return { deleted: id };
+}
+
+/**
+ * Archive the node's data volume. The node must not be writing to it (stop
+ * or pause it first).
+ * @param {string} volume - Docker volume name or host directory (see findDataVolume)
+ * @param {string} dir - Directory the snapshot files are written to
+ * @param {Object} info - { network, nodeVersion, daaScore, synced } for the manifest
+ * @param {Function} [onProgress] - ({ phase, bytes, bytesTotal }) as files are checksummed and archived
+ * @returns {Promise<Object>} The manifest
+ */
+async function exportSnapshot(volume, dir, info, onProgress = () => {}) {
+  const id = `snapshot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const files = snapshotFiles(dir, id);
+  const readOnly = ['run', '--rm', '-v', `${volume}:/data:ro`, HELPER_IMAGE];
+  await fsp.mkdir(dir, { recursive: true });
+
+  try {
+    const [usage] = (await docker([...readOnly, 'du', '-sk', '/data'])).split(/\s+/);
+    const bytesTotal = (parseInt(usage, 10) || 0) * 1024;
+    onProgress({ phase: 'checksums', bytes: 0, bytesTotal });
+
+    const sums = (await docker([...readOnly, 'sh', '-c', 'cd /data && find . -type f -exec sha256sum {} +']))
+      .split('\n').filter(Boolean).sort().join('\n') + '\n';
+    await fsp.writeFile(files.checksums, sums, { mode: 0o600 });
+
+    // tar output is counted before compression, so progress follows du
+    let bytes = 0;
+    const hash = crypto.createHash('sha256');
+    await docker([...readOnly, 'tar', 'cf', '-', '-C', '/data', '.'], {
+      output: [
+        tap(chunk => {
+          bytes += chunk.length;
+          onProgress({ phase: 'archive', bytes, bytesTotal });
+        }),
+        zlib.createGzip({ level: 1 }), // mostly already-compressed RocksDB files
+        tap(chunk => hash.update(chunk)),
+        fs.createWriteStream(`${files.archive}.partial`, { mode: 0o600 })
+      ]
+    });
+    await fsp.rename(`${files.archive}.partial`, files.archive);
+
+    const manifest = {
+      format: SNAPSHOT_FORMAT,
+      id,
+      createdAt: new Date().toISOString(),
+      network: info.network,
+      nodeVersion: info.nodeVersion,
+      daaScore: info.daaScore === undefined || info.daaScore === null ? null : String(info.daaScore),
+      synced: Boolean(info.synced),
+      dataBytes: bytesTotal,
+      fileCount: sums.split('\n').filter(Boolean).length,
+      archive: { file: path.basename(files.archive), size: (await fsp.stat(files.archive)).size, sha256: hash.digest('hex') },
+      checksums: { file: path.basename(files.checksums), sha256: crypto.createHash('sha256').update(sums).digest('hex') }
+    };
+    await fsp.writeFile(files.manifest, JSON.stringify(manifest, null, 2), { mode: 0o600 });
+    return manifest;
+  } catch (error) {
+    for (const file of [`${files.archive}.partial`, files.archive, files.checksums]) {
+      await fsp.unlink(file).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+/**
+ * Unpack a snapshot into the node's data volume or directory, after checking the archive
+ * against its manifest, then check every file against the checksum list.
+ * A volume that fails the check is emptied so the node never starts from it.
+ * The node must not be running.
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Empty a volume that already holds data (default: refuse)
+ * @param {Function} [options.onProgress] - ({ phase, bytes, bytesTotal })
+ * @returns {Promise<Object>} The manifest
+ */
+async function importSnapshot(volume, dir, id, { replace = false, onProgress = () => {} } = {}) {
+  const files = snapshotFiles(dir, id);
+  const manifest = await readSnapshot(dir, id);
+  const writable = ['run', '--rm', '-i', '-v', `${volume}:/data`, HELPER_IMAGE];
+  const empty = () => docker([...writable, 'find', '/data', '-mindepth', '1', '-delete']);
+
+  onProgress({ phase: 'verify', bytes: 0, bytesTotal: manifest.archive.size });
+  if (await sha256File(files.archive) !== manifest.archive.sha256) {
+    throw new Error(`Invalid snapshot: ${id} archive does not match its checksum`);
+  }
+  const sums = await fsp.readFile(files.checksums, 'utf8');
+  if (crypto.createHash('sha256').update(sums).digest('hex') !== manifest.checksums.sha256) {
+    throw new Error(`Invalid snapshot: ${id} checksum list does not match the manifest`);
+  }
+
+  if ((await docker([...writable, 'ls', '-A', '/data'])).trim()) {
+    if (!replace) {
+      throw new Error(`Invalid request: volume ${volume} already holds node data`);
+    }
+    await empty();
+  }
+
+  let bytes = 0;
+  await docker([...writable, 'tar', 'xzf', '-', '-C', '/data'], {
+    input: fs.createReadStream(files.archive).pipe(tap(chunk => {
+      bytes += chunk.length;
+      onProgress({ phase: 'extract', bytes, bytesTotal: manifest.archive.size });
+    }))
+  });
+
+  onProgress({ phase: 'check', bytes: 0, bytesTotal: manifest.dataBytes });
+  const failures = (await docker([...writable, 'sh', '-c', 'cd /data && sha256sum -c - 2>&1 | grep -v ": OK$"; true'], { stdin: sums }))
+    .split('\n').filter(line => line && !line.startsWith('sha256sum: WARNING'));
+  if (failures.length > 0) {
+    await empty().catch(() => {});
+    throw new Error(`Invalid snapshot: ${failures.length} file(s) did not unpack intact (${failures.slice(0, REPORTED_FAILURES).join('; ')})`);
+  }
+  return manifest;
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT,
+  findDataVolume,
+  normalizeNetwork,
+  checkCompatibility,
+  readSnapshot,
+  listSnapshots,
+  deleteSnapshot,
+  exportSnapshot,
+  importSnapshot
+};
@@ -0,0 +1,224 @@
+jest.mock('child_process', () => ({ spawn: jest.fn() }));
+
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  findDataVolume,
+  normalizeNetwork,
+  checkCompatibility,
+  listSnapshots,
+  readSnapshot,
+  deleteSnapshot,
+  exportSnapshot,
+  importSnapshot
+} = require('./node-snapshot.js');
+
+// Stands in for `tar cf -` of the volume; the fake only moves bytes around
+const VOLUME_TAR = crypto.randomBytes(48 * 1024);
+const SUMS = `${'c'.repeat(64)}  ./datadir/consensus/000001.sst\n${'d'.repeat(64)}  ./datadir/meta/CURRENT\n`;
+
+/**
+ * Answer docker commands with handler(args, stdin) -> { stdout, stderr, code }
+ */
+function fakeDocker(handler) {
+  const calls = [];
+  spawn.mockImplementation((command, args) => {
+    const child = new EventEmitter();
+    child.stdout = new PassThrough();
+    child.stderr = new PassThrough();
+    child.stdin = new PassThrough();
+    child.kill = jest.fn();
+    calls.push(args);
+
+    const input = [];
+    child.stdin.on('data', chunk => input.push(chunk));
+    child.stdin.on('end', async () => {
+      const { stdout = '', stderr = '', code = 0 } = (await handler(args, Buffer.concat(input))) || {};
+      child.stdout.on('end', () => setImmediate(() => child.emit('close', code)));
+      child.stderr.end(stderr);
+      child.stdout.end(stdout);
+    });
+    return child;
+  });
+  return calls;
+}
+
+describe('node snapshots', () => {
+  let tmpDir;
+  let volume; // what the fake volume holds: { tar, empty, failures }
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'node-snapshot-'));
+    volume = { tar: VOLUME_TAR, empty: true, failures: '' };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const volumeDocker = () => fakeDocker((args, stdin) => {
+    const command = args.slice(args.indexOf('alpine') + 1);
+    if (command[0] === 'du') return { stdout: `4096\t/data\n` };
+    if (command[0] === 'tar' && command[1] === 'cf') return { stdout: volume.tar };
+    if (command[0] === 'tar' && command[1] === 'xzf') {
+      volume.tar = zlib.gunzipSync(stdin);
+      volume.empty = false;
+      return {};
+    }
+    if (command[0] === 'ls') return { stdout: volume.empty ? '' : 'datadir\n' };
+    if (command[0] === 'find' && command.includes('-delete')) {
+      volume.empty = true;
+      return {};
+    }
+    if (command[0] === 'sh' && command[2].includes('sha256sum -c')) {
+      expect(stdin.toString()).toBe(SUMS);
+      return { stdout: volume.failures };
+    }
+    if (command[0] === 'sh') return { stdout: SUMS.split('\n').reverse().join('\n') };
+    throw new Error(`Unexpected docker ${args.join(' ')}`);
+  });
+
+  const info = { network: 'mainnet', nodeVersion: '1.0.1', daaScore: 123456789, synced: true };
+
+  test('should find the kaspa-data volume under its compose project name, or the generated bind mount', async () => {
+    fakeDocker(() => ({
+      stdout: JSON.stringify([
+        { Type: 'bind', Source: '/etc/localtime', Destination: '/etc/localtime' },
+        { Type: 'volume', Name: 'kaspa-aio_kaspa-data', Destination: '/data/kaspa' }
+      ])
+    }));
+    await expect(findDataVolume()).resolves.toEqual({ name: 'kaspa-aio_kaspa-data', type: 'volume', destination: '/data/kaspa' });
+
+    fakeDocker(() => ({
+      stdout: JSON.stringify([{ Type: 'bind', Source: '/var/lib/kaspa-aio/kaspa-node', Destination: '/app/data' }])
+    }));
+    await expect(findDataVolume()).resolves.toEqual({ name: '/var/lib/kaspa-aio/kaspa-node', type: 'bind', destination: '/app/data' });
+
+    fakeDocker(() => ({ stderr: 'Error: No such object: kaspa-node\n', code: 1 }));
+    await expect(findDataVolume()).rejects.toThrow(/^Not found: container kaspa-node \(docker inspect failed: Error: No such object/);
+  });
+
+  test('should export the volume with a manifest and per-file checksums', async () => {
+    const calls = volumeDocker();
+    const progress = [];
+
+    const manifest = await exportSnapshot('kaspa-aio_kaspa-data', tmpDir, info, update => progress.push(update));
+
+    expect(manifest).toMatchObject({
+      format: 1,
+      network: 'mainnet',
+      nodeVersion: '1.0.1',
+      daaScore: '123456789',
+      synced: true,
+      dataBytes: 4096 * 1024,
+      fileCount: 2
+    });
+    const archive = await fs.readFile(path.join(tmpDir, manifest.archive.file));
+    expect(zlib.gunzipSync(archive)).toEqual(VOLUME_TAR);
+    expect(manifest.archive.sha256).toBe(crypto.createHash('sha256').update(archive).digest('hex'));
+    expect(await fs.readFile(path.join(tmpDir, manifest.checksums.file), 'utf8')).toBe(SUMS);
+    expect(progress[progress.length - 1]).toEqual({ phase: 'archive', bytes: VOLUME_TAR.length, bytesTotal: 4096 * 1024 });
+
+    // The volume is only ever mounted read-only for an export
+    expect(calls.every(args => args.includes('kaspa-aio_kaspa-data:/data:ro'))).toBe(true);
+    await expect(listSnapshots(tmpDir)).resolves.toEqual([manifest]);
+  });
+
+  test('should leave no files behind when the export fails', async () => {
+    fakeDocker((args) => {
+      if (args.includes('tar')) return { stderr: 'tar: short write\n', code: 1 };
+      return { stdout: args.includes('du') ? '4096\t/data\n' : SUMS };
+    });
+
+    await expect(exportSnapshot('kaspa-aio_kaspa-data', tmpDir, info)).rejects.toThrow('docker run failed: tar: short write');
+    expect(await fs.readdir(tmpDir)).toEqual([]);
+  });
+
+  test('should import a snapshot and check every file after unpacking', async () => {
+    volumeDocker();
+    const manifest = await exportSnapshot('kaspa-aio_kaspa-data', tmpDir, info);
+    volume = { tar: null, empty: false, failures: '' };
+
+    await expect(importSnapshot('new_kaspa-data', tmpDir, manifest.id)).rejects.toThrow(/^Invalid request: volume new_kaspa-data already holds node data/);
+
+    const phases = new Set();
+    await expect(importSnapshot('new_kaspa-data', tmpDir, manifest.id, { replace: true, onProgress: update => phases.add(update.phase) }))
+      .resolves.toEqual(manifest);
+    expect(volume.tar).toEqual(VOLUME_TAR);
+    expect(Array.from(phases)).toEqual(['verify', 'extract', 'check']);
+  });
+
+  test('should empty the volume again when files do not unpack intact', async () => {
+    volumeDocker();
+    const manifest = await exportSnapshot('kaspa-aio_kaspa-data', tmpDir, info);
+    volume.failures = './datadir/meta/CURRENT: FAILED\nsha256sum: WARNING: 1 computed checksum did NOT match\n';
+
+    await expect(importSnapshot('new_kaspa-data', tmpDir, manifest.id)).rejects.toThrow(/^Invalid snapshot: 1 file\(s\) did not unpack intact \(\.\/datadir\/meta\/CURRENT: FAILED/);
+    expect(volume.empty).toBe(true);
+  });
+
+  test('should refuse an archive that does not match its manifest', async () => {
+    volumeDocker();
+    const manifest = await exportSnapshot('kaspa-aio_kaspa-data', tmpDir, info);
+    await fs.appendFile(path.join(tmpDir, manifest.archive.file), 'x');
+    const calls = volumeDocker();
+
+    await expect(importSnapshot('new_kaspa-data', tmpDir, manifest.id)).rejects.toThrow(/^Invalid snapshot: .* archive does not match its checksum/);
+    expect(calls).toEqual([]);
+  });
+
+  test('should read, list and delete snapshots by id only', async () => {
+    const write = (id, createdAt) => fs.writeFile(path.join(tmpDir, `${id}.json`), JSON.stringify({ id, createdAt }));
+    await write('snapshot_1_a', '2026-10-01T00:00:00.000Z');
+    await write('snapshot_2_b', '2026-10-02T00:00:00.000Z');
+    await fs.writeFile(path.join(tmpDir, 'notes.json'), '{}');
+
+    expect((await listSnapshots(tmpDir)).map(snapshot => snapshot.id)).toEqual(['snapshot_2_b', 'snapshot_1_a']);
+    await expect(readSnapshot(tmpDir, '../snapshot_1_a')).rejects.toThrow(/^Invalid snapshot id/);
+    await expect(readSnapshot(tmpDir, 'snapshot_3_c')).rejects.toThrow(/^Not found/);
+
+    await expect(deleteSnapshot(tmpDir, 'snapshot_1_a')).resolves.toEqual({ deleted: 'snapshot_1_a' });
+    expect(await fs.readdir(tmpDir)).toEqual(expect.not.arrayContaining(['snapshot_1_a.json']));
+    await expect(listSnapshots(path.join(tmpDir, 'missing'))).resolves.toEqual([]);
+  });
+
+  test('should normalize network names', () => {
+    expect(normalizeNetwork('kaspa-mainnet')).toBe('mainnet');
+    expect(normalizeNetwork('testnet-10')).toBe('testnet');
+    expect(normalizeNetwork('Mainnet')).toBe('mainnet');
+  });
+
+  describe('checkCompatibility', () => {
+    const manifest = { format: 1, network: 'mainnet', nodeVersion: '1.0.1', synced: true };
+
+    test('should accept the same network and a node at the same or a newer patch level', () => {
+      expect(checkCompatibility(manifest, { network: 'mainnet', nodeVersion: '1.0.1' })).toEqual({ compatible: true, problems: [], warnings: [] });
+      expect(checkCompatibility(manifest, { network: 'mainnet', nodeVersion: 'kaspad 1.0.3' }).compatible).toBe(true);
+    });
+
+    test('should refuse another network, another minor version or an older node', () => {
+      expect(checkCompatibility(manifest, { network: 'testnet', nodeVersion: '1.0.1' }).problems)
+        .toEqual(['the snapshot is of mainnet, this installation is set up for testnet']);
+      expect(checkCompatibility(manifest, { network: 'mainnet', nodeVersion: '1.1.0' }).problems)
+        .toEqual(['the snapshot was taken with kaspad 1.0.1, the node runs 1.1.0']);
+      expect(checkCompatibility(manifest, { network: 'mainnet', nodeVersion: '1.0.0' }).problems)
+        .toEqual(['the snapshot was taken with a newer kaspad (1.0.1) than the node runs (1.0.0)']);
+      expect(checkCompatibility({ ...manifest, format: 2 }, { network: 'mainnet', nodeVersion: '1.0.1' }).compatible).toBe(false);
+    });
+
+    test('should warn about an unknown node version and an unsynced snapshot', () => {
+      const result = checkCompatibility({ ...manifest, synced: false }, { network: 'mainnet', nodeVersion: null });
+      expect(result.compatible).toBe(true);
+      expect(result.warnings).toEqual([
+        'could not compare node versions (snapshot 1.0.1, node unknown)',
+        'the node was not synced when the snapshot was taken; it finishes syncing after the import'
+      ]);
+    });
+  });
+});
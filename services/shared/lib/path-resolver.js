@@ -171,8 +171,12 @@ function getPaths(callerDirname = null) {
         installationState: path.join(root, '.kaspa-aio', 'installation-state.json'),
         wizardState: path.join(root, '.kaspa-aio', 'wizard-state.json'),
         configHistory: path.join(root, '.kaspa-aio', 'config-history.json'),
+        apiTokens: path.join(root, '.kaspa-aio', 'api-tokens.json'),
+        backupDestinations: path.join(root, '.kaspa-aio', 'backup-destinations.json'),
+        auditDir: path.join(root, '.kaspa-aio', 'audit'),
         backupDir: path.join(root, '.kaspa-backups'),
         diagnosticsDir: path.join(root, '.kaspa-diagnostics'),
+        snapshotDir: path.join(root, '.kaspa-snapshots'),
         logsDir: path.join(root, 'logs'),
         servicesDir: path.join(root, 'services'),
         scriptsDir: path.join(root, 'scripts'),
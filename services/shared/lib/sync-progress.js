@@ -0,0 +1,435 @@
+/**
+ * Phase-aware IBD progress
+ *
+ * rusty-kaspa's initial block download runs through distinct phases (pruning
+ * point proof, headers, UTXO set, block bodies, virtual resolution) that move
+ * at very different rates, so a block count ratio says little about how long
+ * a sync has left. SyncProgressTracker takes the phase from the node's logs,
+ * falls back to getBlockDagInfo header/block counts, measures the rate of the
+ * current phase and estimates the phases still to come from typical durations
+ * scaled by the pace this node has shown so far.
+ *
+ * Used by the wizard's NodeSyncManager and the dashboard's sync-status route
+ * so both report the same phase, progress and ETA.
+ */
+
+// Rough mainnet durations on recommended hardware. Once the node's own pace
+// is known only their ratios matter.
+const IBD_PHASES = [
+  { id: 'proof', name: 'Pruning Proof', unit: null, typicalSeconds: 300 },
+  { id: 'headers', name: 'Headers', unit: 'headers', typicalSeconds: 4 * 3600 },
+  { id: 'utxo', name: 'UTXO Set', unit: 'UTXOs', typicalSeconds: 1200 },
+  { id: 'blocks', name: 'Block Bodies', unit: 'blocks', typicalSeconds: 2 * 3600 },
+  { id: 'virtual', name: 'Resolving Virtual', unit: null, typicalSeconds: 600 }
+];
+
+const PHASE_INDEX = new Map(IBD_PHASES.map((phase, index) => [phase.id, index]));
+const TOTAL_TYPICAL_SECONDS = IBD_PHASES.reduce((sum, phase) => sum + phase.typicalSeconds, 0);
+
+const MIN_PACE = 0.25;
+const MAX_PACE = 4;
+
+const TIMESTAMP_PATTERN = /(\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)/;
+
+function parseCount(value) {
+  return parseInt(value.replace(/,/g, ''), 10);
+}
+
+/**
+ * Recognise an IBD progress line from kaspad
+ * @param {string} line - Log line, optionally prefixed with docker and kaspad timestamps
+ * @returns {Object|null} { phase, progress, count, timestamp } where phase is an
+ *   IBD_PHASES id, 'start' (new IBD with a peer) or 'complete'
+ */
+function parseIbdLogLine(line) {
+  if (!line) {
+    return null;
+  }
+
+  let phase = null;
+  let progress = null;
+  let count = null;
+  let match;
+
+  if (/(?:Starting IBD|IBD started) with peer/i.test(line)) {
+    phase = 'start';
+  } else if (/IBD (?:with peer \S+ )?(?:finished|completed) successfully|IBD finished/i.test(line)) {
+    phase = 'complete';
+    progress = 100;
+  } else if (/pruning point proof|pruning proof/i.test(line)) {
+    phase = 'proof';
+  } else if ((match = line.match(/IBD:\s*Processed\s+([\d,]+)\s+block headers\s*\((\d+)%\)/i))) {
+    phase = 'headers';
+    count = parseCount(match[1]);
+    progress = parseInt(match[2], 10);
+  } else if ((match = line.match(/Received\s+([\d,]+)\s+UTXO set chunks so far,\s+totaling in\s+([\d,]+)\s+UTXOs/i))) {
+    phase = 'utxo';
+    count = parseCount(match[2]);
+  } else if ((match = line.match(/Finished receiving the UTXO set\.?\s*Total UTXOs:\s*([\d,]+)/i))) {
+    phase = 'utxo';
+    count = parseCount(match[1]);
+    progress = 100;
+  } else if (/Fetching the pruning point UTXO set/i.test(line)) {
+    phase = 'utxo';
+  } else if ((match = line.match(/IBD:\s*Processed\s+([\d,]+)\s+blocks\s*\((\d+)%\)/i))) {
+    phase = 'blocks';
+    count = parseCount(match[1]);
+    progress = parseInt(match[2], 10);
+  } else if ((match = line.match(/Resolving virtual\.?\s*(?:Estimated progress:\s*(\d+)%)?/i))) {
+    phase = 'virtual';
+    progress = match[1] ? parseInt(match[1], 10) : null;
+  }
+
+  if (!phase) {
+    return null;
+  }
+
+  const timestampMatch = line.match(TIMESTAMP_PATTERN);
+  const timestamp = timestampMatch ? new Date(timestampMatch[1].replace(' ', 'T')).getTime() : NaN;
+
+  return { phase, progress, count, timestamp: isNaN(timestamp) ? null : timestamp };
+}
+
+/**
+ * Reduce a run of kaspad log lines to the state of the latest IBD
+ * @param {string|string[]} lines - Log output, oldest first
+ * @returns {Object|null} { phase, progress, count, timestamp, phaseStarts, complete }
+ */
+function parseIbdLog(lines) {
+  const list = Array.isArray(lines) ? lines : String(lines || '').split('\n');
+  let state = null;
+
+  list.forEach(line => {
+    const parsed = parseIbdLogLine(line);
+    if (!parsed) {
+      return;
+    }
+
+    if (parsed.phase === 'start' || !state) {
+      state = { phase: null, progress: null, count: null, timestamp: null, phaseStarts: {}, complete: false };
+    }
+    if (parsed.phase === 'start') {
+      return;
+    }
+    if (parsed.phase === 'complete') {
+      state.complete = true;
+      state.timestamp = parsed.timestamp;
+      return;
+    }
+
+    if (state.phase !== parsed.phase) {
+      state.phaseStarts[parsed.phase] = parsed.timestamp;
+      state.progress = null;
+      state.count = null;
+    }
+    state.phase = parsed.phase;
+    state.timestamp = parsed.timestamp;
+    if (parsed.progress !== null) {
+      state.progress = parsed.progress;
+    }
+    if (parsed.count !== null) {
+      state.count = parsed.count;
+    }
+  });
+
+  return state;
+}
+
+/**
+ * Format an ETA in seconds for display
+ * @param {number|null} seconds
+ * @returns {string|null}
+ */
+function formatEta(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return null;
+  }
+  if (seconds < 60) {
+    return '< 1 minute';
+  }
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  if (hours === 0) {
+    return `~${minutes} minute${minutes !== 1 ? 's' : ''}`;
+  }
+  return `~${hours} hour${hours !== 1 ? 's' : ''}${minutes > 0 ? ` ${minutes} min` : ''}`;
+}
+
+class SyncProgressTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.rateWindow] - How far back samples count towards a phase's rate (ms)
+   */
+  constructor(options = {}) {
+    this.rateWindow = options.rateWindow || 10 * 60 * 1000;
+    this.reset();
+  }
+
+  reset() {
+    this.samples = [];
+    this.phaseStarts = new Map();
+    this.phaseEnds = new Map();
+    this.phase = null;
+  }
+
+  /**
+   * Record the node's current state and work out phase, progress and ETA
+   * @param {Object} input
+   * @param {boolean|null} [input.isSynced] - From getInfo / getBlockDagInfo, null if unknown
+   * @param {number|null} [input.headerCount] - getBlockDagInfo headerCount
+   * @param {number|null} [input.blockCount] - getBlockDagInfo blockCount (blocks with bodies)
+   * @param {string|string[]|null} [input.logLines] - Recent kaspad log output, oldest first
+   * @param {number} [input.now]
+   * @returns {Object} { phase, phaseName, phaseProgress, phaseRate, phaseElapsedSeconds,
+   *   progress, etaSeconds, phases, source }
+   */
+  update({ isSynced = null, headerCount = null, blockCount = null, logLines = null, now = Date.now() } = {}) {
+    const log = logLines ? parseIbdLog(logLines) : null;
+
+    if (isSynced === true || (isSynced === null && log?.complete)) {
+      this.reset();
+      return this.buildSyncedStatus(isSynced === true ? 'rpc' : 'logs');
+    }
+
+    let source = 'logs';
+    let phase = log?.phase || null;
+    if (!phase) {
+      source = 'rpc';
+      phase = this.inferPhase(headerCount, blockCount);
+    }
+
+    if (source === 'logs') {
+      this.recordLoggedPhases(log.phaseStarts);
+    }
+
+    const phaseStartedAt = (source === 'logs' && log.phaseStarts[phase]) || now;
+    if (phase && phase !== this.phase) {
+      // A log phase earlier than the one we are in means a new IBD started
+      if (this.phase && PHASE_INDEX.get(phase) < PHASE_INDEX.get(this.phase)) {
+        this.reset();
+      }
+      if (this.phase) {
+        this.phaseEnds.set(this.phase, phaseStartedAt);
+      }
+      this.phase = phase;
+    }
+    if (phase && !this.phaseStarts.has(phase)) {
+      this.phaseStarts.set(phase, phaseStartedAt);
+    }
+
+    let progress = source === 'logs' ? log.progress : null;
+    let count = source === 'logs' ? log.count : null;
+    if (phase === 'headers' && count === null) {
+      count = headerCount;
+    }
+    if (phase === 'blocks') {
+      count = count ?? blockCount;
+      if (progress === null && headerCount > 0 && blockCount !== null) {
+        progress = Math.min(100, Math.floor((blockCount / headerCount) * 100));
+      }
+    }
+
+    this.samples.push({ time: now, phase, progress, count, headerCount, blockCount });
+    this.samples = this.samples.filter(sample => sample.time > now - this.rateWindow);
+
+    if (!phase) {
+      return { ...this.buildStatus(null, null, null, null, now), source: null };
+    }
+    return { ...this.buildStatus(phase, progress, this.measureRate(phase), count, now), source };
+  }
+
+  /**
+   * Take start and end times of phases the log shows, e.g. after a restart
+   * of the wizard or dashboard part way through an IBD
+   */
+  recordLoggedPhases(phaseStarts) {
+    const logged = IBD_PHASES.filter(definition => phaseStarts[definition.id]);
+    logged.forEach((definition, position) => {
+      if (!this.phaseStarts.has(definition.id)) {
+        this.phaseStarts.set(definition.id, phaseStarts[definition.id]);
+      }
+      const next = logged[position + 1];
+      if (next && !this.phaseEnds.has(definition.id)) {
+        this.phaseEnds.set(definition.id, phaseStarts[next.id]);
+      }
+    });
+  }
+
+  /**
+   * Phase from header/block counts alone: headers arrive first, bodies follow
+   */
+  inferPhase(headerCount, blockCount) {
+    const previous = [...this.samples].reverse().find(sample => sample.headerCount !== null);
+    if (headerCount === null || headerCount === undefined || !previous) {
+      return this.phase;
+    }
+
+    const headersGained = headerCount - previous.headerCount;
+    const blocksGained = (blockCount ?? 0) - (previous.blockCount ?? 0);
+    let inferred = this.phase;
+    if (blocksGained > 0) {
+      inferred = 'blocks';
+    } else if (headersGained > 0) {
+      inferred = 'headers';
+    }
+
+    // Counts never move a sync backwards
+    if (this.phase && inferred && PHASE_INDEX.get(inferred) < PHASE_INDEX.get(this.phase)) {
+      return this.phase;
+    }
+    return inferred;
+  }
+
+  /**
+   * Progress (%/s) and count (unit/s) rates of a phase over the rate window
+   */
+  measureRate(phase) {
+    const samples = this.samples.filter(sample => sample.phase === phase);
+    const result = { progressPerSecond: null, countPerSecond: null };
+
+    const withProgress = samples.filter(sample => sample.progress !== null);
+    if (withProgress.length >= 2) {
+      const first = withProgress[0];
+      const last = withProgress[withProgress.length - 1];
+      const seconds = (last.time - first.time) / 1000;
+      if (seconds > 0) {
+        result.progressPerSecond = Math.max(0, (last.progress - first.progress) / seconds);
+      }
+    }
+
+    const withCount = samples.filter(sample => sample.count !== null && sample.count !== undefined);
+    if (withCount.length >= 2) {
+      const first = withCount[0];
+      const last = withCount[withCount.length - 1];
+      const seconds = (last.time - first.time) / 1000;
+      if (seconds > 0) {
+        result.countPerSecond = Math.max(0, (last.count - first.count) / seconds);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * How much slower (> 1) or faster (< 1) than typical this node syncs,
+   * weighted by phase length so a short proof phase does not dominate
+   */
+  estimatePace(currentIndex, currentTotalSeconds) {
+    let actual = 0;
+    let typical = 0;
+
+    IBD_PHASES.slice(0, Math.max(0, currentIndex)).forEach(phase => {
+      const start = this.phaseStarts.get(phase.id);
+      const end = this.phaseEnds.get(phase.id);
+      if (start && end && end > start) {
+        actual += (end - start) / 1000;
+        typical += phase.typicalSeconds;
+      }
+    });
+    if (currentTotalSeconds !== null && currentIndex >= 0) {
+      actual += currentTotalSeconds;
+      typical += IBD_PHASES[currentIndex].typicalSeconds;
+    }
+
+    if (typical === 0) {
+      return 1;
+    }
+    return Math.min(MAX_PACE, Math.max(MIN_PACE, actual / typical));
+  }
+
+  buildStatus(phase, progress, rate, count, now) {
+    const index = phase ? PHASE_INDEX.get(phase) : -1;
+    const current = index >= 0 ? IBD_PHASES[index] : null;
+    const started = phase ? this.phaseStarts.get(phase) : null;
+    const elapsed = started ? Math.max(0, (now - started) / 1000) : 0;
+
+    // Remaining time of the current phase from its own measured rate
+    let measuredRemaining = null;
+    if (current && progress !== null && rate.progressPerSecond > 0) {
+      measuredRemaining = (100 - progress) / rate.progressPerSecond;
+    }
+    const pace = this.estimatePace(index, measuredRemaining !== null && progress >= 5 ? elapsed + measuredRemaining : null);
+
+    let currentRemaining = measuredRemaining;
+    let currentFraction = progress !== null ? progress / 100 : null;
+    if (current && currentRemaining === null) {
+      const expected = current.typicalSeconds * pace;
+      // Past its typical length a phase is assumed to be near its end, not done
+      currentRemaining = Math.max(expected - elapsed, expected * 0.1);
+      currentFraction = currentFraction ?? Math.min(0.9, elapsed / expected);
+    }
+
+    const phases = IBD_PHASES.map((definition, position) => {
+      const entry = { id: definition.id, name: definition.name, status: 'pending', progress: 0, etaSeconds: null };
+      if (!current) {
+        return entry;
+      }
+      if (position < index) {
+        const start = this.phaseStarts.get(definition.id);
+        const end = this.phaseEnds.get(definition.id);
+        return {
+          ...entry,
+          status: 'done',
+          progress: 100,
+          etaSeconds: 0,
+          durationSeconds: start && end ? Math.round((end - start) / 1000) : null
+        };
+      }
+      if (position === index) {
+        return { ...entry, status: 'active', progress, etaSeconds: Math.round(currentRemaining) };
+      }
+      return { ...entry, etaSeconds: Math.round(definition.typicalSeconds * pace) };
+    });
+
+    let overall = 0;
+    if (current) {
+      const doneSeconds = IBD_PHASES.slice(0, index).reduce((sum, definition) => sum + definition.typicalSeconds, 0);
+      overall = ((doneSeconds + current.typicalSeconds * currentFraction) / TOTAL_TYPICAL_SECONDS) * 100;
+    }
+
+    let phaseRate = null;
+    if (current && current.unit && rate.countPerSecond !== null) {
+      phaseRate = { value: Math.round(rate.countPerSecond * 100) / 100, unit: `${current.unit}/s` };
+    } else if (current && rate.progressPerSecond !== null) {
+      phaseRate = { value: Math.round(rate.progressPerSecond * 3600 * 100) / 100, unit: '%/h' };
+    }
+
+    return {
+      phase,
+      phaseName: current ? current.name : null,
+      phaseProgress: progress,
+      phaseCount: count ?? null,
+      phaseRate,
+      phaseElapsedSeconds: current ? Math.round(elapsed) : null,
+      progress: Math.round(overall * 100) / 100,
+      etaSeconds: current ? phases.reduce((sum, entry) => sum + (entry.etaSeconds || 0), 0) : null,
+      pace: current ? Math.round(pace * 100) / 100 : null,
+      phases
+    };
+  }
+
+  buildSyncedStatus(source) {
+    return {
+      phase: 'synced',
+      phaseName: 'Synced',
+      phaseProgress: 100,
+      phaseCount: null,
+      phaseRate: null,
+      phaseElapsedSeconds: null,
+      progress: 100,
+      etaSeconds: 0,
+      pace: null,
+      phases: IBD_PHASES.map(phase => ({ id: phase.id, name: phase.name, status: 'done', progress: 100, etaSeconds: 0 })),
+      source
+    };
+  }
+}
+
+module.exports = {
+  SyncProgressTracker,
+  IBD_PHASES,
+  parseIbdLogLine,
+  parseIbdLog,
+  formatEta
+};
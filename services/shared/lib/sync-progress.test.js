@@ -0,0 +1,111 @@
+const { SyncProgressTracker, parseIbdLog, formatEta } = require('./sync-progress.js');
+
+const T0 = Date.parse('2026-01-10T10:00:00Z');
+
+function logLine(offsetSeconds, message) {
+  const time = new Date(T0 + offsetSeconds * 1000).toISOString().replace('T', ' ').replace('Z', '+00:00');
+  return `${time} [INFO ] ${message}`;
+}
+
+describe('parseIbdLog', () => {
+  test('should follow the latest IBD through its phases', () => {
+    const state = parseIbdLog([
+      logLine(0, 'IBD started with peer 1.2.3.4:16111'),
+      logLine(10, 'Validating the pruning point proof'),
+      logLine(300, 'IBD: Processed 1,000,000 block headers (20%) last block timestamp: 2025-01-01'),
+      logLine(900, 'IBD: Processed 2,500,000 block headers (50%) last block timestamp: 2025-06-01'),
+      'Processed 0 blocks and 500 headers in the last 10.0s'
+    ]);
+
+    expect(state).toMatchObject({ phase: 'headers', progress: 50, count: 2500000, complete: false });
+    expect(state.phaseStarts).toEqual({ proof: T0 + 10000, headers: T0 + 300000 });
+  });
+
+  test('should start over when a new IBD begins and note completion', () => {
+    const lines = [
+      logLine(0, 'Received 10 UTXO set chunks so far, totaling in 10,000 UTXOs'),
+      logLine(60, 'Starting IBD with peer 5.6.7.8:16111'),
+      logLine(70, 'IBD: Processed 100 blocks (3%) last block timestamp: 2025-01-01')
+    ];
+    expect(parseIbdLog(lines)).toMatchObject({ phase: 'blocks', progress: 3, count: 100, phaseStarts: { blocks: T0 + 70000 } });
+
+    lines.push(logLine(80, 'IBD with peer 5.6.7.8:16111 finished successfully'));
+    expect(parseIbdLog(lines.join('\n')).complete).toBe(true);
+    expect(parseIbdLog(['Accepted 1 blocks via relay'])).toBeNull();
+  });
+});
+
+describe('SyncProgressTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new SyncProgressTracker();
+  });
+
+  test('should measure the current phase and scale later phases by its pace', () => {
+    const proof = logLine(0, 'Validating the pruning point proof');
+    const headersStart = logLine(300, 'IBD: Processed 100,000 block headers (10%) last block timestamp: 2025-01-01');
+    tracker = new SyncProgressTracker({ rateWindow: 30 * 60 * 1000 });
+
+    tracker.update({ isSynced: false, logLines: [proof, headersStart], now: T0 + 300000 });
+    const status = tracker.update({
+      isSynced: false,
+      logLines: [proof, headersStart, logLine(1740, 'IBD: Processed 400,000 block headers (40%) last block timestamp: 2025-03-01')],
+      now: T0 + 1740000
+    });
+
+    // 30% in 1440s puts headers at 4320s against a typical 14400s; with the
+    // 300s proof phase that is a pace of 4620 / 14700
+    expect(status).toMatchObject({
+      phase: 'headers',
+      phaseName: 'Headers',
+      phaseProgress: 40,
+      phaseCount: 400000,
+      phaseRate: { value: 208.33, unit: 'headers/s' },
+      phaseElapsedSeconds: 1440,
+      source: 'logs'
+    });
+    expect(status.phases.map(phase => [phase.id, phase.status, phase.etaSeconds])).toEqual([
+      ['proof', 'done', 0],
+      ['headers', 'active', 2880],
+      ['utxo', 'pending', 377],
+      ['blocks', 'pending', 2263],
+      ['virtual', 'pending', 189]
+    ]);
+    expect(status.phases[0].durationSeconds).toBe(300);
+    expect(status.pace).toBe(0.31);
+    expect(status.etaSeconds).toBe(5709);
+    // Proof (300s) plus 40% of headers (14400s) out of 23700s typical
+    expect(status.progress).toBeCloseTo(((300 + 5760) / 23700) * 100, 1);
+  });
+
+  test('should fall back to header and block counts without logs', () => {
+    expect(tracker.update({ isSynced: false, headerCount: 1000, blockCount: 0, now: T0 })).toMatchObject({ phase: null, etaSeconds: null, source: null });
+    expect(tracker.update({ isSynced: false, headerCount: 5000, blockCount: 0, now: T0 + 10000 }).phase).toBe('headers');
+
+    const blocks = tracker.update({ isSynced: false, headerCount: 5000, blockCount: 1000, now: T0 + 20000 });
+    expect(blocks).toMatchObject({ phase: 'blocks', phaseProgress: 20, source: 'rpc' });
+    expect(blocks.phases[1]).toMatchObject({ status: 'done', durationSeconds: 10 });
+
+    // A stalled body count does not send the sync back to headers
+    expect(tracker.update({ isSynced: false, headerCount: 6000, blockCount: 1000, now: T0 + 30000 }).phase).toBe('blocks');
+  });
+
+  test('should report a synced node as complete and forget its history', () => {
+    tracker.update({ isSynced: false, logLines: [logLine(0, 'Resolving virtual. Estimated progress: 80%')], now: T0 });
+    const status = tracker.update({ isSynced: true, now: T0 + 1000 });
+
+    expect(status).toMatchObject({ phase: 'synced', progress: 100, etaSeconds: 0, source: 'rpc' });
+    expect(status.phases.every(phase => phase.status === 'done')).toBe(true);
+    expect(tracker.samples).toHaveLength(0);
+  });
+});
+
+describe('formatEta', () => {
+  test('should round to minutes and hours', () => {
+    expect(formatEta(null)).toBeNull();
+    expect(formatEta(30)).toBe('< 1 minute');
+    expect(formatEta(600)).toBe('~10 minutes');
+    expect(formatEta(6300)).toBe('~1 hour 45 min');
+  });
+});
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const BackupManager = require('../utils/backup-manager');
+const { requireScope } = require('../middleware/security');
 
 const backupManager = new BackupManager();
 
@@ -13,7 +14,7 @@ const backupManager = new BackupManager();
  * POST /api/wizard/backup
  * Create a new backup of current configuration
  */
-router.post('/', async (req, res) => {
+router.post('/', requireScope('backups:manage'), async (req, res) => {
   try {
     const { reason = 'Manual backup', metadata = {} } = req.body;
     
@@ -85,6 +86,136 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/wizard/backups/destinations
+ * Off-site destinations and whether backup encryption is set up
+ * (both are managed from the dashboard)
+ */
+router.get('/destinations', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      encryption: await backupManager.destinationStore.getEncryptionStatus(),
+      destinations: await backupManager.destinationStore.list()
+    });
+  } catch (error) {
+    console.error('Error listing backup destinations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list backup destinations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/wizard/backups/remote/:destinationId
+ * List wizard backups stored at a destination
+ */
+router.get('/remote/:destinationId', async (req, res) => {
+  try {
+    const result = await backupManager.listRemoteBackups(req.params.destinationId);
+    
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        success: false,
+        error: 'Failed to list remote backups',
+        message: result.error
+      });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error listing remote backups:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list remote backups',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/wizard/backups/remote/:destinationId/:backupId/import
+ * Download, verify and decrypt a remote backup so it can be restored.
+ * Body: { passphrase } or { privateKey, privateKeyPassphrase } when the
+ * stored passphrase cannot decrypt it
+ */
+router.post('/remote/:destinationId/:backupId/import', requireScope('backups:manage'), async (req, res) => {
+  try {
+    const { passphrase, privateKey, privateKeyPassphrase } = req.body || {};
+    
+    const result = await backupManager.importBackup(req.params.destinationId, req.params.backupId, {
+      passphrase,
+      privateKey,
+      privateKeyPassphrase
+    });
+    
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        success: false,
+        error: 'Failed to import backup',
+        message: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Backup ${result.backupId} imported; restore it to apply it`,
+      backupId: result.backupId,
+      backup: result.backup
+    });
+  } catch (error) {
+    console.error('Error importing backup:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import backup',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/wizard/backups/:backupId/export
+ * Upload an encrypted copy of a backup to a destination
+ * Body: { destinationId }
+ */
+router.post('/:backupId/export', requireScope('backups:manage'), async (req, res) => {
+  try {
+    const { destinationId } = req.body || {};
+    
+    if (!destinationId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: destinationId'
+      });
+    }
+    
+    const result = await backupManager.exportBackup(req.params.backupId, destinationId);
+    
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        success: false,
+        error: 'Failed to export backup',
+        message: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Backup ${result.backupId} uploaded and verified`,
+      upload: result.upload
+    });
+  } catch (error) {
+    console.error('Error exporting backup:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export backup',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/wizard/backups/:backupId
  * Get details of a specific backup
@@ -121,7 +252,7 @@ router.get('/:backupId', async (req, res) => {
  * POST /api/wizard/rollback
  * Restore configuration from a backup
  */
-router.post('/', async (req, res) => {
+router.post('/', requireScope('backups:manage'), async (req, res) => {
   try {
     const { 
       backupId, 
@@ -173,7 +304,7 @@ router.post('/', async (req, res) => {
  * DELETE /api/wizard/backups/:backupId
  * Delete a specific backup
  */
-router.delete('/:backupId', async (req, res) => {
+router.delete('/:backupId', requireScope('backups:manage'), async (req, res) => {
   try {
     const { backupId } = req.params;
     
@@ -284,7 +415,7 @@ router.post('/compare', async (req, res) => {
  * POST /api/wizard/backups/cleanup
  * Clean up old backups
  */
-router.post('/cleanup', async (req, res) => {
+router.post('/cleanup', requireScope('backups:manage'), async (req, res) => {
   try {
     const result = await backupManager.cleanupOldBackups();
     
@@ -316,7 +447,7 @@ router.post('/cleanup', async (req, res) => {
  * DELETE /api/wizard/backups
  * Delete all backups (use with caution)
  */
-router.delete('/', async (req, res) => {
+router.delete('/', requireScope('backups:manage'), async (req, res) => {
   try {
     const { confirm } = req.body;
     
@@ -0,0 +1,52 @@
+/**
+ * Node Snapshots API
+ * 
+ * Lists the node data snapshots in .kaspa-snapshots that an installation can
+ * start from. Snapshots are exported by the dashboard; copy a snapshot's
+ * three files (<id>.tar.gz, <id>.sha256, <id>.json) there to use it on
+ * another machine. The import itself runs during installation.
+ */
+
+const express = require('express');
+const { createResolver } = require('../../../../shared/lib/path-resolver');
+const { listSnapshots, checkCompatibility } = require('../../../../shared/lib/node-snapshot');
+
+const router = express.Router();
+const snapshotDir = createResolver(__dirname).getPaths().snapshotDir;
+
+/**
+ * GET /api/node/snapshots
+ * 
+ * Query Parameters:
+ * - network: Network the installation is configured for (default: 'mainnet')
+ * - nodeVersion: kaspad version to check against, when known
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   directory: string,
+ *   snapshots: [{ ...manifest, compatibility: { compatible, problems, warnings } }]
+ * }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { network = 'mainnet', nodeVersion = null } = req.query;
+    const snapshots = await listSnapshots(snapshotDir);
+
+    res.json({
+      success: true,
+      directory: snapshotDir,
+      snapshots: snapshots.map(snapshot => ({
+        ...snapshot,
+        compatibility: checkCompatibility(snapshot, { network, nodeVersion })
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -29,9 +29,19 @@ const syncManager = new NodeSyncManager();
  *   currentBlock: number,
  *   targetBlock: number,
  *   blocksRemaining: number,
- *   percentage: number,
+ *   percentage: number (phase-weighted during IBD),
  *   estimatedTimeRemaining: number (seconds),
  *   syncRate: number (blocks/second),
+ *   ibd: {
+ *     phase: 'proof'|'headers'|'utxo'|'blocks'|'virtual'|'synced'|null,
+ *     phaseName: string,
+ *     phaseProgress: number|null,
+ *     phaseRate: { value: number, unit: string }|null,
+ *     progress: number,
+ *     etaSeconds: number|null,
+ *     phases: [{ id, name, status, progress, etaSeconds }],
+ *     source: 'logs'|'rpc'|null
+ *   },
  *   timestamp: number,
  *   nodeInfo: {
  *     host: string,
@@ -7,7 +7,7 @@ const { promisify } = require('util');
 const https = require('https');
 const DockerManager = require('../utils/docker-manager');
 const StateManager = require('../utils/state-manager');
-const { authenticateToken } = require('../middleware/security');
+const { requireScope } = require('../middleware/security');
 
 const execFileAsync = promisify(execFile);
 const execAsync = promisify(exec);
@@ -93,9 +93,9 @@ router.get('/available', async (req, res) => {
  * POST /api/wizard/updates/apply
  * Apply selected service updates
  * Handles backup, update, and rollback on failure
- * Requires authentication — triggers sudo bash execution of update scripts
+ * Requires authentication (security token or an updates:apply API token) — triggers sudo bash execution of update scripts
  */
-router.post('/apply', authenticateToken, async (req, res) => {
+router.post('/apply', requireScope('updates:apply'), async (req, res) => {
   try {
     const { updates, createBackup = true } = req.body;
     
@@ -252,9 +252,9 @@ router.post('/apply', authenticateToken, async (req, res) => {
 /**
  * POST /api/wizard/updates/rollback
  * Rollback to previous configuration after failed update
- * Requires authentication — restores config files and restarts services
+ * Requires authentication (security token or an updates:apply API token) — restores config files and restarts services
  */
-router.post('/rollback', authenticateToken, async (req, res) => {
+router.post('/rollback', requireScope('updates:apply'), async (req, res) => {
   try {
     const { backupTimestamp } = req.body;
     
@@ -1,6 +1,16 @@
 const crypto = require('crypto');
 const path = require('path');
-const { getProjectRoot } = require('../../../../shared/lib/path-resolver');
+const { getProjectRoot, getPaths } = require('../../../../shared/lib/path-resolver');
+const { ApiTokenStore, getBearerToken } = require('../../../../shared/lib/api-tokens');
+
+// Scoped API tokens, shared with the dashboard (which creates and revokes them)
+let apiTokenStore = null;
+function getApiTokenStore() {
+  if (!apiTokenStore) {
+    apiTokenStore = new ApiTokenStore(getPaths(__dirname).apiTokens);
+  }
+  return apiTokenStore;
+}
 
 /**
  * Security middleware for wizard API
@@ -177,6 +187,52 @@ function authenticateToken(req, res, next) {
   next();
 }
 
+/**
+ * Scoped authentication middleware
+ * Accepts an API token carrying the given scope, otherwise falls back to
+ * authenticateToken (WIZARD_SECURITY_TOKEN)
+ * @param {string} scope - Required API token scope, e.g. 'updates:apply'
+ */
+function requireScope(scope) {
+  return async (req, res, next) => {
+    const token = getBearerToken(req.headers);
+    if (!ApiTokenStore.isApiToken(token)) {
+      return authenticateToken(req, res, next);
+    }
+
+    let record;
+    try {
+      record = await getApiTokenStore().authenticate(token, { ip: req.ip });
+    } catch (error) {
+      console.error('[SECURITY] Failed to check API token:', error.message);
+      return res.status(500).json({
+        success: false,
+        error: 'Authentication failed',
+        message: 'Could not check API token'
+      });
+    }
+
+    if (!record) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token',
+        message: 'API token is invalid, expired or revoked'
+      });
+    }
+
+    if (!ApiTokenStore.hasScope(record, scope)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        message: `API token lacks the ${scope} scope`
+      });
+    }
+
+    req.apiToken = record;
+    next();
+  };
+}
+
 /**
  * Input validation middleware
  * Sanitizes and validates request data
@@ -349,6 +405,7 @@ function preventPathTraversal(filePath) {
 
 module.exports = {
   authenticateToken,
+  requireScope,
   validateInput,
   sanitizeString,
   sanitizeConfig,
@@ -10,6 +10,9 @@ const helmet = require('helmet');
 const { createResolver } = require('../../../shared/lib/path-resolver');
 const pathResolver = createResolver(__dirname);
 
+// Import shared audit log
+const { AuditLog } = require('../../../shared/lib/audit-log');
+
 // Import build configuration
 const buildConfig = require('./config/build-config');
 
@@ -32,6 +35,7 @@ const glossaryRouter = require('./api/glossary');
 const rollbackRouter = require('./api/rollback');
 const fallbackRouter = require('./api/fallback');
 const nodeSyncRouter = require('./api/node-sync');
+const nodeSnapshotsRouter = require('./api/node-snapshots');
 const wizardStateRouter = require('./api/wizard-state');
 const backupRouter = require('./api/backup');
 const dashboardIntegrationRouter = require('./api/dashboard-integration');
@@ -50,6 +54,45 @@ const BackgroundTaskManager = require('./utils/background-task-manager');
 const { secureErrorHandler, requestTimeout, validateInput, rejectSensitiveData } = require('./middleware/security');
 const { logError } = require('./utils/error-handler');
 
+// Audit log of mutating requests, shared with the dashboard
+const auditLog = new AuditLog(pathResolver.getPaths().auditDir, { source: 'wizard' });
+
+// Audited wizard routes (first match wins). Only routes that change the
+// installation are listed; validation and preview endpoints are not recorded.
+const AUDIT_ACTION_RULES = [
+  { methods: ['POST'], path: /^\/api\/install\/(?<target>start|pull|build|deploy|stop)$/, action: 'install.run' },
+  { methods: ['POST'], path: /^\/api\/(reconfigure|wizard)\/reconfigure\/backup$/, action: 'backups.create' },
+  { methods: ['POST'], path: /^\/api\/(reconfigure|wizard)\/reconfigure$/, action: 'reconfigure' },
+  { methods: ['POST'], path: /^\/api\/(reconfigure|wizard)\/restart$/, action: 'services.restart' },
+  { methods: ['POST'], path: /^\/api\/(reconfigure|wizard)\/restore$/, action: 'backups.restore' },
+  { methods: ['POST'], path: /^\/api\/wizard\/profiles\/add$/, action: 'profiles.add' },
+  { methods: ['POST', 'DELETE'], path: /^\/api\/wizard\/profiles\/remove$/, action: 'profiles.remove' },
+  { methods: ['PUT'], path: /^\/api\/wizard\/profiles\/configure$/, action: 'profiles.configure' },
+  { methods: ['POST'], path: /^\/api\/wizard\/profiles\/(?<target>[^/]+)\/services\/modify$/, action: 'profiles.services.modify' },
+  { methods: ['POST'], path: /^\/api\/(wizard\/)?config\/(save|save-docker-compose|configure-fallback)$/, action: 'config.write' },
+  { methods: ['POST'], path: /^\/api\/(wizard\/)?config\/backup$/, action: 'backups.create' },
+  { methods: ['POST'], path: /^\/api\/(wizard\/)?config\/restore$/, action: 'config.restore' },
+  { methods: ['POST'], path: /^\/api\/wizard\/config\/(?<target>apply-changes|update-endpoints|update-wallet|migrate-installation-state)$/, action: 'config.write' },
+  { methods: ['POST'], path: /^\/api\/config-templates\/(?<target>apply|save)$/, action: 'config.templates' },
+  { methods: ['POST'], path: /^\/api\/wizard\/updates\/apply$/, action: 'updates.apply' },
+  { methods: ['POST'], path: /^\/api\/wizard\/updates\/rollback$/, action: 'updates.rollback' },
+  { methods: ['POST'], path: /^\/api\/wizard\/backups?\/cleanup$/, action: 'backups.cleanup' },
+  { methods: ['POST'], path: /^\/api\/wizard\/backups?\/(?<target>[^/]+)\/export$/, action: 'backups.upload' },
+  { methods: ['POST'], path: /^\/api\/wizard\/backups?\/remote\/[^/]+\/(?<target>[^/]+)\/import$/, action: 'backups.fetch' },
+  { methods: ['POST'], path: /^\/api\/wizard\/backups?$/, action: 'backups.create' },
+  { methods: ['DELETE'], path: /^\/api\/wizard\/backups?\/(?<target>[^/]+)$/, action: 'backups.delete' },
+  { methods: ['DELETE'], path: /^\/api\/wizard\/backups?$/, action: 'backups.delete' },
+  { methods: ['POST'], path: /^\/api\/wizard\/rollback$/, action: 'backups.restore' },
+  { methods: ['POST'], path: /^\/api\/rollback\/(?<target>restore|restore-checkpoint)$/, action: 'rollback.restore' },
+  { methods: ['POST'], path: /^\/api\/rollback\/undo$/, action: 'rollback.undo' },
+  { methods: ['POST'], path: /^\/api\/rollback\/start-over$/, action: 'rollback.start-over' },
+  { methods: ['POST'], path: /^\/api\/rollback\/(save-version|checkpoint)$/, action: 'rollback.checkpoint' },
+  { methods: ['DELETE'], path: /^\/api\/rollback\/checkpoint\/(?<target>[^/]+)$/, action: 'rollback.checkpoint.delete' },
+  { methods: ['POST'], path: /^\/api\/(wizard\/(start|ensure-running)|dashboard\/start)$/, action: 'services.start', target: 'dashboard' },
+  { methods: ['POST'], path: /^\/api\/error-remediation\/(?<target>fix|apply|retry)$/, action: 'remediation.apply' },
+  { methods: ['POST'], path: /^\/api\/wizard\/clear-state$/, action: 'wizard.state.clear' }
+];
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
@@ -199,6 +242,9 @@ app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 app.use(validateInput); // Validate input
 app.use(requestTimeout(60000)); // 60 second timeout for requests
 
+// Audit state-changing requests (including rejected ones)
+app.use('/api/', auditLog.middleware({ rules: AUDIT_ACTION_RULES }));
+
 // Security: Reject requests containing sensitive wallet data
 // This is a defense-in-depth measure - wallet operations should be client-side only
 app.use('/api/', rejectSensitiveData);
@@ -236,6 +282,7 @@ app.use('/api/diagnostic', diagnosticRouter);
 app.use('/api/glossary', glossaryRouter);
 app.use('/api/rollback', rollbackRouter);
 app.use('/api/config', fallbackRouter); // Fallback routes are under /api/config
+app.use('/api/node/snapshots', nodeSnapshotsRouter); // Node data snapshots to bootstrap from
 app.use('/api/node', nodeSyncRouter);
 app.use('/api/wizard', wizardStateRouter);
 app.use('/api/wizard/backup', backupRouter); // Backup routes under /api/wizard/backup
@@ -455,6 +502,23 @@ io.on('connection', (socket) => {
   // Handle installation progress streaming
   socket.on('install:start', async (data) => {
     const { config, profiles } = data;
+    const installStartedAt = Date.now();
+
+    // Every exit path clears the wizardRunning flag; record the outcome there too
+    const finishInstall = async (phase) => {
+      await clearWizardRunningFlag(phase);
+      await auditLog.record({
+        action: 'install.run',
+        target: 'socket',
+        actor: { type: 'anonymous', name: null },
+        ip: socket.handshake.address,
+        method: 'WS',
+        route: 'install:start',
+        params: { profiles, config },
+        outcome: phase === 'complete' ? 'success' : 'failure',
+        durationMs: Date.now() - installStartedAt
+      });
+    };
     try {
       // Set wizardRunning flag at start of installation
       try {
@@ -503,7 +567,7 @@ io.on('connection', (socket) => {
       // Save configuration
       const configValidation = await configGenerator.validateConfig(config);
       if (!configValidation.valid) {
-        await clearWizardRunningFlag('error');
+        await finishInstall('error');
         
         // Use shared error handling patterns
         const { createUserFriendlyError } = require('./utils/error-handler');
@@ -528,7 +592,7 @@ io.on('connection', (socket) => {
       const saveResult = await configGenerator.saveEnvFile(envContent, envPath);
 
       if (!saveResult.success) {
-        await clearWizardRunningFlag('error');
+        await finishInstall('error');
         
         // Use shared error handling patterns
         const { createUserFriendlyError } = require('./utils/error-handler');
@@ -553,7 +617,7 @@ io.on('connection', (socket) => {
       const composeResult = await configGenerator.saveDockerCompose(composeContent, composePath);
 
       if (!composeResult.success) {
-        await clearWizardRunningFlag('error');
+        await finishInstall('error');
         
         // Use shared error handling patterns
         const { createUserFriendlyError } = require('./utils/error-handler');
@@ -596,7 +660,7 @@ io.on('connection', (socket) => {
 
       const failedResults = pullResults.filter(r => !r.success);
       if (failedResults.length > 0) {
-        await clearWizardRunningFlag('error');
+        await finishInstall('error');
         
         // Enhanced error handling with troubleshooting
         const TroubleshootingSystem = require('./utils/troubleshooting-system');
@@ -674,7 +738,7 @@ io.on('connection', (socket) => {
       });
 
       if (!buildResult.success) {
-        await clearWizardRunningFlag('error');
+        await finishInstall('error');
         
         // Enhanced error handling with troubleshooting
         const TroubleshootingSystem = require('./utils/troubleshooting-system');
@@ -733,6 +797,61 @@ io.on('connection', (socket) => {
         progress: 75
       });
 
+      // Bootstrap the node from a snapshot exported by the dashboard, so it
+      // starts from the snapshot's DAA score instead of syncing from genesis
+      if (data.snapshot) {
+        const { readSnapshot, findDataVolume, checkCompatibility, importSnapshot } = require('../../../shared/lib/node-snapshot');
+        const snapshotDir = pathResolver.getPaths().snapshotDir;
+        try {
+          if (!dockerManager.getContainerNamesForProfiles(profiles).includes('kaspa-node')) {
+            throw new Error('Invalid request: a snapshot can only be imported when the Kaspa node profile is installed');
+          }
+          const manifest = await readSnapshot(snapshotDir, data.snapshot);
+
+          socket.emit('install:progress', {
+            stage: 'snapshot',
+            message: 'Checking the node snapshot...',
+            progress: 76
+          });
+          const { nodeVersion } = await dockerManager.prepareNodeContainer('kaspa-node');
+          const network = configValidation.config.KASPA_NETWORK || 'mainnet';
+          const compatibility = checkCompatibility(manifest, { network, nodeVersion });
+          if (!compatibility.compatible) {
+            throw new Error(`Invalid snapshot: ${compatibility.problems.join('; ')}`);
+          }
+          compatibility.warnings.forEach(warning => console.warn(`[INSTALL] Snapshot ${manifest.id}: ${warning}`));
+
+          const volume = await findDataVolume('kaspa-node');
+          const phases = { verify: 'Verifying the snapshot archive', extract: 'Unpacking the node data', check: 'Checking the unpacked files' };
+          await importSnapshot(volume.name, snapshotDir, manifest.id, {
+            replace: true,
+            onProgress: ({ phase, bytes, bytesTotal }) => {
+              socket.emit('install:progress', {
+                stage: 'snapshot',
+                message: `${phases[phase]}...`,
+                progress: phase === 'extract' && bytesTotal ? 77 + (bytes / bytesTotal) * 2 : (phase === 'check' ? 79 : 77),
+                details: { snapshot: manifest.id, phase, bytes, bytesTotal }
+              });
+            }
+          });
+
+          socket.emit('install:progress', {
+            stage: 'snapshot',
+            message: `Node data imported (${manifest.network}, DAA score ${manifest.daaScore})`,
+            progress: 80,
+            details: { snapshot: manifest.id, warnings: compatibility.warnings }
+          });
+        } catch (error) {
+          await finishInstall('error');
+          socket.emit('install:error', {
+            stage: 'snapshot',
+            message: 'Could not import the node snapshot',
+            error: error.message
+          });
+          return;
+        }
+      }
+
       // Start services
       socket.emit('install:progress', {
         stage: 'deploy',
@@ -750,7 +869,7 @@ io.on('connection', (socket) => {
       });
 
       if (!deployResult.success) {
-        await clearWizardRunningFlag('error');
+        await finishInstall('error');
         
         // Enhanced error handling with troubleshooting
         const TroubleshootingSystem = require('./utils/troubleshooting-system');
@@ -878,10 +997,10 @@ io.on('connection', (socket) => {
       });
       
       // Clear wizardRunning flag after successful installation
-      await clearWizardRunningFlag('complete');
+      await finishInstall('complete');
 
     } catch (error) {
-      await clearWizardRunningFlag('error');
+      await finishInstall('error');
       
       // Use shared error handling patterns
       const { createUserFriendlyError } = require('./utils/error-handler');
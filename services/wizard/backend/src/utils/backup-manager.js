@@ -3,6 +3,8 @@ const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const { createResolver } = require('../../../../shared/lib/path-resolver');
+const { BackupDestinationStore, uploadVerified, downloadVerified } = require('../../../../shared/lib/backup-destinations');
+const { encryptFile, decryptFile } = require('../../../../shared/lib/backup-encryption');
 
 const execAsync = promisify(exec);
 
@@ -19,6 +21,8 @@ class BackupManager {
     
     this.projectRoot = paths.root;
     this.backupDir = paths.backupDir;
+    // Encryption settings and off-site destinations, managed from the dashboard
+    this.destinationStore = new BackupDestinationStore(paths.backupDestinations);
   }
 
   /**
@@ -336,6 +340,136 @@ class BackupManager {
     }
   }
 
+  /**
+   * Upload a backup to an off-site destination as an encrypted tarball
+   * (wizard-<backupId>.tar.gz.enc) and verify the uploaded copy's checksum
+   * @param {string} backupId - Backup ID
+   * @param {string} destinationId - Destination configured in the dashboard
+   * @returns {Promise<Object>} Export result
+   */
+  async exportBackup(backupId, destinationId) {
+    const tarball = path.join(this.backupDir, `.export_${backupId}_${Date.now()}.tar.gz`);
+    try {
+      if (!/^\d+$/.test(String(backupId))) {
+        return { success: false, error: `Invalid backup ID: ${backupId}` };
+      }
+      try {
+        await fs.access(path.join(this.backupDir, backupId, 'backup-metadata.json'));
+      } catch (error) {
+        return { success: false, notFound: true, error: `Backup ${backupId} not found` };
+      }
+
+      const encryption = await this.destinationStore.getEncryption();
+      if (!encryption) {
+        return { success: false, error: 'Backup encryption is not set up; configure it in the dashboard first' };
+      }
+      const destination = await this.destinationStore.open(destinationId);
+
+      await execAsync(`tar -czf "${tarball}" -C "${this.backupDir}" "${backupId}"`, { timeout: 300000 });
+      await encryptFile(tarball, `${tarball}.enc`, encryption);
+      const upload = await uploadVerified(destination, `${tarball}.enc`, `wizard-${backupId}.tar.gz.enc`);
+
+      return { success: true, backupId, upload };
+    } catch (error) {
+      console.error('Error exporting backup:', error);
+      return {
+        success: false,
+        notFound: error.message.startsWith('Not found'),
+        error: error.message
+      };
+    } finally {
+      await fs.rm(tarball, { force: true });
+      await fs.rm(`${tarball}.enc`, { force: true });
+    }
+  }
+
+  /**
+   * List wizard backups stored at a destination
+   * @param {string} destinationId - Destination configured in the dashboard
+   * @returns {Promise<Object>} List of remote backups
+   */
+  async listRemoteBackups(destinationId) {
+    try {
+      const destination = await this.destinationStore.open(destinationId);
+      const files = await destination.list();
+      const backups = [];
+
+      for (const file of files) {
+        const match = file.name.match(/^wizard-(\d+)\.tar\.gz\.enc$/);
+        if (match) {
+          const local = await fs.access(path.join(this.backupDir, match[1])).then(() => true, () => false);
+          backups.push({ ...file, backupId: match[1], local });
+        }
+      }
+      backups.sort((a, b) => Number(b.backupId) - Number(a.backupId));
+
+      return { success: true, backups };
+    } catch (error) {
+      console.error('Error listing remote backups:', error);
+      return {
+        success: false,
+        notFound: error.message.startsWith('Not found'),
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Download a backup from a destination, verify its checksum, decrypt it
+   * and unpack it beside the local backups, ready for restoreBackup
+   * @param {string} destinationId - Destination configured in the dashboard
+   * @param {string} backupId - Backup ID of the remote backup
+   * @param {Object} credentials - { passphrase } or { privateKey, privateKeyPassphrase };
+   *   the stored passphrase is used when none is given
+   * @returns {Promise<Object>} Import result
+   */
+  async importBackup(destinationId, backupId, credentials = {}) {
+    const download = path.join(this.backupDir, `.import_${backupId}_${Date.now()}.tar.gz.enc`);
+    const tarball = download.replace(/\.enc$/, '');
+    try {
+      if (!/^\d+$/.test(String(backupId))) {
+        return { success: false, error: `Invalid backup ID: ${backupId}` };
+      }
+      const exists = await fs.access(path.join(this.backupDir, backupId)).then(() => true, () => false);
+      if (exists) {
+        return { success: false, error: `Backup ${backupId} already exists locally` };
+      }
+
+      await this.initialize();
+      const destination = await this.destinationStore.open(destinationId);
+      await downloadVerified(destination, `wizard-${backupId}.tar.gz.enc`, download);
+
+      if (!credentials.passphrase && !credentials.privateKey) {
+        const encryption = await this.destinationStore.getEncryption();
+        if (encryption && encryption.mode === 'passphrase') {
+          credentials = { passphrase: encryption.passphrase };
+        }
+      }
+      await decryptFile(download, tarball, credentials);
+
+      // Only unpack archives holding this one backup directory
+      const { stdout } = await execAsync(`tar -tzf "${tarball}"`, { timeout: 60000 });
+      const entries = stdout.trim().split('\n');
+      if (entries.some(entry => entry.split('/')[0] !== backupId || entry.split('/').includes('..'))) {
+        return { success: false, error: `Backup archive for ${backupId} has unexpected contents` };
+      }
+      await execAsync(`tar -xzf "${tarball}" -C "${this.backupDir}"`, { timeout: 300000 });
+
+      const metadata = JSON.parse(await fs.readFile(path.join(this.backupDir, backupId, 'backup-metadata.json'), 'utf8'));
+      return { success: true, backupId, backup: metadata };
+    } catch (error) {
+      console.error('Error importing backup:', error);
+      return {
+        success: false,
+        notFound: error.message.startsWith('Not found'),
+        error: error.message
+      };
+    } finally {
+      await fs.rm(download, { force: true });
+      await fs.rm(tarball, { force: true });
+    }
+  }
+
   /**
    * Get storage usage information
    * @returns {Promise<Object>} Storage usage details
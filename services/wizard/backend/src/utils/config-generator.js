@@ -1602,6 +1602,7 @@ ${portsYaml}
     image: timescale/timescaledb:latest-pg16
     container_name: timescaledb-explorer
     restart: unless-stopped
+    command: postgres -c shared_preload_libraries=timescaledb,pg_stat_statements
     ports:
       - "${dbPort}:5432"
     environment:
@@ -1873,6 +1874,7 @@ ${portsYaml}
     image: timescale/timescaledb:latest-pg16
     container_name: timescaledb-kindexer
     restart: unless-stopped
+    command: postgres -c shared_preload_libraries=timescaledb,pg_stat_statements
     ports:
       - "${dbPort}:5432"
     environment:
@@ -2189,6 +2191,7 @@ networks:
         '    image: timescale/timescaledb:latest-pg16',
         '    container_name: k-social-db',
         '    restart: unless-stopped',
+        '    command: postgres -c shared_preload_libraries=timescaledb,pg_stat_statements',
         '    shm_size: 2G',
         '    ports:',
         '      - "${K_SOCIAL_DB_PORT:-5433}:5432"',
@@ -2214,6 +2217,7 @@ networks:
         '    image: timescale/timescaledb:latest-pg16',
         '    container_name: simply-kaspa-db',
         '    restart: unless-stopped',
+        '    command: postgres -c shared_preload_libraries=timescaledb,pg_stat_statements',
         '    shm_size: 2G',
         '    ports:',
         '      - "${SIMPLY_KASPA_DB_PORT:-5434}:5432"',
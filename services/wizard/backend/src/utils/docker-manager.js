@@ -248,6 +248,45 @@ class DockerManager {
     return { stdout, stderr };
   }
 
+  /**
+   * Create the node's container without starting it, so that its data mount
+   * exists for a snapshot to be imported into before the node first runs
+   * @returns {Promise<{image: string, nodeVersion: string|null}>}
+   */
+  async prepareNodeContainer(containerName = 'kaspa-node') {
+    // Same as startServices: container names are global, whichever project owns them
+    await execAsync(`docker stop ${containerName} 2>/dev/null || true`);
+    await execAsync(`docker rm ${containerName} 2>/dev/null || true`);
+    await execAsync(`cd ${this.projectRoot} && docker compose create ${containerName}`, {
+      maxBuffer: 10 * 1024 * 1024
+    });
+
+    const { stdout } = await execAsync(`docker inspect --format '{{.Config.Image}}' ${containerName}`);
+    const image = stdout.trim();
+    return { image, nodeVersion: await this.getNodeVersion(image) };
+  }
+
+  /**
+   * kaspad version of a node image: from a versioned tag, otherwise by asking
+   * the binary (null when neither tells)
+   */
+  async getNodeVersion(image) {
+    const tag = /:v?(\d+\.\d+\.\d+)$/.exec(image);
+    if (tag) {
+      return tag[1];
+    }
+    try {
+      const { stdout } = await execAsync(`docker run --rm --pull never --entrypoint kaspad ${image} --version`, {
+        timeout: 60000
+      });
+      const version = /(\d+\.\d+\.\d+)/.exec(stdout);
+      return version ? version[1] : null;
+    } catch (error) {
+      console.log(`Note: Could not read the kaspad version of ${image}: ${error.message}`);
+      return null;
+    }
+  }
+
   async startServices(profiles, progressCallback) {
     try {
       // Clean up any orphan containers from previous installations/tests
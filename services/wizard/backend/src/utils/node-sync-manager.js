@@ -8,19 +8,28 @@
  * Features:
  * - RPC connection to Kaspa node
  * - Sync status detection (synced/syncing)
- * - Progress calculation (currentBlock / targetBlock)
- * - Time remaining estimation based on sync rate
+ * - IBD phase detection (proof, headers, UTXO set, block bodies, virtual) from
+ *   RPC counts and, for the local node, kaspa-node container logs
+ * - Phase-aware progress and time remaining, shared with the dashboard
  * - Historical sync rate tracking
  * - Error handling and retry logic
  */
 
 const http = require('http');
 const https = require('https');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const { SyncProgressTracker } = require('../../../../shared/lib/sync-progress');
+
+const execAsync = promisify(exec);
+
+const LOCAL_NODE_HOSTS = new Set(['localhost', '127.0.0.1', '::1', 'kaspa-node']);
 
 class NodeSyncManager {
   constructor() {
     this.syncHistory = new Map(); // Track sync progress over time
     this.syncRates = new Map(); // Track sync rates per node
+    this.progressTrackers = new Map(); // Phase-aware IBD progress per node
   }
 
   /**
@@ -69,11 +78,23 @@ class NodeSyncManager {
       this.updateSyncHistory(nodeKey, currentBlock, targetBlock);
 
       // Estimate time remaining
-      const estimatedTimeRemaining = this.estimateTimeRemaining(nodeKey, currentBlock, targetBlock, isSynced);
+      let estimatedTimeRemaining = this.estimateTimeRemaining(nodeKey, currentBlock, targetBlock, isSynced);
 
       // Get sync rate
       const syncRate = this.calculateSyncRate(nodeKey);
 
+      // Block counts alone say little during IBD; prefer the phase-aware view
+      const ibd = this.getProgressTracker(nodeKey).update({
+        isSynced,
+        headerCount: targetBlock,
+        blockCount: currentBlock,
+        logLines: LOCAL_NODE_HOSTS.has(host) ? await this.readNodeLogs() : null
+      });
+      if (!isSynced && ibd.phase) {
+        percentage = ibd.progress;
+        estimatedTimeRemaining = ibd.etaSeconds;
+      }
+
       return {
         connected: true,
         synced: isSynced,
@@ -83,6 +104,7 @@ class NodeSyncManager {
         percentage: Math.round(percentage * 100) / 100, // Round to 2 decimals
         estimatedTimeRemaining, // in seconds
         syncRate, // blocks per second
+        ibd, // phase, per-phase progress/rate/ETA
         timestamp: Date.now(),
         nodeInfo: {
           host,
@@ -170,6 +192,34 @@ class NodeSyncManager {
     });
   }
 
+  /**
+   * Read recent kaspa-node container logs for IBD phase detection
+   * @returns {Promise<string|null>} Log output, or null if the container cannot be read
+   */
+  async readNodeLogs() {
+    try {
+      const { stdout } = await execAsync('docker logs kaspa-node --tail 200 --timestamps', {
+        timeout: 10000,
+        maxBuffer: 2 * 1024 * 1024
+      });
+      return stdout;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the IBD progress tracker for a node
+   * @param {string} nodeKey - Node identifier (host:port)
+   * @returns {SyncProgressTracker}
+   */
+  getProgressTracker(nodeKey) {
+    if (!this.progressTrackers.has(nodeKey)) {
+      this.progressTrackers.set(nodeKey, new SyncProgressTracker());
+    }
+    return this.progressTrackers.get(nodeKey);
+  }
+
   /**
    * Update sync history for a node
    * @param {string} nodeKey - Node identifier (host:port)
@@ -371,6 +421,7 @@ class NodeSyncManager {
   clearSyncHistory(nodeKey) {
     this.syncHistory.delete(nodeKey);
     this.syncRates.delete(nodeKey);
+    this.progressTrackers.delete(nodeKey);
   }
 
   /**
@@ -379,6 +430,7 @@ class NodeSyncManager {
   clearAllSyncHistory() {
     this.syncHistory.clear();
     this.syncRates.clear();
+    this.progressTrackers.clear();
   }
 
   /**
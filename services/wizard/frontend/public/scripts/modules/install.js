@@ -47,7 +47,8 @@ export async function startInstallation() {
     // Emit installation start event
     wsManager.emit('install:start', {
         config,
-        profiles
+        profiles,
+        snapshot: stateManager.get('nodeSnapshot') || null
     });
     
     // Update UI to show installation started
@@ -146,6 +147,7 @@ function getStageTitle(stage) {
         'config': 'Configuring Environment',
         'pull': 'Downloading Docker Images',
         'build': 'Building Services',
+        'snapshot': 'Importing Node Snapshot',
         'deploy': 'Starting Services',
         'syncing': 'Synchronizing Blockchain',
         'validate': 'Validating Installation'
@@ -162,6 +164,7 @@ function getStageColor(stage) {
         'config': '#9b59b6',
         'pull': '#f39c12',
         'build': '#e67e22',
+        'snapshot': '#d35400',
         'deploy': '#e74c3c',
         'syncing': '#70C7BA',
         'validate': '#27ae60'
@@ -276,6 +279,7 @@ function updateInstallSteps(stage, progress, details) {
         'config': 'env',
         'pull': 'pull',
         'build': 'pull',
+        'snapshot': 'pull',
         'deploy': 'start',
         'syncing': 'sync',
         'validate': 'health'
@@ -542,6 +546,7 @@ function markStepAsFailed(stage) {
         'config': 'env',
         'pull': 'pull',
         'build': 'pull',
+        'snapshot': 'pull',
         'deploy': 'start',
         'validate': 'health'
     };
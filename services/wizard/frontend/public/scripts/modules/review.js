@@ -5,6 +5,7 @@
 
 import { stateManager } from './state-manager.js';
 import { showNotification } from './utils.js';
+import { api } from './api-client.js';
 
 /**
  * Profile resource requirements
@@ -106,6 +107,9 @@ export function displayConfigurationSummary() {
     // Display wallet configuration
     displayWalletConfiguration(configuration);
     
+    // Offer node data snapshots to start from
+    displayNodeSnapshots(selectedProfiles, configuration);
+    
     // Add edit buttons
     addEditButtons();
     
@@ -323,6 +327,52 @@ function displayNetworkConfiguration(configuration) {
     }
 }
 
+/**
+ * Offer the node data snapshots in .kaspa-snapshots that fit the configured
+ * network; the chosen one is imported during installation
+ * @param {string[]} selectedProfiles - Selected profile IDs
+ * @param {Object} configuration - Configuration object
+ */
+async function displayNodeSnapshots(selectedProfiles, configuration) {
+    const section = document.getElementById('review-node-snapshot-section');
+    const select = document.getElementById('review-node-snapshot');
+    const help = document.getElementById('review-node-snapshot-help');
+    if (!section || !select) return;
+    
+    stateManager.set('nodeSnapshot', null);
+    section.style.display = 'none';
+    if (!selectedProfiles.some(profile => profile === 'kaspa-node' || profile === 'core')) return;
+    
+    const network = configuration.KASPA_NETWORK || 'mainnet';
+    let snapshots;
+    try {
+        ({ snapshots } = await api.get(`/node/snapshots?network=${encodeURIComponent(network)}`));
+    } catch (error) {
+        console.warn('Could not list node snapshots:', error);
+        return;
+    }
+    if (snapshots.length === 0) return;
+    
+    select.innerHTML = '<option value="">Sync from the network</option>';
+    snapshots.forEach(snapshot => {
+        const option = document.createElement('option');
+        option.value = snapshot.id;
+        option.disabled = !snapshot.compatibility.compatible;
+        option.textContent = `${snapshot.network} snapshot of ${new Date(snapshot.createdAt).toLocaleString()}`
+            + ` (kaspad ${snapshot.nodeVersion || 'unknown'}, DAA score ${snapshot.daaScore || 'unknown'})`
+            + (option.disabled ? ` - ${snapshot.compatibility.problems.join('; ')}` : '');
+        select.appendChild(option);
+    });
+    select.onchange = () => {
+        const snapshot = snapshots.find(entry => entry.id === select.value);
+        stateManager.set('nodeSnapshot', snapshot ? snapshot.id : null);
+        help.textContent = snapshot
+            ? 'The node data is unpacked and checked before the node first starts; the node version is checked once its image is pulled.'
+            : '';
+    };
+    section.style.display = '';
+}
+
 /**
  * Display wallet configuration in review
  * @param {Object} configuration - Configuration object